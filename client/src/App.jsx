@@ -20,6 +20,10 @@ const Features = lazy(() => import('./pages/Features'));
 const Pricing = lazy(() => import('./pages/Pricing'));
 const Docs = lazy(() => import('./pages/Docs'));
 const ContentReview = lazy(() => import('./pages/ContentReview'));
+const Inbox = lazy(() => import('./pages/Inbox'));
+const Approvals = lazy(() => import('./pages/Approvals'));
+const Activity = lazy(() => import('./pages/Activity'));
+const ReviewPortal = lazy(() => import('./pages/ReviewPortal'));
 
 function App() {
   return (
@@ -34,6 +38,13 @@ function App() {
               </Suspense>
             } />
             
+            {/* Client review links: public, authenticated by the signed token */}
+            <Route path="/review/:token" element={
+              <Suspense fallback={<PageLoader />}>
+                <ReviewPortal />
+              </Suspense>
+            } />
+
             {/* Protected routes */}
             <Route 
               path="/*" 
@@ -48,6 +59,9 @@ function App() {
                         <Route path="/bulk-generation" element={<BulkGeneration />} />
                         <Route path="/scheduling" element={<Scheduling />} />
                         <Route path="/history" element={<History />} />
+                        <Route path="/inbox" element={<Inbox />} />
+                        <Route path="/approvals" element={<Approvals />} />
+                        <Route path="/activity" element={<Activity />} />
                         <Route path="/analytics" element={<Analytics />} />
                         <Route path="/strategy" element={<StrategyBuilder />} />
                         <Route path="/strategy-builder" element={<Navigate to="/strategy" replace />} />
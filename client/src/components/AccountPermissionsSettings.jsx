@@ -0,0 +1,174 @@
+import React, { useEffect, useState } from 'react';
+import { KeyRound, RotateCcw } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { teamAccountPermissions } from '../utils/api';
+import { useAccount } from '../contexts/AccountContext';
+import LoadingSpinner from './LoadingSpinner';
+
+const PERMISSION_LABELS = {
+  post: 'Post',
+  schedule: 'Schedule',
+  autopilot: 'Autopilot',
+  analytics: 'Analytics',
+  disconnect: 'Disconnect',
+};
+
+const memberName = (member) => member.name || member.email || 'Team member';
+
+/**
+ * Which members can post, schedule, run autopilot, view analytics or
+ * disconnect each team account. Members without custom permissions get
+ * their role's defaults; owners always have full access.
+ */
+const AccountPermissionsSettings = () => {
+  const { accounts = [], selectedAccount } = useAccount();
+  const [accountId, setAccountId] = useState(selectedAccount?.id ? String(selectedAccount.id) : '');
+  const [permissions, setPermissions] = useState([]);
+  const [members, setMembers] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [forbidden, setForbidden] = useState(false);
+  const [savingMemberId, setSavingMemberId] = useState(null);
+
+  useEffect(() => {
+    if (!accountId && accounts.length > 0) setAccountId(String(accounts[0].id));
+  }, [accountId, accounts]);
+
+  useEffect(() => {
+    if (!accountId) return undefined;
+    let cancelled = false;
+    const fetchPermissions = async () => {
+      setLoading(true);
+      try {
+        const { data } = await teamAccountPermissions.list(accountId);
+        if (cancelled) return;
+        setPermissions(data.permissions || []);
+        setMembers(data.members || []);
+        setForbidden(false);
+      } catch (error) {
+        if (cancelled) return;
+        if (error?.response?.status === 403) setForbidden(true);
+        else toast.error(error?.response?.data?.error || 'Failed to load account permissions');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    fetchPermissions();
+    return () => {
+      cancelled = true;
+    };
+  }, [accountId]);
+
+  const replaceMember = (member) =>
+    setMembers((current) => current.map((entry) => (entry.user_id === member.user_id ? member : entry)));
+
+  const save = async (member, request, message) => {
+    setSavingMemberId(member.user_id);
+    try {
+      const { data } = await request();
+      if (data.member) replaceMember(data.member);
+      toast.success(message);
+    } catch (error) {
+      toast.error(error?.response?.data?.error || 'Failed to save permissions');
+    } finally {
+      setSavingMemberId(null);
+    }
+  };
+
+  const togglePermission = (member, permission) => {
+    const next = { ...member.permissions, [permission]: !member.permissions[permission] };
+    save(member, () => teamAccountPermissions.update(accountId, member.user_id, next), `Updated ${memberName(member)}`);
+  };
+
+  const resetMember = (member) =>
+    save(member, () => teamAccountPermissions.reset(accountId, member.user_id), `${memberName(member)} is back to role defaults`);
+
+  if (forbidden || accounts.length === 0) return null;
+
+  return (
+    <div className="card">
+      <div className="flex items-start justify-between gap-4 mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">Account Permissions</h3>
+          <p className="mt-1 text-sm text-gray-600">
+            Choose what each member can do with each connected account. Members with nothing ticked don't see the
+            account at all.
+          </p>
+        </div>
+        <KeyRound className="h-6 w-6 text-gray-400 flex-shrink-0" />
+      </div>
+
+      <select
+        value={accountId}
+        onChange={(e) => setAccountId(e.target.value)}
+        className="mb-4 rounded-md border border-gray-300 bg-white px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+      >
+        {accounts.map((account) => (
+          <option key={account.id} value={String(account.id)}>
+            @{account.account_username || account.username}
+          </option>
+        ))}
+      </select>
+
+      {loading ? (
+        <div className="flex justify-center py-6">
+          <LoadingSpinner />
+        </div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="py-2 pr-4 font-medium">Member</th>
+                {permissions.map((permission) => (
+                  <th key={permission} className="px-2 py-2 text-center font-medium">{PERMISSION_LABELS[permission] || permission}</th>
+                ))}
+                <th />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {members.map((member) => {
+                const locked = member.role === 'owner' || savingMemberId === member.user_id;
+                return (
+                  <tr key={member.user_id}>
+                    <td className="py-2 pr-4">
+                      <p className="font-medium text-gray-900">{memberName(member)}</p>
+                      <p className="text-xs text-gray-500 capitalize">
+                        {member.role}
+                        {member.custom ? ' · custom' : ' · role defaults'}
+                      </p>
+                    </td>
+                    {permissions.map((permission) => (
+                      <td key={permission} className="px-2 py-2 text-center">
+                        <input
+                          type="checkbox"
+                          checked={Boolean(member.permissions?.[permission])}
+                          disabled={locked}
+                          onChange={() => togglePermission(member, permission)}
+                        />
+                      </td>
+                    ))}
+                    <td className="py-2 pl-2 text-right">
+                      {member.custom && (
+                        <button
+                          type="button"
+                          onClick={() => resetMember(member)}
+                          disabled={locked}
+                          className="p-1 text-gray-400 hover:text-gray-700 disabled:opacity-30"
+                          title="Reset to role defaults"
+                        >
+                          <RotateCcw className="h-4 w-4" />
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AccountPermissionsSettings;
@@ -0,0 +1,265 @@
+import React, { useEffect, useState } from 'react';
+import { ArrowDown, ArrowUp, ListChecks, Plus, RotateCcw, Save, Trash2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { approvals } from '../utils/api';
+import LoadingSpinner from './LoadingSpinner';
+
+const MAX_STEPS = 5;
+
+const inputClassName =
+  'w-full rounded-md border border-gray-300 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-50';
+
+const splitList = (value) =>
+  value
+    .split(',')
+    .map((item) => item.trim().toLowerCase())
+    .filter(Boolean);
+
+const toggle = (list, value) => (list.includes(value) ? list.filter((item) => item !== value) : [...list, value]);
+
+const toDraft = (step) => ({
+  label: step.label || '',
+  roles: step.roles || [],
+  agencyRoles: (step.agency_roles || []).join(', '),
+  userIds: step.user_ids || [],
+});
+
+/**
+ * Ordered sign-off steps a team's posts go through before publishing,
+ * e.g. editor -> client reviewer -> admin.
+ */
+const ApprovalChainSettings = () => {
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [steps, setSteps] = useState([]);
+  const [isDefault, setIsDefault] = useState(true);
+  const [roles, setRoles] = useState([]);
+  const [members, setMembers] = useState([]);
+  const [canManage, setCanManage] = useState(false);
+
+  const applyChain = (chain) => {
+    setSteps((chain?.steps || []).map(toDraft));
+    setIsDefault(chain?.is_default !== false);
+  };
+
+  useEffect(() => {
+    let cancelled = false;
+    const fetchChain = async () => {
+      try {
+        const { data } = await approvals.getChain();
+        if (cancelled) return;
+        applyChain(data.chain);
+        setRoles(data.roles || []);
+        setMembers(data.members || []);
+        setCanManage(Boolean(data.can_manage));
+      } catch (error) {
+        if (!cancelled) toast.error(error?.response?.data?.error || 'Failed to load approval chain');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    fetchChain();
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const updateStep = (index, changes) =>
+    setSteps((current) => current.map((step, i) => (i === index ? { ...step, ...changes } : step)));
+
+  const moveStep = (index, offset) =>
+    setSteps((current) => {
+      const next = [...current];
+      const [step] = next.splice(index, 1);
+      next.splice(index + offset, 0, step);
+      return next;
+    });
+
+  const save = async (payload, message) => {
+    setSaving(true);
+    try {
+      const { data } = await approvals.updateChain(payload);
+      applyChain(data.chain);
+      toast.success(message);
+    } catch (error) {
+      toast.error(error?.response?.data?.error || 'Failed to save approval chain');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSave = () =>
+    save(
+      {
+        steps: steps.map((step) => ({
+          label: step.label,
+          roles: step.roles,
+          agency_roles: splitList(step.agencyRoles),
+          user_ids: step.userIds,
+        })),
+      },
+      'Approval chain saved'
+    );
+
+  const readOnly = !canManage;
+
+  return (
+    <div className="card">
+      <div className="flex items-start justify-between gap-4 mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">Approval Chain</h3>
+          <p className="mt-1 text-sm text-gray-600">
+            Posts that need approval go through these steps in order. Anyone matching a step can sign it off, request
+            changes or reject the post.
+          </p>
+        </div>
+        <ListChecks className="h-6 w-6 text-gray-400 flex-shrink-0" />
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-6">
+          <LoadingSpinner />
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {readOnly && (
+            <p className="rounded-md bg-gray-50 px-3 py-2 text-sm text-gray-600">
+              Only team owners and admins can change the approval chain.
+            </p>
+          )}
+
+          {steps.map((step, index) => (
+            <div key={index} className="rounded-lg border border-gray-200 p-4 space-y-3">
+              <div className="flex items-center gap-2">
+                <span className="text-sm font-medium text-gray-500">{index + 1}.</span>
+                <input
+                  type="text"
+                  value={step.label}
+                  disabled={readOnly}
+                  onChange={(e) => updateStep(index, { label: e.target.value })}
+                  placeholder="Step name, e.g. Client review"
+                  className={inputClassName}
+                />
+                {!readOnly && (
+                  <div className="flex items-center gap-1">
+                    <button
+                      type="button"
+                      onClick={() => moveStep(index, -1)}
+                      disabled={index === 0}
+                      className="p-1 text-gray-400 hover:text-gray-700 disabled:opacity-30"
+                      title="Move up"
+                    >
+                      <ArrowUp className="h-4 w-4" />
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => moveStep(index, 1)}
+                      disabled={index === steps.length - 1}
+                      className="p-1 text-gray-400 hover:text-gray-700 disabled:opacity-30"
+                      title="Move down"
+                    >
+                      <ArrowDown className="h-4 w-4" />
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setSteps((current) => current.filter((_, i) => i !== index))}
+                      disabled={steps.length === 1}
+                      className="p-1 text-gray-400 hover:text-red-600 disabled:opacity-30"
+                      title="Remove step"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </div>
+                )}
+              </div>
+
+              <div>
+                <p className="block text-sm font-medium text-gray-700 mb-1">Team roles</p>
+                <div className="flex flex-wrap gap-4">
+                  {roles.map((role) => (
+                    <label key={role} className="flex items-center gap-2 text-sm text-gray-700 capitalize">
+                      <input
+                        type="checkbox"
+                        checked={step.roles.includes(role)}
+                        disabled={readOnly}
+                        onChange={() => updateStep(index, { roles: toggle(step.roles, role) })}
+                      />
+                      {role}
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              {members.length > 0 && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Named members</label>
+                  <select
+                    multiple
+                    value={step.userIds}
+                    disabled={readOnly}
+                    onChange={(e) =>
+                      updateStep(index, { userIds: Array.from(e.target.selectedOptions, (option) => option.value) })
+                    }
+                    className={`${inputClassName} h-24`}
+                  >
+                    {members.map((member) => (
+                      <option key={member.id} value={member.id}>
+                        {member.name || member.email} ({member.role})
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Agency workspace roles</label>
+                <input
+                  type="text"
+                  value={step.agencyRoles}
+                  disabled={readOnly}
+                  onChange={(e) => updateStep(index, { agencyRoles: e.target.value })}
+                  placeholder="client"
+                  className={inputClassName}
+                />
+                <p className="mt-1 text-xs text-gray-500">
+                  Comma separated. Lets agency clients with access to the account sign off without a team role.
+                </p>
+              </div>
+            </div>
+          ))}
+
+          {!readOnly && (
+            <div className="flex flex-wrap items-center gap-2">
+              <button
+                type="button"
+                onClick={() => setSteps((current) => [...current, toDraft({ roles: ['owner', 'admin'] })])}
+                disabled={steps.length >= MAX_STEPS}
+                className="inline-flex items-center rounded-md border border-gray-300 px-3 py-2 text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+              >
+                <Plus className="h-4 w-4 mr-2" />
+                Add step
+              </button>
+              <button onClick={handleSave} disabled={saving} className="btn btn-primary btn-md disabled:opacity-60">
+                <Save className="h-4 w-4 mr-2" />
+                Save chain
+              </button>
+              {!isDefault && (
+                <button
+                  type="button"
+                  onClick={() => save({ reset: true }, 'Approval chain reset')}
+                  disabled={saving}
+                  className="inline-flex items-center rounded-md px-3 py-2 text-sm text-gray-600 hover:bg-gray-50 disabled:opacity-50"
+                >
+                  <RotateCcw className="h-4 w-4 mr-2" />
+                  Reset to owner/admin only
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ApprovalChainSettings;
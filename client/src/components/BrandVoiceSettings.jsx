@@ -0,0 +1,215 @@
+import React, { useEffect, useState } from 'react';
+import { Mic, RefreshCw, Save } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { brandVoice } from '../utils/api';
+import LoadingSpinner from './LoadingSpinner';
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : 'Never');
+
+const splitList = (value) =>
+  value
+    .split(/[,\n]/)
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+/**
+ * Brand voice of the selected account: what was learned from its tweets, plus
+ * banned words, pinned example tweets and notes that every AI draft follows.
+ */
+const BrandVoiceSettings = () => {
+  const [profile, setProfile] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [learning, setLearning] = useState(false);
+  const [bannedWords, setBannedWords] = useState('');
+  const [pinnedExamples, setPinnedExamples] = useState('');
+  const [notes, setNotes] = useState('');
+
+  const applyProfile = (next) => {
+    setProfile(next);
+    setBannedWords((next?.banned_words || []).join(', '));
+    setPinnedExamples((next?.pinned_examples || []).join('\n'));
+    setNotes(next?.notes || '');
+  };
+
+  useEffect(() => {
+    let cancelled = false;
+    const fetchProfile = async () => {
+      try {
+        const response = await brandVoice.get();
+        if (!cancelled) applyProfile(response.data?.profile || null);
+      } catch (error) {
+        if (!cancelled) toast.error(error?.response?.data?.error || 'Failed to load brand voice');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    fetchProfile();
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const handleLearn = async () => {
+    setLearning(true);
+    try {
+      const response = await brandVoice.learn();
+      applyProfile(response.data?.profile || null);
+      toast.success(`Voice learned from ${response.data?.profile?.tweets_analysed || 0} tweets`);
+    } catch (error) {
+      toast.error(error?.response?.data?.error || 'Failed to learn brand voice');
+    } finally {
+      setLearning(false);
+    }
+  };
+
+  const handleSave = async (overrides = {}) => {
+    setSaving(true);
+    try {
+      const response = await brandVoice.update({
+        banned_words: splitList(bannedWords),
+        pinned_examples: pinnedExamples.split('\n').map((line) => line.trim()).filter(Boolean),
+        notes,
+        ...overrides,
+      });
+      applyProfile(response.data?.profile || null);
+      toast.success('Brand voice saved');
+    } catch (error) {
+      toast.error(error?.response?.data?.error || 'Failed to save brand voice');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const stats = profile?.learned_stats || {};
+  const isEnabled = profile ? profile.is_enabled !== false : true;
+
+  return (
+    <div className="card">
+      <div className="flex items-start justify-between gap-4 mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">Brand Voice</h3>
+          <p className="mt-1 text-sm text-gray-600">
+            Learned from this account&apos;s own tweets and added to every AI draft — composer, autopilot,
+            weekly content and repurposing. Strategy drafts are scored for how well they match.
+          </p>
+        </div>
+        <Mic className="h-6 w-6 text-gray-400 flex-shrink-0" />
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-6">
+          <LoadingSpinner />
+        </div>
+      ) : (
+        <div className="space-y-5">
+          <div className="flex items-center justify-between rounded-lg border border-gray-200 p-4">
+            <div className="text-sm">
+              <p className="font-medium text-gray-900">
+                {profile?.learned_at ? `Learned from ${profile.tweets_analysed} tweets` : 'Not learned yet'}
+              </p>
+              <p className="text-gray-500">Last learned {formatDateTime(profile?.learned_at)}</p>
+            </div>
+            <div className="flex items-center gap-3">
+              {profile && (
+                <label className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={isEnabled}
+                    disabled={saving}
+                    onChange={(e) => handleSave({ is_enabled: e.target.checked })}
+                  />
+                  Use in AI drafts
+                </label>
+              )}
+              <button onClick={handleLearn} disabled={learning} className="btn btn-secondary btn-md disabled:opacity-60">
+                <RefreshCw className={`h-4 w-4 mr-2 ${learning ? 'animate-spin' : ''}`} />
+                {profile?.learned_at ? 'Relearn' : 'Learn from my tweets'}
+              </button>
+            </div>
+          </div>
+
+          {profile?.learned_at && (
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 text-sm">
+              <div className="rounded-lg bg-gray-50 p-3">
+                <p className="text-gray-500">Avg length</p>
+                <p className="font-medium text-gray-900">{stats.avg_tweet_length || 0} chars</p>
+              </div>
+              <div className="rounded-lg bg-gray-50 p-3">
+                <p className="text-gray-500">Words / sentence</p>
+                <p className="font-medium text-gray-900">{stats.avg_sentence_words || 0}</p>
+              </div>
+              <div className="rounded-lg bg-gray-50 p-3">
+                <p className="text-gray-500">Emojis / tweet</p>
+                <p className="font-medium text-gray-900">
+                  {stats.emoji_per_tweet || 0} {(stats.top_emojis || []).join(' ')}
+                </p>
+              </div>
+              <div className="rounded-lg bg-gray-50 p-3">
+                <p className="text-gray-500">Hashtags / tweet</p>
+                <p className="font-medium text-gray-900 truncate">
+                  {stats.hashtags_per_tweet || 0} {(stats.top_hashtags || []).slice(0, 2).join(' ')}
+                </p>
+              </div>
+            </div>
+          )}
+
+          {(profile?.learned_vocabulary || []).length > 0 && (
+            <div>
+              <p className="text-sm font-medium text-gray-700 mb-1">Words you use often</p>
+              <div className="flex flex-wrap gap-1">
+                {profile.learned_vocabulary.map((word) => (
+                  <span key={word} className="px-2 py-0.5 rounded-full bg-blue-50 text-blue-700 text-xs">
+                    {word}
+                  </span>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Banned words and phrases</label>
+            <input
+              type="text"
+              value={bannedWords}
+              onChange={(e) => setBannedWords(e.target.value)}
+              placeholder="game-changer, synergy, unlock"
+              className="w-full rounded-md border border-gray-300 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <p className="mt-1 text-xs text-gray-500">Comma separated. Drafts that use them are flagged and retried.</p>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Example tweets to imitate</label>
+            <textarea
+              value={pinnedExamples}
+              onChange={(e) => setPinnedExamples(e.target.value)}
+              rows={4}
+              placeholder="One tweet per line (up to 5). Shown to the AI before the learned examples."
+              className="w-full rounded-md border border-gray-300 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+            <textarea
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+              rows={2}
+              maxLength={500}
+              placeholder="e.g. First person, dry humour, never salesy"
+              className="w-full rounded-md border border-gray-300 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+
+          <button onClick={() => handleSave()} disabled={saving} className="btn btn-primary btn-md disabled:opacity-60">
+            <Save className="h-4 w-4 mr-2" />
+            Save voice
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BrandVoiceSettings;
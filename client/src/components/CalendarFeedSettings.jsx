@@ -0,0 +1,154 @@
+import React, { useEffect, useState } from 'react';
+import { CalendarDays, Copy, RefreshCw, Trash2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { calendarFeeds } from '../utils/api';
+import LoadingSpinner from './LoadingSpinner';
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : 'Never');
+
+/**
+ * Manage the read-only .ics feed of the selected account's scheduled posts.
+ * The full feed URL is only returned when it is created, so it is kept in
+ * local state until the user leaves the page.
+ */
+const CalendarFeedSettings = () => {
+  const [feed, setFeed] = useState(null);
+  const [feedUrl, setFeedUrl] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    const fetchFeed = async () => {
+      try {
+        const response = await calendarFeeds.get();
+        if (!cancelled) setFeed(response.data?.feed || null);
+      } catch (error) {
+        if (!cancelled) toast.error(error?.response?.data?.error || 'Failed to load calendar feed');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    fetchFeed();
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const handleCreate = async () => {
+    if (feed && !window.confirm('Regenerate the feed URL? Calendars subscribed to the current URL will stop updating.')) {
+      return;
+    }
+    setSaving(true);
+    try {
+      const response = await calendarFeeds.create();
+      setFeed(response.data?.feed || null);
+      setFeedUrl(response.data?.url || '');
+      toast.success(feed ? 'Calendar feed URL regenerated' : 'Calendar feed created');
+    } catch (error) {
+      toast.error(error?.response?.data?.error || 'Failed to create calendar feed');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRevoke = async () => {
+    if (!window.confirm('Revoke this calendar feed? Subscribed calendars will stop updating.')) return;
+    setSaving(true);
+    try {
+      await calendarFeeds.revoke();
+      setFeed(null);
+      setFeedUrl('');
+      toast.success('Calendar feed revoked');
+    } catch (error) {
+      toast.error(error?.response?.data?.error || 'Failed to revoke calendar feed');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(feedUrl);
+      toast.success('Feed URL copied');
+    } catch {
+      toast.error('Could not copy — select the URL and copy it manually');
+    }
+  };
+
+  return (
+    <div className="card">
+      <div className="flex items-start justify-between gap-4 mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">Calendar Feed</h3>
+          <p className="mt-1 text-sm text-gray-600">
+            Subscribe to this account&apos;s posting calendar from Google Calendar, Outlook or Apple Calendar.
+            Includes scheduled, autopilot and in-review posts with a link back to the Scheduling page.
+          </p>
+        </div>
+        <CalendarDays className="h-6 w-6 text-gray-400 flex-shrink-0" />
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-6">
+          <LoadingSpinner />
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {feedUrl && (
+            <div className="rounded-lg border border-green-200 bg-green-50 p-4">
+              <p className="text-sm font-medium text-green-900 mb-2">
+                Copy this URL now — it won&apos;t be shown again.
+              </p>
+              <div className="flex items-center gap-2">
+                <input
+                  type="text"
+                  readOnly
+                  value={feedUrl}
+                  onFocus={(e) => e.target.select()}
+                  className="flex-1 rounded-md border border-gray-300 bg-white px-3 py-2 text-sm font-mono"
+                />
+                <button onClick={handleCopy} className="btn btn-secondary btn-md">
+                  <Copy className="h-4 w-4 mr-2" />
+                  Copy
+                </button>
+              </div>
+            </div>
+          )}
+
+          {feed ? (
+            <div className="flex items-center justify-between rounded-lg border border-gray-200 p-4">
+              <div className="text-sm">
+                <p className="font-medium text-gray-900">Feed active (…{feed.token_hint})</p>
+                <p className="text-gray-500">
+                  Created {formatDateTime(feed.created_at)} • Last fetched {formatDateTime(feed.last_accessed_at)}
+                </p>
+              </div>
+              <div className="flex items-center gap-2">
+                <button onClick={handleCreate} disabled={saving} className="btn btn-secondary btn-md disabled:opacity-60">
+                  <RefreshCw className="h-4 w-4 mr-2" />
+                  Regenerate
+                </button>
+                <button
+                  onClick={handleRevoke}
+                  disabled={saving}
+                  className="btn btn-md border border-red-300 text-red-700 hover:bg-red-50 disabled:opacity-60"
+                >
+                  <Trash2 className="h-4 w-4 mr-2" />
+                  Revoke
+                </button>
+              </div>
+            </div>
+          ) : (
+            <button onClick={handleCreate} disabled={saving} className="btn btn-primary btn-md disabled:opacity-60">
+              <CalendarDays className="h-4 w-4 mr-2" />
+              Create calendar feed
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CalendarFeedSettings;
@@ -0,0 +1,202 @@
+import React, { useEffect, useState } from 'react';
+import { Save, ShieldCheck } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { compliance } from '../utils/api';
+import LoadingSpinner from './LoadingSpinner';
+
+const splitList = (value) =>
+  value
+    .split(/[,\n]/)
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+const inputClassName =
+  'w-full rounded-md border border-gray-300 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-50';
+
+/**
+ * Publishing guardrails for the selected team (or the personal account):
+ * banned phrases, required disclosures, allowed link domains and a hashtag cap.
+ */
+const ComplianceSettings = () => {
+  const [rules, setRules] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [isEnabled, setIsEnabled] = useState(true);
+  const [bannedPhrases, setBannedPhrases] = useState('');
+  const [disclosures, setDisclosures] = useState('');
+  const [domains, setDomains] = useState('');
+  const [maxHashtags, setMaxHashtags] = useState('');
+  const [enforcement, setEnforcement] = useState('block');
+
+  const applyRules = (next) => {
+    setRules(next);
+    setIsEnabled(next?.is_enabled !== false);
+    setBannedPhrases((next?.banned_phrases || []).join(', '));
+    setDisclosures((next?.required_disclosures || []).join('\n'));
+    setDomains((next?.allowed_link_domains || []).join(', '));
+    setMaxHashtags(next?.max_hashtags ?? '');
+    setEnforcement(next?.enforcement || 'block');
+  };
+
+  useEffect(() => {
+    let cancelled = false;
+    const fetchRules = async () => {
+      try {
+        const response = await compliance.get();
+        if (!cancelled) applyRules(response.data?.rules || null);
+      } catch (error) {
+        if (!cancelled) toast.error(error?.response?.data?.error || 'Failed to load compliance rules');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    fetchRules();
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const response = await compliance.update({
+        is_enabled: isEnabled,
+        banned_phrases: splitList(bannedPhrases),
+        required_disclosures: disclosures.split('\n').map((line) => line.trim()).filter(Boolean),
+        allowed_link_domains: splitList(domains),
+        max_hashtags: maxHashtags === '' ? null : Number(maxHashtags),
+        enforcement,
+      });
+      applyRules(response.data?.rules || null);
+      toast.success('Compliance rules saved');
+    } catch (error) {
+      toast.error(error?.response?.data?.error || 'Failed to save compliance rules');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const readOnly = rules ? !rules.can_manage : false;
+  const isTeam = rules?.scope === 'team';
+
+  return (
+    <div className="card">
+      <div className="flex items-start justify-between gap-4 mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">Compliance Rules</h3>
+          <p className="mt-1 text-sm text-gray-600">
+            Checked when posts are created, in the content queue and again right before the scheduler publishes —
+            including autopilot posts.{' '}
+            {isTeam ? 'These rules apply to every member of the team.' : 'These rules apply to your personal account.'}
+          </p>
+        </div>
+        <ShieldCheck className="h-6 w-6 text-gray-400 flex-shrink-0" />
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-6">
+          <LoadingSpinner />
+        </div>
+      ) : (
+        <div className="space-y-5">
+          {readOnly && (
+            <p className="rounded-md bg-gray-50 px-3 py-2 text-sm text-gray-600">
+              Only team owners and admins can change these rules.
+            </p>
+          )}
+
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={isEnabled}
+              disabled={readOnly}
+              onChange={(e) => setIsEnabled(e.target.checked)}
+            />
+            Enforce these rules
+          </label>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Banned phrases</label>
+            <input
+              type="text"
+              value={bannedPhrases}
+              disabled={readOnly}
+              onChange={(e) => setBannedPhrases(e.target.value)}
+              placeholder="guaranteed returns, risk-free, cure"
+              className={inputClassName}
+            />
+            <p className="mt-1 text-xs text-gray-500">Comma separated. Matched as whole words, in every tweet of a thread.</p>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Required disclosures</label>
+            <textarea
+              value={disclosures}
+              disabled={readOnly}
+              onChange={(e) => setDisclosures(e.target.value)}
+              rows={2}
+              placeholder={'#ad|#sponsored\nNot financial advice'}
+              className={inputClassName}
+            />
+            <p className="mt-1 text-xs text-gray-500">
+              One per line, required in the first tweet. Separate alternatives with | — any one of them counts.
+            </p>
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+            <div className="sm:col-span-2">
+              <label className="block text-sm font-medium text-gray-700 mb-1">Allowed link domains</label>
+              <input
+                type="text"
+                value={domains}
+                disabled={readOnly}
+                onChange={(e) => setDomains(e.target.value)}
+                placeholder="acme.com, bit.ly"
+                className={inputClassName}
+              />
+              <p className="mt-1 text-xs text-gray-500">Subdomains are allowed too. Leave empty to allow any link.</p>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Max hashtags per tweet</label>
+              <input
+                type="number"
+                min={0}
+                max={30}
+                value={maxHashtags}
+                disabled={readOnly}
+                onChange={(e) => setMaxHashtags(e.target.value)}
+                placeholder="No limit"
+                className={inputClassName}
+              />
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">When a post breaks a rule</label>
+            <select
+              value={enforcement}
+              disabled={readOnly || !isTeam}
+              onChange={(e) => setEnforcement(e.target.value)}
+              className={inputClassName}
+            >
+              <option value="block">Block it</option>
+              {isTeam && <option value="require_approval">Send it to an owner or admin for approval</option>}
+            </select>
+            {!isTeam && (
+              <p className="mt-1 text-xs text-gray-500">Personal posts have no approver, so violations always block.</p>
+            )}
+          </div>
+
+          {!readOnly && (
+            <button onClick={handleSave} disabled={saving} className="btn btn-primary btn-md disabled:opacity-60">
+              <Save className="h-4 w-4 mr-2" />
+              Save rules
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ComplianceSettings;
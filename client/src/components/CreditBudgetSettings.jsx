@@ -0,0 +1,300 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Download, Trash2, Wallet } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { credits } from '../utils/api';
+import LoadingSpinner from './LoadingSpinner';
+
+const SCOPE_LABELS = { member: 'Member', strategy: 'Strategy' };
+
+const EMPTY_FORM = { scope_type: 'strategy', scope_id: '', monthly_limit: '', warn_thresholds: '80', hard_stop: true };
+
+const inputClassName =
+  'rounded-md border border-gray-300 bg-white px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const currentMonth = () => new Date().toISOString().slice(0, 7);
+
+const errorMessage = (error, fallback) => error?.response?.data?.error || fallback;
+
+const parseThresholds = (value) =>
+  String(value || '')
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .map(Number);
+
+const csvCell = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+
+// One CSV for billing: every member, strategy and client line of the month.
+const buildReportCsv = (report) => {
+  const lines = [['group', 'name', 'credits', 'operations']];
+  report.by_member.forEach((row) => lines.push(['member', row.name || row.email || row.user_id, row.credits, row.operations]));
+  report.by_strategy.forEach((row) => lines.push(['strategy', row.niche || row.strategy_id || 'No strategy', row.credits, row.operations]));
+  report.by_client.forEach((row) => lines.push(['client', row.agency_workspace_id || 'Direct', row.credits, row.operations]));
+  return lines.map((line) => line.map(csvCell).join(',')).join('\n');
+};
+
+const downloadCsv = (report) => {
+  const url = URL.createObjectURL(new Blob([buildReportCsv(report)], { type: 'text/csv' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `credit-usage-${report.month}.csv`;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+const BreakdownTable = ({ title, rows, label }) => (
+  <div>
+    <h4 className="mb-2 text-sm font-medium text-gray-700">{title}</h4>
+    {rows.length === 0 ? (
+      <p className="text-sm text-gray-500">No usage.</p>
+    ) : (
+      <table className="min-w-full text-sm">
+        <tbody className="divide-y divide-gray-100">
+          {rows.map((row, index) => (
+            <tr key={`${label(row)}-${index}`}>
+              <td className="py-1.5 pr-4 text-gray-900">{label(row)}</td>
+              <td className="py-1.5 text-right text-gray-500">{row.operations} ops</td>
+              <td className="py-1.5 pl-4 text-right font-medium text-gray-900">{row.credits}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    )}
+  </div>
+);
+
+/**
+ * Monthly credit budgets per team member and per strategy, with warning
+ * thresholds and hard stops, plus the month's spend by member, strategy and
+ * agency client for billing AI usage back.
+ */
+const CreditBudgetSettings = () => {
+  const [budgets, setBudgets] = useState([]);
+  const [scopeTypes, setScopeTypes] = useState(['strategy']);
+  const [members, setMembers] = useState([]);
+  const [strategies, setStrategies] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [loading, setLoading] = useState(true);
+  const [forbidden, setForbidden] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [month, setMonth] = useState(currentMonth);
+  const [report, setReport] = useState(null);
+
+  const fetchBudgets = useCallback(async () => {
+    try {
+      const { data } = await credits.getBudgets();
+      setBudgets(data.budgets || []);
+      setScopeTypes(data.scope_types || ['strategy']);
+      setMembers(data.members || []);
+      setStrategies(data.strategies || []);
+      setForbidden(false);
+    } catch (error) {
+      if (error?.response?.status === 403) setForbidden(true);
+      else toast.error(errorMessage(error, 'Failed to load credit budgets'));
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchBudgets();
+  }, [fetchBudgets]);
+
+  useEffect(() => {
+    if (forbidden) return undefined;
+    let cancelled = false;
+    credits
+      .getReport(month)
+      .then(({ data }) => {
+        if (!cancelled) setReport(data.report || null);
+      })
+      .catch((error) => {
+        if (!cancelled && error?.response?.status !== 403) toast.error(errorMessage(error, 'Failed to load credit report'));
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [month, forbidden, budgets]);
+
+  const targets = form.scope_type === 'member'
+    ? members.map((member) => ({ id: member.user_id, label: member.name || member.email || 'Team member' }))
+    : strategies.map((strategy) => ({ id: strategy.id, label: strategy.niche || 'Untitled strategy' }));
+
+  const updateForm = (name) => (e) => {
+    const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+    setForm((current) => ({ ...current, [name]: value, ...(name === 'scope_type' ? { scope_id: '' } : {}) }));
+  };
+
+  const editBudget = (budget) =>
+    setForm({
+      scope_type: budget.scope_type,
+      scope_id: budget.scope_id,
+      monthly_limit: String(budget.monthly_limit),
+      warn_thresholds: budget.warn_thresholds.join(', '),
+      hard_stop: budget.hard_stop,
+    });
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await credits.saveBudget({
+        ...form,
+        monthly_limit: Number(form.monthly_limit),
+        warn_thresholds: parseThresholds(form.warn_thresholds),
+      });
+      toast.success('Budget saved');
+      setForm(EMPTY_FORM);
+      await fetchBudgets();
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to save budget'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (budget) => {
+    try {
+      await credits.deleteBudget(budget.id);
+      toast.success('Budget removed');
+      await fetchBudgets();
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to remove budget'));
+    }
+  };
+
+  if (forbidden) return null;
+
+  return (
+    <div className="card">
+      <div className="flex items-start justify-between gap-4 mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">Credit Budgets</h3>
+          <p className="mt-1 text-sm text-gray-600">
+            Cap what a {scopeTypes.includes('member') ? 'member or ' : ''}strategy can spend each month. Warnings go out
+            at your thresholds; with a hard stop, AI usage is refused and autopilot pauses until the next month.
+          </p>
+        </div>
+        <Wallet className="h-6 w-6 text-gray-400 flex-shrink-0" />
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-6">
+          <LoadingSpinner />
+        </div>
+      ) : (
+        <div className="space-y-6">
+          <div className="divide-y divide-gray-100">
+            {budgets.length === 0 && <p className="py-2 text-sm text-gray-500">No budgets yet.</p>}
+            {budgets.map((budget) => (
+              <div key={budget.id} className="flex items-center gap-4 py-3">
+                <button type="button" onClick={() => editBudget(budget)} className="min-w-0 flex-1 text-left">
+                  <p className="text-sm font-medium text-gray-900">
+                    {budget.scope_label || 'Unknown'}{' '}
+                    <span className="text-xs font-normal text-gray-500">
+                      {SCOPE_LABELS[budget.scope_type]} · {budget.hard_stop ? 'hard stop' : 'warn only'}
+                      {budget.warn_thresholds.length > 0 && ` · warn at ${budget.warn_thresholds.join('%, ')}%`}
+                    </span>
+                  </p>
+                  <div className="mt-1.5 h-1.5 w-full rounded-full bg-gray-100">
+                    <div
+                      className={`h-1.5 rounded-full ${budget.percent_used >= 100 ? 'bg-red-500' : budget.percent_used >= 80 ? 'bg-yellow-500' : 'bg-blue-500'}`}
+                      style={{ width: `${Math.min(100, budget.percent_used)}%` }}
+                    />
+                  </div>
+                  <p className="mt-1 text-xs text-gray-500">
+                    {budget.spent} of {budget.monthly_limit} credits this month
+                  </p>
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleDelete(budget)}
+                  className="p-1 text-gray-400 hover:text-red-600"
+                  title="Remove budget"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              </div>
+            ))}
+          </div>
+
+          <form onSubmit={handleSave} className="flex flex-wrap items-end gap-3">
+            {scopeTypes.length > 1 && (
+              <select value={form.scope_type} onChange={updateForm('scope_type')} className={inputClassName}>
+                {scopeTypes.map((type) => (
+                  <option key={type} value={type}>{SCOPE_LABELS[type]}</option>
+                ))}
+              </select>
+            )}
+            <select value={form.scope_id} onChange={updateForm('scope_id')} className={inputClassName} required>
+              <option value="">Choose {form.scope_type === 'member' ? 'a member' : 'a strategy'}</option>
+              {targets.map((target) => (
+                <option key={target.id} value={target.id}>{target.label}</option>
+              ))}
+            </select>
+            <input
+              type="number"
+              min="0.01"
+              step="0.01"
+              value={form.monthly_limit}
+              onChange={updateForm('monthly_limit')}
+              placeholder="Credits / month"
+              className={`${inputClassName} w-36`}
+              required
+            />
+            <input
+              type="text"
+              value={form.warn_thresholds}
+              onChange={updateForm('warn_thresholds')}
+              placeholder="Warn at %, e.g. 50, 80"
+              className={`${inputClassName} w-44`}
+            />
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input type="checkbox" checked={form.hard_stop} onChange={updateForm('hard_stop')} />
+              Hard stop
+            </label>
+            <button type="submit" disabled={saving} className="btn btn-primary btn-md disabled:opacity-60">
+              {saving ? 'Saving…' : 'Save budget'}
+            </button>
+          </form>
+
+          <div className="border-t border-gray-100 pt-4">
+            <div className="mb-3 flex flex-wrap items-center gap-3">
+              <h4 className="text-sm font-semibold text-gray-900">Usage report</h4>
+              <input
+                type="month"
+                value={month}
+                max={currentMonth()}
+                onChange={(e) => setMonth(e.target.value || currentMonth())}
+                className={inputClassName}
+              />
+              {report && (
+                <>
+                  <span className="text-sm text-gray-600">{report.total} credits</span>
+                  <button
+                    type="button"
+                    onClick={() => downloadCsv(report)}
+                    className="ml-auto inline-flex items-center gap-1.5 rounded-lg border border-gray-300 bg-white px-3 py-1.5 text-sm font-medium text-gray-700 hover:bg-gray-50"
+                  >
+                    <Download className="h-4 w-4" />
+                    Export CSV
+                  </button>
+                </>
+              )}
+            </div>
+            {report && (
+              <div className="grid gap-6 md:grid-cols-3">
+                {report.scope === 'team' && (
+                  <BreakdownTable title="By member" rows={report.by_member} label={(row) => row.name || row.email || row.user_id} />
+                )}
+                <BreakdownTable title="By strategy" rows={report.by_strategy} label={(row) => row.niche || (row.strategy_id ? 'Untitled strategy' : 'No strategy')} />
+                <BreakdownTable title="By client" rows={report.by_client} label={(row) => row.agency_workspace_id || 'Direct'} />
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CreditBudgetSettings;
@@ -23,6 +23,9 @@ import {
   History,
   Sparkles,
   ClipboardList,
+  Inbox,
+  ClipboardCheck,
+  ScrollText,
 } from 'lucide-react';
 
 const Layout = ({ children }) => {
@@ -46,10 +49,16 @@ const Layout = ({ children }) => {
     { name: 'Bulk Generation', href: '/bulk-generation', icon: BarChart3, proOnly: true },
     { name: 'Scheduling', href: '/scheduling', icon: CalendarDays },
     { name: 'History', href: '/history', icon: History },
+    { name: 'Inbox', href: '/inbox', icon: Inbox },
+    { name: 'Approvals', href: '/approvals', icon: ClipboardCheck },
+    { name: 'Activity', href: '/activity', icon: ScrollText },
     { name: 'Analytics', href: '/analytics', icon: BarChart3 },
     { name: 'Settings', href: '/settings', icon: Settings },
   ];
-  const visibleNavigation = navigation;
+  // Team members without analytics permission on the selected account don't get the page.
+  const visibleNavigation = navigation.filter(
+    (item) => item.href !== '/analytics' || selectedAccount?.permissions?.analytics !== false
+  );
 
   const isActive = (href) => location.pathname === href;
 
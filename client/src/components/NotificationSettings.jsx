@@ -0,0 +1,199 @@
+import React, { useEffect, useState } from 'react';
+import { Bell, MessageSquare, Send } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { autopilot } from '../utils/api';
+import LoadingSpinner from './LoadingSpinner';
+
+const EVENT_ROUTES = [
+  { key: 'tweet_failures', label: 'Tweet failures', description: 'A scheduled post or thread failed to publish' },
+  { key: 'autopilot_paused', label: 'Autopilot paused', description: 'Prompts ran out, credits were insufficient or a credit budget was used up' },
+  { key: 'low_credits', label: 'Low credits', description: 'Balance dropped to 5 credits or fewer, or a credit budget crossed a warning threshold' },
+  { key: 'weekly_digest', label: 'Weekly digest', description: 'Posted, failed and generated counts for the week' },
+];
+
+const PROVIDERS = [
+  { value: 'slack', label: 'Slack', placeholder: 'https://hooks.slack.com/services/...' },
+  { value: 'discord', label: 'Discord', placeholder: 'https://discord.com/api/webhooks/...' },
+];
+
+/**
+ * Per-event routing of notifications to email and to a Slack/Discord
+ * incoming webhook. Each channel has its own switches and cooldown.
+ */
+const NotificationSettings = () => {
+  const [prefs, setPrefs] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [chatProvider, setChatProvider] = useState('slack');
+  const [chatUrl, setChatUrl] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    const fetchPrefs = async () => {
+      try {
+        const response = await autopilot.getNotificationPrefs();
+        if (cancelled) return;
+        const data = response.data?.data || null;
+        setPrefs(data);
+        if (data?.chat_provider) setChatProvider(data.chat_provider);
+        setChatUrl(data?.chat_webhook_url || '');
+      } catch (error) {
+        if (!cancelled) toast.error(error?.response?.data?.error || 'Failed to load notification preferences');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    fetchPrefs();
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const savePrefs = async (updates, successMessage) => {
+    setSaving(true);
+    try {
+      const response = await autopilot.updateNotificationPrefs(updates);
+      setPrefs(response.data?.data || prefs);
+      if (successMessage) toast.success(successMessage);
+      return true;
+    } catch (error) {
+      toast.error(error?.response?.data?.error || 'Failed to update notification preferences');
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggle = (column) => savePrefs({ [column]: !prefs?.[column] });
+
+  const handleConnectChat = async (e) => {
+    e.preventDefault();
+    await savePrefs({ chat_provider: chatProvider, chat_webhook_url: chatUrl }, 'Chat channel saved');
+  };
+
+  const handleDisconnectChat = async () => {
+    if (!window.confirm('Stop sending notifications to chat?')) return;
+    if (await savePrefs({ chat_provider: null }, 'Chat channel disconnected')) setChatUrl('');
+  };
+
+  const handleTestChat = async () => {
+    try {
+      await autopilot.testChatNotification();
+      toast.success('Test message sent');
+    } catch (error) {
+      toast.error(error?.response?.data?.error || 'Failed to send test message');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="card flex justify-center py-6">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  const chatConnected = Boolean(prefs?.chat_provider && prefs?.chat_webhook_url);
+  const providerConfig = PROVIDERS.find((provider) => provider.value === chatProvider) || PROVIDERS[0];
+
+  return (
+    <div className="card">
+      <div className="flex items-start justify-between gap-4 mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">Notifications</h3>
+          <p className="mt-1 text-sm text-gray-600">
+            Choose where each alert goes. Repeats of the same alert are held back for a while on each channel.
+          </p>
+        </div>
+        <Bell className="h-6 w-6 text-gray-400 flex-shrink-0" />
+      </div>
+
+      <form onSubmit={handleConnectChat} className="rounded-lg border border-gray-200 p-4 mb-4 space-y-3">
+        <div className="flex items-center gap-2">
+          <MessageSquare className="h-5 w-5 text-gray-500" />
+          <p className="text-sm font-medium text-gray-900">
+            Chat channel {chatConnected ? `(${prefs.chat_provider === 'discord' ? 'Discord' : 'Slack'} connected)` : ''}
+          </p>
+        </div>
+        <div className="flex flex-col sm:flex-row gap-2">
+          <select
+            value={chatProvider}
+            onChange={(e) => setChatProvider(e.target.value)}
+            className="rounded-md border border-gray-300 px-3 py-2 text-sm"
+          >
+            {PROVIDERS.map((provider) => (
+              <option key={provider.value} value={provider.value}>{provider.label}</option>
+            ))}
+          </select>
+          <input
+            type="url"
+            required
+            value={chatUrl}
+            onChange={(e) => setChatUrl(e.target.value)}
+            placeholder={providerConfig.placeholder}
+            className="flex-1 rounded-md border border-gray-300 px-3 py-2 text-sm"
+          />
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <button type="submit" disabled={saving} className="btn btn-primary btn-md disabled:opacity-60">
+            {chatConnected ? 'Update' : 'Connect'}
+          </button>
+          {chatConnected && (
+            <>
+              <button type="button" onClick={handleTestChat} className="btn btn-secondary btn-md">
+                <Send className="h-4 w-4 mr-2" />
+                Send test
+              </button>
+              <button
+                type="button"
+                onClick={handleDisconnectChat}
+                disabled={saving}
+                className="btn btn-md border border-red-300 text-red-700 hover:bg-red-50 disabled:opacity-60"
+              >
+                Disconnect
+              </button>
+            </>
+          )}
+        </div>
+      </form>
+
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-gray-500">
+            <th className="py-2 font-medium">Event</th>
+            <th className="py-2 font-medium text-center w-20">Email</th>
+            <th className="py-2 font-medium text-center w-20">Chat</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-100">
+          {EVENT_ROUTES.map((route) => (
+            <tr key={route.key}>
+              <td className="py-3">
+                <p className="font-medium text-gray-900">{route.label}</p>
+                <p className="text-gray-500">{route.description}</p>
+              </td>
+              <td className="py-3 text-center">
+                <input
+                  type="checkbox"
+                  checked={prefs?.[`notify_${route.key}`] !== false}
+                  disabled={saving}
+                  onChange={() => handleToggle(`notify_${route.key}`)}
+                />
+              </td>
+              <td className="py-3 text-center">
+                <input
+                  type="checkbox"
+                  checked={prefs?.[`chat_notify_${route.key}`] === true}
+                  disabled={saving || !chatConnected}
+                  onChange={() => handleToggle(`chat_notify_${route.key}`)}
+                />
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default NotificationSettings;
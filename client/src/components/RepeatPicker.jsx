@@ -0,0 +1,76 @@
+import React, { useMemo } from 'react';
+import { Repeat } from 'lucide-react';
+import { buildRepeatOptions } from '../utils/recurrence';
+
+/**
+ * Repeat preset + end condition for recurring posts. `rule` is the preset
+ * RRULE without COUNT/UNTIL; `end` is { type, count, until }.
+ */
+const RepeatPicker = ({ firstPostAt, rule, end, onRuleChange, onEndChange, disabled = false }) => {
+  const options = useMemo(() => {
+    const presets = buildRepeatOptions(firstPostAt);
+    // Keep a stored rule selectable even when it isn't one of today's presets.
+    return rule && !presets.some((option) => option.value === rule)
+      ? [...presets, { value: rule, label: `Custom (${rule})` }]
+      : presets;
+  }, [firstPostAt, rule]);
+
+  return (
+    <div className="mb-3">
+      <label className="flex items-center gap-1 text-xs font-medium text-gray-600 mb-1">
+        <Repeat className="w-3.5 h-3.5" />
+        Repeat
+      </label>
+      <select
+        value={rule}
+        disabled={disabled}
+        onChange={(e) => onRuleChange(e.target.value)}
+        className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+      >
+        {options.map((option) => (
+          <option key={option.value || 'none'} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+      {rule && (
+        <div className="flex flex-wrap items-center gap-2 mt-2 text-sm">
+          <span className="text-xs text-gray-600">Ends</span>
+          <select
+            value={end.type}
+            disabled={disabled}
+            onChange={(e) => onEndChange({ ...end, type: e.target.value })}
+            className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+          >
+            <option value="never">Never</option>
+            <option value="count">After</option>
+            <option value="until">On date</option>
+          </select>
+          {end.type === 'count' && (
+            <>
+              <input
+                type="number"
+                min={1}
+                max={500}
+                value={end.count}
+                disabled={disabled}
+                onChange={(e) => onEndChange({ ...end, count: e.target.value })}
+                className="w-20 px-2 py-1 border border-gray-300 rounded-md text-sm"
+              />
+              <span className="text-xs text-gray-600">posts</span>
+            </>
+          )}
+          {end.type === 'until' && (
+            <input
+              type="date"
+              value={end.until}
+              disabled={disabled}
+              onChange={(e) => onEndChange({ ...end, until: e.target.value })}
+              className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+            />
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RepeatPicker;
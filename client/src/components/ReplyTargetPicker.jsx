@@ -0,0 +1,103 @@
+import React from 'react';
+import { CornerDownRight, Quote, Reply } from 'lucide-react';
+
+export const FOLLOW_UP_DELAY_OPTIONS = [1, 2, 3, 6, 12, 24, 48];
+
+const X_POST_URL_PATTERN = /^(?:https?:\/\/)?(?:www\.|mobile\.)?(?:x|twitter)\.com\/(?:[A-Za-z0-9_]{1,15}|i\/web)\/status(?:es)?\/\d+/i;
+
+export const isValidPostUrl = (value) => {
+  const raw = String(value || '').trim();
+  return /^\d{1,20}$/.test(raw) || X_POST_URL_PATTERN.test(raw);
+};
+
+// Request fields for POST /api/scheduling, or {} when neither option is used.
+export const buildReplyTargetFields = (target, followUp) => ({
+  ...(target.type && target.url.trim() && { targetTweet: { type: target.type, url: target.url.trim() } }),
+  ...(followUp.enabled && followUp.content.trim() && {
+    followUp: { content: followUp.content.trim(), delayHours: Number(followUp.delayHours) },
+  }),
+});
+
+/**
+ * Schedule a post as a reply to / quote of another post, and optionally
+ * reply to it ourselves a few hours after it goes out. `target` is
+ * { type: ''|'reply'|'quote', url }; `followUp` is { enabled, content, delayHours }.
+ */
+const ReplyTargetPicker = ({ target, followUp, onTargetChange, onFollowUpChange, disabled = false }) => (
+  <div className="mb-3 space-y-3">
+    <div>
+      <label className="flex items-center gap-1 text-xs font-medium text-gray-600 mb-1">
+        <Reply className="w-3.5 h-3.5" />
+        Post as
+      </label>
+      <select
+        value={target.type}
+        disabled={disabled}
+        onChange={(e) => onTargetChange({ ...target, type: e.target.value })}
+        className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+      >
+        <option value="">New post</option>
+        <option value="reply">Reply to a post</option>
+        <option value="quote">Quote a post</option>
+      </select>
+      {target.type && (
+        <>
+          <input
+            type="url"
+            value={target.url}
+            disabled={disabled}
+            onChange={(e) => onTargetChange({ ...target, url: e.target.value })}
+            placeholder="https://x.com/user/status/123…"
+            className="w-full mt-2 px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <p className="flex items-center gap-1 text-xs text-gray-500 mt-1">
+            <Quote className="w-3 h-3" />
+            We check the post still exists before publishing; if it was deleted, this one is not sent.
+          </p>
+        </>
+      )}
+    </div>
+
+    <div>
+      <label className="flex items-center gap-2 text-xs font-medium text-gray-600">
+        <input
+          type="checkbox"
+          checked={followUp.enabled}
+          disabled={disabled}
+          onChange={(e) => onFollowUpChange({ ...followUp, enabled: e.target.checked })}
+        />
+        <CornerDownRight className="w-3.5 h-3.5" />
+        Add a follow-up reply later
+      </label>
+      {followUp.enabled && (
+        <div className="mt-2 space-y-2">
+          <textarea
+            value={followUp.content}
+            disabled={disabled}
+            maxLength={280}
+            rows={2}
+            onChange={(e) => onFollowUpChange({ ...followUp, content: e.target.value })}
+            placeholder="e.g. Full write-up here: https://…"
+            className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <div className="flex items-center gap-2 text-xs text-gray-600">
+            <span>Reply</span>
+            <select
+              value={followUp.delayHours}
+              disabled={disabled}
+              onChange={(e) => onFollowUpChange({ ...followUp, delayHours: Number(e.target.value) })}
+              className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+            >
+              {FOLLOW_UP_DELAY_OPTIONS.map((hours) => (
+                <option key={hours} value={hours}>{hours} {hours === 1 ? 'hour' : 'hours'}</option>
+              ))}
+            </select>
+            <span>after this post goes out</span>
+          </div>
+        </div>
+      )}
+    </div>
+  </div>
+);
+
+export default ReplyTargetPicker;
@@ -0,0 +1,279 @@
+import React, { useEffect, useState } from 'react';
+import { Copy, Link2, Loader2, Share2, Trash2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { contentReview, reviewLinks } from '../utils/api';
+
+const EXPIRY_OPTIONS = [1, 3, 7, 14, 30];
+
+const ACTION_LABELS = {
+  approved: 'approved',
+  rejected: 'rejected',
+  commented: 'commented on',
+};
+
+const inputClassName =
+  'w-full rounded-md border border-gray-300 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const formatWhen = (value) =>
+  value ? new Date(value).toLocaleString(undefined, { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' }) : '';
+
+const preview = (content = '') => (content.length > 80 ? `${content.slice(0, 80)}…` : content);
+
+const LinkActivity = ({ linkId }) => {
+  const [events, setEvents] = useState(null);
+
+  useEffect(() => {
+    reviewLinks
+      .events(linkId)
+      .then(({ data }) => setEvents(data.events || []))
+      .catch(() => setEvents([]));
+  }, [linkId]);
+
+  if (!events) return <Loader2 className="h-4 w-4 animate-spin text-gray-400" />;
+  if (events.length === 0) return <p className="text-xs text-gray-500">Nobody has acted on this link yet.</p>;
+  return (
+    <ul className="space-y-1.5">
+      {events.map((event) => (
+        <li key={event.id} className="text-xs text-gray-600">
+          <span className="font-medium text-gray-800">{event.reviewer_name}</span>
+          {event.reviewer_email && ` (${event.reviewer_email})`} {ACTION_LABELS[event.action]} “{preview(event.content || '')}”
+          {event.comment && <span className="text-gray-500"> — {event.comment}</span>}
+          <span className="text-gray-400"> · {formatWhen(event.created_at)}{event.ip_address && ` · ${event.ip_address}`}</span>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+/**
+ * Share pending approvals and content-queue items with an external client
+ * through an expiring link, and see what they did with it.
+ */
+const ReviewLinksPanel = ({ pendingTweets = [] }) => {
+  const [links, setLinks] = useState([]);
+  const [queueItems, setQueueItems] = useState([]);
+  const [creating, setCreating] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [label, setLabel] = useState('');
+  const [expiresInDays, setExpiresInDays] = useState(7);
+  const [selected, setSelected] = useState({});
+  const [createdUrl, setCreatedUrl] = useState(null);
+  const [openLinkId, setOpenLinkId] = useState(null);
+
+  const fetchLinks = () =>
+    reviewLinks
+      .list()
+      .then(({ data }) => setLinks(data.links || []))
+      .catch(() => setLinks([]));
+
+  useEffect(() => {
+    fetchLinks();
+  }, []);
+
+  const startCreating = async () => {
+    setCreating(true);
+    setCreatedUrl(null);
+    setSelected({});
+    try {
+      const { data } = await contentReview.list({ status: 'pending' });
+      setQueueItems(data.items || []);
+    } catch {
+      // The content queue is a Pro feature; links can still share approvals.
+      setQueueItems([]);
+    }
+  };
+
+  const toggle = (key) => setSelected((current) => ({ ...current, [key]: !current[key] }));
+
+  const selectedIds = (type) =>
+    Object.entries(selected)
+      .filter(([key, value]) => value && key.startsWith(`${type}:`))
+      .map(([key]) => key.slice(type.length + 1));
+
+  const createLink = async () => {
+    setSaving(true);
+    try {
+      const { data } = await reviewLinks.create({
+        label,
+        expiresInDays,
+        scheduledTweetIds: selectedIds('scheduled_tweet'),
+        queueItemIds: selectedIds('content_queue'),
+      });
+      setCreatedUrl(data.url);
+      setCreating(false);
+      setLabel('');
+      if (data.skipped > 0) toast(`${data.skipped} post(s) were no longer waiting for review and were left out`);
+      fetchLinks();
+    } catch (error) {
+      toast.error(error?.response?.data?.error || 'Failed to create review link');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const copyUrl = async () => {
+    try {
+      await navigator.clipboard.writeText(createdUrl);
+      toast.success('Link copied');
+    } catch {
+      toast.error('Copy failed — select the link and copy it manually');
+    }
+  };
+
+  const revoke = async (linkId) => {
+    if (!confirm('Revoke this link? The client will no longer be able to open it.')) return;
+    try {
+      await reviewLinks.revoke(linkId);
+      toast.success('Link revoked');
+      fetchLinks();
+    } catch (error) {
+      toast.error(error?.response?.data?.error || 'Failed to revoke link');
+    }
+  };
+
+  const candidates = [
+    ...pendingTweets.map((tweet) => ({ key: `scheduled_tweet:${tweet.id}`, content: tweet.content, source: tweet.team_name })),
+    ...queueItems.map((item) => ({ key: `content_queue:${item.id}`, content: item.content, source: 'Content queue' })),
+  ];
+  const selectedCount = Object.values(selected).filter(Boolean).length;
+
+  return (
+    <div className="card space-y-4">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h2 className="flex items-center gap-2 text-lg font-semibold text-gray-900">
+            <Link2 className="h-5 w-5 text-gray-400" />
+            Client review links
+          </h2>
+          <p className="mt-1 text-sm text-gray-600">
+            Share pending posts with a client. They can approve, reject or comment without an account.
+          </p>
+        </div>
+        {!creating && (
+          <button type="button" onClick={startCreating} className="btn btn-primary btn-md">
+            <Share2 className="h-4 w-4 mr-2" />
+            New link
+          </button>
+        )}
+      </div>
+
+      {createdUrl && (
+        <div className="space-y-2 rounded-lg border border-green-200 bg-green-50 p-3">
+          <p className="text-sm text-green-900">Send this link to your client. It is only shown once.</p>
+          <div className="flex gap-2">
+            <input readOnly value={createdUrl} className={inputClassName} onFocus={(e) => e.target.select()} />
+            <button
+              type="button"
+              onClick={copyUrl}
+              className="rounded-md border border-gray-300 bg-white px-3 text-gray-700 hover:bg-gray-50"
+              title="Copy link"
+            >
+              <Copy className="h-4 w-4" />
+            </button>
+          </div>
+        </div>
+      )}
+
+      {creating && (
+        <div className="space-y-3 rounded-lg border border-gray-200 p-3">
+          <div className="grid grid-cols-1 gap-3 sm:grid-cols-3">
+            <input
+              type="text"
+              value={label}
+              onChange={(e) => setLabel(e.target.value)}
+              placeholder="Who is it for? e.g. Acme — March posts"
+              className={`${inputClassName} sm:col-span-2`}
+            />
+            <select
+              value={expiresInDays}
+              onChange={(e) => setExpiresInDays(Number(e.target.value))}
+              className={inputClassName}
+            >
+              {EXPIRY_OPTIONS.map((days) => (
+                <option key={days} value={days}>Expires in {days} day{days > 1 ? 's' : ''}</option>
+              ))}
+            </select>
+          </div>
+          {candidates.length === 0 ? (
+            <p className="text-sm text-gray-500">There are no pending posts to share.</p>
+          ) : (
+            <div className="max-h-64 space-y-1 overflow-y-auto">
+              {candidates.map((candidate) => (
+                <label key={candidate.key} className="flex items-start gap-2 rounded-md px-2 py-1.5 text-sm hover:bg-gray-50">
+                  <input
+                    type="checkbox"
+                    className="mt-0.5"
+                    checked={Boolean(selected[candidate.key])}
+                    onChange={() => toggle(candidate.key)}
+                  />
+                  <span className="flex-1 text-gray-800">{preview(candidate.content)}</span>
+                  <span className="text-xs text-gray-400">{candidate.source}</span>
+                </label>
+              ))}
+            </div>
+          )}
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={createLink}
+              disabled={saving || selectedCount === 0}
+              className="btn btn-primary btn-md disabled:opacity-60"
+            >
+              Create link{selectedCount > 0 && ` (${selectedCount})`}
+            </button>
+            <button
+              type="button"
+              onClick={() => setCreating(false)}
+              className="rounded-md px-3 py-2 text-sm text-gray-600 hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {links.length > 0 && (
+        <ul className="divide-y divide-gray-100">
+          {links.map((link) => (
+            <li key={link.id} className="py-2">
+              <div className="flex flex-wrap items-center gap-2 text-sm">
+                <span className="font-medium text-gray-800">{link.label || 'Untitled link'}</span>
+                <span className={`rounded-full px-2 py-0.5 text-xs ${link.active ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-500'}`}>
+                  {link.revoked_at ? 'Revoked' : link.active ? `Expires ${formatWhen(link.expires_at)}` : 'Expired'}
+                </span>
+                <span className="text-xs text-gray-500">
+                  {link.item_count} post(s) · {link.event_count} action(s)
+                  {link.last_opened_at && ` · last opened ${formatWhen(link.last_opened_at)}`}
+                </span>
+                <button
+                  type="button"
+                  onClick={() => setOpenLinkId(openLinkId === link.id ? null : link.id)}
+                  className="ml-auto text-xs text-blue-600 hover:underline"
+                >
+                  {openLinkId === link.id ? 'Hide activity' : 'Activity'}
+                </button>
+                {link.active && (
+                  <button
+                    type="button"
+                    onClick={() => revoke(link.id)}
+                    className="p-1 text-gray-400 hover:text-red-600"
+                    title="Revoke link"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                )}
+              </div>
+              {openLinkId === link.id && (
+                <div className="mt-2 pl-1">
+                  <LinkActivity linkId={link.id} />
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ReviewLinksPanel;
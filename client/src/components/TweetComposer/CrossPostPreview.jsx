@@ -0,0 +1,125 @@
+import React, { useState } from 'react';
+import { Eye, Sparkles, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { crossPost } from '../../utils/api';
+
+const PLATFORM_LABELS = { x: 'X', linkedin: 'LinkedIn', threads: 'Threads' };
+
+/**
+ * Shows what X, LinkedIn and Threads will each receive for the current draft.
+ * "Rewrite with AI" asks for platform-native versions; accepting them sends
+ * them with the post as overrides.
+ */
+const CrossPostPreview = ({ content, threadParts, optimizeCrossPost, platforms, overrides, onOverridesChange }) => {
+  const [preview, setPreview] = useState(null);
+  const [aiOverrides, setAiOverrides] = useState(null);
+  const [loading, setLoading] = useState(null); // 'preview' | 'ai'
+
+  const parts = (threadParts || []).filter((part) => part && part.trim() && part !== '---');
+  const hasDraft = parts.length > 0 || Boolean(content?.trim());
+
+  const load = async (aiRewrite) => {
+    if (!hasDraft) {
+      toast.error('Write your post first');
+      return;
+    }
+    setLoading(aiRewrite ? 'ai' : 'preview');
+    try {
+      const { data } = await crossPost.preview({
+        content,
+        thread: parts.length > 1 ? parts : undefined,
+        optimizeCrossPost,
+        overrides: aiRewrite ? undefined : overrides,
+        aiRewrite,
+        platforms,
+      });
+      setPreview(data.preview);
+      setAiOverrides(data.ai?.overrides || null);
+    } catch (error) {
+      toast.error(error?.response?.data?.error || 'Failed to load preview');
+    } finally {
+      setLoading(null);
+    }
+  };
+
+  const renderPlatform = (platform) => {
+    const item = preview?.[platform];
+    if (!item) return null;
+    const texts = platform === 'x'
+      ? item.parts
+      : item.postMode === 'thread' ? item.threadParts : [item.content];
+    return (
+      <div key={platform} className="rounded-lg border border-gray-200 bg-white p-3">
+        <div className="flex items-center justify-between text-xs font-semibold text-gray-700">
+          <span>{PLATFORM_LABELS[platform]}</span>
+          <span className="font-normal text-gray-500">
+            {texts.length > 1 ? `${texts.length} posts` : `${texts[0]?.length || 0}${item.maxChars ? `/${item.maxChars}` : ''} chars`}
+          </span>
+        </div>
+        <div className="mt-2 space-y-2">
+          {texts.map((text, index) => (
+            <p key={index} className="whitespace-pre-wrap text-xs text-gray-800 border-l-2 border-gray-200 pl-2">{text}</p>
+          ))}
+        </div>
+        {item.notes?.length > 0 && (
+          <ul className="mt-2 space-y-0.5 text-[11px] text-gray-500">
+            {item.notes.map((note) => <li key={note}>• {note}</li>)}
+          </ul>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className="mt-3 rounded-lg border border-gray-200 bg-gray-50 p-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <button
+          type="button"
+          onClick={() => load(false)}
+          disabled={Boolean(loading)}
+          className="inline-flex items-center gap-1 rounded-md border border-gray-300 bg-white px-2.5 py-1 text-xs font-medium text-gray-700 hover:bg-gray-100 disabled:opacity-50"
+        >
+          <Eye className="h-3.5 w-3.5" />
+          {loading === 'preview' ? 'Loading...' : 'Preview per platform'}
+        </button>
+        <button
+          type="button"
+          onClick={() => load(true)}
+          disabled={Boolean(loading)}
+          className="inline-flex items-center gap-1 rounded-md border border-purple-200 bg-white px-2.5 py-1 text-xs font-medium text-purple-700 hover:bg-purple-50 disabled:opacity-50"
+          title="Uses 1 credit"
+        >
+          <Sparkles className="h-3.5 w-3.5" />
+          {loading === 'ai' ? 'Rewriting...' : 'Rewrite with AI'}
+        </button>
+        {overrides && (
+          <button
+            type="button"
+            onClick={() => { onOverridesChange(null); setPreview(null); }}
+            className="ml-auto inline-flex items-center gap-1 text-xs text-gray-600 hover:text-gray-900"
+          >
+            <X className="h-3.5 w-3.5" />Using AI versions — reset
+          </button>
+        )}
+      </div>
+
+      {preview && (
+        <div className="mt-3 space-y-2">
+          {renderPlatform('x')}
+          {platforms.map(renderPlatform)}
+          {aiOverrides && aiOverrides !== overrides && (
+            <button
+              type="button"
+              onClick={() => { onOverridesChange(aiOverrides); toast.success('AI versions will be used for cross-posting'); }}
+              className="w-full rounded-md bg-purple-600 px-3 py-1.5 text-xs font-medium text-white hover:bg-purple-700"
+            >
+              Use these versions
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CrossPostPreview;
@@ -1,30 +1,49 @@
-import React from 'react';
-import { Image, X, Upload } from 'lucide-react';
+import React, { useState } from 'react';
+import { Image, X, Upload, Sparkles, Library } from 'lucide-react';
+import { MEDIA_ACCEPT, MAX_ALT_TEXT_LENGTH } from '../../utils/mediaUpload';
+import MediaLibraryPicker from './MediaLibraryPicker';
 
 const ImageUploader = ({
   selectedImages,
   onImageUpload,
   onImageRemove,
   isUploadingImages,
-  onImagePreview
+  onImagePreview,
+  onAltTextChange,
+  onDescribeImage,
+  describingImageId = null,
+  onLibrarySelect
 }) => {
+  const [showLibrary, setShowLibrary] = useState(false);
+
   return (
     <div className="space-y-4">
       {/* Image Upload Button */}
       <div className="flex items-center space-x-2">
         <label className="flex items-center px-3 py-2 border border-gray-300 rounded-md hover:bg-gray-50 cursor-pointer">
           <Image className="h-4 w-4 mr-2" />
-          Add Images
+          Add Media
           <input
             type="file"
             multiple
-            accept="image/*"
+            accept={MEDIA_ACCEPT}
             onChange={onImageUpload}
             className="hidden"
           />
         </label>
+        {onLibrarySelect && (
+          <button
+            type="button"
+            onClick={() => setShowLibrary(true)}
+            disabled={selectedImages.length >= 4}
+            className="flex items-center px-3 py-2 border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50"
+          >
+            <Library className="h-4 w-4 mr-2" />
+            From Library
+          </button>
+        )}
         <span className="text-sm text-gray-500">
-          Max 4 images, 5MB each
+          Up to 4 images (5MB each), or 1 GIF (15MB) or video (512MB, 2:20)
         </span>
       </div>
 
@@ -33,12 +52,22 @@ const ImageUploader = ({
         <div className="grid grid-cols-2 gap-2">
           {selectedImages.map((image, index) => (
             <div key={image.id || index} className="relative group">
-              <img
-                src={image.preview || image.url}
-                alt={`Preview ${index + 1}`}
-                className="w-full h-32 object-cover rounded-lg border cursor-pointer"
-                onClick={() => onImagePreview && onImagePreview(image)}
-              />
+              {image.kind === 'video' ? (
+                <video
+                  src={image.preview}
+                  className="w-full h-32 object-cover rounded-lg border bg-black"
+                  controls
+                  muted
+                  preload="metadata"
+                />
+              ) : (
+                <img
+                  src={image.preview || image.url}
+                  alt={`Preview ${index + 1}`}
+                  className="w-full h-32 object-cover rounded-lg border cursor-pointer"
+                  onClick={() => onImagePreview && onImagePreview(image)}
+                />
+              )}
               <button
                 onClick={() => onImageRemove(index)}
                 className="absolute top-1 right-1 bg-red-500 text-white rounded-full p-1 opacity-0 group-hover:opacity-100 transition-opacity"
@@ -46,20 +75,56 @@ const ImageUploader = ({
                 <X className="h-3 w-3" />
               </button>
               {image.isAIGenerated && (
-                <div className="absolute bottom-1 left-1 bg-purple-600 text-white text-xs px-2 py-1 rounded">
+                <div className="absolute top-1 left-1 bg-purple-600 text-white text-xs px-2 py-1 rounded">
                   AI Generated
                 </div>
               )}
+              {/* Alt text (images and GIFs) */}
+              {image.kind !== 'video' && onAltTextChange && (
+                <div className="mt-1">
+                  <textarea
+                    value={image.altText || ''}
+                    onChange={(e) => onAltTextChange(index, e.target.value)}
+                    maxLength={MAX_ALT_TEXT_LENGTH}
+                    rows={2}
+                    placeholder="Alt text: describe this image for people using screen readers"
+                    className="w-full px-2 py-1 border border-gray-300 rounded-md text-xs resize-none focus:outline-none focus:ring-1 focus:ring-blue-500"
+                  />
+                  <div className="flex items-center justify-between text-xs text-gray-500">
+                    {onDescribeImage ? (
+                      <button
+                        type="button"
+                        onClick={() => onDescribeImage(index)}
+                        disabled={Boolean(describingImageId)}
+                        className="flex items-center text-purple-600 hover:text-purple-800 disabled:opacity-50"
+                      >
+                        <Sparkles className="h-3 w-3 mr-1" />
+                        {describingImageId === image.id ? 'Describing...' : 'Describe with AI'}
+                      </button>
+                    ) : <span />}
+                    <span>{(image.altText || '').length}/{MAX_ALT_TEXT_LENGTH}</span>
+                  </div>
+                </div>
+              )}
             </div>
           ))}
         </div>
       )}
 
+      {onLibrarySelect && (
+        <MediaLibraryPicker
+          isOpen={showLibrary}
+          onClose={() => setShowLibrary(false)}
+          onSelect={onLibrarySelect}
+          maxSelect={Math.max(4 - selectedImages.length, 1)}
+        />
+      )}
+
       {/* Upload Progress */}
       {isUploadingImages && (
         <div className="flex items-center space-x-2 text-blue-600">
           <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-blue-600"></div>
-          <span className="text-sm">Uploading images...</span>
+          <span className="text-sm">Uploading media...</span>
         </div>
       )}
     </div>
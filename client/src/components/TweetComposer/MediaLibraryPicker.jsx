@@ -0,0 +1,239 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Search, X, Trash2, Tag, Check, Sparkles } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { mediaLibrary } from '../../utils/api';
+
+/**
+ * Browse the media library (uploads and AI images) and pick assets to reuse.
+ * Tags can be edited and assets removed from here as well.
+ */
+const MediaLibraryPicker = ({ isOpen, onClose, onSelect, maxSelect = 4 }) => {
+  const [assets, setAssets] = useState([]);
+  const [tags, setTags] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [query, setQuery] = useState('');
+  const [activeTag, setActiveTag] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [editingId, setEditingId] = useState(null);
+  const [tagDraft, setTagDraft] = useState('');
+
+  const loadAssets = useCallback(async (search = '', tag = '') => {
+    setIsLoading(true);
+    try {
+      const { data } = await mediaLibrary.list({ q: search || undefined, tag: tag || undefined, limit: 60 });
+      setAssets(data.assets || []);
+      setTags(data.tags || []);
+      setTotal(data.total || 0);
+    } catch (error) {
+      console.error('Media library load error:', error);
+      toast.error(error?.response?.data?.error || 'Failed to load media library');
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setSelectedIds([]);
+    setEditingId(null);
+    loadAssets(query, activeTag);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isOpen, activeTag, loadAssets]);
+
+  if (!isOpen) return null;
+
+  const toggleSelected = (assetId) => {
+    setSelectedIds((prev) => {
+      if (prev.includes(assetId)) return prev.filter((id) => id !== assetId);
+      if (prev.length >= maxSelect) {
+        toast.error(`You can pick up to ${maxSelect} item(s)`);
+        return prev;
+      }
+      return [...prev, assetId];
+    });
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    loadAssets(query, activeTag);
+  };
+
+  const startEditingTags = (asset) => {
+    setEditingId(asset.id);
+    setTagDraft((asset.tags || []).join(', '));
+  };
+
+  const saveTags = async (asset) => {
+    const nextTags = tagDraft.split(',').map((tag) => tag.trim()).filter(Boolean);
+    try {
+      const { data } = await mediaLibrary.update(asset.id, { tags: nextTags });
+      setAssets((prev) => prev.map((item) => (item.id === asset.id ? data.asset : item)));
+      setEditingId(null);
+    } catch (error) {
+      toast.error(error?.response?.data?.error || 'Failed to update tags');
+    }
+  };
+
+  const handleDelete = async (asset) => {
+    if (!window.confirm('Remove this item from the media library? Posts that already use it are not affected.')) return;
+    try {
+      await mediaLibrary.remove(asset.id);
+      setAssets((prev) => prev.filter((item) => item.id !== asset.id));
+      setSelectedIds((prev) => prev.filter((id) => id !== asset.id));
+      setTotal((prev) => Math.max(prev - 1, 0));
+    } catch (error) {
+      toast.error(error?.response?.data?.error || 'Failed to remove item');
+    }
+  };
+
+  const handleConfirm = () => {
+    const picked = selectedIds.map((id) => assets.find((asset) => asset.id === id)).filter(Boolean);
+    if (onSelect(picked) !== false) onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 p-4" onClick={onClose}>
+      <div
+        className="bg-white rounded-lg shadow-xl w-full max-w-3xl max-h-[85vh] flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-label="Media library"
+      >
+        <div className="flex items-center justify-between px-5 py-3 border-b">
+          <h3 className="text-lg font-semibold text-gray-900">Media library</h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600" aria-label="Close media library">
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        <div className="px-5 py-3 border-b space-y-2">
+          <form onSubmit={handleSearch} className="flex items-center gap-2">
+            <div className="relative flex-1">
+              <Search className="absolute left-2 top-2.5 h-4 w-4 text-gray-400" />
+              <input
+                type="text"
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+                placeholder="Search tags, alt text or prompts"
+                className="w-full pl-8 pr-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+            <button type="submit" className="btn btn-secondary btn-sm">Search</button>
+          </form>
+          {tags.length > 0 && (
+            <div className="flex flex-wrap gap-1">
+              <button
+                onClick={() => setActiveTag('')}
+                className={`px-2 py-0.5 rounded-full text-xs ${!activeTag ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+              >
+                All
+              </button>
+              {tags.map(({ tag, count }) => (
+                <button
+                  key={tag}
+                  onClick={() => setActiveTag(tag === activeTag ? '' : tag)}
+                  className={`px-2 py-0.5 rounded-full text-xs ${tag === activeTag ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+                >
+                  #{tag} <span className="opacity-70">{count}</span>
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <div className="flex-1 overflow-y-auto px-5 py-4">
+          {isLoading ? (
+            <div className="flex justify-center py-10">
+              <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600"></div>
+            </div>
+          ) : assets.length === 0 ? (
+            <p className="text-sm text-gray-500 text-center py-10">
+              {query || activeTag
+                ? 'Nothing matches this search.'
+                : 'Images you upload or generate with AI are saved here for reuse.'}
+            </p>
+          ) : (
+            <div className="grid grid-cols-2 sm:grid-cols-3 gap-3">
+              {assets.map((asset) => {
+                const isSelected = selectedIds.includes(asset.id);
+                return (
+                  <div
+                    key={asset.id}
+                    className={`relative group rounded-lg border-2 ${isSelected ? 'border-blue-600' : 'border-transparent'}`}
+                  >
+                    <button type="button" onClick={() => toggleSelected(asset.id)} className="block w-full">
+                      <img
+                        src={asset.url}
+                        alt={asset.alt_text || asset.prompt || 'Media library item'}
+                        className="w-full h-32 object-cover rounded-md bg-gray-100"
+                        loading="lazy"
+                      />
+                    </button>
+                    {isSelected && (
+                      <div className="absolute top-1 left-1 bg-blue-600 text-white rounded-full p-1">
+                        <Check className="h-3 w-3" />
+                      </div>
+                    )}
+                    {asset.source === 'ai_generated' && (
+                      <div className="absolute top-1 right-8 bg-purple-600 text-white rounded p-1" title={asset.prompt || 'AI generated'}>
+                        <Sparkles className="h-3 w-3" />
+                      </div>
+                    )}
+                    <button
+                      type="button"
+                      onClick={() => handleDelete(asset)}
+                      className="absolute top-1 right-1 bg-red-500 text-white rounded-full p-1 opacity-0 group-hover:opacity-100 transition-opacity"
+                      aria-label="Remove from library"
+                    >
+                      <Trash2 className="h-3 w-3" />
+                    </button>
+                    {editingId === asset.id ? (
+                      <div className="mt-1 flex items-center gap-1">
+                        <input
+                          type="text"
+                          value={tagDraft}
+                          onChange={(e) => setTagDraft(e.target.value)}
+                          onKeyDown={(e) => e.key === 'Enter' && saveTags(asset)}
+                          placeholder="launch, product"
+                          className="flex-1 min-w-0 px-1 py-0.5 border border-gray-300 rounded text-xs"
+                          autoFocus
+                        />
+                        <button type="button" onClick={() => saveTags(asset)} className="text-xs text-blue-600 hover:text-blue-800">
+                          Save
+                        </button>
+                      </div>
+                    ) : (
+                      <button
+                        type="button"
+                        onClick={() => startEditingTags(asset)}
+                        className="mt-1 flex items-center gap-1 text-xs text-gray-500 hover:text-gray-700 truncate w-full text-left"
+                      >
+                        <Tag className="h-3 w-3 flex-shrink-0" />
+                        {(asset.tags || []).length > 0 ? asset.tags.map((tag) => `#${tag}`).join(' ') : 'Add tags'}
+                      </button>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+
+        <div className="flex items-center justify-between px-5 py-3 border-t">
+          <span className="text-xs text-gray-500">
+            {total} item(s){selectedIds.length > 0 ? ` · ${selectedIds.length} selected` : ''}
+          </span>
+          <div className="flex gap-2">
+            <button onClick={onClose} className="btn btn-secondary btn-sm">Cancel</button>
+            <button onClick={handleConfirm} disabled={selectedIds.length === 0} className="btn btn-primary btn-sm">
+              Add to post
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MediaLibraryPicker;
@@ -1,7 +1,8 @@
 import React from 'react';
 import { decodeHTMLEntities } from '../../utils/decodeHTMLEntities';
-import { Plus, Trash2, Image, X } from 'lucide-react';
+import { Plus, Trash2, Image, X, Sparkles } from 'lucide-react';
 import RichTextTextarea from '../RichTextTextarea';
+import { MEDIA_ACCEPT, MAX_ALT_TEXT_LENGTH } from '../../utils/mediaUpload';
 
 const ThreadComposer = ({
   isThread,
@@ -11,6 +12,9 @@ const ThreadComposer = ({
   onThreadTweetChange,
   onThreadImageUpload,
   onThreadImageRemove,
+  onThreadImageAltTextChange,
+  onDescribeThreadImage,
+  describingImageId = null,
   onAddTweet,
   onRemoveTweet
 }) => {
@@ -105,10 +109,10 @@ const ThreadComposer = ({
                       <div className="mt-2 flex items-center space-x-2">
                         <label className="cursor-pointer flex items-center text-sm text-blue-600 hover:text-blue-800">
                           <Image className="h-4 w-4 mr-1" />
-                          Add Image
+                          Add Media
                           <input
                             type="file"
-                            accept="image/*"
+                            accept={MEDIA_ACCEPT}
                             multiple
                             className="hidden"
                             onChange={(e) => onThreadImageUpload(index, e)}
@@ -116,7 +120,7 @@ const ThreadComposer = ({
                         </label>
                         {threadImages && threadImages[index] && threadImages[index].length > 0 && (
                           <span className="text-xs text-gray-500">
-                            {threadImages[index].length} image(s)
+                            {threadImages[index].length} file(s)
                           </span>
                         )}
                       </div>
@@ -125,12 +129,21 @@ const ThreadComposer = ({
                       {threadImages && threadImages[index] && threadImages[index].length > 0 && (
                         <div className="mt-2 flex flex-wrap gap-2">
                           {threadImages[index].map((image, imgIndex) => (
-                            <div key={imgIndex} className="relative">
-                              <img
-                                src={image.preview}
-                                alt={`Thread ${tweetNumber} image ${imgIndex + 1}`}
-                                className="w-16 h-16 object-cover rounded border"
-                              />
+                            <div key={image.id || imgIndex} className="relative w-40">
+                              {image.kind === 'video' ? (
+                                <video
+                                  src={image.preview}
+                                  className="w-16 h-16 object-cover rounded border bg-black"
+                                  muted
+                                  preload="metadata"
+                                />
+                              ) : (
+                                <img
+                                  src={image.preview}
+                                  alt={`Thread ${tweetNumber} image ${imgIndex + 1}`}
+                                  className="w-16 h-16 object-cover rounded border"
+                                />
+                              )}
                               <button
                                 onClick={() => onThreadImageRemove(index, imgIndex)}
                                 className="absolute -top-1 -right-1 bg-red-500 text-white rounded-full p-1 hover:bg-red-600"
@@ -138,6 +151,29 @@ const ThreadComposer = ({
                               >
                                 <X className="h-2 w-2" />
                               </button>
+                              {image.kind !== 'video' && onThreadImageAltTextChange && (
+                                <div className="mt-1 flex items-center gap-1">
+                                  <input
+                                    type="text"
+                                    value={image.altText || ''}
+                                    onChange={(e) => onThreadImageAltTextChange(index, imgIndex, e.target.value)}
+                                    maxLength={MAX_ALT_TEXT_LENGTH}
+                                    placeholder="Alt text"
+                                    className="flex-1 min-w-0 px-1 py-0.5 border border-gray-300 rounded text-xs"
+                                  />
+                                  {onDescribeThreadImage && (
+                                    <button
+                                      type="button"
+                                      onClick={() => onDescribeThreadImage(index, imgIndex)}
+                                      disabled={Boolean(describingImageId)}
+                                      title="Describe with AI"
+                                      className="p-1 text-purple-600 hover:text-purple-800 disabled:opacity-50"
+                                    >
+                                      <Sparkles className={`h-3 w-3 ${describingImageId === image.id ? 'animate-pulse' : ''}`} />
+                                    </button>
+                                  )}
+                                </div>
+                              )}
                             </div>
                           ))}
                         </div>
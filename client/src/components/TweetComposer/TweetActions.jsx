@@ -1,8 +1,11 @@
 
 import React, { useState, useEffect, useMemo } from 'react';
-import { Send, Calendar, Clock } from 'lucide-react';
+import { Send, Calendar, Clock, ListOrdered } from 'lucide-react';
 import Modal from './Modal';
-import { strategy as strategyApi } from '../../utils/api';
+import RepeatPicker from '../RepeatPicker';
+import ReplyTargetPicker, { buildReplyTargetFields, isValidPostUrl } from '../ReplyTargetPicker';
+import { withRepeatEnd } from '../../utils/recurrence';
+import { strategy as strategyApi, scheduling as schedulingApi } from '../../utils/api';
 
 const TIMEZONE_ALIAS_MAP = {
   'Asia/Calcutta': 'Asia/Kolkata',
@@ -91,7 +94,8 @@ const TweetActions = ({
   isPosting,
   isScheduling,
   onPost,
-  onSchedule
+  onSchedule,
+  onScheduleAbTest
 }) => {
   const hasContent = isThread 
     ? threadTweets.some(tweet => tweet.trim().length > 0)
@@ -107,10 +111,32 @@ const TweetActions = ({
   const [localError, setLocalError] = useState('');
   const [recommendedSlot, setRecommendedSlot] = useState(null);
   const [recommendedLabel, setRecommendedLabel] = useState('');
+  const [nextQueueSlot, setNextQueueSlot] = useState(null);
+  const [abVariantCount, setAbVariantCount] = useState(0);
+  const [repeatRule, setRepeatRule] = useState('');
+  const [repeatEnd, setRepeatEnd] = useState({ type: 'never', count: 10, until: '' });
+  const [replyTarget, setReplyTarget] = useState({ type: '', url: '' });
+  const [followUp, setFollowUp] = useState({ enabled: false, content: '', delayHours: 3 });
+  const canAbTest = Boolean(onScheduleAbTest) && !isThread && selectedImages.length === 0 && !replyTarget.type;
   const timezoneSuggestions = useMemo(() => {
     return [...new Set([detectedTimezone, ...COMMON_TIMEZONES].filter(Boolean))];
   }, [detectedTimezone]);
 
+  const getReplyTargetError = () => {
+    if (replyTarget.type && !isValidPostUrl(replyTarget.url)) {
+      return 'Paste the link of the post to reply to or quote';
+    }
+    if (followUp.enabled && !followUp.content.trim()) {
+      return 'Write the follow-up reply or turn it off';
+    }
+    return '';
+  };
+
+  const resetReplyTarget = () => {
+    setReplyTarget({ type: '', url: '' });
+    setFollowUp({ enabled: false, content: '', delayHours: 3 });
+  };
+
   // Fetch recommended posting time from active strategy analysis
   useEffect(() => {
     let cancelled = false;
@@ -139,6 +165,20 @@ const TweetActions = ({
     return () => { cancelled = true; };
   }, []);
 
+  // Next free queue time for the selected account (only shown when queue times are configured)
+  useEffect(() => {
+    if (!showScheduleModal) return undefined;
+    let cancelled = false;
+    schedulingApi.getSlots()
+      .then((resp) => {
+        if (!cancelled) setNextQueueSlot(resp?.data?.next_free_slot || null);
+      })
+      .catch(() => {
+        if (!cancelled) setNextQueueSlot(null);
+      });
+    return () => { cancelled = true; };
+  }, [showScheduleModal]);
+
   return (
     <div className="flex space-x-3">
       <button
@@ -223,6 +263,77 @@ const TweetActions = ({
           </button>
         )}
         {!recommendedSlot && <div className="mb-2" />}
+        {nextQueueSlot && (
+          <button
+            type="button"
+            onClick={async () => {
+              setLocalError('');
+              const replyTargetError = getReplyTargetError();
+              if (replyTargetError) {
+                setLocalError(replyTargetError);
+                return;
+              }
+              await onSchedule(
+                'next_free_slot',
+                normalizeTimezone((scheduleTimezone || '').trim() || detectedTimezone),
+                null,
+                buildReplyTargetFields(replyTarget, followUp)
+              );
+              resetReplyTarget();
+              setShowScheduleModal(false);
+              setScheduleDate('');
+              setScheduleTimezone(detectedTimezone);
+            }}
+            disabled={isScheduling}
+            className="flex items-center gap-1.5 text-xs text-blue-700 bg-blue-50 border border-blue-200 rounded-lg px-3 py-1.5 mb-3 hover:bg-blue-100 transition-colors disabled:opacity-50"
+          >
+            <ListOrdered className="w-3.5 h-3.5" />
+            Add to queue ({new Date(nextQueueSlot).toLocaleString([], { weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })})
+          </button>
+        )}
+        {!replyTarget.type && (
+          <RepeatPicker
+            firstPostAt={scheduleDate}
+            rule={repeatRule}
+            end={repeatEnd}
+            onRuleChange={(value) => {
+              setRepeatRule(value);
+              if (value) setAbVariantCount(0);
+            }}
+            onEndChange={setRepeatEnd}
+          />
+        )}
+        <ReplyTargetPicker
+          target={replyTarget}
+          followUp={followUp}
+          onTargetChange={(value) => {
+            setReplyTarget(value);
+            if (value.type) {
+              setRepeatRule('');
+              setAbVariantCount(0);
+            }
+          }}
+          onFollowUpChange={setFollowUp}
+        />
+        {canAbTest && !repeatRule && (
+          <div className="mb-3">
+            <label className="block text-xs font-medium text-gray-600 mb-1">Hook A/B test</label>
+            <select
+              value={abVariantCount}
+              onChange={(e) => setAbVariantCount(Number(e.target.value))}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <option value={0}>Off — post as written</option>
+              <option value={2}>2 hook variants</option>
+              <option value={3}>3 hook variants</option>
+            </select>
+            {abVariantCount > 0 && (
+              <p className="text-xs text-gray-500 mt-1">
+                This post goes out at the chosen time; AI-written hook variants take your next free queue slots. The winner feeds back into your strategy.
+              </p>
+            )}
+          </div>
+        )}
         {localError && <div className="text-red-500 text-sm mb-2">{localError}</div>}
         <div className="flex justify-end space-x-2 mt-4">
           <button
@@ -248,9 +359,30 @@ const TweetActions = ({
                 setLocalError('Enter a valid timezone (example: America/New_York)');
                 return;
               }
+              if (repeatRule && repeatEnd.type === 'until' && !repeatEnd.until) {
+                setLocalError('Pick the date the repeat should end');
+                return;
+              }
+              const replyTargetError = getReplyTargetError();
+              if (replyTargetError) {
+                setLocalError(replyTargetError);
+                return;
+              }
               setLocalError('');
-              // Pass both date and timezone
-              await onSchedule(scheduleDate, normalizeTimezone(timezoneCandidate));
+              if (canAbTest && abVariantCount > 0 && !repeatRule) {
+                await onScheduleAbTest(scheduleDate, normalizeTimezone(timezoneCandidate), abVariantCount);
+              } else {
+                // Pass date, timezone, the optional repeat rule and reply/quote/follow-up fields
+                await onSchedule(
+                  scheduleDate,
+                  normalizeTimezone(timezoneCandidate),
+                  withRepeatEnd(repeatRule, repeatEnd) || null,
+                  buildReplyTargetFields(replyTarget, followUp)
+                );
+              }
+              setAbVariantCount(0);
+              setRepeatRule('');
+              resetReplyTarget();
               setShowScheduleModal(false);
               setScheduleDate('');
               setScheduleTimezone(detectedTimezone);
@@ -1,6 +1,8 @@
 export { default as AIContentGenerator } from './AIContentGenerator';
 export { default as AIImageGenerator } from './AIImageGenerator';
+export { default as CrossPostPreview } from './CrossPostPreview';
 export { default as ImageUploader } from './ImageUploader';
+export { default as MediaLibraryPicker } from './MediaLibraryPicker';
 export { default as ThreadComposer } from './ThreadComposer';
 export { default as TwitterAccountInfo } from './TwitterAccountInfo';
 export { default as TweetActions } from './TweetActions';
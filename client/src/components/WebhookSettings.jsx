@@ -0,0 +1,398 @@
+import React, { useEffect, useState } from 'react';
+import { ChevronDown, ChevronUp, Copy, Plus, RefreshCw, Send, Trash2, Webhook } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { webhooks } from '../utils/api';
+import LoadingSpinner from './LoadingSpinner';
+
+const EVENT_LABELS = {
+  'tweet.posted': 'Post published',
+  'tweet.partial': 'Thread partially posted',
+  'tweet.failed': 'Post failed',
+  'tweet.retried': 'Post retried',
+  'approval.requested': 'Approval needed',
+  'autopilot.paused': 'Autopilot paused',
+  'credits.low': 'Credits running low',
+  'credits.budget_threshold': 'Credit budget threshold crossed',
+};
+
+const DELIVERY_STATUS_STYLES = {
+  delivered: 'bg-green-100 text-green-800',
+  pending: 'bg-yellow-100 text-yellow-800',
+  failed: 'bg-red-100 text-red-800',
+};
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+const SecretNotice = ({ secret, onDismiss }) => {
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(secret);
+      toast.success('Signing secret copied');
+    } catch {
+      toast.error('Could not copy — select the secret and copy it manually');
+    }
+  };
+
+  return (
+    <div className="rounded-lg border border-green-200 bg-green-50 p-4">
+      <p className="text-sm font-medium text-green-900 mb-2">
+        Copy this signing secret now — it won&apos;t be shown again.
+      </p>
+      <div className="flex items-center gap-2">
+        <input
+          type="text"
+          readOnly
+          value={secret}
+          onFocus={(e) => e.target.select()}
+          className="flex-1 rounded-md border border-gray-300 bg-white px-3 py-2 text-sm font-mono"
+        />
+        <button onClick={handleCopy} className="btn btn-secondary btn-md">
+          <Copy className="h-4 w-4 mr-2" />
+          Copy
+        </button>
+        <button onClick={onDismiss} className="btn btn-secondary btn-md">
+          Done
+        </button>
+      </div>
+      <p className="mt-2 text-xs text-green-800">
+        Verify the <code>X-TweetGenie-Signature</code> header: HMAC-SHA256 of <code>{'{t}.{raw body}'}</code> with this secret.
+      </p>
+    </div>
+  );
+};
+
+const DeliveryLog = ({ endpointId }) => {
+  const [deliveries, setDeliveries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [expandedId, setExpandedId] = useState(null);
+
+  const fetchDeliveries = async () => {
+    setLoading(true);
+    try {
+      const response = await webhooks.deliveries(endpointId, { limit: 50 });
+      setDeliveries(response.data?.deliveries || []);
+    } catch (error) {
+      toast.error(error?.response?.data?.error || 'Failed to load deliveries');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchDeliveries();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [endpointId]);
+
+  const handleRedeliver = async (deliveryId) => {
+    try {
+      const response = await webhooks.redeliver(deliveryId);
+      toast[response.data?.success ? 'success' : 'error'](
+        response.data?.success ? 'Redelivered' : response.data?.errorMessage || 'Redelivery failed, will retry'
+      );
+      fetchDeliveries();
+    } catch (error) {
+      toast.error(error?.response?.data?.error || 'Failed to redeliver');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-4">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  if (deliveries.length === 0) {
+    return <p className="py-3 text-sm text-gray-500">No deliveries yet.</p>;
+  }
+
+  return (
+    <div className="divide-y divide-gray-100">
+      {deliveries.map((delivery) => (
+        <div key={delivery.id} className="py-2 text-sm">
+          <div className="flex items-center justify-between gap-3">
+            <button
+              onClick={() => setExpandedId(expandedId === delivery.id ? null : delivery.id)}
+              className="flex flex-1 items-center gap-2 text-left"
+            >
+              <span className={`rounded px-2 py-0.5 text-xs font-medium ${DELIVERY_STATUS_STYLES[delivery.status] || ''}`}>
+                {delivery.status}
+              </span>
+              <span className="font-mono text-gray-900">{delivery.event_type}</span>
+              <span className="text-gray-500">
+                {formatDateTime(delivery.created_at)} • {delivery.attempts} attempt{delivery.attempts === 1 ? '' : 's'}
+                {delivery.response_status ? ` • HTTP ${delivery.response_status}` : ''}
+              </span>
+            </button>
+            {delivery.status !== 'pending' && (
+              <button onClick={() => handleRedeliver(delivery.id)} className="text-xs text-primary-600 hover:underline">
+                Redeliver
+              </button>
+            )}
+          </div>
+          {expandedId === delivery.id && (
+            <div className="mt-2 space-y-2 rounded-md bg-gray-50 p-3 text-xs">
+              {delivery.error_message && <p className="text-red-700">{delivery.error_message}</p>}
+              {delivery.status === 'pending' && delivery.next_attempt_at && (
+                <p className="text-gray-600">Next attempt {formatDateTime(delivery.next_attempt_at)}</p>
+              )}
+              <pre className="overflow-x-auto whitespace-pre-wrap text-gray-800">
+                {JSON.stringify(delivery.payload, null, 2)}
+              </pre>
+              {delivery.response_body && (
+                <>
+                  <p className="font-medium text-gray-700">Response</p>
+                  <pre className="overflow-x-auto whitespace-pre-wrap text-gray-600">{delivery.response_body}</pre>
+                </>
+              )}
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+/**
+ * Register outgoing webhook endpoints for post lifecycle events. In team
+ * mode these are the team's endpoints (owners and admins only).
+ */
+const WebhookSettings = () => {
+  const [endpoints, setEndpoints] = useState([]);
+  const [events, setEvents] = useState(Object.keys(EVENT_LABELS));
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState({ url: '', description: '', events: ['tweet.failed'] });
+  const [secret, setSecret] = useState('');
+  const [openLogId, setOpenLogId] = useState(null);
+
+  const fetchEndpoints = async () => {
+    try {
+      const response = await webhooks.list();
+      setEndpoints(response.data?.endpoints || []);
+      if (Array.isArray(response.data?.events)) setEvents(response.data.events);
+    } catch (error) {
+      toast.error(error?.response?.data?.error || 'Failed to load webhooks');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchEndpoints();
+  }, []);
+
+  const toggleFormEvent = (event) => {
+    setForm((prev) => ({
+      ...prev,
+      events: prev.events.includes(event) ? prev.events.filter((e) => e !== event) : [...prev.events, event],
+    }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const response = await webhooks.create(form);
+      setSecret(response.data?.secret || '');
+      setForm({ url: '', description: '', events: ['tweet.failed'] });
+      setShowForm(false);
+      toast.success('Webhook added');
+      fetchEndpoints();
+    } catch (error) {
+      toast.error(error?.response?.data?.error || 'Failed to add webhook');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleActive = async (endpoint) => {
+    try {
+      await webhooks.update(endpoint.id, { is_active: !endpoint.is_active });
+      fetchEndpoints();
+    } catch (error) {
+      toast.error(error?.response?.data?.error || 'Failed to update webhook');
+    }
+  };
+
+  const handleTest = async (endpoint) => {
+    try {
+      const response = await webhooks.test(endpoint.id);
+      if (response.data?.success) {
+        toast.success(`Test delivered (HTTP ${response.data.responseStatus})`);
+      } else {
+        toast.error(response.data?.errorMessage || 'Test delivery failed');
+      }
+      fetchEndpoints();
+    } catch (error) {
+      toast.error(error?.response?.data?.error || 'Failed to send test');
+    }
+  };
+
+  const handleRotate = async (endpoint) => {
+    if (!window.confirm('Rotate the signing secret? Your receiver must switch to the new secret right away.')) return;
+    try {
+      const response = await webhooks.rotateSecret(endpoint.id);
+      setSecret(response.data?.secret || '');
+      fetchEndpoints();
+    } catch (error) {
+      toast.error(error?.response?.data?.error || 'Failed to rotate secret');
+    }
+  };
+
+  const handleDelete = async (endpoint) => {
+    if (!window.confirm('Delete this webhook and its delivery log?')) return;
+    try {
+      await webhooks.remove(endpoint.id);
+      toast.success('Webhook deleted');
+      fetchEndpoints();
+    } catch (error) {
+      toast.error(error?.response?.data?.error || 'Failed to delete webhook');
+    }
+  };
+
+  return (
+    <div className="card">
+      <div className="flex items-start justify-between gap-4 mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">Webhooks</h3>
+          <p className="mt-1 text-sm text-gray-600">
+            Receive signed JSON events when posts publish or fail, need approval, or when autopilot pauses.
+            Failed deliveries are retried with backoff for several hours.
+          </p>
+        </div>
+        <Webhook className="h-6 w-6 text-gray-400 flex-shrink-0" />
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-6">
+          <LoadingSpinner />
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {secret && <SecretNotice secret={secret} onDismiss={() => setSecret('')} />}
+
+          {endpoints.map((endpoint) => (
+            <div key={endpoint.id} className="rounded-lg border border-gray-200 p-4">
+              <div className="flex items-start justify-between gap-4">
+                <div className="min-w-0 text-sm">
+                  <p className="truncate font-medium text-gray-900">{endpoint.url}</p>
+                  {endpoint.description && <p className="text-gray-600">{endpoint.description}</p>}
+                  <p className="mt-1 text-gray-500">
+                    Secret …{endpoint.secret_hint} • Last delivery {formatDateTime(endpoint.last_delivery_at)}
+                    {endpoint.last_delivery_status ? ` (${endpoint.last_delivery_status})` : ''}
+                  </p>
+                  <div className="mt-2 flex flex-wrap gap-1">
+                    {endpoint.events.map((event) => (
+                      <span key={event} className="rounded bg-gray-100 px-2 py-0.5 text-xs text-gray-700">
+                        {EVENT_LABELS[event] || event}
+                      </span>
+                    ))}
+                  </div>
+                </div>
+                <label className="flex items-center gap-2 text-sm text-gray-700 flex-shrink-0">
+                  <input type="checkbox" checked={endpoint.is_active} onChange={() => handleToggleActive(endpoint)} />
+                  Active
+                </label>
+              </div>
+
+              <div className="mt-3 flex flex-wrap items-center gap-2">
+                <button onClick={() => handleTest(endpoint)} className="btn btn-secondary btn-sm">
+                  <Send className="h-4 w-4 mr-1" />
+                  Send test
+                </button>
+                <button onClick={() => handleRotate(endpoint)} className="btn btn-secondary btn-sm">
+                  <RefreshCw className="h-4 w-4 mr-1" />
+                  Rotate secret
+                </button>
+                <button
+                  onClick={() => setOpenLogId(openLogId === endpoint.id ? null : endpoint.id)}
+                  className="btn btn-secondary btn-sm"
+                >
+                  {openLogId === endpoint.id ? <ChevronUp className="h-4 w-4 mr-1" /> : <ChevronDown className="h-4 w-4 mr-1" />}
+                  Deliveries
+                </button>
+                <button
+                  onClick={() => handleDelete(endpoint)}
+                  className="btn btn-sm border border-red-300 text-red-700 hover:bg-red-50"
+                >
+                  <Trash2 className="h-4 w-4 mr-1" />
+                  Delete
+                </button>
+              </div>
+
+              {openLogId === endpoint.id && (
+                <div className="mt-3 border-t border-gray-100 pt-2">
+                  <DeliveryLog endpointId={endpoint.id} />
+                </div>
+              )}
+            </div>
+          ))}
+
+          {showForm ? (
+            <form onSubmit={handleCreate} className="space-y-3 rounded-lg border border-gray-200 p-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Endpoint URL</label>
+                <input
+                  type="url"
+                  required
+                  value={form.url}
+                  onChange={(e) => setForm((prev) => ({ ...prev, url: e.target.value }))}
+                  placeholder="https://example.com/webhooks/tweet-genie"
+                  className="w-full rounded-md border border-gray-300 px-3 py-2 text-sm"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Description (optional)</label>
+                <input
+                  type="text"
+                  value={form.description}
+                  maxLength={200}
+                  onChange={(e) => setForm((prev) => ({ ...prev, description: e.target.value }))}
+                  className="w-full rounded-md border border-gray-300 px-3 py-2 text-sm"
+                />
+              </div>
+              <div>
+                <p className="text-sm font-medium text-gray-700 mb-1">Events</p>
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-1">
+                  {events.map((event) => (
+                    <label key={event} className="flex items-center gap-2 text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={form.events.includes(event)}
+                        onChange={() => toggleFormEvent(event)}
+                      />
+                      {EVENT_LABELS[event] || event}
+                      <span className="font-mono text-xs text-gray-400">{event}</span>
+                    </label>
+                  ))}
+                </div>
+              </div>
+              <div className="flex items-center gap-2">
+                <button
+                  type="submit"
+                  disabled={saving || form.events.length === 0}
+                  className="btn btn-primary btn-md disabled:opacity-60"
+                >
+                  Add webhook
+                </button>
+                <button type="button" onClick={() => setShowForm(false)} className="btn btn-secondary btn-md">
+                  Cancel
+                </button>
+              </div>
+            </form>
+          ) : (
+            <button onClick={() => setShowForm(true)} className="btn btn-primary btn-md">
+              <Plus className="h-4 w-4 mr-2" />
+              Add webhook
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WebhookSettings;
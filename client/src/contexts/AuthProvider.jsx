@@ -24,6 +24,11 @@ export const AuthProvider = ({ children }) => {
       return;
     }
 
+    // Client review links are opened by people without an account
+    if (currentPath.startsWith('/review/')) {
+      return;
+    }
+
     if (initialAuthCheckDoneRef.current) {
       return;
     }
@@ -1,13 +1,20 @@
 import { useState, useEffect, useRef } from 'react';
-import { tweets, twitter, ai, imageGeneration, scheduling, media } from '../utils/api';
+import { tweets, twitter, ai, imageGeneration, scheduling, media, abTests } from '../utils/api';
 import { loadDraft, saveDraft, clearDraft } from '../utils/draftStorage';
 import { 
   sanitizeUserInput, 
   sanitizeAIContent, 
   validateTweetContent, 
   sanitizeImagePrompt,
-  validateFileUpload 
 } from '../utils/sanitization';
+import {
+  fromLibraryAsset,
+  isChunkedMedia,
+  uploadChunkedMedia,
+  uploadHostedMedia,
+  validateComposerMedia,
+  validateMediaSelection,
+} from '../utils/mediaUpload';
 import toast from 'react-hot-toast';
 
 // â”€â”€ Character limit constants â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€
@@ -216,6 +223,14 @@ const sanitizeStrategyPromptContext = (context = {}) => {
   return normalized;
 };
 
+const getAltText = (item) => (typeof item?.altText === 'string' ? item.altText.trim() : '');
+
+// Compliance rejections list what broke the rules; show that with the error.
+const withComplianceViolations = (message, data) => {
+  const violations = Array.isArray(data?.violations) ? data.violations : [];
+  return violations.length > 0 ? `${message} ${violations.map((violation) => violation.message).join('; ')}` : message;
+};
+
 const fileToBase64 = (file) => {
   return new Promise((resolve, reject) => {
     const reader = new FileReader();
@@ -259,6 +274,7 @@ export const useTweetComposer = () => {
   const [isGeneratingImage, setIsGeneratingImage] = useState(false);
   const [selectedImages, setSelectedImages] = useState([]);
   const [isUploadingImages, setIsUploadingImages] = useState(false);
+  const [describingImageId, setDescribingImageId] = useState(null);
   const [scheduledTweets, setScheduledTweets] = useState([]);
   const [isLoadingScheduled, setIsLoadingScheduled] = useState(false);
 
@@ -279,18 +295,28 @@ export const useTweetComposer = () => {
     }
   };
 
+  // Returns { media, altText } with alt text parallel to the media data URLs.
   const buildCrossPostMediaPayload = async (images = []) => {
     const sourceImages = Array.isArray(images) ? images : [];
     const payload = [];
+    const altText = [];
     let totalBytes = 0;
 
     for (const img of sourceImages) {
       if (payload.length >= MAX_CROSSPOST_MEDIA_ITEMS) break;
 
+      // Library assets are already hosted; receivers fetch them by URL.
+      if (img?.libraryAssetId && typeof img?.url === 'string' && img.url.startsWith('https://')) {
+        payload.push(img.url);
+        altText.push(getAltText(img));
+        continue;
+      }
+
       let dataUrl = '';
       if (img?.isAIGenerated && typeof img?.preview === 'string' && img.preview.startsWith('data:image/')) {
         dataUrl = img.preview;
       } else if (img?.file) {
+        if (isChunkedMedia(img)) continue;
         const encoded = await fileToBase64(img.file);
         dataUrl = typeof encoded === 'string' ? encoded : '';
       } else if (typeof img?.preview === 'string' && img.preview.startsWith('data:image/')) {
@@ -304,10 +330,11 @@ export const useTweetComposer = () => {
       if (totalBytes + nextBytes > MAX_CROSSPOST_MEDIA_TOTAL_BYTES) break;
 
       payload.push(dataUrl);
+      altText.push(getAltText(img));
       totalBytes += nextBytes;
     }
 
-    return payload;
+    return { media: payload, altText };
   };
 
     // Helper to determine the effective char limit depending on thread mode
@@ -685,48 +712,50 @@ export const useTweetComposer = () => {
   };
 
   // Handlers
-  const handleImageUpload = (event) => {
-    const files = Array.from(event.target.files);
-    const validFiles = [];
+  // Validate picked files against X limits; videos also get their duration read.
+  const readPickedMedia = async (event) => {
+    const files = Array.from(event.target.files || []);
+    event.target.value = '';
+    const picked = [];
 
     for (const file of files) {
-      const validation = validateFileUpload(file);
-
-      if (!validation.isValid) {
-        validation.errors.forEach((error) => toast.error(error));
+      const validation = await validateComposerMedia(file);
+      if (validation.error) {
+        toast.error(validation.error);
         continue;
       }
 
-      if (validation.warnings.length > 0) {
-        validation.warnings.forEach((warning) => toast.info(warning, { icon: 'âš ï¸' }));
-      }
-
-      const isValidType = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'].includes(file.type);
-      const isValidSize = file.size <= MAX_IMAGE_SIZE;
+      picked.push({
+        file,
+        kind: validation.kind,
+        durationSeconds: validation.durationSeconds,
+        altText: '',
+        preview: URL.createObjectURL(file),
+        id: Math.random().toString(36).substr(2, 9),
+      });
+    }
+    return picked;
+  };
 
-      if (!isValidType) {
-        toast.error(`${file.name} is not a valid image type`);
-        continue;
-      }
-      if (!isValidSize) {
-        toast.error(`${file.name} is too large (max 5MB)`);
-        continue;
+  const revokePreviews = (items) => {
+    items.forEach((item) => {
+      if (item.preview && item.preview.startsWith('blob:')) {
+        URL.revokeObjectURL(item.preview);
       }
+    });
+  };
 
-      validFiles.push(file);
-    }
+  const handleImageUpload = async (event) => {
+    const newImages = await readPickedMedia(event);
+    if (newImages.length === 0) return;
 
-    if (selectedImages.length + validFiles.length > 4) {
-      toast.error('Maximum 4 images allowed per tweet');
+    const selectionError = validateMediaSelection([...selectedImages, ...newImages]);
+    if (selectionError) {
+      toast.error(selectionError);
+      revokePreviews(newImages);
       return;
     }
 
-    const newImages = validFiles.map((file) => ({
-      file,
-      preview: URL.createObjectURL(file),
-      id: Math.random().toString(36).substr(2, 9),
-    }));
-
     setSelectedImages((prev) => [...prev, ...newImages]);
   };
 
@@ -738,6 +767,139 @@ export const useTweetComposer = () => {
     setSelectedImages((prev) => prev.filter((_, i) => i !== index));
   };
 
+  const handleLibraryMediaSelect = (assets = []) => {
+    const picked = assets.map(fromLibraryAsset);
+    if (picked.length === 0) return false;
+    const selectionError = validateMediaSelection([...selectedImages, ...picked]);
+    if (selectionError) {
+      toast.error(selectionError);
+      return false;
+    }
+    setSelectedImages((prev) => [...prev, ...picked]);
+    return true;
+  };
+
+  const handleImageAltTextChange = (index, altText) => {
+    setSelectedImages((prev) => prev.map((img, i) => (i === index ? { ...img, altText } : img)));
+  };
+
+  const handleThreadImageAltTextChange = (threadIndex, imageIndex, altText) => {
+    setThreadImages((prev) => {
+      const updated = [...prev];
+      if (updated[threadIndex]) {
+        updated[threadIndex] = updated[threadIndex].map((img, i) => (i === imageIndex ? { ...img, altText } : img));
+      }
+      return updated;
+    });
+  };
+
+  // Draft alt text for an image with AI (1 credit). Returns the text, or null on failure.
+  const describeImageItem = async (item, context) => {
+    if (!item || item.kind === 'video') return null;
+    setDescribingImageId(item.id);
+    try {
+      const imageUrl =
+        typeof item.preview === 'string' && item.preview.startsWith('data:image/')
+          ? item.preview
+          : await fileToBase64(item.file);
+      const response = await ai.describeImage(imageUrl, context);
+      const altText = response?.data?.altText || '';
+      if (!altText) throw new Error('No description returned');
+      toast.success('Alt text drafted. Review it before posting.');
+      return altText;
+    } catch (error) {
+      console.error('Describe image error:', error);
+      toast.error(error?.response?.data?.error || 'Failed to describe image');
+      return null;
+    } finally {
+      setDescribingImageId(null);
+    }
+  };
+
+  const handleDescribeImage = async (index) => {
+    const altText = await describeImageItem(selectedImages[index], content);
+    if (altText) handleImageAltTextChange(index, altText);
+  };
+
+  const handleDescribeThreadImage = async (threadIndex, imageIndex) => {
+    const altText = await describeImageItem(threadImages[threadIndex]?.[imageIndex], threadTweets[threadIndex] || '');
+    if (altText) handleThreadImageAltTextChange(threadIndex, imageIndex, altText);
+  };
+
+  // Upload one post's media: images in a single request, or a video/GIF through
+  // the chunked upload (waits until X has finished processing it). Alt text is
+  // set on X during the upload; pass altTextById to also collect it by media id
+  // (scheduled posts re-apply it at publish time). With `hosted`, a video/GIF is
+  // stored by URL instead and uploaded to X at publish time, because X media
+  // IDs expire 24 hours after upload.
+  const uploadPostMedia = async (items = [], altTextById = null, { hosted = false } = {}) => {
+    if (items.length === 0) return [];
+
+    const recordAltText = (mediaIds, altTexts) => {
+      if (!altTextById) return;
+      mediaIds.forEach((mediaId, index) => {
+        if (altTexts[index]) altTextById[mediaId] = altTexts[index];
+      });
+    };
+
+    // Library videos are already hosted.
+    const hostedLibraryItem = hosted && items.find((item) => item.libraryAssetId && isChunkedMedia(item) && item.url);
+    if (hostedLibraryItem) {
+      recordAltText([hostedLibraryItem.url], [getAltText(hostedLibraryItem)]);
+      return [hostedLibraryItem.url];
+    }
+
+    const chunkedItem = items.find((item) => item.file && isChunkedMedia(item));
+    if (chunkedItem) {
+      const label = chunkedItem.kind === 'gif' ? 'GIF' : 'video';
+      const toastId = toast.loading(`Uploading ${label}...`);
+      setIsUploadingImages(true);
+      try {
+        const onProgress = ({ phase, percent }) => {
+          toast.loading(
+            phase === 'processing' ? `Processing ${label} on X... ${percent}%` : `Uploading ${label}... ${percent}%`,
+            { id: toastId }
+          );
+        };
+        const mediaRef = hosted
+          ? await uploadHostedMedia(chunkedItem.file, { durationSeconds: chunkedItem.durationSeconds, onProgress })
+          : await uploadChunkedMedia(chunkedItem.file, {
+              durationSeconds: chunkedItem.durationSeconds,
+              altText: getAltText(chunkedItem),
+              onProgress,
+            });
+        recordAltText([mediaRef], [getAltText(chunkedItem)]);
+        return [mediaRef];
+      } finally {
+        toast.dismiss(toastId);
+        setIsUploadingImages(false);
+      }
+    }
+
+    const mediaFiles = [];
+    const altTexts = [];
+    for (const img of items) {
+      if (img.isAIGenerated && img.preview.startsWith('data:')) {
+        mediaFiles.push(img.preview);
+      } else if (img.libraryAssetId) {
+        mediaFiles.push({ assetId: img.libraryAssetId });
+      } else if (img.file) {
+        mediaFiles.push(await fileToBase64(img.file));
+      } else {
+        continue;
+      }
+      altTexts.push(getAltText(img));
+    }
+    if (mediaFiles.length === 0) return [];
+
+    const uploadRes = await media.upload(mediaFiles, altTexts);
+    if (!uploadRes.data || !uploadRes.data.mediaIds) {
+      throw new Error('Failed to upload images to Twitter');
+    }
+    recordAltText(uploadRes.data.mediaIds, altTexts);
+    return uploadRes.data.mediaIds;
+  };
+
   const normalizeCrossPostInput = (crossPostInput = false) => {
     if (crossPostInput && typeof crossPostInput === 'object' && !Array.isArray(crossPostInput)) {
       const rawIds =
@@ -769,6 +931,7 @@ export const useTweetComposer = () => {
         threads: Boolean(crossPostInput.threads),
         twitter: Boolean(crossPostInput.twitter),
         optimizeCrossPost: crossPostInput.optimizeCrossPost !== false,
+        crossPostOverrides: crossPostInput.crossPostOverrides || null,
         crossPostTargetAccountIds: normalizedIds,
         crossPostTargetAccountLabels: normalizedLabels,
       };
@@ -779,6 +942,7 @@ export const useTweetComposer = () => {
       threads: false,
       twitter: false,
       optimizeCrossPost: true,
+      crossPostOverrides: null,
       crossPostTargetAccountIds: {},
       crossPostTargetAccountLabels: {},
     };
@@ -830,9 +994,9 @@ export const useTweetComposer = () => {
 
     setIsPosting(true);
     try {
-      const crossPostMediaPayload = hasAnyCrossPostTarget
+      const { media: crossPostMediaPayload, altText: crossPostMediaAltText } = hasAnyCrossPostTarget
         ? await buildCrossPostMediaPayload(isThread ? (threadImages[0] || []) : selectedImages)
-        : [];
+        : { media: [], altText: [] };
       const promptTrackingFields = activePromptTracking
         ? {
             ...(activePromptTracking.strategyId && { strategy_id: activePromptTracking.strategyId }),
@@ -854,8 +1018,12 @@ export const useTweetComposer = () => {
             crossPostTargetAccountLabels: normalizedCrossPost.crossPostTargetAccountLabels,
           }),
           optimizeCrossPost: normalizedCrossPost.optimizeCrossPost,
+          ...(normalizedCrossPost.crossPostOverrides && { crossPostOverrides: normalizedCrossPost.crossPostOverrides }),
+        }),
+        ...(crossPostMediaPayload.length > 0 && {
+          crossPostMedia: crossPostMediaPayload,
+          crossPostMediaAltText,
         }),
-        ...(crossPostMediaPayload.length > 0 && { crossPostMedia: crossPostMediaPayload }),
         ...promptTrackingFields,
       };
 
@@ -951,26 +1119,7 @@ export const useTweetComposer = () => {
         }
       };
 
-      let mediaIds = [];
-      if (selectedImages.length > 0) {
-        const mediaFiles = [];
-        for (const img of selectedImages) {
-          if (img.isAIGenerated && img.preview.startsWith('data:')) {
-            mediaFiles.push(img.preview);
-          } else if (img.file) {
-            const base64 = await fileToBase64(img.file);
-            mediaFiles.push(base64);
-          }
-        }
-        if (mediaFiles.length > 0) {
-          const uploadRes = await media.upload(mediaFiles);
-          if (uploadRes.data && uploadRes.data.mediaIds) {
-            mediaIds = uploadRes.data.mediaIds;
-          } else {
-            throw new Error('Failed to upload images to Twitter');
-          }
-        }
-      }
+      const mediaIds = await uploadPostMedia(selectedImages);
 
       let threadMedia = [];
       if (isThread) {
@@ -978,29 +1127,7 @@ export const useTweetComposer = () => {
           const tweet = threadTweets[i];
           if (tweet.trim().length > 0 && tweet !== '---') {
             const tweetImages = threadImages[i] || [];
-            if (tweetImages.length > 0) {
-              const tweetMediaFiles = [];
-              for (const img of tweetImages) {
-                if (img.isAIGenerated && img.preview.startsWith('data:')) {
-                  tweetMediaFiles.push(img.preview);
-                } else if (img.file) {
-                  const base64 = await fileToBase64(img.file);
-                  tweetMediaFiles.push(base64);
-                }
-              }
-              if (tweetMediaFiles.length > 0) {
-                const uploadRes = await media.upload(tweetMediaFiles);
-                if (uploadRes.data && uploadRes.data.mediaIds) {
-                  threadMedia.push(uploadRes.data.mediaIds);
-                } else {
-                  throw new Error('Failed to upload thread images to Twitter');
-                }
-              } else {
-                threadMedia.push([]);
-              }
-            } else {
-              threadMedia.push([]);
-            }
+            threadMedia.push(await uploadPostMedia(tweetImages));
           }
         }
       }
@@ -1071,16 +1198,22 @@ export const useTweetComposer = () => {
       }
 
       const errorMessage = error.response?.data?.error || 'Failed to post tweet';
-      toast.error(errorMessage);
+      toast.error(withComplianceViolations(errorMessage, error.response?.data), { duration: 6000 });
     } finally {
       setIsPosting(false);
     }
   };
 
-  const handleSchedule = async (dateString, timezone, crossPostInput = false) => {
+  const handleSchedule = async (dateString, timezone, crossPostInput = false, recurrence = null, replyTargetFields = {}) => {
     const normalizedCrossPost = normalizeCrossPostInput(crossPostInput);
     const hasAnyCrossPostTarget =
       normalizedCrossPost.linkedin || normalizedCrossPost.threads || normalizedCrossPost.twitter;
+    const targetFields = replyTargetFields && typeof replyTargetFields === 'object' ? replyTargetFields : {};
+
+    if (targetFields.targetTweet && hasAnyCrossPostTarget) {
+      toast.error('Replies and quotes only go to X. Turn off cross-posting to schedule this one.');
+      return;
+    }
 
     if (isThread) {
       const validTweets = threadTweets.filter((tweet) => tweet.trim().length > 0 && tweet !== '---');
@@ -1105,9 +1238,9 @@ export const useTweetComposer = () => {
 
     setIsScheduling(true);
     try {
-      const crossPostMediaPayload = hasAnyCrossPostTarget
+      const { media: crossPostMediaPayload, altText: crossPostMediaAltText } = hasAnyCrossPostTarget
         ? await buildCrossPostMediaPayload(isThread ? (threadImages[0] || []) : selectedImages)
-        : [];
+        : { media: [], altText: [] };
       const promptTrackingFields = activePromptTracking
         ? {
             ...(activePromptTracking.strategyId && { strategy_id: activePromptTracking.strategyId }),
@@ -1116,58 +1249,20 @@ export const useTweetComposer = () => {
         : {};
       let mediaIds = [];
       let threadMedia = [];
+      const mediaAltText = {};
 
       if (isThread) {
         for (let i = 0; i < threadTweets.length; i++) {
           const tweet = threadTweets[i];
           if (tweet.trim().length > 0 && tweet !== '---') {
             const tweetImages = threadImages[i] || [];
-            if (tweetImages.length > 0) {
-              const tweetMediaFiles = [];
-              for (const img of tweetImages) {
-                if (img.isAIGenerated && img.preview.startsWith('data:')) {
-                  tweetMediaFiles.push(img.preview);
-                } else if (img.file) {
-                  const base64 = await fileToBase64(img.file);
-                  tweetMediaFiles.push(base64);
-                }
-              }
-              if (tweetMediaFiles.length > 0) {
-                const uploadRes = await media.upload(tweetMediaFiles);
-                if (uploadRes.data && uploadRes.data.mediaIds) {
-                  threadMedia.push(uploadRes.data.mediaIds);
-                } else {
-                  throw new Error('Failed to upload thread images to Twitter');
-                }
-              } else {
-                threadMedia.push([]);
-              }
-            } else {
-              threadMedia.push([]);
-            }
+            threadMedia.push(await uploadPostMedia(tweetImages, mediaAltText, { hosted: true }));
           }
         }
       } else {
-        if (selectedImages.length > 0) {
-          const mediaFiles = [];
-          for (const img of selectedImages) {
-            if (img.isAIGenerated && img.preview.startsWith('data:')) {
-              mediaFiles.push(img.preview);
-            } else if (img.file) {
-              const base64 = await fileToBase64(img.file);
-              mediaFiles.push(base64);
-            }
-          }
-          if (mediaFiles.length > 0) {
-            const uploadRes = await media.upload(mediaFiles);
-            if (uploadRes.data && uploadRes.data.mediaIds) {
-              mediaIds = uploadRes.data.mediaIds;
-            } else {
-              throw new Error('Failed to upload images to Twitter');
-            }
-          }
-        }
+        mediaIds = await uploadPostMedia(selectedImages, mediaAltText, { hosted: true });
       }
+      const mediaAltTextFields = Object.keys(mediaAltText).length > 0 ? { media_alt_text: mediaAltText } : {};
 
       if (isThread) {
         const validTweets = threadTweets.filter((tweet) => tweet.trim().length > 0 && tweet !== '---');
@@ -1188,12 +1283,17 @@ export const useTweetComposer = () => {
               crossPostTargetAccountLabels: normalizedCrossPost.crossPostTargetAccountLabels,
             }),
             optimizeCrossPost: normalizedCrossPost.optimizeCrossPost,
+            ...(normalizedCrossPost.crossPostOverrides && { crossPostOverrides: normalizedCrossPost.crossPostOverrides }),
             ...(crossPostMediaPayload.length > 0 && {
               crossPostMedia: crossPostMediaPayload,
+              crossPostMediaAltText,
             }),
           }),
           scheduled_for: dateString,
           timezone: resolvedTimezone,
+          ...(recurrence && { recurrence }),
+          ...targetFields,
+          ...mediaAltTextFields,
           ...promptTrackingFields,
         });
         const threadScheduleData = threadScheduleRes?.data || {};
@@ -1208,7 +1308,11 @@ export const useTweetComposer = () => {
           ].filter(Boolean);
           toast.success(`Thread scheduled. Cross-post to ${labels.join(' + ')} will run at publish time.`);
         } else {
-          toast.success('Thread scheduled successfully!');
+          toast.success(
+            threadScheduleData.series
+              ? `Thread scheduled. ${threadScheduleData.series.description}.`
+              : 'Thread scheduled successfully!'
+          );
         }
         setThreadTweets(['']);
         setThreadImages([]);
@@ -1231,12 +1335,17 @@ export const useTweetComposer = () => {
               crossPostTargetAccountLabels: normalizedCrossPost.crossPostTargetAccountLabels,
             }),
             optimizeCrossPost: normalizedCrossPost.optimizeCrossPost,
+            ...(normalizedCrossPost.crossPostOverrides && { crossPostOverrides: normalizedCrossPost.crossPostOverrides }),
             ...(crossPostMediaPayload.length > 0 && {
               crossPostMedia: crossPostMediaPayload,
+              crossPostMediaAltText,
             }),
           }),
           scheduled_for: dateString,
           timezone: resolvedTimezone,
+          ...(recurrence && { recurrence }),
+          ...targetFields,
+          ...mediaAltTextFields,
           ...promptTrackingFields,
         });
         const singleScheduleData = singleScheduleRes?.data || {};
@@ -1252,8 +1361,14 @@ export const useTweetComposer = () => {
           toast.success(
             `Tweet scheduled. Cross-post to ${labels.join(' + ')} will run at publish time.`
           );
+        } else if (targetFields.targetTweet) {
+          toast.success(targetFields.targetTweet.type === 'quote' ? 'Quote post scheduled!' : 'Reply scheduled!');
         } else {
-          toast.success('Tweet scheduled successfully!');
+          toast.success(
+            singleScheduleData.series
+              ? `Tweet scheduled. ${singleScheduleData.series.description}.`
+              : 'Tweet scheduled successfully!'
+          );
         }
         setContent('');
       }
@@ -1271,7 +1386,7 @@ export const useTweetComposer = () => {
     } catch (error) {
       console.error('Schedule tweet error:', error);
       const errorMessage = error.response?.data?.error || error.message || 'Failed to schedule tweet';
-      toast.error(errorMessage);
+      toast.error(withComplianceViolations(errorMessage, error.response?.data), { duration: 6000 });
     } finally {
       setIsScheduling(false);
     }
@@ -1362,12 +1477,15 @@ export const useTweetComposer = () => {
         }
         clearStrategyPromptContext();
 
+        const voiceNote = response.data.voiceMatch
+          ? ` Brand voice match: ${response.data.voiceMatch.score}/100.`
+          : '';
         if (response.data.creditsUsed && response.data.threadCount) {
           toast.success(
-            `Content generated successfully! Used ${response.data.creditsUsed} credits for ${response.data.threadCount} thread(s).`
+            `Content generated successfully! Used ${response.data.creditsUsed} credits for ${response.data.threadCount} thread(s).${voiceNote}`
           );
         } else {
-          toast.success('Content generated successfully!');
+          toast.success(`Content generated successfully!${voiceNote}`);
         }
       } else {
         toast.error('Failed to generate content');
@@ -1502,6 +1620,7 @@ export const useTweetComposer = () => {
           preview: response.data.imageUrl,
           id: Math.random().toString(36).substr(2, 9),
           isAIGenerated: true,
+          libraryAssetId: response.data.assetId || null,
           prompt: sanitizedPrompt,
           provider: response.data.provider || 'AI',
         };
@@ -1530,6 +1649,49 @@ export const useTweetComposer = () => {
     }
   };
 
+  // Schedule the post as variant A of a hook A/B test; the server writes the
+  // other hook variants and spreads them over the account's queue slots.
+  const handleScheduleAbTest = async (dateString, timezone, variantCount = 2) => {
+    if (isThread) {
+      toast.error('A/B tests work with single posts, not threads');
+      return;
+    }
+    if (!content.trim()) {
+      toast.error('Please enter some content to test');
+      return;
+    }
+    if (selectedImages.length > 0) {
+      toast.error('Remove images to run a hook A/B test');
+      return;
+    }
+
+    setIsScheduling(true);
+    try {
+      const res = await abTests.create({
+        content: content.trim(),
+        variant_count: variantCount,
+        distribution: 'slots',
+        scheduled_for: dateString,
+        timezone: timezone || Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC',
+      });
+      const variations = res?.data?.test?.variations || [];
+      if (res?.data?.approval_status === 'pending_approval') {
+        toast.success(`${variations.length} hook variants submitted for approval.`);
+      } else {
+        toast.success(`A/B test scheduled with ${variations.length} hook variants.`);
+      }
+      setContent('');
+      setScheduledFor('');
+      clearDraft(COMPOSE_DRAFT_STORAGE_KEY);
+      fetchScheduledTweets();
+    } catch (error) {
+      console.error('Schedule A/B test error:', error);
+      toast.error(error.response?.data?.error || 'Failed to create A/B test');
+    } finally {
+      setIsScheduling(false);
+    }
+  };
+
   const handleCancelScheduled = async (tweetId) => {
     try {
       await scheduling.cancel(tweetId);
@@ -1555,49 +1717,18 @@ export const useTweetComposer = () => {
     setThreadTweets(newTweets);
   };
 
-  const handleThreadImageUpload = (threadIndex, event) => {
-    const files = Array.from(event.target.files);
-    const validFiles = [];
-
-    for (const file of files) {
-      const validation = validateFileUpload(file);
-
-      if (!validation.isValid) {
-        validation.errors.forEach((error) => toast.error(error));
-        continue;
-      }
-
-      if (validation.warnings.length > 0) {
-        validation.warnings.forEach((warning) => toast.info(warning, { icon: 'âš ï¸' }));
-      }
-
-      const isValidType = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'].includes(file.type);
-      const isValidSize = file.size <= MAX_IMAGE_SIZE;
-
-      if (!isValidType) {
-        toast.error(`${file.name} is not a valid image type`);
-        continue;
-      }
-      if (!isValidSize) {
-        toast.error(`${file.name} is too large (max 5MB)`);
-        continue;
-      }
-
-      validFiles.push(file);
-    }
+  const handleThreadImageUpload = async (threadIndex, event) => {
+    const newImages = await readPickedMedia(event);
+    if (newImages.length === 0) return;
 
     const currentImagesForThread = threadImages[threadIndex] || [];
-    if (currentImagesForThread.length + validFiles.length > 4) {
-      toast.error('Maximum 4 images allowed per tweet');
+    const selectionError = validateMediaSelection([...currentImagesForThread, ...newImages]);
+    if (selectionError) {
+      toast.error(selectionError);
+      revokePreviews(newImages);
       return;
     }
 
-    const newImages = validFiles.map((file) => ({
-      file,
-      preview: URL.createObjectURL(file),
-      id: Math.random().toString(36).substr(2, 9),
-    }));
-
     setThreadImages((prev) => {
       const updated = [...prev];
       if (!updated[threadIndex]) {
@@ -1687,6 +1818,7 @@ export const useTweetComposer = () => {
     isGeneratingImage,
     selectedImages,
     isUploadingImages,
+    describingImageId,
     scheduledTweets,
     isLoadingScheduled,
     characterCount,
@@ -1699,14 +1831,20 @@ export const useTweetComposer = () => {
     // Handlers
     handleImageUpload,
     handleImageRemove,
+    handleImageAltTextChange,
+    handleDescribeImage,
+    handleLibraryMediaSelect,
     handlePost,
     handleSchedule,
+    handleScheduleAbTest,
     handleAIGenerate,
     handleImageGenerate,
     handleCancelScheduled,
     handleThreadTweetChange,
     handleThreadImageUpload,
     handleThreadImageRemove,
+    handleThreadImageAltTextChange,
+    handleDescribeThreadImage,
     handleAddTweet,
     handleRemoveTweet,
     handleAIButtonClick,
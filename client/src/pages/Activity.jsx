@@ -0,0 +1,207 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { Loader2, RefreshCw, ScrollText } from 'lucide-react';
+import { audit } from '../utils/api';
+import { useAccount } from '../contexts/AccountContext';
+
+const ACTION_LABELS = {
+  'schedule.created': 'Scheduled a post',
+  'schedule.bulk_created': 'Scheduled posts in bulk',
+  'schedule.imported': 'Imported a schedule',
+  'schedule.updated': 'Edited a scheduled post',
+  'schedule.deleted': 'Deleted a scheduled post',
+  'schedule.retried': 'Retried a failed post',
+  'schedule.series_updated': 'Edited a recurring series',
+  'schedule.series_stopped': 'Stopped a recurring series',
+  'tweet.posted': 'Posted',
+  'tweet.deleted': 'Deleted a post',
+  'account.disconnected': 'Disconnected an account',
+  'account.permissions_updated': 'Changed account permissions',
+  'autopilot.config_updated': 'Changed autopilot settings',
+  'autopilot.post_undone': 'Undid an autopilot post',
+  'autopilot.queue_approved': 'Approved queued content',
+  'autopilot.queue_rejected': 'Rejected queued content',
+  'autopilot.queue_updated': 'Edited queued content',
+  'autopilot.queue_deleted': 'Deleted queued content',
+  'approval.signed_off': 'Signed off an approval step',
+  'approval.approved': 'Approved a post',
+  'approval.changes_requested': 'Requested changes',
+  'approval.rejected': 'Rejected a post',
+  'approval.resubmitted': 'Resubmitted a post',
+  'approval.chain_updated': 'Changed the approval chain',
+};
+
+const ACTION_GROUPS = [
+  { value: 'schedule', label: 'Scheduling' },
+  { value: 'tweet', label: 'Posts' },
+  { value: 'approval', label: 'Approvals' },
+  { value: 'autopilot', label: 'Autopilot' },
+  { value: 'account', label: 'Accounts' },
+];
+
+const selectClassName =
+  'rounded-md border border-gray-300 bg-white px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const errorMessage = (error, fallback) => error?.response?.data?.error || fallback;
+
+const formatWhen = (value) =>
+  new Date(value).toLocaleString(undefined, { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+
+const describeDetails = (event) => {
+  const metadata = event.metadata || {};
+  if (metadata.content) return `“${metadata.content}”`;
+  if (metadata.count) return `${metadata.count} posts`;
+  if (metadata.username) return `@${metadata.username}`;
+  if (Array.isArray(metadata.steps)) return metadata.steps.join(' → ');
+  if (Array.isArray(metadata.changes)) return `Changed: ${metadata.changes.join(', ')}`;
+  return '';
+};
+
+/**
+ * Who did what, on which account: scheduling, edits, deletes, approvals,
+ * disconnects and autopilot changes. Team owners see the whole team.
+ */
+const Activity = () => {
+  const { accounts = [], isTeamMode } = useAccount();
+  const [events, setEvents] = useState([]);
+  const [nextBefore, setNextBefore] = useState(null);
+  const [facets, setFacets] = useState({ actors: [], accounts: [] });
+  const [filters, setFilters] = useState({ accountId: '', actorId: '', action: '' });
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState(null);
+
+  const accountNames = useMemo(
+    () => new Map(accounts.map((account) => [String(account.id), account.account_username])),
+    [accounts]
+  );
+
+  const queryParams = useCallback(
+    (extra = {}) => Object.fromEntries(Object.entries({ ...filters, ...extra }).filter(([, value]) => value)),
+    [filters]
+  );
+
+  const fetchEvents = useCallback(async () => {
+    setLoading(true);
+    try {
+      const { data } = await audit.list(queryParams());
+      setEvents(data.events || []);
+      setNextBefore(data.next_before || null);
+      setError(null);
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to load activity'));
+    } finally {
+      setLoading(false);
+    }
+  }, [queryParams]);
+
+  useEffect(() => {
+    fetchEvents();
+  }, [fetchEvents]);
+
+  useEffect(() => {
+    audit
+      .facets()
+      .then(({ data }) => setFacets({ actors: data.actors || [], accounts: data.accounts || [] }))
+      .catch(() => setFacets({ actors: [], accounts: [] }));
+  }, [isTeamMode]);
+
+  const loadMore = async () => {
+    setLoadingMore(true);
+    try {
+      const { data } = await audit.list(queryParams({ before: nextBefore }));
+      setEvents((current) => [...current, ...(data.events || [])]);
+      setNextBefore(data.next_before || null);
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to load activity'));
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const updateFilter = (name) => (e) => setFilters((current) => ({ ...current, [name]: e.target.value }));
+
+  return (
+    <div className="mx-auto max-w-5xl space-y-5">
+      <div className="flex flex-wrap items-center gap-3">
+        <div>
+          <h1 className="flex items-center gap-2 text-2xl font-bold text-gray-900">
+            <ScrollText className="h-6 w-6 text-blue-600" />
+            Activity
+          </h1>
+          <p className="text-sm text-gray-500">
+            {isTeamMode
+              ? 'Everything your team scheduled, edited, deleted, approved or disconnected.'
+              : 'Everything you scheduled, edited, deleted, approved or disconnected.'}
+          </p>
+        </div>
+        <button
+          type="button"
+          onClick={fetchEvents}
+          className="ml-auto inline-flex items-center gap-1.5 rounded-lg border border-gray-300 bg-white px-3 py-1.5 text-sm font-medium text-gray-700 hover:bg-gray-50"
+        >
+          <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+          Refresh
+        </button>
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        <select value={filters.action} onChange={updateFilter('action')} className={selectClassName}>
+          <option value="">All actions</option>
+          {ACTION_GROUPS.map((group) => (
+            <option key={group.value} value={group.value}>{group.label}</option>
+          ))}
+        </select>
+        {facets.accounts.length > 0 && (
+          <select value={filters.accountId} onChange={updateFilter('accountId')} className={selectClassName}>
+            <option value="">All accounts</option>
+            {facets.accounts.map((id) => (
+              <option key={id} value={id}>{accountNames.has(id) ? `@${accountNames.get(id)}` : `Account ${id}`}</option>
+            ))}
+          </select>
+        )}
+        {isTeamMode && facets.actors.length > 0 && (
+          <select value={filters.actorId} onChange={updateFilter('actorId')} className={selectClassName}>
+            <option value="">Everyone</option>
+            {facets.actors.map((actor) => (
+              <option key={actor.id} value={actor.id}>{actor.name || actor.email}</option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      {error && <div className="rounded-lg border border-red-200 bg-red-50 p-3 text-sm text-red-700">{error}</div>}
+
+      <div className="card divide-y divide-gray-100 p-0">
+        {events.length === 0 && !loading && (
+          <p className="py-12 text-center text-sm text-gray-500">No activity yet.</p>
+        )}
+        {events.map((event) => (
+          <div key={event.id} className="flex flex-wrap items-start gap-x-3 gap-y-1 px-4 py-3">
+            <div className="min-w-0 flex-1">
+              <p className="text-sm text-gray-900">
+                <span className="font-medium">{event.actor_name || event.actor_email || 'Someone'}</span>{' '}
+                {(ACTION_LABELS[event.action] || event.action).toLowerCase()}
+                {event.account_id && accountNames.has(String(event.account_id)) && (
+                  <span className="text-gray-500"> on @{accountNames.get(String(event.account_id))}</span>
+                )}
+              </p>
+              {describeDetails(event) && <p className="truncate text-sm text-gray-500">{describeDetails(event)}</p>}
+            </div>
+            <span className="text-xs text-gray-400">{formatWhen(event.created_at)}</span>
+          </div>
+        ))}
+      </div>
+
+      {nextBefore && (
+        <div className="text-center">
+          <button type="button" onClick={loadMore} disabled={loadingMore} className="btn btn-secondary btn-md disabled:opacity-60">
+            {loadingMore && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+            Load more
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Activity;
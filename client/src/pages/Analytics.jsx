@@ -131,6 +131,7 @@ const Analytics = () => {
   const [loading, setLoading] = useState(true);
   const [syncing, setSyncing] = useState(false);
   const [timeframe, setTimeframe] = useState(String(hasUserProPlan ? DEFAULT_DAYS : FREE_DAYS));
+  const [exporting, setExporting] = useState(false);
   const [error, setError] = useState(null);
   const [activeTab, setActiveTab] = useState('overview');
   const [updatedTweetIds, setUpdatedTweetIds] = useState(new Set());
@@ -879,6 +880,33 @@ const Analytics = () => {
     );
   }
 
+  const handleExport = async (format) => {
+    if (exporting) return;
+    setExporting(true);
+    try {
+      const to = new Date();
+      const from = new Date(to.getTime() - parseDays(timeframe) * 24 * 60 * 60 * 1000);
+      const response = await analyticsAPI.exportPosts({
+        format,
+        from: from.toISOString(),
+        to: to.toISOString(),
+      });
+      const url = window.URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `tweet-export-${from.toISOString().slice(0, 10)}-to-${to.toISOString().slice(0, 10)}.${format}`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (exportError) {
+      console.error('Analytics export failed:', exportError);
+      toast.error('Failed to export posts');
+    } finally {
+      setExporting(false);
+    }
+  };
+
   return (
     <div className="space-y-6">
       <div className="flex flex-col sm:flex-row items-start sm:items-center justify-between gap-4">
@@ -924,6 +952,20 @@ const Analytics = () => {
                   : 'Sync Latest'
               : 'Sync Latest (Pro)'}
           </button>
+
+          <select
+            className="input w-auto"
+            value=""
+            disabled={exporting || isDisconnected}
+            onChange={(event) => {
+              if (event.target.value) handleExport(event.target.value);
+            }}
+            title="Export posts and metrics for the selected range"
+          >
+            <option value="">{exporting ? 'Exporting...' : 'Export'}</option>
+            <option value="csv">Export CSV</option>
+            <option value="json">Export JSON</option>
+          </select>
           </div>
           {!isProPlan && (
             <p className="text-xs text-amber-700">
@@ -0,0 +1,449 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  CheckCircle,
+  ClipboardCheck,
+  History as HistoryIcon,
+  Loader2,
+  MessageCircle,
+  RefreshCw,
+  Send,
+  Undo2,
+  XCircle,
+} from 'lucide-react';
+import toast from 'react-hot-toast';
+import { approvals } from '../utils/api';
+import ReviewLinksPanel from '../components/ReviewLinksPanel';
+
+const MAX_TWEET_LENGTH = 280;
+
+const inputClassName =
+  'w-full rounded-md border border-gray-300 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const KIND_LABELS = {
+  approved: 'signed off',
+  changes_requested: 'requested changes',
+  rejected: 'rejected',
+  resubmitted: 'resubmitted',
+};
+
+const formatWhen = (value) =>
+  value ? new Date(value).toLocaleString(undefined, { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' }) : '';
+
+const personLabel = (name, email) => name || email || 'Member';
+
+const threadParts = (threadTweets) =>
+  (Array.isArray(threadTweets) ? threadTweets : [])
+    .map((part) => (typeof part === 'string' ? part : part?.content || ''))
+    .filter(Boolean);
+
+const errorMessage = (error, fallback) => error?.response?.data?.error || fallback;
+
+// One pill per chain step: done, waiting on, or still to come.
+const ChainProgress = ({ approval }) => {
+  if (!approval?.steps?.length) return null;
+  return (
+    <div className="flex flex-wrap items-center gap-1.5">
+      {approval.steps.map((step, index) => (
+        <span
+          key={`${step.label}-${index}`}
+          className={`rounded-full px-2 py-0.5 text-xs font-medium ${
+            step.state === 'done'
+              ? 'bg-green-100 text-green-700'
+              : step.state === 'waiting'
+                ? 'bg-amber-100 text-amber-800'
+                : 'bg-gray-100 text-gray-500'
+          }`}
+        >
+          {index + 1}. {step.label}
+        </span>
+      ))}
+    </div>
+  );
+};
+
+const PostPreview = ({ content, threadTweets }) => {
+  const parts = threadParts(threadTweets);
+  return (
+    <div className="space-y-2">
+      <p className="whitespace-pre-wrap text-sm text-gray-900">{content}</p>
+      {parts.map((part, index) => (
+        <p key={index} className="whitespace-pre-wrap border-l-2 border-gray-200 pl-3 text-sm text-gray-700">{part}</p>
+      ))}
+    </div>
+  );
+};
+
+const Comment = ({ comment, onReply }) => (
+  <div className="space-y-2">
+    <div className="rounded-lg bg-gray-50 px-3 py-2">
+      <div className="flex flex-wrap items-center gap-2 text-xs text-gray-500">
+        <span className="font-medium text-gray-700">
+          {comment.reviewer_name
+            ? `${comment.reviewer_name} (review link)`
+            : personLabel(comment.user_name, comment.user_email)}
+        </span>
+        {KIND_LABELS[comment.kind] && (
+          <span className={comment.kind === 'approved' ? 'text-green-700' : comment.kind === 'comment' ? '' : 'text-amber-700'}>
+            {KIND_LABELS[comment.kind]}
+            {comment.step_index !== null && comment.step_index !== undefined && ` at step ${comment.step_index + 1}`}
+          </span>
+        )}
+        <span>{formatWhen(comment.created_at)}</span>
+        <button type="button" onClick={() => onReply(comment)} className="ml-auto text-blue-600 hover:underline">
+          Reply
+        </button>
+      </div>
+      {comment.body && <p className="mt-1 whitespace-pre-wrap text-sm text-gray-800">{comment.body}</p>}
+    </div>
+    {comment.replies?.length > 0 && (
+      <div className="ml-5 space-y-2 border-l border-gray-200 pl-3">
+        {comment.replies.map((reply) => (
+          <Comment key={reply.id} comment={reply} onReply={onReply} />
+        ))}
+      </div>
+    )}
+  </div>
+);
+
+const ResubmitForm = ({ tweet, onDone }) => {
+  const [content, setContent] = useState(tweet.content || '');
+  const [parts, setParts] = useState(threadParts(tweet.thread_tweets));
+  const [note, setNote] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const submit = async () => {
+    setSaving(true);
+    try {
+      await approvals.resubmit(tweet.id, {
+        content,
+        ...(parts.length > 0 ? { thread_tweets: parts } : {}),
+        note,
+      });
+      toast.success('Resubmitted for approval');
+      onDone();
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to resubmit post'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const tooLong = [content, ...parts].some((part) => !part.trim() || part.length > MAX_TWEET_LENGTH);
+
+  return (
+    <div className="space-y-3 rounded-lg border border-amber-200 bg-amber-50 p-3">
+      <p className="text-sm font-medium text-amber-900">Edit the post and send it back through the approval chain</p>
+      <textarea value={content} onChange={(e) => setContent(e.target.value)} rows={4} className={inputClassName} />
+      {parts.map((part, index) => (
+        <textarea
+          key={index}
+          value={part}
+          onChange={(e) => setParts((current) => current.map((item, i) => (i === index ? e.target.value : item)))}
+          rows={3}
+          className={inputClassName}
+        />
+      ))}
+      <input
+        type="text"
+        value={note}
+        onChange={(e) => setNote(e.target.value)}
+        placeholder="What changed? (optional)"
+        className={inputClassName}
+      />
+      <button onClick={submit} disabled={saving || tooLong} className="btn btn-primary btn-md disabled:opacity-60">
+        <Send className="h-4 w-4 mr-2" />
+        Resubmit
+      </button>
+    </div>
+  );
+};
+
+const ApprovalDetail = ({ tweetId, onDecided }) => {
+  const [detail, setDetail] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [note, setNote] = useState('');
+  const [commentText, setCommentText] = useState('');
+  const [replyTo, setReplyTo] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const fetchDetail = useCallback(async () => {
+    setLoading(true);
+    try {
+      const { data } = await approvals.detail(tweetId);
+      setDetail(data);
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to load post'));
+      setDetail(null);
+    } finally {
+      setLoading(false);
+    }
+  }, [tweetId]);
+
+  useEffect(() => {
+    setNote('');
+    setCommentText('');
+    setReplyTo(null);
+    fetchDetail();
+  }, [fetchDetail]);
+
+  const decide = async (action) => {
+    if (action === 'requestChanges' && !note.trim()) {
+      toast.error('Say what needs to change');
+      return;
+    }
+    setBusy(true);
+    try {
+      const { data } = await approvals[action](tweetId, note.trim());
+      toast.success(data.message || 'Done');
+      onDecided();
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to update post'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const postComment = async () => {
+    if (!commentText.trim()) return;
+    setBusy(true);
+    try {
+      await approvals.comment(tweetId, commentText.trim(), replyTo?.id);
+      setCommentText('');
+      setReplyTo(null);
+      await fetchDetail();
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to add comment'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12 text-gray-400">
+        <Loader2 className="h-6 w-6 animate-spin" />
+      </div>
+    );
+  }
+  if (!detail) return null;
+
+  const { tweet, approval, comments = [], revisions = [] } = detail;
+
+  return (
+    <div className="space-y-5">
+      <div className="space-y-3">
+        <ChainProgress approval={approval} />
+        <PostPreview content={tweet.content} threadTweets={tweet.thread_tweets} />
+        <p className="text-xs text-gray-500">
+          By {personLabel(tweet.requested_by_name, tweet.requested_by_email)}
+          {tweet.team_name && ` · ${tweet.team_name}`}
+          {tweet.scheduled_for && ` · scheduled for ${formatWhen(tweet.scheduled_for)}`}
+        </p>
+      </div>
+
+      {approval.can_sign_off && (
+        <div className="space-y-2">
+          <textarea
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            rows={2}
+            placeholder="Notes for the author (required when requesting changes)"
+            className={inputClassName}
+          />
+          <div className="flex flex-wrap gap-2">
+            <button onClick={() => decide('approve')} disabled={busy} className="btn btn-primary btn-md disabled:opacity-60">
+              <CheckCircle className="h-4 w-4 mr-2" />
+              {approval.step_index + 1 < approval.total_steps ? `Sign off ${approval.current_step?.label}` : 'Approve'}
+            </button>
+            <button
+              onClick={() => decide('requestChanges')}
+              disabled={busy}
+              className="inline-flex items-center rounded-md border border-amber-300 px-3 py-2 text-sm font-medium text-amber-800 hover:bg-amber-50 disabled:opacity-60"
+            >
+              <Undo2 className="h-4 w-4 mr-2" />
+              Request changes
+            </button>
+            <button
+              onClick={() => decide('reject')}
+              disabled={busy}
+              className="inline-flex items-center rounded-md border border-red-300 px-3 py-2 text-sm font-medium text-red-700 hover:bg-red-50 disabled:opacity-60"
+            >
+              <XCircle className="h-4 w-4 mr-2" />
+              Reject
+            </button>
+          </div>
+        </div>
+      )}
+
+      {detail.can_resubmit && <ResubmitForm tweet={tweet} onDone={onDecided} />}
+
+      <div className="space-y-3">
+        <h3 className="flex items-center gap-2 text-sm font-semibold text-gray-900">
+          <MessageCircle className="h-4 w-4" />
+          Review thread
+        </h3>
+        {comments.length === 0 && <p className="text-sm text-gray-500">No comments yet.</p>}
+        {comments.map((comment) => (
+          <Comment key={comment.id} comment={comment} onReply={setReplyTo} />
+        ))}
+        <div className="space-y-2">
+          {replyTo && (
+            <p className="text-xs text-gray-500">
+              Replying to {personLabel(replyTo.user_name, replyTo.user_email)}{' '}
+              <button type="button" onClick={() => setReplyTo(null)} className="text-blue-600 hover:underline">
+                cancel
+              </button>
+            </p>
+          )}
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={commentText}
+              onChange={(e) => setCommentText(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && postComment()}
+              placeholder="Add a comment"
+              className={inputClassName}
+            />
+            <button
+              type="button"
+              onClick={postComment}
+              disabled={busy || !commentText.trim()}
+              className="rounded-md border border-gray-300 px-3 text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+            >
+              Post
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {revisions.length > 1 && (
+        <div className="space-y-3">
+          <h3 className="flex items-center gap-2 text-sm font-semibold text-gray-900">
+            <HistoryIcon className="h-4 w-4" />
+            Revisions
+          </h3>
+          {[...revisions].reverse().map((revision) => (
+            <div key={revision.id} className="rounded-lg border border-gray-200 p-3">
+              <p className="mb-2 text-xs text-gray-500">
+                Revision {revision.revision}
+                {revision.edited_by && ` · ${personLabel(revision.edited_by_name, revision.edited_by_email)}`}
+                {` · ${formatWhen(revision.created_at)}`}
+                {revision.note && ` · ${revision.note}`}
+              </p>
+              <PostPreview content={revision.content} threadTweets={revision.thread_tweets} />
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const QueueItem = ({ tweet, active, onSelect }) => (
+  <button
+    type="button"
+    onClick={() => onSelect(tweet.id)}
+    className={`w-full rounded-lg border p-3 text-left ${
+      active ? 'border-blue-500 bg-blue-50' : 'border-gray-200 bg-white hover:bg-gray-50'
+    }`}
+  >
+    <p className="line-clamp-2 text-sm text-gray-900">{tweet.content}</p>
+    <p className="mt-1 text-xs text-gray-500">
+      {personLabel(tweet.requested_by_name, tweet.requested_by_email)} · {tweet.team_name}
+    </p>
+    <div className="mt-2">
+      <ChainProgress approval={tweet.approval} />
+    </div>
+  </button>
+);
+
+const Approvals = () => {
+  const [pending, setPending] = useState([]);
+  const [changesRequested, setChangesRequested] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchQueue = useCallback(async () => {
+    setLoading(true);
+    try {
+      const { data } = await approvals.pending();
+      setPending(data.pendingTweets || []);
+      setChangesRequested(data.changesRequested || []);
+      setError(null);
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to load approvals'));
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchQueue();
+  }, [fetchQueue]);
+
+  const handleDecided = () => {
+    setSelectedId(null);
+    fetchQueue();
+  };
+
+  return (
+    <div className="mx-auto max-w-6xl space-y-5">
+      <div className="flex flex-wrap items-center gap-3">
+        <div>
+          <h1 className="flex items-center gap-2 text-2xl font-bold text-gray-900">
+            <ClipboardCheck className="h-6 w-6 text-blue-600" />
+            Approvals
+          </h1>
+          <p className="text-sm text-gray-500">Posts waiting on your sign-off, and your posts sent back for changes.</p>
+        </div>
+        <button
+          type="button"
+          onClick={fetchQueue}
+          className="ml-auto inline-flex items-center gap-1.5 rounded-lg border border-gray-300 bg-white px-3 py-1.5 text-sm font-medium text-gray-700 hover:bg-gray-50"
+        >
+          <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+          Refresh
+        </button>
+      </div>
+
+      {error && <div className="rounded-lg border border-red-200 bg-red-50 p-3 text-sm text-red-700">{error}</div>}
+
+      <div className="grid grid-cols-1 gap-5 lg:grid-cols-5">
+        <div className="space-y-4 lg:col-span-2">
+          <section className="space-y-2">
+            <h2 className="text-sm font-semibold text-gray-700">Waiting on you ({pending.length})</h2>
+            {pending.length === 0 && !loading && (
+              <div className="rounded-xl border border-dashed border-gray-200 bg-white p-6 text-center text-sm text-gray-500">
+                Nothing needs your sign-off.
+              </div>
+            )}
+            {pending.map((tweet) => (
+              <QueueItem key={tweet.id} tweet={tweet} active={tweet.id === selectedId} onSelect={setSelectedId} />
+            ))}
+          </section>
+          {changesRequested.length > 0 && (
+            <section className="space-y-2">
+              <h2 className="text-sm font-semibold text-gray-700">Changes requested ({changesRequested.length})</h2>
+              {changesRequested.map((tweet) => (
+                <QueueItem key={tweet.id} tweet={tweet} active={tweet.id === selectedId} onSelect={setSelectedId} />
+              ))}
+            </section>
+          )}
+        </div>
+
+        <div className="card lg:col-span-3">
+          {selectedId ? (
+            <ApprovalDetail tweetId={selectedId} onDecided={handleDecided} />
+          ) : (
+            <p className="py-12 text-center text-sm text-gray-500">Select a post to review it.</p>
+          )}
+        </div>
+      </div>
+
+      <ReviewLinksPanel pendingTweets={pending} />
+    </div>
+  );
+};
+
+export default Approvals;
@@ -373,6 +373,7 @@ const BulkGeneration = () => {
     { value: 'thrice_weekly', label: 'Thrice a week' },
     { value: 'four_times_weekly', label: 'Four times a week' },
     { value: 'custom', label: 'Custom days' },
+    { value: 'queue', label: 'Queue times (next free slots)' },
   ];
 
   useEffect(() => {
@@ -638,7 +639,9 @@ const BulkGeneration = () => {
       // Calculate scheduled times for each item based on frequency, startDate, dailyTimes, daysOfWeek
       let scheduledTimes = [];
       let current = dayjs(startDate);
-      if (frequency === 'daily') {
+      if (frequency === 'queue') {
+        // Server assigns each item to the account's next free queue time.
+      } else if (frequency === 'daily') {
         for (let i = 0; i < toSchedule.length; i++) {
           const dayOffset = Math.floor(i / postsPerDay);
           const timeIndex = i % postsPerDay;
@@ -1323,22 +1326,29 @@ const handleGenerate = async () => {
                       </div>
                     </div>
 
-                    <div className="rounded-xl border border-blue-100 bg-blue-50/60 p-4">
-                      <label className="mb-2 block text-sm font-semibold text-blue-900">Posting times</label>
-                      <div className="space-y-2">
-                        {dailyTimes.map((time, index) => (
-                          <div key={index} className="flex items-center gap-3">
-                            <span className="min-w-[68px] text-xs font-medium uppercase tracking-wide text-blue-700">Time {index + 1}</span>
-                            <input
-                              type="time"
-                              className="w-full rounded-lg border border-blue-200 bg-white px-3 py-2 text-sm focus:border-blue-500 focus:outline-none focus:ring-2 focus:ring-blue-200"
-                              value={time}
-                              onChange={(e) => handleTimeChange(index, e.target.value)}
-                            />
-                          </div>
-                        ))}
+                    {frequency === 'queue' ? (
+                      <div className="rounded-xl border border-blue-100 bg-blue-50/60 p-4 text-sm text-blue-900">
+                        Each item goes into the next free queue time for the selected account, starting from the start date.
+                        Manage queue times on the Scheduling page.
                       </div>
-                    </div>
+                    ) : (
+                      <div className="rounded-xl border border-blue-100 bg-blue-50/60 p-4">
+                        <label className="mb-2 block text-sm font-semibold text-blue-900">Posting times</label>
+                        <div className="space-y-2">
+                          {dailyTimes.map((time, index) => (
+                            <div key={index} className="flex items-center gap-3">
+                              <span className="min-w-[68px] text-xs font-medium uppercase tracking-wide text-blue-700">Time {index + 1}</span>
+                              <input
+                                type="time"
+                                className="w-full rounded-lg border border-blue-200 bg-white px-3 py-2 text-sm focus:border-blue-500 focus:outline-none focus:ring-2 focus:ring-blue-200"
+                                value={time}
+                                onChange={(e) => handleTimeChange(index, e.target.value)}
+                              />
+                            </div>
+                          ))}
+                        </div>
+                      </div>
+                    )}
 
                     {frequency === 'custom' && (
                       <div className="rounded-xl border border-indigo-100 bg-indigo-50/50 p-4">
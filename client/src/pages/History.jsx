@@ -1,8 +1,8 @@
 import React, { useState, useEffect } from 'react';
-import { History as HistoryIcon, MessageCircle, Heart, Repeat2, ExternalLink, Calendar, Filter, Trash2, ChevronDown, ChevronUp } from 'lucide-react';
+import { History as HistoryIcon, MessageCircle, Heart, Repeat2, ExternalLink, Calendar, Filter, Trash2, ChevronDown, ChevronUp, Recycle } from 'lucide-react';
 import { useAccount } from '../contexts/AccountContext';
 import useAccountAwareAPI from '../hooks/useAccountAwareAPI';
-import { tweets as tweetsAPI } from '../utils/api';
+import { tweets as tweetsAPI, evergreen as evergreenAPI } from '../utils/api';
 import { HistorySkeleton } from '../components/Skeletons';
 import toast from 'react-hot-toast';
 import Delete from './Delete';
@@ -23,6 +23,9 @@ const History = () => {
   const [expandedThreads, setExpandedThreads] = useState(new Set()); // Track which threads are expanded
   const [deleteModal, setDeleteModal] = useState({ open: false, tweet: null });
   const [isDisconnected, setIsDisconnected] = useState(false);
+  const [togglingEvergreen, setTogglingEvergreen] = useState(new Set());
+  const [evergreenSettings, setEvergreenSettings] = useState(null);
+  const [savingEvergreenSettings, setSavingEvergreenSettings] = useState(false);
   const [retentionInfo, setRetentionInfo] = useState({
     days: 15,
     message: 'Deleted tweets stay visible for 15 days before permanent cleanup.',
@@ -62,6 +65,56 @@ const History = () => {
     fetchPostedTweets();
   }, [filter, sortBy, sourceFilter, statusFilter, selectedAccount]);
 
+  useEffect(() => {
+    fetchEvergreenSettings();
+  }, [selectedAccount]);
+
+  const fetchEvergreenSettings = async () => {
+    try {
+      const response = await evergreenAPI.list();
+      setEvergreenSettings(response.data?.settings || null);
+    } catch (error) {
+      // Evergreen is optional; a missing account connection is handled by the history fetch.
+      setEvergreenSettings(null);
+    }
+  };
+
+  const saveEvergreenSettings = async (updates) => {
+    try {
+      setSavingEvergreenSettings(true);
+      const response = await evergreenAPI.updateSettings({
+        timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+        ...updates,
+      });
+      setEvergreenSettings(response.data?.settings || null);
+      toast.success('Evergreen recycling updated');
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to update evergreen recycling');
+    } finally {
+      setSavingEvergreenSettings(false);
+    }
+  };
+
+  const handleToggleEvergreen = async (tweet) => {
+    try {
+      setTogglingEvergreen(prev => new Set([...prev, tweet.id]));
+      const response = tweet.is_evergreen
+        ? await evergreenAPI.unmark(tweet.id)
+        : await evergreenAPI.mark(tweet.id);
+      const isEvergreen = Boolean(response.data?.tweet?.is_evergreen);
+      setPostedTweets(prev => prev.map(item => (item.id === tweet.id ? { ...item, is_evergreen: isEvergreen } : item)));
+      toast.success(isEvergreen ? 'Added to evergreen recycling' : 'Removed from evergreen recycling');
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to update evergreen status');
+    } finally {
+      setTogglingEvergreen(prev => {
+        const newSet = new Set(prev);
+        newSet.delete(tweet.id);
+        return newSet;
+      });
+    }
+  };
+
   const fetchPostedTweets = async () => {
     try {
       setLoading(true);
@@ -340,6 +393,68 @@ const History = () => {
         </div>
       </div>
 
+      {/* Evergreen Recycling */}
+      {evergreenSettings && (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+          <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-4">
+            <div className="flex items-start space-x-3">
+              <Recycle className="h-5 w-5 text-green-600 mt-0.5" />
+              <div>
+                <h2 className="text-sm font-semibold text-gray-900">Evergreen recycling</h2>
+                <p className="text-xs text-gray-600">
+                  Tweets marked evergreen are reworded by AI and re-queued on this account's cadence.
+                  {evergreenSettings.is_enabled && evergreenSettings.next_run_at && (
+                    <> Next recycle: {new Date(evergreenSettings.next_run_at).toLocaleString()}.</>
+                  )}
+                </p>
+                {evergreenSettings.last_error && (
+                  <p className="text-xs text-amber-700 mt-1">{evergreenSettings.last_error}</p>
+                )}
+              </div>
+            </div>
+            <div className="flex flex-wrap items-center gap-3 text-sm">
+              <label className="flex items-center gap-2 text-gray-700">
+                Every
+                <select
+                  value={evergreenSettings.cadence_days || 7}
+                  disabled={savingEvergreenSettings}
+                  onChange={(e) => saveEvergreenSettings({ cadence_days: Number(e.target.value) })}
+                  className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+                >
+                  {[1, 2, 3, 7, 14, 30].map((days) => (
+                    <option key={days} value={days}>{days === 1 ? 'day' : `${days} days`}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="flex items-center gap-2 text-gray-700">
+                at
+                <select
+                  value={evergreenSettings.post_hour ?? 10}
+                  disabled={savingEvergreenSettings}
+                  onChange={(e) => saveEvergreenSettings({ post_hour: Number(e.target.value) })}
+                  className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+                >
+                  {Array.from({ length: 24 }, (_, hour) => (
+                    <option key={hour} value={hour}>{`${String(hour).padStart(2, '0')}:00`}</option>
+                  ))}
+                </select>
+              </label>
+              <button
+                onClick={() => saveEvergreenSettings({ is_enabled: !evergreenSettings.is_enabled })}
+                disabled={savingEvergreenSettings}
+                className={`px-3 py-1.5 rounded-md font-medium transition-colors cursor-pointer disabled:opacity-50 ${
+                  evergreenSettings.is_enabled
+                    ? 'bg-green-600 text-white hover:bg-green-700'
+                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200 border border-gray-300'
+                }`}
+              >
+                {evergreenSettings.is_enabled ? 'Enabled' : 'Disabled'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Filters and Controls */}
       <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
         <div className="space-y-6">
@@ -721,6 +836,23 @@ const History = () => {
 
                   {/* Action Buttons */}
                   <div className="flex flex-col items-end space-y-2">
+                    {/* Evergreen Toggle - Only for posted platform tweets */}
+                    {tweet.source !== 'external' && tweet.status === 'posted' && (
+                      <button
+                        onClick={() => handleToggleEvergreen(tweet)}
+                        disabled={togglingEvergreen.has(tweet.id)}
+                        className={`flex items-center gap-2 px-3 py-2 rounded-md transition-all disabled:opacity-50 disabled:cursor-not-allowed cursor-pointer border font-medium ${
+                          tweet.is_evergreen
+                            ? 'bg-green-600 text-white border-green-600 hover:bg-green-700'
+                            : 'text-green-700 border-green-200 hover:bg-green-50'
+                        }`}
+                        title={tweet.is_evergreen ? 'Stop recycling this tweet' : 'Recycle this tweet with an AI-reworded variant'}
+                      >
+                        <Recycle className="h-4 w-4" />
+                        <span className="text-xs font-medium">{tweet.is_evergreen ? 'Evergreen' : 'Make evergreen'}</span>
+                      </button>
+                    )}
+
                     {/* Delete Button - Only for platform tweets */}
                     {tweet.source !== 'external' && tweet.status !== 'deleted' && (
                       <button
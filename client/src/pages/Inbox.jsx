@@ -0,0 +1,399 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  AtSign,
+  CheckCircle,
+  ExternalLink,
+  Inbox as InboxIcon,
+  Loader2,
+  MessageCircle,
+  RefreshCw,
+  RotateCcw,
+  Send,
+  Sparkles,
+} from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAccount } from '../contexts/AccountContext';
+import { inbox } from '../utils/api';
+
+const MAX_REPLY_LENGTH = 280;
+
+const STATUS_TABS = [
+  { value: 'open', label: 'Open' },
+  { value: 'handled', label: 'Handled' },
+  { value: 'all', label: 'All' },
+];
+
+const KIND_FILTERS = [
+  { value: '', label: 'Replies & mentions' },
+  { value: 'reply', label: 'Replies to our posts' },
+  { value: 'mention', label: 'Mentions' },
+];
+
+const ASSIGNEE_FILTERS = [
+  { value: '', label: 'Anyone' },
+  { value: 'me', label: 'Assigned to me' },
+  { value: 'unassigned', label: 'Unassigned' },
+];
+
+const formatWhen = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  const minutes = Math.round((Date.now() - date.getTime()) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes}m`;
+  if (minutes < 24 * 60) return `${Math.round(minutes / 60)}h`;
+  return date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+};
+
+const tweetUrl = (item) =>
+  `https://x.com/${item.author_username || 'i'}/status/${item.tweet_id}`;
+
+const assigneeLabel = (assignee) => assignee?.name || assignee?.email || 'Member';
+
+const ReplyBox = ({ item, onSent }) => {
+  const [text, setText] = useState('');
+  const [suggestions, setSuggestions] = useState([]);
+  const [suggesting, setSuggesting] = useState(false);
+  const [sending, setSending] = useState(false);
+
+  const suggest = async () => {
+    setSuggesting(true);
+    try {
+      const { data } = await inbox.suggestReplies(item.id);
+      setSuggestions(data.suggestions || []);
+    } catch (error) {
+      toast.error(error?.response?.data?.error || 'Failed to suggest replies');
+    } finally {
+      setSuggesting(false);
+    }
+  };
+
+  const send = async () => {
+    setSending(true);
+    try {
+      const { data } = await inbox.reply(item.id, text.trim());
+      toast.success('Reply sent');
+      onSent(data.item);
+    } catch (error) {
+      const violations = error?.response?.data?.violations;
+      toast.error(
+        violations?.length
+          ? `${error.response.data.error} ${violations.map((v) => v.message).join('; ')}`
+          : error?.response?.data?.error || 'Failed to send reply'
+      );
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="mt-3 rounded-lg border border-gray-200 bg-gray-50 p-3">
+      <textarea
+        value={text}
+        onChange={(event) => setText(event.target.value)}
+        rows={3}
+        maxLength={MAX_REPLY_LENGTH}
+        placeholder={`Reply to @${item.author_username || 'them'}...`}
+        className="w-full rounded-md border border-gray-300 bg-white p-2 text-sm focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500"
+      />
+      {suggestions.length > 0 && (
+        <div className="mt-2 space-y-1">
+          {suggestions.map((suggestion) => (
+            <button
+              key={suggestion}
+              type="button"
+              onClick={() => setText(suggestion)}
+              className="block w-full rounded-md border border-purple-100 bg-white px-2 py-1.5 text-left text-xs text-gray-700 hover:border-purple-300 hover:bg-purple-50"
+            >
+              {suggestion}
+            </button>
+          ))}
+        </div>
+      )}
+      <div className="mt-2 flex items-center gap-2">
+        <button
+          type="button"
+          onClick={suggest}
+          disabled={suggesting || sending}
+          title="Uses 1 credit"
+          className="inline-flex items-center gap-1 rounded-md border border-purple-200 bg-white px-2.5 py-1 text-xs font-medium text-purple-700 hover:bg-purple-50 disabled:opacity-50"
+        >
+          {suggesting ? <Loader2 className="h-3.5 w-3.5 animate-spin" /> : <Sparkles className="h-3.5 w-3.5" />}
+          Suggest replies
+        </button>
+        <span className="ml-auto text-xs text-gray-500">{text.length}/{MAX_REPLY_LENGTH}</span>
+        <button
+          type="button"
+          onClick={send}
+          disabled={!text.trim() || sending}
+          className="inline-flex items-center gap-1 rounded-md bg-blue-600 px-3 py-1 text-xs font-medium text-white hover:bg-blue-700 disabled:opacity-50"
+        >
+          {sending ? <Loader2 className="h-3.5 w-3.5 animate-spin" /> : <Send className="h-3.5 w-3.5" />}
+          Reply
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const InboxItem = ({ item, assignees, onChange }) => {
+  const [replying, setReplying] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const update = async (data) => {
+    setSaving(true);
+    try {
+      const response = await inbox.update(item.id, data);
+      onChange(response.data.item);
+    } catch (error) {
+      toast.error(error?.response?.data?.error || 'Failed to update item');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handled = item.status === 'handled';
+
+  return (
+    <div className={`rounded-xl border bg-white p-4 ${handled ? 'border-gray-100 opacity-80' : 'border-gray-200'}`}>
+      <div className="flex items-start gap-3">
+        {item.author_avatar_url ? (
+          <img src={item.author_avatar_url} alt="" className="h-9 w-9 rounded-full" />
+        ) : (
+          <div className="flex h-9 w-9 items-center justify-center rounded-full bg-gray-100 text-gray-400">
+            <AtSign className="h-4 w-4" />
+          </div>
+        )}
+        <div className="min-w-0 flex-1">
+          <div className="flex flex-wrap items-center gap-x-2 gap-y-1 text-sm">
+            <span className="font-semibold text-gray-900">{item.author_name || item.author_username}</span>
+            {item.author_username && <span className="text-gray-500">@{item.author_username}</span>}
+            <span className="text-gray-400">· {formatWhen(item.tweet_created_at)}</span>
+            <span
+              className={`rounded-full px-2 py-0.5 text-[11px] font-medium ${
+                item.kind === 'reply' ? 'bg-blue-50 text-blue-700' : 'bg-amber-50 text-amber-700'
+              }`}
+            >
+              {item.kind === 'reply' ? 'Reply' : 'Mention'}
+            </span>
+            <a
+              href={tweetUrl(item)}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="ml-auto text-gray-400 hover:text-gray-700"
+              title="Open on X"
+            >
+              <ExternalLink className="h-4 w-4" />
+            </a>
+          </div>
+          <p className="mt-1 whitespace-pre-wrap text-sm text-gray-800">{item.text}</p>
+
+          {item.reply_text && (
+            <p className="mt-2 border-l-2 border-blue-200 pl-2 text-xs text-gray-600">
+              You replied: {item.reply_text}
+            </p>
+          )}
+
+          <div className="mt-3 flex flex-wrap items-center gap-2">
+            {!item.reply_tweet_id && (
+              <button
+                type="button"
+                onClick={() => setReplying((value) => !value)}
+                className="inline-flex items-center gap-1 rounded-md border border-gray-300 px-2.5 py-1 text-xs font-medium text-gray-700 hover:bg-gray-50"
+              >
+                <MessageCircle className="h-3.5 w-3.5" />
+                Reply
+              </button>
+            )}
+            <button
+              type="button"
+              onClick={() => update({ status: handled ? 'open' : 'handled' })}
+              disabled={saving}
+              className="inline-flex items-center gap-1 rounded-md border border-gray-300 px-2.5 py-1 text-xs font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+            >
+              {handled ? <RotateCcw className="h-3.5 w-3.5" /> : <CheckCircle className="h-3.5 w-3.5" />}
+              {handled ? 'Reopen' : 'Mark handled'}
+            </button>
+            {assignees.length > 1 && (
+              <select
+                value={item.assigned_to || ''}
+                onChange={(event) => update({ assignedTo: event.target.value || null })}
+                disabled={saving}
+                className="rounded-md border border-gray-300 bg-white px-2 py-1 text-xs text-gray-700"
+              >
+                <option value="">Unassigned</option>
+                {assignees.map((assignee) => (
+                  <option key={assignee.id} value={assignee.id}>{assigneeLabel(assignee)}</option>
+                ))}
+              </select>
+            )}
+          </div>
+
+          {replying && !item.reply_tweet_id && (
+            <ReplyBox
+              item={item}
+              onSent={(updated) => {
+                setReplying(false);
+                onChange(updated);
+              }}
+            />
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const Inbox = () => {
+  const { selectedAccount } = useAccount();
+  const [items, setItems] = useState([]);
+  const [counts, setCounts] = useState({ open: 0, handled: 0 });
+  const [assignees, setAssignees] = useState([]);
+  const [lastSyncedAt, setLastSyncedAt] = useState(null);
+  const [status, setStatus] = useState('open');
+  const [kind, setKind] = useState('');
+  const [assignedTo, setAssignedTo] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [syncing, setSyncing] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchItems = useCallback(async () => {
+    setLoading(true);
+    try {
+      const { data } = await inbox.list({ status, kind: kind || undefined, assignedTo: assignedTo || undefined });
+      setItems(data.items || []);
+      setCounts(data.counts || { open: 0, handled: 0 });
+      setLastSyncedAt(data.lastSyncedAt || null);
+      setError(null);
+    } catch (err) {
+      setError(err?.response?.data?.error || 'Failed to load inbox');
+    } finally {
+      setLoading(false);
+    }
+  }, [status, kind, assignedTo]);
+
+  useEffect(() => {
+    fetchItems();
+  }, [fetchItems, selectedAccount?.id]);
+
+  useEffect(() => {
+    inbox
+      .assignees()
+      .then(({ data }) => setAssignees(data.assignees || []))
+      .catch(() => setAssignees([]));
+  }, [selectedAccount?.id]);
+
+  const syncNow = async () => {
+    setSyncing(true);
+    try {
+      const { data } = await inbox.sync();
+      toast.success(data.inserted > 0 ? `${data.inserted} new in your inbox` : 'Inbox is up to date');
+      await fetchItems();
+    } catch (err) {
+      toast.error(err?.response?.data?.error || 'Failed to check for new mentions');
+    } finally {
+      setSyncing(false);
+    }
+  };
+
+  // Drop items that no longer match the current filters (e.g. handled while viewing Open).
+  const handleChange = (updated) => {
+    if (!updated) return;
+    const previous = items.find((entry) => entry.id === updated.id);
+    if (previous && previous.status !== updated.status) {
+      setCounts((value) => ({
+        ...value,
+        [previous.status]: Math.max(0, (value[previous.status] || 0) - 1),
+        [updated.status]: (value[updated.status] || 0) + 1,
+      }));
+    }
+    const stillMatches =
+      (status === 'all' || updated.status === status) &&
+      (assignedTo !== 'unassigned' || !updated.assigned_to);
+    setItems((current) => (
+      stillMatches
+        ? current.map((entry) => (entry.id === updated.id ? { ...entry, ...updated } : entry))
+        : current.filter((entry) => entry.id !== updated.id)
+    ));
+  };
+
+  return (
+    <div className="mx-auto max-w-3xl space-y-5">
+      <div className="flex flex-wrap items-center gap-3">
+        <div>
+          <h1 className="flex items-center gap-2 text-2xl font-bold text-gray-900">
+            <InboxIcon className="h-6 w-6 text-blue-600" />
+            Inbox
+          </h1>
+          <p className="text-sm text-gray-500">
+            Replies to your posts and mentions of {selectedAccount?.username ? `@${selectedAccount.username}` : 'your account'}.
+            {lastSyncedAt && ` Last checked ${formatWhen(lastSyncedAt)} ago.`}
+          </p>
+        </div>
+        <button
+          type="button"
+          onClick={syncNow}
+          disabled={syncing}
+          className="ml-auto inline-flex items-center gap-1.5 rounded-lg border border-gray-300 bg-white px-3 py-1.5 text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+        >
+          <RefreshCw className={`h-4 w-4 ${syncing ? 'animate-spin' : ''}`} />
+          Check now
+        </button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <div className="inline-flex rounded-lg border border-gray-200 bg-white p-0.5">
+          {STATUS_TABS.map((tab) => (
+            <button
+              key={tab.value}
+              type="button"
+              onClick={() => setStatus(tab.value)}
+              className={`rounded-md px-3 py-1 text-sm font-medium ${
+                status === tab.value ? 'bg-blue-600 text-white' : 'text-gray-600 hover:bg-gray-50'
+              }`}
+            >
+              {tab.label}
+              {tab.value !== 'all' && <span className="ml-1 opacity-75">{counts[tab.value] || 0}</span>}
+            </button>
+          ))}
+        </div>
+        <select
+          value={kind}
+          onChange={(event) => setKind(event.target.value)}
+          className="rounded-lg border border-gray-200 bg-white px-2 py-1.5 text-sm text-gray-700"
+        >
+          {KIND_FILTERS.map((option) => <option key={option.value} value={option.value}>{option.label}</option>)}
+        </select>
+        {assignees.length > 1 && (
+          <select
+            value={assignedTo}
+            onChange={(event) => setAssignedTo(event.target.value)}
+            className="rounded-lg border border-gray-200 bg-white px-2 py-1.5 text-sm text-gray-700"
+          >
+            {ASSIGNEE_FILTERS.map((option) => <option key={option.value} value={option.value}>{option.label}</option>)}
+          </select>
+        )}
+      </div>
+
+      {error && <div className="rounded-lg border border-red-200 bg-red-50 p-3 text-sm text-red-700">{error}</div>}
+
+      {loading ? (
+        <div className="flex justify-center py-12 text-gray-400">
+          <Loader2 className="h-6 w-6 animate-spin" />
+        </div>
+      ) : items.length === 0 ? (
+        <div className="rounded-xl border border-dashed border-gray-200 bg-white p-10 text-center text-sm text-gray-500">
+          {status === 'open' ? 'Nothing waiting for a reply.' : 'No items here yet.'}
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {items.map((item) => (
+            <InboxItem key={item.id} item={item} assignees={assignees} onChange={handleChange} />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Inbox;
@@ -0,0 +1,233 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useParams } from 'react-router-dom';
+import { CheckCircle, Loader2, MessageCircle, XCircle } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { reviewLinks } from '../utils/api';
+
+const REVIEWER_STORAGE_KEY = 'reviewPortalReviewer';
+
+const STATUS_BADGES = {
+  pending: { label: 'Waiting for review', className: 'bg-amber-100 text-amber-800' },
+  pending_approval: { label: 'Waiting for review', className: 'bg-amber-100 text-amber-800' },
+  changes_requested: { label: 'Being revised', className: 'bg-blue-100 text-blue-700' },
+  approved: { label: 'Approved', className: 'bg-green-100 text-green-700' },
+  scheduled: { label: 'Approved', className: 'bg-green-100 text-green-700' },
+  rejected: { label: 'Rejected', className: 'bg-red-100 text-red-700' },
+  cancelled: { label: 'Rejected', className: 'bg-red-100 text-red-700' },
+  completed: { label: 'Published', className: 'bg-gray-100 text-gray-600' },
+};
+
+const inputClassName =
+  'w-full rounded-md border border-gray-300 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const formatWhen = (value) =>
+  value ? new Date(value).toLocaleString(undefined, { weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' }) : '';
+
+const threadParts = (threadTweets) =>
+  (Array.isArray(threadTweets) ? threadTweets : [])
+    .map((part) => (typeof part === 'string' ? part : part?.content || ''))
+    .filter(Boolean);
+
+const loadReviewer = () => {
+  try {
+    return JSON.parse(localStorage.getItem(REVIEWER_STORAGE_KEY)) || { name: '', email: '' };
+  } catch {
+    return { name: '', email: '' };
+  }
+};
+
+const PortalItem = ({ item, reviewer, onAct }) => {
+  const [comment, setComment] = useState('');
+  const [busy, setBusy] = useState(false);
+  const badge = STATUS_BADGES[item.status] || STATUS_BADGES.pending;
+  const comments = item.comments || [];
+
+  const act = async (action) => {
+    if (!reviewer.name.trim()) {
+      toast.error('Enter your name at the top first');
+      return;
+    }
+    if (action === 'comments' && !comment.trim()) return;
+    setBusy(true);
+    try {
+      await onAct(item, action, comment.trim());
+      setComment('');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="rounded-xl border border-gray-200 bg-white p-4 space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className={`rounded-full px-2 py-0.5 text-xs font-medium ${badge.className}`}>{badge.label}</span>
+        {item.scheduled_for && <span className="text-xs text-gray-500">Planned for {formatWhen(item.scheduled_for)}</span>}
+        {item.approval?.current_step && item.status === 'pending_approval' && (
+          <span className="text-xs text-gray-500">· Waiting on {item.approval.current_step}</span>
+        )}
+      </div>
+
+      <div className="space-y-2">
+        <p className="whitespace-pre-wrap text-sm text-gray-900">{item.content}</p>
+        {threadParts(item.thread_tweets).map((part, index) => (
+          <p key={index} className="whitespace-pre-wrap border-l-2 border-gray-200 pl-3 text-sm text-gray-700">{part}</p>
+        ))}
+      </div>
+
+      {comments.length > 0 && (
+        <div className="space-y-1.5">
+          {comments.map((entry) => (
+            <p key={entry.id} className="rounded-md bg-gray-50 px-3 py-1.5 text-sm text-gray-700">
+              <span className="font-medium">{entry.reviewer_name}:</span> {entry.body}
+            </p>
+          ))}
+        </div>
+      )}
+
+      <textarea
+        value={comment}
+        onChange={(e) => setComment(e.target.value)}
+        rows={2}
+        placeholder={item.can_decide ? 'Feedback for the team (optional when approving)' : 'Add a comment'}
+        className={inputClassName}
+      />
+      <div className="flex flex-wrap gap-2">
+        {item.can_decide && (
+          <>
+            <button onClick={() => act('approve')} disabled={busy} className="btn btn-primary btn-md disabled:opacity-60">
+              <CheckCircle className="h-4 w-4 mr-2" />
+              Approve
+            </button>
+            <button
+              onClick={() => act('reject')}
+              disabled={busy}
+              className="inline-flex items-center rounded-md border border-red-300 px-3 py-2 text-sm font-medium text-red-700 hover:bg-red-50 disabled:opacity-60"
+            >
+              <XCircle className="h-4 w-4 mr-2" />
+              Reject
+            </button>
+          </>
+        )}
+        <button
+          onClick={() => act('comments')}
+          disabled={busy || !comment.trim()}
+          className="inline-flex items-center rounded-md border border-gray-300 px-3 py-2 text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+        >
+          <MessageCircle className="h-4 w-4 mr-2" />
+          Comment
+        </button>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Public page behind a client review link: no account needed, the signed
+ * token in the URL is the only credential.
+ */
+const ReviewPortal = () => {
+  const { token } = useParams();
+  const [link, setLink] = useState(null);
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [reviewer, setReviewer] = useState(loadReviewer);
+
+  const fetchPortal = useCallback(async () => {
+    try {
+      const { data } = await reviewLinks.portal(token);
+      setLink(data.link);
+      setItems(data.items || []);
+      setError(null);
+    } catch (err) {
+      setError(err?.response?.data?.error || 'This review link could not be opened');
+    } finally {
+      setLoading(false);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    fetchPortal();
+  }, [fetchPortal]);
+
+  const updateReviewer = (changes) => {
+    const next = { ...reviewer, ...changes };
+    setReviewer(next);
+    localStorage.setItem(REVIEWER_STORAGE_KEY, JSON.stringify(next));
+  };
+
+  const handleAct = async (item, action, comment) => {
+    try {
+      await reviewLinks.act(token, item.type, item.id, action, {
+        reviewerName: reviewer.name.trim(),
+        reviewerEmail: reviewer.email.trim() || undefined,
+        comment,
+      });
+      toast.success(action === 'approve' ? 'Approved' : action === 'reject' ? 'Rejected' : 'Comment sent');
+      await fetchPortal();
+    } catch (err) {
+      toast.error(err?.response?.data?.error || 'Failed to save your review');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex min-h-screen items-center justify-center text-gray-400">
+        <Loader2 className="h-6 w-6 animate-spin" />
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="flex min-h-screen items-center justify-center p-6">
+        <div className="max-w-md rounded-xl border border-gray-200 bg-white p-6 text-center text-sm text-gray-600">{error}</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="mx-auto max-w-2xl space-y-5 p-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">{link?.label || 'Posts for your review'}</h1>
+        <p className="text-sm text-gray-500">
+          Approve, reject or comment on each post. This link expires {formatWhen(link?.expires_at)}.
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 gap-3 rounded-xl border border-gray-200 bg-white p-4 sm:grid-cols-2">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Your name</label>
+          <input
+            type="text"
+            value={reviewer.name}
+            onChange={(e) => updateReviewer({ name: e.target.value })}
+            className={inputClassName}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Email (optional)</label>
+          <input
+            type="email"
+            value={reviewer.email}
+            onChange={(e) => updateReviewer({ email: e.target.value })}
+            className={inputClassName}
+          />
+        </div>
+        <p className="text-xs text-gray-500 sm:col-span-2">Shown to the team next to everything you approve, reject or comment on.</p>
+      </div>
+
+      {items.length === 0 ? (
+        <div className="rounded-xl border border-dashed border-gray-200 bg-white p-10 text-center text-sm text-gray-500">
+          There is nothing left to review.
+        </div>
+      ) : (
+        items.map((item) => (
+          <PortalItem key={`${item.type}:${item.id}`} item={item} reviewer={reviewer} onAct={handleAct} />
+        ))
+      )}
+    </div>
+  );
+};
+
+export default ReviewPortal;
@@ -13,15 +13,24 @@ import {
   Layers,
   LayoutGrid,
   List,
+  ListOrdered,
   Pause,
+  Plus,
+  Send,
   RefreshCw,
+  Repeat,
   RotateCcw,
+  Trash2,
+  Upload,
   XCircle,
 } from 'lucide-react';
+import { useSearchParams } from 'react-router-dom';
 import { useAccount } from '../contexts/AccountContext';
 import useAccountAwareAPI from '../hooks/useAccountAwareAPI';
-import { scheduling as schedulingAPI, contentReview } from '../utils/api';
+import { scheduling as schedulingAPI, contentReview, crossPost as crossPostAPI } from '../utils/api';
 import LoadingSpinner from '../components/LoadingSpinner';
+import RepeatPicker from '../components/RepeatPicker';
+import { splitRepeatEnd, withRepeatEnd } from '../utils/recurrence';
 import toast from 'react-hot-toast';
 
 // ─── View modes ──────────────────────────────────────────────────────────
@@ -159,6 +168,83 @@ const getStatusBadge = (status) => {
   );
 };
 
+// ─── Platform helpers ────────────────────────────────────────────────────
+const PLATFORM_BADGES = {
+  x:        { label: 'X',        className: 'bg-gray-900 text-white border-gray-900' },
+  linkedin: { label: 'LinkedIn', className: 'bg-sky-50 text-sky-700 border-sky-200' },
+  threads:  { label: 'Threads',  className: 'bg-gray-50 text-gray-800 border-gray-300' },
+  x_copy:   { label: 'X copy',   className: 'bg-gray-50 text-gray-700 border-gray-300' },
+};
+
+const PLATFORM_STATUS_CLASSES = {
+  scheduled: 'text-blue-700',
+  publishing: 'text-indigo-700',
+  posted: 'text-green-700',
+  partial: 'text-amber-700',
+  cancelled: 'text-gray-500',
+  skipped: 'text-gray-500',
+};
+
+const getItemPlatform = (item) => item?.platform || 'x';
+
+const PlatformBadge = ({ platform }) => {
+  const b = PLATFORM_BADGES[platform] || PLATFORM_BADGES.x;
+  return (
+    <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-[11px] font-medium border ${b.className}`}>
+      {b.label}
+    </span>
+  );
+};
+
+// Reply/quote target and follow-up reply stored in the row's metadata.
+const TweetTargetBadges = ({ metadata }) => {
+  const target = metadata?.tweet_target;
+  const followUp = metadata?.follow_up;
+  if (!target && !followUp) return null;
+  const targetLabel = target?.source === 'follow_up'
+    ? 'Follow-up reply'
+    : target?.type === 'quote' ? 'Quote' : 'Reply';
+  return (
+    <>
+      {target && (
+        <a
+          href={target.url}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="inline-flex items-center px-2 py-0.5 rounded-full text-[11px] font-medium border bg-sky-50 text-sky-700 border-sky-200 hover:bg-sky-100"
+        >
+          {targetLabel}{target.username ? ` to @${target.username}` : ''}
+        </a>
+      )}
+      {followUp && (
+        <span className="inline-flex items-center px-2 py-0.5 rounded-full text-[11px] font-medium border bg-gray-50 text-gray-600 border-gray-200">
+          {followUp.status === 'queued'
+            ? 'Follow-up queued'
+            : followUp.status === 'failed'
+              ? 'Follow-up not queued'
+              : `Follow-up ${followUp.delay_hours}h after posting`}
+        </span>
+      )}
+    </>
+  );
+};
+
+// One line per platform the row publishes to (its own platform plus cross-post targets).
+const PlatformStatusList = ({ statuses }) => {
+  const entries = Object.entries(statuses || {});
+  if (entries.length < 2) return null;
+  return (
+    <div className="space-y-0.5">
+      {entries.map(([platform, status]) => (
+        <p key={platform} className="text-[11px] text-gray-500">
+          {(PLATFORM_BADGES[platform] || PLATFORM_BADGES.x).label}:{' '}
+          <span className={PLATFORM_STATUS_CLASSES[status] || 'text-red-600'}>{String(status).replace(/_/g, ' ')}</span>
+        </p>
+      ))}
+    </div>
+  );
+};
+
 const readJsonSafely = async (response) => { try { return await response.json(); } catch { return {}; } };
 
 // ─── Thread helpers ──────────────────────────────────────────────────────
@@ -207,8 +293,12 @@ function CalendarItem({ item, onDragStart, onClick, compact }) {
           {!compact && (
             <div className="flex items-center gap-1 mb-0.5">
               <span className="text-[10px] opacity-70">{shortTime(item.scheduled_for || item.suggested_time, item.timezone)}</span>
+              {getItemPlatform(item) === 'linkedin' && <span className="text-[9px] font-semibold bg-sky-200 text-sky-800 px-1 rounded">LI</span>}
+              {getItemPlatform(item) === 'threads' && <span className="text-[9px] font-semibold bg-gray-300 text-gray-800 px-1 rounded">TH</span>}
               {isThread && <span className="text-[9px] font-semibold bg-purple-200 text-purple-800 px-1 rounded">Thread</span>}
               {item.source === 'autopilot' && <span className="text-[9px] font-semibold bg-violet-200 text-violet-800 px-1 rounded">AP</span>}
+              {item.source === 'evergreen' && <span className="text-[9px] font-semibold bg-green-200 text-green-800 px-1 rounded">EG</span>}
+              {item.series_id && <Repeat className="w-2.5 h-2.5 opacity-70" aria-label="Repeats" />}
             </div>
           )}
           <span className="block leading-snug line-clamp-2">{truncate(item.content, compact ? 40 : 80)}</span>
@@ -314,6 +404,7 @@ function MobileAgendaDay({ date, items, onItemClick, isCurrentMonth }) {
                     {isThread && <span className="text-[10px] font-semibold bg-purple-100 text-purple-700 px-1.5 py-0.5 rounded">Thread</span>}
                     {isReview && <span className="text-[10px] font-semibold bg-purple-100 text-purple-700 px-1.5 py-0.5 rounded">Review</span>}
                     {item.source === 'autopilot' && <span className="text-[10px] font-semibold bg-violet-100 text-violet-700 px-1.5 py-0.5 rounded">AP</span>}
+                    {item.source === 'evergreen' && <span className="text-[10px] font-semibold bg-green-100 text-green-700 px-1.5 py-0.5 rounded">Evergreen</span>}
                   </div>
                   <p className="text-sm text-gray-800 leading-snug line-clamp-2">{item.content}</p>
                 </div>
@@ -327,7 +418,152 @@ function MobileAgendaDay({ date, items, onItemClick, isCurrentMonth }) {
   );
 }
 
-function DetailModal({ item, onClose, onReschedule, onCancel, onApprove, onReject, onRetry }) {
+// ─── Recurring series (edit the whole series or just this occurrence) ─────
+
+function SeriesPanel({ item, onChanged }) {
+  const [series, setSeries] = useState(null);
+  const [occurrences, setOccurrences] = useState([]);
+  const [mode, setMode] = useState(null); // 'series' | 'occurrence'
+  const [rule, setRule] = useState('');
+  const [end, setEnd] = useState({ type: 'never', count: 10, until: '' });
+  const [time, setTime] = useState('');
+  const [text, setText] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    schedulingAPI.getSeries(item.series_id)
+      .then((res) => {
+        if (cancelled) return;
+        setSeries(res.data?.series || null);
+        setOccurrences(res.data?.occurrences || []);
+      })
+      .catch(() => {
+        if (!cancelled) setSeries(null);
+      });
+    return () => { cancelled = true; };
+  }, [item.series_id]);
+
+  if (!series) return null;
+  const isActive = series.status === 'active';
+  const isPending = item._calendarStatus === 'pending';
+
+  const openSeriesEdit = () => {
+    const { base, end: storedEnd } = splitRepeatEnd(series.rule);
+    setRule(base);
+    setEnd(storedEnd);
+    setTime(series.time || '');
+    setText(series.content || '');
+    setMode('series');
+  };
+
+  const openOccurrenceEdit = () => {
+    setText(item.content || '');
+    setMode('occurrence');
+  };
+
+  const saveSeries = async () => {
+    if (!rule) { toast.error('Pick how often it repeats, or stop the series instead'); return; }
+    setSaving(true);
+    try {
+      const res = await schedulingAPI.updateSeries(series.id, {
+        rule: withRepeatEnd(rule, end),
+        time,
+        content: text.trim(),
+      });
+      toast.success(res.data?.series?.status === 'ended' ? 'Series updated — no more posts match, so it has ended' : 'Series updated');
+      onChanged();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to update series');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const saveOccurrence = async () => {
+    setSaving(true);
+    try {
+      await schedulingAPI.update(item.id, {
+        scheduled_for: item.scheduled_for,
+        timezone: 'UTC',
+        content: text.trim(),
+      });
+      toast.success('This post was updated. The rest of the series is unchanged.');
+      onChanged();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to update post');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const stopSeries = async () => {
+    if (!window.confirm('Stop this series? The upcoming post will be cancelled.')) return;
+    try {
+      await schedulingAPI.cancelSeries(series.id);
+      toast.success('Series stopped');
+      onChanged();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to stop series');
+    }
+  };
+
+  const posted = occurrences.filter((o) => ['completed', 'partially_completed'].includes(o.status)).length;
+
+  return (
+    <div className="rounded-lg border border-indigo-200 bg-indigo-50/50 p-3 space-y-2">
+      <div className="flex items-start gap-2">
+        <Repeat className="w-4 h-4 text-indigo-600 mt-0.5 flex-shrink-0" />
+        <div className="flex-1 text-xs text-indigo-900">
+          <p className="font-semibold">{series.description}</p>
+          <p className="text-indigo-700">
+            Post {item.occurrence_index || '?'} · {posted} posted{!isActive ? ` · series ${series.status}` : ''}
+            {item.series_detached ? ' · edited separately' : ''}
+          </p>
+        </div>
+      </div>
+
+      {mode === 'series' && (
+        <div className="space-y-2">
+          <RepeatPicker firstPostAt={series.dtstart} rule={rule} end={end} onRuleChange={setRule} onEndChange={setEnd} disabled={saving} />
+          <label className="block text-xs font-medium text-gray-600">Time ({series.timezone})</label>
+          <input type="time" value={time} onChange={(e) => setTime(e.target.value)} className="px-2 py-1 text-xs border rounded-md" />
+          <textarea value={text} onChange={(e) => setText(e.target.value)} maxLength={280} rows={3} className="w-full px-2 py-1 text-sm border rounded-md" />
+          <p className="text-[11px] text-gray-500">Applies to upcoming posts, except ones edited on their own.</p>
+        </div>
+      )}
+      {mode === 'occurrence' && (
+        <div className="space-y-2">
+          <textarea value={text} onChange={(e) => setText(e.target.value)} maxLength={280} rows={3} className="w-full px-2 py-1 text-sm border rounded-md" />
+          <p className="text-[11px] text-gray-500">Only this post changes; later posts keep the series text.</p>
+        </div>
+      )}
+
+      {isActive && (
+        <div className="flex flex-wrap gap-2">
+          {mode ? (
+            <>
+              <button onClick={mode === 'series' ? saveSeries : saveOccurrence} disabled={saving} className="px-3 py-1.5 text-xs font-medium bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:opacity-50">
+                {saving ? 'Saving…' : mode === 'series' ? 'Save series' : 'Save this post'}
+              </button>
+              <button onClick={() => setMode(null)} className="px-3 py-1.5 text-xs text-gray-600 hover:text-gray-800">Cancel</button>
+            </>
+          ) : (
+            <>
+              <button onClick={openSeriesEdit} className="px-3 py-1.5 text-xs font-medium text-indigo-700 bg-white border border-indigo-200 rounded-lg hover:bg-indigo-50">Edit series</button>
+              {isPending && (
+                <button onClick={openOccurrenceEdit} className="px-3 py-1.5 text-xs font-medium text-indigo-700 bg-white border border-indigo-200 rounded-lg hover:bg-indigo-50">Edit this post only</button>
+              )}
+              <button onClick={stopSeries} className="px-3 py-1.5 text-xs font-medium text-red-600 bg-red-50 rounded-lg hover:bg-red-100">Stop repeating</button>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function DetailModal({ item, onClose, onReschedule, onCancel, onApprove, onReject, onRetry, onSeriesChanged }) {
   const [newDate, setNewDate] = useState('');
   const [newTime, setNewTime] = useState('');
   const [rescheduleOpen, setRescheduleOpen] = useState(false);
@@ -389,11 +625,17 @@ function DetailModal({ item, onClose, onReschedule, onCancel, onApprove, onRejec
               </span>
             </div>
           )}
+          {!isReview && (item.metadata?.tweet_target || item.metadata?.follow_up) && (
+            <div className="flex flex-wrap items-center gap-2">
+              <TweetTargetBadges metadata={item.metadata} />
+            </div>
+          )}
           {item.category && <span className="inline-block text-xs bg-gray-100 text-gray-600 px-2 py-1 rounded-full">{item.category}</span>}
           {item.reason && <p className="text-xs text-gray-500 italic">{item.reason}</p>}
           {item.status === 'failed' && item.error_message && (
             <p className="text-xs text-red-600 bg-red-50 rounded-lg p-2">{item.error_message}</p>
           )}
+          {item.series_id && !isReview && <SeriesPanel item={item} onChanged={onSeriesChanged} />}
         </div>
 
         <div className="px-5 py-3 border-t bg-gray-50 rounded-b-xl flex flex-wrap gap-2">
@@ -401,7 +643,7 @@ function DetailModal({ item, onClose, onReschedule, onCancel, onApprove, onRejec
             <>
               {!rescheduleOpen ? (
                 <button onClick={() => setRescheduleOpen(true)} className="px-3 py-1.5 text-xs font-medium bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors">
-                  Reschedule
+                  {item.series_id ? 'Reschedule this post' : 'Reschedule'}
                 </button>
               ) : (
                 <div className="flex items-center gap-2 flex-wrap">
@@ -414,7 +656,9 @@ function DetailModal({ item, onClose, onReschedule, onCancel, onApprove, onRejec
             </>
           )}
           {item._calendarStatus === 'pending' && !isReview && (
-            <button onClick={() => onCancel(item)} className="px-3 py-1.5 text-xs font-medium text-red-600 bg-red-50 rounded-lg hover:bg-red-100 transition-colors">Cancel Tweet</button>
+            <button onClick={() => onCancel(item)} className="px-3 py-1.5 text-xs font-medium text-red-600 bg-red-50 rounded-lg hover:bg-red-100 transition-colors">
+              {item.series_id ? 'Skip this post' : 'Cancel Tweet'}
+            </button>
           )}
           {!isReview && item._calendarStatus === 'failed' && (
             <button onClick={() => onRetry(item)} className="px-3 py-1.5 text-xs font-medium text-blue-600 bg-blue-50 rounded-lg hover:bg-blue-100 transition-colors">
@@ -453,6 +697,423 @@ function StatCard({ label, value, color, icon: Icon, subtitle }) {
   );
 }
 
+// ─── Queue times (per-account weekly posting slots) ─────────────────────
+function QueueTimesPanel({ accountKey }) {
+  const browserTimezone = normalizeTimezone(Intl.DateTimeFormat().resolvedOptions().timeZone) || 'UTC';
+  const [slots, setSlots] = useState([]);
+  const [timezone, setTimezone] = useState(browserTimezone);
+  const [nextFreeSlot, setNextFreeSlot] = useState(null);
+  const [newDay, setNewDay] = useState(1);
+  const [newTime, setNewTime] = useState('09:00');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    schedulingAPI.getSlots()
+      .then((res) => {
+        if (cancelled) return;
+        setSlots(Array.isArray(res.data?.slots) ? res.data.slots : []);
+        setTimezone(normalizeTimezone(res.data?.timezone) || browserTimezone);
+        setNextFreeSlot(res.data?.next_free_slot || null);
+      })
+      .catch((err) => {
+        if (!cancelled) toast.error(err?.response?.data?.error || 'Failed to load queue times');
+      })
+      .finally(() => { if (!cancelled) setLoading(false); });
+    return () => { cancelled = true; };
+  }, [accountKey]);
+
+  const addSlot = () => {
+    if (!newTime) return;
+    if (slots.some((s) => s.day === newDay && s.time === newTime)) return;
+    setSlots((prev) => [...prev, { day: newDay, time: newTime }]
+      .sort((a, b) => (a.day - b.day) || a.time.localeCompare(b.time)));
+  };
+
+  const removeSlot = (slot) => setSlots((prev) => prev.filter((s) => !(s.day === slot.day && s.time === slot.time)));
+
+  const save = async () => {
+    if (!isValidTimezone(timezone)) {
+      toast.error('Enter a valid timezone (example: America/New_York)');
+      return;
+    }
+    setSaving(true);
+    try {
+      const res = await schedulingAPI.saveSlots({ slots, timezone: normalizeTimezone(timezone) });
+      setSlots(res.data?.slots || slots);
+      setNextFreeSlot(res.data?.next_free_slot || null);
+      toast.success('Queue times saved');
+    } catch (err) {
+      toast.error(err?.response?.data?.error || 'Failed to save queue times');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="bg-white rounded-xl border border-gray-200 p-6 flex justify-center"><LoadingSpinner /></div>;
+  }
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-4 space-y-4">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+        <div>
+          <h2 className="text-base font-semibold text-gray-900 flex items-center gap-2">
+            <ListOrdered className="w-4 h-4 text-blue-600" />Queue times
+          </h2>
+          <p className="text-xs text-gray-500">
+            Weekly posting slots for this account. &quot;Add to queue&quot;, bulk scheduling and autopilot use the next free slot.
+          </p>
+        </div>
+        {nextFreeSlot && (
+          <span className="text-xs text-blue-700 bg-blue-50 border border-blue-200 rounded-lg px-2.5 py-1">
+            Next free: {formatDatePart(nextFreeSlot, timezone)} {formatTimePart(nextFreeSlot, timezone)}
+          </span>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-7 gap-2">
+        {DAY_NAMES.map((dayName, day) => (
+          <div key={dayName} className="rounded-lg border border-gray-100 bg-gray-50 p-2 min-h-[72px]">
+            <div className="text-xs font-semibold text-gray-600 mb-1">{dayName}</div>
+            <div className="flex flex-wrap gap-1">
+              {slots.filter((s) => s.day === day).map((slot) => (
+                <span key={slot.time} className="inline-flex items-center gap-1 text-xs bg-white border border-gray-200 rounded px-1.5 py-0.5">
+                  {slot.time}
+                  <button type="button" onClick={() => removeSlot(slot)} className="text-gray-400 hover:text-red-600" title="Remove">
+                    <Trash2 className="w-3 h-3" />
+                  </button>
+                </span>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap items-end gap-2">
+        <select
+          value={newDay}
+          onChange={(e) => setNewDay(Number(e.target.value))}
+          className="rounded-lg border border-gray-300 px-2 py-1.5 text-sm"
+        >
+          {DAY_NAMES.map((dayName, day) => <option key={dayName} value={day}>{dayName}</option>)}
+        </select>
+        <input
+          type="time"
+          value={newTime}
+          onChange={(e) => setNewTime(e.target.value)}
+          className="rounded-lg border border-gray-300 px-2 py-1.5 text-sm"
+        />
+        <button
+          type="button"
+          onClick={addSlot}
+          className="inline-flex items-center gap-1 px-3 py-1.5 text-sm rounded-lg border border-gray-300 hover:bg-gray-50"
+        >
+          <Plus className="w-4 h-4" />Add slot
+        </button>
+        <input
+          type="text"
+          value={timezone}
+          onChange={(e) => setTimezone(e.target.value)}
+          placeholder="Timezone"
+          className="rounded-lg border border-gray-300 px-2 py-1.5 text-sm w-48"
+        />
+        <button
+          type="button"
+          onClick={save}
+          disabled={saving}
+          className="ml-auto px-4 py-1.5 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : 'Save queue times'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// ─── Spreadsheet import (CSV/TSV → scheduled posts) ─────────────────────
+const IMPORT_TEMPLATE = 'content,thread_2,scheduled_at,timezone,media_url,cross_post,account\n';
+
+function ImportPanel({ onImported }) {
+  const browserTimezone = normalizeTimezone(Intl.DateTimeFormat().resolvedOptions().timeZone) || 'UTC';
+  const [fileName, setFileName] = useState('');
+  const [fileText, setFileText] = useState('');
+  const [timezone, setTimezone] = useState(browserTimezone);
+  const [report, setReport] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const handleFile = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      setFileName(file.name);
+      setFileText(String(reader.result || ''));
+      setReport(null);
+    };
+    reader.readAsText(file);
+  };
+
+  const submit = async (dryRun) => {
+    if (!fileText) return;
+    if (!isValidTimezone(timezone)) {
+      toast.error('Enter a valid timezone (example: America/New_York)');
+      return;
+    }
+    setBusy(true);
+    try {
+      const res = await schedulingAPI.importFile({
+        file: fileText,
+        format: /\.tsv$/i.test(fileName) ? 'tsv' : undefined,
+        timezone: normalizeTimezone(timezone),
+        dry_run: dryRun,
+      });
+      setReport(res.data);
+      if (!dryRun) {
+        toast.success(`Imported ${res.data?.imported || 0} posts`);
+        setFileText('');
+        setFileName('');
+        onImported?.();
+      }
+    } catch (err) {
+      if (err?.response?.data?.rows) setReport(err.response.data);
+      toast.error(err?.response?.data?.error || 'Import failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const canImport = Boolean(fileText) && report?.dry_run && report.error_rows === 0 && report.valid_rows > 0;
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-4 space-y-4">
+      <div>
+        <h2 className="text-base font-semibold text-gray-900 flex items-center gap-2">
+          <Upload className="w-4 h-4 text-blue-600" />Import from spreadsheet
+        </h2>
+        <p className="text-xs text-gray-500">
+          CSV or TSV with a header row. Columns: <code>{IMPORT_TEMPLATE.trim()}</code>. Split threads with
+          &quot;---&quot; or extra thread_N columns; times without an offset use the row&apos;s timezone (or the one below).
+          Check the file first — nothing is scheduled until every row passes.
+        </p>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <input type="file" accept=".csv,.tsv,.txt,text/csv,text/tab-separated-values" onChange={handleFile} className="text-sm" />
+        <input
+          type="text"
+          value={timezone}
+          onChange={(e) => setTimezone(e.target.value)}
+          placeholder="Default timezone"
+          className="rounded-lg border border-gray-300 px-2 py-1.5 text-sm w-48"
+        />
+        <button
+          type="button"
+          onClick={() => submit(true)}
+          disabled={!fileText || busy}
+          className="px-3 py-1.5 text-sm rounded-lg border border-gray-300 hover:bg-gray-50 disabled:opacity-50"
+        >
+          {busy ? 'Checking...' : 'Check file'}
+        </button>
+        <button
+          type="button"
+          onClick={() => submit(false)}
+          disabled={!canImport || busy}
+          className="ml-auto px-4 py-1.5 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+        >
+          {canImport ? `Import ${report.valid_rows} posts` : 'Import'}
+        </button>
+      </div>
+
+      {report?.rows && (
+        <div className="space-y-2">
+          <p className="text-sm text-gray-700">
+            {report.total_rows} rows · <span className="text-green-700">{report.valid_rows} ready</span>
+            {report.error_rows > 0 && <> · <span className="text-red-700">{report.error_rows} with errors</span></>}
+            {report.ignored_columns?.length > 0 && (
+              <span className="text-gray-500"> · ignored columns: {report.ignored_columns.join(', ')}</span>
+            )}
+          </p>
+          <div className="max-h-72 overflow-y-auto border border-gray-100 rounded-lg divide-y divide-gray-100">
+            {report.rows.map((row) => (
+              <div key={row.row} className={`p-2 text-xs ${row.errors.length > 0 ? 'bg-red-50' : ''}`}>
+                <div className="flex items-center gap-2">
+                  {row.errors.length > 0
+                    ? <XCircle className="w-3.5 h-3.5 text-red-600 shrink-0" />
+                    : <CheckCircle className="w-3.5 h-3.5 text-green-600 shrink-0" />}
+                  <span className="font-medium text-gray-700">Row {row.row}</span>
+                  {row.account && <span className="text-gray-500">@{row.account}</span>}
+                  {row.scheduled_for && (
+                    <span className="text-gray-500">
+                      {formatDatePart(row.scheduled_for, row.timezone)} {formatTimePart(row.scheduled_for, row.timezone)}
+                    </span>
+                  )}
+                  {row.thread_count > 1 && <span className="text-gray-400">{row.thread_count} parts</span>}
+                  <span className="truncate text-gray-600">{row.content_preview}</span>
+                </div>
+                {row.errors.map((message) => <p key={message} className="ml-5 text-red-700">{message}</p>)}
+                {row.warnings.map((message) => <p key={message} className="ml-5 text-amber-700">{message}</p>)}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ─── Native LinkedIn / Threads post ─────────────────────────────────────
+const NATIVE_PLATFORMS = [
+  { value: 'linkedin', label: 'LinkedIn', maxChars: 3000 },
+  { value: 'threads', label: 'Threads', maxChars: 500 },
+];
+
+const toLocalInputTime = (d) => `${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}`;
+
+function NativePostPanel({ isTeamScope, onScheduled }) {
+  const browserTimezone = normalizeTimezone(Intl.DateTimeFormat().resolvedOptions().timeZone) || 'UTC';
+  const defaultTime = new Date(Date.now() + 60 * 60 * 1000);
+  const [platform, setPlatform] = useState('linkedin');
+  const [targets, setTargets] = useState({ linkedin: [], threads: [] });
+  const [targetAccountId, setTargetAccountId] = useState('');
+  const [text, setText] = useState('');
+  const [date, setDate] = useState(formatDateKey(defaultTime));
+  const [time, setTime] = useState(toLocalInputTime(defaultTime));
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    crossPostAPI.targets()
+      .then((res) => {
+        if (cancelled) return;
+        setTargets({
+          linkedin: Array.isArray(res.data?.targets?.linkedin) ? res.data.targets.linkedin : [],
+          threads: Array.isArray(res.data?.targets?.threads) ? res.data.targets.threads : [],
+        });
+      })
+      .catch(() => {
+        if (!cancelled) setTargets({ linkedin: [], threads: [] });
+      });
+    return () => { cancelled = true; };
+  }, [isTeamScope]);
+
+  const accounts = targets[platform] || [];
+  useEffect(() => {
+    setTargetAccountId(accounts[0]?.id ? String(accounts[0].id) : '');
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [platform, targets]);
+
+  const config = NATIVE_PLATFORMS.find((option) => option.value === platform);
+  // Threads posts can be chained with "---"; LinkedIn posts are a single post.
+  const parts = platform === 'threads'
+    ? text.split(/\n*---+\n*/).map((part) => part.trim()).filter(Boolean)
+    : [text.trim()].filter(Boolean);
+  const longest = parts.reduce((max, part) => Math.max(max, part.length), 0);
+  const needsAccount = isTeamScope && !targetAccountId;
+  const canSubmit = parts.length > 0 && longest <= config.maxChars && date && time && !needsAccount && !busy;
+
+  const submit = async () => {
+    if (!canSubmit) return;
+    setBusy(true);
+    try {
+      const target = accounts.find((account) => String(account.id) === targetAccountId);
+      const res = await schedulingAPI.createPlatformPost({
+        platform,
+        content: parts[0],
+        thread: parts.length > 1 ? parts : undefined,
+        scheduled_for: `${date}T${time}`,
+        timezone: browserTimezone,
+        targetAccountId: targetAccountId || undefined,
+        targetLabel: target ? (target.displayName || target.username || null) : undefined,
+      });
+      toast.success(res.data?.message || `${config.label} post scheduled`);
+      setText('');
+      onScheduled?.();
+    } catch (err) {
+      const violations = err?.response?.data?.violations;
+      const detail = Array.isArray(violations) && violations.length ? `: ${violations.map((v) => v.message).join('; ')}` : '';
+      toast.error(`${err?.response?.data?.error || `Failed to schedule ${config.label} post`}${detail}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-4 space-y-4">
+      <div>
+        <h2 className="text-base font-semibold text-gray-900 flex items-center gap-2">
+          <Send className="w-4 h-4 text-blue-600" />Schedule a LinkedIn or Threads post
+        </h2>
+        <p className="text-xs text-gray-500">
+          Posted only to the platform you pick, with its own text and time — no X post is made.
+          {platform === 'threads' && ' Separate posts of a Threads chain with a line of "---".'}
+        </p>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <select
+          value={platform}
+          onChange={(e) => setPlatform(e.target.value)}
+          className="rounded-lg border border-gray-300 px-2 py-1.5 text-sm"
+        >
+          {NATIVE_PLATFORMS.map((option) => <option key={option.value} value={option.value}>{option.label}</option>)}
+        </select>
+        <select
+          value={targetAccountId}
+          onChange={(e) => setTargetAccountId(e.target.value)}
+          className="rounded-lg border border-gray-300 px-2 py-1.5 text-sm min-w-[12rem]"
+        >
+          {accounts.length === 0 && (
+            <option value="">{isTeamScope ? `No ${config.label} accounts connected` : `Default ${config.label} account`}</option>
+          )}
+          {accounts.map((account) => (
+            <option key={account.id} value={String(account.id)}>
+              {account.displayName || account.username || account.id}
+            </option>
+          ))}
+        </select>
+        <input
+          type="date"
+          value={date}
+          onChange={(e) => setDate(e.target.value)}
+          className="rounded-lg border border-gray-300 px-2 py-1.5 text-sm"
+        />
+        <input
+          type="time"
+          value={time}
+          onChange={(e) => setTime(e.target.value)}
+          className="rounded-lg border border-gray-300 px-2 py-1.5 text-sm"
+        />
+      </div>
+
+      <div>
+        <textarea
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          rows={platform === 'linkedin' ? 6 : 4}
+          placeholder={`What do you want to post on ${config.label}?`}
+          className="w-full rounded-lg border border-gray-300 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <div className="flex items-center justify-between text-xs text-gray-500">
+          <span className={longest > config.maxChars ? 'text-red-600' : ''}>
+            {longest}/{config.maxChars}{parts.length > 1 ? ` (longest of ${parts.length} posts)` : ''}
+          </span>
+          <button
+            type="button"
+            onClick={submit}
+            disabled={!canSubmit}
+            className="px-4 py-1.5 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+          >
+            {busy ? 'Scheduling...' : `Schedule for ${config.label}`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // MAIN COMPONENT
 // ═══════════════════════════════════════════════════════════════════════════
@@ -465,7 +1126,15 @@ const Scheduling = () => {
   const currentAccountId = selectedAccount?.id || (isTeamScope ? `team:${effectiveTeamId}` : 'personal');
 
   // ─── View state ─────────────────────────────────────────────────────
-  const [viewMode, setViewMode] = useState(() => localStorage.getItem('schedulingViewMode') || 'list');
+  // ?item=sched_<id> | review_<id> (calendar feed deep links) opens that item in the week view
+  const [searchParams, setSearchParams] = useSearchParams();
+  const deepLinkItemId = searchParams.get('item');
+  const [viewMode, setViewMode] = useState(() =>
+    deepLinkItemId ? 'week' : localStorage.getItem('schedulingViewMode') || 'list'
+  );
+  const [showQueueTimes, setShowQueueTimes] = useState(false);
+  const [showImport, setShowImport] = useState(false);
+  const [showNativePost, setShowNativePost] = useState(false);
   const [currentDate, setCurrentDate] = useState(new Date());
   const [showReviewItems, setShowReviewItems] = useState(true);
 
@@ -637,6 +1306,19 @@ const Scheduling = () => {
     return map;
   }, [calendarSource, reviewItems, showReviewItems]);
 
+  // ─── Deep link from calendar feed ──────────────────────────────────
+  useEffect(() => {
+    if (!deepLinkItemId || loading || viewMode === 'list') return;
+    const match = Object.values(itemsByDate).flat().find((item) => item._calendarId === deepLinkItemId);
+    if (match) {
+      setCurrentDate(new Date(match.scheduled_for || match.suggested_time));
+      setSelectedItem(match);
+    } else {
+      toast.error('That post is no longer on the calendar');
+    }
+    setSearchParams((params) => { params.delete('item'); return params; }, { replace: true });
+  }, [deepLinkItemId, loading, viewMode, itemsByDate, setSearchParams]);
+
   // ─── Calendar navigation + date ranges ─────────────────────────────
   const navigateCal = (delta) => {
     const d = new Date(currentDate);
@@ -697,12 +1379,17 @@ const Scheduling = () => {
   const handleCancel = async (itemOrId) => {
     const id = typeof itemOrId === 'object' ? itemOrId.id : itemOrId;
     try {
+      let message = null;
       if (isTeamScope) {
         const r = await accountAPI.fetchForCurrentAccount(`/api/scheduling/${id}`, { method: 'DELETE' });
         const p = await readJsonSafely(r);
         if (!r.ok) throw new Error(p?.error || 'Failed to cancel');
-      } else { await schedulingAPI.cancel(id); }
-      toast.success('Scheduled tweet cancelled');
+        message = p?.message;
+      } else {
+        const res = await schedulingAPI.cancel(id);
+        message = res?.data?.message;
+      }
+      toast.success(message || 'Scheduled tweet cancelled');
       setSelectedItem(null);
       fetchData({ showLoading: false });
     } catch (error) { toast.error('Failed to cancel scheduled tweet'); }
@@ -840,6 +1527,27 @@ const Scheduling = () => {
               </button>
             ))}
           </div>
+          <button
+            onClick={() => setShowQueueTimes((prev) => !prev)}
+            className={`p-2 rounded-lg transition-colors ${showQueueTimes ? 'text-blue-700 bg-blue-50' : 'text-gray-500 hover:text-gray-700 hover:bg-gray-100'}`}
+            title="Queue times"
+          >
+            <ListOrdered size={18} />
+          </button>
+          <button
+            onClick={() => setShowNativePost((prev) => !prev)}
+            className={`p-2 rounded-lg transition-colors ${showNativePost ? 'text-blue-700 bg-blue-50' : 'text-gray-500 hover:text-gray-700 hover:bg-gray-100'}`}
+            title="Schedule a LinkedIn or Threads post"
+          >
+            <Send size={18} />
+          </button>
+          <button
+            onClick={() => setShowImport((prev) => !prev)}
+            className={`p-2 rounded-lg transition-colors ${showImport ? 'text-blue-700 bg-blue-50' : 'text-gray-500 hover:text-gray-700 hover:bg-gray-100'}`}
+            title="Import from spreadsheet"
+          >
+            <Upload size={18} />
+          </button>
           <button
             onClick={() => { fetchErrorCountRef.current = 0; fetchData({ showLoading: false }); }}
             className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg transition-colors"
@@ -850,6 +1558,10 @@ const Scheduling = () => {
         </div>
       </div>
 
+      {showQueueTimes && <QueueTimesPanel accountKey={currentAccountId} />}
+      {showImport && <ImportPanel onImported={() => fetchData({ showLoading: false })} />}
+      {showNativePost && <NativePostPanel isTeamScope={isTeamScope} onScheduled={() => fetchData({ showLoading: false })} />}
+
       {/* ─── Scheduler info bar (all views) ───────────────────────────── */}
       {schedulerSummary && (
         <div className="bg-blue-50 border border-blue-100 rounded-lg p-3 text-sm text-blue-800">
@@ -931,12 +1643,23 @@ const Scheduling = () => {
                                   <span className="inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-[11px] font-medium bg-violet-50 text-violet-700 border border-violet-200">
                                     External &middot; {extLabel} cross-post (read-only)
                                   </span>
-                                ) : <span>@{tweet.account_username || tweet.twitter_username || 'twitter'}</span>}
+                                ) : getItemPlatform(tweet) === 'x' ? (
+                                  <span>@{tweet.account_username || tweet.twitter_username || 'twitter'}</span>
+                                ) : tweet.metadata?.native_post?.routing?.targetLabel && (
+                                  <span>{tweet.metadata.native_post.routing.targetLabel}</span>
+                                )}
+                                {!isExternal && <PlatformBadge platform={getItemPlatform(tweet)} />}
+                                {!isExternal && <TweetTargetBadges metadata={tweet.metadata} />}
                                 {tweet.source === 'autopilot' && (
                                   <span className="inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-[10px] font-semibold bg-violet-100 text-violet-700 border border-violet-200 uppercase tracking-wider">
                                     Autopilot
                                   </span>
                                 )}
+                                {tweet.source === 'evergreen' && (
+                                  <span className="inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-[10px] font-semibold bg-green-100 text-green-700 border border-green-200 uppercase tracking-wider">
+                                    Evergreen
+                                  </span>
+                                )}
                                 {tweet.scheduled_by_name && <span>By {tweet.scheduled_by_name}</span>}
                                 {mediaCount > 0 && <span>{mediaCount} media</span>}
                               </div>
@@ -951,6 +1674,7 @@ const Scheduling = () => {
                           <td className="px-6 py-4">
                             <div className="space-y-1">
                               {getStatusBadge(tweet.status)}
+                              <PlatformStatusList statuses={tweet.platform_statuses} />
                               {tweet.status === 'failed' && tweet.error_message && (
                                 <p className="text-xs text-red-600 max-w-xs truncate" title={tweet.error_message}>{tweet.error_message}</p>
                               )}
@@ -1095,6 +1819,10 @@ const Scheduling = () => {
           onApprove={handleApprove}
           onReject={handleReject}
           onRetry={handleRetry}
+          onSeriesChanged={() => {
+            setSelectedItem(null);
+            fetchData({ showLoading: false });
+          }}
         />
       )}
     </div>
@@ -7,10 +7,24 @@ import {
   Check,
   X,
   Eye,
-  EyeOff
+  EyeOff,
+  CalendarDays,
+  Webhook,
+  Bell,
+  Mic,
+  ShieldCheck,
+  Wallet
 } from 'lucide-react';
 import { twitter, providers } from '../utils/api';
 import LoadingSpinner from '../components/LoadingSpinner';
+import CalendarFeedSettings from '../components/CalendarFeedSettings';
+import WebhookSettings from '../components/WebhookSettings';
+import NotificationSettings from '../components/NotificationSettings';
+import BrandVoiceSettings from '../components/BrandVoiceSettings';
+import ComplianceSettings from '../components/ComplianceSettings';
+import ApprovalChainSettings from '../components/ApprovalChainSettings';
+import AccountPermissionsSettings from '../components/AccountPermissionsSettings';
+import CreditBudgetSettings from '../components/CreditBudgetSettings';
 import toast from 'react-hot-toast';
 import { useAccount } from '../contexts/AccountContext';
 
@@ -376,7 +390,15 @@ const Settings = () => {
     }
   };
 
-  const tabs = [{ id: 'twitter', name: 'Twitter Account', icon: Twitter }];
+  const tabs = [
+    { id: 'twitter', name: 'Twitter Account', icon: Twitter },
+    { id: 'voice', name: 'Brand Voice', icon: Mic },
+    { id: 'compliance', name: 'Compliance', icon: ShieldCheck },
+    { id: 'budgets', name: 'Credit Budgets', icon: Wallet },
+    { id: 'notifications', name: 'Notifications', icon: Bell },
+    { id: 'calendar', name: 'Calendar Feed', icon: CalendarDays },
+    { id: 'webhooks', name: 'Webhooks', icon: Webhook },
+  ];
 
   if (loading) {
     return (
@@ -665,6 +687,50 @@ const Settings = () => {
         </div>
       )}
 
+      {/* Brand Voice Tab */}
+      {activeTab === 'voice' && (
+        <div className="space-y-6">
+          <BrandVoiceSettings />
+        </div>
+      )}
+
+      {/* Compliance Tab */}
+      {activeTab === 'compliance' && (
+        <div className="space-y-6">
+          <ComplianceSettings />
+          {isTeamMode && <ApprovalChainSettings />}
+          {isTeamMode && <AccountPermissionsSettings />}
+        </div>
+      )}
+
+      {/* Credit Budgets Tab */}
+      {activeTab === 'budgets' && (
+        <div className="space-y-6">
+          <CreditBudgetSettings />
+        </div>
+      )}
+
+      {/* Notifications Tab */}
+      {activeTab === 'notifications' && (
+        <div className="space-y-6">
+          <NotificationSettings />
+        </div>
+      )}
+
+      {/* Calendar Feed Tab */}
+      {activeTab === 'calendar' && (
+        <div className="space-y-6">
+          <CalendarFeedSettings />
+        </div>
+      )}
+
+      {/* Webhooks Tab */}
+      {activeTab === 'webhooks' && (
+        <div className="space-y-6">
+          <WebhookSettings />
+        </div>
+      )}
+
       {/* Spinner keyframe — inline so no CSS file dependency */}
       <style>{`
         @keyframes spin {
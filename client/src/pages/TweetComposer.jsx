@@ -10,7 +10,8 @@ import {
   AIImageGenerator,
   ImageUploader,
   ThreadComposer,
-  TweetActions
+  TweetActions,
+  CrossPostPreview
 } from '../components/TweetComposer';
 import { useTweetComposer } from '../hooks/useTweetComposer';
 import { fetchApiKeyPreference } from '../utils/byok-platform';
@@ -63,6 +64,7 @@ const TweetComposer = () => {
   const [postToLinkedin, setPostToLinkedin] = useState(false);
   const [postToThreads, setPostToThreads] = useState(false);
   const [optimizeCrossPost, setOptimizeCrossPost] = useState(true);
+  const [crossPostOverrides, setCrossPostOverrides] = useState(null);
   const [crossPostTargets, setCrossPostTargets] = useState({ twitter: [], linkedin: [], threads: [] });
   const [isLoadingCrossPostTargets, setIsLoadingCrossPostTargets] = useState(false);
   const [crossPostTargetsError, setCrossPostTargetsError] = useState('');
@@ -319,6 +321,7 @@ const TweetComposer = () => {
     isGeneratingImage,
     selectedImages,
     isUploadingImages,
+    describingImageId,
     scheduledTweets,
     isLoadingScheduled,
     characterCount,
@@ -326,14 +329,20 @@ const TweetComposer = () => {
     effectiveCharLimit,
     handleImageUpload,
     handleImageRemove,
+    handleImageAltTextChange,
+    handleDescribeImage,
+    handleLibraryMediaSelect,
     handlePost,
     handleSchedule,
+    handleScheduleAbTest,
     handleAIGenerate,
     handleImageGenerate,
     handleCancelScheduled,
     handleThreadTweetChange,
     handleThreadImageUpload,
     handleThreadImageRemove,
+    handleThreadImageAltTextChange,
+    handleDescribeThreadImage,
     handleAddTweet,
     handleRemoveTweet,
     handleAIButtonClick,
@@ -457,6 +466,12 @@ const TweetComposer = () => {
     threads: Boolean(postToThreads),
   };
   const crossPostSelected = Boolean(postToTwitter || postToLinkedin || postToThreads);
+  const rewritePlatforms = ['linkedin', 'threads'].filter((platform) => crossPostEnabledFlags[platform]);
+
+  // Accepted AI rewrites belong to the draft they were made from.
+  useEffect(() => {
+    setCrossPostOverrides(null);
+  }, [content, threadTweets, isThread]);
   const hasAnyImagesForCurrentDraft =
     (Array.isArray(selectedImages) && selectedImages.length > 0) ||
     (Array.isArray(threadImages) && threadImages.some((items) => Array.isArray(items) && items.length > 0));
@@ -547,6 +562,7 @@ const TweetComposer = () => {
       linkedin: crossPostEnabledFlags.linkedin,
       threads: crossPostEnabledFlags.threads,
       optimizeCrossPost,
+      ...(crossPostOverrides && { crossPostOverrides }),
       ...(Object.keys(crossPostTargetAccountIds).length > 0 && { crossPostTargetAccountIds }),
       ...(Object.keys(crossPostTargetAccountLabels).length > 0 && { crossPostTargetAccountLabels }),
     };
@@ -597,6 +613,9 @@ const TweetComposer = () => {
                   onThreadTweetChange={handleThreadTweetChange}
                   onThreadImageUpload={handleThreadImageUpload}
                   onThreadImageRemove={handleThreadImageRemove}
+                  onThreadImageAltTextChange={handleThreadImageAltTextChange}
+                  onDescribeThreadImage={handleDescribeThreadImage}
+                  describingImageId={describingImageId}
                   onAddTweet={handleAddTweet}
                   onRemoveTweet={handleRemoveTweet}
                 />
@@ -658,6 +677,10 @@ const TweetComposer = () => {
                   onImageRemove={handleImageRemove}
                   isUploadingImages={isUploadingImages}
                   onImagePreview={img => setImageModal({ open: true, src: img.preview || img.url })}
+                  onAltTextChange={handleImageAltTextChange}
+                  onDescribeImage={handleDescribeImage}
+                  describingImageId={describingImageId}
+                  onLibrarySelect={handleLibraryMediaSelect}
                 />
                 {imageModal.open && (
                   <div
@@ -702,10 +725,11 @@ const TweetComposer = () => {
                   if (!ensureCrossPostTargetsSelected()) return;
                   handlePost(buildCrossPostInput());
                 }}
-                onSchedule={(dateString, timezone) => {
+                onSchedule={(dateString, timezone, recurrence, replyTargetFields) => {
                   if (!ensureCrossPostTargetsSelected()) return;
-                  handleSchedule(dateString, timezone, buildCrossPostInput());
+                  handleSchedule(dateString, timezone, buildCrossPostInput(), recurrence, replyTargetFields);
                 }}
+                onScheduleAbTest={handleScheduleAbTest}
               />
             </div>
           </div>
@@ -969,7 +993,7 @@ const TweetComposer = () => {
                 <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '10px' }}>
                   <div>
                     <div style={{ fontSize: '13px', fontWeight: 600, color: '#111827' }}>Optimize formatting per platform</div>
-                    <div style={{ fontSize: '11px', color: '#6b7280' }}>Format-only optimization. No wording changes.</div>
+                    <div style={{ fontSize: '11px', color: '#6b7280' }}>Adapts mentions, hashtags and thread layout to each platform.</div>
                   </div>
                   <button
                     type="button"
@@ -1005,6 +1029,17 @@ const TweetComposer = () => {
                 </div>
               </div>
 
+              {rewritePlatforms.length > 0 && (
+                <CrossPostPreview
+                  content={content}
+                  threadParts={isThread ? threadTweets : []}
+                  optimizeCrossPost={optimizeCrossPost}
+                  platforms={rewritePlatforms}
+                  overrides={crossPostOverrides}
+                  onOverridesChange={setCrossPostOverrides}
+                />
+              )}
+
               {isTeamTwitterAccountSelected && (
                 <div style={{
                   marginTop: '12px',
@@ -424,7 +424,40 @@ export const twitter = {
 
 // Media endpoints
 export const media = {
-  upload: (mediaArray) => api.post('/api/twitter/upload-media', { media: mediaArray }),
+  // altTexts is parallel to mediaArray; empty entries are skipped
+  upload: (mediaArray, altTexts = []) =>
+    api.post('/api/twitter/upload-media', {
+      media: mediaArray,
+      ...(altTexts.some(Boolean) && { altTexts }),
+    }),
+  // Chunked video/GIF upload: init → append each chunk → finalize → poll status
+  initUpload: ({ totalBytes, mediaType, durationSeconds }) =>
+    api.post('/api/twitter/upload-media/init', {
+      total_bytes: totalBytes,
+      media_type: mediaType,
+      ...(Number.isFinite(durationSeconds) && { duration_seconds: durationSeconds }),
+    }),
+  appendChunk: (mediaId, segmentIndex, chunk) =>
+    api.post('/api/twitter/upload-media/append', { media_id: mediaId, segment_index: segmentIndex, chunk }),
+  finalizeUpload: (mediaId, altText = '') =>
+    api.post('/api/twitter/upload-media/finalize', { media_id: mediaId, ...(altText && { alt_text: altText }) }),
+  uploadStatus: (mediaId) => api.get(`/api/twitter/upload-media/${mediaId}/status`),
+  // Scheduled video/GIF: signed storage URL to PUT the file to; X gets it at publish time
+  createHostedUpload: ({ totalBytes, mediaType, durationSeconds }) =>
+    api.post('/api/twitter/upload-media/hosted', {
+      total_bytes: totalBytes,
+      media_type: mediaType,
+      ...(Number.isFinite(durationSeconds) && { duration_seconds: durationSeconds }),
+    }),
+};
+
+// Media library (uploads and AI images kept for reuse, per user or team)
+export const mediaLibrary = {
+  list: (params = {}) => api.get('/api/media-library', { params }),
+  add: (dataUrl, { tags, altText } = {}) =>
+    api.post('/api/media-library', { media: dataUrl, ...(tags && { tags }), ...(altText && { alt_text: altText }) }),
+  update: (assetId, updates) => api.patch(`/api/media-library/${assetId}`, updates),
+  remove: (assetId) => api.delete(`/api/media-library/${assetId}`),
 };
 
 // Tweet endpoints
@@ -454,6 +487,119 @@ export const scheduling = {
   retry: (scheduleId) => api.post('/api/scheduling/retry', { id: scheduleId }),
   update: (scheduleId, data) => api.put(`/api/scheduling/${scheduleId}`, data),
   cancel: (scheduleId) => api.delete(`/api/scheduling/${scheduleId}`),
+  getSlots: () => api.get('/api/scheduling/slots'),
+  saveSlots: (data) => api.put('/api/scheduling/slots', data),
+  importFile: (data) => api.post('/api/scheduling/import', data),
+  createPlatformPost: (data) => api.post('/api/scheduling/platform', data),
+  getSeries: (seriesId) => api.get(`/api/scheduling/series/${seriesId}`),
+  updateSeries: (seriesId, data) => api.put(`/api/scheduling/series/${seriesId}`, data),
+  cancelSeries: (seriesId) => api.delete(`/api/scheduling/series/${seriesId}`),
+};
+
+// A/B hook test endpoints
+export const abTests = {
+  list: (params) => api.get('/api/ab-tests', { params }),
+  get: (testId) => api.get(`/api/ab-tests/${testId}`),
+  create: (data) => api.post('/api/ab-tests', data),
+  cancel: (testId) => api.post(`/api/ab-tests/${testId}/cancel`),
+};
+
+// Calendar feed endpoints
+export const calendarFeeds = {
+  get: () => api.get('/api/calendar-feeds'),
+  create: () => api.post('/api/calendar-feeds'),
+  revoke: () => api.delete('/api/calendar-feeds'),
+};
+
+// Webhook endpoints
+export const webhooks = {
+  list: () => api.get('/api/webhooks'),
+  create: (data) => api.post('/api/webhooks', data),
+  update: (id, data) => api.patch(`/api/webhooks/${id}`, data),
+  remove: (id) => api.delete(`/api/webhooks/${id}`),
+  rotateSecret: (id) => api.post(`/api/webhooks/${id}/rotate-secret`),
+  test: (id) => api.post(`/api/webhooks/${id}/test`),
+  deliveries: (id, params) => api.get(`/api/webhooks/${id}/deliveries`, { params }),
+  redeliver: (deliveryId) => api.post(`/api/webhooks/deliveries/${deliveryId}/redeliver`),
+};
+
+// Brand voice of the selected account
+export const brandVoice = {
+  get: () => api.get('/api/brand-voice'),
+  learn: () => api.post('/api/brand-voice/learn'),
+  update: (data) => api.put('/api/brand-voice', data),
+};
+
+// Cross-post target accounts and per-platform previews for the current scope
+export const crossPost = {
+  targets: (params) => api.get('/api/cross-post/targets', { params }),
+  preview: (data) => api.post('/api/cross-post/preview', data),
+};
+
+// Compliance rules endpoints (team rules when a team is selected)
+export const compliance = {
+  get: () => api.get('/api/compliance'),
+  update: (data) => api.put('/api/compliance', data),
+  check: (data) => api.post('/api/compliance/check', data),
+};
+
+// Inbox: mentions of and replies to the selected account
+export const inbox = {
+  list: (params) => api.get('/api/inbox', { params }),
+  assignees: () => api.get('/api/inbox/assignees'),
+  sync: () => api.post('/api/inbox/sync'),
+  update: (itemId, data) => api.patch(`/api/inbox/${itemId}`, data),
+  suggestReplies: (itemId) => api.post(`/api/inbox/${itemId}/suggest-replies`),
+  reply: (itemId, text) => api.post(`/api/inbox/${itemId}/reply`, { text }),
+};
+
+// Approval workflow: review queue, sign-off, review threads and team chains
+export const approvals = {
+  pending: () => api.get('/api/approval/pending'),
+  detail: (tweetId) => api.get(`/api/approval/${tweetId}`),
+  approve: (tweetId, comment) => api.post(`/api/approval/${tweetId}/approve`, { comment }),
+  requestChanges: (tweetId, notes) => api.post(`/api/approval/${tweetId}/request-changes`, { notes }),
+  reject: (tweetId, reason) => api.post(`/api/approval/${tweetId}/reject`, { reason }),
+  resubmit: (tweetId, data) => api.post(`/api/approval/${tweetId}/resubmit`, data),
+  comment: (tweetId, body, parentId) => api.post(`/api/approval/${tweetId}/comments`, { body, parentId }),
+  bulkApprove: (tweetIds) => api.post('/api/approval/bulk-approve', { tweetIds }),
+  getChain: () => api.get('/api/approval/chain'),
+  updateChain: (data) => api.put('/api/approval/chain', data),
+};
+
+// Client review links; `portal` and `act` are called by clients without an account
+export const reviewLinks = {
+  list: () => api.get('/api/review-links'),
+  create: (data) => api.post('/api/review-links', data),
+  events: (linkId) => api.get(`/api/review-links/${linkId}/events`),
+  revoke: (linkId) => api.delete(`/api/review-links/${linkId}`),
+  portal: (token) => api.get(`/api/review-links/portal/${token}`),
+  act: (token, itemType, itemId, action, data) =>
+    api.post(`/api/review-links/portal/${token}/items/${itemType}/${itemId}/${action}`, data),
+};
+
+// Per-member permissions on team accounts (owners and admins)
+export const teamAccountPermissions = {
+  list: (accountId) => api.get(`/api/pro-team/social-accounts/${accountId}/permissions`),
+  update: (accountId, memberId, permissions) =>
+    api.put(`/api/pro-team/social-accounts/${accountId}/permissions/${memberId}`, { permissions }),
+  reset: (accountId, memberId) =>
+    api.put(`/api/pro-team/social-accounts/${accountId}/permissions/${memberId}`, { reset: true }),
+};
+
+// Activity log of account-affecting actions (team owners, or your own personal activity)
+export const audit = {
+  list: (params) => api.get('/api/audit-events', { params }),
+  facets: () => api.get('/api/audit-events/facets'),
+};
+
+// Evergreen recycling endpoints
+export const evergreen = {
+  list: () => api.get('/api/evergreen'),
+  candidates: (params) => api.get('/api/evergreen/candidates', { params }),
+  mark: (tweetId) => api.post(`/api/evergreen/${tweetId}`),
+  unmark: (tweetId) => api.delete(`/api/evergreen/${tweetId}`),
+  updateSettings: (data) => api.put('/api/evergreen/settings', data),
 };
 
 // Analytics endpoints
@@ -480,6 +626,7 @@ export const analytics = {
       return response;
     }),
   invalidateCache: () => invalidateCacheByPrefix('analytics_'),
+  exportPosts: (params) => api.get('/api/analytics/export', { params, responseType: 'blob' }),
 };
 
 // Dashboard endpoints
@@ -496,6 +643,11 @@ export const credits = {
     cachedGet({ url: '/api/credits/balance', scope: 'credits_balance', ttlMs, bypass }),
   getHistory: (params) => api.get('/api/credits/history', { params }),
   getPricing: () => api.get('/api/credits/pricing'),
+  // Monthly budgets per member/strategy and the spend report (team owners and admins)
+  getBudgets: () => api.get('/api/credits/budgets'),
+  saveBudget: (data) => api.put('/api/credits/budgets', data),
+  deleteBudget: (budgetId) => api.delete(`/api/credits/budgets/${budgetId}`),
+  getReport: (month) => api.get('/api/credits/report', { params: month ? { month } : {} }),
 };
 
 // AI Providers endpoints
@@ -537,6 +689,9 @@ export const ai = {
   generateOptions: (prompt, style = 'casual', count = 3) =>
     api.post('/api/ai/generate-options', { prompt, style, count }),
   bulkGenerate: (prompts, options) => api.post('/api/ai/bulk-generate', { prompts, options }),
+  // Draft alt text for an image (data URL or https URL); context is the post text
+  describeImage: (imageUrl, context = '') =>
+    api.post('/api/ai/describe-image', { imageUrl, ...(context && { context }) }, { timeout: 60000 }),
   // Removed queue-based endpoints for bulk generation
 };
 
@@ -610,6 +765,7 @@ export const autopilot = {
   undoTweet: (scheduledTweetId) => api.post(`/api/autopilot/undo/${scheduledTweetId}`),
   getNotificationPrefs: () => api.get('/api/autopilot/notification-prefs'),
   updateNotificationPrefs: (data) => api.put('/api/autopilot/notification-prefs', data),
+  testChatNotification: () => api.post('/api/autopilot/notification-prefs/chat-test'),
 };
 
 // Repurpose endpoints
@@ -0,0 +1,182 @@
+import axios from 'axios';
+import { media } from './api';
+
+/**
+ * Composer media limits (X): up to 4 images at 5MB, or one GIF up to 15MB, or
+ * one MP4/MOV video up to 512MB and 0.5–140 seconds. Videos and GIFs are sent
+ * through the chunked upload so request bodies stay small.
+ */
+
+const MB = 1024 * 1024;
+
+export const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+export const VIDEO_TYPES = ['video/mp4', 'video/quicktime'];
+export const MEDIA_ACCEPT = [...IMAGE_TYPES, 'image/gif', ...VIDEO_TYPES].join(',');
+
+export const MEDIA_LIMITS = {
+  image: 5 * MB,
+  gif: 15 * MB,
+  video: 512 * MB,
+};
+export const MAX_ALT_TEXT_LENGTH = 1000;
+export const MIN_VIDEO_SECONDS = 0.5;
+export const MAX_VIDEO_SECONDS = 140;
+
+const PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
+
+export const getMediaKind = (type = '') => {
+  if (type === 'image/gif') return 'gif';
+  if (VIDEO_TYPES.includes(type)) return 'video';
+  if (IMAGE_TYPES.includes(type)) return 'image';
+  return null;
+};
+
+/** True for a video or GIF (picked files, or media library items by mime type). */
+export const isChunkedMedia = (item) => {
+  const kind = getMediaKind(item?.file?.type || item?.mimeType);
+  return kind === 'video' || kind === 'gif';
+};
+
+/** Composer media item for a media library asset (no local file; uploaded by asset id). */
+export const fromLibraryAsset = (asset) => ({
+  file: null,
+  id: `library-${asset.id}`,
+  libraryAssetId: asset.id,
+  kind: asset.kind,
+  mimeType: asset.mime_type,
+  preview: asset.url,
+  url: asset.url,
+  altText: asset.alt_text || '',
+  isAIGenerated: asset.source === 'ai_generated',
+});
+
+/** Read a video's duration from its metadata. Resolves null if the browser can't tell. */
+export const readVideoDuration = (file) =>
+  new Promise((resolve) => {
+    const url = URL.createObjectURL(file);
+    const video = document.createElement('video');
+    const done = (value) => {
+      URL.revokeObjectURL(url);
+      resolve(value);
+    };
+    video.preload = 'metadata';
+    video.onloadedmetadata = () => done(Number.isFinite(video.duration) ? video.duration : null);
+    video.onerror = () => done(null);
+    video.src = url;
+  });
+
+/**
+ * Validate a picked file against X limits. Returns { kind, error, durationSeconds }.
+ */
+export const validateComposerMedia = async (file) => {
+  const kind = getMediaKind(file?.type);
+  if (!kind) {
+    return { kind, error: `${file?.name || 'File'} is not a supported image or video type` };
+  }
+
+  const limit = MEDIA_LIMITS[kind];
+  if (file.size > limit) {
+    return { kind, error: `${file.name} is too large (max ${Math.round(limit / MB)}MB)` };
+  }
+
+  if (kind !== 'video') return { kind, error: null, durationSeconds: null };
+
+  const durationSeconds = await readVideoDuration(file);
+  if (durationSeconds !== null && durationSeconds < MIN_VIDEO_SECONDS) {
+    return { kind, error: `${file.name} is too short (min ${MIN_VIDEO_SECONDS}s)` };
+  }
+  if (durationSeconds !== null && durationSeconds > MAX_VIDEO_SECONDS) {
+    return { kind, error: `${file.name} is too long (max ${MAX_VIDEO_SECONDS}s)` };
+  }
+  return { kind, error: null, durationSeconds };
+};
+
+/**
+ * X accepts up to 4 images, or exactly one video or GIF, per post.
+ * Returns an error message for the combined selection, or null.
+ */
+export const validateMediaSelection = (items = []) => {
+  const chunked = items.filter(isChunkedMedia);
+  if (chunked.length > 0 && items.length > 1) {
+    return 'A post can have up to 4 images or a single video or GIF';
+  }
+  if (items.length > 4) {
+    return 'Maximum 4 images allowed per tweet';
+  }
+  return null;
+};
+
+const blobToBase64 = (blob) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result).split(',')[1] || '');
+    reader.onerror = reject;
+    reader.readAsDataURL(blob);
+  });
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Upload a video or GIF in chunks and wait until X has processed it.
+ * onProgress receives { phase: 'uploading' | 'processing', percent }. altText is
+ * set on the media once the upload is finalized.
+ * Resolves with the media id.
+ */
+export const uploadChunkedMedia = async (file, { durationSeconds = null, altText = '', onProgress } = {}) => {
+  const { data: init } = await media.initUpload({
+    totalBytes: file.size,
+    mediaType: file.type,
+    durationSeconds,
+  });
+  const { mediaId, chunkSize } = init;
+
+  let segmentIndex = 0;
+  for (let offset = 0; offset < file.size; offset += chunkSize) {
+    const chunk = await blobToBase64(file.slice(offset, offset + chunkSize));
+    await media.appendChunk(mediaId, segmentIndex, chunk);
+    segmentIndex += 1;
+    onProgress?.({ phase: 'uploading', percent: Math.round((Math.min(offset + chunkSize, file.size) / file.size) * 100) });
+  }
+
+  const { data: finalized } = await media.finalizeUpload(mediaId, altText);
+  let processing = finalized.processing;
+  const deadline = Date.now() + PROCESSING_TIMEOUT_MS;
+
+  while (processing && processing.state !== 'succeeded') {
+    if (processing.state === 'failed') {
+      throw new Error(processing.error?.message || 'X could not process this video');
+    }
+    if (Date.now() > deadline) {
+      throw new Error('X is taking too long to process this video. Please try again.');
+    }
+    onProgress?.({ phase: 'processing', percent: processing.progress_percent || 0 });
+    await wait(Math.min(Math.max((processing.check_after_secs || 1) * 1000, 1000), 10000));
+    const { data: status } = await media.uploadStatus(mediaId);
+    processing = status.processing;
+  }
+
+  onProgress?.({ phase: 'processing', percent: 100 });
+  return mediaId;
+};
+
+/**
+ * Store a video or GIF for a scheduled post. X media IDs expire 24 hours after
+ * upload, so the file goes to our storage and is uploaded to X at publish time.
+ * onProgress receives { phase: 'uploading', percent }. Resolves with the
+ * file's public URL, which is scheduled in place of a media id.
+ */
+export const uploadHostedMedia = async (file, { durationSeconds = null, onProgress } = {}) => {
+  const { data } = await media.createHostedUpload({
+    totalBytes: file.size,
+    mediaType: file.type,
+    durationSeconds,
+  });
+
+  await axios.put(data.uploadUrl, file, {
+    headers: { 'content-type': file.type, 'x-upsert': 'false' },
+    onUploadProgress: (event) => {
+      if (event.total) onProgress?.({ phase: 'uploading', percent: Math.round((event.loaded / event.total) * 100) });
+    },
+  });
+  return data.url;
+};
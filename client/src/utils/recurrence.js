@@ -0,0 +1,74 @@
+/**
+ * Repeat presets for recurring scheduled posts. Values are RRULE strings the
+ * server understands (server/utils/recurrenceRule.js); the time of day always
+ * comes from the first post.
+ */
+
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const ORDINALS = ['first', 'second', 'third', 'fourth', 'fifth'];
+const WEEKDAYS_RULE = 'BYDAY=MO,TU,WE,TH,FR';
+
+/**
+ * Presets relative to the chosen first post date (a Date or datetime-local string).
+ */
+export const buildRepeatOptions = (firstPostAt) => {
+  const date = firstPostAt ? new Date(firstPostAt) : null;
+  const options = [
+    { value: '', label: 'Does not repeat' },
+    { value: 'FREQ=DAILY', label: 'Every day' },
+    { value: `FREQ=WEEKLY;${WEEKDAYS_RULE}`, label: 'Every weekday (Mon–Fri)' },
+  ];
+  if (!date || Number.isNaN(date.getTime())) return options;
+
+  const weekday = date.getDay();
+  const dayOfMonth = date.getDate();
+  const nth = Math.ceil(dayOfMonth / 7);
+  const daysInMonth = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+  const isLastOfMonth = dayOfMonth + 7 > daysInMonth;
+
+  options.push(
+    { value: `FREQ=WEEKLY;BYDAY=${WEEKDAY_CODES[weekday]}`, label: `Every week on ${WEEKDAY_NAMES[weekday]}` },
+    { value: `FREQ=WEEKLY;INTERVAL=2;BYDAY=${WEEKDAY_CODES[weekday]}`, label: `Every other ${WEEKDAY_NAMES[weekday]}` },
+    { value: `FREQ=MONTHLY;BYMONTHDAY=${dayOfMonth}`, label: `Every month on day ${dayOfMonth}` }
+  );
+  if (nth <= 4) {
+    options.push({
+      value: `FREQ=MONTHLY;BYDAY=${nth}${WEEKDAY_CODES[weekday]}`,
+      label: `Every month on the ${ORDINALS[nth - 1]} ${WEEKDAY_NAMES[weekday]}`,
+    });
+  }
+  if (isLastOfMonth) {
+    options.push({
+      value: `FREQ=MONTHLY;BYDAY=-1${WEEKDAY_CODES[weekday]}`,
+      label: `Every month on the last ${WEEKDAY_NAMES[weekday]}`,
+    });
+  }
+  options.push({ value: `FREQ=MONTHLY;${WEEKDAYS_RULE};BYSETPOS=1`, label: 'Every month on the first weekday' });
+  return options;
+};
+
+/**
+ * Append an end condition: { type: 'never' | 'count' | 'until', count, until (YYYY-MM-DD) }.
+ */
+export const withRepeatEnd = (rule, end = {}) => {
+  if (!rule) return '';
+  const base = rule.replace(/;(COUNT|UNTIL)=[^;]*/g, '');
+  if (end.type === 'count' && Number(end.count) > 0) return `${base};COUNT=${Number(end.count)}`;
+  if (end.type === 'until' && end.until) return `${base};UNTIL=${end.until.replace(/-/g, '')}`;
+  return base;
+};
+
+/** Split a stored rule into its preset part and end condition, for edit forms. */
+export const splitRepeatEnd = (rule = '') => {
+  const count = rule.match(/;COUNT=(\d+)/);
+  const until = rule.match(/;UNTIL=(\d{4})(\d{2})(\d{2})/);
+  return {
+    base: rule.replace(/;(COUNT|UNTIL)=[^;]*/g, ''),
+    end: count
+      ? { type: 'count', count: Number(count[1]), until: '' }
+      : until
+        ? { type: 'until', count: 10, until: `${until[1]}-${until[2]}-${until[3]}` }
+        : { type: 'never', count: 10, until: '' },
+  };
+};
@@ -7,8 +7,16 @@ const __dirname = path.dirname(fileURLToPath(import.meta.url));
 dotenv.config({ path: path.resolve(__dirname, '../.env') });
 
 let redisClient;
+let redisConnecting = null;
 
 const connectRedis = async () => {
+  // One client per process. It reconnects on its own, so while it is still
+  // connecting (or reconnecting after a drop) callers get that same client
+  // instead of opening another one.
+  if (redisClient?.isReady) return redisClient;
+  if (redisConnecting) return redisConnecting;
+  if (redisClient?.isOpen) return redisClient;
+
   try {
     // Use Upstash Redis REST API if available, otherwise fall back to regular Redis
     if (process.env.UPSTASH_REDIS_REST_URL) {
@@ -32,9 +40,13 @@ const connectRedis = async () => {
       console.log('Connected to Redis for Tweet Genie');
     });
 
-    await redisClient.connect();
-    
-    return redisClient;
+    const client = redisClient;
+    redisConnecting = client.connect()
+      .then(() => client)
+      .finally(() => {
+        redisConnecting = null;
+      });
+    return await redisConnecting;
   } catch (error) {
     console.error('Failed to connect to Redis:', error);
     return null;
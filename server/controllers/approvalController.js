@@ -1,209 +1,383 @@
 // approvalController.js
-// Controller for tweet approval workflow (Editor role requires approval)
+// Controller for the tweet approval workflow: team approval chains
+// (e.g. editor -> client reviewer -> admin), review comments, change
+// requests and revision history.
 import pool from '../config/database.js';
+import { checkPostCompliance } from '../services/complianceService.js';
+import {
+  MAX_COMMENT_LENGTH,
+  addComment,
+  getApprovalChain,
+  getReviewActor,
+  getReviewPost,
+  listComments,
+  listReviewQueue,
+  listRevisions,
+  rejectPost,
+  requestChanges,
+  resetApprovalChain,
+  resubmitPost,
+  saveApprovalChain,
+  signOffStep,
+} from '../services/approvalService.js';
+import { TEAM_ROLES, describeApprovalProgress, normalizeApprovalSteps } from '../utils/approvalChain.js';
+import { getScheduledThreadParts } from '../utils/schedulePlatforms.js';
+import { recordAuditEvent, recordScheduledTweetEvent } from '../services/auditService.js';
+
+const MANAGER_ROLES = ['owner', 'admin'];
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const readText = (value) => (typeof value === 'string' ? value.trim() : '');
+
+// Loads a team post and the caller's reviewer context, or sends the error response.
+const loadReviewContext = async (req, res) => {
+  const { tweetId } = req.params;
+  const row = UUID_PATTERN.test(String(tweetId || '')) ? await getReviewPost(tweetId) : null;
+  const actor = row ? await getReviewActor(row, req.user.id, req.agencyWorkspace) : null;
+  if (!row || !actor) {
+    res.status(404).json({ error: 'Tweet not found or already processed' });
+    return null;
+  }
+  const { steps } = await getApprovalChain(row.team_id);
+  return { row, actor, steps };
+};
+
+// Audit a successful decision against the step the post was waiting on.
+const recordDecision = (req, action, row, steps, result, metadata = {}) => {
+  if (result.error) return;
+  recordScheduledTweetEvent(req, action, row, {
+    step: steps[row.approval_step]?.label || null,
+    approval_status: result.row.approval_status,
+    ...metadata,
+  });
+};
+
+const sendDecision = (res, result, message, tweetId) => {
+  if (result.error) return res.status(result.status).json({ error: result.error });
+  return res.json({ success: true, message, tweetId, approval_status: result.row.approval_status });
+};
+
+const getTeamRole = async (teamId, userId) => {
+  const { rows } = await pool.query(
+    'SELECT role FROM team_members WHERE team_id = $1 AND user_id = $2 AND status = $3',
+    [teamId, userId, 'active']
+  );
+  return rows[0]?.role || null;
+};
 
 export const ApprovalController = {
-  // Get pending scheduled tweets awaiting approval
+  // Get pending scheduled tweets the user can sign off, plus their own posts sent back for changes
   async getPendingApprovals(req, res) {
     try {
       const userId = req.user.id;
-      
-      // Check if user is owner or admin of any team
+
       const { rows: teams } = await pool.query(`
         SELECT tm.team_id, tm.role, t.name as team_name
         FROM team_members tm
         JOIN teams t ON t.id = tm.team_id
-        WHERE tm.user_id = $1 AND tm.role IN ('owner', 'admin')
+        WHERE tm.user_id = $1 AND tm.status = 'active'
       `, [userId]);
-      
-      if (teams.length === 0) {
-        return res.status(403).json({ error: 'Only owners and admins can view pending approvals' });
+
+      if (teams.length === 0 && !req.agencyWorkspace) {
+        return res.status(403).json({ error: 'Only team members can view pending approvals' });
       }
-      
-      const teamIds = teams.map(t => t.team_id);
-      
-      // Get all pending scheduled tweets for these teams
-      const { rows: pendingTweets } = await pool.query(`
-        SELECT 
-          st.id,
-          st.content,
-          st.scheduled_for,
-          st.approval_requested_at,
-          st.team_id,
-          st.thread_tweets,
-          u.email as requested_by_email,
-          u.name as requested_by_name,
-          teams.name as team_name
-        FROM scheduled_tweets st
-        JOIN users u ON u.id = st.user_id
-        JOIN teams ON teams.id = st.team_id
-        WHERE st.approval_status = 'pending_approval'
-        AND st.team_id = ANY($1)
-        ORDER BY st.approval_requested_at DESC
-      `, [teamIds]);
-      
+
+      const { pending, changesRequested } = await listReviewQueue(userId, req.agencyWorkspace);
+
       res.json({
         success: true,
-        pendingTweets,
+        pendingTweets: pending,
+        changesRequested,
         teams
       });
-      
+
     } catch (error) {
       console.error('❌ Get pending approvals error:', error);
       res.status(500).json({ error: 'Failed to fetch pending approvals', message: error.message });
     }
   },
 
-  // Approve a scheduled tweet
+  // A post's chain progress, review thread and revision history
+  async getApprovalDetail(req, res) {
+    try {
+      const context = await loadReviewContext(req, res);
+      if (!context) return;
+      const { row, actor, steps } = context;
+
+      const [comments, revisions] = await Promise.all([listComments(row.id), listRevisions(row.id)]);
+      res.json({
+        success: true,
+        tweet: row,
+        approval: describeApprovalProgress(row, steps, actor),
+        can_resubmit: row.approval_status === 'changes_requested' &&
+          (String(row.user_id) === actor.userId || MANAGER_ROLES.includes(actor.teamRole)),
+        comments,
+        revisions
+      });
+    } catch (error) {
+      console.error('❌ Get approval detail error:', error);
+      res.status(500).json({ error: 'Failed to fetch approval details', message: error.message });
+    }
+  },
+
+  // Sign off the step a tweet is waiting on (the last step approves it)
   async approveTweet(req, res) {
     try {
-      const userId = req.user.id;
-      const { tweetId } = req.params;
-      
-      // Get scheduled tweet and check team
-      const { rows: tweets } = await pool.query(`
-        SELECT st.*, tm.role
-        FROM scheduled_tweets st
-        JOIN team_members tm ON tm.team_id = st.team_id AND tm.user_id = $1
-        WHERE st.id = $2 AND st.approval_status = 'pending_approval'
-      `, [userId, tweetId]);
-      
-      if (tweets.length === 0) {
-        return res.status(404).json({ error: 'Tweet not found or already processed' });
-      }
-      
-      const tweet = tweets[0];
-      
-      // Only owner and admin can approve
-      if (tweet.role !== 'owner' && tweet.role !== 'admin') {
-        return res.status(403).json({ error: 'Only owners and admins can approve tweets' });
-      }
-      
-      // Approve the tweet
-      await pool.query(`
-        UPDATE scheduled_tweets 
-        SET approval_status = 'approved',
-            approved_by = $1,
-            retry_count = 0,
-            last_retry_at = NULL,
-            processing_started_at = NULL,
-            updated_at = CURRENT_TIMESTAMP
-        WHERE id = $2
-      `, [userId, tweetId]);
-      
+      const context = await loadReviewContext(req, res);
+      if (!context) return;
+      const { row, actor, steps } = context;
+
+      const result = await signOffStep(row, steps, actor, readText(req.body?.comment).slice(0, MAX_COMMENT_LENGTH));
+      if (result.error) return res.status(result.status).json({ error: result.error });
+      recordDecision(req, result.completed ? 'approval.approved' : 'approval.signed_off', row, steps, result);
+
       res.json({
         success: true,
-        message: 'Tweet approved and scheduled successfully',
-        tweetId
+        message: result.completed
+          ? 'Tweet approved and scheduled successfully'
+          : `Signed off. Now waiting on "${steps[result.row.approval_step].label}".`,
+        tweetId: row.id,
+        approval_status: result.row.approval_status,
+        approval: describeApprovalProgress(result.row, steps, actor)
       });
-      
     } catch (error) {
       console.error('❌ Approve tweet error:', error);
       res.status(500).json({ error: 'Failed to approve tweet', message: error.message });
     }
   },
 
-  // Reject a scheduled tweet
+  // Send a tweet back to its author with notes
+  async requestChanges(req, res) {
+    try {
+      const notes = readText(req.body?.notes);
+      if (!notes) return res.status(400).json({ error: 'Say what needs to change' });
+      if (notes.length > MAX_COMMENT_LENGTH) {
+        return res.status(400).json({ error: `Notes are limited to ${MAX_COMMENT_LENGTH} characters` });
+      }
+      const context = await loadReviewContext(req, res);
+      if (!context) return;
+      const { row, actor, steps } = context;
+
+      const result = await requestChanges(row, steps, actor, notes);
+      recordDecision(req, 'approval.changes_requested', row, steps, result);
+      sendDecision(res, result, 'Changes requested. The author can edit and resubmit it.', row.id);
+    } catch (error) {
+      console.error('❌ Request changes error:', error);
+      res.status(500).json({ error: 'Failed to request changes', message: error.message });
+    }
+  },
+
+  // Reject a scheduled tweet (content, comments and revisions are kept)
   async rejectTweet(req, res) {
     try {
-      const userId = req.user.id;
-      const { tweetId } = req.params;
-      const { reason } = req.body;
-      
-      // Get scheduled tweet and check team
-      const { rows: tweets } = await pool.query(`
-        SELECT st.*, tm.role
-        FROM scheduled_tweets st
-        JOIN team_members tm ON tm.team_id = st.team_id AND tm.user_id = $1
-        WHERE st.id = $2 AND st.approval_status = 'pending_approval'
-      `, [userId, tweetId]);
-      
-      if (tweets.length === 0) {
-        return res.status(404).json({ error: 'Tweet not found or already processed' });
+      const context = await loadReviewContext(req, res);
+      if (!context) return;
+      const { row, actor, steps } = context;
+
+      const result = await rejectPost(row, steps, actor, readText(req.body?.reason).slice(0, MAX_COMMENT_LENGTH));
+      recordDecision(req, 'approval.rejected', row, steps, result);
+      sendDecision(res, result, 'Tweet rejected and cancelled', row.id);
+    } catch (error) {
+      console.error('❌ Reject tweet error:', error);
+      res.status(500).json({ error: 'Failed to reject tweet', message: error.message });
+    }
+  },
+
+  // Author (or an owner/admin) edits a tweet sent back for changes and restarts the chain
+  async resubmitTweet(req, res) {
+    try {
+      const context = await loadReviewContext(req, res);
+      if (!context) return;
+      const { row, actor, steps } = context;
+      if (String(row.user_id) !== actor.userId && !MANAGER_ROLES.includes(actor.teamRole)) {
+        return res.status(403).json({ error: 'Only the author or a team owner/admin can resubmit this post' });
+      }
+
+      const body = req.body || {};
+      const updates = { note: readText(body.note).slice(0, MAX_COMMENT_LENGTH) };
+      if (body.content !== undefined) {
+        const content = readText(body.content);
+        if (!content || content.length > 280) {
+          return res.status(400).json({ error: 'Content must be 1-280 characters' });
+        }
+        updates.content = content;
       }
-      
-      const tweet = tweets[0];
-      
-      // Only owner and admin can reject
-      if (tweet.role !== 'owner' && tweet.role !== 'admin') {
-        return res.status(403).json({ error: 'Only owners and admins can reject tweets' });
+      if (body.thread_tweets !== undefined) {
+        if (!Array.isArray(body.thread_tweets) || body.thread_tweets.length > 24) {
+          return res.status(400).json({ error: 'thread_tweets must be a list of up to 24 tweets' });
+        }
+        const parts = body.thread_tweets.map((part) => readText(typeof part === 'string' ? part : part?.content));
+        if (parts.some((part) => !part || part.length > 280)) {
+          return res.status(400).json({ error: 'Each thread tweet must be 1-280 characters' });
+        }
+        updates.threadTweets = parts.map((part) => ({ content: part }));
       }
-      
-      // Reject the tweet (set to rejected status and cancelled)
-      await pool.query(`
-        UPDATE scheduled_tweets 
-        SET approval_status = 'rejected',
-            status = 'cancelled',
-            approved_by = $1,
-            rejection_reason = $2,
-            processing_started_at = NULL,
-            updated_at = CURRENT_TIMESTAMP
-        WHERE id = $3
-      `, [userId, reason || 'No reason provided', tweetId]);
-      
-      res.json({
-        success: true,
-        message: 'Tweet rejected and cancelled',
-        tweetId
+
+      const compliance = await checkPostCompliance(
+        { userId: row.user_id, teamId: row.team_id },
+        {
+          threadParts: getScheduledThreadParts({
+            content: updates.content ?? row.content,
+            thread_tweets: updates.threadTweets ?? row.thread_tweets,
+          }),
+        }
+      );
+      if (compliance.action === 'block') {
+        return res.status(422).json({
+          error: 'This post breaks your compliance rules.',
+          code: 'COMPLIANCE_BLOCKED',
+          violations: compliance.violations,
+        });
+      }
+
+      const result = await resubmitPost(row, steps, actor.userId, updates);
+      recordDecision(req, 'approval.resubmitted', row, steps, result, {
+        content_edited: updates.content !== undefined || updates.threadTweets !== undefined,
       });
-      
+      sendDecision(res, result, 'Resubmitted for approval', row.id);
     } catch (error) {
-      console.error('❌ Reject tweet error:', error);
-      res.status(500).json({ error: 'Failed to reject tweet', message: error.message });
+      console.error('❌ Resubmit tweet error:', error);
+      res.status(500).json({ error: 'Failed to resubmit tweet', message: error.message });
     }
   },
 
-  // Bulk approve multiple scheduled tweets
+  // Comment on a tweet's review thread (optionally replying to another comment)
+  async addComment(req, res) {
+    try {
+      const body = readText(req.body?.body);
+      if (!body) return res.status(400).json({ error: 'Write a comment' });
+      if (body.length > MAX_COMMENT_LENGTH) {
+        return res.status(400).json({ error: `Comments are limited to ${MAX_COMMENT_LENGTH} characters` });
+      }
+      const parentId = req.body?.parentId || null;
+      if (parentId && !UUID_PATTERN.test(String(parentId))) {
+        return res.status(400).json({ error: 'Invalid parent comment' });
+      }
+      const context = await loadReviewContext(req, res);
+      if (!context) return;
+
+      const comment = await addComment(context.row, context.actor.userId, { body, parentId });
+      if (!comment) return res.status(400).json({ error: 'Invalid parent comment' });
+      res.json({ success: true, comment });
+    } catch (error) {
+      console.error('❌ Add approval comment error:', error);
+      res.status(500).json({ error: 'Failed to add comment', message: error.message });
+    }
+  },
+
+  // Bulk sign-off: the current step of each tweet the user can sign off
   async bulkApprove(req, res) {
     try {
       const userId = req.user.id;
       const { tweetIds } = req.body;
-      
+
       if (!Array.isArray(tweetIds) || tweetIds.length === 0) {
         return res.status(400).json({ error: 'Invalid tweet IDs' });
       }
-      
-      // Get tweets to approve and check permissions
-      const { rows: tweetsToApprove } = await pool.query(`
-        SELECT st.id, st.scheduled_for
-        FROM scheduled_tweets st
-        JOIN team_members tm ON st.team_id = tm.team_id
-        WHERE st.id = ANY($1)
-        AND tm.user_id = $2
-        AND tm.role IN ('owner', 'admin')
-        AND st.approval_status = 'pending_approval'
-      `, [tweetIds, userId]);
-      
-      if (tweetsToApprove.length === 0) {
+
+      let approvedCount = 0;
+      let advancedCount = 0;
+      for (const tweetId of tweetIds.filter((id) => UUID_PATTERN.test(String(id))).slice(0, 100)) {
+        const row = await getReviewPost(tweetId);
+        const actor = row ? await getReviewActor(row, userId, req.agencyWorkspace) : null;
+        if (!actor) continue;
+        const { steps } = await getApprovalChain(row.team_id);
+        const result = await signOffStep(row, steps, actor);
+        if (result.error) continue;
+        recordDecision(req, result.completed ? 'approval.approved' : 'approval.signed_off', row, steps, result, { bulk: true });
+        if (result.completed) approvedCount += 1;
+        else advancedCount += 1;
+      }
+
+      if (approvedCount + advancedCount === 0) {
         return res.status(403).json({ error: 'No tweets found or insufficient permissions' });
       }
-      
-      // Approve all tweets
-      await pool.query(`
-        UPDATE scheduled_tweets st
-        SET approval_status = 'approved',
-            approved_by = $1,
-            retry_count = 0,
-            last_retry_at = NULL,
-            processing_started_at = NULL,
-            updated_at = CURRENT_TIMESTAMP
-        FROM team_members tm
-        WHERE st.id = ANY($2)
-        AND st.team_id = tm.team_id
-        AND tm.user_id = $1
-        AND tm.role IN ('owner', 'admin')
-        AND st.approval_status = 'pending_approval'
-      `, [userId, tweetIds]);
-      
+
       res.json({
         success: true,
-        message: `Approved and scheduled ${tweetsToApprove.length} tweets`,
-        approvedCount: tweetsToApprove.length
+        message: advancedCount > 0
+          ? `Approved ${approvedCount} tweets; ${advancedCount} moved to their next approval step`
+          : `Approved and scheduled ${approvedCount} tweets`,
+        approvedCount,
+        advancedCount
       });
-      
+
     } catch (error) {
       console.error('❌ Bulk approve error:', error);
       res.status(500).json({ error: 'Failed to bulk approve', message: error.message });
     }
+  },
+
+  // Team approval chain (x-team-id); every member can read it
+  async getChain(req, res) {
+    try {
+      const teamId = req.headers['x-team-id'] || null;
+      if (!teamId) return res.status(400).json({ error: 'Approval chains are set per team' });
+      const role = await getTeamRole(teamId, req.user.id);
+      if (!role) return res.status(403).json({ error: 'Not a member of this team' });
+
+      const [chain, { rows: members }] = await Promise.all([
+        getApprovalChain(teamId),
+        pool.query(
+          `SELECT tm.user_id AS id, tm.role, u.name, u.email
+           FROM team_members tm
+           JOIN users u ON u.id = tm.user_id
+           WHERE tm.team_id = $1 AND tm.status = 'active'
+           ORDER BY u.name NULLS LAST, u.email`,
+          [teamId]
+        ),
+      ]);
+      res.json({ success: true, chain, roles: TEAM_ROLES, members, can_manage: MANAGER_ROLES.includes(role) });
+    } catch (error) {
+      console.error('❌ Get approval chain error:', error);
+      res.status(500).json({ error: 'Failed to fetch approval chain', message: error.message });
+    }
+  },
+
+  // Replace the team's chain (owners and admins). Body: { steps } or { reset: true }
+  async updateChain(req, res) {
+    try {
+      const teamId = req.headers['x-team-id'] || null;
+      if (!teamId) return res.status(400).json({ error: 'Approval chains are set per team' });
+      const role = await getTeamRole(teamId, req.user.id);
+      if (!MANAGER_ROLES.includes(role)) {
+        return res.status(403).json({ error: 'Only team owners and admins can change the approval chain' });
+      }
+
+      if (req.body?.reset === true) {
+        const chain = await resetApprovalChain(teamId);
+        recordAuditEvent(req, { action: 'approval.chain_updated', teamId, targetType: 'team', targetId: teamId, metadata: { reset: true } });
+        return res.json({ success: true, chain });
+      }
+      const { steps, error } = normalizeApprovalSteps(req.body?.steps);
+      if (error) return res.status(400).json({ error });
+
+      // Named approvers must be on the team.
+      const userIds = [...new Set(steps.flatMap((step) => step.user_ids))];
+      if (userIds.length > 0) {
+        const { rows } = await pool.query(
+          `SELECT user_id::text AS user_id FROM team_members
+           WHERE team_id = $1 AND status = 'active' AND user_id::text = ANY($2::text[])`,
+          [teamId, userIds]
+        );
+        const members = new Set(rows.map((row) => row.user_id));
+        if (userIds.some((id) => !members.has(id))) {
+          return res.status(400).json({ error: 'Named approvers must be active members of this team' });
+        }
+      }
+
+      const chain = await saveApprovalChain(teamId, steps, req.user.id);
+      recordAuditEvent(req, {
+        action: 'approval.chain_updated',
+        teamId,
+        targetType: 'team',
+        targetId: teamId,
+        metadata: { steps: steps.map((step) => step.label) },
+      });
+      res.json({ success: true, chain });
+    } catch (error) {
+      console.error('❌ Update approval chain error:', error);
+      res.status(500).json({ error: 'Failed to update approval chain', message: error.message });
+    }
   }
 };
@@ -54,6 +54,24 @@
 
 // tweet-genie/server/controllers/proTeamController.js
 import db from '../config/database.js';
+import { recordAuditEvent } from '../services/auditService.js';
+import {
+  ACCOUNT_PERMISSIONS,
+  ACCOUNT_PERMISSIONS_JOIN_SQL,
+  ACCOUNT_PERMISSIONS_SELECT_SQL,
+  buildPermissionDeniedPayload,
+  hasAccountAccess,
+  loadTeamAccountPermissions,
+  normalizePermissionInput,
+  permissionsFromRow,
+  withAccountPermissions,
+} from '../utils/teamAccountPermissions.js';
+
+const MANAGER_ROLES = ['owner', 'admin'];
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const getUserTeamId = (user) =>
+  user.team_id || user.teamId || (user.teamMemberships && user.teamMemberships[0]?.teamId);
 
 // Fetch team social accounts for the authenticated user
 export async function getTeamSocialAccounts(req, res) {
@@ -85,23 +103,29 @@ export async function getTeamSocialAccounts(req, res) {
     // Query team_accounts table for Twitter accounts with OAuth credentials
     const result = await db.query(`
       SELECT 
-        id,
-        team_id,
-        twitter_username as account_username,
-        username as account_display_name,
-        twitter_user_id as account_id,
-        profile_image_url,
-        access_token,
-        oauth1_access_token,
-        oauth1_access_token_secret,
-        active,
-        created_at,
-        updated_at
-      FROM team_accounts 
-      WHERE team_id = $1 
-        AND active = true
-      ORDER BY created_at ASC
-    `, [teamId]);
+        ta.id,
+        ta.team_id,
+        ta.twitter_username as account_username,
+        ta.username as account_display_name,
+        ta.twitter_user_id as account_id,
+        ta.profile_image_url,
+        ta.access_token,
+        ta.oauth1_access_token,
+        ta.oauth1_access_token_secret,
+        ta.active,
+        ta.created_at,
+        ta.updated_at,
+        ${ACCOUNT_PERMISSIONS_SELECT_SQL}
+      FROM team_accounts ta
+      INNER JOIN team_members tm
+        ON tm.team_id = ta.team_id
+       AND tm.user_id = $2
+       AND tm.status = 'active'
+      ${ACCOUNT_PERMISSIONS_JOIN_SQL}
+      WHERE ta.team_id = $1 
+        AND ta.active = true
+      ORDER BY ta.created_at ASC
+    `, [teamId, user.id]);
 
     console.log('[proTeamController] Raw DB result from team_accounts:', result);
     
@@ -122,22 +146,27 @@ export async function getTeamSocialAccounts(req, res) {
       });
     }
 
-    const accounts = result.rows.map(account => ({
-      id: account.id,
-      platform: 'twitter',
-      account_username: account.account_username,
-      account_display_name: account.account_display_name || account.account_username,
-      account_id: account.account_id,
-      profile_image_url: account.profile_image_url,
-      nickname: account.account_display_name || account.account_username,
-      isTeamAccount: true,
-      team_id: account.team_id,
-      // Include credential info (without exposing the actual tokens)
-      hasOAuth1: !!(account.oauth1_access_token && account.oauth1_access_token_secret),
-      hasOAuth2: !!account.access_token,
-      created_at: account.created_at,
-      updated_at: account.updated_at
-    }));
+    // Accounts the member has no permissions on stay hidden.
+    const accounts = result.rows
+      .map(withAccountPermissions)
+      .filter((account) => hasAccountAccess(account.permissions))
+      .map(account => ({
+        id: account.id,
+        platform: 'twitter',
+        account_username: account.account_username,
+        account_display_name: account.account_display_name || account.account_username,
+        account_id: account.account_id,
+        profile_image_url: account.profile_image_url,
+        nickname: account.account_display_name || account.account_username,
+        isTeamAccount: true,
+        team_id: account.team_id,
+        // Include credential info (without exposing the actual tokens)
+        hasOAuth1: !!(account.oauth1_access_token && account.oauth1_access_token_secret),
+        hasOAuth2: !!account.access_token,
+        permissions: account.permissions,
+        created_at: account.created_at,
+        updated_at: account.updated_at
+      }));
 
     console.log('[proTeamController] Returning accounts:', accounts);
     return res.json({ accounts });
@@ -207,11 +236,10 @@ export async function disconnectTeamTwitterAccount(req, res) {
       console.log('[disconnectTeamTwitterAccount] Not a member of this team:', teamId, user.id);
       return res.status(403).json({ error: 'Not a member of this team' });
     }
-    const role = memberRows[0].role;
-    console.log('[disconnectTeamTwitterAccount] user role:', role);
-    if (role !== 'owner' && role !== 'admin') {
-      console.log('[disconnectTeamTwitterAccount] User not authorized to disconnect:', role);
-      return res.status(403).json({ error: 'Only team owners and admins can disconnect social accounts' });
+    const access = await loadTeamAccountPermissions(db, { userId: user.id, accountId, teamId });
+    if (access && !access.permissions.disconnect) {
+      console.log('[disconnectTeamTwitterAccount] User not allowed to disconnect:', access.role);
+      return res.status(403).json(buildPermissionDeniedPayload('disconnect'));
     }
 
     // Check if account exists before delete
@@ -243,9 +271,149 @@ export async function disconnectTeamTwitterAccount(req, res) {
       console.log('[disconnectTeamTwitterAccount] Disconnect failed, account not found:', accountId, teamId);
       return res.status(404).json({ error: 'Account not found or already disconnected' });
     }
+    recordAuditEvent(req, {
+      action: 'account.disconnected',
+      teamId,
+      accountId: String(accountId),
+      targetType: 'team_account',
+      targetId: accountId,
+      metadata: { username: accountRows[0].twitter_username || null },
+    });
     return res.json({ success: true, message: 'Twitter account disconnected successfully' });
   } catch (err) {
     console.error('[proTeamController] Error disconnecting team Twitter account:', err);
     res.status(500).json({ error: 'Failed to disconnect team Twitter account.' });
   }
 }
+
+// Resolve the caller's team role and the team account being managed, or send the error response.
+const loadManagedAccount = async (req, res) => {
+  const teamId = getUserTeamId(req.user);
+  if (!teamId) {
+    res.status(400).json({ error: 'No team ID found for user.' });
+    return null;
+  }
+  const { rows: memberRows } = await db.query(
+    'SELECT role FROM team_members WHERE team_id = $1 AND user_id = $2 AND status = $3',
+    [teamId, req.user.id, 'active']
+  );
+  const role = memberRows[0]?.role || null;
+  if (!MANAGER_ROLES.includes(role)) {
+    res.status(403).json({ error: 'Only team owners and admins can manage account permissions' });
+    return null;
+  }
+  const { rows: accountRows } = await db.query(
+    'SELECT id, twitter_username FROM team_accounts WHERE id::text = $1::text AND team_id = $2 AND active = true',
+    [String(req.params.accountId), teamId]
+  );
+  if (accountRows.length === 0) {
+    res.status(404).json({ error: 'Account not found or already disconnected' });
+    return null;
+  }
+  return { teamId, role, account: accountRows[0] };
+};
+
+const listAccountMembers = async (teamId, accountId) => {
+  const { rows } = await db.query(
+    `SELECT tm.user_id, u.name, u.email, ${ACCOUNT_PERMISSIONS_SELECT_SQL}
+     FROM team_members tm
+     JOIN team_accounts ta ON ta.team_id = tm.team_id AND ta.id = $2
+     LEFT JOIN users u ON u.id = tm.user_id
+     ${ACCOUNT_PERMISSIONS_JOIN_SQL}
+     WHERE tm.team_id = $1 AND tm.status = 'active'
+     ORDER BY u.name NULLS LAST, u.email`,
+    [teamId, accountId]
+  );
+  return rows.map((row) => ({
+    user_id: row.user_id,
+    name: row.name,
+    email: row.email,
+    role: row.member_role,
+    custom: row.has_custom_permissions === true && row.member_role !== 'owner',
+    permissions: permissionsFromRow(row),
+  }));
+};
+
+// List what each team member may do with one team account (owners and admins)
+export async function getAccountPermissions(req, res) {
+  try {
+    const context = await loadManagedAccount(req, res);
+    if (!context) return;
+    const members = await listAccountMembers(context.teamId, context.account.id);
+    return res.json({ success: true, permissions: ACCOUNT_PERMISSIONS, members });
+  } catch (err) {
+    console.error('[proTeamController] Error fetching account permissions:', err);
+    res.status(500).json({ error: 'Failed to fetch account permissions' });
+  }
+}
+
+// Set (or with { reset: true } clear) one member's permissions on a team account
+export async function updateAccountPermissions(req, res) {
+  try {
+    const { memberId } = req.params;
+    if (!UUID_PATTERN.test(String(memberId || ''))) {
+      return res.status(400).json({ error: 'Invalid member' });
+    }
+    const context = await loadManagedAccount(req, res);
+    if (!context) return;
+    const { teamId, role, account } = context;
+
+    const { rows: targetRows } = await db.query(
+      'SELECT role FROM team_members WHERE team_id = $1 AND user_id = $2 AND status = $3',
+      [teamId, memberId, 'active']
+    );
+    const targetRole = targetRows[0]?.role;
+    if (!targetRole) return res.status(404).json({ error: 'Member not found' });
+    if (targetRole === 'owner') {
+      return res.status(400).json({ error: 'Owners always have full access to every account' });
+    }
+    if (targetRole === 'admin' && role !== 'owner') {
+      return res.status(403).json({ error: "Only team owners can change an admin's permissions" });
+    }
+
+    let metadata;
+    if (req.body?.reset === true) {
+      await db.query(
+        'DELETE FROM team_account_permissions WHERE account_id = $1 AND user_id = $2',
+        [account.id, memberId]
+      );
+      metadata = { member_id: memberId, reset: true };
+    } else {
+      const { columns, error } = normalizePermissionInput(req.body?.permissions);
+      if (error) return res.status(400).json({ error });
+      await db.query(
+        `INSERT INTO team_account_permissions
+           (account_id, user_id, team_id, can_post, can_schedule, can_autopilot, can_view_analytics, can_disconnect, updated_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         ON CONFLICT (account_id, user_id) DO UPDATE SET
+           can_post = EXCLUDED.can_post,
+           can_schedule = EXCLUDED.can_schedule,
+           can_autopilot = EXCLUDED.can_autopilot,
+           can_view_analytics = EXCLUDED.can_view_analytics,
+           can_disconnect = EXCLUDED.can_disconnect,
+           updated_by = EXCLUDED.updated_by,
+           updated_at = CURRENT_TIMESTAMP`,
+        [
+          account.id, memberId, teamId,
+          columns.can_post, columns.can_schedule, columns.can_autopilot, columns.can_view_analytics, columns.can_disconnect,
+          req.user.id,
+        ]
+      );
+      metadata = { member_id: memberId, granted: ACCOUNT_PERMISSIONS.filter((permission) => req.body.permissions[permission] === true) };
+    }
+
+    recordAuditEvent(req, {
+      action: 'account.permissions_updated',
+      teamId,
+      accountId: String(account.id),
+      targetType: 'team_account',
+      targetId: account.id,
+      metadata: { username: account.twitter_username || null, ...metadata },
+    });
+    const members = await listAccountMembers(teamId, account.id);
+    return res.json({ success: true, member: members.find((member) => String(member.user_id) === memberId) || null });
+  } catch (err) {
+    console.error('[proTeamController] Error updating account permissions:', err);
+    res.status(500).json({ error: 'Failed to update account permissions' });
+  }
+}
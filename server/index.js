@@ -35,6 +35,16 @@ import strategyBuilderRoutes from './routes/strategyBuilder.js';
 import strategyAnalyticsRoutes from './routes/strategy-analytics.js';
 import autopilotRoutes from './routes/autopilot.js';
 import contentReviewRoutes from './routes/contentReview.js';
+import evergreenRoutes from './routes/evergreen.js';
+import abTestRoutes from './routes/abTests.js';
+import calendarFeedRoutes from './routes/calendarFeeds.js';
+import reviewLinkRoutes from './routes/reviewLinks.js';
+import auditRoutes from './routes/audit.js';
+import webhookRoutes from './routes/webhooks.js';
+import mediaLibraryRoutes from './routes/mediaLibrary.js';
+import brandVoiceRoutes from './routes/brandVoice.js';
+import complianceRoutes from './routes/compliance.js';
+import inboxRoutes from './routes/inbox.js';
 
 // Middleware imports
 import {
@@ -46,6 +56,7 @@ import {
 import { applyAgencyWorkspaceContext } from './middleware/agencyWorkspace.js';
 import { captureRequestContext } from './utils/requestContext.js';
 import { requireProPlan } from './middleware/planAccess.js';
+import { requireAccountPermission } from './middleware/accountPermissions.js';
 // import { errorHandler } from './middleware/errorHandler.js';
 
 // Service imports
@@ -57,6 +68,7 @@ import {
   startDeletedTweetRetentionWorker,
 } from './workers/deletedTweetRetentionWorker.js';
 import { handleWeeklyContentCron } from './workers/weeklyContentWorker.js';
+import { getInboxSyncWorkerStatus, startInboxSyncWorker, triggerInboxSyncTick } from './workers/inboxSyncWorker.js';
 import pool from './config/database.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
@@ -99,6 +111,8 @@ const START_DB_SCHEDULER_WORKER =
   BACKGROUND_WORKERS_ENABLED && parseBooleanEnv(process.env.START_DB_SCHEDULER_WORKER, true);
 const START_DELETED_TWEET_RETENTION_WORKER =
   BACKGROUND_WORKERS_ENABLED && parseBooleanEnv(process.env.START_DELETED_TWEET_RETENTION_WORKER, true);
+const START_INBOX_SYNC_WORKER =
+  BACKGROUND_WORKERS_ENABLED && parseBooleanEnv(process.env.START_INBOX_SYNC_WORKER, true);
 const ENABLE_SCHEDULER_CRON = parseBooleanEnv(process.env.ENABLE_SCHEDULER_CRON, true);
 const ENABLE_AUTOPILOT_CRON =
   AUTOPILOT_FEATURE_ENABLED && parseBooleanEnv(process.env.ENABLE_AUTOPILOT_CRON, true);
@@ -118,6 +132,7 @@ const tweetGenieRuntimeState = {
     autopilot: false,
     dbScheduler: false,
     deletedRetention: false,
+    inboxSync: false,
     // Weekly content: cron-only (POST /api/cron/weekly-content), no interval worker.
   },
 };
@@ -236,6 +251,20 @@ const maybeStartBackgroundWorkers = async () => {
     }
   }
 
+  if (START_INBOX_SYNC_WORKER && !tweetGenieRuntimeState.workers.inboxSync) {
+    try {
+      startInboxSyncWorker();
+      tweetGenieRuntimeState.workers.inboxSync = true;
+      const inboxStatus = getInboxSyncWorkerStatus();
+      logger.info('Inbox sync worker started', {
+        enabled: !!inboxStatus.enabled,
+        intervalMs: inboxStatus.intervalMs
+      });
+    } catch (error) {
+      logger.error('Inbox sync worker initialization error', { error: error?.message || error });
+    }
+  }
+
   // Weekly content generation is triggered via POST /api/cron/weekly-content only (no setInterval worker).
 };
 
@@ -450,7 +479,21 @@ app.use(
 app.use('/api/twitter/posting-preferences', authenticateToken, postingPrefsRoutes);
 app.use('/api/pro-team', authenticateToken, requireProPlan('Pro Team Accounts'), proTeamRoutes); // <-- Register proTeam routes here
 app.use('/api/tweets', authenticateToken, tweetsRoutes);
-app.use('/api/scheduling', authenticateToken, schedulingRoutes);
+app.use('/api/scheduling', authenticateToken, requireAccountPermission('schedule', { writesOnly: true }), schedulingRoutes);
+app.use('/api/evergreen', authenticateToken, requireAccountPermission('schedule', { writesOnly: true }), evergreenRoutes);
+app.use('/api/ab-tests', authenticateToken, requireAccountPermission('schedule', { writesOnly: true }), abTestRoutes);
+// Calendar feeds: the .ics URL is authenticated by its token so calendar apps can fetch it
+app.use(
+  '/api/calendar-feeds',
+  (req, res, next) => (req.path.endsWith('.ics') ? next() : authenticateToken(req, res, next)),
+  calendarFeedRoutes
+);
+app.use('/api/webhooks', authenticateToken, webhookRoutes);
+app.use('/api/media-library', authenticateToken, mediaLibraryRoutes);
+app.use('/api/brand-voice', authenticateToken, requireAccountPermission('post', { writesOnly: true }), brandVoiceRoutes);
+app.use('/api/compliance', authenticateToken, complianceRoutes);
+app.use('/api/inbox', authenticateToken, requireAccountPermission('post', { writesOnly: true }), inboxRoutes);
+app.use('/api/audit-events', authenticateToken, auditRoutes);
 app.use('/api/linkedin', authenticateToken, linkedinStatusRoutes);
 app.use('/api/threads', authenticateToken, threadsStatusRoutes);
 app.use('/api/cross-post', authenticateToken, crossPostTargetsRoutes);
@@ -462,18 +505,31 @@ app.use('/api/image-generation', authenticateToken, imageGenerationRoutes);
 app.use('/imageGeneration', authenticateToken, imageGenerationRoutes);
 app.use('/api/team', authenticateToken, teamRoutes);
 app.use('/api/approval', authenticateToken, approvalRoutes);
+// Client review links: the portal is authenticated by its signed token so clients need no account
+app.use(
+  '/api/review-links',
+  (req, res, next) => (req.path.startsWith('/portal/') ? next() : authenticateToken(req, res, next)),
+  reviewLinkRoutes
+);
 // Strategy Builder should be accessible even when Twitter team-account context is not resolved yet.
 app.use('/api/strategy', authenticateToken, strategyBuilderRoutes);
 app.use(
   '/api/strategy-analytics',
   authenticateToken,
   requireProPlan('Strategy Analytics'),
+  requireAccountPermission('analytics'),
   validateTwitterConnection,
   strategyAnalyticsRoutes
 );
 // Autopilot config routes don't need Twitter connection validation — only the
 // background worker (which reads tokens from DB) needs valid Twitter credentials.
-app.use('/api/autopilot', authenticateToken, requireProPlan('Autopilot'), autopilotRoutes);
+app.use(
+  '/api/autopilot',
+  authenticateToken,
+  requireProPlan('Autopilot'),
+  requireAccountPermission('autopilot', { writesOnly: true }),
+  autopilotRoutes
+);
 app.use('/api/content-review', contentReviewRoutes);
 app.use('/api/cleanup', cleanupRoutes); // Cleanup routes (unprotected for internal service calls)
 
@@ -561,7 +617,24 @@ app.post('/api/cron/weekly-content', async (req, res) => {
     return res.status(500).json({ ok: false, error: error?.message || 'unknown_error' });
   }
 });
-app.use('/api/analytics', authenticateToken, analyticsRoutes);
+// Vercel/QStash Cron trigger for pulling mentions into the inbox.
+// Should be called every 10-15 minutes. Auth via CRON_SECRET.
+app.post('/api/cron/inbox', async (req, res) => {
+  const cronSecret = (process.env.CRON_SECRET || '').trim();
+  const authHeader = req.headers['authorization'] || '';
+  const providedToken = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : (authHeader || req.query.secret || '');
+  if (!cronSecret || providedToken !== cronSecret) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  try {
+    const result = await triggerInboxSyncTick();
+    return res.json({ ok: true, result });
+  } catch (error) {
+    console.error('[InboxCron] Tick failed:', error?.message || error);
+    return res.status(500).json({ ok: false, error: error?.message || 'unknown_error' });
+  }
+});
+app.use('/api/analytics', authenticateToken, requireAccountPermission('analytics'), analyticsRoutes);
 // Global error handler to always set CORS headers, even for body parser errors (e.g., 413)
 app.use((err, req, res, next) => {
   const origin = req.headers.origin;
@@ -637,6 +710,7 @@ app.listen(PORT, async () => {
   if (!START_AUTOPILOT_WORKER) logger.info('Autopilot worker disabled.');
   if (!START_DB_SCHEDULER_WORKER) logger.info('DB scheduled tweet worker disabled.');
   if (!START_DELETED_TWEET_RETENTION_WORKER) logger.info('Deleted tweet retention worker disabled.');
+  if (!START_INBOX_SYNC_WORKER) logger.info('Inbox sync worker disabled.');
   if (!ENABLE_SCHEDULER_CRON) logger.info('Scheduler cron endpoint disabled.');
   if (!ENABLE_AUTOPILOT_CRON) logger.info('Autopilot cron endpoint disabled.');
   if (!ENABLE_WEEKLY_CONTENT_CRON) logger.info('Weekly content cron endpoint disabled.');
@@ -0,0 +1,47 @@
+import pool from '../config/database.js';
+import {
+  READ_METHODS,
+  buildPermissionDeniedPayload,
+  hasAccountPermission,
+  loadTeamAccountPermissions,
+} from '../utils/teamAccountPermissions.js';
+
+/**
+ * Require a per-account permission for team requests (x-team-id plus
+ * x-selected-account-id). A team request must name an account the member can
+ * use; personal requests (no x-team-id) pass through to the route's own
+ * scope checks. With `writesOnly`, reads are allowed to anyone with access to
+ * the account. `permission` may be a list, any of which will do.
+ */
+export const requireAccountPermission =
+  (permission, { writesOnly = false } = {}) =>
+  async (req, res, next) => {
+    const teamId = String(req.headers['x-team-id'] || '').trim();
+    const accountId = String(req.headers['x-selected-account-id'] || '').trim();
+    if (!teamId) return next();
+    if (!accountId) {
+      return res.status(400).json({
+        error: 'Team account selection required. Please select a team Twitter account.',
+        code: 'TEAM_ACCOUNT_SELECTION_REQUIRED',
+      });
+    }
+
+    try {
+      const access = await loadTeamAccountPermissions(pool, { userId: req.user?.id, accountId, teamId });
+      if (!access) {
+        return res.status(403).json({
+          error: 'Selected team account is not available for this team member. Please reselect your team account.',
+          code: 'TEAM_ACCOUNT_NOT_USABLE',
+        });
+      }
+      const required = writesOnly && READ_METHODS.includes(req.method) ? null : permission;
+      if (!hasAccountPermission(access.permissions, required)) {
+        return res.status(403).json(buildPermissionDeniedPayload(required || permission));
+      }
+      req.teamAccountAccess = access;
+      return next();
+    } catch (error) {
+      console.error('[AccountPermissions] Check failed:', error);
+      return res.status(500).json({ error: 'Failed to check account permissions' });
+    }
+  };
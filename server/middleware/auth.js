@@ -7,6 +7,14 @@ import {
   ensureTwitterAccountReady,
   TwitterReconnectRequiredError,
 } from '../utils/twitterRuntimeAuth.js';
+import {
+  ACCOUNT_PERMISSIONS_JOIN_SQL,
+  ACCOUNT_PERMISSIONS_SELECT_SQL,
+  buildPermissionDeniedPayload,
+  hasAccountAccess,
+  hasAccountPermission,
+  withAccountPermissions,
+} from '../utils/teamAccountPermissions.js';
 
 const AUTH_DEBUG = process.env.AUTH_DEBUG === 'true';
 const AUTH_PLATFORM_TIMEOUT_MS = Number(process.env.AUTH_PLATFORM_TIMEOUT_MS || 4000);
@@ -535,7 +543,12 @@ export const authenticateToken = async (req, res, next) => {
   }
 };
 
-export const validateTwitterConnection = async (req, res, next) => {
+/**
+ * Resolve the request's X account into req.twitterAccount. Team accounts must
+ * be usable by the member and grant `permission` (one name, or a list of
+ * which any will do; null for plain access) — see teamAccountPermissions.js.
+ */
+export const requireTwitterConnection = (permission = null) => async (req, res, next) => {
   try {
     let twitterAuthData;
     let isTeamAccount = false;
@@ -585,27 +598,31 @@ export const validateTwitterConnection = async (req, res, next) => {
     if (selectedAccountId && requestTeamId) {
       try {
         const { rows } = await pool.query(
-          `SELECT ta.*
+          `SELECT ta.*, ${ACCOUNT_PERMISSIONS_SELECT_SQL}
            FROM team_accounts ta
            INNER JOIN team_members tm
              ON tm.team_id = ta.team_id
             AND tm.user_id = $3
             AND tm.status = 'active'
+           ${ACCOUNT_PERMISSIONS_JOIN_SQL}
            WHERE ta.id::text = $1::text
              AND ta.team_id::text = $2::text
              AND ta.active = true
            LIMIT 1`,
           [selectedAccountId, requestTeamId, userId]
         );
-        if (rows.length > 0) {
-          twitterAuthData = rows[0];
-          isTeamAccount = true;
-        } else {
+        const account = rows.length > 0 ? withAccountPermissions(rows[0]) : null;
+        if (!account || !hasAccountAccess(account.permissions)) {
           return res.status(403).json({
             error: 'Selected team account is not available for this team member. Please reselect your team account.',
             code: 'TEAM_ACCOUNT_NOT_USABLE',
           });
         }
+        if (!hasAccountPermission(account.permissions, permission)) {
+          return res.status(403).json(buildPermissionDeniedPayload(permission));
+        }
+        twitterAuthData = account;
+        isTeamAccount = true;
       } catch (teamQueryErr) {
         // Team-scoped requests must not fall back to personal credentials.
         authLog(
@@ -689,7 +706,9 @@ export const validateTwitterConnection = async (req, res, next) => {
       refresh_token: twitterAuthData.refresh_token,
       oauth1_access_token: twitterAuthData.oauth1_access_token,
       oauth1_access_token_secret: twitterAuthData.oauth1_access_token_secret,
-      isTeamAccount: isTeamAccount
+      isTeamAccount: isTeamAccount,
+      // The team membership above was checked, unlike the raw x-team-id header.
+      teamId: isTeamAccount ? requestTeamId : null,
     };
     authLog('[validateTwitterConnection] twitterAccount mapped', {
       accountId: req.twitterAccount.id,
@@ -707,3 +726,7 @@ export const validateTwitterConnection = async (req, res, next) => {
     res.status(500).json({ error: 'Failed to validate Twitter connection' });
   }
 };
+
+// Access to the selected account is enough; routes that post, schedule or sync
+// use requireTwitterConnection(permission).
+export const validateTwitterConnection = requireTwitterConnection();
@@ -1,52 +1,40 @@
 /**
- * Lightweight in-memory per-user rate limiter.
+ * Per-user rate-limit middleware on top of services/rateLimitService.js.
  *
  * Usage:
  *   import { schedulingRateLimit } from '../middleware/rateLimit.js';
  *   router.put('/:id', schedulingRateLimit, handler);
  *
- * No external dependencies — uses a simple sliding-window counter map
- * that auto-cleans expired entries every 60 s.
+ * Counters live in the shared rate-limit store (Redis in production, memory
+ * in tests), so limits hold across deploys and processes. `max` may be a
+ * number or a per-plan table ({ free, pro, ... }) resolved from the request;
+ * `message` may be a function of the resolved limit.
  */
+import { consume, setRateLimitHeaders } from '../services/rateLimitService.js';
+import { resolveRequestPlanType } from './planAccess.js';
 
-const buckets = new Map(); // key → { count, resetAt }
-
-function createRateLimiter({ windowMs = 10_000, max = 8, message } = {}) {
+function createRateLimiter({ windowMs = 10_000, max = 8, message, name } = {}) {
   const msg =
     message || `Too many requests — please wait a few seconds before trying again.`;
 
-  // Periodic cleanup so the Map doesn't grow forever
-  setInterval(() => {
-    const now = Date.now();
-    for (const [key, bucket] of buckets) {
-      if (bucket.resetAt <= now) buckets.delete(key);
-    }
-  }, 60_000).unref();
-
-  return (req, res, next) => {
+  return async (req, res, next) => {
     // Identify user — fall back to IP if not authenticated
     const userId = req.user?.id || req.ip;
-    const key = `${req.baseUrl}:${userId}`;
-    const now = Date.now();
+    const key = `${name || req.baseUrl}:${userId}`;
 
-    let bucket = buckets.get(key);
-    if (!bucket || bucket.resetAt <= now) {
-      bucket = { count: 0, resetAt: now + windowMs };
-      buckets.set(key, bucket);
+    let result;
+    try {
+      const planType = typeof max === 'number' ? null : await resolveRequestPlanType(req);
+      result = await consume(key, { windowMs, max, planType });
+    } catch (error) {
+      // Never turn a limiter outage into a failed request
+      console.error('[RateLimit] Failed to count request:', error.message);
+      return next();
     }
 
-    bucket.count += 1;
-
-    // Standard rate-limit headers
-    const remaining = Math.max(0, max - bucket.count);
-    res.set('X-RateLimit-Limit', String(max));
-    res.set('X-RateLimit-Remaining', String(remaining));
-    res.set('X-RateLimit-Reset', String(Math.ceil(bucket.resetAt / 1000)));
-
-    if (bucket.count > max) {
-      const retryAfter = Math.ceil((bucket.resetAt - now) / 1000);
-      res.set('Retry-After', String(retryAfter));
-      return res.status(429).json({ error: msg });
+    setRateLimitHeaders(res, result);
+    if (!result.allowed) {
+      return res.status(429).json({ error: typeof msg === 'function' ? msg(result.limit) : msg });
     }
 
     next();
@@ -55,18 +43,32 @@ function createRateLimiter({ windowMs = 10_000, max = 8, message } = {}) {
 
 // ─── Pre-built limiters ──────────────────────────────────────────────────
 
-/** Scheduling mutations: max 8 requests per 10 s per user */
+/** Scheduling mutations: 8 (free) to 40 (agency) requests per 10 s per user */
 export const schedulingRateLimit = createRateLimiter({
   windowMs: 10_000,
-  max: 8,
-  message: 'Slow down! You can reschedule up to 8 times every 10 seconds.',
+  max: { free: 8, pro: 15, enterprise: 25, agency: 40 },
+  message: (limit) => `Slow down! You can reschedule up to ${limit} times every 10 seconds.`,
 });
 
-/** Content-review mutations: max 10 requests per 10 s per user */
+/** Content-review mutations: 10 (free) to 40 (agency) requests per 10 s per user */
 export const contentReviewRateLimit = createRateLimiter({
   windowMs: 10_000,
-  max: 10,
+  max: { free: 10, pro: 20, enterprise: 30, agency: 40 },
   message: 'Slow down! Too many content-review actions. Please wait a moment.',
 });
 
+/** Public calendar feed fetches: max 30 requests per minute per IP */
+export const calendarFeedRateLimit = createRateLimiter({
+  windowMs: 60_000,
+  max: 30,
+  message: 'Too many calendar feed requests. Please try again in a minute.',
+});
+
+/** Public client review portal: max 30 requests per minute per IP */
+export const reviewPortalRateLimit = createRateLimiter({
+  windowMs: 60_000,
+  max: 30,
+  message: 'Too many review requests. Please try again in a minute.',
+});
+
 export { createRateLimiter };
@@ -19,6 +19,20 @@ export const validateRequest = (schema) => {
   };
 };
 
+// Alt text for one image; 1000 characters is the X limit
+const altTextSchema = Joi.string().trim().max(1000).allow('');
+
+// Accepted per-platform rewrites from the cross-post preview (see utils/crossPostOptimizer.js)
+const crossPostOverridesSchema = Joi.object({
+  linkedin: Joi.object({
+    content: Joi.string().trim().max(6000).required(),
+  }).optional(),
+  threads: Joi.object({
+    content: Joi.string().trim().max(5000).allow('').optional(),
+    threadParts: Joi.array().items(Joi.string().trim().max(1000)).max(10).optional(),
+  }).optional(),
+}).allow(null);
+
 // Tweet content validation
 export const tweetSchema = Joi.object({
   content: Joi.string().min(1).max(280).when('thread', {
@@ -56,6 +70,8 @@ export const tweetSchema = Joi.object({
   }).optional(),
   optimizeCrossPost: Joi.boolean().optional(),
   crossPostMedia: Joi.array().items(Joi.string()).max(4).optional(),
+  crossPostMediaAltText: Joi.array().items(altTextSchema).max(4).optional(),
+  crossPostOverrides: crossPostOverridesSchema.optional(),
   media: Joi.array().items(Joi.string()).max(4).optional(),
   scheduled_for: Joi.date().greater('now').optional(),
   thread: Joi.array().items(Joi.string().min(1).max(280)).max(25).optional(),
@@ -107,13 +123,29 @@ export const scheduleSchema = Joi.object({
   }).optional(),
   optimizeCrossPost: Joi.boolean().optional(),
   crossPostMedia: Joi.array().items(Joi.string()).max(4).optional(),
+  crossPostMediaAltText: Joi.array().items(altTextSchema).max(4).optional(),
+  crossPostOverrides: crossPostOverridesSchema.optional(),
   media: Joi.array().items(Joi.string()).max(4).optional().allow(null),
+  // Alt text keyed by X media id, applied through the media metadata API on publish
+  media_alt_text: Joi.object().pattern(Joi.string().pattern(/^\d+$/), altTextSchema).max(104).optional(),
   thread: Joi.array().items(Joi.string().min(1).max(280)).max(25).optional(),
   threadMedia: Joi.array().items(
     Joi.array().items(Joi.string()).max(4)
   ).max(25).optional(),
   scheduled_for: Joi.string().trim().max(64).required(),
-  timezone: Joi.string().optional()
+  timezone: Joi.string().optional(),
+  // RRULE subset, e.g. "FREQ=WEEKLY;BYDAY=MO;COUNT=10" (see utils/recurrenceRule.js)
+  recurrence: Joi.string().trim().max(255).optional().allow(null, ''),
+  // Reply to or quote another post (see utils/tweetTarget.js)
+  targetTweet: Joi.object({
+    type: Joi.string().valid('reply', 'quote').required(),
+    url: Joi.string().trim().max(512).required(),
+  }).optional().allow(null),
+  // Reply to this post N hours after it goes out
+  followUp: Joi.object({
+    content: Joi.string().trim().min(1).max(280).required(),
+    delayHours: Joi.number().integer().min(1).max(168).required(),
+  }).optional().allow(null)
 }).custom((value, helpers) => {
   // Validate at least one content type exists
   const hasContent = typeof value.content === 'string' && value.content.trim().length > 0;
@@ -125,12 +157,22 @@ export const scheduleSchema = Joi.object({
   return value;
 }, 'Require content, media, or thread');
 
-// Reschedule validation — only scheduled_for and timezone are needed when updating the time
+// Reschedule validation — scheduled_for and timezone, plus optional new text for this one post
 export const rescheduleSchema = Joi.object({
   scheduled_for: Joi.string().trim().max(64).required(),
-  timezone: Joi.string().optional()
+  timezone: Joi.string().optional(),
+  content: Joi.string().trim().min(1).max(280).optional()
 });
 
+// Recurring series edit — applies to every occurrence not edited on its own
+export const seriesUpdateSchema = Joi.object({
+  rule: Joi.string().trim().max(255).optional(),
+  time: Joi.string().trim().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).optional()
+    .messages({ 'string.pattern.base': 'Time must be HH:mm' }),
+  content: Joi.string().trim().min(1).max(280).optional(),
+  thread_tweets: Joi.array().items(Joi.string().trim().min(1).max(280)).max(24).optional()
+}).min(1);
+
 // Analytics validation (simplified)
 export const analyticsQuerySchema = Joi.object({
   start_date: Joi.date().required(),
@@ -0,0 +1,49 @@
+-- Evergreen Content Recycling
+-- Created: 2026-03-07
+
+-- Evergreen flags on posted tweets
+ALTER TABLE tweets
+  ADD COLUMN IF NOT EXISTS is_evergreen BOOLEAN DEFAULT false,
+  ADD COLUMN IF NOT EXISTS evergreen_marked_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS last_recycled_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS recycle_count INTEGER DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_tweets_evergreen
+  ON tweets (user_id, last_recycled_at)
+  WHERE is_evergreen = true;
+
+-- Per-account recycling cadence.
+-- Team accounts are keyed by account_id (team_accounts.id) so every member shares one cadence;
+-- personal accounts are keyed by user_id + author_id (twitter_user_id).
+CREATE TABLE IF NOT EXISTS evergreen_settings (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    team_id UUID,
+    account_id TEXT,
+    author_id TEXT,
+
+    is_enabled BOOLEAN DEFAULT false,
+    cadence_days INTEGER DEFAULT 7,
+    min_gap_days INTEGER DEFAULT 30,
+    post_hour INTEGER DEFAULT 10,
+    timezone TEXT DEFAULT 'UTC',
+
+    last_queued_at TIMESTAMP,
+    next_run_at TIMESTAMP,
+    last_error TEXT,
+
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_evergreen_settings_scope
+  ON evergreen_settings (COALESCE(account_id, 'user:' || user_id::text), COALESCE(author_id, ''));
+
+CREATE INDEX IF NOT EXISTS idx_evergreen_settings_due
+  ON evergreen_settings (next_run_at)
+  WHERE is_enabled = true;
+
+-- Index for evergreen source lookups on the scheduler table
+CREATE INDEX IF NOT EXISTS idx_scheduled_tweets_evergreen
+  ON scheduled_tweets (source, status)
+  WHERE source = 'evergreen';
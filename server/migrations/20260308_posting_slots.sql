@@ -0,0 +1,26 @@
+-- Per-account posting slot schedule ("queue times")
+-- Created: 2026-03-08
+
+-- One weekly slot grid per connected account. slots is an array of
+-- { "day": 0-6 (Sunday = 0), "time": "HH:mm" } in the schedule timezone.
+-- Team accounts are keyed by account_id (team_accounts.id) so every member shares one grid;
+-- personal accounts are keyed by user_id + author_id (twitter_user_id).
+CREATE TABLE IF NOT EXISTS posting_slot_schedules (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    team_id UUID,
+    account_id TEXT,
+    author_id TEXT,
+
+    timezone TEXT DEFAULT 'UTC',
+    slots JSONB NOT NULL DEFAULT '[]',
+
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_posting_slot_schedules_scope
+  ON posting_slot_schedules (COALESCE(account_id, 'user:' || user_id::text), COALESCE(author_id, ''));
+
+CREATE INDEX IF NOT EXISTS idx_posting_slot_schedules_user
+  ON posting_slot_schedules (user_id);
@@ -0,0 +1,69 @@
+-- A/B Hook Testing
+-- Created: 2026-03-09
+
+-- ─── Tests ────────────────────────────────────────────────────────────────
+-- One row per A/B test. Variants live in content_variations (test_id).
+CREATE TABLE IF NOT EXISTS ab_tests (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL,
+  team_id UUID,
+  account_id TEXT,
+  author_id TEXT,
+  strategy_id UUID REFERENCES user_strategies(id) ON DELETE SET NULL,
+
+  source TEXT NOT NULL DEFAULT 'composer' CHECK (source IN ('composer', 'autopilot')),
+  distribution TEXT NOT NULL DEFAULT 'slots' CHECK (distribution IN ('slots', 'accounts')),
+  base_content TEXT NOT NULL,
+  timezone TEXT DEFAULT 'UTC',
+
+  status TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'inconclusive', 'cancelled')),
+  winner_variation_id UUID,
+  winner_reason TEXT,
+  decided_at TIMESTAMP,
+
+  metadata JSONB DEFAULT '{}',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_ab_tests_user_created
+  ON ab_tests (user_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_ab_tests_running
+  ON ab_tests (created_at)
+  WHERE status = 'running';
+
+-- ─── Variants ─────────────────────────────────────────────────────────────
+-- content_variations was created for strategy_queue items but never used;
+-- variants now hang off ab_tests and track the scheduled/posted tweet.
+ALTER TABLE content_variations
+  ALTER COLUMN queue_id DROP NOT NULL;
+
+ALTER TABLE content_variations
+  ADD COLUMN IF NOT EXISTS test_id UUID REFERENCES ab_tests(id) ON DELETE CASCADE,
+  ADD COLUMN IF NOT EXISTS variant_label TEXT,
+  ADD COLUMN IF NOT EXISTS scheduled_tweet_id UUID,
+  ADD COLUMN IF NOT EXISTS posted_tweet_id TEXT,
+  ADD COLUMN IF NOT EXISTS account_id TEXT,
+  ADD COLUMN IF NOT EXISTS author_id TEXT,
+  ADD COLUMN IF NOT EXISTS scheduled_for TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS posted_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS impressions INTEGER DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS engagement INTEGER DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS metrics_updated_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_content_variations_test
+  ON content_variations (test_id);
+
+CREATE INDEX IF NOT EXISTS idx_content_variations_scheduled_tweet
+  ON content_variations (scheduled_tweet_id)
+  WHERE scheduled_tweet_id IS NOT NULL;
+
+-- ─── Autopilot opt-in ────────────────────────────────────────────────────
+ALTER TABLE autopilot_config
+  ADD COLUMN IF NOT EXISTS ab_test_hooks BOOLEAN DEFAULT false,
+  ADD COLUMN IF NOT EXISTS ab_test_variants INTEGER DEFAULT 2 CHECK (ab_test_variants BETWEEN 2 AND 3);
+
+DROP TRIGGER IF EXISTS update_ab_tests_updated_at ON ab_tests;
+CREATE TRIGGER update_ab_tests_updated_at BEFORE UPDATE ON ab_tests
+    FOR EACH ROW EXECUTE FUNCTION public.update_updated_at_column();
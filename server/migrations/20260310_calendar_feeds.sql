@@ -0,0 +1,24 @@
+-- Calendar (ICS) Feeds
+-- Created: 2026-03-10
+
+-- One tokenized, read-only feed per user per account. Only a SHA-256 hash of
+-- the token is stored; revoking sets revoked_at and the URL stops working.
+CREATE TABLE IF NOT EXISTS calendar_feed_tokens (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL,
+  team_id UUID,
+  account_id TEXT,
+  author_id TEXT,
+  token_hash TEXT NOT NULL,
+  token_hint TEXT,
+  last_accessed_at TIMESTAMP,
+  revoked_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_calendar_feed_tokens_hash
+  ON calendar_feed_tokens (token_hash);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_calendar_feed_tokens_active_scope
+  ON calendar_feed_tokens (user_id, COALESCE(account_id, ''), COALESCE(author_id, ''))
+  WHERE revoked_at IS NULL;
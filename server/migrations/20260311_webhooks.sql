@@ -0,0 +1,55 @@
+-- Outgoing Webhooks
+-- Created: 2026-03-11
+
+-- Endpoints registered per user (team_id NULL) or per team. The secret is
+-- kept so payloads can be signed; the API only returns it on create/rotate.
+CREATE TABLE IF NOT EXISTS webhook_endpoints (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL,
+  team_id UUID,
+  url TEXT NOT NULL,
+  description TEXT,
+  secret TEXT NOT NULL,
+  events TEXT[] NOT NULL DEFAULT '{}',
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  last_delivery_at TIMESTAMP,
+  last_delivery_status TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_endpoints_user
+  ON webhook_endpoints (user_id)
+  WHERE team_id IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_webhook_endpoints_team
+  ON webhook_endpoints (team_id)
+  WHERE team_id IS NOT NULL;
+
+-- One row per event per endpoint. Pending rows are retried with backoff by the
+-- scheduler tick until they are delivered or run out of attempts.
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  endpoint_id UUID NOT NULL REFERENCES webhook_endpoints(id) ON DELETE CASCADE,
+  event_id UUID NOT NULL,
+  event_type TEXT NOT NULL,
+  payload JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'delivered', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_attempt_at TIMESTAMP,
+  response_status INTEGER,
+  response_body TEXT,
+  error_message TEXT,
+  duration_ms INTEGER,
+  delivered_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_endpoint
+  ON webhook_deliveries (endpoint_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due
+  ON webhook_deliveries (next_attempt_at)
+  WHERE status = 'pending';
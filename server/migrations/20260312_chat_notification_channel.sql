@@ -0,0 +1,21 @@
+-- Chat Notification Channel (Slack / Discord)
+-- Created: 2026-03-12
+
+-- One incoming-webhook destination per user, with per-event switches that
+-- mirror the email notify_* columns. Weekly digest is opt-in for chat.
+ALTER TABLE email_notification_prefs
+    ADD COLUMN IF NOT EXISTS chat_provider TEXT
+        CHECK (chat_provider IS NULL OR chat_provider IN ('slack', 'discord')),
+    ADD COLUMN IF NOT EXISTS chat_webhook_url TEXT,
+    ADD COLUMN IF NOT EXISTS chat_notify_tweet_failures BOOLEAN DEFAULT true,
+    ADD COLUMN IF NOT EXISTS chat_notify_autopilot_paused BOOLEAN DEFAULT true,
+    ADD COLUMN IF NOT EXISTS chat_notify_low_credits BOOLEAN DEFAULT true,
+    ADD COLUMN IF NOT EXISTS chat_notify_weekly_digest BOOLEAN DEFAULT false;
+
+-- The log now records which channel a notification went to, so each
+-- channel has its own cooldown. Existing rows were all emails.
+ALTER TABLE email_notification_log
+    ADD COLUMN IF NOT EXISTS channel TEXT NOT NULL DEFAULT 'email';
+
+CREATE INDEX IF NOT EXISTS idx_email_notif_log_user_channel_type
+    ON email_notification_log(user_id, channel, notification_type, sent_at DESC);
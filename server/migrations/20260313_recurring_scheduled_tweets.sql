@@ -0,0 +1,51 @@
+-- Recurring Scheduled Posts
+-- Created: 2026-03-13
+
+-- One row per repeating post. The series keeps the content template and the
+-- RRULE; scheduled_tweets holds one pending occurrence at a time, and the DB
+-- scheduler materializes the next one after each occurrence is processed.
+CREATE TABLE IF NOT EXISTS scheduled_tweet_series (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    team_id UUID,
+
+    rule TEXT NOT NULL,
+    timezone TEXT NOT NULL DEFAULT 'UTC',
+    dtstart TIMESTAMP NOT NULL,
+
+    -- Template copied into every new occurrence
+    content TEXT NOT NULL,
+    media JSONB DEFAULT '[]',
+    media_urls JSONB DEFAULT '[]',
+    thread_tweets JSONB DEFAULT '[]',
+    thread_media JSONB DEFAULT '[]',
+    metadata JSONB DEFAULT '{}',
+
+    occurrences_created INTEGER NOT NULL DEFAULT 1,
+    status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'ended', 'cancelled')),
+    ended_at TIMESTAMP,
+
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_tweet_series_user
+  ON scheduled_tweet_series (user_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_tweet_series_active
+  ON scheduled_tweet_series (id)
+  WHERE status = 'active';
+
+-- series_detached marks an occurrence edited on its own; series edits skip it.
+ALTER TABLE scheduled_tweets
+  ADD COLUMN IF NOT EXISTS series_id UUID REFERENCES scheduled_tweet_series(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS occurrence_index INTEGER,
+  ADD COLUMN IF NOT EXISTS series_detached BOOLEAN NOT NULL DEFAULT false;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_scheduled_tweets_series_occurrence
+  ON scheduled_tweets (series_id, occurrence_index)
+  WHERE series_id IS NOT NULL;
+
+DROP TRIGGER IF EXISTS update_scheduled_tweet_series_updated_at ON scheduled_tweet_series;
+CREATE TRIGGER update_scheduled_tweet_series_updated_at BEFORE UPDATE ON scheduled_tweet_series
+    FOR EACH ROW EXECUTE FUNCTION public.update_updated_at_column();
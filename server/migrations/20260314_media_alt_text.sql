@@ -0,0 +1,8 @@
+-- Media Alt Text
+-- Created: 2026-03-14
+
+-- Alt text for a scheduled post's media, keyed by X media id (or by the hosted
+-- URL for media uploaded at publish time). Covers main and thread media. The
+-- scheduler sends it through the media metadata API just before posting.
+ALTER TABLE scheduled_tweets
+  ADD COLUMN IF NOT EXISTS media_alt_text JSONB NOT NULL DEFAULT '{}';
@@ -0,0 +1,52 @@
+-- Media Library
+-- Created: 2026-03-15
+
+-- Uploaded and AI-generated media kept for reuse, per user (team_id NULL) or
+-- per team. content_hash is the SHA-256 of the original bytes, so the same
+-- file is stored once per scope. Deleted assets that a pending scheduled post
+-- still references are soft-deleted and purged once nothing points at them.
+CREATE TABLE IF NOT EXISTS media_assets (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL,
+  team_id UUID,
+  content_hash TEXT NOT NULL,
+  storage_path TEXT NOT NULL,
+  url TEXT NOT NULL,
+  mime_type TEXT NOT NULL,
+  kind TEXT NOT NULL DEFAULT 'image'
+    CHECK (kind IN ('image', 'gif', 'video')),
+  size_bytes INTEGER NOT NULL DEFAULT 0,
+  source TEXT NOT NULL DEFAULT 'upload'
+    CHECK (source IN ('upload', 'ai_generated')),
+  prompt TEXT,
+  alt_text TEXT,
+  tags TEXT[] NOT NULL DEFAULT '{}',
+  use_count INTEGER NOT NULL DEFAULT 0,
+  last_used_at TIMESTAMP,
+  deleted_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_media_assets_user_hash
+  ON media_assets (user_id, content_hash)
+  WHERE team_id IS NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_media_assets_team_hash
+  ON media_assets (team_id, content_hash)
+  WHERE team_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_media_assets_user_recent
+  ON media_assets (user_id, created_at DESC)
+  WHERE team_id IS NULL AND deleted_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_media_assets_team_recent
+  ON media_assets (team_id, created_at DESC)
+  WHERE team_id IS NOT NULL AND deleted_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_media_assets_tags
+  ON media_assets USING GIN (tags);
+
+CREATE INDEX IF NOT EXISTS idx_media_assets_deleted
+  ON media_assets (deleted_at)
+  WHERE deleted_at IS NOT NULL;
@@ -0,0 +1,36 @@
+-- Brand Voice Profiles
+-- Created: 2026-03-16
+
+-- How an account writes, learned from its own posted tweets and injected into
+-- every generation prompt. Keyed like evergreen_settings: team accounts by
+-- account_id (team_accounts.id), personal accounts by user_id + author_id.
+-- The learned_* columns are recomputed on every learn; banned_words, notes,
+-- pinned examples and is_enabled are user-owned and survive a relearn.
+CREATE TABLE IF NOT EXISTS brand_voice_profiles (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    team_id UUID,
+    account_id TEXT,
+    author_id TEXT,
+
+    is_enabled BOOLEAN DEFAULT true,
+
+    -- Learned style metrics: avg_tweet_length, avg_sentence_words,
+    -- emoji_per_tweet, hashtags_per_tweet, question_ratio, lowercase_start_ratio,
+    -- top_emojis, top_hashtags
+    learned_stats JSONB DEFAULT '{}',
+    learned_vocabulary TEXT[] DEFAULT '{}',
+    learned_examples TEXT[] DEFAULT '{}',
+    tweets_analysed INTEGER DEFAULT 0,
+    learned_at TIMESTAMP,
+
+    banned_words TEXT[] DEFAULT '{}',
+    pinned_examples TEXT[] DEFAULT '{}',
+    notes TEXT,
+
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_brand_voice_profiles_scope
+  ON brand_voice_profiles (COALESCE(account_id, 'user:' || user_id::text), COALESCE(author_id, ''));
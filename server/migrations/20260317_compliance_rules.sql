@@ -0,0 +1,39 @@
+-- Compliance Rules
+-- Created: 2026-03-17
+
+-- Publishing guardrails: one rule set per team (team_id) or per personal
+-- user (team_id IS NULL). Checked when posts are created, in the content
+-- review queue, and by the scheduler right before a post goes out.
+-- required_disclosures entries may list alternatives separated by "|"
+-- (e.g. "#ad|#sponsored"). enforcement decides what a violation does:
+-- 'block' rejects the post, 'require_approval' sends it to a team
+-- owner/admin (personal rule sets always block).
+CREATE TABLE IF NOT EXISTS compliance_rules (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    team_id UUID,
+
+    is_enabled BOOLEAN DEFAULT true,
+    banned_phrases TEXT[] DEFAULT '{}',
+    required_disclosures TEXT[] DEFAULT '{}',
+    allowed_link_domains TEXT[] DEFAULT '{}',
+    max_hashtags INTEGER,
+    enforcement VARCHAR(20) NOT NULL DEFAULT 'block'
+      CHECK (enforcement IN ('block', 'require_approval')),
+
+    updated_by UUID,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_compliance_rules_team
+  ON compliance_rules (team_id) WHERE team_id IS NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_compliance_rules_user
+  ON compliance_rules (user_id) WHERE team_id IS NULL;
+
+-- Result of the last compliance check on a scheduled post:
+-- NULL (not checked / passed), 'needs_approval' or 'blocked'.
+ALTER TABLE scheduled_tweets
+  ADD COLUMN IF NOT EXISTS compliance_status VARCHAR(20),
+  ADD COLUMN IF NOT EXISTS compliance_violations JSONB;
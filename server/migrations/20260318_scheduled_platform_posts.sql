@@ -0,0 +1,16 @@
+-- Scheduled Platform Posts
+-- Created: 2026-03-18
+
+-- Which platform a scheduled_tweets row publishes to. 'x' rows post to X (and
+-- may cross-post); 'linkedin' and 'threads' rows are native posts with their
+-- own text and time, routed through metadata.native_post.
+ALTER TABLE scheduled_tweets
+  ADD COLUMN IF NOT EXISTS platform VARCHAR(20) NOT NULL DEFAULT 'x';
+
+ALTER TABLE scheduled_tweets DROP CONSTRAINT IF EXISTS scheduled_tweets_platform_check;
+ALTER TABLE scheduled_tweets
+  ADD CONSTRAINT scheduled_tweets_platform_check CHECK (platform IN ('x', 'linkedin', 'threads'));
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_tweets_platform_pending
+  ON scheduled_tweets (platform, scheduled_for)
+  WHERE status = 'pending';
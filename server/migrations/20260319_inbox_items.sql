@@ -0,0 +1,70 @@
+-- Reply and Mention Inbox
+-- Created: 2026-03-19
+
+-- Mentions of, and replies to, each connected X account, pulled by the inbox
+-- sync worker. Keyed like brand_voice_profiles: team accounts by account_id
+-- (team_accounts.id), personal accounts by user_id + owner_twitter_id.
+-- kind is 'reply' when the tweet answers one of the account's own posts.
+CREATE TABLE IF NOT EXISTS inbox_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL,
+  team_id UUID,
+  account_id TEXT,
+  owner_twitter_id TEXT NOT NULL,
+
+  tweet_id TEXT NOT NULL,
+  conversation_id TEXT,
+  in_reply_to_tweet_id TEXT,
+  kind TEXT NOT NULL DEFAULT 'mention'
+    CHECK (kind IN ('mention', 'reply')),
+  author_twitter_id TEXT,
+  author_username TEXT,
+  author_name TEXT,
+  author_avatar_url TEXT,
+  text TEXT NOT NULL DEFAULT '',
+  tweet_created_at TIMESTAMP,
+
+  status TEXT NOT NULL DEFAULT 'open'
+    CHECK (status IN ('open', 'handled')),
+  assigned_to UUID,
+  handled_by UUID,
+  handled_at TIMESTAMP,
+  reply_tweet_id TEXT,
+  reply_text TEXT,
+  replied_by UUID,
+  replied_at TIMESTAMP,
+
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_inbox_items_account_tweet
+  ON inbox_items (COALESCE(account_id, 'user:' || user_id::text), owner_twitter_id, tweet_id);
+
+CREATE INDEX IF NOT EXISTS idx_inbox_items_team_account_recent
+  ON inbox_items (account_id, status, tweet_created_at DESC)
+  WHERE account_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_inbox_items_personal_recent
+  ON inbox_items (user_id, owner_twitter_id, status, tweet_created_at DESC)
+  WHERE account_id IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_inbox_items_assigned
+  ON inbox_items (assigned_to, status)
+  WHERE assigned_to IS NOT NULL;
+
+-- Per-account sync cursor. since_id is the newest mention already stored, so
+-- each run only asks X for newer ones.
+CREATE TABLE IF NOT EXISTS inbox_sync_state (
+  sync_key TEXT PRIMARY KEY,
+  user_id UUID NOT NULL,
+  team_id UUID,
+  account_id TEXT,
+  owner_twitter_id TEXT NOT NULL,
+  since_id TEXT,
+  last_sync_at TIMESTAMP,
+  next_allowed_at TIMESTAMP,
+  last_result TEXT,
+  last_error TEXT,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,58 @@
+-- Approval Chains, Review Comments and Revisions
+-- Created: 2026-03-20
+
+-- Ordered sign-off steps per team (e.g. editor -> client reviewer -> admin).
+-- Each step in `steps` is { label, roles, agency_roles, user_ids }: anyone
+-- with one of the team roles, one of the agency workspace roles (from the
+-- agency token, e.g. 'client') or listed by user id can sign it off.
+-- Teams without a row keep the single owner/admin step.
+CREATE TABLE IF NOT EXISTS approval_chains (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    team_id UUID NOT NULL,
+    steps JSONB NOT NULL DEFAULT '[]',
+    updated_by UUID,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_approval_chains_team
+  ON approval_chains (team_id);
+
+-- Index of the step a pending post is waiting on (0 = first step).
+ALTER TABLE scheduled_tweets
+  ADD COLUMN IF NOT EXISTS approval_step INTEGER NOT NULL DEFAULT 0;
+
+COMMENT ON COLUMN scheduled_tweets.approval_status IS 'Values: approved, pending_approval, changes_requested, rejected';
+
+-- Review thread of a scheduled post: comments (optionally replying to
+-- another comment) and the sign-off decisions, each with the step it was
+-- made at.
+CREATE TABLE IF NOT EXISTS approval_comments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    scheduled_tweet_id UUID NOT NULL REFERENCES scheduled_tweets(id) ON DELETE CASCADE,
+    team_id UUID,
+    user_id UUID NOT NULL,
+    parent_id UUID REFERENCES approval_comments(id) ON DELETE CASCADE,
+    kind VARCHAR(20) NOT NULL DEFAULT 'comment'
+      CHECK (kind IN ('comment', 'approved', 'changes_requested', 'rejected', 'resubmitted')),
+    step_index INTEGER,
+    body TEXT NOT NULL DEFAULT '',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_approval_comments_post
+  ON approval_comments (scheduled_tweet_id, created_at);
+
+-- Content history of a scheduled post. Revision 1 is the text as first
+-- submitted; one row is added for every later edit.
+CREATE TABLE IF NOT EXISTS scheduled_tweet_revisions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    scheduled_tweet_id UUID NOT NULL REFERENCES scheduled_tweets(id) ON DELETE CASCADE,
+    revision INTEGER NOT NULL,
+    content TEXT NOT NULL,
+    thread_tweets JSONB DEFAULT '[]',
+    edited_by UUID,
+    note TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (scheduled_tweet_id, revision)
+);
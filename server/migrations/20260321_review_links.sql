@@ -0,0 +1,59 @@
+-- Client Review Links
+-- Created: 2026-03-21
+
+-- Expiring, signed links to a fixed batch of pending posts that an external
+-- client can approve, reject or comment on without an account. The link
+-- token is an HMAC over the link id and expiry, so only the id is stored;
+-- revoking a link sets revoked_at.
+CREATE TABLE IF NOT EXISTS review_links (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    created_by UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    team_id UUID,
+    agency_workspace_id TEXT,
+    label VARCHAR(120) NOT NULL DEFAULT '',
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP,
+    last_opened_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_review_links_creator
+  ON review_links (created_by, created_at DESC);
+
+-- Posts shared through a link: pending approvals (scheduled_tweets) or
+-- content-review queue items.
+CREATE TABLE IF NOT EXISTS review_link_items (
+    link_id UUID NOT NULL REFERENCES review_links(id) ON DELETE CASCADE,
+    item_type VARCHAR(20) NOT NULL CHECK (item_type IN ('scheduled_tweet', 'content_queue')),
+    item_id UUID NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (link_id, item_type, item_id)
+);
+
+-- Audit trail: every decision or comment made from a link, with the name
+-- the reviewer gave and where the request came from.
+CREATE TABLE IF NOT EXISTS review_link_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    link_id UUID NOT NULL REFERENCES review_links(id) ON DELETE CASCADE,
+    item_type VARCHAR(20) NOT NULL,
+    item_id UUID NOT NULL,
+    action VARCHAR(20) NOT NULL CHECK (action IN ('approved', 'rejected', 'commented')),
+    reviewer_name VARCHAR(120) NOT NULL,
+    reviewer_email VARCHAR(255),
+    comment TEXT,
+    ip_address VARCHAR(64),
+    user_agent TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_review_link_events_link
+  ON review_link_events (link_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_review_link_events_item
+  ON review_link_events (item_type, item_id, created_at);
+
+-- Review-thread entries made from a link keep the reviewer's name; user_id
+-- is the member who shared the link.
+ALTER TABLE approval_comments
+  ADD COLUMN IF NOT EXISTS review_link_id UUID REFERENCES review_links(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS reviewer_name VARCHAR(120);
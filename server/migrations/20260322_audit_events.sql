@@ -0,0 +1,30 @@
+-- Audit Events
+-- Created: 2026-03-22
+
+-- Who did what to an account: scheduling, edits, deletes, approvals,
+-- disconnects and autopilot changes. Written by the routes as actions
+-- succeed; never updated. team_id is NULL for personal accounts, whose
+-- only actor is their owner.
+CREATE TABLE IF NOT EXISTS audit_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    team_id UUID,
+    account_id TEXT,
+    actor_id UUID,
+    action VARCHAR(64) NOT NULL,
+    target_type VARCHAR(32),
+    target_id TEXT,
+    metadata JSONB NOT NULL DEFAULT '{}',
+    ip_address VARCHAR(64),
+    user_agent TEXT,
+    agency_workspace_id TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_events_team
+  ON audit_events (team_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_audit_events_account
+  ON audit_events (account_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_audit_events_actor
+  ON audit_events (actor_id, created_at DESC);
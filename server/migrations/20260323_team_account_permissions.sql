@@ -0,0 +1,25 @@
+-- Team Account Permissions
+-- Created: 2026-03-23
+
+-- Per-account overrides of what a team member may do with one connected X
+-- account. Without a row the member's team role decides (owners and admins:
+-- everything; editors: everything but disconnect; viewers: analytics only).
+-- Owners are never restricted. A row with every flag off hides the account
+-- from that member.
+CREATE TABLE IF NOT EXISTS team_account_permissions (
+    account_id INTEGER NOT NULL REFERENCES team_accounts(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL,
+    team_id UUID NOT NULL,
+    can_post BOOLEAN NOT NULL DEFAULT false,
+    can_schedule BOOLEAN NOT NULL DEFAULT false,
+    can_autopilot BOOLEAN NOT NULL DEFAULT false,
+    can_view_analytics BOOLEAN NOT NULL DEFAULT false,
+    can_disconnect BOOLEAN NOT NULL DEFAULT false,
+    updated_by UUID,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (account_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_team_account_permissions_member
+  ON team_account_permissions (team_id, user_id);
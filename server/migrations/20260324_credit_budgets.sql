@@ -0,0 +1,57 @@
+-- Credit Budgets
+-- Created: 2026-03-24
+
+-- Who spent which credits on what. Written next to every deduction (negative
+-- amounts for refunds) so spend can be attributed to a member, a strategy's
+-- autopilot and, for agencies, the client workspace it was spent for.
+CREATE TABLE IF NOT EXISTS credit_usage (
+    id BIGSERIAL PRIMARY KEY,
+    user_id UUID NOT NULL,
+    team_id UUID,
+    strategy_id UUID,
+    agency_workspace_id TEXT,
+    operation VARCHAR(64) NOT NULL,
+    amount NUMERIC(10, 2) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_credit_usage_team_created
+  ON credit_usage (team_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_credit_usage_user_created
+  ON credit_usage (user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_credit_usage_strategy_created
+  ON credit_usage (strategy_id, created_at DESC)
+  WHERE strategy_id IS NOT NULL;
+
+-- Monthly (calendar month, UTC) credit limits for one team member or one
+-- strategy. Personal budgets (team_id NULL) can only cover strategies.
+-- warn_thresholds are percentages of the limit that send a warning once per
+-- month; with hard_stop, spending that would exceed the limit is refused and
+-- the strategy's autopilot is paused until the next month.
+CREATE TABLE IF NOT EXISTS credit_budgets (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL,
+    team_id UUID,
+    scope_type VARCHAR(16) NOT NULL CHECK (scope_type IN ('member', 'strategy')),
+    scope_id UUID NOT NULL,
+    monthly_limit NUMERIC(10, 2) NOT NULL CHECK (monthly_limit > 0),
+    warn_thresholds INTEGER[] NOT NULL DEFAULT '{80}',
+    hard_stop BOOLEAN NOT NULL DEFAULT true,
+    updated_by UUID,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_credit_budgets_scope
+  ON credit_budgets (scope_type, scope_id, COALESCE(team_id, '00000000-0000-0000-0000-000000000000'::uuid));
+
+-- One row per budget, month and threshold already announced (100 = limit reached).
+CREATE TABLE IF NOT EXISTS credit_budget_alerts (
+    budget_id UUID NOT NULL REFERENCES credit_budgets(id) ON DELETE CASCADE,
+    period_start DATE NOT NULL,
+    threshold INTEGER NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (budget_id, period_start, threshold)
+);
+
+COMMENT ON COLUMN autopilot_config.paused_reason IS 'Why autopilot paused: prompts_exhausted | insufficient_credits | credit_budget_exceeded | NULL = running normally';
@@ -0,0 +1,9 @@
+-- Autopilot Team Account
+-- Created: 2026-03-25
+
+-- The team account a team strategy's autopilot posts to, recorded when a
+-- member with the autopilot permission on it saves the autopilot settings.
+-- Scheduled autopilot posts carry it (with the strategy's team) so they are
+-- checked against the team's compliance rules and publish to that account.
+ALTER TABLE autopilot_config
+  ADD COLUMN IF NOT EXISTS account_id TEXT;
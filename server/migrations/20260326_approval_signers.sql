@@ -0,0 +1,8 @@
+-- Approval Signers
+-- Created: 2026-03-26
+
+-- Who has signed off a post in its current approval round (user ids, or
+-- 'review_link:<id>' for client review links), so one person can't sign off
+-- several steps of a chain. Cleared whenever the post goes back to step 0.
+ALTER TABLE scheduled_tweets
+  ADD COLUMN IF NOT EXISTS approval_signers TEXT[] NOT NULL DEFAULT '{}';
@@ -0,0 +1,182 @@
+import express from 'express';
+import moment from 'moment-timezone';
+import pool from '../config/database.js';
+import { abTestService } from '../services/abTestService.js';
+import { NEXT_FREE_SLOT, getNextFreeSlot } from '../services/postingSlotService.js';
+import { permissionForWrites } from '../utils/teamAccountPermissions.js';
+import { buildAccountScope, buildReconnectRequiredPayload, resolveTwitterScope } from '../utils/twitterScopeResolver.js';
+import { budgetRefusalFields } from '../utils/creditBudgets.js';
+
+const router = express.Router();
+const MAX_SCHEDULING_WINDOW_DAYS = 15;
+const AB_TEST_STATUSES = ['running', 'completed', 'inconclusive', 'cancelled'];
+
+const resolveScopeForAccount = async (req, selectedAccountId) => {
+  const twitterScope = await resolveTwitterScope(pool, {
+    userId: req.user.id,
+    selectedAccountId,
+    teamId: req.headers['x-team-id'] || null,
+    permission: permissionForWrites(req, 'schedule'),
+  });
+  return buildAccountScope(twitterScope);
+};
+
+const resolveAbTestScope = (req) => resolveScopeForAccount(req, req.headers['x-selected-account-id']);
+
+// Editors need approval, owners and admins are auto-approved (same rule as /api/scheduling).
+const resolveApproval = async (teamId, userId) => {
+  if (!teamId) return { approvalStatus: null, approvedBy: null };
+  const { rows } = await pool.query(
+    'SELECT role FROM team_members WHERE team_id = $1 AND user_id = $2 AND status = $3',
+    [teamId, userId, 'active']
+  );
+  if (rows.length === 0) return null;
+  return rows[0].role === 'editor'
+    ? { approvalStatus: 'pending_approval', approvedBy: null }
+    : { approvalStatus: 'approved', approvedBy: userId };
+};
+
+// GET /api/ab-tests — tests for the selected account with per-variant results
+router.get('/', async (req, res) => {
+  try {
+    const scope = await resolveAbTestScope(req);
+    if (!scope) return res.status(400).json(buildReconnectRequiredPayload());
+
+    const status = AB_TEST_STATUSES.includes(req.query.status) ? req.query.status : null;
+    const tests = await abTestService.listTests(scope, { status, limit: req.query.limit });
+    res.json({ success: true, tests });
+  } catch (error) {
+    console.error('[ABTest] List error:', error);
+    res.status(500).json({ error: 'Failed to fetch A/B tests' });
+  }
+});
+
+// GET /api/ab-tests/:testId
+router.get('/:testId', async (req, res) => {
+  try {
+    const scope = await resolveAbTestScope(req);
+    if (!scope) return res.status(400).json(buildReconnectRequiredPayload());
+
+    const test = await abTestService.getTest(scope, req.params.testId);
+    if (!test) return res.status(404).json({ error: 'A/B test not found' });
+    res.json({ success: true, test });
+  } catch (error) {
+    console.error('[ABTest] Get error:', error);
+    res.status(500).json({ error: 'Failed to fetch A/B test' });
+  }
+});
+
+// POST /api/ab-tests
+// Body: { content, variant_count: 2|3, distribution: 'slots'|'accounts', account_ids?, scheduled_for, timezone }
+router.post('/', async (req, res) => {
+  try {
+    const scope = await resolveAbTestScope(req);
+    if (!scope) return res.status(400).json(buildReconnectRequiredPayload());
+
+    const {
+      content,
+      variant_count: variantCount = 2,
+      distribution = 'slots',
+      account_ids: accountIds = [],
+      scheduled_for: scheduledForInput,
+      timezone: timezoneInput,
+    } = req.body || {};
+
+    if (typeof content !== 'string' || !content.trim()) {
+      return res.status(400).json({ error: 'content is required' });
+    }
+    if (content.includes('---')) {
+      return res.status(400).json({ error: 'A/B tests support single posts only, not threads' });
+    }
+    if (![2, 3].includes(Number(variantCount))) {
+      return res.status(400).json({ error: 'variant_count must be 2 or 3' });
+    }
+    if (!['slots', 'accounts'].includes(distribution)) {
+      return res.status(400).json({ error: "distribution must be 'slots' or 'accounts'" });
+    }
+
+    const timezone = timezoneInput && moment.tz.zone(timezoneInput) ? timezoneInput : 'UTC';
+    let scheduledFor;
+    if (!scheduledForInput || scheduledForInput === NEXT_FREE_SLOT) {
+      scheduledFor = await getNextFreeSlot(scope, { after: new Date() });
+      if (!scheduledFor) {
+        return res.status(400).json({
+          error: 'No free queue time for this account. Pick a time or add queue times first.',
+          code: 'NO_FREE_SLOT',
+        });
+      }
+    } else {
+      const parsed = moment.tz(scheduledForInput, moment.ISO_8601, timezone);
+      if (!parsed.isValid()) {
+        return res.status(400).json({ error: 'Invalid scheduled_for' });
+      }
+      scheduledFor = parsed.toDate();
+    }
+    if (scheduledFor <= new Date()) {
+      return res.status(400).json({ error: 'Scheduled time must be in the future' });
+    }
+    if (scheduledFor > moment().add(MAX_SCHEDULING_WINDOW_DAYS, 'days').toDate()) {
+      return res.status(400).json({ error: `Scheduling is limited to ${MAX_SCHEDULING_WINDOW_DAYS} days ahead.` });
+    }
+
+    let targetScopes = [];
+    if (distribution === 'accounts') {
+      if (scope.mode !== 'team' || !Array.isArray(accountIds) || accountIds.length < 2) {
+        return res.status(400).json({ error: 'Splitting variants across accounts needs at least two team accounts' });
+      }
+      targetScopes = await Promise.all(accountIds.map((id) => resolveScopeForAccount(req, id)));
+      if (targetScopes.some((target) => !target || target.mode !== 'team' || target.teamId !== scope.teamId)) {
+        return res.status(400).json({ error: 'All accounts must belong to the current team' });
+      }
+    }
+
+    const approval = await resolveApproval(scope.teamId, req.user.id);
+    if (!approval) return res.status(403).json({ error: 'Not a member of this team' });
+
+    const test = await abTestService.createTest({
+      scope,
+      content,
+      variantCount,
+      distribution,
+      targetScopes,
+      scheduledFor,
+      timezone,
+      source: 'composer',
+      approvalStatus: approval.approvalStatus,
+      approvedBy: approval.approvedBy,
+    });
+
+    res.status(201).json({ success: true, test, approval_status: approval.approvalStatus || 'approved' });
+  } catch (error) {
+    if (error.code === 'INSUFFICIENT_CREDITS') {
+      return res.status(402).json({
+        error: 'Insufficient credits to generate hook variants',
+        ...budgetRefusalFields(error.creditCheck),
+        creditsRequired: error.required,
+        creditsAvailable: error.available,
+      });
+    }
+    if (error.code === 'AB_TEST_INVALID') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('[ABTest] Create error:', error);
+    res.status(500).json({ error: 'Failed to create A/B test' });
+  }
+});
+
+// POST /api/ab-tests/:testId/cancel — stop a running test and cancel unposted variants
+router.post('/:testId/cancel', async (req, res) => {
+  try {
+    const scope = await resolveAbTestScope(req);
+    if (!scope) return res.status(400).json(buildReconnectRequiredPayload());
+
+    const test = await abTestService.cancelTest(scope, req.params.testId);
+    if (!test) return res.status(404).json({ error: 'A/B test not found' });
+    res.json({ success: true, test });
+  } catch (error) {
+    console.error('[ABTest] Cancel error:', error);
+    res.status(500).json({ error: 'Failed to cancel A/B test' });
+  }
+});
+
+export default router;
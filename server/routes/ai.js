@@ -2,9 +2,11 @@ import express from 'express';
 import { aiService } from '../services/aiService.js';
 import { authenticateToken } from '../middleware/auth.js';
 import { requireProPlan, resolveRequestPlanType } from '../middleware/planAccess.js';
-import { creditService } from '../services/creditService.js';
 import { TeamCreditService } from '../services/teamCreditService.js';
-import { sanitizeInput, sanitizeAIPrompt, checkRateLimit } from '../utils/sanitization.js';
+import { deductBudgetedCredits, refundBudgetedCredits, resolveBudgetStrategyId } from '../services/creditBudgetService.js';
+import { budgetRefusalFields } from '../utils/creditBudgets.js';
+import { sanitizeInput, sanitizeAIPrompt } from '../utils/sanitization.js';
+import { consumePolicy, setRateLimitHeaders } from '../services/rateLimitService.js';
 import { getTwitterPostingPreferences } from '../utils/twitterPostingPreferences.js';
 import pool from '../config/database.js';
 import {
@@ -12,11 +14,49 @@ import {
   buildStrategyGenerationPrompt,
   evaluateStrategyGeneratedContent,
 } from '../utils/strategyPromptBuilder.js';
+import { getVoiceProfile } from '../services/brandVoiceService.js';
+import { buildVoicePrompt, scoreVoiceMatch } from '../utils/brandVoice.js';
+import { buildAccountScope, resolveTwitterScope } from '../utils/twitterScopeResolver.js';
 // import { bulkGenerate } from '../controllers/aiController.js';
 
 const router = express.Router();
 const MAX_BULK_PROMPTS = 30;
 
+// Counts the request against a per-plan quota and sets the X-RateLimit-* headers.
+const checkAiRateLimit = async (req, res, policyName) => {
+  const planType = await resolveRequestPlanType(req);
+  const result = await consumePolicy(policyName, req.user.id, { planType });
+  setRateLimitHeaders(res, result);
+  return result.allowed;
+};
+
+// Brand voice of the selected account, or null. Generation goes ahead without one.
+const loadRequestVoiceProfile = async (req) => {
+  try {
+    const scope = buildAccountScope(
+      await resolveTwitterScope(pool, {
+        userId: req.user.id,
+        selectedAccountId: req.headers['x-selected-account-id'],
+        teamId: req.headers['x-team-id'] || null,
+      })
+    );
+    const profile = scope ? await getVoiceProfile(scope) : null;
+    return profile && profile.is_enabled !== false ? profile : null;
+  } catch (error) {
+    console.warn('[AI generation] Failed to load brand voice:', error?.message || error);
+    return null;
+  }
+};
+
+// Free-form prompts get the voice appended while it still fits the prompt limit.
+const MAX_PROMPT_CHARS = 10000;
+const withVoicePrompt = (prompt, voiceProfile) => {
+  const voiceBlock = buildVoicePrompt(voiceProfile);
+  if (!voiceBlock) return prompt;
+  const combined = `${prompt}\n\n${voiceBlock}`;
+  return combined.length <= MAX_PROMPT_CHARS ? combined : prompt;
+};
+
 // Synchronous bulk generation endpoint (no queue, no Redis)
 // Scheduling service import (assume exists, adjust import if needed)
 import { scheduledTweetService } from '../services/scheduledTweetService.js';
@@ -39,6 +79,7 @@ router.post('/bulk-generate', authenticateToken, requireProPlan('Bulk generation
     const authHeader = req.headers['authorization'];
     const token = req.cookies?.accessToken || (authHeader && authHeader.split(' ')[1]) || null;
     const resolvedPlanType = await resolveRequestPlanType(req);
+    const voiceProfile = await loadRequestVoiceProfile(req);
 
     // Synchronously generate content for each prompt
     const results = [];
@@ -48,7 +89,7 @@ router.post('/bulk-generate', authenticateToken, requireProPlan('Bulk generation
       const opt = options && options[i] ? options[i] : {};
       try {
         const result = await aiService.generateContent(
-          prompt,
+          typeof prompt === 'string' ? withVoicePrompt(prompt, voiceProfile) : prompt,
           opt.style || 'casual',
           3,
           token,
@@ -122,8 +163,8 @@ router.post('/generate', authenticateToken, async (req, res) => {
       typeof clientSource === 'string' ? clientSource.trim().toLowerCase().slice(0, 32) : '';
 
     // Rate limiting (bulk generation client can run multiple concurrent requests).
-    const generationLimitPerMinute = effectiveClientSource === 'bulk' ? 60 : 10;
-    if (!checkRateLimit(req.user.id, 'ai_generation', generationLimitPerMinute, 60000)) {
+    const generationPolicy = effectiveClientSource === 'bulk' ? 'ai_generation_bulk' : 'ai_generation';
+    if (!(await checkAiRateLimit(req, res, generationPolicy))) {
       return res.status(429).json({
         success: false,
         error: 'Rate limit exceeded. Please wait before making more requests.'
@@ -154,10 +195,11 @@ router.post('/generate', authenticateToken, async (req, res) => {
       });
     }
 
+    const voiceProfile = await loadRequestVoiceProfile(req);
     const sanitizedPrompt =
       normalizedGenerationMode === 'strategy_prompt'
-        ? buildStrategyGenerationPrompt({ strategyPrompt, isThread, style })
-        : String(prompt || '').trim();
+        ? buildStrategyGenerationPrompt({ strategyPrompt, isThread, style, voiceProfile })
+        : withVoicePrompt(String(prompt || '').trim(), voiceProfile);
 
     if (!sanitizedPrompt || sanitizedPrompt.length < 5) {
       return res.status(400).json({
@@ -217,18 +259,25 @@ router.post('/generate', authenticateToken, async (req, res) => {
     }
     
     // Deduct estimated credits
+    const budgetStrategyId = await resolveBudgetStrategyId({
+      strategyId: strategyPrompt?.strategyId,
+      userId: req.user.id,
+      teamId,
+    });
     const deductResult = await TeamCreditService.deductCredits(
       req.user.id,
       teamId,
       estimatedCreditsNeeded,
       'ai_text_generation',
-      token
+      token,
+      { strategyId: budgetStrategyId }
     );
     
     if (!deductResult.success) {
       return res.status(402).json({
         success: false,
         error: deductResult.error || 'Failed to deduct credits',
+        code: deductResult.code,
         creditsRequired: estimatedCreditsNeeded,
         creditsAvailable: creditCheck.available ?? creditCheck.creditsAvailable ?? 0,
         creditSource: creditCheck.source
@@ -285,6 +334,7 @@ router.post('/generate', authenticateToken, async (req, res) => {
           content: firstAttempt?.content || '',
           isThread: Boolean(isThread),
           instruction: instructionForEval,
+          voiceProfile,
         });
 
         let chosenAttempt = firstAttempt;
@@ -302,6 +352,7 @@ router.post('/generate', authenticateToken, async (req, res) => {
             isThread,
             style,
             retryContext: { issues: primaryEval.issues },
+            voiceProfile,
           });
 
           if (retryPrompt && retryPrompt.length >= 5) {
@@ -320,6 +371,7 @@ router.post('/generate', authenticateToken, async (req, res) => {
                 content: retryAttempt?.content || '',
                 isThread: Boolean(isThread),
                 instruction: instructionForEval,
+                voiceProfile,
               });
 
               // Pick the better result
@@ -373,6 +425,7 @@ router.post('/generate', authenticateToken, async (req, res) => {
 
         qualityGuard.passed = Boolean(chosenEval.passed);
         qualityGuard.issues = Array.isArray(chosenEval.issues) ? chosenEval.issues : [];
+        qualityGuard.voiceMatch = chosenEval.voiceMatch || null;
         normalizedThreadParts =
           Array.isArray(chosenEval.threadParts) ? chosenEval.threadParts : null;
 
@@ -389,13 +442,16 @@ router.post('/generate', authenticateToken, async (req, res) => {
         teamId,
         estimatedCreditsNeeded,
         'ai_generation_failed',
-        token
+        { strategyId: budgetStrategyId }
       );
       throw aiError;
     }
 
     // Use the AI-generated content directly (no post-sanitization to prevent [FILTERED])
     const sanitizedContent = result.content;
+    const voiceMatch = qualityGuard
+      ? qualityGuard.voiceMatch
+      : scoreVoiceMatch(sanitizedContent, voiceProfile);
 
     // Only treat as thread if isThread is true
     let threadCount = 1;
@@ -447,7 +503,8 @@ router.post('/generate', authenticateToken, async (req, res) => {
         teamId,
         creditDifference,
         'ai_thread_adjustment',
-        token
+        token,
+        { strategyId: budgetStrategyId }
       );
 
       if (!additionalDeductResult.success) {
@@ -455,7 +512,8 @@ router.post('/generate', authenticateToken, async (req, res) => {
           req.user.id,
           teamId,
           estimatedCreditsNeeded,
-          'ai_generation_failed'
+          'ai_generation_failed',
+          { strategyId: budgetStrategyId }
         );
         return res.status(402).json({
           success: false,
@@ -479,7 +537,8 @@ router.post('/generate', authenticateToken, async (req, res) => {
         req.user.id,
         teamId,
         refundAmount,
-        'ai_thread_adjustment'
+        'ai_thread_adjustment',
+        { strategyId: budgetStrategyId }
       );
     }
 
@@ -556,6 +615,7 @@ router.post('/generate', authenticateToken, async (req, res) => {
         ? { threadParts: normalizedThreadParts }
         : {}),
       ...(qualityGuard ? { qualityGuard } : {}),
+      ...(voiceMatch ? { voiceMatch: { score: voiceMatch.score, issues: voiceMatch.issues } } : {}),
     });
   } catch (error) {
     console.error('AI generation error:', error);
@@ -574,7 +634,7 @@ router.post('/generate-options', authenticateToken, async (req, res) => {
     const { prompt, style = 'casual', count = 3 } = req.body;
 
     // Rate limiting
-    if (!checkRateLimit(req.user.id, 'ai_generation', 10, 60000)) {
+    if (!(await checkAiRateLimit(req, res, 'ai_generation'))) {
       return res.status(429).json({
         success: false,
         error: 'Rate limit exceeded. Please wait before making more requests.'
@@ -618,11 +678,18 @@ router.post('/generate-options', authenticateToken, async (req, res) => {
     }
     const resolvedPlanType = await resolveRequestPlanType(req);
     
-    const creditCheck = await creditService.checkAndDeductCredits(req.user.id, 'ai_text_generation_multiple', creditsRequired, token);
+    const creditCheck = await deductBudgetedCredits({
+      userId: req.user.id,
+      teamId: req.headers['x-team-id'] || null,
+      operation: 'ai_text_generation_multiple',
+      amount: creditsRequired,
+      token,
+    });
     if (!creditCheck.success) {
       return res.status(402).json({
         success: false,
         error: 'Insufficient credits',
+        ...budgetRefusalFields(creditCheck),
         creditsRequired,
         creditsAvailable: creditCheck.creditsAvailable ?? creditCheck.available ?? 0
       });
@@ -630,7 +697,8 @@ router.post('/generate-options', authenticateToken, async (req, res) => {
 
     console.log(`AI multiple options request: "${sanitizedPrompt}" with style: ${style}, count: ${count}`);
 
-    const result = await aiService.generateMultipleOptions(sanitizedPrompt, style, count, {
+    const voiceProfile = await loadRequestVoiceProfile(req);
+    const result = await aiService.generateMultipleOptions(withVoicePrompt(sanitizedPrompt, voiceProfile), style, count, {
       userToken: token,
       userId: req.user.id,
       planType: resolvedPlanType,
@@ -662,7 +730,7 @@ router.post('/generate-image', authenticateToken, async (req, res) => {
     const { prompt, imageUrl } = req.body;
 
     // Rate limiting
-    if (!checkRateLimit(req.user.id, 'ai_image', 5, 60000)) {
+    if (!(await checkAiRateLimit(req, res, 'ai_image'))) {
       return res.status(429).json({
         success: false,
         error: 'Rate limit exceeded. Please wait before making more requests.'
@@ -695,11 +763,18 @@ router.post('/generate-image', authenticateToken, async (req, res) => {
       token = authHeader && authHeader.split(' ')[1];
     }
 
-    const creditCheck = await creditService.checkAndDeductCredits(req.user.id, 'ai_image_analysis', 2.5, token);
+    const creditCheck = await deductBudgetedCredits({
+      userId: req.user.id,
+      teamId: req.headers['x-team-id'] || null,
+      operation: 'ai_image_analysis',
+      amount: 2.5,
+      token,
+    });
     if (!creditCheck.success) {
       return res.status(402).json({
         success: false,
         error: 'Insufficient credits',
+        ...budgetRefusalFields(creditCheck),
         creditsRequired: 2.5,
         creditsAvailable: creditCheck.creditsAvailable ?? creditCheck.available ?? 0
       });
@@ -707,7 +782,7 @@ router.post('/generate-image', authenticateToken, async (req, res) => {
 
     console.log(`AI image generation request: "${sanitizedPrompt}"`);
 
-    const result = await aiService.generateImageContent(sanitizedPrompt, imageUrl);
+    const result = await aiService.generateImageContent(sanitizedPrompt, imageUrl, { userId: req.user.id });
 
     const sanitizedContent = result.content;
 
@@ -729,4 +804,71 @@ router.post('/generate-image', authenticateToken, async (req, res) => {
   }
 });
 
+// Describe an image as alt text (accessibility helper in the composer)
+// Body: { imageUrl: data URL or https URL, context?: post text }
+router.post('/describe-image', authenticateToken, async (req, res) => {
+  const creditsRequired = 1;
+  let spend = null;
+
+  try {
+    const { imageUrl, context } = req.body || {};
+
+    if (!(await checkAiRateLimit(req, res, 'ai_image'))) {
+      return res.status(429).json({
+        success: false,
+        error: 'Rate limit exceeded. Please wait before making more requests.'
+      });
+    }
+
+    const isDataImage = typeof imageUrl === 'string' && imageUrl.startsWith('data:image/');
+    const isHttpsImage = typeof imageUrl === 'string' && imageUrl.startsWith('https://');
+    if (!isDataImage && !isHttpsImage) {
+      return res.status(400).json({
+        success: false,
+        error: 'imageUrl must be an image data URL or an https URL'
+      });
+    }
+
+    let token = req.cookies?.accessToken;
+    if (!token) {
+      const authHeader = req.headers['authorization'];
+      token = authHeader && authHeader.split(' ')[1];
+    }
+
+    const altTextSpend = { userId: req.user.id, teamId: req.headers['x-team-id'] || null, amount: creditsRequired, token };
+    const creditCheck = await deductBudgetedCredits({ ...altTextSpend, operation: 'ai_alt_text' });
+    if (!creditCheck.success) {
+      return res.status(402).json({
+        success: false,
+        error: 'Insufficient credits',
+        ...budgetRefusalFields(creditCheck),
+        creditsRequired,
+        creditsAvailable: creditCheck.creditsAvailable ?? creditCheck.available ?? 0
+      });
+    }
+    spend = altTextSpend;
+
+    const postContext = typeof context === 'string' ? sanitizeInput(context).slice(0, 500) : '';
+    const result = await aiService.describeImage(imageUrl, { context: postContext, userId: req.user.id });
+
+    res.json({
+      success: true,
+      altText: result.altText,
+      provider: result.provider,
+      creditsUsed: creditsRequired
+    });
+  } catch (error) {
+    console.error('AI describe image error:', error);
+    if (spend) {
+      await refundBudgetedCredits({ ...spend, reason: 'ai_alt_text' }).catch(() => {});
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to describe image',
+      details: error.message
+    });
+  }
+});
+
 export default router;
@@ -1,11 +1,12 @@
 import express from 'express';
 import pool from '../config/database.js';
-import { authenticateToken, validateTwitterConnection } from '../middleware/auth.js';
+import { authenticateToken, requireTwitterConnection } from '../middleware/auth.js';
 import { hasProPlanAccess, resolveRequestPlanType, requireProPlan } from '../middleware/planAccess.js';
 import { buildTwitterScopeFilter, resolveTwitterScope } from '../utils/twitterScopeResolver.js';
 import { markTweetDeleted } from '../services/tweetRetentionService.js';
 import { createTwitterReadClient, refreshTwitterOauth2IfNeeded } from '../utils/twitterRuntimeAuth.js';
 import { inlineQuickSync, fetchAndPersistMetricsInline } from '../workers/analyticsSyncWorker.js';
+import { EXPORT_FORMATS, streamTweetExport } from '../services/tweetExportService.js';
 
 const router = express.Router();
 const SYNC_COOLDOWN_MS = Number(process.env.ANALYTICS_SYNC_COOLDOWN_MS || 3 * 60 * 1000);
@@ -387,6 +388,54 @@ const injectScopeClause = (sql, scopeClause) => {
     .trimStart()}`;
 };
 
+// Export posted tweets with metrics and strategy attribution
+// Query: from, to (ISO dates; default last 30 days), format=csv|json
+// Free plans are limited to the same window as the overview.
+router.get('/export', authenticateToken, async (req, res) => {
+  try {
+    await ensureTweetAnalyticsColumns();
+
+    const userId = req.user.id;
+    const selectedAccountId = req.headers['x-selected-account-id'];
+    const requestTeamId = req.headers['x-team-id'] || null;
+    const format = EXPORT_FORMATS.includes(req.query.format) ? req.query.format : 'csv';
+
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    let from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from >= to) {
+      return res.status(400).json({ error: 'Invalid date range' });
+    }
+
+    const planType = await resolveRequestPlanType(req);
+    if (!hasProPlanAccess(planType)) {
+      const freeWindowStart = new Date(Date.now() - FREE_ANALYTICS_DAYS * 24 * 60 * 60 * 1000);
+      if (from < freeWindowStart) from = freeWindowStart;
+    }
+
+    const twitterScope = await resolveTwitterScope(pool, { userId, selectedAccountId, teamId: requestTeamId, permission: 'analytics' });
+    if (!twitterScope.connected && twitterScope.mode === 'personal') {
+      return res.status(400).json({ error: 'Twitter account not connected', disconnected: true });
+    }
+
+    const fileName = `tweet-export-${from.toISOString().slice(0, 10)}-to-${to.toISOString().slice(0, 10)}.${format}`;
+    res.set('Content-Type', format === 'json' ? 'application/json; charset=utf-8' : 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.set('Cache-Control', 'no-store');
+
+    const count = await streamTweetExport(res, { scope: twitterScope, userId, from, to, format });
+    analyticsInfo('Analytics export', { userId, mode: twitterScope.mode, format, count });
+    res.end();
+  } catch (error) {
+    console.error('Analytics export error:', error);
+    if (res.headersSent) {
+      // Mid-stream failure: end the body so the client sees a truncated file instead of hanging.
+      res.end();
+      return;
+    }
+    res.status(500).json({ error: 'Failed to export analytics' });
+  }
+});
+
 // Get analytics overview
 router.get('/overview', authenticateToken, async (req, res) => {
   try {
@@ -401,7 +450,7 @@ router.get('/overview', authenticateToken, async (req, res) => {
     const isProPlan = hasProPlanAccess(planType);
     const days = isProPlan ? requestedDays : FREE_ANALYTICS_DAYS;
     const topPostsLimit = isProPlan ? PRO_TOP_POSTS_LIMIT : FREE_TOP_POSTS_LIMIT;
-    const twitterScope = await resolveTwitterScope(pool, { userId, selectedAccountId, teamId: requestTeamId });
+    const twitterScope = await resolveTwitterScope(pool, { userId, selectedAccountId, teamId: requestTeamId, permission: 'analytics' });
 
     if (!twitterScope.connected && twitterScope.mode === 'personal') {
       return res.json({
@@ -795,7 +844,7 @@ router.get('/sync-status', authenticateToken, async (req, res) => {
     const isProPlan = hasProPlanAccess(planType);
     const selectedAccountId = req.headers['x-selected-account-id'];
     const requestTeamId = req.headers['x-team-id'] || null;
-    const twitterScope = await resolveTwitterScope(pool, { userId, selectedAccountId, teamId: requestTeamId });
+    const twitterScope = await resolveTwitterScope(pool, { userId, selectedAccountId, teamId: requestTeamId, permission: 'analytics' });
     const effectiveAccountId = twitterScope.mode === 'team' ? twitterScope.effectiveAccountId : null;
     const key = getSyncKey(userId, effectiveAccountId);
     const syncStatus = await getSyncStatusPayload(key);
@@ -822,7 +871,7 @@ router.get('/sync-status', authenticateToken, async (req, res) => {
 
 // Sync analytics from Twitter (SEPARATE ROUTE)
 // Enhanced Sync Analytics Route with Proper Rate Limiting
-router.post('/sync', requireProPlan('Sync Latest'), validateTwitterConnection, async (req, res) => {
+router.post('/sync', requireProPlan('Sync Latest'), requireTwitterConnection('analytics'), async (req, res) => {
   let updatedCount = 0;
   let errorCount = 0;
   const updatedTweetIds = new Set();
@@ -863,7 +912,7 @@ router.post('/sync', requireProPlan('Sync Latest'), validateTwitterConnection, a
       ? Math.min(Math.max(parsedRequestedDays, 7), 90)
       : SYNC_LOOKBACK_DAYS;
     const teamAccountScope = twitterAccount?.isTeamAccount
-      ? await resolveTwitterScope(pool, { userId, selectedAccountId, teamId: requestTeamId })
+      ? await resolveTwitterScope(pool, { userId, selectedAccountId, teamId: requestTeamId, permission: 'analytics' })
       : null;
     const twitterScope = twitterAccount?.isTeamAccount && teamAccountScope?.mode === 'team'
       ? teamAccountScope
@@ -1634,7 +1683,7 @@ router.post('/sync', requireProPlan('Sync Latest'), validateTwitterConnection, a
 });
 
 // Force refresh metrics for a single tweet card (debug/verification)
-router.post('/tweets/:tweetId/refresh', requireProPlan('Tweet metric refresh'), validateTwitterConnection, async (req, res) => {
+router.post('/tweets/:tweetId/refresh', requireProPlan('Tweet metric refresh'), requireTwitterConnection('analytics'), async (req, res) => {
   try {
     await ensureTweetAnalyticsColumns();
 
@@ -1642,7 +1691,7 @@ router.post('/tweets/:tweetId/refresh', requireProPlan('Tweet metric refresh'),
     const dbTweetId = req.params.tweetId;
     const selectedAccountId = req.headers['x-selected-account-id'];
     const requestTeamId = req.headers['x-team-id'] || null;
-    const twitterScope = await resolveTwitterScope(pool, { userId, selectedAccountId, teamId: requestTeamId });
+    const twitterScope = await resolveTwitterScope(pool, { userId, selectedAccountId, teamId: requestTeamId, permission: 'analytics' });
     const effectiveAccountId = twitterScope.mode === 'team' ? twitterScope.effectiveAccountId : null;
 
     const { clause: scopeClause, params: scopeParams } = buildTwitterScopeFilter({
@@ -1867,7 +1916,7 @@ router.post('/tweets/:tweetId/refresh', requireProPlan('Tweet metric refresh'),
 });
 
 // Debug route to check what Twitter tokens are available for the user
-router.get('/debug-tokens', validateTwitterConnection, async (req, res) => {
+router.get('/debug-tokens', requireTwitterConnection('analytics'), async (req, res) => {
   const twitterAccount = req.twitterAccount;
   res.json({
     tokenTypes: {
@@ -1892,7 +1941,7 @@ router.get('/engagement', authenticateToken, requireProPlan('Advanced analytics'
     const requestTeamId = req.headers['x-team-id'] || null;
     const parsedDays = Number.parseInt(req.query.days, 10);
     const days = Number.isFinite(parsedDays) && parsedDays > 0 ? parsedDays : 50;
-    const twitterScope = await resolveTwitterScope(pool, { userId, selectedAccountId, teamId: requestTeamId });
+    const twitterScope = await resolveTwitterScope(pool, { userId, selectedAccountId, teamId: requestTeamId, permission: 'analytics' });
 
     if (!twitterScope.connected && twitterScope.mode === 'personal') {
       return res.json({
@@ -2089,7 +2138,7 @@ router.get('/audience', authenticateToken, requireProPlan('Advanced analytics'),
     const requestTeamId = req.headers['x-team-id'] || null;
     const parsedDays = Number.parseInt(req.query.days, 10);
     const days = Number.isFinite(parsedDays) && parsedDays > 0 ? parsedDays : 50;
-    const twitterScope = await resolveTwitterScope(pool, { userId, selectedAccountId, teamId: requestTeamId });
+    const twitterScope = await resolveTwitterScope(pool, { userId, selectedAccountId, teamId: requestTeamId, permission: 'analytics' });
 
     if (!twitterScope.connected && twitterScope.mode === 'personal') {
       return res.json({
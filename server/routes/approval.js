@@ -9,16 +9,32 @@ const router = express.Router();
 // All routes require authentication
 router.use(authenticateToken);
 
-// Get pending approvals for teams where user is owner/admin
+// Get tweets waiting on a step the user can sign off, and their own tweets sent back for changes
 router.get('/pending', ApprovalController.getPendingApprovals);
 
-// Approve a specific tweet
+// Team approval chain (x-team-id)
+router.get('/chain', ApprovalController.getChain);
+router.put('/chain', ApprovalController.updateChain);
+
+// Bulk sign-off of multiple tweets
+router.post('/bulk-approve', ApprovalController.bulkApprove);
+
+// Chain progress, review comments and revision history of a tweet
+router.get('/:tweetId', ApprovalController.getApprovalDetail);
+
+// Sign off the current step of a specific tweet
 router.post('/:tweetId/approve', ApprovalController.approveTweet);
 
+// Send a tweet back to its author with notes
+router.post('/:tweetId/request-changes', ApprovalController.requestChanges);
+
+// Edit and resubmit a tweet that had changes requested
+router.post('/:tweetId/resubmit', ApprovalController.resubmitTweet);
+
 // Reject a specific tweet
 router.post('/:tweetId/reject', ApprovalController.rejectTweet);
 
-// Bulk approve multiple tweets
-router.post('/bulk-approve', ApprovalController.bulkApprove);
+// Comment on a tweet's review thread
+router.post('/:tweetId/comments', ApprovalController.addComment);
 
 export default router;
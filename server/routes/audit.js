@@ -0,0 +1,63 @@
+import express from 'express';
+import pool from '../config/database.js';
+import { AUDIT_ACTIONS, listAuditEvents, listAuditFacets } from '../services/auditService.js';
+
+const router = express.Router();
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const ACTION_GROUPS = [...new Set(AUDIT_ACTIONS.map((action) => action.split('.')[0]))];
+
+// Team activity is for owners; without a team, users see their own personal activity.
+const resolveAuditScope = async (req, res) => {
+  const teamId = req.headers['x-team-id'] || null;
+  if (!teamId) return { teamId: null, userId: req.user.id };
+
+  const { rows } = await pool.query(
+    'SELECT role FROM team_members WHERE team_id = $1 AND user_id = $2 AND status = $3',
+    [teamId, req.user.id, 'active']
+  );
+  if (rows[0]?.role !== 'owner') {
+    res.status(403).json({ error: 'Only team owners can view team activity' });
+    return null;
+  }
+  return { teamId, userId: req.user.id };
+};
+
+// GET /api/audit-events — filter by account, actor and action (or action group, e.g. "schedule")
+router.get('/', async (req, res) => {
+  try {
+    const scope = await resolveAuditScope(req, res);
+    if (!scope) return;
+
+    const { accountId, actorId, action, before, limit } = req.query;
+    if (action && !AUDIT_ACTIONS.includes(action) && !ACTION_GROUPS.includes(action)) {
+      return res.status(400).json({ error: 'Unknown action filter' });
+    }
+    if (actorId && !UUID_PATTERN.test(String(actorId))) {
+      return res.status(400).json({ error: 'Invalid actor filter' });
+    }
+    if (before && Number.isNaN(new Date(before).getTime())) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    const result = await listAuditEvents(scope, { accountId, actorId, action, before, limit });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('[Audit] List error:', error);
+    res.status(500).json({ error: 'Failed to fetch activity' });
+  }
+});
+
+// GET /api/audit-events/facets — actors, accounts and actions to filter by
+router.get('/facets', async (req, res) => {
+  try {
+    const scope = await resolveAuditScope(req, res);
+    if (!scope) return;
+    res.json({ success: true, ...(await listAuditFacets(scope)) });
+  } catch (error) {
+    console.error('[Audit] Facets error:', error);
+    res.status(500).json({ error: 'Failed to fetch activity filters' });
+  }
+});
+
+export default router;
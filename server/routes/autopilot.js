@@ -2,8 +2,14 @@
 import express from 'express';
 import pool from '../config/database.js';
 import * as autopilotService from '../services/autopilotService.js';
-import { getNotificationPrefsForUser, updateNotificationPrefs } from '../services/emailNotificationService.js';
+import {
+  getNotificationPrefsForUser,
+  sendChatTestNotification,
+  updateNotificationPrefs,
+} from '../services/emailNotificationService.js';
+import { validateChatWebhookUrl } from '../services/notificationChannels.js';
 import { requireProPlan } from '../middleware/planAccess.js';
+import { previewContent, recordAuditEvent, recordScheduledTweetEvent } from '../services/auditService.js';
 
 const router = express.Router();
 router.use(requireProPlan('Autopilot'));
@@ -19,6 +25,22 @@ const parseBooleanEnv = (value, fallback = false) => {
 };
 const AUTOPILOT_FEATURE_ENABLED = parseBooleanEnv(process.env.AUTOPILOT_FEATURE_ENABLED, false);
 
+// A strategy's events belong to its team and, for team strategies, the
+// account its autopilot posts to.
+const strategyAuditScope = (strategy, accountId) => ({
+  teamId: strategy.team_id || null,
+  accountId: strategy.team_id ? accountId || null : null,
+});
+
+const recordQueueEvent = (req, action, owner, queueId, metadata = {}) =>
+  recordAuditEvent(req, {
+    action,
+    ...strategyAuditScope(owner, owner.account_id),
+    targetType: 'content_queue',
+    targetId: queueId,
+    metadata,
+  });
+
 const rejectWhenAutopilotDisabled = (res) =>
   res.status(403).json({
     error: 'Autopilot mode currently turned off. Contact admin for it.',
@@ -114,6 +136,10 @@ router.post('/undo/:scheduledTweetId', async (req, res) => {
       );
     }
 
+    recordScheduledTweetEvent(req, 'autopilot.post_undone', tweet, {
+      strategy_id: tweet.autopilot_strategy_id || null,
+      scheduled_for: tweet.scheduled_for,
+    });
     res.json({
       success: true,
       message: 'Autopilot tweet undone — moved back to review queue',
@@ -198,15 +224,22 @@ router.put('/:strategyId/config', async (req, res) => {
     
     // Verify strategy belongs to user
     const { rows } = await pool.query(
-      'SELECT user_id FROM user_strategies WHERE id = $1',
+      'SELECT user_id, team_id FROM user_strategies WHERE id = $1',
       [strategyId]
     );
     
     if (rows.length === 0 || rows[0].user_id !== req.user.id) {
       return res.status(404).json({ error: 'Strategy not found' });
     }
+
+    // A team strategy's autopilot posts to the team account it was set up on
+    // (requireAccountPermission has checked the member may run autopilot there).
+    const access = req.teamAccountAccess;
+    const changes = access && rows[0].team_id && String(rows[0].team_id) === access.teamId
+      ? { ...updates, account_id: access.accountId }
+      : updates;
     
-    const config = await autopilotService.updateAutopilotConfig(strategyId, updates);
+    const config = await autopilotService.updateAutopilotConfig(strategyId, changes);
     let disableCleanup = null;
     
     // If autopilot was just enabled, clear any paused reason and fill the queue
@@ -278,6 +311,13 @@ router.put('/:strategyId/config', async (req, res) => {
       }
     }
     
+    recordAuditEvent(req, {
+      action: 'autopilot.config_updated',
+      ...strategyAuditScope(rows[0], config?.account_id),
+      targetType: 'strategy',
+      targetId: strategyId,
+      metadata: { changes: Object.keys(updates || {}), ...(disableCleanup ? { disableCleanup } : {}) },
+    });
     res.json({
       success: true,
       message: 'Configuration updated successfully',
@@ -424,9 +464,10 @@ router.post('/queue/:queueId/approve', async (req, res) => {
     
     // Verify queue item belongs to user's strategy
     const { rows } = await pool.query(
-      `SELECT us.user_id 
+      `SELECT us.user_id, us.team_id, ac.account_id
        FROM content_review_queue crq
        JOIN user_strategies us ON crq.strategy_id = us.id
+       LEFT JOIN autopilot_config ac ON ac.strategy_id = us.id
        WHERE crq.id = $1 AND crq.source = 'autopilot'`,
       [queueId]
     );
@@ -436,6 +477,7 @@ router.post('/queue/:queueId/approve', async (req, res) => {
     }
     
     const updated = await autopilotService.approveQueuedContent(queueId, req.user.id);
+    recordQueueEvent(req, 'autopilot.queue_approved', rows[0], queueId, { content: previewContent(updated?.content) });
     
     res.json({
       success: true,
@@ -459,9 +501,10 @@ router.post('/queue/:queueId/reject', async (req, res) => {
     
     // Verify queue item belongs to user's strategy
     const { rows } = await pool.query(
-      `SELECT us.user_id 
+      `SELECT us.user_id, us.team_id, ac.account_id
        FROM content_review_queue crq
        JOIN user_strategies us ON crq.strategy_id = us.id
+       LEFT JOIN autopilot_config ac ON ac.strategy_id = us.id
        WHERE crq.id = $1 AND crq.source = 'autopilot'`,
       [queueId]
     );
@@ -471,6 +514,7 @@ router.post('/queue/:queueId/reject', async (req, res) => {
     }
     
     const updated = await autopilotService.rejectQueuedContent(queueId, req.user.id, reason);
+    recordQueueEvent(req, 'autopilot.queue_rejected', rows[0], queueId, { reason: reason || null });
     
     res.json({
       success: true,
@@ -498,9 +542,10 @@ router.put('/queue/:queueId', async (req, res) => {
     
     // Verify queue item belongs to user's strategy
     const { rows } = await pool.query(
-      `SELECT us.user_id 
+      `SELECT us.user_id, us.team_id, ac.account_id
        FROM content_review_queue crq
        JOIN user_strategies us ON crq.strategy_id = us.id
+       LEFT JOIN autopilot_config ac ON ac.strategy_id = us.id
        WHERE crq.id = $1 AND crq.source = 'autopilot'`,
       [queueId]
     );
@@ -510,6 +555,7 @@ router.put('/queue/:queueId', async (req, res) => {
     }
     
     const updated = await autopilotService.editQueuedContent(queueId, content);
+    recordQueueEvent(req, 'autopilot.queue_updated', rows[0], queueId, { content: previewContent(content) });
     
     res.json({
       success: true,
@@ -532,9 +578,10 @@ router.delete('/queue/:queueId', async (req, res) => {
     
     // Verify queue item belongs to user's strategy
     const { rows } = await pool.query(
-      `SELECT us.user_id 
+      `SELECT us.user_id, us.team_id, ac.account_id
        FROM content_review_queue crq
        JOIN user_strategies us ON crq.strategy_id = us.id
+       LEFT JOIN autopilot_config ac ON ac.strategy_id = us.id
        WHERE crq.id = $1 AND crq.source = 'autopilot'`,
       [queueId]
     );
@@ -547,6 +594,7 @@ router.delete('/queue/:queueId', async (req, res) => {
       'DELETE FROM content_review_queue WHERE id = $1',
       [queueId]
     );
+    recordQueueEvent(req, 'autopilot.queue_deleted', rows[0], queueId);
     
     res.json({
       success: true,
@@ -558,7 +606,7 @@ router.delete('/queue/:queueId', async (req, res) => {
   }
 });
 
-// ─── Email Notification Preferences ───────────────────────────────────────
+// ─── Notification Preferences (email + chat) ──────────────────────────────
 
 /**
  * GET /api/autopilot/notification-prefs
@@ -576,11 +624,25 @@ router.get('/notification-prefs', async (req, res) => {
 
 /**
  * PUT /api/autopilot/notification-prefs
- * Update email notification preferences
+ * Update email and chat notification preferences. Sending chat_provider: null
+ * disconnects the chat channel.
  */
 router.put('/notification-prefs', async (req, res) => {
   try {
-    const updated = await updateNotificationPrefs(req.user.id, req.body);
+    const updates = { ...req.body };
+    if (updates.chat_provider === null || updates.chat_provider === '') {
+      updates.chat_provider = null;
+      updates.chat_webhook_url = null;
+    } else if (updates.chat_provider !== undefined || updates.chat_webhook_url !== undefined) {
+      const current = await getNotificationPrefsForUser(req.user.id);
+      const provider = updates.chat_provider ?? current?.chat_provider;
+      const webhookUrl = updates.chat_webhook_url ?? current?.chat_webhook_url;
+      const urlError = validateChatWebhookUrl(provider, webhookUrl);
+      if (urlError) return res.status(400).json({ error: urlError });
+      updates.chat_webhook_url = String(webhookUrl).trim();
+    }
+
+    const updated = await updateNotificationPrefs(req.user.id, updates);
     res.json({ success: true, data: updated });
   } catch (error) {
     console.error('Error updating notification prefs:', error);
@@ -588,4 +650,21 @@ router.put('/notification-prefs', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/autopilot/notification-prefs/chat-test
+ * Post a test message to the configured Slack/Discord webhook
+ */
+router.post('/notification-prefs/chat-test', async (req, res) => {
+  try {
+    const sent = await sendChatTestNotification(req.user.id);
+    if (!sent) {
+      return res.status(400).json({ error: 'Test message was not accepted. Check the chat webhook URL.' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error sending chat test notification:', error);
+    res.status(500).json({ error: 'Failed to send test notification' });
+  }
+});
+
 export default router;
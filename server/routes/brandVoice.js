@@ -0,0 +1,90 @@
+import express from 'express';
+import pool from '../config/database.js';
+import { getVoiceProfile, learnVoiceProfile, updateVoiceProfile } from '../services/brandVoiceService.js';
+import { MAX_BANNED_WORDS, MAX_VOICE_EXAMPLES, MIN_TWEETS_FOR_VOICE, buildVoicePrompt } from '../utils/brandVoice.js';
+import { buildAccountScope, buildReconnectRequiredPayload, resolveTwitterScope } from '../utils/twitterScopeResolver.js';
+
+const router = express.Router();
+
+const resolveVoiceScope = async (req) => {
+  const twitterScope = await resolveTwitterScope(pool, {
+    userId: req.user.id,
+    selectedAccountId: req.headers['x-selected-account-id'],
+    teamId: req.headers['x-team-id'] || null,
+  });
+  return buildAccountScope(twitterScope);
+};
+
+const formatProfile = (profile) =>
+  profile
+    ? {
+        ...profile,
+        prompt_preview: buildVoicePrompt({ ...profile, is_enabled: true }),
+      }
+    : null;
+
+// GET /api/brand-voice — voice profile of the selected account (null until learned or edited)
+router.get('/', async (req, res) => {
+  try {
+    const scope = await resolveVoiceScope(req);
+    if (!scope) return res.status(400).json(buildReconnectRequiredPayload());
+
+    const profile = await getVoiceProfile(scope);
+    res.json({ success: true, profile: formatProfile(profile) });
+  } catch (error) {
+    console.error('[BrandVoice] Get error:', error);
+    res.status(500).json({ error: 'Failed to fetch brand voice' });
+  }
+});
+
+// POST /api/brand-voice/learn — relearn from the account's posted tweets
+router.post('/learn', async (req, res) => {
+  try {
+    const scope = await resolveVoiceScope(req);
+    if (!scope) return res.status(400).json(buildReconnectRequiredPayload());
+
+    const { profile, tweetsAnalysed } = await learnVoiceProfile(scope);
+    if (!profile) {
+      return res.status(422).json({
+        error: `At least ${MIN_TWEETS_FOR_VOICE} posted tweets are needed to learn a voice (found ${tweetsAnalysed})`,
+      });
+    }
+    res.json({ success: true, profile: formatProfile(profile) });
+  } catch (error) {
+    console.error('[BrandVoice] Learn error:', error);
+    res.status(500).json({ error: 'Failed to learn brand voice' });
+  }
+});
+
+// PUT /api/brand-voice — Body: { is_enabled?, banned_words?, pinned_examples?, notes? }
+router.put('/', async (req, res) => {
+  try {
+    const scope = await resolveVoiceScope(req);
+    if (!scope) return res.status(400).json(buildReconnectRequiredPayload());
+
+    const { banned_words, pinned_examples, notes } = req.body || {};
+    if (banned_words !== undefined && !Array.isArray(banned_words)) {
+      return res.status(400).json({ error: 'banned_words must be an array of strings' });
+    }
+    if (Array.isArray(banned_words) && banned_words.length > MAX_BANNED_WORDS) {
+      return res.status(400).json({ error: `Up to ${MAX_BANNED_WORDS} banned words` });
+    }
+    if (pinned_examples !== undefined && !Array.isArray(pinned_examples)) {
+      return res.status(400).json({ error: 'pinned_examples must be an array of strings' });
+    }
+    if (Array.isArray(pinned_examples) && pinned_examples.length > MAX_VOICE_EXAMPLES) {
+      return res.status(400).json({ error: `Up to ${MAX_VOICE_EXAMPLES} example tweets` });
+    }
+    if (notes !== undefined && notes !== null && typeof notes !== 'string') {
+      return res.status(400).json({ error: 'notes must be a string' });
+    }
+
+    const profile = await updateVoiceProfile(scope, req.body || {});
+    res.json({ success: true, profile: formatProfile(profile) });
+  } catch (error) {
+    console.error('[BrandVoice] Update error:', error);
+    res.status(500).json({ error: 'Failed to update brand voice' });
+  }
+});
+
+export default router;
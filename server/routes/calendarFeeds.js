@@ -0,0 +1,93 @@
+import express from 'express';
+import pool from '../config/database.js';
+import { requireAccountPermission } from '../middleware/accountPermissions.js';
+import { calendarFeedRateLimit } from '../middleware/rateLimit.js';
+import { findFeedByToken, getFeed, renderFeed, revokeFeed, rotateFeed } from '../services/calendarFeedService.js';
+import { buildAccountScope, buildReconnectRequiredPayload, resolveTwitterScope } from '../utils/twitterScopeResolver.js';
+
+const router = express.Router();
+
+const resolveFeedScope = async (req) => {
+  const twitterScope = await resolveTwitterScope(pool, {
+    userId: req.user.id,
+    selectedAccountId: req.headers['x-selected-account-id'],
+    teamId: req.headers['x-team-id'] || null,
+    permission: 'schedule',
+  });
+  return buildAccountScope(twitterScope);
+};
+
+const formatFeed = (feed) =>
+  feed
+    ? {
+        id: feed.id,
+        token_hint: feed.token_hint,
+        created_at: feed.created_at,
+        last_accessed_at: feed.last_accessed_at,
+      }
+    : null;
+
+// GET /api/calendar-feeds/:token.ics — public, token-authenticated feed for calendar apps
+router.get('/:token.ics', calendarFeedRateLimit, async (req, res) => {
+  try {
+    const feed = await findFeedByToken(req.params.token);
+    if (!feed) return res.status(404).send('Calendar feed not found');
+
+    const ics = await renderFeed(feed);
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="tweet-genie.ics"');
+    res.set('Cache-Control', 'private, max-age=300');
+    res.send(ics);
+  } catch (error) {
+    console.error('[CalendarFeed] Render error:', error);
+    res.status(500).send('Failed to build calendar feed');
+  }
+});
+
+// Everything below manages a feed of the account's whole schedule, reads included.
+router.use(requireAccountPermission('schedule'));
+
+// GET /api/calendar-feeds — feed status for the selected account (the URL itself is only shown on create)
+router.get('/', async (req, res) => {
+  try {
+    const scope = await resolveFeedScope(req);
+    if (!scope) return res.status(400).json(buildReconnectRequiredPayload());
+
+    const feed = await getFeed(scope);
+    res.json({ success: true, feed: formatFeed(feed) });
+  } catch (error) {
+    console.error('[CalendarFeed] Get error:', error);
+    res.status(500).json({ error: 'Failed to fetch calendar feed' });
+  }
+});
+
+// POST /api/calendar-feeds — create or regenerate; the previous URL stops working
+router.post('/', async (req, res) => {
+  try {
+    const scope = await resolveFeedScope(req);
+    if (!scope) return res.status(400).json(buildReconnectRequiredPayload());
+
+    const { feed, url } = await rotateFeed(scope);
+    res.status(201).json({ success: true, feed: formatFeed(feed), url });
+  } catch (error) {
+    console.error('[CalendarFeed] Create error:', error);
+    res.status(500).json({ error: 'Failed to create calendar feed' });
+  }
+});
+
+// DELETE /api/calendar-feeds — revoke the feed for the selected account
+router.delete('/', async (req, res) => {
+  try {
+    const scope = await resolveFeedScope(req);
+    if (!scope) return res.status(400).json(buildReconnectRequiredPayload());
+
+    const revoked = await revokeFeed(scope);
+    if (!revoked) return res.status(404).json({ error: 'No active calendar feed' });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('[CalendarFeed] Revoke error:', error);
+    res.status(500).json({ error: 'Failed to revoke calendar feed' });
+  }
+});
+
+export default router;
@@ -0,0 +1,117 @@
+import express from 'express';
+import pool from '../config/database.js';
+import { getRules, saveRules } from '../services/complianceService.js';
+import {
+  COMPLIANCE_ENFORCEMENTS,
+  MAX_ALLOWED_DOMAINS,
+  MAX_COMPLIANCE_PHRASES,
+  checkCompliance,
+  normalizeRules,
+} from '../utils/complianceRules.js';
+
+const router = express.Router();
+const MANAGER_ROLES = ['owner', 'admin'];
+const LIST_FIELDS = {
+  banned_phrases: MAX_COMPLIANCE_PHRASES,
+  required_disclosures: MAX_COMPLIANCE_PHRASES,
+  allowed_link_domains: MAX_ALLOWED_DOMAINS,
+};
+
+// Personal rules by default; with x-team-id, the team's rules, which every
+// member can read and only owners and admins can change.
+const resolveComplianceScope = async (req, { manage = false } = {}) => {
+  const userId = req.user.id;
+  const teamId = req.headers['x-team-id'] || null;
+  if (!teamId) return { scope: { userId, teamId: null }, canManage: true };
+
+  const { rows } = await pool.query(
+    'SELECT role FROM team_members WHERE team_id = $1 AND user_id = $2 AND status = $3',
+    [teamId, userId, 'active']
+  );
+  if (rows.length === 0) return { status: 403, error: 'Not a member of this team' };
+  const canManage = MANAGER_ROLES.includes(rows[0].role);
+  if (manage && !canManage) {
+    return { status: 403, error: 'Only team owners and admins can change compliance rules' };
+  }
+  return { scope: { userId, teamId }, canManage };
+};
+
+const formatRules = (rules, scope, canManage) => ({
+  ...normalizeRules(rules || {}),
+  updated_at: rules?.updated_at || null,
+  scope: scope.teamId ? 'team' : 'personal',
+  can_manage: canManage,
+  enforcements: scope.teamId ? COMPLIANCE_ENFORCEMENTS : ['block'],
+});
+
+// GET /api/compliance — rules for the user (or team); defaults until saved
+router.get('/', async (req, res) => {
+  try {
+    const { scope, canManage, status, error } = await resolveComplianceScope(req);
+    if (!scope) return res.status(status).json({ error });
+
+    const rules = await getRules(scope);
+    res.json({ success: true, rules: formatRules(rules, scope, canManage) });
+  } catch (error) {
+    console.error('[Compliance] Get error:', error);
+    res.status(500).json({ error: 'Failed to fetch compliance rules' });
+  }
+});
+
+// PUT /api/compliance — Body: { is_enabled?, banned_phrases?, required_disclosures?,
+// allowed_link_domains?, max_hashtags?, enforcement? }
+router.put('/', async (req, res) => {
+  try {
+    const { scope, canManage, status, error } = await resolveComplianceScope(req, { manage: true });
+    if (!scope) return res.status(status).json({ error });
+
+    const body = req.body || {};
+    for (const [field, max] of Object.entries(LIST_FIELDS)) {
+      if (body[field] !== undefined && !Array.isArray(body[field])) {
+        return res.status(400).json({ error: `${field} must be an array of strings` });
+      }
+      if (Array.isArray(body[field]) && body[field].length > max) {
+        return res.status(400).json({ error: `Up to ${max} entries in ${field}` });
+      }
+    }
+    if (body.max_hashtags !== undefined && body.max_hashtags !== null && body.max_hashtags !== '') {
+      const maxHashtags = Number(body.max_hashtags);
+      if (!Number.isInteger(maxHashtags) || maxHashtags < 0 || maxHashtags > 30) {
+        return res.status(400).json({ error: 'max_hashtags must be a whole number from 0 to 30' });
+      }
+    }
+    if (body.enforcement !== undefined && !COMPLIANCE_ENFORCEMENTS.includes(body.enforcement)) {
+      return res.status(400).json({ error: `enforcement must be one of: ${COMPLIANCE_ENFORCEMENTS.join(', ')}` });
+    }
+    if (body.enforcement === 'require_approval' && !scope.teamId) {
+      return res.status(400).json({ error: 'Routing to approval is only available for team rules' });
+    }
+
+    const rules = await saveRules(scope, body, req.user.id);
+    res.json({ success: true, rules: formatRules(rules, scope, canManage) });
+  } catch (error) {
+    console.error('[Compliance] Update error:', error);
+    res.status(500).json({ error: 'Failed to update compliance rules' });
+  }
+});
+
+// POST /api/compliance/check — Body: { content?, thread? } — dry run against the saved rules
+router.post('/check', async (req, res) => {
+  try {
+    const { scope, status, error } = await resolveComplianceScope(req);
+    if (!scope) return res.status(status).json({ error });
+
+    const { content = '', thread = null } = req.body || {};
+    const threadParts = Array.isArray(thread)
+      ? thread.map((part) => (typeof part === 'string' ? part : part?.content || ''))
+      : null;
+    const rules = await getRules(scope);
+    const result = checkCompliance({ content: String(content || ''), threadParts }, rules ? normalizeRules(rules) : null);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('[Compliance] Check error:', error);
+    res.status(500).json({ error: 'Failed to check compliance' });
+  }
+});
+
+export default router;
@@ -4,71 +4,19 @@ import { authenticateToken } from '../middleware/auth.js';
 import { requireProPlan } from '../middleware/planAccess.js';
 import { contentReviewRateLimit } from '../middleware/rateLimit.js';
 import { weeklyContentService } from '../services/weeklyContentService.js';
-import { creditService } from '../services/creditService.js';
+import { deductBudgetedCredits, refundBudgetedCredits } from '../services/creditBudgetService.js';
+import { getActiveRules } from '../services/complianceService.js';
+import {
+  approveQueueItem,
+  checkItemCompliance,
+  scheduleContentItem,
+  splitThreadParts,
+} from '../services/contentReviewService.js';
+import { checkCompliance } from '../utils/complianceRules.js';
+import { budgetRefusalFields } from '../utils/creditBudgets.js';
 
 const router = express.Router();
 
-// ─── Shared scheduling helper ────────────────────────────────────────────
-const MAX_SCHEDULED_PER_USER = parseInt(process.env.MAX_SCHEDULED_TWEETS_PER_USER || '100');
-const MAX_SCHEDULING_WINDOW_DAYS = 15;
-
-async function scheduleContentItem(userId, item, overrideTime, overrideTz) {
-  const scheduleTime = overrideTime || item.suggested_time;
-  const tz = overrideTz || item.timezone || 'UTC';
-
-  if (!scheduleTime) {
-    return { ok: false, error: 'No schedule time available. Please provide scheduled_for.' };
-  }
-
-  // Validate time is in the future
-  const scheduledDate = new Date(scheduleTime);
-  if (isNaN(scheduledDate.getTime())) {
-    return { ok: false, error: 'Invalid schedule time format' };
-  }
-  if (scheduledDate <= new Date()) {
-    return { ok: false, error: 'Scheduled time must be in the future' };
-  }
-
-  // Validate within scheduling window
-  const maxDate = new Date(Date.now() + MAX_SCHEDULING_WINDOW_DAYS * 24 * 60 * 60 * 1000);
-  if (scheduledDate > maxDate) {
-    return { ok: false, error: `Scheduling is limited to ${MAX_SCHEDULING_WINDOW_DAYS} days ahead.` };
-  }
-
-  // Check scheduling limits
-  const { rows: [{ count }] } = await pool.query(
-    `SELECT COUNT(*) FROM scheduled_tweets WHERE user_id = $1 AND status = 'pending'`,
-    [userId]
-  );
-  if (parseInt(count) >= MAX_SCHEDULED_PER_USER) {
-    return { ok: false, error: `Maximum ${MAX_SCHEDULED_PER_USER} scheduled tweets allowed` };
-  }
-
-  // Detect threads: split on --- separator
-  const rawContent = item.content || '';
-  const threadParts = rawContent.split(/---+/).map(p => p.trim()).filter(Boolean);
-  const isThread = threadParts.length > 1;
-  const mainContent = isThread ? threadParts[0] : rawContent;
-  const threadTweets = isThread ? threadParts.slice(1).map(p => ({ content: p })) : null;
-
-  // Determine source from the queue item (preserves 'autopilot' origin)
-  const source = item.source || 'manual';
-  const strategyId = item.strategy_id || null;
-
-  // Insert into scheduled_tweets with proper columns
-  const { rows: [scheduledTweet] } = await pool.query(
-    `INSERT INTO scheduled_tweets (user_id, content, thread_tweets, scheduled_for, timezone, status, approval_status, source, autopilot_strategy_id, created_at, updated_at)
-     VALUES ($1, $2, $3, $4, $5, 'pending', 'approved', $6, $7, NOW(), NOW())
-     RETURNING id`,
-    [userId, mainContent, isThread ? JSON.stringify(threadTweets) : null, scheduledDate.toISOString(), tz, source, source === 'autopilot' ? strategyId : null]
-  );
-
-  // Mark queue item as scheduled
-  await weeklyContentService.markScheduled(item.id, userId, scheduledTweet.id);
-
-  return { ok: true, scheduledTweetId: scheduledTweet.id, scheduledFor: scheduledDate.toISOString() };
-}
-
 // All routes require authentication + pro plan
 router.use(authenticateToken, requireProPlan('Content Queue'));
 
@@ -87,7 +35,16 @@ router.get('/', async (req, res) => {
     if (limit) filters.limit = Math.min(parseInt(limit) || 50, 100);
 
     const items = await weeklyContentService.getQueue(userId, filters);
-    res.json({ items });
+
+    // Flag items that break the compliance rules so they can be fixed before approval
+    const complianceRules = await getActiveRules({ userId, teamId: null });
+    const annotated = items.map((item) => ({
+      ...item,
+      compliance_violations: complianceRules
+        ? checkCompliance({ threadParts: splitThreadParts(item.content || '') }, complianceRules).violations
+        : [],
+    }));
+    res.json({ items: annotated });
   } catch (error) {
     console.error('[ContentReview] GET / error:', error.message);
     res.status(500).json({ error: 'Failed to fetch content queue' });
@@ -141,10 +98,12 @@ router.post('/generate', async (req, res) => {
     }
 
     // 5 credits for weekly content generation (7 AI tweets at a discount)
-    const creditResult = await creditService.checkAndDeductCredits(userId, 'weekly_content_generation', 5);
+    const spend = { userId, strategyId: strategy.id, amount: 5 };
+    const creditResult = await deductBudgetedCredits({ ...spend, operation: 'weekly_content_generation' });
     if (!creditResult.success) {
       return res.status(402).json({
         error: 'Insufficient credits. 5 credits required for weekly content generation.',
+        ...budgetRefusalFields(creditResult),
         available: creditResult.available,
         required: 5,
       });
@@ -155,7 +114,7 @@ router.post('/generate', async (req, res) => {
       result = await weeklyContentService.generateForUser(userId, strategy_id);
     } catch (genError) {
       // Refund credits on failure
-      try { await creditService.refundCredits(userId, 'weekly_content_generation_failed', 5); } catch {}
+      try { await refundBudgetedCredits({ ...spend, reason: 'weekly_content_generation_failed' }); } catch {}
       throw genError;
     }
     res.json({
@@ -202,24 +161,13 @@ router.post('/:id/approve', contentReviewRateLimit, async (req, res) => {
     const { id } = req.params;
     const userId = req.user.id;
 
-    const item = await weeklyContentService.approveItem(id, userId);
-    if (!item) {
-      return res.status(404).json({ error: 'Item not found or already processed' });
-    }
-
-    // Auto-schedule if suggested_time exists
-    let scheduled = null;
-    if (item.suggested_time) {
-      const result = await scheduleContentItem(userId, item);
-      if (result.ok) {
-        scheduled = { scheduledTweetId: result.scheduledTweetId, scheduledFor: result.scheduledFor };
-        console.log(`[ContentReview] Auto-scheduled approved item ${id} → tweet ${result.scheduledTweetId}`);
-      } else {
-        console.warn(`[ContentReview] Approved item ${id} but auto-schedule failed: ${result.error}`);
-      }
+    const result = await approveQueueItem(id, userId);
+    if (result.error) {
+      const { status, ...body } = result;
+      return res.status(status).json(body);
     }
 
-    res.json({ item, scheduled });
+    res.json({ item: result.item, scheduled: result.scheduled });
   } catch (error) {
     console.error('[ContentReview] POST /:id/approve error:', error.message);
     res.status(500).json({ error: 'Failed to approve item' });
@@ -263,7 +211,9 @@ router.post('/:id/schedule', contentReviewRateLimit, async (req, res) => {
 
     const result = await scheduleContentItem(userId, item, scheduled_for, timezone);
     if (!result.ok) {
-      return res.status(400).json({ error: result.error });
+      return result.violations
+        ? res.status(422).json({ error: result.error, code: 'COMPLIANCE_BLOCKED', violations: result.violations })
+        : res.status(400).json({ error: result.error });
     }
 
     res.json({
@@ -291,7 +241,22 @@ router.post('/batch-approve', contentReviewRateLimit, async (req, res) => {
       return res.status(400).json({ error: 'Maximum 50 items per batch' });
     }
 
-    const items = await weeklyContentService.batchApprove(item_ids, userId);
+    // Items that break the compliance rules stay in the queue for editing
+    const { rows: candidates } = await pool.query(
+      `SELECT id, content, strategy_id FROM content_review_queue WHERE id = ANY($1) AND user_id = $2`,
+      [item_ids, userId]
+    );
+    const blocked = [];
+    for (const candidate of candidates) {
+      const compliance = await checkItemCompliance(userId, candidate);
+      if (!compliance.passed) blocked.push({ id: candidate.id, violations: compliance.violations });
+    }
+    const blockedIds = new Set(blocked.map((entry) => String(entry.id)));
+    const approvableIds = item_ids.filter((itemId) => !blockedIds.has(String(itemId)));
+
+    const items = approvableIds.length > 0
+      ? await weeklyContentService.batchApprove(approvableIds, userId)
+      : [];
 
     // Auto-schedule each approved item that has a suggested_time
     let scheduledCount = 0;
@@ -303,10 +268,12 @@ router.post('/batch-approve', contentReviewRateLimit, async (req, res) => {
     }
 
     res.json({
-      message: `Approved ${items.length} items, auto-scheduled ${scheduledCount}`,
+      message: `Approved ${items.length} items, auto-scheduled ${scheduledCount}`
+        + (blocked.length > 0 ? `, ${blocked.length} blocked by compliance rules` : ''),
       count: items.length,
       scheduledCount,
       items,
+      blocked,
     });
   } catch (error) {
     console.error('[ContentReview] POST /batch-approve error:', error.message);
@@ -343,7 +310,7 @@ router.post('/batch-schedule', contentReviewRateLimit, async (req, res) => {
         results.scheduled++;
       } else {
         results.failed++;
-        results.errors.push({ id: item.id, error: result.error });
+        results.errors.push({ id: item.id, error: result.error, ...(result.violations ? { violations: result.violations } : {}) });
       }
     }
 
@@ -382,23 +349,22 @@ router.delete('/:id', contentReviewRateLimit, async (req, res) => {
 // ─── Phase 6: Repurpose a tweet ──────────────────────────────────────────
 router.post('/repurpose/:tweetId', authenticateToken, requireProPlan, async (req, res) => {
   try {
-    const userId = req.user.userId;
+    const userId = req.user.id;
     const { tweetId } = req.params;
     const { formats } = req.body; // optional: ['linkedin', 'thread', 'alternatives']
 
     // Credit check: 3 credits for repurposing
     const REPURPOSE_CREDITS = 3;
-    const canAfford = await creditService.canAfford(userId, REPURPOSE_CREDITS);
-    if (!canAfford) {
-      return res.status(402).json({ error: 'Insufficient credits', credits_required: REPURPOSE_CREDITS });
+    const spend = { userId, teamId: req.headers['x-team-id'] || null, amount: REPURPOSE_CREDITS };
+    const creditResult = await deductBudgetedCredits({ ...spend, operation: 'repurpose_tweet' });
+    if (!creditResult.success) {
+      return res.status(402).json({
+        error: 'Insufficient credits',
+        ...budgetRefusalFields(creditResult),
+        credits_required: REPURPOSE_CREDITS,
+      });
     }
 
-    // Deduct credits
-    await creditService.deductCredits(userId, REPURPOSE_CREDITS, 'repurpose_tweet', {
-      tweet_id: tweetId,
-      formats: formats || ['linkedin', 'thread', 'alternatives'],
-    });
-
     try {
       const { repurposeService } = await import('../services/repurposeService.js');
       const result = await repurposeService.repurposeTweet(userId, tweetId, { formats });
@@ -410,10 +376,7 @@ router.post('/repurpose/:tweetId', authenticateToken, requireProPlan, async (req
       });
     } catch (repurposeError) {
       // Refund credits on failure
-      await creditService.addCredits(userId, REPURPOSE_CREDITS, 'repurpose_refund', {
-        tweet_id: tweetId,
-        error: repurposeError.message,
-      });
+      await refundBudgetedCredits({ ...spend, reason: 'repurpose_refund' }).catch(() => {});
       throw repurposeError;
     }
   } catch (error) {
@@ -1,8 +1,30 @@
 import express from 'express';
+import pool from '../config/database.js';
 import { creditService } from '../services/creditService.js';
 import { TeamCreditService } from '../services/teamCreditService.js';
+import { deleteBudget, getSpendReport, listBudgetTargets, listBudgets, saveBudget } from '../services/creditBudgetService.js';
+import { BUDGET_SCOPES, isUuid, normalizeBudgetInput } from '../utils/creditBudgets.js';
 
 const router = express.Router();
+const MANAGER_ROLES = ['owner', 'admin'];
+
+// Personal budgets by default; with x-team-id, the team's budgets and spend,
+// which show what each member spent, so only owners and admins see them.
+const resolveBudgetScope = async (req) => {
+  const userId = req.user.id;
+  const teamId = req.headers['x-team-id'] || null;
+  if (!teamId) return { scope: { userId, teamId: null } };
+
+  const { rows } = await pool.query(
+    'SELECT role FROM team_members WHERE team_id = $1 AND user_id = $2 AND status = $3',
+    [teamId, userId, 'active']
+  );
+  if (rows.length === 0) return { status: 403, error: 'Not a member of this team' };
+  if (!MANAGER_ROLES.includes(rows[0].role)) {
+    return { status: 403, error: 'Only team owners and admins can manage credit budgets' };
+  }
+  return { scope: { userId, teamId } };
+};
 
 // Get credit balance and usage
 router.get('/balance', async (req, res) => {
@@ -67,6 +89,75 @@ router.get('/pricing', async (req, res) => {
   }
 });
 
+// GET /api/credits/budgets — budgets with this month's spend, and the members and strategies they can cover
+router.get('/budgets', async (req, res) => {
+  try {
+    const { scope, status, error } = await resolveBudgetScope(req);
+    if (!scope) return res.status(status).json({ error });
+
+    const [budgets, targets] = await Promise.all([listBudgets(scope), listBudgetTargets(scope)]);
+    res.json({
+      success: true,
+      scope: scope.teamId ? 'team' : 'personal',
+      scope_types: scope.teamId ? BUDGET_SCOPES : ['strategy'],
+      budgets,
+      ...targets,
+    });
+  } catch (error) {
+    console.error('[CreditBudgets] List error:', error);
+    res.status(500).json({ error: 'Failed to fetch credit budgets' });
+  }
+});
+
+// PUT /api/credits/budgets — create or replace the budget of a member or strategy
+router.put('/budgets', async (req, res) => {
+  try {
+    const { scope, status, error } = await resolveBudgetScope(req);
+    if (!scope) return res.status(status).json({ error });
+
+    const { values, error: inputError } = normalizeBudgetInput(req.body);
+    if (inputError) return res.status(400).json({ error: inputError });
+
+    const result = await saveBudget(scope, values, req.user.id);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json({ success: true, budget: result.budget });
+  } catch (error) {
+    console.error('[CreditBudgets] Save error:', error);
+    res.status(500).json({ error: 'Failed to save credit budget' });
+  }
+});
+
+// DELETE /api/credits/budgets/:budgetId
+router.delete('/budgets/:budgetId', async (req, res) => {
+  try {
+    const { scope, status, error } = await resolveBudgetScope(req);
+    if (!scope) return res.status(status).json({ error });
+    if (!isUuid(req.params.budgetId)) return res.status(404).json({ error: 'Budget not found' });
+
+    const deleted = await deleteBudget(scope, req.params.budgetId);
+    if (!deleted) return res.status(404).json({ error: 'Budget not found' });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('[CreditBudgets] Delete error:', error);
+    res.status(500).json({ error: 'Failed to delete credit budget' });
+  }
+});
+
+// GET /api/credits/report?month=YYYY-MM — spend by member, strategy, client and operation
+router.get('/report', async (req, res) => {
+  try {
+    const { scope, status, error } = await resolveBudgetScope(req);
+    if (!scope) return res.status(status).json({ error });
+
+    const report = await getSpendReport(scope, { month: req.query.month || null });
+    if (!report) return res.status(400).json({ error: 'month must be in YYYY-MM format' });
+    res.json({ success: true, report });
+  } catch (error) {
+    console.error('[CreditBudgets] Report error:', error);
+    res.status(500).json({ error: 'Failed to build credit report' });
+  }
+});
+
 // Refund credits (for failed operations)
 router.post('/refund', async (req, res) => {
   try {
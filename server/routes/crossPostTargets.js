@@ -4,8 +4,14 @@ import pool from '../config/database.js';
 import { logger } from '../utils/logger.js';
 import { listLatestPersonalTwitterAuth } from '../utils/personalTwitterAuth.js';
 import { listTwitterConnectedAccounts } from '../utils/twitterConnectedAccountRegistry.js';
+import { buildCrossPostPayloads, normalizeCrossPostOverrides } from '../utils/crossPostOptimizer.js';
+import { NATIVE_PLATFORM_LIMITS } from '../utils/schedulePlatforms.js';
+import { CROSS_POST_REWRITE_PLATFORMS, rewriteForPlatforms } from '../services/crossPostRewriteService.js';
+import { deductBudgetedCredits, refundBudgetedCredits } from '../services/creditBudgetService.js';
+import { budgetRefusalFields } from '../utils/creditBudgets.js';
 
 const router = express.Router();
+const CROSS_POST_REWRITE_CREDIT_COST = 1;
 
 const normalizeTarget = (target = {}) => ({
   id: target?.id !== undefined && target?.id !== null ? String(target.id) : null,
@@ -530,4 +536,119 @@ router.get('/targets/linkedin', async (req, res) => {
   }
 });
 
+const normalizeMentionMap = (value) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return {};
+  return Object.fromEntries(
+    Object.entries(value)
+      .slice(0, 50)
+      .map(([handle, mapped]) => [
+        String(handle).replace(/^@/, '').toLowerCase(),
+        {
+          ...(typeof mapped?.linkedin === 'string' && mapped.linkedin.trim() ? { linkedin: mapped.linkedin.trim().slice(0, 100) } : {}),
+          ...(typeof mapped?.threads === 'string' && mapped.threads.trim() ? { threads: mapped.threads.trim().replace(/^@/, '').slice(0, 30) } : {}),
+        },
+      ])
+  );
+};
+
+const describePayloads = (payloads, parts) => ({
+  x: {
+    postMode: parts.length > 1 ? 'thread' : 'single',
+    parts,
+  },
+  linkedin: {
+    ...payloads.linkedin,
+    charCount: payloads.linkedin.content.length,
+    maxChars: NATIVE_PLATFORM_LIMITS.linkedin.maxChars,
+  },
+  threads: {
+    ...payloads.threads,
+    maxChars: NATIVE_PLATFORM_LIMITS.threads.maxChars,
+  },
+});
+
+// POST /api/cross-post/preview
+// What X, LinkedIn and Threads would each receive for a post, before it is
+// posted or scheduled. With aiRewrite, also returns AI platform-native versions
+// (charged in credits) that can be sent back as crossPostOverrides.
+router.post('/preview', async (req, res) => {
+  const userId = req.user?.id || req.user?.userId || null;
+  const {
+    content = '',
+    thread = [],
+    optimizeCrossPost = true,
+    mentionMap = null,
+    linkedinCta,
+    overrides = null,
+    aiRewrite = false,
+    platforms = CROSS_POST_REWRITE_PLATFORMS,
+  } = req.body || {};
+
+  if (!userId) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const parts = (Array.isArray(thread) && thread.length > 0 ? thread : [content])
+    .map((part) => String(part || '').trim())
+    .filter(Boolean);
+  if (parts.length === 0) {
+    return res.status(400).json({ error: 'Please enter some content' });
+  }
+
+  const options = {
+    content: parts[0],
+    thread: parts,
+    optimizeCrossPost,
+    mentionMap: normalizeMentionMap(mentionMap),
+    ...(typeof linkedinCta === 'string' ? { linkedinCta: linkedinCta.trim().slice(0, 300) } : {}),
+    overrides: normalizeCrossPostOverrides(overrides),
+  };
+
+  if (!aiRewrite) {
+    return res.json({ success: true, preview: describePayloads(buildCrossPostPayloads(options), parts), ai: null });
+  }
+
+  let token = req.cookies?.accessToken;
+  if (!token) {
+    const authHeader = req.headers['authorization'];
+    token = authHeader && authHeader.split(' ')[1];
+  }
+
+  const spend = { userId, teamId: req.headers['x-team-id'] || null, amount: CROSS_POST_REWRITE_CREDIT_COST, token };
+  let charged = false;
+  try {
+    const creditCheck = await deductBudgetedCredits({ ...spend, operation: 'ai_cross_post_rewrite' });
+    if (!creditCheck.success) {
+      return res.status(402).json({
+        error: 'Insufficient credits',
+        ...budgetRefusalFields(creditCheck),
+        creditsRequired: CROSS_POST_REWRITE_CREDIT_COST,
+        creditsAvailable: creditCheck.creditsAvailable ?? creditCheck.available ?? 0,
+      });
+    }
+    charged = true;
+
+    const rewrite = await rewriteForPlatforms({
+      parts,
+      platforms: Array.isArray(platforms) ? platforms : CROSS_POST_REWRITE_PLATFORMS,
+      userId,
+    });
+    return res.json({
+      success: true,
+      preview: describePayloads(buildCrossPostPayloads({ ...options, overrides: rewrite.overrides }), parts),
+      ai: {
+        overrides: rewrite.overrides,
+        provider: rewrite.provider,
+        creditsUsed: CROSS_POST_REWRITE_CREDIT_COST,
+      },
+    });
+  } catch (error) {
+    logger.error('[Cross-post Preview] AI rewrite failed', { userId, error: error?.message || String(error) });
+    if (charged) {
+      await refundBudgetedCredits({ ...spend, reason: 'ai_cross_post_rewrite' }).catch(() => {});
+    }
+    return res.status(500).json({ error: 'Failed to rewrite post for other platforms' });
+  }
+});
+
 export default router;
@@ -0,0 +1,86 @@
+import express from 'express';
+import pool from '../config/database.js';
+import { evergreenService } from '../services/evergreenService.js';
+import { permissionForWrites } from '../utils/teamAccountPermissions.js';
+import { buildAccountScope, buildReconnectRequiredPayload, resolveTwitterScope } from '../utils/twitterScopeResolver.js';
+
+const router = express.Router();
+
+const resolveEvergreenScope = async (req) => {
+  const twitterScope = await resolveTwitterScope(pool, {
+    userId: req.user.id,
+    selectedAccountId: req.headers['x-selected-account-id'],
+    teamId: req.headers['x-team-id'] || null,
+    permission: permissionForWrites(req, 'schedule'),
+  });
+  return buildAccountScope(twitterScope);
+};
+
+// GET /api/evergreen — evergreen tweets and cadence settings for the selected account
+router.get('/', async (req, res) => {
+  try {
+    const scope = await resolveEvergreenScope(req);
+    if (!scope) return res.status(400).json(buildReconnectRequiredPayload());
+
+    const [tweets, settings] = await Promise.all([
+      evergreenService.listEvergreen(scope),
+      evergreenService.getSettings(scope),
+    ]);
+    res.json({ success: true, tweets, settings });
+  } catch (error) {
+    console.error('[Evergreen] List error:', error);
+    res.status(500).json({ error: 'Failed to fetch evergreen tweets' });
+  }
+});
+
+// GET /api/evergreen/candidates — top-performing posted tweets not yet marked evergreen
+router.get('/candidates', async (req, res) => {
+  try {
+    const scope = await resolveEvergreenScope(req);
+    if (!scope) return res.status(400).json(buildReconnectRequiredPayload());
+
+    const candidates = await evergreenService.getCandidates(scope, req.query.limit);
+    res.json({ success: true, candidates });
+  } catch (error) {
+    console.error('[Evergreen] Candidates error:', error);
+    res.status(500).json({ error: 'Failed to fetch evergreen candidates' });
+  }
+});
+
+// PUT /api/evergreen/settings
+// Body: { is_enabled, cadence_days, min_gap_days, post_hour, timezone }
+router.put('/settings', async (req, res) => {
+  try {
+    const scope = await resolveEvergreenScope(req);
+    if (!scope) return res.status(400).json(buildReconnectRequiredPayload());
+
+    const settings = await evergreenService.updateSettings(scope, req.body || {});
+    res.json({ success: true, settings });
+  } catch (error) {
+    console.error('[Evergreen] Settings update error:', error);
+    res.status(500).json({ error: 'Failed to update evergreen settings' });
+  }
+});
+
+// POST /api/evergreen/:tweetId — mark a posted tweet as evergreen
+// DELETE /api/evergreen/:tweetId — remove it from the recycling pool
+const setEvergreenHandler = (isEvergreen) => async (req, res) => {
+  try {
+    const scope = await resolveEvergreenScope(req);
+    if (!scope) return res.status(400).json(buildReconnectRequiredPayload());
+
+    const tweet = await evergreenService.setEvergreen(scope, req.params.tweetId, isEvergreen);
+    if (!tweet) {
+      return res.status(404).json({ error: 'Posted tweet not found for this account' });
+    }
+    res.json({ success: true, tweet });
+  } catch (error) {
+    console.error('[Evergreen] Toggle error:', error);
+    res.status(500).json({ error: 'Failed to update evergreen status' });
+  }
+};
+
+router.post('/:tweetId', setEvergreenHandler(true));
+router.delete('/:tweetId', setEvergreenHandler(false));
+
+export default router;
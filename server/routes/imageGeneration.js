@@ -2,7 +2,9 @@ import express from 'express';
 import { imageGenerationService } from '../services/imageGenerationService.js';
 import { authenticateToken } from '../middleware/auth.js';
 import { resolveRequestPlanType } from '../middleware/planAccess.js';
-import { creditService } from '../services/creditService.js';
+import { deductBudgetedCredits } from '../services/creditBudgetService.js';
+import { budgetRefusalFields } from '../utils/creditBudgets.js';
+import { resolveLibraryScope, saveAsset } from '../services/mediaLibraryService.js';
 
 const router = express.Router();
 
@@ -54,7 +56,13 @@ const handleImageGeneration = async (req, res) => {
     // Check and deduct credits (with fallback for development)
     let creditCheck;
     try {
-      creditCheck = await creditService.checkAndDeductCredits(userId, 'ai_image_generation', creditCost, userToken);
+      creditCheck = await deductBudgetedCredits({
+        userId,
+        teamId: req.headers['x-team-id'] || null,
+        operation: 'ai_image_generation',
+        amount: creditCost,
+        token: userToken,
+      });
     } catch (creditError) {
       console.warn('Credit service unavailable:', creditError.message);
       // In development mode, continue without credits
@@ -69,6 +77,7 @@ const handleImageGeneration = async (req, res) => {
     if (!creditCheck.success) {
       return res.status(402).json({ 
         error: 'Insufficient credits for AI image generation',
+        ...budgetRefusalFields(creditCheck),
         required: creditCost,
         available: creditCheck.available
       });
@@ -81,11 +90,29 @@ const handleImageGeneration = async (req, res) => {
     // Convert to base64 for frontend
     const base64Image = imageGenerationService.convertToBase64(result.imageBuffer, result.filename);
 
+    // Keep the image in the media library so it can be reused later. Best-effort:
+    // the generated image is returned even if storage is unavailable.
+    let assetId = null;
+    try {
+      const libraryScope = await resolveLibraryScope(userId, req.headers['x-team-id'] || null);
+      if (libraryScope) {
+        const { asset } = await saveAsset(libraryScope, result.imageBuffer, {
+          mimetype: result.filename.endsWith('.png') ? 'image/png' : 'image/jpeg',
+          source: 'ai_generated',
+          prompt: prompt.trim(),
+        });
+        assetId = asset?.id || null;
+      }
+    } catch (libraryError) {
+      console.warn('Failed to save generated image to media library:', libraryError.message);
+    }
+
     const responseData = {
       success: true,
       imageUrl: base64Image, // Changed from 'image' to 'imageUrl' to match frontend expectation
       filename: result.filename,
       provider: result.provider,
+      assetId,
       generatedAt: new Date().toISOString(),
       creditsUsed: creditCost
     };
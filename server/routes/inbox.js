@@ -0,0 +1,226 @@
+import express from 'express';
+import pool from '../config/database.js';
+import { validateTwitterConnection } from '../middleware/auth.js';
+import { requireAccountPermission } from '../middleware/accountPermissions.js';
+import { deductBudgetedCredits, refundBudgetedCredits } from '../services/creditBudgetService.js';
+import { checkPostCompliance } from '../services/complianceService.js';
+import {
+  INBOX_STATUSES,
+  MAX_REPLY_LENGTH,
+  getInboxItem,
+  getSyncState,
+  listAssignees,
+  listInboxItems,
+  recordReply,
+  suggestReplies,
+  syncAccountInbox,
+  updateInboxItem,
+} from '../services/inboxService.js';
+import { createTwitterPostingClient } from '../utils/twitterRuntimeAuth.js';
+import { budgetRefusalFields } from '../utils/creditBudgets.js';
+import { buildAccountScope, buildReconnectRequiredPayload, resolveTwitterScope } from '../utils/twitterScopeResolver.js';
+
+const router = express.Router();
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const REPLY_SUGGESTION_CREDIT_COST = 1;
+
+// Inbox of the selected account (x-selected-account-id, plus x-team-id for team accounts).
+const resolveInboxScope = async (req, permission = null) => {
+  const twitterScope = await resolveTwitterScope(pool, {
+    userId: req.user.id,
+    selectedAccountId: req.headers['x-selected-account-id'],
+    teamId: req.headers['x-team-id'] || null,
+    permission,
+  });
+  return buildAccountScope(twitterScope);
+};
+
+const getRequestToken = (req) => {
+  let token = req.cookies?.accessToken;
+  if (!token) {
+    const authHeader = req.headers['authorization'];
+    token = authHeader && authHeader.split(' ')[1];
+  }
+  return token;
+};
+
+// GET /api/inbox — ?status=open|handled|all&kind=&assignedTo=me|unassigned|<userId>&limit=&offset=
+router.get('/', async (req, res) => {
+  try {
+    const scope = await resolveInboxScope(req);
+    if (!scope) return res.status(400).json(buildReconnectRequiredPayload());
+
+    const [{ items, counts }, syncState] = await Promise.all([
+      listInboxItems(scope, req.query),
+      getSyncState(scope),
+    ]);
+    res.json({
+      success: true,
+      items,
+      counts,
+      lastSyncedAt: syncState?.last_sync_at || null,
+      lastSyncResult: syncState?.last_result || null,
+    });
+  } catch (error) {
+    console.error('[Inbox] List error:', error);
+    res.status(500).json({ error: 'Failed to fetch inbox' });
+  }
+});
+
+// GET /api/inbox/assignees — who items of the selected account can be assigned to
+router.get('/assignees', async (req, res) => {
+  try {
+    const scope = await resolveInboxScope(req);
+    if (!scope) return res.status(400).json(buildReconnectRequiredPayload());
+
+    res.json({ success: true, assignees: await listAssignees(scope) });
+  } catch (error) {
+    console.error('[Inbox] Assignees error:', error);
+    res.status(500).json({ error: 'Failed to fetch assignees' });
+  }
+});
+
+// POST /api/inbox/sync — pull new mentions for the selected account now
+router.post('/sync', validateTwitterConnection, async (req, res) => {
+  try {
+    const scope = await resolveInboxScope(req);
+    if (!scope) return res.status(400).json(buildReconnectRequiredPayload());
+
+    const syncState = await getSyncState(scope);
+    if (syncState?.next_allowed_at && new Date(syncState.next_allowed_at) > new Date()) {
+      return res.status(429).json({
+        error: 'X rate limit reached for mentions. Try again later.',
+        retryAt: syncState.next_allowed_at,
+      });
+    }
+
+    const result = await syncAccountInbox(scope, req.twitterAccount, {
+      accountType: req.twitterAccount.isTeamAccount ? 'team' : 'personal',
+    });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    if (error?.code === 429) {
+      return res.status(429).json({ error: 'X rate limit reached for mentions. Try again later.' });
+    }
+    console.error('[Inbox] Sync error:', error);
+    res.status(500).json({ error: 'Failed to sync inbox' });
+  }
+});
+
+// PATCH /api/inbox/:id — Body: { status?: 'open'|'handled', assignedTo?: userId|null }
+router.patch('/:id', async (req, res) => {
+  try {
+    if (!UUID_PATTERN.test(req.params.id)) return res.status(404).json({ error: 'Inbox item not found' });
+    const scope = await resolveInboxScope(req);
+    if (!scope) return res.status(400).json(buildReconnectRequiredPayload());
+
+    const { status, assignedTo } = req.body || {};
+    const updates = {};
+    if (status !== undefined) {
+      if (!INBOX_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${INBOX_STATUSES.join(', ')}` });
+      }
+      updates.status = status;
+    }
+    if (assignedTo !== undefined) {
+      if (assignedTo !== null) {
+        const assignees = await listAssignees(scope);
+        if (!assignees.some((assignee) => String(assignee.id) === String(assignedTo))) {
+          return res.status(400).json({ error: 'Items can only be assigned to members of this team' });
+        }
+      }
+      updates.assignedTo = assignedTo;
+    }
+
+    const item = await updateInboxItem(scope, req.params.id, updates, req.user.id);
+    if (!item) return res.status(404).json({ error: 'Inbox item not found' });
+    res.json({ success: true, item });
+  } catch (error) {
+    console.error('[Inbox] Update error:', error);
+    res.status(500).json({ error: 'Failed to update inbox item' });
+  }
+});
+
+// POST /api/inbox/:id/suggest-replies — AI reply options in the account's voice
+router.post('/:id/suggest-replies', async (req, res) => {
+  const userId = req.user.id;
+  const token = getRequestToken(req);
+  let spend = null;
+  try {
+    if (!UUID_PATTERN.test(req.params.id)) return res.status(404).json({ error: 'Inbox item not found' });
+    const scope = await resolveInboxScope(req);
+    if (!scope) return res.status(400).json(buildReconnectRequiredPayload());
+
+    const item = await getInboxItem(scope, req.params.id);
+    if (!item) return res.status(404).json({ error: 'Inbox item not found' });
+
+    const replySpend = { userId, teamId: scope.teamId || null, amount: REPLY_SUGGESTION_CREDIT_COST, token };
+    const creditCheck = await deductBudgetedCredits({ ...replySpend, operation: 'ai_reply_suggestions' });
+    if (!creditCheck.success) {
+      return res.status(402).json({
+        error: 'Insufficient credits',
+        ...budgetRefusalFields(creditCheck),
+        creditsRequired: REPLY_SUGGESTION_CREDIT_COST,
+        creditsAvailable: creditCheck.creditsAvailable ?? creditCheck.available ?? 0,
+      });
+    }
+    spend = replySpend;
+
+    const { suggestions, provider } = await suggestReplies(scope, item);
+    res.json({ success: true, suggestions, provider, creditsUsed: REPLY_SUGGESTION_CREDIT_COST });
+  } catch (error) {
+    console.error('[Inbox] Suggest replies error:', error);
+    if (spend) {
+      await refundBudgetedCredits({ ...spend, reason: 'ai_reply_suggestions' }).catch(() => {});
+    }
+    res.status(500).json({ error: 'Failed to suggest replies' });
+  }
+});
+
+// POST /api/inbox/:id/reply — Body: { text } — replies on X and marks the item handled
+router.post('/:id/reply', requireAccountPermission('post'), validateTwitterConnection, async (req, res) => {
+  try {
+    if (!UUID_PATTERN.test(req.params.id)) return res.status(404).json({ error: 'Inbox item not found' });
+    const scope = await resolveInboxScope(req, 'post');
+    if (!scope) return res.status(400).json(buildReconnectRequiredPayload());
+
+    const text = typeof req.body?.text === 'string' ? req.body.text.trim() : '';
+    if (!text) return res.status(400).json({ error: 'Please enter a reply' });
+    if (text.length > MAX_REPLY_LENGTH) {
+      return res.status(400).json({ error: `Replies are limited to ${MAX_REPLY_LENGTH} characters` });
+    }
+
+    const item = await getInboxItem(scope, req.params.id);
+    if (!item) return res.status(404).json({ error: 'Inbox item not found' });
+    if (item.reply_tweet_id) return res.status(409).json({ error: 'This item has already been replied to' });
+
+    // Replies go out immediately, so any violation stops them (as with posting now).
+    const compliance = await checkPostCompliance({ userId: scope.userId, teamId: scope.teamId }, { content: text });
+    if (!compliance.passed) {
+      return res.status(422).json({
+        error: 'This reply breaks your compliance rules.',
+        code: 'COMPLIANCE_BLOCKED',
+        violations: compliance.violations,
+      });
+    }
+
+    const client = createTwitterPostingClient(req.twitterAccount);
+    if (!client) return res.status(401).json(buildReconnectRequiredPayload());
+    const response = await client.v2.tweet({ text, reply: { in_reply_to_tweet_id: item.tweet_id } });
+
+    const updated = await recordReply(scope, item.id, {
+      replyTweetId: String(response.data.id),
+      replyText: text,
+      userId: req.user.id,
+    });
+    res.json({ success: true, item: updated });
+  } catch (error) {
+    if (error?.code === 429) {
+      return res.status(429).json({ error: 'X rate limit reached. Try again later.' });
+    }
+    console.error('[Inbox] Reply error:', error);
+    res.status(500).json({ error: 'Failed to send reply' });
+  }
+});
+
+export default router;
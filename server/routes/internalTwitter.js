@@ -308,10 +308,11 @@ const fetchRemoteMediaAsDataUrl = async (value) => {
   }
 };
 
-const resolveUploadableCrossPostMedia = async (mediaInputs = [], { userId, teamId } = {}) => {
+// altTexts is parallel to mediaInputs; the alt text of skipped items is dropped.
+const resolveUploadableCrossPostMedia = async (mediaInputs = [], { userId, teamId, altTexts = [] } = {}) => {
   const normalized = normalizeCrossPostMediaInputs(mediaInputs);
   if (!normalized.length) {
-    return { uploadable: [], skippedCount: 0, hadErrors: false, requestedCount: 0 };
+    return { uploadable: [], uploadableAltTexts: [], skippedCount: 0, hadErrors: false, requestedCount: 0 };
   }
 
   // Resolve all items in parallel — remote fetches and data URL passthrough run simultaneously
@@ -329,6 +330,7 @@ const resolveUploadableCrossPostMedia = async (mediaInputs = [], { userId, teamI
   );
 
   const uploadable = [];
+  const uploadableAltTexts = [];
   let skippedCount = 0;
   let hadErrors = false;
 
@@ -350,10 +352,11 @@ const resolveUploadableCrossPostMedia = async (mediaInputs = [], { userId, teamI
       skippedCount += 1;
     } else {
       uploadable.push(item);
+      uploadableAltTexts.push(typeof altTexts[index] === 'string' ? altTexts[index] : '');
     }
   }
 
-  return { uploadable, skippedCount, hadErrors, requestedCount: normalized.length };
+  return { uploadable, uploadableAltTexts, skippedCount, hadErrors, requestedCount: normalized.length };
 };
 
 const hasOauth1Credentials = (account) =>
@@ -1171,6 +1174,7 @@ router.post('/cross-post', ensureInternalRequest, async (req, res) => {
     threadParts = [],
     media = [],
     mediaUrls = [],
+    mediaAltText = [],
     targetAccountId = null,
   } = req.body || {};
 
@@ -1298,6 +1302,7 @@ router.post('/cross-post', ensureInternalRequest, async (req, res) => {
         const preparedMedia = await resolveUploadableCrossPostMedia(incomingMedia, {
           userId: platformUserId,
           teamId: platformTeamId || null,
+          altTexts: Array.isArray(mediaAltText) ? mediaAltText : [],
         });
 
         if (preparedMedia.uploadable.length === 0) {
@@ -1307,7 +1312,7 @@ router.post('/cross-post', ensureInternalRequest, async (req, res) => {
             tweetMediaIds = await mediaService.uploadMedia(preparedMedia.uploadable, twitterClient, {
               accessToken: account.oauth1_access_token,
               accessTokenSecret: account.oauth1_access_token_secret,
-            });
+            }, { altTexts: preparedMedia.uploadableAltTexts });
             mediaCount = Array.isArray(tweetMediaIds) ? tweetMediaIds.length : 0;
             mediaStatus =
               preparedMedia.skippedCount > 0 ? 'posted_partial' : (mediaCount > 0 ? 'posted' : 'text_only_upload_failed');
@@ -0,0 +1,124 @@
+import express from 'express';
+import { mediaService } from '../services/mediaService.js';
+import {
+  MAX_ASSET_TAGS,
+  deleteAsset,
+  listAssets,
+  listTags,
+  resolveLibraryScope,
+  saveAsset,
+  updateAsset,
+} from '../services/mediaLibraryService.js';
+
+const router = express.Router();
+const DATA_URL_PATTERN = /^data:(image\/[a-z+.-]+);base64,(.+)$/i;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Personal library by default; with x-team-id, the team's shared library.
+const resolveScope = async (req) => {
+  const scope = await resolveLibraryScope(req.user.id, req.headers['x-team-id'] || null);
+  return scope ? { scope } : { status: 403, error: 'Not a member of this team' };
+};
+
+const parseAssetBody = (body = {}) => {
+  const updates = {};
+  if (body.tags !== undefined) {
+    if (!Array.isArray(body.tags)) return { error: 'tags must be an array of strings' };
+    if (body.tags.length > MAX_ASSET_TAGS) return { error: `Up to ${MAX_ASSET_TAGS} tags per asset` };
+    updates.tags = body.tags;
+  }
+  if (body.alt_text !== undefined) {
+    if (body.alt_text !== null && typeof body.alt_text !== 'string') return { error: 'alt_text must be a string' };
+    if (body.alt_text && body.alt_text.length > 1000) return { error: 'alt_text must be 1000 characters or fewer' };
+    updates.alt_text = body.alt_text;
+  }
+  return { updates };
+};
+
+// GET /api/media-library — ?q=&tag=&source=&kind=&limit=&offset=
+router.get('/', async (req, res) => {
+  try {
+    const { scope, status, error } = await resolveScope(req);
+    if (!scope) return res.status(status).json({ error });
+
+    const [{ assets, total }, tags] = await Promise.all([
+      listAssets(scope, req.query),
+      listTags(scope),
+    ]);
+    res.json({ success: true, assets, total, tags });
+  } catch (error) {
+    console.error('[MediaLibrary] List error:', error);
+    res.status(500).json({ error: 'Failed to fetch media library' });
+  }
+});
+
+// POST /api/media-library — Body: { media: image data URL, tags?, alt_text? }
+// Adding a file the library already has returns the existing asset.
+router.post('/', async (req, res) => {
+  try {
+    const { scope, status, error } = await resolveScope(req);
+    if (!scope) return res.status(status).json({ error });
+
+    const match = typeof req.body?.media === 'string' ? req.body.media.match(DATA_URL_PATTERN) : null;
+    if (!match) {
+      return res.status(400).json({ error: 'media must be an image data URL' });
+    }
+    const { updates, error: validationError } = parseAssetBody(req.body);
+    if (validationError) return res.status(400).json({ error: validationError });
+
+    const mimetype = match[1].toLowerCase();
+    const buffer = Buffer.from(match[2], 'base64');
+    const mediaError = mediaService.validateMediaData(buffer, mimetype);
+    if (mediaError) return res.status(400).json({ error: mediaError });
+
+    const { asset, duplicate } = await saveAsset(scope, buffer, {
+      mimetype,
+      tags: updates.tags,
+      altText: updates.alt_text,
+    });
+    if (!asset) {
+      return res.status(503).json({ error: 'Media storage is not configured' });
+    }
+    res.status(duplicate ? 200 : 201).json({ success: true, asset, duplicate });
+  } catch (error) {
+    console.error('[MediaLibrary] Create error:', error);
+    res.status(500).json({ error: 'Failed to add media to library' });
+  }
+});
+
+// PATCH /api/media-library/:id — Body: { tags?, alt_text? }
+router.patch('/:id', async (req, res) => {
+  try {
+    const { scope, status, error } = await resolveScope(req);
+    if (!scope) return res.status(status).json({ error });
+    if (!UUID_PATTERN.test(req.params.id)) return res.status(404).json({ error: 'Asset not found' });
+
+    const { updates, error: validationError } = parseAssetBody(req.body);
+    if (validationError) return res.status(400).json({ error: validationError });
+
+    const asset = await updateAsset(scope, req.params.id, updates);
+    if (!asset) return res.status(404).json({ error: 'Asset not found' });
+    res.json({ success: true, asset });
+  } catch (error) {
+    console.error('[MediaLibrary] Update error:', error);
+    res.status(500).json({ error: 'Failed to update asset' });
+  }
+});
+
+// DELETE /api/media-library/:id — the stored file is kept until pending posts using it publish
+router.delete('/:id', async (req, res) => {
+  try {
+    const { scope, status, error } = await resolveScope(req);
+    if (!scope) return res.status(status).json({ error });
+    if (!UUID_PATTERN.test(req.params.id)) return res.status(404).json({ error: 'Asset not found' });
+
+    const { deleted, fileRemoved } = await deleteAsset(scope, req.params.id);
+    if (!deleted) return res.status(404).json({ error: 'Asset not found' });
+    res.json({ success: true, fileRemoved });
+  } catch (error) {
+    console.error('[MediaLibrary] Delete error:', error);
+    res.status(500).json({ error: 'Failed to delete asset' });
+  }
+});
+
+export default router;
@@ -1,6 +1,12 @@
 import express from 'express';
 import { authenticateToken } from '../middleware/auth.js';
-import { getTeamSocialAccounts, getTeamAccountCredentials, disconnectTeamTwitterAccount } from '../controllers/proTeamController.js';
+import {
+  getTeamSocialAccounts,
+  getTeamAccountCredentials,
+  disconnectTeamTwitterAccount,
+  getAccountPermissions,
+  updateAccountPermissions,
+} from '../controllers/proTeamController.js';
 
 const router = express.Router();
 
@@ -13,4 +19,8 @@ router.get('/accounts/:accountId/credentials', authenticateToken, getTeamAccount
 // Disconnect a team Twitter account
 router.delete('/social-accounts/:accountId', authenticateToken, disconnectTeamTwitterAccount);
 
+// Per-member permissions on a team account (owners and admins)
+router.get('/social-accounts/:accountId/permissions', authenticateToken, getAccountPermissions);
+router.put('/social-accounts/:accountId/permissions/:memberId', authenticateToken, updateAccountPermissions);
+
 export default router;
\ No newline at end of file
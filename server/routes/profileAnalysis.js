@@ -1,14 +1,16 @@
 import express from 'express';
 import { profileAnalysisService } from '../services/profileAnalysisService.js';
-import { creditService } from '../services/creditService.js';
+import { deductBudgetedCredits, refundBudgetedCredits, resolveBudgetStrategyId } from '../services/creditBudgetService.js';
 import { strategyService } from '../services/strategyService.js';
 import { requireProPlan } from '../middleware/planAccess.js';
+import { budgetRefusalFields } from '../utils/creditBudgets.js';
 
 const router = express.Router();
 router.use(requireProPlan('Profile Analysis'));
 
 // POST /api/profile-analysis/analyse — kicks off full analysis pipeline
 router.post('/analyse', async (req, res) => {
+  let spend = null;
   try {
     const userId = req.user.id;
     const { strategyId } = req.body;
@@ -24,14 +26,17 @@ router.post('/analyse', async (req, res) => {
     }
 
     // Check credits (5 credits for full analysis)
-    const creditResult = await creditService.checkAndDeductCredits(userId, 'profile_analysis', 5);
+    const analysisSpend = { userId, teamId: strategy.team_id || null, strategyId, amount: 5 };
+    const creditResult = await deductBudgetedCredits({ ...analysisSpend, operation: 'profile_analysis' });
     if (!creditResult.success) {
       return res.status(402).json({
         error: 'Insufficient credits. 5 credits required for profile analysis.',
+        ...budgetRefusalFields(creditResult),
         available: creditResult.available,
         required: creditResult.required,
       });
     }
+    spend = analysisSpend;
 
     // Run analysis
     const result = await profileAnalysisService.runFullAnalysis(userId, strategyId);
@@ -49,9 +54,11 @@ router.post('/analyse', async (req, res) => {
   } catch (error) {
     console.error('[ProfileAnalysis Route] Analysis error:', error);
     // Refund credits on failure
-    try {
-      await creditService.refundCredits(req.user.id, 'profile_analysis_failed', 5);
-    } catch {}
+    if (spend) {
+      try {
+        await refundBudgetedCredits({ ...spend, reason: 'profile_analysis_failed' });
+      } catch {}
+    }
     res.status(500).json({ error: error.message || 'Analysis failed' });
   }
 });
@@ -158,10 +165,17 @@ router.post('/:analysisId/reference-accounts', async (req, res) => {
 
     // 5 credits per reference account (max 2 accounts = 10 credits)
     const creditCost = Math.min(handles.length, 2) * 5;
-    const creditResult = await creditService.checkAndDeductCredits(req.user.id, 'reference_analysis', creditCost);
+    const creditResult = await deductBudgetedCredits({
+      userId: req.user.id,
+      teamId: req.headers['x-team-id'] || null,
+      strategyId: analysis.strategy_id || null,
+      operation: 'reference_analysis',
+      amount: creditCost,
+    });
     if (!creditResult.success) {
       return res.status(402).json({
         error: `Insufficient credits. ${creditCost} credits required.`,
+        ...budgetRefusalFields(creditResult),
         available: creditResult.available,
         required: creditResult.required,
       });
@@ -177,6 +191,7 @@ router.post('/:analysisId/reference-accounts', async (req, res) => {
 
 // POST /api/profile-analysis/:analysisId/generate-prompts — generate prompt library
 router.post('/:analysisId/generate-prompts', async (req, res) => {
+  let spend = null;
   try {
     const { analysisId } = req.params;
     const { strategyId } = req.body;
@@ -192,14 +207,23 @@ router.post('/:analysisId/generate-prompts', async (req, res) => {
     }
 
     // 10 credits for prompt generation  
-    const creditResult = await creditService.checkAndDeductCredits(req.user.id, 'analysis_prompt_generation', 10);
+    const teamId = req.headers['x-team-id'] || null;
+    const promptSpend = {
+      userId: req.user.id,
+      teamId,
+      strategyId: await resolveBudgetStrategyId({ strategyId, userId: req.user.id, teamId }),
+      amount: 10,
+    };
+    const creditResult = await deductBudgetedCredits({ ...promptSpend, operation: 'analysis_prompt_generation' });
     if (!creditResult.success) {
       return res.status(402).json({
         error: 'Insufficient credits. 10 credits required for prompt generation.',
+        ...budgetRefusalFields(creditResult),
         available: creditResult.available,
         required: creditResult.required,
       });
     }
+    spend = promptSpend;
 
     const result = await profileAnalysisService.generateAnalysisPrompts(analysisId, strategyId, req.user.id);
 
@@ -210,9 +234,11 @@ router.post('/:analysisId/generate-prompts', async (req, res) => {
     });
   } catch (error) {
     console.error('[ProfileAnalysis Route] Generate prompts error:', error);
-    try {
-      await creditService.refundCredits(req.user.id, 'analysis_prompt_generation_failed', 10);
-    } catch {}
+    if (spend) {
+      try {
+        await refundBudgetedCredits({ ...spend, reason: 'analysis_prompt_generation_failed' });
+      } catch {}
+    }
     res.status(500).json({ error: error.message || 'Failed to generate prompts' });
   }
 });
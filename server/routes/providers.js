@@ -3,34 +3,15 @@ import { aiService } from '../services/aiService.js';
 
 const router = express.Router();
 
-// Get available AI providers and their status
+// Get registered AI providers, whether they are configured, and whether the user's plan allows them
 router.get('/', async (req, res) => {
   try {
-    const userId = req.user.id;
+    const { planType, providers } = await aiService.getProviderStatus(
+      req.user.id,
+      req.user.plan_type || req.user.planType || null
+    );
 
-    // Define available providers (now using platform directly, no hub needed)
-    const providers = [
-      {
-        name: 'openai',
-        display_name: 'OpenAI GPT',
-        available: true, // Platform handles provider availability
-        models: ['gpt-3.5-turbo', 'gpt-4']
-      },
-      {
-        name: 'perplexity',
-        display_name: 'Perplexity AI',
-        available: true,
-        models: ['llama-3.1-sonar-small-128k-online']
-      },
-      {
-        name: 'google',
-        display_name: 'Google Gemini',
-        available: true,
-        models: ['gemini-pro']
-      }
-    ];
-
-    res.json({ providers });
+    res.json({ planType, providers });
 
   } catch (error) {
     console.error('Get providers error:', error);
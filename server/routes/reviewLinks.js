@@ -0,0 +1,174 @@
+import express from 'express';
+import { reviewPortalRateLimit } from '../middleware/rateLimit.js';
+import {
+  MAX_LINK_EXPIRY_DAYS,
+  MAX_LINK_ITEMS,
+  REVIEW_ITEM_TYPES,
+  actOnLinkItem,
+  createReviewLink,
+  findLinkByToken,
+  getPortalItems,
+  isActiveTeamMember,
+  listLinkEvents,
+  listReviewLinks,
+  markLinkOpened,
+  resolveShareableItems,
+  revokeReviewLink,
+} from '../services/reviewLinkService.js';
+
+const router = express.Router();
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PORTAL_ACTIONS = { approve: 'approved', reject: 'rejected', comments: 'commented' };
+
+const readIds = (value) =>
+  (Array.isArray(value) ? value : []).map((id) => String(id || '').trim()).filter((id) => UUID_PATTERN.test(id));
+
+const LINK_NOT_FOUND = { error: 'This review link is invalid, expired or revoked', code: 'REVIEW_LINK_INVALID' };
+
+// ─── Public portal (authenticated by the signed token) ───────────────────
+
+// GET /api/review-links/portal/:token — posts shared through the link
+router.get('/portal/:token', reviewPortalRateLimit, async (req, res) => {
+  try {
+    const link = await findLinkByToken(req.params.token);
+    if (!link) return res.status(404).json(LINK_NOT_FOUND);
+
+    const items = await getPortalItems(link);
+    await markLinkOpened(link.id);
+    res.json({
+      success: true,
+      link: { label: link.label, expires_at: link.expires_at },
+      items,
+    });
+  } catch (error) {
+    console.error('[ReviewLinks] Portal load error:', error);
+    res.status(500).json({ error: 'Failed to load review' });
+  }
+});
+
+// POST /api/review-links/portal/:token/items/:itemType/:itemId/(approve|reject|comments)
+router.post('/portal/:token/items/:itemType/:itemId/:action', reviewPortalRateLimit, async (req, res) => {
+  try {
+    const { itemType, itemId } = req.params;
+    const action = PORTAL_ACTIONS[req.params.action];
+    if (!action || !REVIEW_ITEM_TYPES.includes(itemType) || !UUID_PATTERN.test(itemId)) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    const link = await findLinkByToken(req.params.token);
+    if (!link) return res.status(404).json(LINK_NOT_FOUND);
+
+    const reviewerName = String(req.body?.reviewerName || '').trim().slice(0, 120);
+    const reviewerEmail = String(req.body?.reviewerEmail || '').trim().slice(0, 255);
+    if (!reviewerName) return res.status(400).json({ error: 'Enter your name so the team knows who reviewed this' });
+    if (reviewerEmail && !EMAIL_PATTERN.test(reviewerEmail)) {
+      return res.status(400).json({ error: 'Enter a valid email address' });
+    }
+
+    const result = await actOnLinkItem(link, {
+      itemType,
+      itemId,
+      action,
+      reviewer: { name: reviewerName, email: reviewerEmail || null },
+      comment: req.body?.comment,
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent'],
+    });
+    if (result.error) {
+      const { status, ...body } = result;
+      return res.status(status).json(body);
+    }
+
+    res.json({ success: true, event: { action, created_at: result.event.created_at } });
+  } catch (error) {
+    console.error('[ReviewLinks] Portal action error:', error);
+    res.status(500).json({ error: 'Failed to save your review' });
+  }
+});
+
+// ─── Link management ─────────────────────────────────────────────────────
+
+// GET /api/review-links — links the user has shared
+router.get('/', async (req, res) => {
+  try {
+    res.json({ success: true, links: await listReviewLinks(req.user.id) });
+  } catch (error) {
+    console.error('[ReviewLinks] List error:', error);
+    res.status(500).json({ error: 'Failed to fetch review links' });
+  }
+});
+
+// POST /api/review-links — share pending approvals and/or content-queue items
+router.post('/', async (req, res) => {
+  try {
+    const scheduledTweetIds = readIds(req.body?.scheduledTweetIds);
+    const queueItemIds = readIds(req.body?.queueItemIds);
+    if (scheduledTweetIds.length + queueItemIds.length === 0) {
+      return res.status(400).json({ error: 'Choose at least one pending post to share' });
+    }
+    if (scheduledTweetIds.length + queueItemIds.length > MAX_LINK_ITEMS) {
+      return res.status(400).json({ error: `A review link can hold up to ${MAX_LINK_ITEMS} posts` });
+    }
+    const expiresInDays = Number(req.body?.expiresInDays ?? 7);
+    if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_LINK_EXPIRY_DAYS) {
+      return res.status(400).json({ error: `Links can last 1-${MAX_LINK_EXPIRY_DAYS} days` });
+    }
+
+    // Only a team the user is an active member of, never the raw header.
+    const requestedTeamId = String(req.headers['x-team-id'] || '').trim() || null;
+    if (requestedTeamId && !(await isActiveTeamMember(requestedTeamId, req.user.id))) {
+      return res.status(403).json({ error: 'You are not an active member of this team' });
+    }
+
+    const items = await resolveShareableItems(req.user.id, req.agencyWorkspace, { scheduledTweetIds, queueItemIds });
+    if (items.length === 0) {
+      return res.status(400).json({ error: 'None of these posts are waiting for review' });
+    }
+
+    const { link, url } = await createReviewLink({
+      userId: req.user.id,
+      teamId: requestedTeamId,
+      agencyWorkspace: req.agencyWorkspace,
+      label: req.body?.label,
+      expiresInDays,
+      items,
+    });
+    res.status(201).json({
+      success: true,
+      link,
+      url,
+      skipped: scheduledTweetIds.length + queueItemIds.length - items.length,
+    });
+  } catch (error) {
+    console.error('[ReviewLinks] Create error:', error);
+    res.status(500).json({ error: 'Failed to create review link' });
+  }
+});
+
+// GET /api/review-links/:id/events — audit trail of a link
+router.get('/:id/events', async (req, res) => {
+  try {
+    const events = UUID_PATTERN.test(req.params.id) ? await listLinkEvents(req.user.id, req.params.id) : null;
+    if (!events) return res.status(404).json({ error: 'Review link not found' });
+    res.json({ success: true, events });
+  } catch (error) {
+    console.error('[ReviewLinks] Events error:', error);
+    res.status(500).json({ error: 'Failed to fetch review activity' });
+  }
+});
+
+// DELETE /api/review-links/:id — revoke; the URL stops working immediately
+router.delete('/:id', async (req, res) => {
+  try {
+    const revoked = UUID_PATTERN.test(req.params.id) && await revokeReviewLink(req.user.id, req.params.id);
+    if (!revoked) return res.status(404).json({ error: 'No active review link' });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('[ReviewLinks] Revoke error:', error);
+    res.status(500).json({ error: 'Failed to revoke review link' });
+  }
+});
+
+export default router;
@@ -1,10 +1,48 @@
 import express from 'express';
 import pool from '../config/database.js';
-import { validateRequest, scheduleSchema, rescheduleSchema } from '../middleware/validation.js';
-import { validateTwitterConnection } from '../middleware/auth.js';
-import { resolveTwitterScope } from '../utils/twitterScopeResolver.js';
+import { validateRequest, scheduleSchema, rescheduleSchema, seriesUpdateSchema } from '../middleware/validation.js';
+import { requireTwitterConnection } from '../middleware/auth.js';
+import { permissionForWrites } from '../utils/teamAccountPermissions.js';
+import { buildAccountScope, buildReconnectRequiredPayload, resolveTwitterScope } from '../utils/twitterScopeResolver.js';
+import {
+  NEXT_FREE_SLOT,
+  getNextFreeSlot,
+  getSlotSchedule,
+  saveSlotSchedule,
+} from '../services/postingSlotService.js';
 import { getDbScheduledTweetWorkerStatus } from '../workers/dbScheduledTweetWorker.js';
 import { schedulingRateLimit } from '../middleware/rateLimit.js';
+import { mediaService } from '../services/mediaService.js';
+import { getMediaKind } from '../utils/mediaProbe.js';
+import {
+  MAX_IMPORT_ROWS,
+  formatImportRow,
+  parseImportFile,
+  validateImportRows,
+} from '../services/scheduleImportService.js';
+import { downloadMediaToFile, removeDownloadedMedia } from '../utils/mediaDownload.js';
+import {
+  DEFAULT_X_CHAR_LIMIT,
+  buildTwitterPostingPreferenceScope,
+  getTwitterPostingPreferencesMap,
+} from '../utils/twitterPostingPreferences.js';
+import { createTwitterReadClient } from '../utils/twitterRuntimeAuth.js';
+import { emitWebhookEvent } from '../services/webhookService.js';
+import { recurringScheduleService, serializeSeries } from '../services/recurringScheduleService.js';
+import { parseRecurrenceRule } from '../utils/recurrenceRule.js';
+import { checkPostCompliance, getActiveRules } from '../services/complianceService.js';
+import { recordRevision } from '../services/approvalService.js';
+import { checkCompliance } from '../utils/complianceRules.js';
+import { normalizeCrossPostOverrides } from '../utils/crossPostOptimizer.js';
+import {
+  NATIVE_SCHEDULE_PLATFORMS,
+  PLATFORM_LABELS,
+  getPlatformStatuses,
+  normalizeSchedulePlatform,
+  validateNativePlatformPost,
+} from '../utils/schedulePlatforms.js';
+import { isTweetUnavailable, normalizeFollowUp, normalizeTweetTarget } from '../utils/tweetTarget.js';
+import { previewContent, recordAuditEvent, recordScheduledTweetEvent } from '../services/auditService.js';
 import moment from 'moment-timezone';
 
 const router = express.Router();
@@ -185,12 +223,39 @@ function normalizeScheduledCrossPostMedia({ crossPostMedia = null } = {}) {
     .slice(0, 4);
 }
 
+// Alt text parallel to normalizeScheduledCrossPostMedia's output
+function normalizeScheduledCrossPostMediaAltText({ crossPostMedia = null, crossPostMediaAltText = null } = {}) {
+  const raw = Array.isArray(crossPostMedia) ? crossPostMedia : [];
+  const altTexts = Array.isArray(crossPostMediaAltText) ? crossPostMediaAltText : [];
+  return raw
+    .map((item, index) => ({
+      item: typeof item === 'string' ? item.trim() : '',
+      altText: typeof altTexts[index] === 'string' ? altTexts[index].trim().slice(0, 1000) : '',
+    }))
+    .filter(({ item }) => Boolean(item))
+    .slice(0, 4)
+    .map(({ altText }) => altText);
+}
+
+// Keep alt text only for media ids that are actually attached to the post.
+function normalizeMediaAltTextMap(value, mediaIds = []) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return {};
+  const attached = new Set(mediaIds.map((id) => String(id)));
+  return Object.fromEntries(
+    Object.entries(value)
+      .filter(([mediaId, altText]) => attached.has(mediaId) && typeof altText === 'string' && altText.trim())
+      .map(([mediaId, altText]) => [mediaId, altText.trim().slice(0, 1000)])
+  );
+}
+
 function buildScheduledCrossPostMetadata({
   targets,
   optimizeCrossPost = true,
   routing = null,
   sourceSnapshot = null,
   media = null,
+  mediaAltText = null,
+  overrides = null,
 } = {}) {
   const linkedin = Boolean(targets?.linkedin);
   const threads = Boolean(targets?.threads);
@@ -210,7 +275,9 @@ function buildScheduledCrossPostMetadata({
       },
       ...(routing && typeof routing === 'object' ? { routing } : {}),
       ...(Array.isArray(media) && media.length > 0 ? { media } : {}),
+      ...(Array.isArray(mediaAltText) && mediaAltText.some(Boolean) ? { media_alt_text: mediaAltText } : {}),
       ...(sourceSnapshot && typeof sourceSnapshot === 'object' ? { source_snapshot: sourceSnapshot } : {}),
+      ...(overrides ? { overrides } : {}),
       optimizeCrossPost: optimizeCrossPost !== false,
       source: 'tweet_genie_schedule',
       createdAt: new Date().toISOString(),
@@ -268,6 +335,33 @@ function resolveSchedulingTimezone(req, timezoneInput) {
   return normalizeTimezoneInput(headerTimezone) || 'UTC';
 }
 
+// Editors' posts wait for an owner/admin; tell the team's webhooks about each one.
+function emitApprovalRequested({ userId, teamId, approvalStatus, rows }) {
+  if (approvalStatus !== 'pending_approval' || !teamId) return;
+  for (const row of rows) {
+    emitWebhookEvent('approval.requested', {
+      userId,
+      teamId,
+      data: {
+        scheduled_tweet_id: row.id,
+        requested_by: userId,
+        account_id: row.account_id || null,
+        scheduled_for: toUtcIso(row.scheduled_for),
+        content: row.content || '',
+      },
+    }).catch(() => {});
+  }
+}
+
+function buildComplianceBlockedPayload(violations, extra = {}) {
+  return {
+    error: 'This post breaks your compliance rules.',
+    code: 'COMPLIANCE_BLOCKED',
+    violations,
+    ...extra,
+  };
+}
+
 function toUtcIso(value) {
   if (!value) return null;
 
@@ -303,6 +397,8 @@ function serializeScheduledTweet(row) {
     last_retry_at: toUtcIso(row.last_retry_at),
     processing_started_at: toUtcIso(row.processing_started_at),
     approval_requested_at: toUtcIso(row.approval_requested_at),
+    platform: normalizeSchedulePlatform(row.platform) || 'x',
+    platform_statuses: getPlatformStatuses(row),
   };
 }
 
@@ -1014,11 +1110,11 @@ async function fetchPersonalScheduledRows({ userId, twitterScope, statuses, safe
   );
 
   const personalUsername = twitterScope?.twitterUsername || null;
-  return result.rows.map((row) => ({
-    ...row,
-    account_username: personalUsername,
-    twitter_username: personalUsername,
-  }));
+  return result.rows.map((row) => (
+    (normalizeSchedulePlatform(row.platform) || 'x') === 'x'
+      ? { ...row, account_username: personalUsername, twitter_username: personalUsername }
+      : row
+  ));
 }
 
 function sortScheduledRowsAsc(rows) {
@@ -1183,8 +1279,12 @@ async function listScheduledTweets({ userId, teamId, selectedAccountId, safeLimi
     } catch {
       externalRows = [];
     }
+    // Native LinkedIn/Threads posts do not depend on the X connection.
+    const nativeRows = (
+      await fetchPersonalScheduledRows({ userId, twitterScope, statuses, safeLimit: mergeWindowLimit, offset: 0 })
+    ).filter((row) => (normalizeSchedulePlatform(row.platform) || 'x') !== 'x');
     return {
-      rows: mergeAndPageScheduledRows({ internalRows: [], externalRows, safeLimit, offset }),
+      rows: mergeAndPageScheduledRows({ internalRows: nativeRows, externalRows, safeLimit, offset }),
       disconnected: true,
     };
   }
@@ -1283,8 +1383,72 @@ async function handleScheduledTweetsList(req, res) {
 // Get scheduled tweets (frontend expects /scheduled)
 router.get('/scheduled', handleScheduledTweetsList);
 
+async function resolveSlotScope(req) {
+  const twitterScope = await resolveTwitterScope(pool, {
+    userId: req.user.id,
+    selectedAccountId: req.headers['x-selected-account-id'],
+    teamId: req.headers['x-team-id'] || null,
+    permission: permissionForWrites(req, 'schedule'),
+  });
+  return buildAccountScope(twitterScope);
+}
+
+// GET /api/scheduling/slots — weekly queue times for the selected account
+router.get('/slots', async (req, res) => {
+  try {
+    const scope = await resolveSlotScope(req);
+    if (!scope) return res.status(400).json(buildReconnectRequiredPayload());
+
+    const schedule = await getSlotSchedule(scope);
+    const nextFreeSlot = schedule?.slots?.length
+      ? await getNextFreeSlot(scope, { after: getMinSchedulingLeadDate() })
+      : null;
+
+    res.json({
+      timezone: schedule?.timezone || resolveSchedulingTimezone(req, null),
+      slots: schedule?.slots || [],
+      next_free_slot: nextFreeSlot ? nextFreeSlot.toISOString() : null,
+    });
+  } catch (error) {
+    console.error('Get posting slots error:', error);
+    res.status(500).json({ error: 'Failed to fetch queue times' });
+  }
+});
+
+// PUT /api/scheduling/slots
+// Body: { timezone, slots: [{ day: 0-6, time: 'HH:mm' }] }
+router.put('/slots', async (req, res) => {
+  try {
+    const scope = await resolveSlotScope(req);
+    if (!scope) return res.status(400).json(buildReconnectRequiredPayload());
+
+    const { slots, timezone } = req.body || {};
+    if (!Array.isArray(slots)) {
+      return res.status(400).json({ error: 'slots must be an array of { day, time }' });
+    }
+    const normalizedTimezone = resolveSchedulingTimezone(req, timezone);
+    if (!normalizedTimezone) {
+      return res.status(400).json({ error: 'Invalid timezone' });
+    }
+
+    const schedule = await saveSlotSchedule(scope, { slots, timezone: normalizedTimezone });
+    const nextFreeSlot = schedule.slots.length
+      ? await getNextFreeSlot(scope, { after: getMinSchedulingLeadDate() })
+      : null;
+    res.json({
+      success: true,
+      timezone: schedule.timezone,
+      slots: schedule.slots,
+      next_free_slot: nextFreeSlot ? nextFreeSlot.toISOString() : null,
+    });
+  } catch (error) {
+    console.error('Save posting slots error:', error);
+    res.status(500).json({ error: 'Failed to save queue times' });
+  }
+});
+
 // Bulk schedule drafts
-router.post('/bulk', schedulingRateLimit, validateTwitterConnection, async (req, res) => {
+router.post('/bulk', schedulingRateLimit, requireTwitterConnection('schedule'), async (req, res) => {
   try {
     const { items, frequency, startDate, timeOfDay, postsPerDay = 1, dailyTimes = [timeOfDay || '09:00'], daysOfWeek, images, timezone } = req.body;
     const userId = req.user.id;
@@ -1374,7 +1538,55 @@ router.post('/bulk', schedulingRateLimit, validateTwitterConnection, async (req,
       }
     }
     
+    // Compliance rules: any blocked item rejects the batch; items needing
+    // approval are held for an owner/admin once inserted.
+    const complianceRules = await getActiveRules({ userId, teamId });
+    const complianceByIndex = new Map();
+    if (complianceRules) {
+      const blocked = [];
+      items.forEach((item, index) => {
+        const parts = item.isThread && Array.isArray(item.threadParts)
+          ? item.threadParts.filter((part) => part && part.trim().length > 0)
+          : item.isThread && item.text && item.text.includes('---')
+            ? item.text.split('---').map((part) => part.trim()).filter(Boolean)
+            : [item.text || ''];
+        const check = checkCompliance({ threadParts: parts }, complianceRules);
+        if (check.action === 'block') blocked.push({ index, violations: check.violations });
+        if (check.action === 'require_approval') complianceByIndex.set(index, check.violations);
+      });
+      if (blocked.length > 0) {
+        return res.status(422).json(buildComplianceBlockedPayload(blocked[0].violations, { items: blocked }));
+      }
+    }
+
     const scheduled = [];
+    const queueClaimedTimes = [];
+    const holdForComplianceApproval = async () => {
+      const held = [];
+      for (const [index, violations] of complianceByIndex) {
+        const row = scheduled[index];
+        if (!row) continue;
+        const { rows } = await pool.query(
+          `UPDATE scheduled_tweets
+           SET approval_status = 'pending_approval',
+               approved_by = NULL,
+               approval_requested_at = COALESCE(approval_requested_at, CURRENT_TIMESTAMP),
+               compliance_status = 'needs_approval',
+               compliance_violations = $2,
+               updated_at = CURRENT_TIMESTAMP
+           WHERE id = $1
+           RETURNING *`,
+          [row.id, JSON.stringify(violations)]
+        );
+        if (row.approval_status !== 'pending_approval') held.push(rows[0]);
+        scheduled[index] = rows[0];
+      }
+      emitApprovalRequested({ userId, teamId, approvalStatus: 'pending_approval', rows: held });
+    };
+    const minLeadMoment = moment(getMinSchedulingLeadDate());
+    const queueStartDate = startDate
+      ? moment.max(moment.tz(startDate, normalizedTimezone), minLeadMoment).toDate()
+      : minLeadMoment.toDate();
     let current = moment.tz(startDate, normalizedTimezone);
     let scheduledCount = 0;
     
@@ -1500,20 +1712,555 @@ router.post('/bulk', schedulingRateLimit, validateTwitterConnection, async (req,
           [userId, teamId, accountId, authorId, mainContent, JSON.stringify(media || []), JSON.stringify(media || []), JSON.stringify(threadTweets), JSON.stringify(threadMediaArr), scheduledForUTC, normalizedTimezone, approvalStatus, approvedBy, approvalStatus === 'pending_approval' ? new Date() : null]
         );
         
+        scheduled.push(rows[0]);
+      } else if (frequency === 'queue') {
+        // Fill the account's queue times in order, skipping slots already taken
+        // (including the ones claimed earlier in this batch).
+        const nextSlot = await getNextFreeSlot(
+          { mode: accountId ? 'team' : 'personal', userId, teamId, accountId, authorId },
+          {
+            after: queueStartDate,
+            searchDays: MAX_SCHEDULING_WINDOW_DAYS,
+            extraTakenTimes: queueClaimedTimes,
+          }
+        );
+        if (!nextSlot) {
+          emitApprovalRequested({ userId, teamId, approvalStatus, rows: scheduled });
+          await holdForComplianceApproval();
+          return res.status(400).json({
+            error: scheduled.length > 0
+              ? `Only ${scheduled.length} of ${items.length} items fit into the free queue times in the next ${MAX_SCHEDULING_WINDOW_DAYS} days.`
+              : `No free queue time in the next ${MAX_SCHEDULING_WINDOW_DAYS} days. Add queue times for this account first.`,
+            code: 'NO_FREE_SLOT',
+            scheduled,
+          });
+        }
+        queueClaimedTimes.push(nextSlot);
+        const scheduledForUTC = moment(nextSlot).utc().format(DB_UTC_TIMESTAMP_FORMAT);
+
+        let mainContent = content;
+        let threadTweets = [];
+        let threadMediaArr = [];
+
+        if (isThread && threadParts && Array.isArray(threadParts)) {
+          mainContent = threadParts[0] || content;
+          threadTweets = threadParts.length > 1 ? threadParts.slice(1).map(content => ({ content })) : [];
+          threadMediaArr = Array(threadParts.length).fill([]);
+        }
+
+        const { rows } = await pool.query(
+          `INSERT INTO scheduled_tweets (user_id, team_id, account_id, author_id, content, media, media_urls, thread_tweets, thread_media, scheduled_for, timezone, status, approval_status, approved_by, approval_requested_at, created_at, updated_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, 'pending', $12, $13, $14, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP) RETURNING *`,
+          [userId, teamId, accountId, authorId, mainContent, JSON.stringify(media || []), JSON.stringify(media || []), JSON.stringify(threadTweets), JSON.stringify(threadMediaArr), scheduledForUTC, normalizedTimezone, approvalStatus, approvedBy, approvalStatus === 'pending_approval' ? new Date() : null]
+        );
+
         scheduled.push(rows[0]);
       }
       scheduledCount++;
     }
     
-    res.json({ success: true, scheduled, approval_status: approvalStatus });
+    emitApprovalRequested({ userId, teamId, approvalStatus, rows: scheduled });
+    await holdForComplianceApproval();
+    if (scheduled.length > 0) {
+      recordAuditEvent(req, {
+        action: 'schedule.bulk_created',
+        teamId,
+        accountId: scheduled[0].account_id ?? null,
+        metadata: { count: scheduled.length, scheduled_tweet_ids: scheduled.map((row) => row.id) },
+      });
+    }
+    res.json({
+      success: true,
+      scheduled,
+      approval_status: approvalStatus,
+      compliance_held: complianceByIndex.size,
+    });
   } catch (error) {
     console.error('Bulk schedule error:', error);
     res.status(500).json({ error: 'Failed to schedule bulk content' });
   }
 });
 
+async function resolveImportAccounts(req) {
+  const userId = req.user.id;
+  const teamId = req.headers['x-team-id'] || null;
+  const selected = req.twitterAccount;
+
+  const accounts = teamId
+    ? (
+        await pool.query(
+          `SELECT *
+           FROM team_accounts
+           WHERE team_id = $1
+             AND active = true`,
+          [teamId]
+        )
+      ).rows.map((row) => ({
+        id: row.id,
+        username: row.twitter_username,
+        twitter_user_id: row.twitter_user_id,
+        isTeamAccount: true,
+        credentials: row,
+      }))
+    : [
+        {
+          id: selected.id,
+          username: selected.username,
+          twitter_user_id: selected.twitter_user_id,
+          isTeamAccount: false,
+          credentials: selected,
+        },
+      ];
+
+  const preferenceScopes = accounts.map((account) => ({
+    userId,
+    accountId: account.id,
+    isTeamAccount: account.isTeamAccount,
+  }));
+  const preferencesMap = await getTwitterPostingPreferencesMap(preferenceScopes);
+  for (const account of accounts) {
+    const scope = buildTwitterPostingPreferenceScope({
+      userId,
+      accountId: account.id,
+      isTeamAccount: account.isTeamAccount,
+    });
+    const preferences = scope ? preferencesMap.get(`${scope.scopeType}:${scope.scopeKey}`) : null;
+    account.charLimit = preferences?.x_char_limit || DEFAULT_X_CHAR_LIMIT;
+  }
+
+  const defaultAccount = accounts.find((account) => String(account.id) === String(selected.id)) || null;
+  return { accounts, defaultAccount };
+}
+
+// Upload each row's media URLs to X with the row account's OAuth 1.0a tokens
+// (same as the composer, which uploads when scheduling). Videos and GIFs are
+// only validated here and kept as URLs: X media IDs expire after 24 hours, so
+// scheduledTweetService uploads them at publish time. Failures are added to
+// the row's errors so nothing is inserted.
+async function uploadImportMedia(validatedRows) {
+  const mediaIdsByRow = new Map();
+  for (const result of validatedRows) {
+    const { account, mediaUrls } = result.item;
+    if (mediaUrls.length === 0) continue;
+
+    const credentials = account.credentials;
+    if (!credentials.oauth1_access_token || !credentials.oauth1_access_token_secret) {
+      result.errors.push(`@${account.username} needs OAuth 1.0a to attach media. Reconnect it in Settings.`);
+      continue;
+    }
+
+    const files = [];
+    try {
+      for (const url of mediaUrls) {
+        files.push(await downloadMediaToFile(url, {
+          maxBytes: (mimetype) => mediaService.getSizeLimit(getMediaKind(mimetype)),
+          allowedTypes: mediaService.allowedTypes,
+        }));
+      }
+
+      if (files.some((file) => getMediaKind(file.mimetype) !== 'image')) {
+        if (files.length > 1) {
+          throw new Error('A post can have up to 4 images or a single video or GIF');
+        }
+        const validationError = await mediaService.validateMediaFile(files[0]);
+        if (validationError) {
+          throw new Error(validationError);
+        }
+        mediaIdsByRow.set(result.rowNumber, mediaUrls);
+        continue;
+      }
+
+      const mediaIds = await mediaService.uploadMediaFiles(files, {
+        accessToken: credentials.oauth1_access_token,
+        accessTokenSecret: credentials.oauth1_access_token_secret,
+      });
+      mediaIdsByRow.set(result.rowNumber, mediaIds);
+    } catch (error) {
+      result.errors.push(`Media upload failed: ${error.message}`);
+    } finally {
+      await removeDownloadedMedia(files);
+    }
+  }
+  return mediaIdsByRow;
+}
+
+// Import scheduled posts from a CSV/TSV spreadsheet
+// Body: { file: string, format?: 'csv'|'tsv', timezone?, dry_run = true }
+// Dry runs only validate. Real imports re-validate and insert nothing unless every row passes.
+router.post('/import', schedulingRateLimit, requireTwitterConnection('schedule'), async (req, res) => {
+  try {
+    const { file, format, timezone, dry_run: dryRunInput = true } = req.body || {};
+    const dryRun = dryRunInput !== false && dryRunInput !== 'false';
+    const userId = req.user.id;
+    const teamId = req.headers['x-team-id'] || null;
+
+    if (typeof file !== 'string' || !file.trim()) {
+      return res.status(400).json({ error: 'Upload a CSV or TSV file' });
+    }
+    const defaultTimezone = resolveSchedulingTimezone(req, timezone);
+    if (!defaultTimezone) {
+      return res.status(400).json({ error: 'Invalid timezone' });
+    }
+
+    const parsed = parseImportFile(file, { format });
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+    if (parsed.rows.length === 0) {
+      return res.status(400).json({ error: 'The file has a header row but no posts' });
+    }
+    if (parsed.rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ error: `Imports are limited to ${MAX_IMPORT_ROWS} rows at a time.` });
+    }
+
+    const { accounts, defaultAccount } = await resolveImportAccounts(req);
+    const validation = validateImportRows(parsed.rows, {
+      accounts,
+      defaultAccount,
+      defaultTimezone,
+      minDate: getMinSchedulingLeadDate(),
+      maxDate: getMaxSchedulingUtcMoment().toDate(),
+      resolveTimezone: normalizeTimezoneInput,
+    });
+
+    // Compliance rules per row: blocking violations are row errors, the rest need approval.
+    const complianceRules = await getActiveRules({ userId, teamId });
+    if (complianceRules) {
+      for (const result of validation.rows) {
+        const check = checkCompliance({ threadParts: result.item.threadParts }, complianceRules);
+        const messages = check.violations.map((violation) => violation.message);
+        if (check.action === 'block') {
+          result.errors.push(...messages);
+        } else if (check.action === 'require_approval') {
+          result.warnings.push(...messages.map((message) => `Needs approval: ${message}`));
+          result.complianceViolations = check.violations;
+        }
+      }
+      validation.errorCount = validation.rows.filter((result) => result.errors.length > 0).length;
+    }
+
+    const buildReport = () => ({
+      dry_run: dryRun,
+      total_rows: validation.rows.length,
+      valid_rows: validation.rows.filter((result) => result.errors.length === 0).length,
+      error_rows: validation.rows.filter((result) => result.errors.length > 0).length,
+      ignored_columns: parsed.ignoredColumns,
+      rows: validation.rows.map(formatImportRow),
+    });
+
+    if (dryRun) {
+      return res.json({ success: true, ...buildReport() });
+    }
+    if (validation.errorCount > 0) {
+      return res.status(400).json({
+        error: 'Some rows have errors. Nothing was imported.',
+        code: 'IMPORT_VALIDATION_FAILED',
+        ...buildReport(),
+      });
+    }
+
+    const { rows: countRows } = await pool.query(
+      'SELECT COUNT(*) FROM scheduled_tweets WHERE user_id = $1 AND status = $2',
+      [userId, 'pending']
+    );
+    const maxScheduled = parseInt(process.env.MAX_SCHEDULED_TWEETS_PER_USER || '100');
+    if (parseInt(countRows[0].count) + validation.rows.length > maxScheduled) {
+      return res.status(400).json({
+        error: `Maximum ${maxScheduled} scheduled tweets allowed. You have ${countRows[0].count} pending.`,
+      });
+    }
+
+    let approvalStatus = 'approved';
+    let approvedBy = null;
+    if (teamId) {
+      const { rows: memberRows } = await pool.query(
+        'SELECT role FROM team_members WHERE team_id = $1 AND user_id = $2 AND status = $3',
+        [teamId, userId, 'active']
+      );
+      if (memberRows.length === 0) {
+        return res.status(403).json({ error: 'Not a member of this team' });
+      }
+      if (memberRows[0].role === 'editor') {
+        approvalStatus = 'pending_approval';
+      } else {
+        approvedBy = userId;
+      }
+    }
+
+    const mediaIdsByRow = await uploadImportMedia(validation.rows);
+    if (validation.rows.some((result) => result.errors.length > 0)) {
+      return res.status(400).json({
+        error: 'Some media could not be uploaded. Nothing was imported.',
+        code: 'IMPORT_VALIDATION_FAILED',
+        ...buildReport(),
+      });
+    }
+
+    const accountIdColumnType = await getScheduledAccountIdColumnType();
+    const canStoreMetadata = await hasScheduledMetadataColumn();
+    const importedAt = new Date().toISOString();
+    const client = await pool.connect();
+    const scheduled = [];
+    try {
+      await client.query('BEGIN');
+      for (const result of validation.rows) {
+        const { account, threadParts, scheduledFor, timezone: rowTimezone, mediaUrls, crossPost } = result.item;
+        const mediaIds = mediaIdsByRow.get(result.rowNumber) || [];
+        const crossPostMetadata = buildScheduledCrossPostMetadata({
+          targets: {
+            linkedin: crossPost.includes('linkedin'),
+            threads: crossPost.includes('threads'),
+            twitter: false,
+          },
+          sourceSnapshot: {
+            platform: 'x',
+            teamId: teamId || null,
+            sourceAccountId: String(account.id),
+            sourceLabel: account.username || null,
+          },
+          media: mediaUrls,
+        });
+        const metadata = {
+          ...(crossPostMetadata || {}),
+          import: { row: result.rowNumber, imported_at: importedAt },
+        };
+
+        const rowApprovalStatus = result.complianceViolations ? 'pending_approval' : approvalStatus;
+        const columns = [
+          'user_id', 'team_id', 'account_id', 'author_id', 'content', 'media', 'media_urls',
+          'thread_tweets', 'thread_media', 'scheduled_for', 'timezone', 'approval_status',
+          'approved_by', 'approval_requested_at', 'source', 'compliance_status', 'compliance_violations',
+        ];
+        const values = [
+          userId,
+          teamId,
+          account.isTeamAccount ? normalizeScheduledAccountId(account.id, accountIdColumnType) : null,
+          account.twitter_user_id,
+          threadParts[0],
+          JSON.stringify(mediaIds),
+          JSON.stringify(mediaIds),
+          JSON.stringify(threadParts.slice(1).map((content) => ({ content }))),
+          JSON.stringify(threadParts.length > 1 ? threadParts.map((_, index) => (index === 0 ? mediaIds : [])) : []),
+          moment(scheduledFor).utc().format(DB_UTC_TIMESTAMP_FORMAT),
+          rowTimezone,
+          rowApprovalStatus,
+          result.complianceViolations ? null : approvedBy,
+          rowApprovalStatus === 'pending_approval' ? new Date() : null,
+          'import',
+          result.complianceViolations ? 'needs_approval' : null,
+          result.complianceViolations ? JSON.stringify(result.complianceViolations) : null,
+        ];
+        if (canStoreMetadata) {
+          columns.push('metadata');
+          values.push(JSON.stringify(metadata));
+        }
+
+        const { rows } = await client.query(
+          `INSERT INTO scheduled_tweets (${columns.join(', ')}, status, created_at, updated_at)
+           VALUES (${values.map((_, index) => `$${index + 1}`).join(', ')}, 'pending', CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+           RETURNING *`,
+          values
+        );
+        scheduled.push(serializeScheduledTweet(rows[0]));
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    emitApprovalRequested({
+      userId,
+      teamId,
+      approvalStatus: 'pending_approval',
+      rows: scheduled.filter((row) => row.approval_status === 'pending_approval'),
+    });
+    const importedAccountIds = [...new Set(scheduled.map((row) => row.account_id ?? null))];
+    recordAuditEvent(req, {
+      action: 'schedule.imported',
+      teamId,
+      accountId: importedAccountIds.length === 1 ? importedAccountIds[0] : null,
+      metadata: { count: scheduled.length, format: format || null },
+    });
+    res.status(201).json({
+      success: true,
+      ...buildReport(),
+      imported: scheduled.length,
+      scheduled,
+      approval_status: approvalStatus,
+    });
+  } catch (error) {
+    console.error('Schedule import error:', error);
+    res.status(500).json({ error: 'Failed to import scheduled posts' });
+  }
+});
+
 // Schedule a tweet
-router.post('/', schedulingRateLimit, validateRequest(scheduleSchema), validateTwitterConnection, async (req, res) => {
+// POST /api/scheduling/platform
+// Native LinkedIn or Threads post with its own text and time. Does not need a
+// connected X account; the worker publishes it straight to the chosen account.
+router.post('/platform', schedulingRateLimit, async (req, res) => {
+  try {
+    const {
+      platform: platformInput,
+      content,
+      thread = null,
+      scheduled_for,
+      timezone,
+      targetAccountId = null,
+      targetLabel = null,
+      media = [],
+      mediaAltText = [],
+    } = req.body || {};
+    const userId = req.user.id;
+    const teamId = req.headers['x-team-id'] || req.body?.team_id || null;
+    const platform = normalizeSchedulePlatform(platformInput);
+
+    if (!NATIVE_SCHEDULE_PLATFORMS.includes(platform)) {
+      return res.status(400).json({ error: 'Choose LinkedIn or Threads', code: 'INVALID_PLATFORM' });
+    }
+
+    const parts = (Array.isArray(thread) && thread.length > 0 ? thread : [content])
+      .map((part) => (typeof part === 'string' ? part : part?.content || ''))
+      .map((part) => part.trim())
+      .filter(Boolean);
+    const validationError = validateNativePlatformPost({ platform, parts });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    // Routing to the target account lives in metadata.native_post.
+    if (!(await hasScheduledMetadataColumn())) {
+      return res.status(503).json({ error: 'Native LinkedIn and Threads scheduling is not available yet.' });
+    }
+
+    const normalizedTargetAccountId = targetAccountId ? String(targetAccountId).trim().slice(0, 255) : null;
+    if (teamId && !normalizedTargetAccountId) {
+      return res.status(400).json({ error: `Choose the ${PLATFORM_LABELS[platform]} account to post to` });
+    }
+
+    const normalizedTimezone = resolveSchedulingTimezone(req, timezone);
+    if (!normalizedTimezone) {
+      return res.status(400).json({ error: 'Invalid timezone' });
+    }
+
+    const parsedSchedule = parseScheduledTimeToUtc(scheduled_for, normalizedTimezone);
+    if (!parsedSchedule) {
+      return res.status(400).json({ error: 'Invalid scheduled time' });
+    }
+    if (parsedSchedule.utcDate < getMinSchedulingLeadDate()) {
+      return res.status(400).json({ error: getMinSchedulingLeadError() });
+    }
+    if (parsedSchedule.utcDate > moment().add(MAX_SCHEDULING_WINDOW_DAYS, 'days').toDate()) {
+      return res.status(400).json({ error: `Scheduling is limited to ${MAX_SCHEDULING_WINDOW_DAYS} days ahead.` });
+    }
+
+    let approvalStatus = 'approved';
+    let approvedBy = null;
+    if (teamId) {
+      const { rows: memberRows } = await pool.query(
+        'SELECT role FROM team_members WHERE team_id = $1 AND user_id = $2 AND status = $3',
+        [teamId, userId, 'active']
+      );
+      if (memberRows.length === 0) {
+        return res.status(403).json({ error: 'Not a member of this team' });
+      }
+      if (memberRows[0].role === 'editor') {
+        approvalStatus = 'pending_approval';
+      } else {
+        approvedBy = userId;
+      }
+    }
+
+    const { rows: countRows } = await pool.query(
+      'SELECT COUNT(*) FROM scheduled_tweets WHERE user_id = $1 AND status = $2',
+      [userId, 'pending']
+    );
+    const maxScheduled = parseInt(process.env.MAX_SCHEDULED_TWEETS_PER_USER || '100');
+    if (parseInt(countRows[0].count) >= maxScheduled) {
+      return res.status(400).json({ error: `Maximum ${maxScheduled} scheduled tweets allowed` });
+    }
+
+    const compliance = await checkPostCompliance({ userId, teamId }, { threadParts: parts });
+    if (compliance.action === 'block') {
+      return res.status(422).json(buildComplianceBlockedPayload(compliance.violations));
+    }
+    const needsComplianceApproval = compliance.action === 'require_approval';
+    if (needsComplianceApproval) {
+      approvalStatus = 'pending_approval';
+      approvedBy = null;
+    }
+
+    const nativeMedia = normalizeScheduledCrossPostMedia({ crossPostMedia: media });
+    const nativeMediaAltText = normalizeScheduledCrossPostMediaAltText({
+      crossPostMedia: media,
+      crossPostMediaAltText: mediaAltText,
+    });
+    const metadata = {
+      native_post: {
+        version: 1,
+        platform,
+        routing: {
+          targetAccountId: normalizedTargetAccountId,
+          targetLabel: targetLabel ? String(targetLabel).trim().slice(0, 255) || null : null,
+        },
+        media: nativeMedia,
+        media_alt_text: nativeMediaAltText,
+        created_at: new Date().toISOString(),
+      },
+    };
+
+    const { rows } = await pool.query(
+      `INSERT INTO scheduled_tweets
+         (user_id, team_id, account_id, author_id, platform, content, media, media_urls, thread_tweets, thread_media,
+          scheduled_for, timezone, status, approval_status, approved_by, approval_requested_at,
+          compliance_status, compliance_violations, metadata, created_at, updated_at)
+       VALUES ($1, $2, NULL, NULL, $3, $4, '[]', '[]', $5, '[]',
+               $6, $7, 'pending', $8, $9, $10,
+               $11, $12, $13, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+       RETURNING *`,
+      [
+        userId,
+        teamId,
+        platform,
+        parts[0],
+        JSON.stringify(parts.slice(1).map((part) => ({ content: part }))),
+        parsedSchedule.utcDbTimestamp,
+        normalizedTimezone,
+        approvalStatus,
+        approvedBy,
+        approvalStatus === 'pending_approval' ? new Date() : null,
+        needsComplianceApproval ? 'needs_approval' : null,
+        needsComplianceApproval ? JSON.stringify(compliance.violations) : null,
+        JSON.stringify(metadata),
+      ]
+    );
+
+    emitApprovalRequested({ userId, teamId, approvalStatus, rows });
+    recordScheduledTweetEvent(req, 'schedule.created', rows[0], {
+      platform,
+      scheduled_for: parsedSchedule.utcIso,
+      approval_status: approvalStatus,
+    });
+
+    res.json({
+      success: true,
+      scheduled: serializeScheduledTweet(rows[0]),
+      message: approvalStatus === 'pending_approval'
+        ? `${PLATFORM_LABELS[platform]} post scheduled and awaiting approval.`
+        : `${PLATFORM_LABELS[platform]} post scheduled successfully.`,
+      approval_status: approvalStatus,
+      compliance_violations: compliance.violations,
+    });
+  } catch (error) {
+    console.error('[Scheduling] Schedule platform post error:', error);
+    res.status(500).json({ error: 'Failed to schedule post' });
+  }
+});
+
+router.post('/', schedulingRateLimit, validateRequest(scheduleSchema), requireTwitterConnection('schedule'), async (req, res) => {
   try {
     const {
       content,
@@ -1530,6 +2277,12 @@ router.post('/', schedulingRateLimit, validateRequest(scheduleSchema), validateT
       crossPostTargetAccountLabels = null,
       optimizeCrossPost = true,
       crossPostMedia = [],
+      crossPostMediaAltText = [],
+      crossPostOverrides = null,
+      media_alt_text: mediaAltTextInput = null,
+      recurrence = null,
+      targetTweet = null,
+      followUp = null,
     } = req.body;
     const userId = req.user.id;
     let teamId = req.headers['x-team-id'] || null;
@@ -1588,8 +2341,78 @@ router.post('/', schedulingRateLimit, validateRequest(scheduleSchema), validateT
       return res.status(400).json({ error: 'Invalid timezone' });
     }
 
+    if (recurrence) {
+      const { error: recurrenceError } = parseRecurrenceRule(recurrence);
+      if (recurrenceError) {
+        return res.status(400).json({ error: `Invalid repeat rule: ${recurrenceError}`, code: 'INVALID_RECURRENCE' });
+      }
+    }
+
+    const { target: tweetTarget, error: tweetTargetError } = normalizeTweetTarget(targetTweet);
+    if (tweetTargetError) {
+      return res.status(400).json({ error: tweetTargetError, code: 'INVALID_TWEET_TARGET' });
+    }
+    const { followUp: followUpReply, error: followUpError } = normalizeFollowUp(followUp);
+    if (followUpError) {
+      return res.status(400).json({ error: followUpError, code: 'INVALID_FOLLOW_UP' });
+    }
+    if (tweetTarget && recurrence) {
+      return res.status(400).json({ error: 'Replies and quotes cannot repeat', code: 'INVALID_TWEET_TARGET' });
+    }
+    if ((tweetTarget || followUpReply) && !(await hasScheduledMetadataColumn())) {
+      return res.status(503).json({ error: 'Scheduled replies and quotes are not available yet.' });
+    }
+    // Catch deleted or private targets now; the worker checks again before posting.
+    if (tweetTarget) {
+      const readClient = createTwitterReadClient(req.twitterAccount);
+      if (readClient) {
+        try {
+          const lookup = await readClient.v2.singleTweet(tweetTarget.tweet_id);
+          if (isTweetUnavailable(lookup)) {
+            return res.status(400).json({
+              error: 'That post is deleted or not visible to this account.',
+              code: 'TWEET_TARGET_NOT_FOUND',
+            });
+          }
+        } catch (lookupError) {
+          if (isTweetUnavailable(null, lookupError)) {
+            return res.status(400).json({
+              error: 'That post is deleted or not visible to this account.',
+              code: 'TWEET_TARGET_NOT_FOUND',
+            });
+          }
+          schedulingDebug('[Scheduling] Tweet target lookup failed; accepting and re-checking at post time', {
+            tweetId: tweetTarget.tweet_id,
+            error: lookupError?.message || String(lookupError),
+          });
+        }
+      }
+    }
+
+    // "Add to queue": resolve the account's next free posting slot instead of an explicit time.
+    let requestedScheduleTime = scheduled_for;
+    if (scheduled_for === NEXT_FREE_SLOT) {
+      const nextSlot = await getNextFreeSlot(
+        {
+          mode: accountId ? 'team' : 'personal',
+          userId,
+          teamId,
+          accountId,
+          authorId,
+        },
+        { after: getMinSchedulingLeadDate(), searchDays: MAX_SCHEDULING_WINDOW_DAYS }
+      );
+      if (!nextSlot) {
+        return res.status(400).json({
+          error: `No free queue time in the next ${MAX_SCHEDULING_WINDOW_DAYS} days. Add queue times for this account or pick a time.`,
+          code: 'NO_FREE_SLOT',
+        });
+      }
+      requestedScheduleTime = nextSlot;
+    }
+
     // Convert scheduled time to UTC without double-shifting timezone offsets.
-    const parsedSchedule = parseScheduledTimeToUtc(scheduled_for, normalizedTimezone);
+    const parsedSchedule = parseScheduledTimeToUtc(requestedScheduleTime, normalizedTimezone);
     if (!parsedSchedule) {
       return res.status(400).json({ error: 'Invalid scheduled time' });
     }
@@ -1680,16 +2503,53 @@ router.post('/', schedulingRateLimit, validateRequest(scheduleSchema), validateT
       return res.status(400).json({ error: 'Please enter some content or add images' });
     }
 
+    // Compliance rules: blocking violations reject the post, the rest send it for approval.
+    const compliance = await checkPostCompliance(
+      { userId, teamId: teamId || null },
+      {
+        threadParts: [
+          mainContent,
+          ...threadTweets.map((tweet) => tweet.content),
+          ...(followUpReply ? [followUpReply.content] : []),
+        ],
+      }
+    );
+    if (compliance.action === 'block') {
+      return res.status(422).json(buildComplianceBlockedPayload(compliance.violations));
+    }
+    const needsComplianceApproval = compliance.action === 'require_approval';
+    if (needsComplianceApproval) {
+      approvalStatus = 'pending_approval';
+      approvedBy = null;
+    }
+
     const normalizedCrossPostTargets = normalizeScheduledCrossPostTargets({
       postToLinkedin,
       crossPostTargets,
     });
+    if (
+      tweetTarget &&
+      (normalizedCrossPostTargets.linkedin || normalizedCrossPostTargets.threads || normalizedCrossPostTargets.twitter)
+    ) {
+      return res.status(400).json({
+        error: 'Replies and quotes only go to X. Turn off cross-posting for this post.',
+        code: 'INVALID_TWEET_TARGET',
+      });
+    }
     const normalizedCrossPostTargetAccountIds = normalizeScheduledCrossPostTargetAccountIds({
       crossPostTargetAccountIds,
     });
     const normalizedCrossPostMedia = normalizeScheduledCrossPostMedia({
       crossPostMedia,
     });
+    const normalizedCrossPostMediaAltText = normalizeScheduledCrossPostMediaAltText({
+      crossPostMedia,
+      crossPostMediaAltText,
+    });
+    const mediaAltText = normalizeMediaAltTextMap(mediaAltTextInput, [
+      ...(Array.isArray(media) ? media : []),
+      ...threadMediaArr.flat(),
+    ]);
 
     const getTargetLabel = (key) =>
       crossPostTargetAccountLabels &&
@@ -1756,16 +2616,20 @@ router.post('/', schedulingRateLimit, validateRequest(scheduleSchema), validateT
       routing: crossPostRouting,
       sourceSnapshot,
       media: normalizedCrossPostMedia,
+      mediaAltText: normalizedCrossPostMediaAltText,
+      overrides: normalizeCrossPostOverrides(crossPostOverrides),
     });
     const strategyPromptMetadata = buildScheduledStrategyPromptMetadata({
       strategyId: strategy_id,
       promptId: prompt_id,
     });
     const combinedMetadata =
-      scheduledMetadata || strategyPromptMetadata
+      scheduledMetadata || strategyPromptMetadata || tweetTarget || followUpReply
         ? {
             ...(scheduledMetadata || {}),
             ...(strategyPromptMetadata || {}),
+            ...(tweetTarget ? { tweet_target: tweetTarget } : {}),
+            ...(followUpReply ? { follow_up: followUpReply } : {}),
           }
         : null;
     const canStoreMetadata = combinedMetadata ? await hasScheduledMetadataColumn() : false;
@@ -1781,12 +2645,15 @@ router.post('/', schedulingRateLimit, validateRequest(scheduleSchema), validateT
       'media_urls',
       'thread_tweets',
       'thread_media',
+      'media_alt_text',
       'scheduled_for',
       'timezone',
       'status',
       'approval_status',
       'approved_by',
       'approval_requested_at',
+      'compliance_status',
+      'compliance_violations',
       'created_at',
       'updated_at',
     ];
@@ -1800,14 +2667,17 @@ router.post('/', schedulingRateLimit, validateRequest(scheduleSchema), validateT
       JSON.stringify(media),
       JSON.stringify(threadTweets),
       JSON.stringify(threadMediaArr),
+      JSON.stringify(mediaAltText),
       parsedSchedule.utcDbTimestamp,
       normalizedTimezone,
       approvalStatus,
       approvedBy,
       approvalStatus === 'pending_approval' ? new Date() : null,
+      needsComplianceApproval ? 'needs_approval' : null,
+      needsComplianceApproval ? JSON.stringify(compliance.violations) : null,
     ];
     if (canStoreMetadata) {
-      insertColumns.splice(15, 0, 'metadata');
+      insertColumns.splice(insertColumns.indexOf('created_at'), 0, 'metadata');
       insertValues.push(JSON.stringify(combinedMetadata));
     } else if (combinedMetadata) {
       schedulingDebug('[Scheduling] scheduled_tweets.metadata column not available; advanced schedule metadata will not persist', {
@@ -1836,19 +2706,42 @@ router.post('/', schedulingRateLimit, validateRequest(scheduleSchema), validateT
       insertValues
     );
 
+    let series = null;
+    if (recurrence) {
+      try {
+        series = await recurringScheduleService.createSeries(rows[0], recurrence);
+        rows[0].series_id = series.id;
+        rows[0].occurrence_index = 1;
+      } catch (seriesError) {
+        await pool.query('DELETE FROM scheduled_tweets WHERE id = $1', [rows[0].id]);
+        throw seriesError;
+      }
+    }
+
     if (approvalStatus === 'approved') {
       schedulingDebug(`Scheduled tweet for ${parsedSchedule.utcIso}`);
     } else {
       schedulingDebug(`Tweet scheduled for ${parsedSchedule.utcIso} - pending approval`);
+      emitApprovalRequested({ userId, teamId, approvalStatus, rows });
     }
+    recordScheduledTweetEvent(req, 'schedule.created', rows[0], {
+      scheduled_for: parsedSchedule.utcIso,
+      approval_status: approvalStatus,
+      ...(series ? { series_id: series.id } : {}),
+      ...(tweetTarget ? { target_type: tweetTarget.type } : {}),
+    });
 
     res.json({
       success: true,
       scheduled: serializeScheduledTweet(rows[0]),
-      message: approvalStatus === 'pending_approval'
-        ? 'Tweet scheduled and awaiting approval from team admin/owner.'
-        : 'Tweet scheduled successfully.',
+      series: serializeSeries(series),
+      message: needsComplianceApproval
+        ? 'Tweet scheduled and awaiting approval: it needs review under your team compliance rules.'
+        : approvalStatus === 'pending_approval'
+          ? 'Tweet scheduled and awaiting approval from team admin/owner.'
+          : 'Tweet scheduled successfully.',
       approval_status: approvalStatus,
+      compliance_violations: compliance.violations,
       scheduled_tweet: {
         id: rows[0].id,
         scheduled_for: toUtcIso(rows[0].scheduled_for),
@@ -2095,6 +2988,20 @@ router.post('/retry', schedulingRateLimit, async (req, res) => {
       return res.status(404).json({ error: 'Failed scheduled tweet not found' });
     }
 
+    emitWebhookEvent('tweet.retried', {
+      userId: rows[0].user_id,
+      teamId: rows[0].team_id || null,
+      data: {
+        scheduled_tweet_id: rows[0].id,
+        account_id: rows[0].account_id || null,
+        scheduled_for: toUtcIso(rows[0].scheduled_for),
+        content: rows[0].content || '',
+        trigger: 'manual',
+        retried_by: userId,
+      },
+    }).catch(() => {});
+    recordScheduledTweetEvent(req, 'schedule.retried', rows[0], { scheduled_for: toUtcIso(rows[0].scheduled_for) });
+
     return res.json({
       success: true,
       message: 'Scheduled tweet queued for retry',
@@ -2106,6 +3013,110 @@ router.post('/retry', schedulingRateLimit, async (req, res) => {
   }
 });
 
+// ─── Recurring series ────────────────────────────────────────────────────
+
+// Cancelling one occurrence of a series skips it: the next one is queued right away.
+async function buildCancelResponse(cancelledRow) {
+  if (!cancelledRow?.series_id) {
+    return { success: true, message: 'Scheduled tweet cancelled' };
+  }
+  const next = await recurringScheduleService.materializeNextOccurrence(cancelledRow.id);
+  return {
+    success: true,
+    message: next?.queued ? 'Occurrence skipped. The next one is scheduled.' : 'Occurrence skipped',
+    next_occurrence: next?.queued ? { id: next.scheduledTweetId, scheduled_for: next.scheduledFor } : null,
+  };
+}
+
+async function resolveSeriesForRequest(req, res) {
+  const userId = req.user.id;
+  const teamId = req.headers['x-team-id'] || null;
+  if (teamId && !(await ensureActiveTeamMembership(teamId, userId))) {
+    res.status(403).json({ error: 'Not a member of this team' });
+    return null;
+  }
+  const series = UUID_PATTERN.test(req.params.seriesId)
+    ? await recurringScheduleService.getSeries(req.params.seriesId, { userId, teamId })
+    : null;
+  if (!series) {
+    res.status(404).json({ error: 'Recurring series not found' });
+    return null;
+  }
+  return series;
+}
+
+// GET /api/scheduling/series/:seriesId — rule, template and recent occurrences
+router.get('/series/:seriesId', async (req, res) => {
+  try {
+    const series = await resolveSeriesForRequest(req, res);
+    if (!series) return;
+    const occurrences = await recurringScheduleService.listOccurrences(series.id);
+    res.json({ success: true, series: serializeSeries(series), occurrences });
+  } catch (error) {
+    console.error('[Recurring] Get series error:', error);
+    res.status(500).json({ error: 'Failed to load recurring series' });
+  }
+});
+
+// PUT /api/scheduling/series/:seriesId — edit every occurrence not edited on its own
+router.put('/series/:seriesId', schedulingRateLimit, validateRequest(seriesUpdateSchema), async (req, res) => {
+  try {
+    const series = await resolveSeriesForRequest(req, res);
+    if (!series) return;
+    if (series.status !== 'active') {
+      return res.status(409).json({ error: 'This series has ended and can no longer be edited' });
+    }
+
+    if (req.body.rule !== undefined) {
+      const { error: recurrenceError } = parseRecurrenceRule(req.body.rule);
+      if (recurrenceError) {
+        return res.status(400).json({ error: `Invalid repeat rule: ${recurrenceError}`, code: 'INVALID_RECURRENCE' });
+      }
+    }
+
+    const updated = await recurringScheduleService.updateSeries(series, {
+      rule: req.body.rule,
+      time: req.body.time,
+      content: req.body.content,
+      threadTweets: req.body.thread_tweets,
+    });
+    const occurrences = await recurringScheduleService.listOccurrences(series.id);
+    recordAuditEvent(req, {
+      action: 'schedule.series_updated',
+      teamId: series.team_id || null,
+      accountId: null,
+      targetType: 'recurring_series',
+      targetId: series.id,
+      metadata: { changed: ['rule', 'time', 'content', 'thread_tweets'].filter((field) => req.body[field] !== undefined) },
+    });
+    res.json({ success: true, series: serializeSeries(updated), occurrences });
+  } catch (error) {
+    console.error('[Recurring] Update series error:', error);
+    res.status(500).json({ error: 'Failed to update recurring series' });
+  }
+});
+
+// DELETE /api/scheduling/series/:seriesId — stop repeating and cancel the pending occurrence
+router.delete('/series/:seriesId', schedulingRateLimit, async (req, res) => {
+  try {
+    const series = await resolveSeriesForRequest(req, res);
+    if (!series) return;
+    await recurringScheduleService.cancelSeries(series.id);
+    recordAuditEvent(req, {
+      action: 'schedule.series_stopped',
+      teamId: series.team_id || null,
+      accountId: null,
+      targetType: 'recurring_series',
+      targetId: series.id,
+      metadata: { content: previewContent(series.content) },
+    });
+    res.json({ success: true, message: 'Recurring series stopped' });
+  } catch (error) {
+    console.error('[Recurring] Cancel series error:', error);
+    res.status(500).json({ error: 'Failed to stop recurring series' });
+  }
+});
+
 // Cancel scheduled tweet
 router.delete('/:scheduleId', schedulingRateLimit, async (req, res) => {
   try {
@@ -2140,7 +3151,8 @@ router.delete('/:scheduleId', schedulingRateLimit, async (req, res) => {
         return res.status(404).json({ error: 'Scheduled tweet not found' });
       }
 
-      return res.json({ success: true, message: 'Scheduled tweet cancelled' });
+      recordScheduledTweetEvent(req, 'schedule.deleted', rows[0], { scheduled_for: toUtcIso(rows[0].scheduled_for) });
+      return res.json(await buildCancelResponse(rows[0]));
     } else {
       // Personal tweet - only owner can cancel
       const { rows } = await pool.query(
@@ -2157,7 +3169,8 @@ router.delete('/:scheduleId', schedulingRateLimit, async (req, res) => {
         return res.status(404).json({ error: 'Scheduled tweet not found' });
       }
 
-      return res.json({ success: true, message: 'Scheduled tweet cancelled' });
+      recordScheduledTweetEvent(req, 'schedule.deleted', rows[0], { scheduled_for: toUtcIso(rows[0].scheduled_for) });
+      return res.json(await buildCancelResponse(rows[0]));
     }
 
   } catch (error) {
@@ -2170,7 +3183,7 @@ router.delete('/:scheduleId', schedulingRateLimit, async (req, res) => {
 router.put('/:scheduleId', schedulingRateLimit, validateRequest(rescheduleSchema), async (req, res) => {
   try {
     const { scheduleId } = req.params;
-    const { scheduled_for, timezone } = req.body;
+    const { scheduled_for, timezone, content } = req.body;
     const userId = req.user.id;
     const teamId = req.headers['x-team-id'] || null;
     const normalizedTimezone = resolveSchedulingTimezone(req, timezone);
@@ -2206,6 +3219,16 @@ router.put('/:scheduleId', schedulingRateLimit, validateRequest(rescheduleSchema
         return res.status(403).json({ error: 'Not a member of this team' });
       }
 
+      // Team edits go into the post's revision history.
+      const { rows: previousRows } = content
+        ? await pool.query(
+            `SELECT id, user_id, content, thread_tweets, approval_requested_at, created_at
+             FROM scheduled_tweets
+             WHERE id = $1 AND team_id = $2 AND status = 'pending'`,
+            [scheduleId, teamId]
+          )
+        : { rows: [] };
+
       // Update team scheduled tweet
       const result = await pool.query(
         `UPDATE scheduled_tweets 
@@ -2214,12 +3237,17 @@ router.put('/:scheduleId', schedulingRateLimit, validateRequest(rescheduleSchema
              retry_count = 0,
              last_retry_at = NULL,
              processing_started_at = NULL,
+             content = COALESCE($5, content),
+             series_detached = (series_id IS NOT NULL),
              updated_at = CURRENT_TIMESTAMP
          WHERE id = $3 AND team_id = $4 AND status = 'pending'
          RETURNING *`,
-        [parsedSchedule.utcDbTimestamp, normalizedTimezone, scheduleId, teamId]
+        [parsedSchedule.utcDbTimestamp, normalizedTimezone, scheduleId, teamId, content || null]
       );
       rows = result.rows;
+      if (rows.length > 0 && previousRows.length > 0) {
+        await recordRevision(previousRows[0], { content: rows[0].content }, userId);
+      }
     } else {
       // Update personal scheduled tweet
       const result = await pool.query(
@@ -2229,10 +3257,12 @@ router.put('/:scheduleId', schedulingRateLimit, validateRequest(rescheduleSchema
              retry_count = 0,
              last_retry_at = NULL,
              processing_started_at = NULL,
+             content = COALESCE($5, content),
+             series_detached = (series_id IS NOT NULL),
              updated_at = CURRENT_TIMESTAMP
          WHERE id = $3 AND user_id = $4 AND (team_id IS NULL OR team_id::text = '') AND status = 'pending'
          RETURNING *`,
-        [parsedSchedule.utcDbTimestamp, normalizedTimezone, scheduleId, userId]
+        [parsedSchedule.utcDbTimestamp, normalizedTimezone, scheduleId, userId, content || null]
       );
       rows = result.rows;
     }
@@ -2241,12 +3271,18 @@ router.put('/:scheduleId', schedulingRateLimit, validateRequest(rescheduleSchema
       return res.status(404).json({ error: 'Scheduled tweet not found or already processed' });
     }
 
+    recordScheduledTweetEvent(req, 'schedule.updated', rows[0], {
+      scheduled_for: toUtcIso(rows[0].scheduled_for),
+      content_edited: Boolean(content),
+    });
     res.json({
       success: true,
       scheduled_tweet: {
         id: rows[0].id,
         scheduled_for: toUtcIso(rows[0].scheduled_for),
-        timezone: normalizedTimezone
+        timezone: normalizedTimezone,
+        content: rows[0].content,
+        series_id: rows[0].series_id || null,
       }
     });
 
@@ -1,10 +1,11 @@
 import express from 'express';
 import pool from '../config/database.js';
 import { strategyService } from '../services/strategyService.js';
-import { creditService } from '../services/creditService.js';
+import { deductBudgetedCredits, refundBudgetedCredits, resolveBudgetStrategyId } from '../services/creditBudgetService.js';
 import { aiService } from '../services/aiService.js';
 import { profileAnalysisService } from '../services/profileAnalysisService.js';
 import { requireProPlan } from '../middleware/planAccess.js';
+import { budgetRefusalFields } from '../utils/creditBudgets.js';
 
 const router = express.Router();
 router.use(requireProPlan('Strategy Builder'));
@@ -106,24 +107,27 @@ router.post('/chat', async (req, res) => {
       return res.status(400).json({ error: 'Message is required' });
     }
 
+    const teamId = req.headers['x-team-id'] || null;
     let strategy;
     if (strategyId) {
       strategy = await strategyService.getStrategy(strategyId);
     } else {
-      const teamId = req.headers['x-team-id'] || null;
       strategy = await strategyService.getOrCreateStrategy(userId, teamId);
     }
 
     // Check and deduct credits (0.5 credits per message)
-    const creditResult = await creditService.checkAndDeductCredits(
+    const creditResult = await deductBudgetedCredits({
       userId,
-      'strategy_chat',
-      0.5
-    );
+      teamId,
+      strategyId: await resolveBudgetStrategyId({ strategyId: strategy?.id, userId, teamId }),
+      operation: 'strategy_chat',
+      amount: 0.5,
+    });
 
     if (!creditResult.success) {
       return res.status(402).json({
         error: 'Insufficient credits',
+        ...budgetRefusalFields(creditResult),
         available: creditResult.available,
         required: creditResult.required
       });
@@ -157,15 +161,18 @@ router.post('/:id/generate-prompts', async (req, res) => {
     }
 
     // Check and deduct credits (10 credits for generating prompts)
-    const creditResult = await creditService.checkAndDeductCredits(
+    const creditResult = await deductBudgetedCredits({
       userId,
-      'strategy_prompts_generation',
-      10
-    );
+      teamId: strategy.team_id || null,
+      strategyId: strategy.id,
+      operation: 'strategy_prompts_generation',
+      amount: 10,
+    });
 
     if (!creditResult.success) {
       return res.status(402).json({
         error: 'Insufficient credits. Need 10 credits to generate prompts.',
+        ...budgetRefusalFields(creditResult),
         available: creditResult.available,
         required: creditResult.required
       });
@@ -201,6 +208,7 @@ router.post('/:id/add-on', async (req, res) => {
       content_goals: [],
       topics: [],
     };
+    const addonSpend = { userId, teamId: strategy.team_id || null, strategyId: strategy.id, amount: 0.5 };
 
     if (source === 'manual') {
       if (!Array.isArray(content_goals) && !Array.isArray(topics)) {
@@ -218,15 +226,12 @@ router.post('/:id/add-on', async (req, res) => {
         return res.status(400).json({ error: 'Prompt is required for AI add-on and must be at least 5 characters.' });
       }
 
-      const creditResult = await creditService.checkAndDeductCredits(
-        userId,
-        'strategy_addon_ai',
-        0.5
-      );
+      const creditResult = await deductBudgetedCredits({ ...addonSpend, operation: 'strategy_addon_ai' });
 
       if (!creditResult.success) {
         return res.status(402).json({
           error: 'Insufficient credits',
+          ...budgetRefusalFields(creditResult),
           available: creditResult.available,
           required: creditResult.required
         });
@@ -252,7 +257,7 @@ router.post('/:id/add-on', async (req, res) => {
 
         additions = parseAddonAIOutput(aiResult?.content || '');
       } catch (aiError) {
-        await creditService.refundCredits(userId, 'strategy_addon_ai_failed', 0.5);
+        await refundBudgetedCredits({ ...addonSpend, reason: 'strategy_addon_ai_failed' });
         throw aiError;
       }
     }
@@ -262,7 +267,7 @@ router.post('/:id/add-on', async (req, res) => {
       (!Array.isArray(additions.topics) || additions.topics.length === 0)
     ) {
       if (source === 'ai') {
-        await creditService.refundCredits(userId, 'strategy_addon_ai_empty', 0.5);
+        await refundBudgetedCredits({ ...addonSpend, reason: 'strategy_addon_ai_empty' });
       }
       return res.status(400).json({
         error: 'No valid goals/topics to add.'
@@ -517,6 +522,7 @@ router.delete('/:id', async (req, res) => {
 
 // POST /api/strategy/init-analysis — kicks off full analysis pipeline
 router.post('/init-analysis', async (req, res) => {
+  let spend = null;
   try {
     const userId = req.user.id;
     const { strategyId, portfolioUrl, userContext } = req.body;
@@ -532,14 +538,17 @@ router.post('/init-analysis', async (req, res) => {
     }
 
     // Check credits (5 credits for full analysis)
-    const creditResult = await creditService.checkAndDeductCredits(userId, 'profile_analysis', 5);
+    const analysisSpend = { userId, teamId: strategy.team_id || null, strategyId, amount: 5 };
+    const creditResult = await deductBudgetedCredits({ ...analysisSpend, operation: 'profile_analysis' });
     if (!creditResult.success) {
       return res.status(402).json({
         error: 'Insufficient credits. 5 credits required for profile analysis.',
+        ...budgetRefusalFields(creditResult),
         available: creditResult.available,
         required: creditResult.required,
       });
     }
+    spend = analysisSpend;
 
     // Run analysis pipeline
     const result = await profileAnalysisService.runFullAnalysis(userId, strategyId, {
@@ -560,9 +569,11 @@ router.post('/init-analysis', async (req, res) => {
   } catch (error) {
     console.error('[Strategy] init-analysis error:', error);
     // Refund credits on failure
-    try {
-      await creditService.refundCredits(req.user.id, 'profile_analysis_failed', 5);
-    } catch { }
+    if (spend) {
+      try {
+        await refundBudgetedCredits({ ...spend, reason: 'profile_analysis_failed' });
+      } catch { }
+    }
 
     // Return user-friendly messages for known error types
     const msg = error.message || 'Analysis failed';
@@ -630,10 +641,17 @@ router.post('/reference-analysis', async (req, res) => {
 
     // 5 credits per reference account (max 2 accounts = 10 credits)
     const creditCost = Math.min(handles.filter(Boolean).length, 2) * 5;
-    const creditResult = await creditService.checkAndDeductCredits(userId, 'reference_analysis', creditCost);
+    const creditResult = await deductBudgetedCredits({
+      userId,
+      teamId: req.headers['x-team-id'] || null,
+      strategyId: analysis.strategy_id || null,
+      operation: 'reference_analysis',
+      amount: creditCost,
+    });
     if (!creditResult.success) {
       return res.status(402).json({
         error: `Insufficient credits. ${creditCost} credits required.`,
+        ...budgetRefusalFields(creditResult),
         available: creditResult.available,
         required: creditResult.required,
       });
@@ -649,6 +667,7 @@ router.post('/reference-analysis', async (req, res) => {
 
 // POST /api/strategy/generate-analysis-prompts — generate prompt library from analysis
 router.post('/generate-analysis-prompts', async (req, res) => {
+  let spend = null;
   try {
     const userId = req.user.id;
     const { analysisId, strategyId } = req.body;
@@ -664,14 +683,23 @@ router.post('/generate-analysis-prompts', async (req, res) => {
     }
 
     // 10 credits for prompt generation
-    const creditResult = await creditService.checkAndDeductCredits(userId, 'analysis_prompt_generation', 10);
+    const teamId = req.headers['x-team-id'] || null;
+    const promptSpend = {
+      userId,
+      teamId,
+      strategyId: await resolveBudgetStrategyId({ strategyId, userId, teamId }),
+      amount: 10,
+    };
+    const creditResult = await deductBudgetedCredits({ ...promptSpend, operation: 'analysis_prompt_generation' });
     if (!creditResult.success) {
       return res.status(402).json({
         error: 'Insufficient credits. 10 credits required for prompt generation.',
+        ...budgetRefusalFields(creditResult),
         available: creditResult.available,
         required: creditResult.required,
       });
     }
+    spend = promptSpend;
 
     const result = await profileAnalysisService.generateAnalysisPrompts(analysisId, strategyId, userId);
 
@@ -682,9 +710,11 @@ router.post('/generate-analysis-prompts', async (req, res) => {
     });
   } catch (error) {
     console.error('[Strategy] generate-analysis-prompts error:', error);
-    try {
-      await creditService.refundCredits(req.user.id, 'analysis_prompt_generation_failed', 10);
-    } catch { }
+    if (spend) {
+      try {
+        await refundBudgetedCredits({ ...spend, reason: 'analysis_prompt_generation_failed' });
+      } catch { }
+    }
     res.status(500).json({ error: error.message || 'Failed to generate prompts' });
   }
 });
@@ -2,6 +2,12 @@
 import express from 'express';
 import { pool } from '../config/database.js';
 import { listLatestPersonalTwitterAuth } from '../utils/personalTwitterAuth.js';
+import {
+  ACCOUNT_PERMISSIONS_JOIN_SQL,
+  ACCOUNT_PERMISSIONS_SELECT_SQL,
+  hasAccountAccess,
+  withAccountPermissions,
+} from '../utils/teamAccountPermissions.js';
 
 const router = express.Router();
 
@@ -109,12 +115,14 @@ router.get('/accounts', async (req, res) => {
            ta.twitter_user_id as account_id,
            ta.twitter_profile_image_url as profile_image_url,
            ta.updated_at as created_at,
-           ta.updated_at as last_used_at
+           ta.updated_at as last_used_at,
+           ${ACCOUNT_PERMISSIONS_SELECT_SQL}
          FROM team_accounts ta
          INNER JOIN team_members tm
            ON tm.team_id = ta.team_id
           AND tm.user_id = $2
           AND tm.status = 'active'
+         ${ACCOUNT_PERMISSIONS_JOIN_SQL}
          WHERE ta.team_id = $1
            AND ta.active = true
          ORDER BY
@@ -122,7 +130,10 @@ router.get('/accounts', async (req, res) => {
            ta.updated_at DESC`,
         [validatedTeamId, userId]
       );
-      accounts = result.rows;
+      // Accounts the member has no permissions on stay hidden.
+      accounts = result.rows
+        .map(withAccountPermissions)
+        .filter((account) => hasAccountAccess(account.permissions));
     } else {
       const personalAccounts = await listLatestPersonalTwitterAuth(pool, userId, {
         columns: `id,
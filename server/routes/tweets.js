@@ -3,9 +3,10 @@ const router = express.Router();
 import fetch from 'node-fetch';
 import pool from '../config/database.js';
 import { validateRequest } from '../middleware/validation.js';
-import { validateTwitterConnection } from '../middleware/auth.js';
+import { requireTwitterConnection, validateTwitterConnection } from '../middleware/auth.js';
+import { requireAccountPermission } from '../middleware/accountPermissions.js';
 import { tweetSchema, aiGenerateSchema } from '../middleware/validation.js';
-import { creditService } from '../services/creditService.js';
+import { deductBudgetedCredits, refundBudgetedCredits } from '../services/creditBudgetService.js';
 import { aiService } from '../services/aiService.js';
 import { mediaService } from '../services/mediaService.js';
 import { logger } from '../utils/logger.js';
@@ -20,11 +21,14 @@ import {
 import { decodeHTMLEntities } from '../utils/decodeHTMLEntities.js';
 import { buildReconnectRequiredPayload, buildTwitterScopeFilter, resolveTwitterScope } from '../utils/twitterScopeResolver.js';
 import { resolveRequestPlanType } from '../middleware/planAccess.js';
+import { budgetRefusalFields } from '../utils/creditBudgets.js';
 import { buildCrossPostPayloads, detectCrossPostMedia } from '../utils/crossPostOptimizer.js';
 import { clearAnalyticsPrecomputeCache } from '../utils/analyticsPrecomputeCache.js';
 import { saveTwitterHistoryRow } from '../utils/twitterHistoryWriter.js';
 import { createTwitterPostingClient } from '../utils/twitterRuntimeAuth.js';
 import { fetchAndPersistMetricsInline } from '../workers/analyticsSyncWorker.js';
+import { checkPostCompliance } from '../services/complianceService.js';
+import { previewContent, recordAuditEvent } from '../services/auditService.js';
 
 const invalidateUserAnalyticsCache = async (userId) => {
   if (!userId) return;
@@ -227,25 +231,42 @@ const normalizeCrossPostTargetAccountIds = ({ crossPostTargetAccountIds = null }
   };
 };
 
+const normalizeCrossPostMediaItem = (item) => {
+  if (typeof item === 'string') return item.trim();
+  if (!item || typeof item !== 'object') return '';
+  const urlLikeFields = ['url', 'mediaUrl', 'media_url', 'secure_url', 'src', 'href'];
+  for (const field of urlLikeFields) {
+    const candidate = typeof item[field] === 'string' ? item[field].trim() : '';
+    if (candidate) return candidate;
+  }
+  return '';
+};
+
 const normalizeCrossPostMediaPayload = (value) => {
   if (!Array.isArray(value)) return [];
-  const normalizeMediaItem = (item) => {
-    if (typeof item === 'string') return item.trim();
-    if (!item || typeof item !== 'object') return '';
-    const urlLikeFields = ['url', 'mediaUrl', 'media_url', 'secure_url', 'src', 'href'];
-    for (const field of urlLikeFields) {
-      const candidate = typeof item[field] === 'string' ? item[field].trim() : '';
-      if (candidate) return candidate;
-    }
-    return '';
-  };
 
   return value
-    .map((item) => normalizeMediaItem(item))
+    .map((item) => normalizeCrossPostMediaItem(item))
     .filter(Boolean)
     .slice(0, CROSSPOST_MAX_MEDIA_ITEMS);
 };
 
+// Alt text is sent parallel to crossPostMedia; keep it aligned with the media
+// items that survive normalization.
+const normalizeCrossPostMediaAltTextPayload = (media, altText) => {
+  if (!Array.isArray(media)) return [];
+  const altTextArray = Array.isArray(altText) ? altText : [];
+
+  return media
+    .map((item, index) => ({
+      media: normalizeCrossPostMediaItem(item),
+      altText: typeof altTextArray[index] === 'string' ? altTextArray[index].trim().slice(0, 1000) : '',
+    }))
+    .filter((entry) => entry.media)
+    .map((entry) => entry.altText)
+    .slice(0, CROSSPOST_MAX_MEDIA_ITEMS);
+};
+
 const buildCrossPostResultShape = ({
   linkedinEnabled = false,
   threadsEnabled = false,
@@ -308,6 +329,7 @@ async function crossPostToLinkedIn({
   postMode = 'single',
   mediaDetected = false,
   media = [],
+  mediaAltText = [],
 }) {
   const linkedinGenieUrl = String(process.env.LINKEDIN_GENIE_URL || '').trim();
   const internalApiKey = String(process.env.INTERNAL_API_KEY || '').trim();
@@ -351,6 +373,7 @@ async function crossPostToLinkedIn({
         postMode,
         mediaDetected: Boolean(mediaDetected),
         media: Array.isArray(media) ? media : [],
+        mediaAltText: Array.isArray(mediaAltText) ? mediaAltText : [],
         ...(targetLinkedinTeamAccountId ? { targetLinkedinTeamAccountId: String(targetLinkedinTeamAccountId) } : {}),
         ...(targetAccountId ? { targetAccountId: String(targetAccountId) } : {}),
       }),
@@ -488,7 +511,7 @@ async function runValidateTwitterConnectionForRetry(req) {
       },
     };
 
-    validateTwitterConnection(retryReq, mockRes, () => resolve(retryReq));
+    requireTwitterConnection('post')(retryReq, mockRes, () => resolve(retryReq));
   });
 }
 
@@ -503,6 +526,7 @@ async function crossPostToThreads({
   mediaDetected = false,
   optimizeCrossPost = true,
   media = [],
+  mediaAltText = [],
 }) {
   const socialGenieUrl = String(process.env.SOCIAL_GENIE_URL || '').trim();
   const internalApiKey = String(process.env.INTERNAL_API_KEY || '').trim();
@@ -535,6 +559,7 @@ async function crossPostToThreads({
         optimizeCrossPost: optimizeCrossPost !== false,
         mediaDetected: Boolean(mediaDetected),
         media: Array.isArray(media) ? media : [],
+        mediaAltText: Array.isArray(mediaAltText) ? mediaAltText : [],
         ...(targetAccountId ? { targetAccountId: String(targetAccountId) } : {}),
       }),
       signal: controller.signal,
@@ -589,6 +614,7 @@ async function crossPostToTwitterAccount({
   threadParts = [],
   mediaDetected = false,
   media = [],
+  mediaAltText = [],
 }) {
   const tweetGenieUrl = resolveTweetGenieInternalBaseUrl();
   const internalApiKey = String(process.env.INTERNAL_API_KEY || '').trim();
@@ -623,6 +649,7 @@ async function crossPostToTwitterAccount({
         mediaDetected: Boolean(mediaDetected),
         sourcePlatform: 'x',
         media: Array.isArray(media) ? media : [],
+        mediaAltText: Array.isArray(mediaAltText) ? mediaAltText : [],
         targetAccountId: String(targetAccountId),
       }),
       signal: controller.signal,
@@ -698,7 +725,7 @@ async function saveTwitterCrossPostToHistory({
 }
 
 // Post a tweet
-router.post('/', validateRequest(tweetSchema), validateTwitterConnection, async (req, res) => {
+router.post('/', validateRequest(tweetSchema), requireAccountPermission('post'), validateTwitterConnection, async (req, res) => {
   try {
     const {
       content,
@@ -712,12 +739,15 @@ router.post('/', validateRequest(tweetSchema), validateTwitterConnection, async
       crossPostTargetAccountIds = null,
       optimizeCrossPost = true,
       crossPostMedia = [],
+      crossPostMediaAltText = [],
+      crossPostOverrides = null,
     } = req.body;
     const userId = req.user.id;
     let twitterAccount = req.twitterAccount;
     const normalizedCrossPostTargets = normalizeCrossPostTargets({ postToLinkedin, crossPostTargets });
     const normalizedCrossPostTargetAccountIds = normalizeCrossPostTargetAccountIds({ crossPostTargetAccountIds });
     const normalizedCrossPostMedia = normalizeCrossPostMediaPayload(crossPostMedia);
+    const normalizedCrossPostMediaAltText = normalizeCrossPostMediaAltTextPayload(crossPostMedia, crossPostMediaAltText);
     const strategyId = typeof strategy_id === 'string' && strategy_id.trim() ? strategy_id.trim() : null;
     const promptId = typeof prompt_id === 'string' && prompt_id.trim() ? prompt_id.trim() : null;
     const requestTeamId = String(req.headers['x-team-id'] || '').trim() || null;
@@ -740,6 +770,22 @@ router.post('/', validateRequest(tweetSchema), validateTwitterConnection, async
       });
     }
 
+    // Compliance rules: posting now has no approval step, so any violation stops it.
+    const compliance = await checkPostCompliance(
+      { userId, teamId: requestTeamId },
+      { threadParts: Array.isArray(thread) && thread.length > 0 ? thread : [content] }
+    );
+    if (!compliance.passed) {
+      const needsApproval = compliance.action === 'require_approval';
+      return res.status(422).json({
+        error: needsApproval
+          ? 'This post needs approval under your team compliance rules. Schedule it to send it for approval.'
+          : 'This post breaks your compliance rules.',
+        code: needsApproval ? 'COMPLIANCE_APPROVAL_REQUIRED' : 'COMPLIANCE_BLOCKED',
+        violations: compliance.violations,
+      });
+    }
+
     logger.info('[POST /tweets] Tweet request', { 
       userId, 
       accountId: twitterAccount?.id,
@@ -1056,6 +1102,7 @@ router.post('/', validateRequest(tweetSchema), validateTwitterConnection, async
           content,
           thread,
           optimizeCrossPost,
+          overrides: crossPostOverrides,
         });
         const twitterCrossPostMode =
           Array.isArray(thread) && thread.filter((part) => String(part || '').trim()).length > 1 ? 'thread' : 'single';
@@ -1072,6 +1119,8 @@ router.post('/', validateRequest(tweetSchema), validateTwitterConnection, async
                   ? (Array.isArray(threadMedia?.[0]) ? threadMedia[0] : [])
                   : (Array.isArray(media) ? media : [])
               );
+        const crossPostSourceMediaAltText =
+          normalizedCrossPostMedia.length > 0 ? normalizedCrossPostMediaAltText : [];
 
         // Build task array â€” only include enabled targets
         const crossPostTasks = [];
@@ -1090,6 +1139,7 @@ router.post('/', validateRequest(tweetSchema), validateTwitterConnection, async
               postMode: formattedCrossPost.linkedin.postMode,
               mediaDetected,
               media: crossPostSourceMedia,
+              mediaAltText: crossPostSourceMediaAltText,
             })
               .then((result) => ({ platform: 'linkedin', result }))
               .catch((err) => {
@@ -1111,6 +1161,7 @@ router.post('/', validateRequest(tweetSchema), validateTwitterConnection, async
               mediaDetected,
               optimizeCrossPost,
               media: crossPostSourceMedia,
+              mediaAltText: crossPostSourceMediaAltText,
             })
               .then((result) => ({ platform: 'threads', result }))
               .catch((err) => {
@@ -1131,6 +1182,7 @@ router.post('/', validateRequest(tweetSchema), validateTwitterConnection, async
               threadParts: twitterCrossPostThreadParts,
               mediaDetected,
               media: crossPostSourceMedia,
+              mediaAltText: crossPostSourceMediaAltText,
             })
               .then(async (result) => {
                 if (result?.status === 'posted') {
@@ -1190,6 +1242,18 @@ router.post('/', validateRequest(tweetSchema), validateTwitterConnection, async
       });
       // â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€
 
+      recordAuditEvent(req, {
+        action: 'tweet.posted',
+        teamId: twitterAccount.teamId || null,
+        accountId: twitterAccount.isTeamAccount ? twitterAccount.id : null,
+        targetType: 'tweet',
+        targetId: rows[0].id,
+        metadata: {
+          tweet_id: tweetResponse.data.id,
+          content: previewContent(mainContent),
+          thread_count: thread ? thread.length : 1,
+        },
+      });
       res.json({
         success: true,
         tweet: {
@@ -1335,10 +1399,12 @@ router.post('/ai-generate', validateRequest(aiGenerateSchema), async (req, res)
       logger.debug('Using token from request for AI generation');
     }
 
-    const creditCheck = await creditService.checkAndDeductCredits(userId, 'ai_generation', creditCost, userToken);
+    const spend = { userId, teamId: req.headers['x-team-id'] || null, amount: creditCost, token: userToken };
+    const creditCheck = await deductBudgetedCredits({ ...spend, operation: 'ai_generation' });
     if (!creditCheck.success) {
       return res.status(402).json({ 
         error: 'Insufficient credits',
+        ...budgetRefusalFields(creditCheck),
         required: creditCost,
         available: creditCheck.available
       });
@@ -1381,7 +1447,7 @@ router.post('/ai-generate', validateRequest(aiGenerateSchema), async (req, res)
     } catch (aiError) {
       logger.info('Attempting to refund credits due to AI generation error');
       try {
-        await creditService.refundCredits(userId, 'ai_generation_failed', creditCost, userToken);
+        await refundBudgetedCredits({ ...spend, reason: 'ai_generation_failed' });
       } catch (refundError) {
         logger.warn('Refund failed (non-critical)', { error: refundError.message });
       }
@@ -1577,8 +1643,18 @@ router.get(['/history', '/'], async (req, res) => {
   }
 });
 
+const recordTweetDeletion = (req, tweet, metadata = {}) =>
+  recordAuditEvent(req, {
+    action: 'tweet.deleted',
+    teamId: req.twitterAccount?.teamId || null,
+    accountId: req.twitterAccount?.isTeamAccount ? req.twitterAccount.id : null,
+    targetType: 'tweet',
+    targetId: tweet.id,
+    metadata: { tweet_id: tweet.tweet_id, content: previewContent(tweet.content), ...metadata },
+  });
+
 // Delete a tweet
-router.delete('/:tweetId', validateTwitterConnection, async (req, res) => {
+router.delete('/:tweetId', requireAccountPermission('post'), validateTwitterConnection, async (req, res) => {
   try {
     const { tweetId } = req.params;
     const userId = req.user.id;
@@ -1630,6 +1706,7 @@ router.delete('/:tweetId', validateTwitterConnection, async (req, res) => {
 
       const deletedRow = await markTweetDeleted(tweetId);
       await invalidateUserAnalyticsCache(userId);
+      recordTweetDeletion(req, tweet);
       const retention = getTweetDeletionRetentionWindow();
       const deletedAt = deletedRow?.deleted_at || new Date().toISOString();
       const deleteAfter = new Date(
@@ -1651,6 +1728,7 @@ router.delete('/:tweetId', validateTwitterConnection, async (req, res) => {
       if (isTwitterNotFoundError(twitterError)) {
         const deletedRow = await markTweetDeleted(tweetId);
         await invalidateUserAnalyticsCache(userId);
+        recordTweetDeletion(req, tweet, { already_removed: true });
         const retention = getTweetDeletionRetentionWindow();
         const deletedAt = deletedRow?.deleted_at || new Date().toISOString();
         const deleteAfter = new Date(
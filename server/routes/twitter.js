@@ -3,7 +3,9 @@ import pool from '../config/database.js';
 import crypto from 'crypto';
 import OAuth from 'oauth-1.0a';
 import { mediaService } from '../services/mediaService.js';
-import { validateTwitterConnection, authenticateToken } from '../middleware/auth.js';
+import { loadAssetFile, markAssetsUsed, saveAsset } from '../services/mediaLibraryService.js';
+import { getMediaKind } from '../utils/mediaProbe.js';
+import { requireTwitterConnection, authenticateToken } from '../middleware/auth.js';
 import {
   cleanupDuplicatePersonalTwitterAuth,
   fetchLatestPersonalTwitterAuth,
@@ -20,6 +22,15 @@ import {
   getTwitterConnectionStatus,
   TwitterReconnectRequiredError,
 } from '../utils/twitterRuntimeAuth.js';
+import { recordAuditEvent } from '../services/auditService.js';
+import {
+  ACCOUNT_PERMISSIONS_JOIN_SQL,
+  ACCOUNT_PERMISSIONS_SELECT_SQL,
+  buildPermissionDeniedPayload,
+  hasAccountAccess,
+  loadTeamAccountPermissions,
+  withAccountPermissions,
+} from '../utils/teamAccountPermissions.js';
 
 // Import new-platform database pool for user_social_accounts access
 import pg from 'pg';
@@ -36,6 +47,8 @@ const newPlatformPool = new Pool({
 });
 
 const router = express.Router();
+// Media is uploaded both to post now and to schedule for later.
+const MEDIA_UPLOAD_PERMISSIONS = ['post', 'schedule'];
 const TWITTER_DEBUG = process.env.TWITTER_DEBUG === 'true';
 
 const twitterDebug = (...args) => {
@@ -156,9 +169,11 @@ function sendPopupResult(
 
 
 // POST /api/twitter/upload-media - Upload images to Twitter and return media IDs
-router.post('/upload-media', validateTwitterConnection, async (req, res) => {
+// Body: { media: [data URL | media id | { assetId }], altTexts?: [string] (parallel to media) }
+// { assetId } entries are read from the media library; new uploads are added to it.
+router.post('/upload-media', requireTwitterConnection(MEDIA_UPLOAD_PERMISSIONS), async (req, res) => {
   try {
-    const { media } = req.body;
+    const { media, altTexts } = req.body;
     const twitterAccount = req.twitterAccount;
     if (!media || !Array.isArray(media) || media.length === 0) {
       return res.status(400).json({ error: 'No media provided' });
@@ -174,7 +189,35 @@ router.post('/upload-media', validateTwitterConnection, async (req, res) => {
     if (!twitterClient) {
       return res.status(401).json({ error: 'Twitter account not connected. Please reconnect your Twitter account.' });
     }
-    const mediaIds = await mediaService.uploadMedia(media, twitterClient, oauth1Tokens);
+
+    // requireTwitterConnection has already checked team membership.
+    const libraryScope = {
+      userId: req.user.id,
+      teamId: twitterAccount.isTeamAccount ? String(req.headers['x-team-id'] || '').trim() || null : null,
+    };
+    const libraryAssetIds = [];
+    const resolvedMedia = [];
+    for (const item of media) {
+      if (item && typeof item === 'object' && typeof item.assetId === 'string') {
+        const loaded = await loadAssetFile(libraryScope, item.assetId);
+        if (!loaded) {
+          return res.status(404).json({ error: 'Media library item not found' });
+        }
+        libraryAssetIds.push(loaded.asset.id);
+        resolvedMedia.push({ buffer: loaded.buffer, mimetype: loaded.asset.mime_type, fromLibrary: true });
+      } else {
+        resolvedMedia.push(item);
+      }
+    }
+
+    const mediaIds = await mediaService.uploadMedia(resolvedMedia, twitterClient, oauth1Tokens, {
+      altTexts: Array.isArray(altTexts) ? altTexts : [],
+      onUploaded: async ({ index, buffer, sourceBuffer, mimetype, altText }) => {
+        if (resolvedMedia[index]?.fromLibrary) return;
+        await saveAsset(libraryScope, buffer, { mimetype, sourceBuffer, altText });
+      },
+    });
+    await markAssetsUsed(libraryAssetIds);
     res.json({ success: true, mediaIds });
   } catch (error) {
     console.error('Upload media error:', error);
@@ -183,6 +226,153 @@ router.post('/upload-media', validateTwitterConnection, async (req, res) => {
 });
 
 
+// ─── Chunked video / GIF upload ──────────────────────────────────────────────
+// The composer streams large media in chunks so request bodies stay small:
+// init → append (repeated) → finalize → poll status until succeeded.
+
+const getUploadTokens = (twitterAccount) => (
+  twitterAccount?.oauth1_access_token && twitterAccount?.oauth1_access_token_secret
+    ? { accessToken: twitterAccount.oauth1_access_token, accessTokenSecret: twitterAccount.oauth1_access_token_secret }
+    : null
+);
+
+const OAUTH1_REQUIRED_ERROR = 'OAuth 1.0a required for media upload. Please reconnect your Twitter account.';
+const MEDIA_ID_PATTERN = /^\d+$/;
+
+// POST /api/twitter/upload-media/init - Body: { total_bytes, media_type, duration_seconds? }
+router.post('/upload-media/init', requireTwitterConnection(MEDIA_UPLOAD_PERMISSIONS), async (req, res) => {
+  try {
+    const oauth1Tokens = getUploadTokens(req.twitterAccount);
+    if (!oauth1Tokens) {
+      return res.status(400).json({ error: OAUTH1_REQUIRED_ERROR });
+    }
+
+    const totalBytes = Number(req.body?.total_bytes);
+    const mimetype = String(req.body?.media_type || '').toLowerCase();
+    const durationSeconds = req.body?.duration_seconds == null ? null : Number(req.body.duration_seconds);
+    if (!Number.isInteger(totalBytes) || totalBytes <= 0) {
+      return res.status(400).json({ error: 'total_bytes must be a positive integer' });
+    }
+
+    const validationError = mediaService.validateMedia({ mimetype, size: totalBytes, durationSeconds });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const mediaId = await mediaService.initChunkedUpload({ totalBytes, mimetype }, oauth1Tokens);
+    res.json({ success: true, mediaId, chunkSize: mediaService.chunkSize });
+  } catch (error) {
+    console.error('Chunked upload init error:', error);
+    res.status(500).json({ error: error.message || 'Failed to start media upload' });
+  }
+});
+
+// POST /api/twitter/upload-media/hosted - Body: { total_bytes, media_type, duration_seconds? }
+// Scheduled videos and GIFs are kept in storage and uploaded to X at publish
+// time, since X media IDs expire 24 hours after upload. Returns a signed URL
+// the browser PUTs the file to, and the public URL to schedule with.
+router.post('/upload-media/hosted', requireTwitterConnection('schedule'), async (req, res) => {
+  try {
+    if (!getUploadTokens(req.twitterAccount)) {
+      return res.status(400).json({ error: OAUTH1_REQUIRED_ERROR });
+    }
+
+    const totalBytes = Number(req.body?.total_bytes);
+    const mimetype = String(req.body?.media_type || '').toLowerCase();
+    const durationSeconds = req.body?.duration_seconds == null ? null : Number(req.body.duration_seconds);
+    if (!Number.isInteger(totalBytes) || totalBytes <= 0) {
+      return res.status(400).json({ error: 'total_bytes must be a positive integer' });
+    }
+    if (getMediaKind(mimetype) === 'image') {
+      return res.status(400).json({ error: 'Only videos and GIFs are stored for upload at publish time' });
+    }
+
+    const validationError = mediaService.validateMedia({ mimetype, size: totalBytes, durationSeconds });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const upload = await mediaService.createSignedUpload(mimetype);
+    if (!upload) {
+      return res.status(503).json({ error: 'Media storage is not configured' });
+    }
+    res.json({ success: true, uploadUrl: upload.uploadUrl, url: upload.url });
+  } catch (error) {
+    console.error('Hosted media upload error:', error);
+    res.status(500).json({ error: error.message || 'Failed to prepare media upload' });
+  }
+});
+
+// POST /api/twitter/upload-media/append - Body: { media_id, segment_index, chunk (base64) }
+router.post('/upload-media/append', requireTwitterConnection(MEDIA_UPLOAD_PERMISSIONS), async (req, res) => {
+  try {
+    const oauth1Tokens = getUploadTokens(req.twitterAccount);
+    if (!oauth1Tokens) {
+      return res.status(400).json({ error: OAUTH1_REQUIRED_ERROR });
+    }
+
+    const mediaId = String(req.body?.media_id || '');
+    const segmentIndex = Number(req.body?.segment_index);
+    const chunk = typeof req.body?.chunk === 'string' ? Buffer.from(req.body.chunk, 'base64') : null;
+    if (!MEDIA_ID_PATTERN.test(mediaId) || !Number.isInteger(segmentIndex) || segmentIndex < 0 || segmentIndex > 999) {
+      return res.status(400).json({ error: 'media_id and segment_index are required' });
+    }
+    if (!chunk || chunk.length === 0 || chunk.length > mediaService.chunkSize) {
+      return res.status(400).json({ error: `Each chunk must be between 1 byte and ${mediaService.chunkSize} bytes` });
+    }
+
+    await mediaService.appendChunk(mediaId, segmentIndex, chunk, oauth1Tokens);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Chunked upload append error:', error);
+    res.status(500).json({ error: error.message || 'Failed to upload media chunk' });
+  }
+});
+
+// POST /api/twitter/upload-media/finalize - Body: { media_id, alt_text? }
+router.post('/upload-media/finalize', requireTwitterConnection(MEDIA_UPLOAD_PERMISSIONS), async (req, res) => {
+  try {
+    const oauth1Tokens = getUploadTokens(req.twitterAccount);
+    if (!oauth1Tokens) {
+      return res.status(400).json({ error: OAUTH1_REQUIRED_ERROR });
+    }
+
+    const mediaId = String(req.body?.media_id || '');
+    if (!MEDIA_ID_PATTERN.test(mediaId)) {
+      return res.status(400).json({ error: 'media_id is required' });
+    }
+
+    const result = await mediaService.finalizeChunkedUpload(mediaId, oauth1Tokens);
+    await mediaService.applyAltText(mediaId, req.body?.alt_text, oauth1Tokens);
+    res.json({ success: true, mediaId, processing: result.processing_info || null });
+  } catch (error) {
+    console.error('Chunked upload finalize error:', error);
+    res.status(500).json({ error: error.message || 'Failed to finalize media upload' });
+  }
+});
+
+// GET /api/twitter/upload-media/:mediaId/status - Processing state after finalize
+router.get('/upload-media/:mediaId/status', requireTwitterConnection(MEDIA_UPLOAD_PERMISSIONS), async (req, res) => {
+  try {
+    const oauth1Tokens = getUploadTokens(req.twitterAccount);
+    if (!oauth1Tokens) {
+      return res.status(400).json({ error: OAUTH1_REQUIRED_ERROR });
+    }
+
+    const { mediaId } = req.params;
+    if (!MEDIA_ID_PATTERN.test(mediaId)) {
+      return res.status(400).json({ error: 'Invalid media id' });
+    }
+
+    const result = await mediaService.getUploadStatus(mediaId, oauth1Tokens);
+    res.json({ success: true, mediaId, processing: result.processing_info || null });
+  } catch (error) {
+    console.error('Chunked upload status error:', error);
+    res.status(500).json({ error: error.message || 'Failed to fetch media status' });
+  }
+});
+
+
 // Helper function to generate PKCE challenge
 function generatePKCE() {
   const codeVerifier = crypto.randomBytes(32).toString('base64url');
@@ -1073,6 +1263,11 @@ router.post('/disconnect', async (req, res) => {
         return res.status(403).json({ error: 'Not authorized to disconnect this team account' });
       }
 
+      const access = await loadTeamAccountPermissions(pool, { userId, accountId: selectedAccountId, teamId: requestTeamId });
+      if (access && !access.permissions.disconnect) {
+        return res.status(403).json(buildPermissionDeniedPayload('disconnect'));
+      }
+
       const client = await pool.connect();
       try {
         await client.query('BEGIN');
@@ -1106,6 +1301,14 @@ router.post('/disconnect', async (req, res) => {
         });
 
         await client.query('COMMIT');
+        recordAuditEvent(req, {
+          action: 'account.disconnected',
+          teamId: requestTeamId,
+          accountId: String(disconnectedTeamAccount.id),
+          targetType: 'team_account',
+          targetId: disconnectedTeamAccount.id,
+          metadata: { username: disconnectedTeamAccount.twitter_username || null },
+        });
         console.log('Team Twitter account disconnected successfully:', { userId, teamId: requestTeamId, selectedAccountId });
         return res.json({
           success: true,
@@ -1151,6 +1354,14 @@ router.post('/disconnect', async (req, res) => {
       });
 
       await client.query('COMMIT');
+      recordAuditEvent(req, {
+        action: 'account.disconnected',
+        teamId: null,
+        accountId: null,
+        targetType: 'twitter_auth',
+        targetId: deletedPersonalAccount.id,
+        metadata: { username: deletedPersonalAccount.twitter_username || null },
+      });
       console.log('Personal Twitter account disconnected successfully for user:', userId);
       res.json({
         success: true,
@@ -1523,50 +1734,61 @@ router.get('/team-accounts', async (req, res) => {
     // ⭐ FIX: Get Twitter accounts from team_accounts with OAuth status
     const oauth2AccountsResult = await pool.query(`
       SELECT 
-        id,
-        team_id,
-        user_id,
-        twitter_user_id,
-        twitter_username,
-        twitter_display_name,
-        twitter_profile_image_url,
-        followers_count,
-        following_count,
-        tweet_count,
-        verified,
-        active,
-        token_expires_at,
-        updated_at,
-        oauth1_access_token IS NOT NULL AND oauth1_access_token_secret IS NOT NULL as has_oauth1,
-        access_token IS NOT NULL as has_oauth2
-      FROM team_accounts
-      WHERE team_id = $1
-        AND active = true
+        ta.id,
+        ta.team_id,
+        ta.user_id,
+        ta.twitter_user_id,
+        ta.twitter_username,
+        ta.twitter_display_name,
+        ta.twitter_profile_image_url,
+        ta.followers_count,
+        ta.following_count,
+        ta.tweet_count,
+        ta.verified,
+        ta.active,
+        ta.token_expires_at,
+        ta.updated_at,
+        ta.oauth1_access_token IS NOT NULL AND ta.oauth1_access_token_secret IS NOT NULL as has_oauth1,
+        ta.access_token IS NOT NULL as has_oauth2,
+        ${ACCOUNT_PERMISSIONS_SELECT_SQL}
+      FROM team_accounts ta
+      INNER JOIN team_members tm
+        ON tm.team_id = ta.team_id
+       AND tm.user_id = $2
+       AND tm.status = 'active'
+      ${ACCOUNT_PERMISSIONS_JOIN_SQL}
+      WHERE ta.team_id = $1
+        AND ta.active = true
       ORDER BY
-        CASE WHEN user_id = $2 THEN 0 ELSE 1 END,
-        updated_at DESC
+        CASE WHEN ta.user_id = $2 THEN 0 ELSE 1 END,
+        ta.updated_at DESC
     `, [teamId, userId]);
 
     twitterDebug('[TEAM-ACCOUNTS] Team accounts found:', oauth2AccountsResult.rows.length);
 
-    const oauth2Accounts = oauth2AccountsResult.rows.map(account => ({
-      id: account.id,
-      team_id: account.team_id || teamId,
-      twitter_user_id: account.twitter_user_id,
-      username: account.twitter_username,
-      display_name: account.twitter_display_name,
-      profile_image_url: account.twitter_profile_image_url,
-      followers_count: account.followers_count,
-      following_count: account.following_count,
-      tweet_count: account.tweet_count,
-      verified: account.verified,
-      has_oauth1: account.has_oauth1,  // ⭐ FIXED: Now reads from database
-      has_oauth2: account.has_oauth2,  // ⭐ ADDED: OAuth2 status
-      created_at: null,
-      updated_at: account.updated_at,
-      connected_by_user_id: account.user_id,
-      type: 'team'
-    }));
+    // Accounts the member has no permissions on stay hidden.
+    const oauth2Accounts = oauth2AccountsResult.rows
+      .map(withAccountPermissions)
+      .filter((account) => hasAccountAccess(account.permissions))
+      .map(account => ({
+        id: account.id,
+        team_id: account.team_id || teamId,
+        twitter_user_id: account.twitter_user_id,
+        username: account.twitter_username,
+        display_name: account.twitter_display_name,
+        profile_image_url: account.twitter_profile_image_url,
+        followers_count: account.followers_count,
+        following_count: account.following_count,
+        tweet_count: account.tweet_count,
+        verified: account.verified,
+        has_oauth1: account.has_oauth1,  // ⭐ FIXED: Now reads from database
+        has_oauth2: account.has_oauth2,  // ⭐ ADDED: OAuth2 status
+        created_at: null,
+        updated_at: account.updated_at,
+        connected_by_user_id: account.user_id,
+        permissions: account.permissions,
+        type: 'team'
+      }));
 
     // Merge both account types
     const accounts = [...oauth1Accounts, ...oauth2Accounts];
@@ -0,0 +1,192 @@
+import express from 'express';
+import pool from '../config/database.js';
+import {
+  MAX_WEBHOOK_ENDPOINTS,
+  WEBHOOK_EVENTS,
+  countEndpoints,
+  createEndpoint,
+  deleteEndpoint,
+  getEndpoint,
+  listDeliveries,
+  listEndpoints,
+  normalizeEvents,
+  redeliver,
+  rotateSecret,
+  sendTestEvent,
+  updateEndpoint,
+  validateWebhookUrl,
+} from '../services/webhookService.js';
+
+const router = express.Router();
+const MANAGER_ROLES = ['owner', 'admin'];
+
+// Personal endpoints by default; with x-team-id, the team's endpoints, which
+// only owners and admins can see or change (they hold the signing secret).
+const resolveWebhookScope = async (req) => {
+  const userId = req.user.id;
+  const teamId = req.headers['x-team-id'] || null;
+  if (!teamId) return { scope: { userId, teamId: null } };
+
+  const { rows } = await pool.query(
+    'SELECT role FROM team_members WHERE team_id = $1 AND user_id = $2 AND status = $3',
+    [teamId, userId, 'active']
+  );
+  if (rows.length === 0) return { status: 403, error: 'Not a member of this team' };
+  if (!MANAGER_ROLES.includes(rows[0].role)) {
+    return { status: 403, error: 'Only team owners and admins can manage webhooks' };
+  }
+  return { scope: { userId, teamId } };
+};
+
+const parseEndpointBody = async (body = {}, { partial = false } = {}) => {
+  const updates = {};
+  if (body.url !== undefined || !partial) {
+    const urlError = await validateWebhookUrl(body.url);
+    if (urlError) return { error: urlError };
+    updates.url = String(body.url).trim();
+  }
+  if (body.events !== undefined || !partial) {
+    const events = normalizeEvents(body.events);
+    if (events.length === 0) return { error: `Choose at least one event: ${WEBHOOK_EVENTS.join(', ')}` };
+    updates.events = events;
+  }
+  if (body.description !== undefined) {
+    updates.description = body.description ? String(body.description).trim().slice(0, 200) : null;
+  }
+  if (partial && body.is_active !== undefined) {
+    updates.is_active = Boolean(body.is_active);
+  }
+  return { updates };
+};
+
+// GET /api/webhooks — endpoints for the user (or team) plus the event catalogue
+router.get('/', async (req, res) => {
+  try {
+    const { scope, status, error } = await resolveWebhookScope(req);
+    if (!scope) return res.status(status).json({ error });
+
+    const endpoints = await listEndpoints(scope);
+    res.json({ success: true, endpoints, events: WEBHOOK_EVENTS });
+  } catch (error) {
+    console.error('[Webhooks] List error:', error);
+    res.status(500).json({ error: 'Failed to fetch webhooks' });
+  }
+});
+
+// POST /api/webhooks — register an endpoint; the signing secret is only returned here
+router.post('/', async (req, res) => {
+  try {
+    const { scope, status, error } = await resolveWebhookScope(req);
+    if (!scope) return res.status(status).json({ error });
+
+    const { updates, error: validationError } = await parseEndpointBody(req.body);
+    if (validationError) return res.status(400).json({ error: validationError });
+
+    if ((await countEndpoints(scope)) >= MAX_WEBHOOK_ENDPOINTS) {
+      return res.status(400).json({ error: `You can register up to ${MAX_WEBHOOK_ENDPOINTS} webhook endpoints.` });
+    }
+
+    const { endpoint, secret } = await createEndpoint(scope, updates);
+    res.status(201).json({ success: true, endpoint, secret });
+  } catch (error) {
+    console.error('[Webhooks] Create error:', error);
+    res.status(500).json({ error: 'Failed to create webhook' });
+  }
+});
+
+// PATCH /api/webhooks/:id — change URL, events, description or pause it
+router.patch('/:id', async (req, res) => {
+  try {
+    const { scope, status, error } = await resolveWebhookScope(req);
+    if (!scope) return res.status(status).json({ error });
+
+    const { updates, error: validationError } = await parseEndpointBody(req.body, { partial: true });
+    if (validationError) return res.status(400).json({ error: validationError });
+
+    const endpoint = await updateEndpoint(scope, req.params.id, updates);
+    if (!endpoint) return res.status(404).json({ error: 'Webhook not found' });
+    res.json({ success: true, endpoint });
+  } catch (error) {
+    console.error('[Webhooks] Update error:', error);
+    res.status(500).json({ error: 'Failed to update webhook' });
+  }
+});
+
+// DELETE /api/webhooks/:id — also removes its delivery log
+router.delete('/:id', async (req, res) => {
+  try {
+    const { scope, status, error } = await resolveWebhookScope(req);
+    if (!scope) return res.status(status).json({ error });
+
+    const deleted = await deleteEndpoint(scope, req.params.id);
+    if (!deleted) return res.status(404).json({ error: 'Webhook not found' });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('[Webhooks] Delete error:', error);
+    res.status(500).json({ error: 'Failed to delete webhook' });
+  }
+});
+
+// POST /api/webhooks/:id/rotate-secret — old signatures stop verifying immediately
+router.post('/:id/rotate-secret', async (req, res) => {
+  try {
+    const { scope, status, error } = await resolveWebhookScope(req);
+    if (!scope) return res.status(status).json({ error });
+
+    const result = await rotateSecret(scope, req.params.id);
+    if (!result) return res.status(404).json({ error: 'Webhook not found' });
+    res.json({ success: true, endpoint: result.endpoint, secret: result.secret });
+  } catch (error) {
+    console.error('[Webhooks] Rotate secret error:', error);
+    res.status(500).json({ error: 'Failed to rotate webhook secret' });
+  }
+});
+
+// POST /api/webhooks/:id/test — send a signed `ping` once and report the response
+router.post('/:id/test', async (req, res) => {
+  try {
+    const { scope, status, error } = await resolveWebhookScope(req);
+    if (!scope) return res.status(status).json({ error });
+
+    const result = await sendTestEvent(scope, req.params.id);
+    if (!result) return res.status(404).json({ error: 'Webhook not found' });
+    res.json({ success: result.status === 'delivered', ...result });
+  } catch (error) {
+    console.error('[Webhooks] Test error:', error);
+    res.status(500).json({ error: 'Failed to send test webhook' });
+  }
+});
+
+// GET /api/webhooks/:id/deliveries — most recent deliveries, newest first
+router.get('/:id/deliveries', async (req, res) => {
+  try {
+    const { scope, status, error } = await resolveWebhookScope(req);
+    if (!scope) return res.status(status).json({ error });
+
+    const endpoint = await getEndpoint(scope, req.params.id);
+    if (!endpoint) return res.status(404).json({ error: 'Webhook not found' });
+
+    const deliveries = await listDeliveries(endpoint.id, { limit: req.query.limit });
+    res.json({ success: true, deliveries });
+  } catch (error) {
+    console.error('[Webhooks] Deliveries error:', error);
+    res.status(500).json({ error: 'Failed to fetch webhook deliveries' });
+  }
+});
+
+// POST /api/webhooks/deliveries/:deliveryId/redeliver — start a fresh retry cycle
+router.post('/deliveries/:deliveryId/redeliver', async (req, res) => {
+  try {
+    const { scope, status, error } = await resolveWebhookScope(req);
+    if (!scope) return res.status(status).json({ error });
+
+    const result = await redeliver(scope, req.params.deliveryId);
+    if (!result) return res.status(404).json({ error: 'Delivery not found' });
+    res.json({ success: result.status === 'delivered', ...result });
+  } catch (error) {
+    console.error('[Webhooks] Redeliver error:', error);
+    res.status(500).json({ error: 'Failed to redeliver webhook' });
+  }
+});
+
+export default router;
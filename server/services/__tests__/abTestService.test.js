@@ -0,0 +1,71 @@
+/**
+ * A/B hook test winner selection: engagement rate when impressions are
+ * available, raw engagement otherwise, and no winner without a clear lead;
+ * request problems on creation are flagged for a 400.
+ */
+
+import { jest } from '@jest/globals';
+
+const mockPool = {
+  query: jest.fn().mockResolvedValue({ rows: [] }),
+};
+
+await jest.unstable_mockModule('../../config/database.js', () => ({
+  default: mockPool,
+}));
+await jest.unstable_mockModule('../scheduledTweetService.js', () => ({
+  scheduledTweetService: { scheduleTweets: jest.fn() },
+}));
+await jest.unstable_mockModule('../aiService.js', () => ({
+  aiService: { generateContent: jest.fn() },
+}));
+
+const { abTestService, pickWinner } = await import('../abTestService.js');
+
+const variant = (label, impressions, engagement) => ({
+  id: `v-${label}`,
+  variant_label: label,
+  posted_tweet_id: `tweet-${label}`,
+  impressions,
+  engagement,
+});
+
+describe('abTestService.pickWinner', () => {
+  test('picks the highest engagement rate when every variant has impressions', () => {
+    const { winner, reason } = pickWinner([
+      variant('A', 1000, 20),
+      variant('B', 400, 16),
+    ]);
+    expect(winner.id).toBe('v-B');
+    expect(reason).toContain('engagement rate');
+  });
+
+  test('falls back to raw engagement when impressions are missing', () => {
+    const { winner, reason } = pickWinner([
+      variant('A', 0, 4),
+      variant('B', 0, 12),
+      variant('C', 0, 6),
+    ]);
+    expect(winner.id).toBe('v-B');
+    expect(reason).toContain('engagements');
+  });
+
+  test('returns no winner without a clear margin or enough data', () => {
+    expect(pickWinner([variant('A', 1000, 20), variant('B', 1000, 21)]).winner).toBeNull();
+    expect(pickWinner([variant('A', 0, 1), variant('B', 0, 2)]).winner).toBeNull();
+    expect(pickWinner([variant('A', 1000, 20), { ...variant('B', 0, 0), posted_tweet_id: null }]).winner).toBeNull();
+  });
+});
+
+describe('abTestService.createTest', () => {
+  const scope = { mode: 'personal', userId: 'u1', teamId: null, accountId: null };
+
+  test('flags request problems so routes can answer 400', async () => {
+    await expect(abTestService.createTest({ scope, content: '   ', scheduledFor: new Date() }))
+      .rejects.toMatchObject({ code: 'AB_TEST_INVALID', message: 'Content is required for an A/B test' });
+    await expect(abTestService.createTest({ scope, content: 'x'.repeat(281), scheduledFor: new Date() }))
+      .rejects.toMatchObject({ code: 'AB_TEST_INVALID' });
+    await expect(abTestService.createTest({ scope, content: 'Hello', distribution: 'accounts', targetScopes: [scope] }))
+      .rejects.toMatchObject({ code: 'AB_TEST_INVALID' });
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Per-account permissions at the route level: a viewer on a team account can
+ * read but not post, schedule, work the inbox, edit the brand voice or manage
+ * calendar feeds, and team requests
+ * without a usable account are refused rather than passed through.
+ */
+
+import { jest } from '@jest/globals';
+import express from 'express';
+
+const TEAM_ID = '11111111-1111-4111-8111-111111111111';
+const ACCOUNT_ID = '7';
+
+let memberRole = 'viewer';
+const mockPool = {
+  query: jest.fn((sql) => {
+    if (/FROM team_accounts ta/.test(sql)) {
+      return Promise.resolve({
+        rows: memberRole
+          ? [{ id: 7, team_id: TEAM_ID, twitter_user_id: '999', member_role: memberRole, has_custom_permissions: false }]
+          : [],
+      });
+    }
+    if (/FROM team_members/.test(sql)) return Promise.resolve({ rows: memberRole ? [{ '?column?': 1 }] : [] });
+    return Promise.resolve({ rows: [] });
+  }),
+};
+
+await jest.unstable_mockModule('../../config/database.js', () => ({
+  default: mockPool,
+  pool: mockPool,
+}));
+
+const { requireAccountPermission } = await import('../../middleware/accountPermissions.js');
+const { requireTwitterConnection } = await import('../../middleware/auth.js');
+const { default: calendarFeedRoutes } = await import('../../routes/calendarFeeds.js');
+
+const ok = (req, res) => res.json({ ok: true });
+
+// Mounted the way index.js and the routers mount them.
+const app = express();
+app.use((req, res, next) => {
+  req.user = { id: 'member-1' };
+  next();
+});
+const inbox = express.Router();
+inbox.get('/', ok);
+inbox.patch('/:id', ok);
+inbox.post('/sync', ok);
+inbox.post('/:id/reply', requireAccountPermission('post'), ok);
+app.use('/api/inbox', requireAccountPermission('post', { writesOnly: true }), inbox);
+const brandVoice = express.Router();
+brandVoice.get('/', ok);
+brandVoice.put('/', ok);
+brandVoice.post('/learn', ok);
+app.use('/api/brand-voice', requireAccountPermission('post', { writesOnly: true }), brandVoice);
+const evergreen = express.Router();
+evergreen.get('/', ok);
+evergreen.post('/', ok);
+app.use('/api/evergreen', requireAccountPermission('schedule', { writesOnly: true }), evergreen);
+app.use('/api/ab-tests', requireAccountPermission('schedule', { writesOnly: true }), evergreen);
+app.use('/api/calendar-feeds', calendarFeedRoutes);
+app.post('/api/scheduling/bulk', requireTwitterConnection('schedule'), ok);
+
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+beforeEach(() => {
+  memberRole = 'viewer';
+  mockPool.query.mockClear();
+});
+
+const call = async (method, path, headers = { 'x-team-id': TEAM_ID, 'x-selected-account-id': ACCOUNT_ID }) => {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { 'content-type': 'application/json', ...headers },
+    body: method === 'GET' ? undefined : '{}',
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+describe('a viewer on a team account', () => {
+  test.each([
+    ['POST', '/api/inbox/abc/reply', 'post'],
+    ['PATCH', '/api/inbox/abc', 'post'],
+    ['POST', '/api/inbox/sync', 'post'],
+    ['PUT', '/api/brand-voice', 'post'],
+    ['POST', '/api/brand-voice/learn', 'post'],
+    ['POST', '/api/evergreen', 'schedule'],
+    ['POST', '/api/ab-tests', 'schedule'],
+    ['GET', '/api/calendar-feeds', 'schedule'],
+    ['POST', '/api/calendar-feeds', 'schedule'],
+    ['POST', '/api/scheduling/bulk', 'schedule'],
+  ])('is refused %s %s', async (method, path, permission) => {
+    const { status, body } = await call(method, path);
+    expect(status).toBe(403);
+    expect(body).toMatchObject({ code: 'TEAM_ACCOUNT_PERMISSION_DENIED', permission });
+  });
+
+  test('can still read evergreen tweets, A/B tests, the inbox and the brand voice', async () => {
+    expect((await call('GET', '/api/evergreen')).status).toBe(200);
+    expect((await call('GET', '/api/ab-tests')).status).toBe(200);
+    expect((await call('GET', '/api/inbox')).status).toBe(200);
+    expect((await call('GET', '/api/brand-voice')).status).toBe(200);
+  });
+});
+
+describe('team requests', () => {
+  test('an editor passes', async () => {
+    memberRole = 'editor';
+    expect((await call('POST', '/api/inbox/abc/reply')).status).toBe(200);
+    expect((await call('PUT', '/api/brand-voice')).status).toBe(200);
+    expect((await call('POST', '/api/evergreen')).status).toBe(200);
+  });
+
+  test('need a selected account', async () => {
+    const { status, body } = await call('POST', '/api/evergreen', { 'x-team-id': TEAM_ID });
+    expect(status).toBe(400);
+    expect(body.code).toBe('TEAM_ACCOUNT_SELECTION_REQUIRED');
+  });
+
+  test('are refused for accounts the member cannot use', async () => {
+    memberRole = null;
+    const { status, body } = await call('GET', '/api/evergreen');
+    expect(status).toBe(403);
+    expect(body.code).toBe('TEAM_ACCOUNT_NOT_USABLE');
+  });
+
+  test('personal requests are left to the route', async () => {
+    expect((await call('POST', '/api/evergreen', {})).status).toBe(200);
+    expect(mockPool.query).not.toHaveBeenCalled();
+  });
+});
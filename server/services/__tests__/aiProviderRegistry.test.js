@@ -0,0 +1,160 @@
+/**
+ * AI provider registry: routing order, plan gating, BYOK credential selection,
+ * the OpenAI-compatible custom provider (BYOK base URLs limited to public
+ * https hosts, reached without redirects through the public-only agents),
+ * and the offline mock provider that lets generation run end to end without
+ * network access.
+ */
+
+import { jest } from '@jest/globals';
+import { Readable } from 'stream';
+
+const mockPool = {
+  query: jest.fn(),
+};
+const mockRequest = jest.fn();
+
+await jest.unstable_mockModule('../../config/database.js', () => ({
+  default: mockPool,
+}));
+await jest.unstable_mockModule('axios', () => ({
+  default: { request: mockRequest, post: jest.fn() },
+}));
+
+const {
+  getProvider,
+  getProviderOrder,
+  resolveProviders,
+} = await import('../aiProviderRegistry.js');
+const { publicHttpsAgent } = await import('../../utils/publicHost.js');
+const { aiService } = await import('../aiService.js');
+
+const ENV_KEYS = [
+  'AI_MOCK_PROVIDER',
+  'AI_PROVIDER_ORDER',
+  'AI_PROVIDER_OPENAI_PLANS',
+  'AI_CUSTOM_BASE_URL',
+  'AI_CUSTOM_MODEL',
+  'OPENAI_API_KEY',
+  'GOOGLE_AI_API_KEY',
+  'PERPLEXITY_API_KEY',
+];
+const savedEnv = {};
+
+describe('aiProviderRegistry', () => {
+  beforeEach(() => {
+    ENV_KEYS.forEach((key) => {
+      savedEnv[key] = process.env[key];
+      delete process.env[key];
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    ENV_KEYS.forEach((key) => {
+      if (savedEnv[key] === undefined) delete process.env[key];
+      else process.env[key] = savedEnv[key];
+    });
+    jest.restoreAllMocks();
+  });
+
+  test('puts the mock provider first and honours AI_PROVIDER_ORDER', () => {
+    expect(getProviderOrder({ preference: 'platform' })).toEqual(['mock', 'google', 'perplexity', 'openai', 'custom']);
+
+    process.env.AI_PROVIDER_ORDER = 'openai, custom';
+    expect(getProviderOrder({ preference: 'byok' })).toEqual(['mock', 'openai', 'custom']);
+  });
+
+  test('skips providers without credentials or outside the plan', () => {
+    process.env.OPENAI_API_KEY = 'sk-platform';
+    process.env.GOOGLE_AI_API_KEY = 'g-platform';
+    process.env.AI_PROVIDER_OPENAI_PLANS = 'pro,agency';
+
+    expect(resolveProviders({ planType: 'free' }).map((p) => p.name)).toEqual(['google']);
+    expect(resolveProviders({ planType: 'pro' }).map((p) => p.name)).toEqual(['google', 'openai']);
+  });
+
+  test('uses the user key for BYOK and never falls back to platform keys', () => {
+    process.env.OPENAI_API_KEY = 'sk-platform';
+    const resolved = resolveProviders({
+      preference: 'byok',
+      userKeys: [{ provider: 'openai', apiKey: 'sk-user' }],
+    });
+
+    expect(resolved).toHaveLength(1);
+    expect(resolved[0]).toMatchObject({ name: 'openai', keyType: 'BYOK', credentials: { apiKey: 'sk-user' } });
+  });
+
+  test('requires an http(s) base URL for the custom provider', () => {
+    const custom = getProvider('custom');
+
+    process.env.AI_CUSTOM_BASE_URL = 'localhost:11434';
+    expect(custom.getCredentials({ preference: 'platform', userKeys: [] })).toBeNull();
+
+    process.env.AI_CUSTOM_BASE_URL = 'http://localhost:11434/v1';
+    process.env.AI_CUSTOM_MODEL = 'llama3';
+    expect(custom.getCredentials({ preference: 'platform', userKeys: [] })).toEqual({
+      baseURL: 'http://localhost:11434/v1',
+      userSupplied: false,
+      apiKey: 'not-needed',
+      model: 'llama3',
+      visionModel: null,
+    });
+  });
+
+  test('only calls public https base URLs from BYOK keys', async () => {
+    const custom = getProvider('custom');
+    const byok = (baseUrl) =>
+      custom.getCredentials({ preference: 'byok', userKeys: [{ provider: 'custom', baseUrl, apiKey: 'sk-user' }] });
+
+    expect(byok('http://93.184.216.34/v1')).toBeNull();
+    for (const baseUrl of ['https://127.0.0.1:11434/v1', 'https://169.254.169.254/v1', 'https://[::1]/v1']) {
+      const credentials = byok(baseUrl);
+      expect(credentials).toMatchObject({ baseURL: baseUrl, userSupplied: true });
+      await expect(custom.generateText({ prompt: 'hi', credentials })).rejects.toMatchObject({ code: 'PRIVATE_HOST' });
+      await expect(custom.captionImage({ prompt: 'hi', credentials })).rejects.toMatchObject({ code: 'PRIVATE_HOST' });
+    }
+  });
+
+  test('sends BYOK custom calls through the public-only agent and does not follow redirects', async () => {
+    const custom = getProvider('custom');
+    const credentials = custom.getCredentials({
+      preference: 'byok',
+      userKeys: [{ provider: 'custom', baseUrl: 'https://93.184.216.34/v1', apiKey: 'sk-user', model: 'llama3' }],
+    });
+    mockRequest.mockResolvedValueOnce({
+      status: 200,
+      headers: { 'content-type': 'application/json' },
+      data: Readable.from([Buffer.from(JSON.stringify({ choices: [{ message: { content: 'Shipped it #release' } }] }))]),
+    });
+
+    await expect(custom.generateText({ prompt: 'hi', credentials })).resolves.toBe('Shipped it #release');
+    expect(mockRequest.mock.calls[0][0]).toMatchObject({
+      url: 'https://93.184.216.34/v1/chat/completions',
+      method: 'POST',
+      maxRedirects: 0,
+      proxy: false,
+      httpsAgent: publicHttpsAgent,
+    });
+
+    mockRequest.mockResolvedValueOnce({
+      status: 302,
+      headers: { location: 'http://169.254.169.254/latest/meta-data' },
+      data: Readable.from([Buffer.from('')]),
+    });
+    await expect(custom.generateText({ prompt: 'hi', credentials })).rejects.toMatchObject({ status: 302 });
+    expect(mockRequest).toHaveBeenCalledTimes(2);
+  });
+
+  test('generates deterministic content offline through the mock provider', async () => {
+    process.env.AI_MOCK_PROVIDER = 'true';
+
+    const first = await aiService.generateContent('Generate 2 threads about shipping small releases', 'professional');
+    const second = await aiService.generateContent('Generate 2 threads about shipping small releases', 'professional');
+
+    expect(first).toMatchObject({ provider: 'mock', keyType: 'platform', success: true });
+    expect(first.content).toBe(second.content);
+    expect(first.content.split('---')).toHaveLength(2);
+    expect(mockPool.query).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * Approval chains: validating steps, who may sign off a step, moving a post
+ * through the chain (once per signer, never by the author) and sending it
+ * back for changes with a recorded revision.
+ */
+
+import { jest } from '@jest/globals';
+
+const mockPool = {
+  query: jest.fn(),
+};
+const mockEmitWebhookEvent = jest.fn(() => Promise.resolve(1));
+
+await jest.unstable_mockModule('../../config/database.js', () => ({
+  default: mockPool,
+  pool: mockPool,
+}));
+await jest.unstable_mockModule('../webhookService.js', () => ({
+  emitWebhookEvent: mockEmitWebhookEvent,
+}));
+
+const { canSignOffStep, describeApprovalProgress, normalizeApprovalSteps, threadComments } = await import(
+  '../../utils/approvalChain.js'
+);
+const { requestChanges, resubmitPost, signOffStep } = await import('../approvalService.js');
+
+const steps = [
+  { label: 'Editor', roles: ['editor'], agency_roles: [], user_ids: [] },
+  { label: 'Client', roles: [], agency_roles: ['client'], user_ids: [] },
+  { label: 'Admin', roles: ['owner', 'admin'], agency_roles: [], user_ids: [] },
+];
+
+const pendingRow = (overrides = {}) => ({
+  id: 'st-1',
+  user_id: 'author-1',
+  team_id: 'team-1',
+  account_id: 'acc-1',
+  content: 'Draft',
+  thread_tweets: [],
+  approval_status: 'pending_approval',
+  approval_step: 0,
+  ...overrides,
+});
+
+beforeEach(() => {
+  mockPool.query.mockReset();
+  mockEmitWebhookEvent.mockClear();
+});
+
+describe('approval chain steps', () => {
+  test('validates steps and rejects ones nobody can sign off', () => {
+    const { steps: normalized } = normalizeApprovalSteps([
+      { label: ' Client review ', roles: ['ADMIN', 'admin'], agency_roles: ['Client'] },
+    ]);
+    expect(normalized).toEqual([
+      { label: 'Client review', roles: ['admin'], agency_roles: ['client'], user_ids: [] },
+    ]);
+
+    expect(normalizeApprovalSteps([]).error).toMatch(/at least one/);
+    expect(normalizeApprovalSteps([{ label: 'x', roles: ['boss'] }]).error).toMatch(/unknown role "boss"/);
+    expect(normalizeApprovalSteps([{ label: 'x' }]).error).toMatch(/choose who can sign it off/);
+  });
+
+  test('matches team roles, agency roles and named members', () => {
+    expect(canSignOffStep(steps[0], { userId: 'u1', teamRole: 'editor' })).toBe(true);
+    expect(canSignOffStep(steps[0], { userId: 'u1', teamRole: 'viewer' })).toBe(false);
+    expect(canSignOffStep(steps[1], { userId: 'u2', agencyRole: 'Client' })).toBe(true);
+    expect(canSignOffStep({ ...steps[2], user_ids: ['u3'] }, { userId: 'u3', teamRole: 'viewer' })).toBe(true);
+  });
+
+  test('describes progress and clamps a step past the end of a shortened chain', () => {
+    const progress = describeApprovalProgress(pendingRow({ approval_step: 7 }), steps, { userId: 'u1', teamRole: 'admin' });
+    expect(progress.step_index).toBe(2);
+    expect(progress.steps.map((step) => step.state)).toEqual(['done', 'done', 'waiting']);
+    expect(progress.can_sign_off).toBe(true);
+  });
+
+  test('nests comment replies under their parent', () => {
+    const thread = threadComments([
+      { id: 'c1', parent_id: null },
+      { id: 'c2', parent_id: 'c1' },
+      { id: 'c3', parent_id: 'missing' },
+    ]);
+    expect(thread.map((comment) => comment.id)).toEqual(['c1', 'c3']);
+    expect(thread[0].replies.map((comment) => comment.id)).toEqual(['c2']);
+  });
+});
+
+describe('signing off', () => {
+  test('an earlier step advances the post and notifies the next reviewer', async () => {
+    mockPool.query
+      .mockResolvedValueOnce({ rows: [pendingRow({ approval_step: 1 })] })
+      .mockResolvedValueOnce({ rows: [{ id: 'c1' }] });
+
+    const result = await signOffStep(pendingRow(), steps, { userId: 'editor-1', teamRole: 'editor' }, 'Looks good');
+
+    expect(result.completed).toBe(false);
+    expect(mockPool.query.mock.calls[0][0]).not.toMatch(/approval_status = 'approved'/);
+    expect(mockPool.query.mock.calls[0][1]).toEqual(['st-1', 1, 0, 'editor-1']);
+    expect(mockPool.query.mock.calls[1][1]).toEqual(
+      expect.arrayContaining(['st-1', 'editor-1', 'approved', 0, 'Looks good'])
+    );
+    expect(mockEmitWebhookEvent).toHaveBeenCalledWith(
+      'approval.requested',
+      expect.objectContaining({ data: expect.objectContaining({ step: 'Client' }) })
+    );
+  });
+
+  test('the last step approves the post for publishing', async () => {
+    mockPool.query
+      .mockResolvedValueOnce({ rows: [pendingRow({ approval_status: 'approved', approval_step: 2 })] })
+      .mockResolvedValueOnce({ rows: [{ id: 'c1' }] });
+
+    const result = await signOffStep(pendingRow({ approval_step: 2 }), steps, { userId: 'admin-1', teamRole: 'admin' });
+
+    expect(result.completed).toBe(true);
+    expect(mockPool.query.mock.calls[0][0]).toMatch(/approval_status = 'approved'/);
+    expect(mockEmitWebhookEvent).not.toHaveBeenCalled();
+  });
+
+  test('refuses reviewers outside the current step and lost races', async () => {
+    const outsider = await signOffStep(pendingRow({ approval_step: 1 }), steps, { userId: 'e1', teamRole: 'editor' });
+    expect(outsider).toEqual({ status: 403, error: expect.stringContaining('"Client"') });
+    expect(mockPool.query).not.toHaveBeenCalled();
+
+    mockPool.query.mockResolvedValueOnce({ rows: [] });
+    const raced = await signOffStep(pendingRow(), steps, { userId: 'e1', teamRole: 'editor' });
+    expect(raced.status).toBe(409);
+  });
+
+  test('one person signs off once per round and never their own post', async () => {
+    const admin = { userId: 'admin-1', teamRole: 'admin' };
+    const repeat = await signOffStep(pendingRow({ approval_step: 2, approval_signers: ['admin-1'] }), steps, admin);
+    expect(repeat).toEqual({ status: 403, error: expect.stringContaining('already signed off') });
+    expect(describeApprovalProgress(pendingRow({ approval_step: 2, approval_signers: ['admin-1'] }), steps, admin).can_sign_off)
+      .toBe(false);
+
+    const author = await signOffStep(pendingRow(), steps, { userId: 'author-1', teamRole: 'editor' });
+    expect(author).toEqual({ status: 403, error: 'You cannot sign off your own post' });
+    expect(mockPool.query).not.toHaveBeenCalled();
+  });
+
+  test('records the signer and only updates rows they have not signed', async () => {
+    mockPool.query
+      .mockResolvedValueOnce({ rows: [pendingRow({ approval_step: 2 })] })
+      .mockResolvedValueOnce({ rows: [{ id: 'c1' }] });
+    const reviewer = { userId: 'author-1', agencyRole: 'client', viaReviewLink: true, reviewLinkId: 'link-9' };
+
+    await signOffStep(pendingRow({ approval_step: 1, approval_signers: ['editor-1'] }), steps, reviewer);
+
+    const [sql, params] = mockPool.query.mock.calls[0];
+    expect(sql).toMatch(/array_append\(approval_signers, \$4\)/);
+    expect(sql).toMatch(/NOT \(\$4 = ANY\(approval_signers\)\)/);
+    expect(params).toEqual(['st-1', 2, 1, 'review_link:link-9']);
+  });
+});
+
+describe('change requests', () => {
+  test('sends the post back to the author with notes', async () => {
+    mockPool.query
+      .mockResolvedValueOnce({ rows: [pendingRow({ approval_status: 'changes_requested' })] })
+      .mockResolvedValueOnce({ rows: [{ id: 'c1' }] });
+
+    const result = await requestChanges(pendingRow({ approval_step: 1 }), steps, { userId: 'c1', agencyRole: 'client' }, 'Fix the link');
+
+    expect(result.row.approval_status).toBe('changes_requested');
+    expect(mockPool.query.mock.calls[1][1]).toEqual(
+      expect.arrayContaining(['changes_requested', 1, 'Fix the link'])
+    );
+  });
+
+  test('resubmitting restarts the chain and records the edit as a revision', async () => {
+    mockPool.query.mockImplementation((sql) => {
+      if (/UPDATE scheduled_tweets/.test(sql)) {
+        return Promise.resolve({ rows: [pendingRow({ content: 'Fixed draft' })] });
+      }
+      return Promise.resolve({ rows: [{ id: 'x' }] });
+    });
+
+    const result = await resubmitPost(
+      pendingRow({ approval_status: 'changes_requested' }),
+      steps,
+      'author-1',
+      { content: 'Fixed draft', note: 'Updated the link' }
+    );
+
+    expect(result.row.approval_status).toBe('pending_approval');
+    const [updateSql] = mockPool.query.mock.calls.find(([sql]) => /UPDATE scheduled_tweets/.test(sql));
+    expect(updateSql).toMatch(/approval_signers = '\{\}'/);
+    const revisionCalls = mockPool.query.mock.calls.filter(([sql]) => /scheduled_tweet_revisions/.test(sql));
+    expect(revisionCalls).toHaveLength(2);
+    expect(revisionCalls[0][1].slice(0, 2)).toEqual(['st-1', 'Draft']);
+    expect(revisionCalls[1][1]).toEqual(['st-1', 'Fixed draft', '[]', 'author-1', 'Updated the link']);
+    expect(mockEmitWebhookEvent).toHaveBeenCalledWith(
+      'approval.requested',
+      expect.objectContaining({ data: expect.objectContaining({ step: 'Editor' }) })
+    );
+  });
+
+  test('only posts with changes requested can be resubmitted', async () => {
+    const result = await resubmitPost(pendingRow(), steps, 'author-1', { content: 'x' });
+    expect(result.status).toBe(409);
+    expect(mockPool.query).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Audit log: events are scoped to the team and account the caller verified
+ * (never the request headers), a failed write never fails the action, and
+ * listing scopes, filters and pages correctly.
+ */
+
+import { jest } from '@jest/globals';
+
+const mockPool = {
+  query: jest.fn(),
+};
+
+await jest.unstable_mockModule('../../config/database.js', () => ({
+  default: mockPool,
+  pool: mockPool,
+}));
+
+const { listAuditEvents, recordAuditEvent, recordScheduledTweetEvent } = await import('../auditService.js');
+
+const TEAM_ID = '11111111-1111-4111-8111-111111111111';
+const req = {
+  user: { id: 'user-1' },
+  ip: '203.0.113.9',
+  headers: { 'x-team-id': TEAM_ID, 'x-selected-account-id': '42', 'user-agent': 'jest' },
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockPool.query.mockReset();
+  mockPool.query.mockResolvedValue({ rows: [] });
+});
+
+describe('recording events', () => {
+  test('records the scope it is given and ignores the team headers', async () => {
+    await recordAuditEvent(req, {
+      action: 'tweet.posted', teamId: TEAM_ID, accountId: 42, targetType: 'tweet', targetId: 7, metadata: { content: 'hi' },
+    });
+    expect(mockPool.query.mock.calls[0][1]).toEqual([
+      TEAM_ID, '42', 'user-1', 'tweet.posted', 'tweet', '7', '{"content":"hi"}', '203.0.113.9', 'jest', null,
+    ]);
+
+    await recordAuditEvent(req, { action: 'autopilot.config_updated', targetType: 'strategy', targetId: 's1' });
+    const [teamId, accountId] = mockPool.query.mock.calls[1][1];
+    expect(teamId).toBeNull();
+    expect(accountId).toBeNull();
+  });
+
+  test('scopes scheduled post events to the post, not the request', async () => {
+    await recordScheduledTweetEvent(req, 'schedule.deleted', {
+      id: 'post-1',
+      team_id: null,
+      account_id: null,
+      content: 'x'.repeat(200),
+    });
+    const params = mockPool.query.mock.calls[0][1];
+    expect(params.slice(0, 6)).toEqual([null, null, 'user-1', 'schedule.deleted', 'scheduled_tweet', 'post-1']);
+    expect(JSON.parse(params[6]).content).toHaveLength(120);
+  });
+
+  test('swallows write failures', async () => {
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    mockPool.query.mockRejectedValue(new Error('relation "audit_events" does not exist'));
+
+    await expect(recordAuditEvent(req, { action: 'tweet.deleted' })).resolves.toBe(false);
+    consoleError.mockRestore();
+  });
+});
+
+describe('listing events', () => {
+  test('filters a team by account, actor and action group and pages by created_at', async () => {
+    const rows = [
+      { id: 'e3', created_at: '2026-03-22T12:00:00Z' },
+      { id: 'e2', created_at: '2026-03-22T11:00:00Z' },
+      { id: 'e1', created_at: '2026-03-22T10:00:00Z' },
+    ];
+    mockPool.query.mockResolvedValue({ rows });
+
+    const result = await listAuditEvents(
+      { teamId: TEAM_ID, userId: 'user-1' },
+      { accountId: 42, actorId: 'user-2', action: 'schedule', before: '2026-03-23T00:00:00Z', limit: 2 }
+    );
+
+    const [sql, params] = mockPool.query.mock.calls[0];
+    expect(sql).toMatch(/ae\.team_id = \$1 AND ae\.account_id = \$2 AND ae\.actor_id = \$3 AND ae\.action LIKE \$4 AND ae\.created_at < \$5/);
+    expect(params).toEqual([TEAM_ID, '42', 'user-2', 'schedule.%', '2026-03-23T00:00:00Z', 3]);
+    expect(result.events.map((event) => event.id)).toEqual(['e3', 'e2']);
+    expect(result.next_before).toBe('2026-03-22T11:00:00Z');
+  });
+
+  test('without a team lists only the user\'s personal events, matching exact actions', async () => {
+    const result = await listAuditEvents({ teamId: null, userId: 'user-1' }, { action: 'tweet.posted' });
+
+    const [sql, params] = mockPool.query.mock.calls[0];
+    expect(sql).toMatch(/ae\.team_id IS NULL AND ae\.actor_id = \$1 AND ae\.action = \$2/);
+    expect(params).toEqual(['user-1', 'tweet.posted', 51]);
+    expect(result).toEqual({ events: [], next_before: null });
+  });
+});
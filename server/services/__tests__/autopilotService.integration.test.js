@@ -47,3 +47,41 @@ describe('Integration: Autopilot Timezone Bug', () => {
     }
   });
 });
+
+describe('Autopilot queue slots', () => {
+  const config = { timezone: 'UTC', use_optimal_times: false, posts_per_day: 1, account_id: '42' };
+  const allSlots = [0, 1, 2, 3, 4, 5, 6].map((day) => ({ day, time: moment.utc().add(5, 'minutes').format('HH:mm') }));
+
+  const mockStrategy = (strategy) => {
+    mockPool.query.mockImplementation((sql) => {
+      if (/FROM user_strategies/.test(sql)) return Promise.resolve({ rows: [strategy] });
+      if (/FROM twitter_auth/.test(sql)) return Promise.resolve({ rows: [{ twitter_user_id: 'tw-9' }] });
+      if (/FROM posting_slot_schedules/.test(sql)) return Promise.resolve({ rows: [{ timezone: 'UTC', slots: allSlots }] });
+      return Promise.resolve({ rows: [] });
+    });
+  };
+  const slotScheduleCall = () => mockPool.query.mock.calls.find(([sql]) => /FROM posting_slot_schedules/.test(sql));
+
+  afterEach(() => {
+    mockPool.query.mockReset();
+    mockPool.query.mockResolvedValue({ rows: [] });
+  });
+
+  test("team strategies use the configured account's grid and skip slots inside the lead time", async () => {
+    mockStrategy({ user_id: 'u1', team_id: 'team-1' });
+
+    const result = await getNextOptimalPostingTime('strategy-1', config);
+
+    expect(slotScheduleCall()[1]).toEqual(['42']);
+    // Today's slot is 5 minutes away, inside the lead time, so tomorrow's is used.
+    expect(result.getTime() - Date.now()).toBeGreaterThan(23 * 60 * 60 * 1000);
+  });
+
+  test("personal strategies use the owner's connected account grid", async () => {
+    mockStrategy({ user_id: 'u1', team_id: null });
+
+    await getNextOptimalPostingTime('strategy-1', config);
+
+    expect(slotScheduleCall()[1]).toEqual(['u1', 'tw-9']);
+  });
+});
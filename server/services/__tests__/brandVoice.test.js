@@ -0,0 +1,100 @@
+/**
+ * Brand voice: learning style metrics from an account's tweets, the prompt
+ * block generators receive, and voice-match scoring of strategy drafts.
+ */
+
+import { analyseVoice, buildVoicePrompt, scoreVoiceMatch } from '../../utils/brandVoice.js';
+import { evaluateStrategyGeneratedContent } from '../../utils/strategyPromptBuilder.js';
+
+const tweets = [
+  { text: 'shipping small releases beats big launches. every time.', likes: 40 },
+  { text: 'small releases mean small rollbacks. ship on tuesday, sleep on friday.', likes: 12 },
+  { text: 'your roadmap is a guess. releases are the truth.', likes: 3 },
+  { text: 'RT @someone: this is not mine', likes: 500 },
+  { text: 'the best releases are boring ones. https://example.com/post', likes: 8 },
+  { text: 'what did your last release teach you?', likes: 20, replies: 15 },
+];
+
+const profile = {
+  is_enabled: true,
+  learned_stats: {
+    avg_tweet_length: 60,
+    avg_sentence_words: 6,
+    emoji_per_tweet: 0,
+    hashtags_per_tweet: 0,
+    question_ratio: 0.2,
+    lowercase_start_ratio: 1,
+    top_emojis: [],
+    top_hashtags: [],
+  },
+  learned_vocabulary: ['releases', 'small', 'ship'],
+  learned_examples: ['shipping small releases beats big launches. every time.'],
+  banned_words: ['game-changer'],
+  pinned_examples: [],
+  notes: null,
+};
+
+describe('brand voice', () => {
+  test('learns habits from original tweets and ignores retweets', () => {
+    const learned = analyseVoice(tweets);
+
+    expect(learned.tweetsAnalysed).toBe(5);
+    expect(learned.stats.emoji_per_tweet).toBe(0);
+    expect(learned.stats.hashtags_per_tweet).toBe(0);
+    expect(learned.stats.lowercase_start_ratio).toBe(1);
+    expect(learned.stats.question_ratio).toBe(0.2);
+    expect(learned.vocabulary).toContain('releases');
+    expect(learned.vocabulary).toContain('small');
+    expect(learned.examples[0]).toBe('shipping small releases beats big launches. every time.');
+    expect(learned.examples).toHaveLength(4); // the short question is too thin to imitate
+    expect(learned.examples).not.toContain('RT @someone: this is not mine');
+  });
+
+  test('builds a prompt block with banned words, and nothing when disabled', () => {
+    const block = buildVoicePrompt(profile);
+
+    expect(block).toContain('BRAND VOICE');
+    expect(block).toContain('Almost never uses emojis.');
+    expect(block).toContain('Usually starts tweets in lowercase.');
+    expect(block).toContain('NEVER use these words or phrases: game-changer');
+    expect(block).toContain('"shipping small releases beats big launches. every time."');
+    expect(buildVoicePrompt(profile, { maxChars: 200 })).not.toContain('Tweets they wrote');
+    expect(buildVoicePrompt({ ...profile, is_enabled: false })).toBe('');
+  });
+
+  test('scores on-voice drafts high and off-voice drafts low', () => {
+    const onVoice = scoreVoiceMatch('small releases keep rollbacks boring. ship them on tuesday.', profile);
+    const offVoice = scoreVoiceMatch(
+      'This game-changer platform will absolutely revolutionize how modern engineering organizations plan, coordinate and deliver their quarterly roadmaps 🚀🔥 #devops #shipping',
+      profile
+    );
+
+    expect(onVoice.score).toBe(100);
+    expect(onVoice.issues).toEqual([]);
+    expect(offVoice.score).toBeLessThan(60);
+    expect(offVoice.bannedWordsUsed).toEqual(['game-changer']);
+    expect(offVoice.issues).toEqual(
+      expect.arrayContaining([
+        'Uses emojis, which this account almost never does',
+        'Uses hashtags, which this account almost never does',
+      ])
+    );
+  });
+
+  test('strategy evaluation fails drafts that break the voice and reports the score', () => {
+    const result = evaluateStrategyGeneratedContent({
+      content: 'Honestly this is a game-changer for small teams that ship releases weekly.',
+      voiceProfile: profile,
+    });
+
+    expect(result.passed).toBe(false);
+    expect(result.voiceMatch.score).toBeLessThan(100);
+    expect(result.issues).toContain('Uses banned word(s) for this account: game-changer');
+
+    const withoutVoice = evaluateStrategyGeneratedContent({
+      content: 'Honestly this is a game-changer for small teams that ship releases weekly.',
+    });
+    expect(withoutVoice.passed).toBe(true);
+    expect(withoutVoice.voiceMatch).toBeNull();
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * ICS rendering for calendar feeds: RFC 5545 escaping, 75-octet line folding
+ * and one VEVENT per scheduled item; and token lookups that stop serving team
+ * feeds once their owner loses access to the account.
+ */
+
+import { jest } from '@jest/globals';
+
+const mockPool = {
+  query: jest.fn().mockResolvedValue({ rows: [] }),
+};
+
+await jest.unstable_mockModule('../../config/database.js', () => ({
+  default: mockPool,
+}));
+
+const { buildIcsCalendar, escapeIcsText, foldIcsLine, findFeedByToken } = await import('../calendarFeedService.js');
+
+describe('calendarFeedService ICS rendering', () => {
+  test('escapes commas, semicolons, backslashes and newlines', () => {
+    expect(escapeIcsText('a,b;c\\d\ne')).toBe('a\\,b\\;c\\\\d\\ne');
+  });
+
+  test('folds long lines at 75 octets without splitting multi-byte characters', () => {
+    const folded = foldIcsLine(`DESCRIPTION:${'é'.repeat(80)}`);
+    const segments = folded.split('\r\n');
+    expect(segments.length).toBeGreaterThan(1);
+    segments.forEach((segment) => {
+      expect(Buffer.byteLength(segment, 'utf8')).toBeLessThanOrEqual(75);
+    });
+    expect(segments.slice(1).every((segment) => segment.startsWith(' '))).toBe(true);
+    expect(segments.map((segment, i) => (i === 0 ? segment : segment.slice(1))).join('')).toBe(`DESCRIPTION:${'é'.repeat(80)}`);
+  });
+
+  test('renders one VEVENT per item with UTC start, status and link', () => {
+    const ics = buildIcsCalendar({
+      name: 'Tweet Genie',
+      now: new Date('2026-03-10T12:00:00Z'),
+      events: [
+        {
+          uid: 'sched-1@tweet-genie',
+          start: '2026-03-11T09:30:00Z',
+          summary: '[Scheduled] Hello, world',
+          description: 'Hello, world\nStatus: Scheduled',
+          url: 'http://localhost:5174/scheduling?item=sched_1',
+          status: 'CONFIRMED',
+        },
+        {
+          uid: 'review-2@tweet-genie',
+          start: '2026-03-12T10:00:00Z',
+          summary: '[In review] Draft',
+          description: 'Draft',
+          status: 'TENTATIVE',
+        },
+      ],
+    });
+
+    expect(ics.startsWith('BEGIN:VCALENDAR\r\n')).toBe(true);
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(2);
+    expect(ics).toContain('DTSTART:20260311T093000Z');
+    expect(ics).toContain('DTSTAMP:20260310T120000Z');
+    expect(ics).toContain('SUMMARY:[Scheduled] Hello\\, world');
+    expect(ics).toContain('URL:http://localhost:5174/scheduling?item=sched_1');
+    expect(ics).toContain('STATUS:TENTATIVE');
+  });
+
+  test('rejects malformed tokens without querying the database', async () => {
+    mockPool.query.mockClear();
+    expect(await findFeedByToken('not-a-token')).toBeNull();
+    expect(mockPool.query).not.toHaveBeenCalled();
+  });
+});
+
+describe('calendarFeedService.findFeedByToken', () => {
+  const TOKEN = 'a'.repeat(48);
+  const teamFeed = { id: 'feed-1', user_id: 'member-1', team_id: 'team-1', account_id: '7', author_id: null };
+
+  // The feed row, and the member's role on the account (null once removed).
+  const usePool = (feed, memberRole) => {
+    mockPool.query.mockReset();
+    mockPool.query.mockImplementation((sql) => {
+      if (/FROM calendar_feed_tokens/.test(sql)) return Promise.resolve({ rows: feed ? [feed] : [] });
+      if (/FROM team_accounts ta/.test(sql)) {
+        return Promise.resolve({
+          rows: memberRole ? [{ id: 7, team_id: 'team-1', member_role: memberRole, has_custom_permissions: false }] : [],
+        });
+      }
+      if (/FROM team_members/.test(sql)) return Promise.resolve({ rows: memberRole ? [{ '?column?': 1 }] : [] });
+      return Promise.resolve({ rows: [] });
+    });
+  };
+  const touched = () => mockPool.query.mock.calls.some(([sql]) => /SET last_accessed_at/.test(sql));
+
+  afterAll(() => {
+    mockPool.query.mockReset();
+    mockPool.query.mockResolvedValue({ rows: [] });
+  });
+
+  test('serves a team feed while its owner can schedule for the account', async () => {
+    usePool(teamFeed, 'editor');
+    expect(await findFeedByToken(TOKEN)).toEqual(teamFeed);
+    expect(mockPool.query.mock.calls[1][1]).toEqual(['7', 'member-1', 'team-1']);
+    expect(touched()).toBe(true);
+  });
+
+  test.each([
+    ['removed from the team', null],
+    ['left without schedule access', 'viewer'],
+  ])('stops serving a team feed once its owner is %s', async (_, memberRole) => {
+    usePool(teamFeed, memberRole);
+    expect(await findFeedByToken(TOKEN)).toBeNull();
+    expect(touched()).toBe(false);
+  });
+
+  test('checks team membership for team feeds without an account', async () => {
+    usePool({ ...teamFeed, account_id: null }, null);
+    expect(await findFeedByToken(TOKEN)).toBeNull();
+
+    usePool({ ...teamFeed, account_id: null }, 'viewer');
+    expect(await findFeedByToken(TOKEN)).toMatchObject({ id: 'feed-1' });
+  });
+
+  test('serves personal feeds without a membership check', async () => {
+    const personalFeed = { ...teamFeed, team_id: null, account_id: null };
+    usePool(personalFeed, null);
+    expect(await findFeedByToken(TOKEN)).toEqual(personalFeed);
+    expect(mockPool.query).toHaveBeenCalledTimes(2);
+  });
+});
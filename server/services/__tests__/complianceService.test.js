@@ -0,0 +1,187 @@
+/**
+ * Compliance rules: what counts as a violation, how validateTweetContent
+ * reports it, what the scheduler does with a post that breaks the rules, and
+ * which rules apply to team strategies' queue items.
+ */
+
+import { jest } from '@jest/globals';
+
+const mockPool = {
+  query: jest.fn(),
+};
+const mockEmitWebhookEvent = jest.fn(() => Promise.resolve(1));
+const mockNotifyTweetFailed = jest.fn(() => Promise.resolve());
+
+await jest.unstable_mockModule('../../config/database.js', () => ({
+  default: mockPool,
+}));
+await jest.unstable_mockModule('../webhookService.js', () => ({
+  emitWebhookEvent: mockEmitWebhookEvent,
+}));
+await jest.unstable_mockModule('../emailNotificationService.js', () => ({
+  notifyTweetFailed: mockNotifyTweetFailed,
+}));
+
+const { checkCompliance, normalizeRules } = await import('../../utils/complianceRules.js');
+const { validateTweetContent } = await import('../../utils/sanitization.js');
+const { enforceBeforePublish } = await import('../complianceService.js');
+const { checkItemCompliance, scheduleContentItem } = await import('../contentReviewService.js');
+
+const rules = normalizeRules({
+  banned_phrases: ['guaranteed returns', 'ad'],
+  required_disclosures: ['#ad|#sponsored'],
+  allowed_link_domains: ['https://www.acme.com/', 'bit.ly'],
+  max_hashtags: 2,
+  enforcement: 'require_approval',
+});
+
+const storedRules = { id: 'rules-1', ...rules, team_id: 'team-1' };
+
+describe('compliance rules', () => {
+  test('passes a post that follows every rule', () => {
+    const result = checkCompliance(
+      { content: 'Our new plan is live #sponsored https://shop.acme.com/plans' },
+      rules
+    );
+
+    expect(result).toEqual({ passed: true, action: 'allow', violations: [] });
+  });
+
+  test('reports each broken rule, across the whole thread', () => {
+    const result = checkCompliance(
+      {
+        threadParts: [
+          'Guaranteed returns on every plan, add yours today',
+          'Read more at https://evil.example.org/x #a #b #c',
+        ],
+      },
+      rules
+    );
+
+    expect(result.passed).toBe(false);
+    expect(result.action).toBe('require_approval');
+    expect(result.violations.map((violation) => violation.rule)).toEqual([
+      'banned_phrase',
+      'required_disclosure',
+      'link_domain',
+      'max_hashtags',
+    ]);
+    expect(result.violations[1].message).toBe('Missing required disclosure "#ad" or "#sponsored" in the first tweet');
+    expect(result.violations[2]).toEqual({
+      rule: 'link_domain',
+      message: 'Links to evil.example.org, which is not an allowed domain (tweet 2)',
+      tweetIndex: 1,
+    });
+  });
+
+  test('validateTweetContent fails blocking violations and warns about approval ones', () => {
+    const content = 'Guaranteed returns, no disclosure here';
+
+    const blocked = validateTweetContent(content, { complianceRules: { ...rules, enforcement: 'block' } });
+    expect(blocked.isValid).toBe(false);
+    expect(blocked.errors).toContain('Uses banned phrase "guaranteed returns"');
+
+    const flagged = validateTweetContent(content, { complianceRules: rules });
+    expect(flagged.isValid).toBe(true);
+    expect(flagged.compliance.action).toBe('require_approval');
+    expect(flagged.warnings).toContain('Uses banned phrase "guaranteed returns"');
+
+    expect(validateTweetContent(content).compliance).toBeNull();
+  });
+});
+
+describe('enforceBeforePublish', () => {
+  const row = {
+    id: 'st-1',
+    user_id: 'user-1',
+    team_id: 'team-1',
+    account_id: '7',
+    content: 'Guaranteed returns on every plan',
+    thread_tweets: [],
+    approval_status: 'approved',
+    compliance_status: null,
+  };
+
+  beforeEach(() => {
+    mockPool.query.mockReset();
+    mockEmitWebhookEvent.mockClear();
+    mockNotifyTweetFailed.mockClear();
+  });
+
+  test('sends a team post back for approval', async () => {
+    mockPool.query
+      .mockResolvedValueOnce({ rows: [row] })
+      .mockResolvedValueOnce({ rows: [storedRules] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    const result = await enforceBeforePublish('st-1');
+
+    expect(result.outcome).toBe('needs_approval');
+    const [sql, params] = mockPool.query.mock.calls[2];
+    expect(sql).toContain("approval_status = 'pending_approval'");
+    expect(sql).toContain("compliance_status = 'needs_approval'");
+    expect(params[0]).toBe('st-1');
+    expect(mockEmitWebhookEvent).toHaveBeenCalledWith('approval.requested', expect.objectContaining({ teamId: 'team-1' }));
+  });
+
+  test('blocks a personal post, since nobody can approve it', async () => {
+    mockPool.query
+      .mockResolvedValueOnce({ rows: [{ ...row, team_id: null }] })
+      .mockResolvedValueOnce({ rows: [{ ...storedRules, team_id: null }] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    const result = await enforceBeforePublish('st-1');
+
+    expect(result.outcome).toBe('blocked');
+    const [sql, params] = mockPool.query.mock.calls[2];
+    expect(sql).toContain("status = 'failed'");
+    expect(params[1]).toMatch(/^Blocked by compliance rules: Uses banned phrase "guaranteed returns"/);
+    expect(mockNotifyTweetFailed).toHaveBeenCalled();
+  });
+
+  test('publishes a flagged post once an owner or admin approved it', async () => {
+    mockPool.query.mockResolvedValueOnce({ rows: [{ ...row, compliance_status: 'needs_approval' }] });
+
+    await expect(enforceBeforePublish('st-1')).resolves.toBeNull();
+    expect(mockPool.query).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('queue items of a team strategy', () => {
+  const item = { id: 'q-1', strategy_id: 'strategy-1', content: 'Guaranteed returns on every plan', timezone: 'UTC' };
+
+  beforeEach(() => {
+    mockPool.query.mockReset();
+  });
+
+  test("are checked against the team's rules", async () => {
+    mockPool.query
+      .mockResolvedValueOnce({ rows: [{ team_id: 'team-1', account_id: '7' }] })
+      .mockResolvedValueOnce({ rows: [storedRules] });
+
+    const result = await checkItemCompliance('user-1', item);
+
+    expect(result.passed).toBe(false);
+    expect(result.action).toBe('require_approval');
+    const [sql, params] = mockPool.query.mock.calls[1];
+    expect(sql).toContain('team_id = $1');
+    expect(params).toEqual(['team-1']);
+  });
+
+  test("are scheduled on the team and the autopilot's account", async () => {
+    mockPool.query
+      .mockResolvedValueOnce({ rows: [{ count: '0' }] })
+      .mockResolvedValueOnce({ rows: [{ team_id: 'team-1', account_id: '7' }] })
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [{ id: 'st-9' }] })
+      .mockResolvedValue({ rows: [] });
+
+    const when = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    const result = await scheduleContentItem('user-1', { ...item, content: 'Launch day', source: 'autopilot' }, when);
+
+    expect(result).toMatchObject({ ok: true, scheduledTweetId: 'st-9' });
+    const [sql, params] = mockPool.query.mock.calls[3];
+    expect(sql).toContain('INSERT INTO scheduled_tweets (user_id, team_id, account_id');
+    expect(params.slice(0, 3)).toEqual(['user-1', 'team-1', '7']);
+  });
+});
@@ -0,0 +1,271 @@
+/**
+ * Credit budgets: input validation, hard stops checked and recorded in one
+ * locked transaction (failing closed when budgets can't be read), one-time
+ * threshold warnings per month, and the spend report's breakdowns.
+ */
+
+import { jest } from '@jest/globals';
+
+const mockPool = {
+  query: jest.fn(),
+  connect: jest.fn(),
+};
+const mockNotify = jest.fn(() => Promise.resolve());
+const mockEmitWebhook = jest.fn(() => Promise.resolve());
+
+await jest.unstable_mockModule('../../config/database.js', () => ({
+  default: mockPool,
+  pool: mockPool,
+}));
+await jest.unstable_mockModule('../emailNotificationService.js', () => ({
+  notifyCreditBudgetWarning: mockNotify,
+}));
+await jest.unstable_mockModule('../webhookService.js', () => ({
+  emitWebhookEvent: mockEmitWebhook,
+}));
+const mockCreditService = {
+  getAgencyCreditContext: () => ({ agencyWorkspaceId: 'ws-client-a' }),
+  checkAndDeductCredits: jest.fn(),
+  refundCredits: jest.fn(() => Promise.resolve()),
+};
+await jest.unstable_mockModule('../creditService.js', () => ({
+  creditService: mockCreditService,
+}));
+
+const { deductBudgetedCredits, recordCreditUsage, reserveCreditUsage, spendCredits } = await import('../creditBudgetService.js');
+const { crossedThresholds, monthRange, normalizeBudgetInput, summarizeUsage } = await import('../../utils/creditBudgets.js');
+
+const TEAM_ID = '11111111-1111-4111-8111-111111111111';
+const MEMBER_ID = '22222222-2222-4222-8222-222222222222';
+const STRATEGY_ID = '33333333-3333-4333-8333-333333333333';
+
+const budgetRow = (overrides = {}) => ({
+  id: 'budget-1',
+  user_id: 'owner-1',
+  team_id: TEAM_ID,
+  scope_type: 'member',
+  scope_id: MEMBER_ID,
+  monthly_limit: '10.00',
+  warn_thresholds: [50, 80],
+  hard_stop: true,
+  spent: '0',
+  ...overrides,
+});
+
+// Budgets for the lookup, with the usage recorded since added to their
+// spend; alert inserts succeed unless already announced. Like Postgres, a
+// transaction that locks the budget rows waits for the one holding them.
+let db;
+const usePool = (budgets, announced = []) => {
+  db = { recorded: 0, nextUsageId: 1, lock: Promise.resolve(), failure: null, clients: [] };
+  const handle = (sql, params, tx) => {
+    if (db.failure && /FROM credit_budgets/.test(sql)) return Promise.reject(db.failure);
+    if (/FOR UPDATE/.test(sql)) {
+      const held = db.lock;
+      db.lock = new Promise((resolve) => { tx.unlock = resolve; });
+      return held.then(() => ({ rows: budgets.map(({ id }) => ({ id })) }));
+    }
+    if (/FROM credit_budgets b/.test(sql)) {
+      return Promise.resolve({
+        rows: budgets.map((budget) => ({ ...budget, spent: String(Number(budget.spent) + db.recorded) })),
+      });
+    }
+    if (/INSERT INTO credit_usage/.test(sql)) {
+      db.recorded += params[5];
+      return Promise.resolve({ rows: [{ id: String(db.nextUsageId++) }] });
+    }
+    if (/INSERT INTO credit_budget_alerts/.test(sql)) {
+      return Promise.resolve({ rows: announced.includes(params[2]) ? [] : [{ threshold: params[2] }] });
+    }
+    if (sql === 'COMMIT' || sql === 'ROLLBACK') tx.unlock?.();
+    return Promise.resolve({ rows: [] });
+  };
+  mockPool.query.mockImplementation((sql, params) => handle(sql, params, {}));
+  mockPool.connect.mockImplementation(async () => {
+    const tx = {};
+    const client = { query: jest.fn((sql, params) => handle(sql, params, tx)), release: jest.fn() };
+    db.clients.push(client);
+    return client;
+  });
+};
+
+const statements = (client) => client.query.mock.calls.map(([sql]) => sql.trim().split('\n')[0].trim());
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockPool.query.mockReset();
+  mockPool.connect.mockReset();
+  usePool([]);
+});
+
+describe('budget input', () => {
+  test('normalizes thresholds and defaults to a hard stop', () => {
+    const { values } = normalizeBudgetInput({
+      scope_type: 'strategy', scope_id: STRATEGY_ID, monthly_limit: '25.555', warn_thresholds: [80, 50, 80],
+    });
+    expect(values).toEqual({
+      scope_type: 'strategy', scope_id: STRATEGY_ID, monthly_limit: 25.56, warn_thresholds: [50, 80], hard_stop: true,
+    });
+  });
+
+  test('rejects unknown scopes, bad limits and out-of-range thresholds', () => {
+    expect(normalizeBudgetInput({ scope_type: 'client', scope_id: STRATEGY_ID, monthly_limit: 5 }).error).toMatch(/scope_type/);
+    expect(normalizeBudgetInput({ scope_type: 'member', scope_id: 'abc', monthly_limit: 5 }).error).toMatch(/scope_id/);
+    expect(normalizeBudgetInput({ scope_type: 'member', scope_id: MEMBER_ID, monthly_limit: 0 }).error).toMatch(/monthly_limit must be greater than 0/);
+    expect(
+      normalizeBudgetInput({ scope_type: 'member', scope_id: MEMBER_ID, monthly_limit: 5, warn_thresholds: [100] }).error
+    ).toMatch(/warn_thresholds/);
+  });
+
+  test('months are calendar months in UTC', () => {
+    const range = monthRange('2026-12');
+    expect(range.start.toISOString()).toBe('2026-12-01T00:00:00.000Z');
+    expect(range.end.toISOString()).toBe('2027-01-01T00:00:00.000Z');
+    expect(monthRange(null, new Date('2026-03-31T23:59:00Z')).month).toBe('2026-03');
+    expect(monthRange('2026-13')).toBeNull();
+  });
+});
+
+describe('checking spend', () => {
+  const spend = { userId: MEMBER_ID, teamId: TEAM_ID, operation: 'ai_text_generation', amount: 1.2 };
+
+  test('a hard stop refuses spend past the limit and announces it once', async () => {
+    usePool([budgetRow({ spent: '9.60' })]);
+    const result = await reserveCreditUsage(spend);
+
+    expect(result).toMatchObject({ allowed: false, code: 'CREDIT_BUDGET_EXCEEDED', budget: { spent: 9.6, remaining: 0.4 } });
+    expect(statements(db.clients[0])).toContain('ROLLBACK');
+    expect(db.recorded).toBe(0);
+    expect(mockNotify).toHaveBeenCalledWith('owner-1', expect.objectContaining({ threshold: 100 }));
+    expect(mockNotify).toHaveBeenCalledWith(MEMBER_ID, expect.objectContaining({ threshold: 100 }));
+
+    mockNotify.mockClear();
+    usePool([budgetRow({ spent: '9.60' })], [100]);
+    await reserveCreditUsage(spend);
+    expect(mockNotify).not.toHaveBeenCalled();
+  });
+
+  test('locks the budgets, then checks and records the spend in one transaction', async () => {
+    usePool([budgetRow({ spent: '8.80' })]);
+    expect(await reserveCreditUsage(spend)).toEqual({ allowed: true, usageId: '1' });
+
+    const [client] = db.clients;
+    expect(statements(client)).toEqual([
+      'BEGIN',
+      'SELECT id FROM credit_budgets',
+      'SELECT b.*,',
+      'INSERT INTO credit_usage (user_id, team_id, strategy_id, agency_workspace_id, operation, amount)',
+      'COMMIT',
+    ]);
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  test('concurrent spends cannot both fit under the same hard stop', async () => {
+    usePool([budgetRow({ spent: '8.40' })]);
+    const results = await Promise.all([reserveCreditUsage(spend), reserveCreditUsage(spend)]);
+
+    expect(results.map((result) => result.allowed)).toEqual([true, false]);
+    expect(db.recorded).toBe(1.2);
+  });
+
+  test('warn-only budgets are allowed past the limit', async () => {
+    usePool([budgetRow({ spent: '9.60', hard_stop: false })]);
+    expect(await reserveCreditUsage(spend)).toMatchObject({ allowed: true });
+  });
+
+  test('personal spend without a strategy has no budget to check but is still recorded', async () => {
+    expect(await reserveCreditUsage({ ...spend, teamId: null })).toEqual({ allowed: true, usageId: '1' });
+    expect(statements(db.clients[0])).toEqual([
+      'BEGIN',
+      'INSERT INTO credit_usage (user_id, team_id, strategy_id, agency_workspace_id, operation, amount)',
+      'COMMIT',
+    ]);
+  });
+
+  test('fails closed when budgets cannot be loaded', async () => {
+    usePool([budgetRow()]);
+    db.failure = new Error('canceling statement due to statement timeout');
+
+    expect(await reserveCreditUsage(spend)).toMatchObject({ allowed: false, code: 'CREDIT_BUDGET_UNAVAILABLE' });
+    expect(statements(db.clients[0])).toContain('ROLLBACK');
+    expect(db.clients[0].release).toHaveBeenCalled();
+  });
+
+  test('allows spend where budgets were never set up', async () => {
+    usePool([]);
+    db.failure = Object.assign(new Error('relation "credit_budgets" does not exist'), { code: '42P01' });
+    expect(await reserveCreditUsage(spend)).toEqual({ allowed: true, usageId: null });
+  });
+});
+
+describe('spending credits', () => {
+  const spend = { userId: MEMBER_ID, teamId: TEAM_ID, operation: 'ai_text_generation', amount: 1.2 };
+
+  test('a refused spend never reaches the credit pool', async () => {
+    usePool([budgetRow({ spent: '9.60' })]);
+    const result = await deductBudgetedCredits({ ...spend, token: 'jwt' });
+
+    expect(result).toMatchObject({ success: false, source: 'budget', code: 'CREDIT_BUDGET_EXCEEDED' });
+    expect(mockCreditService.checkAndDeductCredits).not.toHaveBeenCalled();
+  });
+
+  test('charges the pool and warns about thresholds the spend crossed', async () => {
+    usePool([budgetRow({ spent: '7.00' })]);
+    mockCreditService.checkAndDeductCredits.mockResolvedValue({ success: true, remainingCredits: 40 });
+
+    expect(await deductBudgetedCredits({ ...spend, token: 'jwt' })).toEqual({ success: true, remainingCredits: 40 });
+    expect(mockCreditService.checkAndDeductCredits).toHaveBeenCalledWith(MEMBER_ID, 'ai_text_generation', 1.2, 'jwt');
+    expect(mockNotify).toHaveBeenCalledWith(MEMBER_ID, expect.objectContaining({ threshold: 80 }));
+  });
+
+  test('releases the reservation when the pool refuses or the deduction throws', async () => {
+    usePool([budgetRow()]);
+    const refused = await spendCredits(spend, async () => ({ success: false, error: 'insufficient_credits' }));
+    expect(refused).toEqual({ success: false, error: 'insufficient_credits' });
+    expect(mockPool.query).toHaveBeenCalledWith('DELETE FROM credit_usage WHERE id = $1', ['1']);
+
+    await expect(spendCredits(spend, async () => { throw new Error('pool down'); })).rejects.toThrow('pool down');
+    expect(mockPool.query).toHaveBeenCalledWith('DELETE FROM credit_usage WHERE id = $1', ['2']);
+    expect(mockNotify).not.toHaveBeenCalled();
+  });
+});
+
+describe('recording usage', () => {
+  test('attributes spend to the agency client and warns once per crossed threshold', async () => {
+    usePool([budgetRow({ spent: '7.20' })], [50]);
+    await recordCreditUsage({ userId: MEMBER_ID, teamId: TEAM_ID, strategyId: STRATEGY_ID, operation: 'ai_text_generation', amount: 1.2 });
+
+    expect(mockPool.query.mock.calls[0][1]).toEqual([MEMBER_ID, TEAM_ID, STRATEGY_ID, 'ws-client-a', 'ai_text_generation', 1.2]);
+    expect(crossedThresholds(budgetRow({ spent: '8.40' }))).toEqual([50, 80]);
+    expect(mockNotify).toHaveBeenCalledWith(MEMBER_ID, expect.objectContaining({ threshold: 80, percent_used: 84 }));
+    expect(mockEmitWebhook).toHaveBeenCalledWith('credits.budget_threshold', expect.objectContaining({ teamId: TEAM_ID }));
+  });
+
+  test('refunds are recorded as negative spend without warnings', async () => {
+    usePool([budgetRow({ spent: '9.00' })]);
+    await recordCreditUsage({ userId: MEMBER_ID, teamId: TEAM_ID, operation: 'ai_generation_failed', amount: -1.2 });
+
+    expect(mockPool.query).toHaveBeenCalledTimes(1);
+    expect(mockPool.query.mock.calls[0][1][5]).toBe(-1.2);
+    expect(mockNotify).not.toHaveBeenCalled();
+  });
+});
+
+describe('spend report', () => {
+  test('groups usage by member, strategy, client and operation', () => {
+    const report = summarizeUsage([
+      { user_id: 'u1', user_name: 'Ana', strategy_id: 's1', strategy_niche: 'SaaS', agency_workspace_id: 'ws-a', operation: 'autopilot_generation', credits: '6.00', operations: '5' },
+      { user_id: 'u1', user_name: 'Ana', strategy_id: null, agency_workspace_id: 'ws-b', operation: 'ai_text_generation', credits: '2.40', operations: '2' },
+      { user_id: 'u2', user_name: 'Bo', strategy_id: 's1', strategy_niche: 'SaaS', agency_workspace_id: 'ws-a', operation: 'ai_text_generation', credits: '1.20', operations: '1' },
+    ]);
+
+    expect(report.total).toBe(9.6);
+    expect(report.by_member).toEqual([
+      { user_id: 'u1', name: 'Ana', email: null, credits: 8.4, operations: 7 },
+      { user_id: 'u2', name: 'Bo', email: null, credits: 1.2, operations: 1 },
+    ]);
+    expect(report.by_strategy.map((row) => [row.strategy_id, row.credits])).toEqual([['s1', 7.2], [null, 2.4]]);
+    expect(report.by_client.map((row) => [row.agency_workspace_id, row.credits])).toEqual([['ws-a', 7.2], ['ws-b', 2.4]]);
+    expect(report.by_operation[0]).toMatchObject({ operation: 'autopilot_generation', credits: 6 });
+  });
+});
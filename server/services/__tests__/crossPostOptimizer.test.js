@@ -0,0 +1,95 @@
+/**
+ * Cross-post optimizer: per-platform adaptation of an X post, Threads' length
+ * limit, accepted rewrites, and parsing the AI rewrite answer.
+ */
+
+import { jest } from '@jest/globals';
+
+const mockGenerateContent = jest.fn();
+
+await jest.unstable_mockModule('../aiService.js', () => ({
+  aiService: { generateContent: mockGenerateContent },
+}));
+await jest.unstable_mockModule('../brandVoiceService.js', () => ({
+  getVoicePromptForUser: jest.fn(() => Promise.resolve('')),
+}));
+
+const { buildCrossPostPayloads } = await import('../../utils/crossPostOptimizer.js');
+const { parseRewriteResponse, rewriteForPlatforms } = await import('../crossPostRewriteService.js');
+
+describe('buildCrossPostPayloads', () => {
+  const thread = [
+    '1/ Shipping fast is a habit. Here is how we do it with @acme 🧵',
+    '2/ Small pull requests, reviewed the same day. #engineering #devex',
+    '3/ Deploy every day #a #b #c #d #e #f',
+  ];
+
+  test('expands a thread into a LinkedIn post with a hook and a call to action', () => {
+    const { linkedin } = buildCrossPostPayloads({ content: thread[0], thread });
+
+    expect(linkedin.postMode).toBe('single');
+    expect(linkedin.content.split('\n\n')).toEqual([
+      'Shipping fast is a habit.',
+      'Here is how we do it with acme',
+      'Small pull requests, reviewed the same day. #engineering #devex',
+      'Deploy every day #a #b #c d e f',
+      'What would you add? Share your thoughts in the comments.',
+    ]);
+  });
+
+  test('keeps @handles and one topic tag per post on Threads', () => {
+    const { threads } = buildCrossPostPayloads({
+      content: thread[0],
+      thread,
+      mentionMap: { acme: { threads: 'acme.hq' } },
+    });
+
+    expect(threads.postMode).toBe('thread');
+    expect(threads.threadParts).toEqual([
+      'Shipping fast is a habit. Here is how we do it with @acme.hq',
+      'Small pull requests, reviewed the same day. #engineering devex',
+      'Deploy every day #a b c d e f',
+    ]);
+  });
+
+  test('splits long posts into 500-character Threads parts, even without optimizing', () => {
+    const sentence = 'This sentence is exactly fifty characters long ok. ';
+    const { threads } = buildCrossPostPayloads({ content: sentence.repeat(12).trim(), optimizeCrossPost: false });
+
+    expect(threads.postMode).toBe('thread');
+    expect(threads.threadParts.every((part) => part.length <= 500)).toBe(true);
+    expect(threads.threadParts.join(' ')).toBe(sentence.repeat(12).trim());
+    expect(threads.notes).toContain("Split to fit Threads' 500-character limit");
+  });
+
+  test('uses accepted rewrites for their platform only', () => {
+    const payloads = buildCrossPostPayloads({
+      content: 'Hello @bob',
+      overrides: { linkedin: { content: 'Hello Bob, long form.' } },
+    });
+
+    expect(payloads.linkedin.content).toBe('Hello Bob, long form.');
+    expect(payloads.threads.content).toBe('Hello @bob');
+  });
+});
+
+describe('AI cross-post rewrite', () => {
+  test('parses the sectioned answer', () => {
+    expect(
+      parseRewriteResponse('=== LINKEDIN ===\nLong post.\n\nWhat do you think?\n=== THREADS ===\nFirst\n---\nSecond')
+    ).toEqual({ linkedin: 'Long post.\n\nWhat do you think?', threads: ['First', 'Second'] });
+  });
+
+  test('returns overrides and payloads that respect platform limits', async () => {
+    mockGenerateContent.mockResolvedValueOnce({
+      content: `=== THREADS ===\n${'word '.repeat(120).trim()}`,
+      provider: 'mock',
+    });
+
+    const result = await rewriteForPlatforms({ parts: ['Original post'], platforms: ['threads'], userId: 'user-1' });
+
+    expect(Object.keys(result.overrides)).toEqual(['threads']);
+    expect(result.payloads.threads.threadParts.length).toBe(2);
+    expect(result.provider).toBe('mock');
+  });
+});
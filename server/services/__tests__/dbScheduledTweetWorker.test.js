@@ -0,0 +1,84 @@
+/**
+ * Scheduler tick ordering: due posts are claimed and published before the
+ * periodic background jobs, and each job only runs once per interval.
+ */
+
+import { jest } from '@jest/globals';
+
+const calls = [];
+const mockPool = {
+  query: jest.fn((sql) => {
+    if (/WITH due AS/.test(sql)) {
+      calls.push('claim');
+      return Promise.resolve({ rows: [{ id: 'st-1' }] });
+    }
+    return Promise.resolve({ rows: [] });
+  }),
+};
+const track = (name, result = {}) => jest.fn(() => {
+  calls.push(name);
+  return Promise.resolve(result);
+});
+const mockRunEvergreenTick = track('evergreen');
+
+await jest.unstable_mockModule('../../config/database.js', () => ({
+  default: mockPool,
+  pool: mockPool,
+}));
+await jest.unstable_mockModule('../scheduledTweetService.js', () => ({
+  scheduledTweetService: { processSingleScheduledTweetById: track('publish', { outcome: 'succeeded' }) },
+}));
+await jest.unstable_mockModule('../evergreenService.js', () => ({
+  evergreenService: { runEvergreenTick: mockRunEvergreenTick },
+}));
+await jest.unstable_mockModule('../recurringScheduleService.js', () => ({
+  recurringScheduleService: {
+    runRecurringTick: track('recurring'),
+    materializeNextOccurrence: jest.fn(() => Promise.resolve({ queued: false })),
+  },
+}));
+await jest.unstable_mockModule('../feedbackLoopService.js', () => ({
+  feedbackLoopService: { evaluateAbTests: track('abTest') },
+}));
+await jest.unstable_mockModule('../webhookService.js', () => ({
+  processDueDeliveries: track('webhookRetry'),
+}));
+await jest.unstable_mockModule('../complianceService.js', () => ({
+  enforceBeforePublish: jest.fn(() => Promise.resolve(null)),
+}));
+
+const { getDbScheduledTweetWorkerStatus, runSchedulerTick } = await import('../../workers/dbScheduledTweetWorker.js');
+
+beforeEach(() => {
+  calls.length = 0;
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('dbScheduledTweetWorker tick', () => {
+  test('publishes the due batch before running background jobs', async () => {
+    await runSchedulerTick();
+
+    expect(calls).toEqual(['claim', 'publish', 'evergreen', 'abTest', 'webhookRetry', 'recurring']);
+    expect(getDbScheduledTweetWorkerStatus().lastEvergreenRunAt).not.toBeNull();
+  });
+
+  test('skips background jobs until their interval has passed and records failures', async () => {
+    await runSchedulerTick();
+    expect(calls).toEqual(['claim', 'publish']);
+
+    jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 60 * 60 * 1000);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    mockRunEvergreenTick.mockRejectedValueOnce(new Error('AI provider timed out'));
+    calls.length = 0;
+
+    await runSchedulerTick();
+
+    expect(calls).toEqual(['claim', 'publish', 'abTest', 'webhookRetry', 'recurring']);
+    const status = getDbScheduledTweetWorkerStatus();
+    expect(status.lastTick.evergreen).toEqual({ error: 'AI provider timed out' });
+    expect(status.stats.evergreenErrors).toBe(1);
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * Evergreen recycling: which tweet is picked next and when, the cooldown
+ * between recycles, and the scheduled_tweets row a recycle inserts.
+ */
+
+import { jest } from '@jest/globals';
+
+const mockPool = {
+  query: jest.fn(),
+};
+const mockGenerateContent = jest.fn();
+const mockDeductBudgetedCredits = jest.fn();
+const mockRefundBudgetedCredits = jest.fn(() => Promise.resolve({ success: true }));
+
+await jest.unstable_mockModule('../../config/database.js', () => ({
+  default: mockPool,
+  pool: mockPool,
+}));
+await jest.unstable_mockModule('../aiService.js', () => ({
+  aiService: { generateContent: mockGenerateContent },
+}));
+await jest.unstable_mockModule('../creditBudgetService.js', () => ({
+  deductBudgetedCredits: mockDeductBudgetedCredits,
+  refundBudgetedCredits: mockRefundBudgetedCredits,
+}));
+await jest.unstable_mockModule('../../utils/twitterPostingPreferences.js', () => ({
+  getTwitterPostingPreferences: jest.fn(() => Promise.resolve({ x_char_limit: 280 })),
+}));
+await jest.unstable_mockModule('../mediaService.js', () => ({
+  mediaService: {},
+}));
+await jest.unstable_mockModule('../emailNotificationService.js', () => ({
+  notifyTweetFailed: jest.fn(() => Promise.resolve()),
+}));
+
+const { computeNextEvergreenRunAt, evergreenService } = await import('../evergreenService.js');
+
+const settingsRow = (overrides = {}) => ({
+  id: 'set-1',
+  user_id: 'u1',
+  team_id: 'team-1',
+  account_id: '42',
+  author_id: 'tw-1',
+  is_enabled: true,
+  cadence_days: 3,
+  min_gap_days: 30,
+  post_hour: 9,
+  timezone: 'UTC',
+  next_run_at: null,
+  ...overrides,
+});
+
+const callsMatching = (pattern) => mockPool.query.mock.calls.filter(([sql]) => pattern.test(sql));
+
+// Answers the recycle queries; `pending` and `tweet` control the branch taken.
+const mockRecycleQueries = ({ pending = false, tweet = { id: 't-1', content: 'Ship small, ship often', media_urls: '["https://cdn.example.com/a.png"]' } } = {}) => {
+  mockPool.query.mockImplementation((sql) => {
+    if (/source = 'evergreen'/.test(sql)) return Promise.resolve({ rows: pending ? [{ '?column?': 1 }] : [] });
+    if (/FROM tweets t/.test(sql)) return Promise.resolve({ rows: tweet ? [tweet] : [] });
+    if (/column_name = 'metadata'/.test(sql)) return Promise.resolve({ rows: [{ '?column?': 1 }] });
+    if (/column_name = 'account_id'/.test(sql)) return Promise.resolve({ rows: [{ data_type: 'text' }] });
+    if (/INSERT INTO scheduled_tweets/.test(sql)) {
+      return Promise.resolve({ rows: [{ id: 'st-9', scheduled_for: new Date() }] });
+    }
+    return Promise.resolve({ rows: [], rowCount: 1 });
+  });
+};
+
+beforeEach(() => {
+  mockPool.query.mockReset();
+  mockGenerateContent.mockReset();
+  mockDeductBudgetedCredits.mockReset();
+  mockRefundBudgetedCredits.mockClear();
+  mockDeductBudgetedCredits.mockResolvedValue({ success: true });
+  mockGenerateContent.mockResolvedValue({ content: 'Small releases beat big launches. Ship often.' });
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('choosing the next recycle', () => {
+  test('snaps the next run to the post hour in the account timezone and never into the past', () => {
+    const now = new Date('2026-03-10T12:00:00Z');
+    const next = computeNextEvergreenRunAt({
+      fromDate: new Date('2026-03-09T08:00:00Z'),
+      cadenceDays: 0,
+      postHour: 9,
+      timezone: 'America/New_York',
+      now,
+    });
+    // 09:00 New York on the 9th has passed, so the next day at 09:00 EDT.
+    expect(next.toISOString()).toBe('2026-03-10T13:00:00.000Z');
+
+    const later = computeNextEvergreenRunAt({ fromDate: now, cadenceDays: 3, postHour: 9, timezone: 'UTC', now });
+    expect(later.toISOString()).toBe('2026-03-13T09:00:00.000Z');
+  });
+
+  test('picks never-recycled tweets first and skips ones inside the gap window', async () => {
+    mockPool.query.mockResolvedValueOnce({ rows: [{ id: 't-1' }] });
+
+    const tweet = await evergreenService.pickNextTweet(settingsRow({ min_gap_days: 45 }));
+
+    const [sql, params] = mockPool.query.mock.calls[0];
+    expect(tweet.id).toBe('t-1');
+    expect(sql).toMatch(/last_recycled_at < .*\$1::int \* INTERVAL '1 day'/s);
+    expect(sql).toMatch(/ORDER BY t\.last_recycled_at ASC NULLS FIRST, t\.performance_ratio DESC NULLS LAST/);
+    expect(sql).toMatch(/COALESCE\(t\.is_thread, false\) = false/);
+    expect(params).toEqual([45, '42']);
+  });
+
+  test('scopes personal accounts to the connected author', async () => {
+    mockPool.query.mockResolvedValueOnce({ rows: [] });
+
+    await evergreenService.pickNextTweet(settingsRow({ team_id: null, account_id: null, min_gap_days: null }));
+
+    expect(mockPool.query.mock.calls[0][1]).toEqual([30, 'u1', 'tw-1']);
+  });
+
+  test('clamps the cadence and the gap between recycles of one tweet', async () => {
+    mockPool.query
+      .mockResolvedValueOnce({ rows: [] })
+      .mockImplementationOnce((sql, params) => Promise.resolve({ rows: [{ params }] }));
+
+    const scope = { mode: 'team', userId: 'u1', teamId: 'team-1', accountId: '42', authorId: 'tw-1' };
+    const saved = await evergreenService.updateSettings(scope, { is_enabled: true, cadence_days: 500, min_gap_days: 2 });
+
+    const [, , accountId, , enabled, cadenceDays, minGapDays] = saved.params;
+    expect([accountId, enabled, cadenceDays, minGapDays]).toEqual(['42', true, 90, 7]);
+  });
+});
+
+describe('recycling', () => {
+  test('waits while an earlier recycle for the account is still pending', async () => {
+    mockRecycleQueries({ pending: true });
+
+    const result = await evergreenService.recycleForSettings(settingsRow());
+
+    expect(result).toEqual({ queued: false, reason: 'pending_recycle_exists' });
+    expect(mockDeductBudgetedCredits).not.toHaveBeenCalled();
+    expect(callsMatching(/UPDATE evergreen_settings/)).toHaveLength(0);
+  });
+
+  test('moves the next run on without charging when nothing is eligible', async () => {
+    mockRecycleQueries({ tweet: null });
+
+    const result = await evergreenService.recycleForSettings(settingsRow());
+
+    expect(result).toEqual({ queued: false, reason: 'no_eligible_tweets' });
+    expect(mockDeductBudgetedCredits).not.toHaveBeenCalled();
+    const [[, [nextRunAt, queued, lastError]]] = callsMatching(/UPDATE evergreen_settings/);
+    expect(nextRunAt.getTime()).toBeGreaterThan(Date.now());
+    expect(queued).toBe(false);
+    expect(lastError).toMatch(/No evergreen tweets/);
+  });
+
+  test('schedules the reworded tweet with only the columns it has values for', async () => {
+    mockRecycleQueries();
+
+    const result = await evergreenService.recycleForSettings(settingsRow({ next_run_at: new Date(Date.now() - 60_000) }));
+
+    expect(result).toEqual({ queued: true, scheduledId: 'st-9', sourceTweetId: 't-1' });
+    const [[sql, values]] = callsMatching(/INSERT INTO scheduled_tweets/);
+    const columns = sql.match(/\(([^)]*), status, created_at, updated_at\)/)[1].split(', ');
+    expect(columns).toEqual([
+      'user_id', 'scheduled_for', 'timezone', 'content', 'media_urls', 'thread_tweets',
+      'team_id', 'account_id', 'author_id', 'metadata', 'source',
+    ]);
+    expect(values).toHaveLength(columns.length);
+    const row = Object.fromEntries(columns.map((column, index) => [column, values[index]]));
+    expect(row).toMatchObject({
+      user_id: 'u1',
+      content: 'Small releases beat big launches. Ship often.',
+      media_urls: '["https://cdn.example.com/a.png"]',
+      team_id: 'team-1',
+      account_id: '42',
+      author_id: 'tw-1',
+      source: 'evergreen',
+    });
+    expect(JSON.parse(row.metadata).evergreen).toMatchObject({ source_tweet_id: 't-1', original_content: 'Ship small, ship often' });
+    // A due run in the past still gets the minimum lead time.
+    expect(new Date(`${row.scheduled_for.replace(' ', 'T')}Z`).getTime()).toBeGreaterThanOrEqual(Date.now() + 9 * 60 * 1000);
+
+    expect(mockDeductBudgetedCredits).toHaveBeenCalledWith(
+      expect.objectContaining({ userId: 'u1', teamId: 'team-1', operation: 'evergreen_reword' })
+    );
+    expect(callsMatching(/recycle_count = COALESCE\(recycle_count, 0\) \+ 1/)[0][1]).toEqual(['t-1']);
+    expect(callsMatching(/UPDATE evergreen_settings/)[0][1][1]).toBe(true);
+  });
+
+  test('refunds the reword when the rewrite is unusable', async () => {
+    mockRecycleQueries();
+    mockGenerateContent.mockResolvedValue({ content: 'Ship small, ship often!' });
+
+    await expect(evergreenService.recycleForSettings(settingsRow())).rejects.toThrow('identical');
+
+    expect(mockRefundBudgetedCredits).toHaveBeenCalledWith(expect.objectContaining({ reason: 'evergreen_reword_failed' }));
+    expect(callsMatching(/INSERT INTO scheduled_tweets/)).toHaveLength(0);
+    expect(callsMatching(/recycle_count/)).toHaveLength(0);
+  });
+});
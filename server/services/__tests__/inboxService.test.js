@@ -0,0 +1,113 @@
+/**
+ * Reply and mention inbox: turning X mentions into inbox rows, the sync
+ * cursor, and AI reply suggestions.
+ */
+
+import { jest } from '@jest/globals';
+
+const mockPool = {
+  query: jest.fn(),
+};
+const mockUserMentionTimeline = jest.fn();
+const mockGenerateContent = jest.fn();
+
+await jest.unstable_mockModule('../../config/database.js', () => ({
+  default: mockPool,
+  pool: mockPool,
+}));
+await jest.unstable_mockModule('../../utils/twitterRuntimeAuth.js', () => ({
+  refreshTwitterOauth2IfNeeded: jest.fn(({ account }) => Promise.resolve({ account })),
+  createTwitterReadClient: jest.fn(() => ({ v2: { userMentionTimeline: mockUserMentionTimeline } })),
+}));
+await jest.unstable_mockModule('../aiService.js', () => ({
+  aiService: { generateContent: mockGenerateContent },
+}));
+await jest.unstable_mockModule('../brandVoiceService.js', () => ({
+  getVoiceProfile: jest.fn(() => Promise.resolve(null)),
+}));
+
+const { parseReplySuggestions, suggestReplies, syncAccountInbox, toInboxRows } = await import('../inboxService.js');
+
+const OWNER_ID = '100';
+const scope = { mode: 'team', userId: 'user-1', teamId: 'team-1', accountId: '7', authorId: OWNER_ID };
+
+const mentionPage = {
+  data: [
+    { id: '3', author_id: '200', text: '@brand love this', in_reply_to_user_id: OWNER_ID, referenced_tweets: [{ type: 'replied_to', id: '1' }], created_at: '2026-03-19T10:00:00.000Z' },
+    { id: '4', author_id: '300', text: 'cc @brand', in_reply_to_user_id: '200', referenced_tweets: [{ type: 'replied_to', id: '3' }] },
+    { id: '5', author_id: OWNER_ID, text: '2/ more from @brand' },
+  ],
+  includes: { users: [{ id: '200', username: 'ana', name: 'Ana', profile_image_url: 'https://img/ana.png' }] },
+  meta: { newest_id: '5' },
+};
+
+describe('toInboxRows', () => {
+  test('classifies replies to the account and drops its own tweets', () => {
+    const rows = toInboxRows(mentionPage.data, mentionPage.includes.users, OWNER_ID);
+
+    expect(rows.map((row) => [row.tweet_id, row.kind, row.in_reply_to_tweet_id])).toEqual([
+      ['3', 'reply', '1'],
+      ['4', 'mention', '3'],
+    ]);
+    expect(rows[0]).toEqual(expect.objectContaining({ author_username: 'ana', author_name: 'Ana' }));
+    expect(rows[1].author_username).toBeNull();
+  });
+});
+
+describe('syncAccountInbox', () => {
+  beforeEach(() => {
+    mockPool.query.mockReset();
+    mockUserMentionTimeline.mockReset();
+  });
+
+  test('asks X only for mentions newer than the cursor and moves it forward', async () => {
+    mockPool.query.mockImplementation((sql) => {
+      if (sql.includes('SELECT * FROM inbox_sync_state')) return Promise.resolve({ rows: [{ since_id: '2' }] });
+      if (sql.includes('INSERT INTO inbox_items')) return Promise.resolve({ rowCount: 2 });
+      return Promise.resolve({ rows: [], rowCount: 1 });
+    });
+    mockUserMentionTimeline.mockResolvedValue({ data: mentionPage });
+
+    const result = await syncAccountInbox(scope, { id: 7, access_token: 'token' }, { accountType: 'team' });
+
+    expect(result).toEqual({ fetched: 3, inserted: 2 });
+    expect(mockUserMentionTimeline).toHaveBeenCalledWith(OWNER_ID, expect.objectContaining({ since_id: '2' }));
+    const insert = mockPool.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO inbox_items'));
+    expect(insert[0]).toContain('ON CONFLICT DO NOTHING');
+    expect(insert[1].slice(0, 5)).toEqual(['user-1', 'team-1', '7', OWNER_ID, '3']);
+    const state = mockPool.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO inbox_sync_state'));
+    expect(state[1][0]).toBe('team:7');
+    expect(state[1][5]).toBe('5');
+  });
+
+  test('holds the account back until X lifts a rate limit', async () => {
+    mockPool.query.mockResolvedValue({ rows: [] });
+    const reset = Math.floor(Date.now() / 1000) + 600;
+    mockUserMentionTimeline.mockRejectedValue(Object.assign(new Error('Too Many Requests'), { code: 429, rateLimit: { reset } }));
+
+    await expect(syncAccountInbox(scope, { id: 7, access_token: 'token' })).rejects.toMatchObject({ code: 429 });
+
+    const state = mockPool.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO inbox_sync_state'));
+    expect(state[1][6]).toEqual(new Date(reset * 1000));
+    expect(state[1][7]).toBe('rate_limited');
+  });
+});
+
+describe('reply suggestions', () => {
+  test('parses a numbered list and keeps replies within the X limit', () => {
+    expect(parseReplySuggestions(`1. Thanks Ana!\n2) "Glad it helped"\n3. ${'x'.repeat(300)}`)).toEqual([
+      'Thanks Ana!',
+      'Glad it helped',
+      'x'.repeat(280),
+    ]);
+  });
+
+  test('prompts with the item and returns the options', async () => {
+    mockGenerateContent.mockResolvedValueOnce({ content: '1. Thank you!\n2. Appreciate it\n3. Means a lot', provider: 'mock' });
+
+    const result = await suggestReplies(scope, { kind: 'reply', author_username: 'ana', text: 'love this' });
+
+    expect(result).toEqual({ suggestions: ['Thank you!', 'Appreciate it', 'Means a lot'], provider: 'mock' });
+    expect(mockGenerateContent.mock.calls[0][0]).toContain('@ana replied to one of our posts');
+  });
+});
@@ -0,0 +1,264 @@
+/**
+ * Media alt text outside the upload itself: AI-drafted descriptions from
+ * POST /api/ai/describe-image, and stored alt text carried into scheduled
+ * posts and cross-posts when they publish.
+ */
+
+import { jest } from '@jest/globals';
+import express from 'express';
+
+const mockPool = {
+  query: jest.fn(() => Promise.resolve({ rows: [] })),
+};
+const mockDescribeImage = jest.fn();
+const mockDeductBudgetedCredits = jest.fn();
+const mockRefundBudgetedCredits = jest.fn(() => Promise.resolve({ success: true }));
+const mockTweet = jest.fn(() => Promise.resolve({ data: { id: '555' } }));
+const mockMediaService = {
+  applyAltText: jest.fn(() => Promise.resolve(true)),
+  uploadMedia: jest.fn(() => Promise.resolve(['9101', '9102'])),
+  uploadMediaFiles: jest.fn(() => Promise.resolve(['9101', '9102'])),
+  getSizeLimit: jest.fn(() => 5 * 1024 * 1024),
+  allowedTypes: ['image/png'],
+};
+
+await jest.unstable_mockModule('../../config/database.js', () => ({
+  default: mockPool,
+  pool: mockPool,
+}));
+await jest.unstable_mockModule('../aiService.js', () => ({
+  aiService: { describeImage: mockDescribeImage },
+}));
+await jest.unstable_mockModule('../../middleware/auth.js', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { id: 'user-1' };
+    next();
+  },
+  validateTwitterConnection: (req, res, next) => next(),
+}));
+await jest.unstable_mockModule('../creditBudgetService.js', () => ({
+  deductBudgetedCredits: mockDeductBudgetedCredits,
+  refundBudgetedCredits: mockRefundBudgetedCredits,
+  resolveBudgetStrategyId: jest.fn(() => Promise.resolve(null)),
+  recordCreditUsage: jest.fn(),
+  spendCredits: jest.fn(),
+}));
+await jest.unstable_mockModule('../mediaService.js', () => ({
+  mediaService: mockMediaService,
+}));
+await jest.unstable_mockModule('../../utils/mediaDownload.js', () => ({
+  downloadMediaToFile: jest.fn((url) => Promise.resolve({ filePath: `/tmp/${url.split('/').pop()}`, mimetype: 'image/png', size: 10 })),
+  removeDownloadedMedia: jest.fn(() => Promise.resolve()),
+}));
+await jest.unstable_mockModule('../webhookService.js', () => ({
+  emitWebhookEvent: jest.fn(() => Promise.resolve(1)),
+}));
+await jest.unstable_mockModule('../emailNotificationService.js', () => ({
+  notifyTweetFailed: jest.fn(() => Promise.resolve()),
+}));
+await jest.unstable_mockModule('twitter-api-v2', () => ({
+  TwitterApi: jest.fn(() => ({ v2: { tweet: mockTweet } })),
+}));
+
+process.env.INTERNAL_API_KEY = 'internal-key';
+process.env.TWITTER_API_KEY = 'app-key';
+process.env.TWITTER_API_SECRET = 'app-secret';
+
+const { default: aiRoutes } = await import('../../routes/ai.js');
+const { default: internalTwitterRoutes } = await import('../../routes/internalTwitter.js');
+const { scheduledTweetService } = await import('../scheduledTweetService.js');
+const { MemoryRateLimitStore, setRateLimitStore } = await import('../rateLimitService.js');
+
+const app = express();
+app.use(express.json({ limit: '1mb' }));
+app.use('/api/ai', aiRoutes);
+app.use('/api/internal/twitter', internalTwitterRoutes);
+
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  setRateLimitStore(new MemoryRateLimitStore());
+  mockDeductBudgetedCredits.mockResolvedValue({ success: true });
+  mockDescribeImage.mockResolvedValue({ altText: 'A bar chart of monthly signups rising', provider: 'openai' });
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const post = async (path, body, headers = {}) => {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+const describeImage = (body) => post('/api/ai/describe-image', body, { authorization: 'Bearer user-token' });
+
+describe('POST /api/ai/describe-image', () => {
+  const imageUrl = `data:image/png;base64,${Buffer.from('png').toString('base64')}`;
+
+  test('charges one credit and returns the drafted alt text', async () => {
+    const { status, body } = await describeImage({ imageUrl, context: 'Our signups in 2026' });
+
+    expect(status).toBe(200);
+    expect(body).toEqual({
+      success: true,
+      altText: 'A bar chart of monthly signups rising',
+      provider: 'openai',
+      creditsUsed: 1,
+    });
+    expect(mockDeductBudgetedCredits).toHaveBeenCalledWith(
+      expect.objectContaining({ userId: 'user-1', operation: 'ai_alt_text', amount: 1, token: 'user-token' })
+    );
+    expect(mockDescribeImage).toHaveBeenCalledWith(imageUrl, expect.objectContaining({ context: 'Our signups in 2026' }));
+  });
+
+  test('only accepts image data URLs and https URLs', async () => {
+    const { status } = await describeImage({ imageUrl: 'http://example.com/a.png' });
+
+    expect(status).toBe(400);
+    expect(mockDeductBudgetedCredits).not.toHaveBeenCalled();
+  });
+
+  test('refunds the credit when the description fails', async () => {
+    mockDescribeImage.mockRejectedValue(new Error('All AI providers failed'));
+
+    const { status } = await describeImage({ imageUrl });
+
+    expect(status).toBe(500);
+    expect(mockRefundBudgetedCredits).toHaveBeenCalledWith(expect.objectContaining({ userId: 'user-1', reason: 'ai_alt_text' }));
+  });
+
+  test('returns 402 without describing when credits run out', async () => {
+    mockDeductBudgetedCredits.mockResolvedValue({ success: false, available: 0 });
+
+    const { status, body } = await describeImage({ imageUrl });
+
+    expect(status).toBe(402);
+    expect(body.creditsRequired).toBe(1);
+    expect(mockDescribeImage).not.toHaveBeenCalled();
+  });
+});
+
+describe('scheduled posts', () => {
+  const scheduledRow = {
+    id: 'st-1',
+    oauth1_access_token: 'token',
+    oauth1_access_token_secret: 'secret',
+  };
+
+  test('set stored alt text once per attached media id before publishing', async () => {
+    await scheduledTweetService.applyScheduledAltText(
+      { 9001: 'A team photo', 9003: 'A chart' },
+      ['9001', '9002', '9001', '9003'],
+      scheduledRow
+    );
+
+    expect(mockMediaService.applyAltText.mock.calls).toEqual([
+      ['9001', 'A team photo', { accessToken: 'token', accessTokenSecret: 'secret' }],
+      ['9003', 'A chart', { accessToken: 'token', accessTokenSecret: 'secret' }],
+    ]);
+  });
+
+  test('skip alt text rather than fail when OAuth 1.0a tokens are missing', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await scheduledTweetService.applyScheduledAltText({ 9001: 'A team photo' }, ['9001'], { id: 'st-1' });
+
+    expect(mockMediaService.applyAltText).not.toHaveBeenCalled();
+  });
+
+  test('pass alt text for hosted media through the upload at publish time', async () => {
+    const urls = ['https://cdn.example.com/a.png', 'https://cdn.example.com/b.png'];
+
+    await scheduledTweetService.reuploadMedia(urls, scheduledRow, ['A team photo', '']);
+
+    expect(mockMediaService.uploadMediaFiles).toHaveBeenCalledWith(
+      [expect.objectContaining({ filePath: '/tmp/a.png' }), expect.objectContaining({ filePath: '/tmp/b.png' })],
+      { accessToken: 'token', accessTokenSecret: 'secret' },
+      { altTexts: ['A team photo', ''] }
+    );
+  });
+});
+
+describe('cross-posted media', () => {
+  const originalFetch = global.fetch;
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    delete process.env.LINKEDIN_GENIE_URL;
+  });
+
+  test('uploads incoming cross-post media with the alt text sent beside it', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    mockPool.query.mockImplementation((sql) => Promise.resolve({
+      rows: /FROM twitter_auth/.test(sql)
+        ? [{ id: 7, twitter_username: 'acme', oauth1_access_token: 'token', oauth1_access_token_secret: 'secret' }]
+        : [],
+    }));
+    const png = `data:image/png;base64,${Buffer.from('png').toString('base64')}`;
+
+    const { status } = await post(
+      '/api/internal/twitter/cross-post',
+      {
+        content: 'Launch day',
+        media: [png, 'ftp://cdn.example.com/skipped.png', png],
+        mediaAltText: ['A team photo', 'Dropped with its media', 'A chart'],
+        targetAccountId: '7',
+      },
+      { 'x-internal-api-key': 'internal-key', 'x-platform-user-id': 'user-1' }
+    );
+
+    expect(status).toBe(200);
+    expect(mockMediaService.uploadMedia).toHaveBeenCalledWith(
+      [png, png],
+      expect.anything(),
+      { accessToken: 'token', accessTokenSecret: 'secret' },
+      { altTexts: ['A team photo', 'A chart'] }
+    );
+    expect(mockTweet).toHaveBeenCalledWith({ text: 'Launch day', media: { media_ids: ['9101', '9102'] } });
+  });
+
+  test('sends alt text alongside the media of a native LinkedIn post', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    process.env.LINKEDIN_GENIE_URL = 'https://linkedin.example.test';
+    global.fetch = jest.fn(() => Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve({}) }));
+    mockPool.query.mockResolvedValue({ rows: [] });
+
+    await scheduledTweetService.processPlatformScheduledPost({
+      id: 'st-2',
+      user_id: 'user-1',
+      team_id: null,
+      platform: 'linkedin',
+      content: 'Launch day',
+      thread_tweets: [],
+      metadata: {
+        native_post: {
+          platform: 'linkedin',
+          routing: { targetAccountId: 'li-1' },
+          media: ['https://cdn.example.com/a.png', 'https://cdn.example.com/b.png'],
+          media_alt_text: ['  A team photo  ', ''],
+        },
+      },
+    });
+
+    const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+    expect(body.media).toEqual(['https://cdn.example.com/a.png', 'https://cdn.example.com/b.png']);
+    expect(body.mediaAltText).toEqual(['A team photo', '']);
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Media downloads for imports and publish-time uploads: only public hosts are
+ * reached, redirects stay on the same host, and files are streamed to disk
+ * under a size cap.
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import { Readable } from 'stream';
+
+const mockRequest = jest.fn();
+
+await jest.unstable_mockModule('axios', () => ({
+  default: { request: mockRequest },
+}));
+
+const { downloadMediaToFile } = await import('../../utils/mediaDownload.js');
+
+describe('downloadMediaToFile', () => {
+  const options = { maxBytes: 1024, allowedTypes: ['image/png'] };
+  const PUBLIC_URL = 'https://93.184.216.34/media/a.png';
+  const streamed = (chunks, headers = { 'content-type': 'image/png' }) => ({
+    status: 200,
+    headers,
+    data: Readable.from(chunks),
+  });
+
+  beforeEach(() => {
+    mockRequest.mockReset();
+  });
+
+  test.each([
+    'http://127.0.0.1/a.png',
+    'http://169.254.169.254/latest/meta-data/',
+    'http://10.0.0.5/a.png',
+    'http://[::1]/a.png',
+    'http://[::ffff:192.168.1.1]/a.png',
+    'http://localhost:8080/a.png',
+  ])('refuses %s without requesting it', async (url) => {
+    await expect(downloadMediaToFile(url, options)).rejects.toMatchObject({ code: 'PRIVATE_HOST' });
+    expect(mockRequest).not.toHaveBeenCalled();
+  });
+
+  test('follows redirects on the same host through the checking agents', async () => {
+    mockRequest
+      .mockResolvedValueOnce({ status: 302, headers: { location: '/media/b.png' } })
+      .mockResolvedValueOnce(streamed([Buffer.from('png')]));
+
+    const file = await downloadMediaToFile(PUBLIC_URL, options);
+    expect(file).toMatchObject({ mimetype: 'image/png', size: 3 });
+    expect(fs.readFileSync(file.filePath, 'utf8')).toBe('png');
+    fs.rmSync(file.filePath);
+
+    expect(mockRequest.mock.calls[1][0]).toMatchObject({
+      url: 'https://93.184.216.34/media/b.png',
+      responseType: 'stream',
+      maxRedirects: 0,
+      proxy: false,
+    });
+    expect(mockRequest.mock.calls[1][0].httpsAgent.options.lookup).toEqual(expect.any(Function));
+  });
+
+  test('does not follow redirects to another host', async () => {
+    mockRequest.mockResolvedValueOnce({ status: 301, headers: { location: 'http://169.254.169.254/latest/meta-data/' } });
+
+    await expect(downloadMediaToFile(PUBLIC_URL, options)).rejects.toThrow(/another host/);
+    expect(mockRequest).toHaveBeenCalledTimes(1);
+  });
+
+  test('stops at the size limit for the media type and leaves no file behind', async () => {
+    const before = fs.readdirSync(os.tmpdir()).filter((name) => name.startsWith('media-')).length;
+    mockRequest.mockResolvedValueOnce(streamed([Buffer.alloc(600), Buffer.alloc(600)]));
+    await expect(downloadMediaToFile(PUBLIC_URL, { ...options, maxBytes: () => 1000 })).rejects.toThrow(/larger than/);
+    expect(fs.readdirSync(os.tmpdir()).filter((name) => name.startsWith('media-'))).toHaveLength(before);
+
+    mockRequest.mockResolvedValueOnce(streamed([Buffer.alloc(10)], { 'content-type': 'image/png', 'content-length': '5000' }));
+    await expect(downloadMediaToFile(PUBLIC_URL, options)).rejects.toThrow(/larger than/);
+
+    mockRequest.mockResolvedValueOnce(streamed([Buffer.alloc(10)], { 'content-type': 'text/html' }));
+    await expect(downloadMediaToFile(PUBLIC_URL, options)).rejects.toThrow(/Unsupported media type text\/html/);
+  });
+});
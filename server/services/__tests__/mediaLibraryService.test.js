@@ -0,0 +1,109 @@
+/**
+ * Media library: tag normalization, content-hash dedupe on save, and storage
+ * cleanup only once no pending scheduled post references a deleted asset.
+ */
+
+import { jest } from '@jest/globals';
+
+const mockPool = {
+  query: jest.fn(),
+};
+const mockMediaService = {
+  saveToSupabase: jest.fn(),
+  deleteFromSupabase: jest.fn(),
+  downloadFromSupabase: jest.fn(),
+};
+
+await jest.unstable_mockModule('../../config/database.js', () => ({
+  default: mockPool,
+}));
+await jest.unstable_mockModule('../mediaService.js', () => ({
+  mediaService: mockMediaService,
+}));
+
+const {
+  computeContentHash,
+  deleteAsset,
+  normalizeTags,
+  purgeDeletedAssets,
+  saveAsset,
+} = await import('../mediaLibraryService.js');
+
+const scope = { userId: 'user-1', teamId: null };
+
+describe('mediaLibraryService', () => {
+  beforeEach(() => {
+    mockPool.query.mockReset();
+    mockMediaService.saveToSupabase.mockReset();
+    mockMediaService.deleteFromSupabase.mockReset();
+  });
+
+  test('normalizes tags to unique lowercase values without a leading #', () => {
+    expect(normalizeTags(['#Launch', 'launch', '  Product  ', '', null])).toEqual(['launch', 'product']);
+    expect(normalizeTags('launch')).toEqual([]);
+  });
+
+  test('returns the existing asset for a file the scope already has', async () => {
+    const existing = { id: 'asset-1', url: 'https://cdn.example.com/library/a.jpg' };
+    mockPool.query.mockResolvedValueOnce({ rows: [existing] });
+
+    const buffer = Buffer.from('same bytes');
+    const result = await saveAsset(scope, buffer, { mimetype: 'image/jpeg', tags: ['Launch'] });
+
+    expect(result).toEqual({ asset: existing, duplicate: true });
+    expect(mockMediaService.saveToSupabase).not.toHaveBeenCalled();
+    const [sql, params] = mockPool.query.mock.calls[0];
+    expect(sql).toContain('deleted_at = NULL');
+    expect(params).toEqual([['launch'], null, null, computeContentHash(buffer), 'user-1']);
+  });
+
+  test('hashes the original bytes and stores new files under the library folder', async () => {
+    const inserted = { id: 'asset-2' };
+    mockPool.query
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [inserted] });
+    mockMediaService.saveToSupabase.mockResolvedValue({ path: 'library/x.jpg', url: 'https://cdn.example.com/library/x.jpg' });
+
+    const original = Buffer.from('original png');
+    const result = await saveAsset({ userId: 'user-1', teamId: 'team-1' }, Buffer.from('jpeg'), {
+      mimetype: 'image/jpeg',
+      sourceBuffer: original,
+      source: 'ai_generated',
+      prompt: 'a lighthouse',
+    });
+
+    expect(result).toEqual({ asset: inserted, duplicate: false });
+    expect(mockMediaService.saveToSupabase).toHaveBeenCalledWith(expect.any(Buffer), 'asset.jpg', 'library');
+    const insertParams = mockPool.query.mock.calls[1][1];
+    expect(insertParams.slice(0, 3)).toEqual(['user-1', 'team-1', computeContentHash(original)]);
+    expect(insertParams[8]).toBe('ai_generated');
+  });
+
+  test('keeps the stored file while a pending scheduled post still uses it', async () => {
+    mockPool.query
+      .mockResolvedValueOnce({ rows: [{ id: 'asset-1', url: 'https://cdn.example.com/a.jpg', storage_path: 'library/a.jpg' }] })
+      .mockResolvedValueOnce({ rows: [{ '?column?': 1 }] });
+
+    await expect(deleteAsset(scope, 'asset-1')).resolves.toEqual({ deleted: true, fileRemoved: false });
+    expect(mockMediaService.deleteFromSupabase).not.toHaveBeenCalled();
+  });
+
+  test('purges soft-deleted assets nothing references any more', async () => {
+    mockPool.query
+      .mockResolvedValueOnce({
+        rows: [
+          { id: 'asset-1', url: 'https://cdn.example.com/a.jpg', storage_path: 'library/a.jpg' },
+          { id: 'asset-2', url: 'https://cdn.example.com/b.jpg', storage_path: 'library/b.jpg' },
+        ],
+      })
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rowCount: 1 })
+      .mockResolvedValueOnce({ rows: [{ '?column?': 1 }] });
+    mockMediaService.deleteFromSupabase.mockResolvedValue(true);
+
+    await expect(purgeDeletedAssets()).resolves.toEqual({ purgedCount: 1 });
+    expect(mockMediaService.deleteFromSupabase).toHaveBeenCalledTimes(1);
+    expect(mockMediaService.deleteFromSupabase).toHaveBeenCalledWith('library/a.jpg');
+    expect(mockPool.query.mock.calls[2]).toEqual(['DELETE FROM media_assets WHERE id = $1', ['asset-1']]);
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Media probing for chunked uploads: media kind / X upload category, and video
+ * duration read from the MP4 movie header, in memory or from a file on disk.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  getMediaCategory,
+  getMediaKind,
+  readMp4DurationSeconds,
+  readMp4FileDurationSeconds,
+} from '../../utils/mediaProbe.js';
+
+const box = (type, body) => {
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(body.length + 8, 0);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, body]);
+};
+
+const mvhdV0 = (timescale, duration) => {
+  const body = Buffer.alloc(100);
+  body.writeUInt32BE(timescale, 12);
+  body.writeUInt32BE(duration, 16);
+  return box('mvhd', body);
+};
+
+const mvhdV1 = (timescale, duration) => {
+  const body = Buffer.alloc(112);
+  body.writeUInt8(1, 0);
+  body.writeUInt32BE(timescale, 20);
+  body.writeBigUInt64BE(BigInt(duration), 24);
+  return box('mvhd', body);
+};
+
+describe('mediaProbe', () => {
+  test('classifies media and maps it to an upload category', () => {
+    expect(getMediaKind('image/png')).toBe('image');
+    expect(getMediaKind('image/gif')).toBe('gif');
+    expect(getMediaKind('video/quicktime')).toBe('video');
+    expect(getMediaKind('application/pdf')).toBeNull();
+    expect(getMediaCategory('video')).toBe('tweet_video');
+    expect(getMediaCategory('gif')).toBe('tweet_gif');
+  });
+
+  test('reads the duration when moov comes after the media data', () => {
+    const file = Buffer.concat([
+      box('ftyp', Buffer.from('isom0000')),
+      box('mdat', Buffer.alloc(64)),
+      box('moov', Buffer.concat([mvhdV0(1000, 12500), box('trak', Buffer.alloc(16))])),
+    ]);
+    expect(readMp4DurationSeconds(file)).toBe(12.5);
+  });
+
+  test('handles version 1 headers and unreadable files', () => {
+    const file = Buffer.concat([box('ftyp', Buffer.from('qt  0000')), box('moov', mvhdV1(600, 90000))]);
+    expect(readMp4DurationSeconds(file)).toBe(150);
+    expect(readMp4DurationSeconds(Buffer.from('not a video at all'))).toBeNull();
+    expect(readMp4DurationSeconds(box('moov', Buffer.alloc(4)))).toBeNull();
+  });
+
+  test('reads the duration from a file without loading the media data', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'media-probe-'));
+    try {
+      const videoPath = path.join(dir, 'clip.mp4');
+      fs.writeFileSync(videoPath, Buffer.concat([
+        box('ftyp', Buffer.from('isom0000')),
+        box('mdat', Buffer.alloc(4096)),
+        box('moov', mvhdV0(1000, 42000)),
+      ]));
+      const textPath = path.join(dir, 'notes.txt');
+      fs.writeFileSync(textPath, 'not a video at all');
+
+      expect(await readMp4FileDurationSeconds(videoPath)).toBe(42);
+      expect(await readMp4FileDurationSeconds(textPath)).toBeNull();
+      expect(await readMp4FileDurationSeconds(path.join(dir, 'missing.mp4'))).toBeNull();
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
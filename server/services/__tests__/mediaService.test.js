@@ -0,0 +1,133 @@
+/**
+ * Uploading downloaded media files to X: videos are sent from disk chunk by
+ * chunk, files are validated before anything is uploaded, and alt text is set
+ * on the new media.
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Images are passed through untouched (sharp is only used to resize them).
+await jest.unstable_mockModule('sharp', () => ({
+  default: () => {
+    throw new Error('sharp unavailable');
+  },
+}));
+
+const { default: MediaService } = await import('../mediaService.js');
+
+const TOKENS = { accessToken: 'token', accessTokenSecret: 'secret' };
+
+const box = (type, body) => {
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(body.length + 8, 0);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, body]);
+};
+
+// An MP4 with `seconds` of duration in its movie header and `mdatBytes` of media data.
+const mp4 = (seconds, mdatBytes) => {
+  const mvhd = Buffer.alloc(100);
+  mvhd.writeUInt32BE(1000, 12);
+  mvhd.writeUInt32BE(seconds * 1000, 16);
+  return Buffer.concat([box('ftyp', Buffer.from('isom0000')), box('mdat', Buffer.alloc(mdatBytes, 7)), box('moov', box('mvhd', mvhd))]);
+};
+
+let tmpDir;
+const writeFile = (name, buffer, mimetype) => {
+  const filePath = path.join(tmpDir, name);
+  fs.writeFileSync(filePath, buffer);
+  return { filePath, mimetype, size: buffer.length };
+};
+
+let service;
+let requests;
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'media-service-'));
+  service = new MediaService();
+  service.chunkSize = 64;
+  requests = [];
+  jest.spyOn(service, 'sendUploadRequest').mockImplementation(async (request) => {
+    requests.push(request);
+    if (request.form?.command === 'INIT') return { media_id_string: '9001' };
+    if (request.media) return { media_id_string: '9002' };
+    return {};
+  });
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  jest.restoreAllMocks();
+});
+
+describe('mediaService.uploadMediaFiles', () => {
+  test('sends a video from disk in chunks and sets its alt text', async () => {
+    const video = writeFile('clip.mp4', mp4(12, 150), 'video/mp4');
+
+    await expect(service.uploadMediaFiles([video], TOKENS, { altTexts: ['A product demo'] })).resolves.toEqual(['9001']);
+
+    expect(requests[0].form).toMatchObject({ command: 'INIT', total_bytes: String(video.size), media_category: 'tweet_video' });
+    const appended = requests.filter((request) => request.query?.command === 'APPEND');
+    expect(appended).toHaveLength(Math.ceil(video.size / 64));
+    expect(appended.map((request) => request.query.segment_index).slice(0, 3)).toEqual(['0', '1', '2']);
+    expect(Buffer.concat(appended.map((request) => request.media.buffer))).toEqual(fs.readFileSync(video.filePath));
+    expect(requests.some((request) => request.form?.command === 'FINALIZE')).toBe(true);
+    expect(requests.at(-1).json).toEqual({ media_id: '9001', alt_text: { text: 'A product demo' } });
+  });
+
+  test('refuses files X would reject before uploading anything', async () => {
+    const tooLong = writeFile('long.mp4', mp4(200, 10), 'video/mp4');
+    await expect(service.uploadMediaFiles([tooLong], TOKENS)).rejects.toThrow(/Video too long/);
+
+    const gif = writeFile('a.gif', Buffer.alloc(10), 'image/gif');
+    const image = writeFile('b.png', Buffer.alloc(10), 'image/png');
+    await expect(service.uploadMediaFiles([gif, image], TOKENS)).rejects.toThrow(/single video or GIF/);
+
+    await expect(service.uploadMediaFiles([image], null)).rejects.toThrow(/OAuth 1.0a/);
+    expect(requests).toHaveLength(0);
+  });
+});
+
+describe('mediaService alt text', () => {
+  const metadataRequests = () => requests.filter((request) => request.json);
+
+  test('sends trimmed alt text, capped at 1000 characters, to metadata/create', async () => {
+    await expect(service.applyAltText('9001', `  ${'a'.repeat(1200)}  `, TOKENS)).resolves.toBe(true);
+
+    const [request] = metadataRequests();
+    expect(request.baseUrl).toMatch(/\/media\/metadata\/create\.json$/);
+    expect(request.json).toEqual({ media_id: '9001', alt_text: { text: 'a'.repeat(1000) } });
+  });
+
+  test('skips blank alt text and keeps posting when metadata fails', async () => {
+    await expect(service.applyAltText('9001', '   ', TOKENS)).resolves.toBe(false);
+    await expect(service.applyAltText(null, 'A chart', TOKENS)).resolves.toBe(false);
+    expect(requests).toHaveLength(0);
+
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    service.sendUploadRequest.mockRejectedValueOnce(new Error('400 Bad Request'));
+    await expect(service.applyAltText('9001', 'A chart', TOKENS)).resolves.toBe(false);
+  });
+
+  test('applies alt text by position to passed-through media ids and new uploads', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const onUploaded = jest.fn();
+    const png = `data:image/png;base64,${Buffer.from('png-bytes').toString('base64')}`;
+
+    const mediaIds = await service.uploadMedia(['7001', png], null, TOKENS, {
+      altTexts: ['A team photo', 'A sales chart'],
+      onUploaded,
+    });
+
+    expect(mediaIds).toEqual(['7001', '9002']);
+    expect(metadataRequests().map((request) => request.json)).toEqual([
+      { media_id: '7001', alt_text: { text: 'A team photo' } },
+      { media_id: '9002', alt_text: { text: 'A sales chart' } },
+    ]);
+    expect(onUploaded).toHaveBeenCalledWith(expect.objectContaining({ mediaId: '9002', altText: 'A sales chart' }));
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Chat notification channel: Slack/Discord payloads, webhook URL validation
+ * and per-channel routing/cooldown in emailNotificationService.
+ */
+
+import { jest } from '@jest/globals';
+
+const mockPool = {
+  query: jest.fn(),
+};
+const mockAxios = {
+  post: jest.fn(),
+};
+
+await jest.unstable_mockModule('../../config/database.js', () => ({
+  default: mockPool,
+}));
+await jest.unstable_mockModule('axios', () => ({
+  default: mockAxios,
+}));
+
+const { formatDiscordMessage, formatSlackMessage, validateChatWebhookUrl } = await import('../notificationChannels.js');
+const { notifyTweetFailed } = await import('../emailNotificationService.js');
+
+const message = {
+  title: 'Scheduled tweet failed to post',
+  text: 'Launch day!',
+  fields: [{ label: 'Error', value: 'Twitter 403' }],
+  url: 'https://app.example.com/calendar',
+  level: 'error',
+};
+
+describe('notificationChannels', () => {
+  test('formats Slack and Discord payloads from the same message', () => {
+    const slack = formatSlackMessage(message);
+    expect(slack.text).toContain('Scheduled tweet failed to post');
+    expect(slack.attachments[0]).toMatchObject({ color: '#dc2626', fields: [{ title: 'Error', value: 'Twitter 403', short: true }] });
+    expect(slack.attachments[0].text).toContain('<https://app.example.com/calendar|Open in Tweet Genie>');
+
+    const discord = formatDiscordMessage(message);
+    expect(discord.embeds[0]).toMatchObject({
+      title: 'Scheduled tweet failed to post',
+      description: 'Launch day!',
+      url: 'https://app.example.com/calendar',
+      fields: [{ name: 'Error', value: 'Twitter 403', inline: true }],
+    });
+  });
+
+  test('only accepts the provider\'s own webhook hosts', () => {
+    expect(validateChatWebhookUrl('slack', 'https://hooks.slack.com/services/T/B/x')).toBeNull();
+    expect(validateChatWebhookUrl('discord', 'https://discord.com/api/webhooks/1/abc')).toBeNull();
+    expect(validateChatWebhookUrl('slack', 'https://evil.example.com/services/x')).toMatch(/Slack/);
+    expect(validateChatWebhookUrl('discord', 'https://discord.com/channels/1')).toMatch(/Discord webhook/);
+    expect(validateChatWebhookUrl('teams', 'https://hooks.slack.com/x')).toMatch(/slack, discord/);
+  });
+});
+
+describe('emailNotificationService chat routing', () => {
+  const prefs = {
+    user_id: 'user-1',
+    notify_tweet_failures: false,
+    chat_provider: 'slack',
+    chat_webhook_url: 'https://hooks.slack.com/services/T/B/x',
+    chat_notify_tweet_failures: true,
+  };
+
+  beforeEach(() => {
+    mockPool.query.mockReset();
+    mockAxios.post.mockReset();
+    mockAxios.post.mockResolvedValue({ status: 200, data: 'ok' });
+  });
+
+  test('sends to chat when email is switched off and logs the chat channel', async () => {
+    mockPool.query.mockImplementation(async (sql) => {
+      if (sql.includes('FROM email_notification_prefs')) return { rows: [prefs] };
+      return { rows: [] };
+    });
+
+    await notifyTweetFailed('user-1', { tweetId: 'st-1', content: 'Launch day!', errorMessage: 'Twitter 403' });
+
+    expect(mockAxios.post).toHaveBeenCalledTimes(1);
+    expect(mockAxios.post.mock.calls[0][0]).toBe(prefs.chat_webhook_url);
+    const cooldownCall = mockPool.query.mock.calls.find(([sql]) => sql.includes('SELECT id FROM email_notification_log'));
+    expect(cooldownCall[1][3]).toBe('chat');
+    const logCall = mockPool.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO email_notification_log'));
+    expect(logCall[1]).toEqual(['user-1', 'tweet_failed', expect.any(String), 'chat']);
+    expect(mockPool.query.mock.calls.some(([sql]) => sql.includes('FROM users'))).toBe(false);
+  });
+
+  test('skips the chat channel while it is on cooldown', async () => {
+    mockPool.query.mockImplementation(async (sql) => {
+      if (sql.includes('FROM email_notification_prefs')) return { rows: [prefs] };
+      if (sql.includes('SELECT id FROM email_notification_log')) return { rows: [{ id: 'log-1' }] };
+      return { rows: [] };
+    });
+
+    await notifyTweetFailed('user-1', { tweetId: 'st-1', content: 'Launch day!' });
+    expect(mockAxios.post).not.toHaveBeenCalled();
+  });
+});
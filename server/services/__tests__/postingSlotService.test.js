@@ -0,0 +1,80 @@
+/**
+ * Queue-time slot math: slot expansion in the account timezone and
+ * conflict-aware next free slot selection.
+ */
+
+import { jest } from '@jest/globals';
+import moment from 'moment-timezone';
+
+const mockPool = {
+  query: jest.fn().mockResolvedValue({ rows: [] }),
+};
+
+await jest.unstable_mockModule('../../config/database.js', () => ({
+  default: mockPool,
+}));
+
+const { normalizeSlots, expandSlotTimes, findNextFreeSlot } = await import('../postingSlotService.js');
+
+describe('postingSlotService', () => {
+  test('normalizeSlots drops invalid entries, dedupes and sorts', () => {
+    const slots = normalizeSlots([
+      { day: 3, time: '18:00' },
+      { day: 1, time: '09:00' },
+      { day: 1, time: '09:00' },
+      { day: 7, time: '10:00' },
+      { day: 2, time: '25:00' },
+      { day: '1', time: '08:30' },
+    ]);
+
+    expect(slots).toEqual([
+      { day: 1, time: '08:30' },
+      { day: 1, time: '09:00' },
+      { day: 3, time: '18:00' },
+    ]);
+  });
+
+  test('expandSlotTimes places slots at local wall-clock time (IST)', () => {
+    // Monday 2026-03-09 00:00 IST
+    const from = moment.tz('2026-03-09 00:00', 'Asia/Kolkata').toDate();
+    const until = moment.tz('2026-03-15 23:59', 'Asia/Kolkata').toDate();
+
+    const occurrences = expandSlotTimes({
+      slots: [{ day: 1, time: '09:00' }, { day: 5, time: '13:30' }],
+      timezone: 'Asia/Kolkata',
+      from,
+      until,
+    });
+
+    expect(occurrences.map((date) => moment(date).tz('Asia/Kolkata').format('ddd HH:mm'))).toEqual([
+      'Mon 09:00',
+      'Fri 13:30',
+    ]);
+    expect(occurrences[0].toISOString()).toBe('2026-03-09T03:30:00.000Z');
+  });
+
+  test('findNextFreeSlot skips slots with something scheduled nearby', () => {
+    const from = moment.tz('2026-03-09 08:00', 'UTC').toDate();
+    const slots = [{ day: 1, time: '09:00' }, { day: 1, time: '13:00' }, { day: 2, time: '09:00' }];
+
+    const next = findNextFreeSlot({
+      slots,
+      timezone: 'UTC',
+      from,
+      takenTimes: [moment.utc('2026-03-09 09:10').toDate()],
+    });
+    expect(next.toISOString()).toBe('2026-03-09T13:00:00.000Z');
+
+    const afterBoth = findNextFreeSlot({
+      slots,
+      timezone: 'UTC',
+      from,
+      takenTimes: [moment.utc('2026-03-09 09:00').toDate(), moment.utc('2026-03-09 13:00').toDate()],
+    });
+    expect(afterBoth.toISOString()).toBe('2026-03-10T09:00:00.000Z');
+  });
+
+  test('findNextFreeSlot returns null without slots', () => {
+    expect(findNextFreeSlot({ slots: [], timezone: 'UTC' })).toBeNull();
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * Shared rate limiting: per-plan quotas, the memory and Redis stores, the
+ * single shared Redis client, and the X-RateLimit-* headers and per-plan
+ * quotas of the middleware.
+ */
+
+import { jest } from '@jest/globals';
+
+const mockPool = {
+  query: jest.fn(),
+};
+
+await jest.unstable_mockModule('../../config/database.js', () => ({
+  default: mockPool,
+}));
+
+// Clients that never finish connecting, like during a Redis outage.
+const mockCreateClient = jest.fn(() => ({
+  isOpen: true,
+  isReady: false,
+  on: jest.fn(),
+  connect: () => new Promise(() => {}),
+}));
+await jest.unstable_mockModule('redis', () => ({
+  createClient: mockCreateClient,
+}));
+
+const {
+  MemoryRateLimitStore,
+  RedisRateLimitStore,
+  consumePolicy,
+  resolvePlanLimit,
+  setRateLimitStore,
+} = await import('../rateLimitService.js');
+const { createRateLimiter, schedulingRateLimit } = await import('../../middleware/rateLimit.js');
+const { connectRedis } = await import('../../config/redis.js');
+
+const createResponse = () => {
+  const res = {
+    headers: {},
+    statusCode: 200,
+    body: null,
+    set: jest.fn((name, value) => {
+      res.headers[name] = value;
+      return res;
+    }),
+    status: jest.fn((code) => {
+      res.statusCode = code;
+      return res;
+    }),
+    json: jest.fn((body) => {
+      res.body = body;
+      return res;
+    }),
+  };
+  return res;
+};
+
+describe('rateLimitService', () => {
+  beforeEach(() => {
+    setRateLimitStore(new MemoryRateLimitStore());
+  });
+
+  test('resolves per-plan quotas and falls back to free for unknown plans', () => {
+    const max = { free: 10, pro: 20, enterprise: 30, agency: 40 };
+    expect(resolvePlanLimit(max, 'pro')).toBe(20);
+    expect(resolvePlanLimit(max, 'Premium')).toBe(20);
+    expect(resolvePlanLimit(max, 'mystery')).toBe(10);
+    expect(resolvePlanLimit(max, null)).toBe(10);
+    expect(resolvePlanLimit(7, 'agency')).toBe(7);
+  });
+
+  test('blocks once the plan quota is used up', async () => {
+    for (let i = 0; i < 5; i += 1) {
+      expect((await consumePolicy('ai_image', 'user-1', { planType: 'free' })).allowed).toBe(true);
+    }
+    const blocked = await consumePolicy('ai_image', 'user-1', { planType: 'free' });
+    expect(blocked).toMatchObject({ allowed: false, limit: 5, remaining: 0 });
+    expect(blocked.retryAfterSeconds).toBeGreaterThan(0);
+
+    // Same user on a bigger plan gets more headroom in the same window.
+    expect((await consumePolicy('ai_image', 'user-1', { planType: 'pro' })).allowed).toBe(true);
+  });
+
+  test('counts in Redis and falls back to memory when Redis fails', async () => {
+    const exec = jest.fn().mockResolvedValue([1, -1]);
+    const client = {
+      multi: jest.fn(() => ({ incr: () => ({ pTTL: () => ({ exec }) }) })),
+      pExpire: jest.fn().mockResolvedValue(true),
+    };
+    const store = new RedisRateLimitStore({ getClient: async () => client });
+
+    const first = await store.increment('tg:rl:key', 60_000);
+    expect(first.count).toBe(1);
+    expect(client.pExpire).toHaveBeenCalledWith('tg:rl:key', 60_000);
+
+    exec.mockRejectedValueOnce(new Error('connection lost'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const fallback = await store.increment('tg:rl:key', 60_000);
+    expect(fallback.count).toBe(1);
+    console.error.mockRestore();
+  });
+
+  test('keeps one Redis client while it is still connecting', async () => {
+    const first = connectRedis();
+    const retry = connectRedis();
+    const race = (promise) => Promise.race([promise, new Promise((resolve) => setTimeout(() => resolve('pending'), 10))]);
+
+    expect(await race(first)).toBe('pending');
+    expect(await race(retry)).toBe('pending');
+    expect(mockCreateClient).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('createRateLimiter middleware', () => {
+  beforeEach(() => {
+    setRateLimitStore(new MemoryRateLimitStore());
+    mockPool.query.mockReset();
+  });
+
+  test('sets X-RateLimit-* headers and answers 429 with Retry-After', async () => {
+    const limiter = createRateLimiter({ windowMs: 10_000, max: 2, message: 'Slow down' });
+    const req = { baseUrl: '/api/scheduling', user: { id: 'user-1' } };
+    const next = jest.fn();
+
+    await limiter(req, createResponse(), next);
+    const second = createResponse();
+    await limiter(req, second, next);
+    expect(next).toHaveBeenCalledTimes(2);
+    expect(second.headers).toMatchObject({ 'X-RateLimit-Limit': '2', 'X-RateLimit-Remaining': '0' });
+    expect(Number(second.headers['X-RateLimit-Reset'])).toBeGreaterThan(Date.now() / 1000);
+
+    const third = createResponse();
+    await limiter(req, third, next);
+    expect(next).toHaveBeenCalledTimes(2);
+    expect(third.statusCode).toBe(429);
+    expect(third.body).toEqual({ error: 'Slow down' });
+    expect(Number(third.headers['Retry-After'])).toBeGreaterThan(0);
+  });
+
+  test('uses the request plan for per-plan quotas', async () => {
+    const limiter = createRateLimiter({ windowMs: 10_000, max: { free: 1, pro: 3 } });
+    const res = createResponse();
+    await limiter({ baseUrl: '/api/x', user: { id: 'user-2', plan_type: 'pro' } }, res, jest.fn());
+    expect(res.headers['X-RateLimit-Limit']).toBe('3');
+  });
+
+  test('scheduling quotas grow with the plan and the message names the limit', async () => {
+    const free = createResponse();
+    await schedulingRateLimit({ baseUrl: '/api/scheduling', user: { id: 'user-3', plan_type: 'free' } }, free, jest.fn());
+    expect(free.headers['X-RateLimit-Limit']).toBe('8');
+
+    const req = { baseUrl: '/api/scheduling', user: { id: 'user-4', plan_type: 'agency' } };
+    let res;
+    for (let i = 0; i <= 40; i += 1) {
+      res = createResponse();
+      await schedulingRateLimit(req, res, jest.fn());
+    }
+    expect(res.statusCode).toBe(429);
+    expect(res.body.error).toMatch(/up to 40 times/);
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Recurring scheduled posts: RRULE parsing, next-occurrence maths across DST
+ * and month boundaries, and materializing the next occurrence of a series.
+ */
+
+import { jest } from '@jest/globals';
+
+const mockPool = {
+  query: jest.fn(),
+};
+
+await jest.unstable_mockModule('../../config/database.js', () => ({
+  default: mockPool,
+}));
+
+const { parseRecurrenceRule, formatRecurrenceRule, getNextOccurrence, describeRecurrenceRule } = await import(
+  '../../utils/recurrenceRule.js'
+);
+const { recurringScheduleService } = await import('../recurringScheduleService.js');
+
+const nextN = (ruleString, dtstart, timezone, n) => {
+  const { rule } = parseRecurrenceRule(ruleString);
+  const out = [];
+  let after = new Date(dtstart);
+  for (let i = 0; i < n; i += 1) {
+    after = getNextOccurrence(rule, { dtstart: new Date(dtstart), timezone, after });
+    if (!after) break;
+    out.push(after.toISOString());
+  }
+  return out;
+};
+
+describe('recurrenceRule', () => {
+  test('parses, normalises and rejects unsupported rules', () => {
+    const { rule } = parseRecurrenceRule('RRULE:freq=weekly;byday=MO;count=10');
+    expect(formatRecurrenceRule(rule)).toBe('FREQ=WEEKLY;BYDAY=MO;COUNT=10');
+    expect(parseRecurrenceRule('FREQ=YEARLY').error).toMatch(/DAILY, WEEKLY or MONTHLY/);
+    expect(parseRecurrenceRule('FREQ=WEEKLY;BYSETPOS=1').error).toMatch(/FREQ=MONTHLY/);
+    expect(parseRecurrenceRule('FREQ=DAILY;COUNT=3;UNTIL=20270101').error).toMatch(/COUNT or UNTIL/);
+  });
+
+  test('keeps the local time across a DST change', () => {
+    // 09:00 London is 08:00Z in summer and 09:00Z after the clocks go back.
+    expect(nextN('FREQ=WEEKLY;BYDAY=MO', '2026-10-19T08:00:00Z', 'Europe/London', 2)).toEqual([
+      '2026-10-26T09:00:00.000Z',
+      '2026-11-02T09:00:00.000Z',
+    ]);
+  });
+
+  test('finds the first weekday and last Friday of each month', () => {
+    expect(nextN('FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=1', '2026-11-02T14:00:00Z', 'UTC', 3)).toEqual([
+      '2026-12-01T14:00:00.000Z',
+      '2027-01-01T14:00:00.000Z',
+      '2027-02-01T14:00:00.000Z',
+    ]);
+    expect(nextN('FREQ=MONTHLY;BYDAY=-1FR', '2026-10-30T17:00:00Z', 'UTC', 2)).toEqual([
+      '2026-11-27T17:00:00.000Z',
+      '2026-12-25T17:00:00.000Z',
+    ]);
+  });
+
+  test('stops at UNTIL and describes the rule', () => {
+    expect(nextN('FREQ=DAILY;UNTIL=20261022', '2026-10-20T08:00:00Z', 'UTC', 5)).toHaveLength(2);
+    const { rule } = parseRecurrenceRule('FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=1;COUNT=6');
+    expect(describeRecurrenceRule(rule, { dtstart: new Date('2026-11-02T14:00:00Z'), timezone: 'America/New_York' }))
+      .toBe('Every month on the first weekday at 09:00 (America/New_York), 6 times');
+  });
+});
+
+describe('recurringScheduleService.materializeNextOccurrence', () => {
+  const series = {
+    id: 'series-1',
+    rule: 'FREQ=WEEKLY;BYDAY=MO',
+    timezone: 'UTC',
+    dtstart: '2026-10-19 09:00:00',
+    status: 'active',
+    occurrences_created: 1,
+    occurrence_index: 1,
+    occurrence_scheduled_for: '2026-10-19 09:00:00',
+  };
+
+  beforeEach(() => {
+    mockPool.query.mockReset();
+    jest.useFakeTimers({ now: new Date('2026-10-19T09:01:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('queues the next occurrence guarded on the occurrence count', async () => {
+    mockPool.query.mockImplementation(async (sql) => {
+      if (sql.includes('JOIN scheduled_tweet_series s')) return { rows: [series] };
+      if (sql.includes('WITH advanced AS')) return { rows: [{ id: 'st-2', scheduled_for: '2026-10-26 09:00:00' }] };
+      return { rows: [] };
+    });
+
+    const result = await recurringScheduleService.materializeNextOccurrence('st-1');
+    expect(result).toEqual({ queued: true, scheduledTweetId: 'st-2', scheduledFor: '2026-10-26T09:00:00.000Z' });
+    const insertCall = mockPool.query.mock.calls.find(([sql]) => sql.includes('WITH advanced AS'));
+    expect(insertCall[1]).toEqual(['series-1', 1, '2026-10-26 09:00:00', 'st-1']);
+    // Alt text stays with the previous occurrence's media ids.
+    expect(insertCall[0]).toMatch(/thread_media, media_alt_text,[\s\S]*a\.thread_media, prev\.media_alt_text,/);
+  });
+
+  test('ends the series once COUNT is reached and ignores older occurrences', async () => {
+    mockPool.query.mockResolvedValueOnce({ rows: [{ ...series, rule: 'FREQ=WEEKLY;BYDAY=MO;COUNT=1' }] });
+    mockPool.query.mockResolvedValue({ rows: [] });
+    expect(await recurringScheduleService.materializeNextOccurrence('st-1')).toEqual({ queued: false, ended: true });
+    expect(mockPool.query.mock.calls[1][0]).toContain("SET status = $2, ended_at = CURRENT_TIMESTAMP");
+
+    mockPool.query.mockReset();
+    mockPool.query.mockResolvedValueOnce({ rows: [{ ...series, occurrences_created: 2 }] });
+    expect(await recurringScheduleService.materializeNextOccurrence('st-1')).toBeNull();
+    expect(mockPool.query).toHaveBeenCalledTimes(1);
+  });
+});
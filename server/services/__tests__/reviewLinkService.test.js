@@ -0,0 +1,229 @@
+/**
+ * Client review links: signed, expiring tokens (only with a configured
+ * secret), links that stop working once the sharer loses access to the team
+ * or account, and decisions made from the portal going through the approval
+ * and content-queue paths with an audit entry.
+ */
+
+import { jest } from '@jest/globals';
+
+const mockPool = {
+  query: jest.fn(),
+};
+const mockSignOffStep = jest.fn();
+const mockRejectPost = jest.fn();
+const mockAddComment = jest.fn(() => Promise.resolve({ id: 'c1' }));
+const mockGetReviewPost = jest.fn();
+const mockGetReviewActor = jest.fn();
+const mockApproveQueueItem = jest.fn();
+const mockRejectItem = jest.fn();
+const CLIENT_STEP = { label: 'Client', roles: [], agency_roles: ['client'], user_ids: [] };
+const mockGetApprovalChain = jest.fn(() => Promise.resolve({ steps: [CLIENT_STEP] }));
+
+await jest.unstable_mockModule('../../config/database.js', () => ({
+  default: mockPool,
+  pool: mockPool,
+}));
+await jest.unstable_mockModule('../approvalService.js', () => ({
+  MAX_COMMENT_LENGTH: 2000,
+  addComment: mockAddComment,
+  getApprovalChain: mockGetApprovalChain,
+  getReviewActor: mockGetReviewActor,
+  getReviewPost: mockGetReviewPost,
+  rejectPost: mockRejectPost,
+  signOffStep: mockSignOffStep,
+}));
+await jest.unstable_mockModule('../contentReviewService.js', () => ({
+  approveQueueItem: mockApproveQueueItem,
+}));
+await jest.unstable_mockModule('../weeklyContentService.js', () => ({
+  weeklyContentService: { rejectItem: mockRejectItem },
+}));
+
+const {
+  actOnLinkItem,
+  findLinkByToken,
+  getPortalItems,
+  signReviewToken,
+  verifyReviewToken,
+} = await import('../reviewLinkService.js');
+const { DEFAULT_APPROVAL_STEPS, canSignOffStep } = await import('../../utils/approvalChain.js');
+
+const LINK_ID = '11111111-1111-4111-8111-111111111111';
+const POST_ID = '22222222-2222-4222-8222-222222222222';
+const link = { id: LINK_ID, created_by: 'sharer-1' };
+const reviewer = { name: 'Dana Client', email: 'dana@example.com' };
+
+// Queries the service makes: link items, the sharer's team access, then the
+// audit insert. The sharer is an active editor unless `sharerRole` is null.
+const mockLinkQueries = (items, { sharerRole = 'editor' } = {}) => {
+  mockPool.query.mockImplementation((sql) => {
+    if (/FROM review_link_items/.test(sql)) return Promise.resolve({ rows: items });
+    if (/FROM team_accounts/.test(sql)) {
+      return Promise.resolve({ rows: sharerRole ? [{ id: 'acct-1', team_id: 'team-1', member_role: sharerRole }] : [] });
+    }
+    if (/FROM team_members/.test(sql)) return Promise.resolve({ rows: sharerRole ? [{ '?column?': 1 }] : [] });
+    if (/INSERT INTO review_link_events/.test(sql)) {
+      return Promise.resolve({ rows: [{ id: 'e1', created_at: '2026-03-21T10:00:00Z' }] });
+    }
+    return Promise.resolve({ rows: [] });
+  });
+};
+
+beforeEach(() => {
+  process.env.REVIEW_LINK_SECRET = 'review-link-test-secret';
+  jest.clearAllMocks();
+  mockPool.query.mockReset();
+  mockGetApprovalChain.mockResolvedValue({ steps: [CLIENT_STEP] });
+});
+
+describe('review link tokens', () => {
+  test('round-trips a link id and rejects tampered or expired tokens', () => {
+    const expiresAt = new Date(Date.now() + 60 * 60 * 1000);
+    const token = signReviewToken(LINK_ID, expiresAt);
+
+    expect(verifyReviewToken(token)).toEqual({
+      linkId: LINK_ID,
+      expiresAt: new Date(Math.floor(expiresAt.getTime() / 1000) * 1000),
+    });
+
+    const [id, expiry, signature] = token.split('.');
+    expect(verifyReviewToken(`${id}.${Number(expiry) + 86400}.${signature}`)).toBeNull();
+    expect(verifyReviewToken(`${POST_ID}.${expiry}.${signature}`)).toBeNull();
+    expect(verifyReviewToken(token, new Date(expiresAt.getTime() + 1000))).toBeNull();
+    expect(verifyReviewToken('not-a-token')).toBeNull();
+  });
+
+  test('refuses to sign or accept tokens without a configured secret', () => {
+    const token = signReviewToken(LINK_ID, new Date(Date.now() + 60 * 60 * 1000));
+    const savedJwtSecret = process.env.JWT_SECRET;
+    delete process.env.REVIEW_LINK_SECRET;
+    delete process.env.JWT_SECRET;
+    try {
+      expect(() => signReviewToken(LINK_ID, new Date())).toThrow(expect.objectContaining({ code: 'REVIEW_LINK_SECRET_MISSING' }));
+      expect(() => verifyReviewToken(token)).toThrow(expect.objectContaining({ code: 'REVIEW_LINK_SECRET_MISSING' }));
+    } finally {
+      if (savedJwtSecret !== undefined) process.env.JWT_SECRET = savedJwtSecret;
+    }
+  });
+
+  test('stops resolving a team link once the sharer has left the team', async () => {
+    const token = signReviewToken(LINK_ID, new Date(Date.now() + 60 * 60 * 1000));
+    const teamLink = { id: LINK_ID, created_by: 'sharer-1', team_id: 'team-1' };
+    let member = true;
+    mockPool.query.mockImplementation((sql) => {
+      if (/FROM review_links/.test(sql)) return Promise.resolve({ rows: [teamLink] });
+      if (/FROM team_members/.test(sql)) return Promise.resolve({ rows: member ? [{ '?column?': 1 }] : [] });
+      return Promise.resolve({ rows: [] });
+    });
+
+    await expect(findLinkByToken(token)).resolves.toEqual(teamLink);
+    member = false;
+    await expect(findLinkByToken(token)).resolves.toBeNull();
+    const membership = mockPool.query.mock.calls.find(([sql]) => /FROM team_members/.test(sql));
+    expect(membership[1]).toEqual(['team-1', 'sharer-1']);
+  });
+});
+
+describe('acting from a review link', () => {
+  test('signs off a pending approval as the client and records who did it', async () => {
+    mockLinkQueries([{ item_type: 'scheduled_tweet', item_id: POST_ID }]);
+    mockGetReviewPost.mockResolvedValue({ id: POST_ID, team_id: 'team-1', approval_status: 'pending_approval' });
+    mockGetReviewActor.mockResolvedValue(null);
+    mockSignOffStep.mockResolvedValue({ row: { id: POST_ID }, completed: true });
+
+    const result = await actOnLinkItem(link, {
+      itemType: 'scheduled_tweet',
+      itemId: POST_ID,
+      action: 'approved',
+      reviewer,
+      comment: ' Ship it ',
+      ipAddress: '203.0.113.9',
+    });
+
+    expect(result.event.id).toBe('e1');
+    const [, , actor, comment] = mockSignOffStep.mock.calls[0];
+    expect(actor).toEqual({
+      userId: 'sharer-1',
+      teamRole: null,
+      agencyRole: 'client',
+      viaReviewLink: true,
+      reviewLinkId: LINK_ID,
+      reviewLink: { id: LINK_ID, reviewerName: 'Dana Client' },
+    });
+    expect(comment).toBe('Ship it');
+    const audit = mockPool.query.mock.calls.find(([sql]) => /INSERT INTO review_link_events/.test(sql));
+    expect(audit[1]).toEqual([
+      LINK_ID, 'scheduled_tweet', POST_ID, 'approved', 'Dana Client', 'dana@example.com', 'Ship it', '203.0.113.9', null,
+    ]);
+  });
+
+  test("never signs off with the sharer's own team role or as a named member", async () => {
+    mockLinkQueries([{ item_type: 'scheduled_tweet', item_id: POST_ID }]);
+    const post = { id: POST_ID, team_id: 'team-1', status: 'pending', approval_status: 'pending_approval', approval_step: 0 };
+    mockGetReviewPost.mockResolvedValue(post);
+    mockGetReviewActor.mockResolvedValue({ userId: 'sharer-1', teamRole: 'owner', agencyRole: null });
+    const ownerSteps = [...DEFAULT_APPROVAL_STEPS, { label: 'Sharer', roles: [], agency_roles: [], user_ids: ['sharer-1'] }];
+    mockGetApprovalChain.mockResolvedValue({ steps: ownerSteps });
+    mockSignOffStep.mockResolvedValue({ row: post, completed: false });
+
+    const [item] = await getPortalItems(link);
+    expect(item.can_decide).toBe(false);
+
+    await actOnLinkItem(link, { itemType: 'scheduled_tweet', itemId: POST_ID, action: 'approved', reviewer });
+    const [, , actor] = mockSignOffStep.mock.calls[0];
+    expect(ownerSteps.some((step) => canSignOffStep(step, actor))).toBe(false);
+    expect(canSignOffStep(CLIENT_STEP, actor)).toBe(true);
+  });
+
+  test('approves and rejects content-queue items through the queue paths', async () => {
+    mockLinkQueries([{ item_type: 'content_queue', item_id: POST_ID }]);
+    mockApproveQueueItem.mockResolvedValue({ item: { id: POST_ID }, scheduled: null });
+    mockRejectItem.mockResolvedValue(null);
+
+    const approved = await actOnLinkItem(link, { itemType: 'content_queue', itemId: POST_ID, action: 'approved', reviewer });
+    expect(approved.event).toBeDefined();
+    expect(mockApproveQueueItem).toHaveBeenCalledWith(POST_ID, 'sharer-1');
+
+    const rejected = await actOnLinkItem(link, { itemType: 'content_queue', itemId: POST_ID, action: 'rejected', reviewer });
+    expect(rejected).toEqual({ status: 404, error: 'Item not found or already processed' });
+  });
+
+  test('passes approval errors through without an audit entry', async () => {
+    mockLinkQueries([{ item_type: 'scheduled_tweet', item_id: POST_ID }]);
+    mockGetReviewPost.mockResolvedValue({ id: POST_ID, team_id: 'team-1' });
+    mockGetReviewActor.mockResolvedValue(null);
+    mockRejectPost.mockResolvedValue({ status: 409, error: 'This post is not waiting for approval' });
+
+    const result = await actOnLinkItem(link, { itemType: 'scheduled_tweet', itemId: POST_ID, action: 'rejected', reviewer });
+
+    expect(result.status).toBe(409);
+    expect(mockPool.query.mock.calls.some(([sql]) => /INSERT INTO review_link_events/.test(sql))).toBe(false);
+  });
+
+  test('hides and refuses posts whose account the sharer can no longer reach', async () => {
+    mockLinkQueries([{ item_type: 'scheduled_tweet', item_id: POST_ID }], { sharerRole: null });
+    mockGetReviewPost.mockResolvedValue({
+      id: POST_ID, team_id: 'team-1', account_id: 'acct-1', status: 'pending', approval_status: 'pending_approval',
+    });
+
+    await expect(getPortalItems(link)).resolves.toEqual([]);
+    const result = await actOnLinkItem(link, { itemType: 'scheduled_tweet', itemId: POST_ID, action: 'approved', reviewer });
+
+    expect(result.status).toBe(403);
+    expect(mockSignOffStep).not.toHaveBeenCalled();
+    const access = mockPool.query.mock.calls.find(([sql]) => /FROM team_accounts/.test(sql));
+    expect(access[1]).toEqual(['acct-1', 'sharer-1', 'team-1']);
+  });
+
+  test('refuses posts that are not part of the link and empty comments', async () => {
+    mockLinkQueries([]);
+    const outside = await actOnLinkItem(link, { itemType: 'scheduled_tweet', itemId: POST_ID, action: 'approved', reviewer });
+    expect(outside.status).toBe(404);
+    expect(mockSignOffStep).not.toHaveBeenCalled();
+
+    mockLinkQueries([{ item_type: 'content_queue', item_id: POST_ID }]);
+    const empty = await actOnLinkItem(link, { itemType: 'content_queue', itemId: POST_ID, action: 'commented', reviewer });
+    expect(empty).toEqual({ status: 400, error: 'Write a comment' });
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Spreadsheet import for scheduling: CSV/TSV parsing (quoted fields, thread
+ * columns) and the per-row dry-run validation report.
+ */
+
+const { parseDelimited, parseImportFile, validateImportRows } = await import('../scheduleImportService.js');
+
+const NOW = new Date('2026-03-10T12:00:00Z');
+const accounts = [
+  { id: 'acc-1', username: 'brand', twitter_user_id: '111', charLimit: 280 },
+  { id: 'acc-2', username: 'founder', twitter_user_id: '222', charLimit: 2000 },
+];
+const context = {
+  accounts,
+  defaultAccount: accounts[0],
+  defaultTimezone: 'UTC',
+  minDate: NOW,
+  maxDate: new Date('2026-03-25T12:00:00Z'),
+};
+
+describe('scheduleImportService parsing', () => {
+  test('handles quoted delimiters, doubled quotes and newlines', () => {
+    const records = parseDelimited('content,time\r\n"Hello, ""world""\nline two",09:00\n\n');
+    expect(records).toEqual([
+      ['content', 'time'],
+      ['Hello, "world"\nline two', '09:00'],
+    ]);
+  });
+
+  test('detects TSV and builds thread parts from content and numbered columns', () => {
+    const file = [
+      'Content\tThread 2\tThread 3\tScheduled At\tMedia URL\tCross Post\tAccount',
+      'Intro --- second\tthird\tfourth\t2026-03-11 09:00\thttps://cdn.example.com/a.png\tlinkedin;threads\t@founder',
+    ].join('\n');
+    const { rows, error } = parseImportFile(file);
+    expect(error).toBeNull();
+    expect(rows[0]).toMatchObject({
+      rowNumber: 2,
+      threadParts: ['Intro', 'second', 'third', 'fourth'],
+      scheduledAt: '2026-03-11 09:00',
+      mediaUrls: ['https://cdn.example.com/a.png'],
+      crossPost: ['linkedin', 'threads'],
+      account: 'founder',
+    });
+  });
+
+  test('requires a content column', () => {
+    expect(parseImportFile('text_body,when\nhi,now').error).toMatch(/content/);
+  });
+});
+
+describe('scheduleImportService.validateImportRows', () => {
+  const parse = (lines) => parseImportFile(['content,scheduled_at,timezone,account,cross_post,media_url', ...lines].join('\n')).rows;
+
+  test('accepts valid rows and converts local times to UTC', () => {
+    const { rows, errorCount } = validateImportRows(
+      parse(['Hello,2026-03-11 09:00,America/New_York,,,']),
+      context
+    );
+    expect(errorCount).toBe(0);
+    expect(rows[0].item.account.id).toBe('acc-1');
+    expect(rows[0].item.scheduledFor.toISOString()).toBe('2026-03-11T13:00:00.000Z');
+  });
+
+  test('reports length, past date, unknown account and bad targets per row', () => {
+    const longPost = 'x'.repeat(281);
+    const { rows, validCount, errorCount } = validateImportRows(
+      parse([
+        `${longPost},2026-03-11 09:00,,,,`,
+        'Old news,2026-03-01 09:00,,,,',
+        'Who?,2026-03-11 09:00,,@nobody,,',
+        'Targets,2026-03-11 10:00,,,facebook,http://insecure.example.com/a.png',
+        `${longPost},2026-03-11 11:00,,founder,,`,
+      ]),
+      context
+    );
+
+    expect(errorCount).toBe(4);
+    expect(validCount).toBe(1);
+    expect(rows[0].errors[0]).toMatch(/281 characters \(limit 280\)/);
+    expect(rows[1].errors[0]).toMatch(/past/);
+    expect(rows[2].errors).toContain('Unknown account "nobody"');
+    expect(rows[3].errors).toEqual(expect.arrayContaining([
+      expect.stringMatching(/cross-post target "facebook"/),
+      expect.stringMatching(/must be https/),
+    ]));
+    // The founder account has long posts enabled
+    expect(rows[4].errors).toEqual([]);
+  });
+
+  test('warns about two rows for the same account and time', () => {
+    const { rows } = validateImportRows(
+      parse(['One,2026-03-11 09:00,,,,', 'Two,2026-03-11T09:00:00Z,,brand,,']),
+      context
+    );
+    expect(rows[1].warnings[0]).toMatch(/row 2/);
+  });
+});
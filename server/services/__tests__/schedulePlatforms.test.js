@@ -0,0 +1,125 @@
+/**
+ * Native LinkedIn/Threads scheduled posts: validation, per-platform status,
+ * and how the scheduler publishes a row whose platform is not X.
+ */
+
+import { jest } from '@jest/globals';
+
+const mockPool = {
+  query: jest.fn(),
+};
+const mockEmitWebhookEvent = jest.fn(() => Promise.resolve(1));
+const mockNotifyTweetFailed = jest.fn(() => Promise.resolve());
+
+await jest.unstable_mockModule('../../config/database.js', () => ({
+  default: mockPool,
+  pool: mockPool,
+}));
+await jest.unstable_mockModule('../mediaService.js', () => ({
+  mediaService: {},
+}));
+await jest.unstable_mockModule('../webhookService.js', () => ({
+  emitWebhookEvent: mockEmitWebhookEvent,
+}));
+await jest.unstable_mockModule('../emailNotificationService.js', () => ({
+  notifyTweetFailed: mockNotifyTweetFailed,
+}));
+
+const { getPlatformStatuses, validateNativePlatformPost } = await import('../../utils/schedulePlatforms.js');
+const { scheduledTweetService } = await import('../scheduledTweetService.js');
+
+describe('native platform posts', () => {
+  test('validates against each platform\'s limits', () => {
+    expect(validateNativePlatformPost({ platform: 'linkedin', parts: ['x'.repeat(3000)] })).toBeNull();
+    expect(validateNativePlatformPost({ platform: 'linkedin', parts: ['one', 'two'] })).toBe('LinkedIn posts cannot be threads');
+    expect(validateNativePlatformPost({ platform: 'threads', parts: ['ok', 'x'.repeat(501)] })).toBe(
+      'Threads posts are limited to 500 characters (post 2)'
+    );
+    expect(validateNativePlatformPost({ platform: 'x', parts: ['hi'] })).toBe('Choose LinkedIn or Threads');
+  });
+
+  test('reports the status of every platform a row publishes to', () => {
+    expect(getPlatformStatuses({ platform: 'threads', status: 'pending' })).toEqual({ threads: 'scheduled' });
+    expect(
+      getPlatformStatuses({
+        platform: 'linkedin',
+        status: 'failed',
+        metadata: { native_post: { last_result: { status: 'not_connected' } } },
+      })
+    ).toEqual({ linkedin: 'not_connected' });
+    expect(
+      getPlatformStatuses({
+        status: 'completed',
+        metadata: JSON.stringify({
+          cross_post: { targets: { linkedin: true, threads: true }, last_result: { linkedin: { status: 'posted' } } },
+        }),
+      })
+    ).toEqual({ x: 'posted', linkedin: 'posted', threads: 'scheduled' });
+  });
+});
+
+describe('processSingleScheduledTweetById for native posts', () => {
+  const row = {
+    id: 'st-1',
+    user_id: 'user-1',
+    team_id: 'team-1',
+    account_id: null,
+    platform: 'linkedin',
+    status: 'processing',
+    approval_status: 'approved',
+    content: 'Hiring: senior engineers',
+    thread_tweets: [],
+    metadata: { native_post: { platform: 'linkedin', routing: { targetAccountId: 'li-9' } } },
+  };
+  const originalFetch = global.fetch;
+
+  beforeEach(() => {
+    process.env.LINKEDIN_GENIE_URL = 'https://linkedin.example.test';
+    process.env.INTERNAL_API_KEY = 'internal-key';
+    mockPool.query.mockReset();
+    mockEmitWebhookEvent.mockClear();
+    mockNotifyTweetFailed.mockClear();
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  test('posts to the routed LinkedIn account without looking up an X account', async () => {
+    global.fetch = jest.fn(() => Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve({}) }));
+    mockPool.query.mockImplementation((sql) => {
+      if (sql.includes('SELECT * FROM scheduled_tweets')) return Promise.resolve({ rows: [row] });
+      if (sql.includes('information_schema.columns')) return Promise.resolve({ rows: [{}] });
+      return Promise.resolve({ rows: [] });
+    });
+
+    const result = await scheduledTweetService.processSingleScheduledTweetById('st-1');
+
+    expect(result).toEqual({ outcome: 'succeeded', scheduledTweetId: 'st-1', platform: 'linkedin' });
+    const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+    expect(body).toEqual(expect.objectContaining({ content: row.content, targetLinkedinTeamAccountId: 'li-9' }));
+    expect(mockPool.query.mock.calls.some(([sql]) => sql.includes('team_accounts'))).toBe(false);
+    const update = mockPool.query.mock.calls.find(([sql]) => sql.includes('UPDATE scheduled_tweets'));
+    expect(update[1][0]).toBe('completed');
+    expect(JSON.parse(update[1][2]).native_post.last_result.status).toBe('posted');
+  });
+
+  test('fails the row with a readable reason when the platform rejects it', async () => {
+    global.fetch = jest.fn(() =>
+      Promise.resolve({ ok: false, status: 404, json: () => Promise.resolve({ code: 'LINKEDIN_NOT_CONNECTED' }) })
+    );
+    mockPool.query.mockImplementation((sql) => {
+      if (sql.includes('SELECT * FROM scheduled_tweets')) return Promise.resolve({ rows: [row] });
+      if (sql.includes('information_schema.columns')) return Promise.resolve({ rows: [{}] });
+      return Promise.resolve({ rows: [] });
+    });
+
+    const result = await scheduledTweetService.processSingleScheduledTweetById('st-1');
+
+    expect(result.outcome).toBe('failed');
+    const update = mockPool.query.mock.calls.find(([sql]) => sql.includes('UPDATE scheduled_tweets'));
+    expect(update[1].slice(0, 2)).toEqual(['failed', 'LinkedIn account is not connected. Reconnect it, then retry.']);
+    expect(mockNotifyTweetFailed).toHaveBeenCalled();
+    expect(mockEmitWebhookEvent).toHaveBeenCalledWith('tweet.failed', expect.objectContaining({ teamId: 'team-1' }));
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Per-account team permissions: role defaults, overrides that never restrict
+ * owners, and team scopes that hide accounts a member can't use.
+ */
+
+import { jest } from '@jest/globals';
+import {
+  normalizePermissionInput,
+  permissionsFromRow,
+  resolveAccountPermissions,
+} from '../../utils/teamAccountPermissions.js';
+import { resolveTeamAccountScope } from '../../utils/teamAccountScope.js';
+import { buildTwitterScopeFilter, resolveTwitterScope } from '../../utils/twitterScopeResolver.js';
+
+const TEAM_ID = '11111111-1111-4111-8111-111111111111';
+
+const mockPool = (selectedRow) => ({
+  query: jest.fn((sql) => {
+    if (/FROM team_accounts ta/.test(sql)) return Promise.resolve({ rows: selectedRow ? [selectedRow] : [] });
+    if (/COUNT\(\*\)/.test(sql)) return Promise.resolve({ rows: [{ active_count: 2 }] });
+    return Promise.resolve({ rows: [{ id: 7 }] });
+  }),
+});
+
+const accountRow = (overrides = {}) => ({
+  id: 7,
+  team_id: TEAM_ID,
+  twitter_user_id: '999',
+  member_role: 'editor',
+  has_custom_permissions: false,
+  ...overrides,
+});
+
+describe('effective permissions', () => {
+  test('fall back to role defaults', () => {
+    expect(resolveAccountPermissions('editor')).toEqual({
+      post: true, schedule: true, autopilot: true, analytics: true, disconnect: false,
+    });
+    expect(resolveAccountPermissions('viewer')).toEqual({
+      post: false, schedule: false, autopilot: false, analytics: true, disconnect: false,
+    });
+    expect(resolveAccountPermissions(null).post).toBe(false);
+  });
+
+  test('use overrides, except for owners', () => {
+    const override = { has_custom_permissions: true, can_post: false, can_schedule: true, can_view_analytics: true };
+    expect(permissionsFromRow({ member_role: 'admin', ...override })).toEqual({
+      post: false, schedule: true, autopilot: false, analytics: true, disconnect: false,
+    });
+    expect(permissionsFromRow({ member_role: 'owner', ...override }).post).toBe(true);
+  });
+
+  test('validate submitted permissions', () => {
+    expect(normalizePermissionInput({ post: true, analytics: false }).columns).toEqual({
+      can_post: true, can_schedule: false, can_autopilot: false, can_view_analytics: false, can_disconnect: false,
+    });
+    expect(normalizePermissionInput({ publish: true }).error).toBe('Unknown permission: publish');
+    expect(normalizePermissionInput({ post: 'yes' }).error).toBe('post must be true or false');
+    expect(normalizePermissionInput(null).error).toBe('permissions must be an object');
+  });
+});
+
+describe('team scopes', () => {
+  test('carry the member\'s permissions', async () => {
+    const scope = await resolveTeamAccountScope(mockPool(accountRow()), 'user-1', '7');
+    expect(scope.role).toBe('editor');
+    expect(scope.permissions.disconnect).toBe(false);
+    expect(scope.relatedAccountIds).toEqual([7]);
+  });
+
+  test('deny accounts the member has no access to, or lacks the required permission on', async () => {
+    const hidden = accountRow({ has_custom_permissions: true });
+    expect(await resolveTeamAccountScope(mockPool(hidden), 'user-1', '7')).toEqual({
+      denied: true, permission: null, selectedAccountId: '7', teamId: TEAM_ID,
+    });
+
+    const analyticsOnly = accountRow({ member_role: 'viewer' });
+    const denied = await resolveTeamAccountScope(mockPool(analyticsOnly), 'user-1', '7', { permission: 'schedule' });
+    expect(denied).toMatchObject({ denied: true, permission: 'schedule' });
+  });
+
+  test('a denied twitter scope matches no rows instead of falling back to personal', async () => {
+    const pool = mockPool(accountRow({ has_custom_permissions: true }));
+    const scope = await resolveTwitterScope(pool, { userId: 'user-1', selectedAccountId: '7', teamId: TEAM_ID });
+
+    expect(scope).toMatchObject({ mode: 'team', connected: false, permissionDenied: 'access' });
+    expect(buildTwitterScopeFilter({ scope }).clause).toBe(' AND 1 = 0');
+    expect(pool.query.mock.calls.some(([sql]) => /twitter_auth/.test(sql))).toBe(false);
+  });
+});
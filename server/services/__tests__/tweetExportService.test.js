@@ -0,0 +1,99 @@
+/**
+ * Post history export: row formatting, CSV escaping, scoped queries and
+ * keyset pagination across batches.
+ */
+
+import { jest } from '@jest/globals';
+
+const mockPool = {
+  query: jest.fn(),
+};
+
+await jest.unstable_mockModule('../../config/database.js', () => ({
+  default: mockPool,
+}));
+
+const { buildExportQuery, formatExportRow, streamTweetExport, toCsvValue } = await import('../tweetExportService.js');
+
+const personalScope = { mode: 'personal', connected: true, userId: 'user-1', twitterUserId: 'tw-1' };
+
+describe('tweetExportService', () => {
+  beforeEach(() => mockPool.query.mockReset());
+
+  test('formats metrics, content type and strategy attribution', () => {
+    const row = formatExportRow({
+      tweet_id: '123',
+      posted_at: '2026-03-01T10:00:00Z',
+      content: 'Hook',
+      thread_tweets: [{ content: 'two' }, { content: 'three' }],
+      impressions: 200,
+      likes: 10,
+      retweets: 4,
+      replies: 3,
+      quote_count: 1,
+      bookmark_count: 2,
+      strategy_id: 'strat-1',
+      strategy_name: 'B2B SaaS',
+      account_username: 'brand',
+    });
+
+    expect(row).toMatchObject({
+      content_type: 'thread',
+      thread_length: 3,
+      engagement: 20,
+      engagement_rate: 10,
+      strategy_name: 'B2B SaaS',
+      url: 'https://x.com/brand/status/123',
+    });
+  });
+
+  test('escapes CSV fields and neutralises formula prefixes', () => {
+    expect(toCsvValue('plain')).toBe('plain');
+    expect(toCsvValue('a, "b"\nc')).toBe('"a, ""b""\nc"');
+    expect(toCsvValue('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+    expect(toCsvValue(-5)).toBe('-5');
+    expect(toCsvValue(null)).toBe('');
+  });
+
+  test('restricts personal exports to the user and drops it for team scope', () => {
+    const from = new Date('2026-03-01T00:00:00Z');
+    const to = new Date('2026-03-10T00:00:00Z');
+    const personal = buildExportQuery({ scope: personalScope, userId: 'user-1', from, to });
+    expect(personal.sql).toContain('t.user_id = $3');
+    expect(personal.params.slice(0, 4)).toEqual([from, to, 'user-1', 'tw-1']);
+
+    const team = buildExportQuery({
+      scope: { mode: 'team', userId: 'user-1', teamScope: { teamId: 'team-1', selectedAccountId: 'acc-1', relatedAccountIds: ['acc-1'] } },
+      userId: 'user-1',
+      from,
+      to,
+    });
+    expect(team.sql).not.toContain('t.user_id = $3');
+  });
+
+  test('streams every batch and closes the JSON array', async () => {
+    const makeRows = (count, offset) => Array.from({ length: count }, (_, i) => ({
+      id: offset + i,
+      tweet_id: String(offset + i),
+      posted_at: new Date(Date.UTC(2026, 2, 1, 0, offset + i)),
+      content: 'post',
+    }));
+    mockPool.query
+      .mockResolvedValueOnce({ rows: makeRows(500, 0) })
+      .mockResolvedValueOnce({ rows: makeRows(2, 500) });
+
+    const chunks = [];
+    const count = await streamTweetExport({ write: (chunk) => chunks.push(chunk) }, {
+      scope: personalScope,
+      userId: 'user-1',
+      from: new Date('2026-03-01T00:00:00Z'),
+      to: new Date('2026-03-10T00:00:00Z'),
+      format: 'json',
+    });
+
+    expect(count).toBe(502);
+    expect(JSON.parse(chunks.join(''))).toHaveLength(502);
+    const secondCallParams = mockPool.query.mock.calls[1][1];
+    expect(secondCallParams).toContain('499');
+  });
+});
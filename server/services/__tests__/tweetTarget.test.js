@@ -0,0 +1,137 @@
+/**
+ * Scheduled replies and quotes: reading the target from a post link, the
+ * check that it still exists at publish time, and queueing follow-up replies.
+ */
+
+import { jest } from '@jest/globals';
+
+const mockPool = {
+  query: jest.fn(),
+};
+const mockSingleTweet = jest.fn();
+const mockTweet = jest.fn();
+const mockEmitWebhookEvent = jest.fn(() => Promise.resolve(1));
+const mockNotifyTweetFailed = jest.fn(() => Promise.resolve());
+
+await jest.unstable_mockModule('../../config/database.js', () => ({
+  default: mockPool,
+  pool: mockPool,
+}));
+await jest.unstable_mockModule('../mediaService.js', () => ({
+  mediaService: {},
+}));
+await jest.unstable_mockModule('../webhookService.js', () => ({
+  emitWebhookEvent: mockEmitWebhookEvent,
+}));
+await jest.unstable_mockModule('../emailNotificationService.js', () => ({
+  notifyTweetFailed: mockNotifyTweetFailed,
+}));
+await jest.unstable_mockModule('../../utils/twitterRuntimeAuth.js', () => ({
+  createTwitterPostingClient: jest.fn(() => ({ v2: { singleTweet: mockSingleTweet, tweet: mockTweet } })),
+  refreshTwitterOauth2IfNeeded: jest.fn(({ account }) => Promise.resolve({ account })),
+}));
+
+const { buildTweetTargetFields, normalizeFollowUp, normalizeTweetTarget, parseTweetReference } = await import(
+  '../../utils/tweetTarget.js'
+);
+const { scheduledTweetService } = await import('../scheduledTweetService.js');
+
+describe('tweet targets', () => {
+  test('reads the post id from x.com, twitter.com and mobile links or a bare id', () => {
+    expect(parseTweetReference('https://x.com/jack/status/20?s=20')).toEqual({ tweetId: '20', username: 'jack' });
+    expect(parseTweetReference('mobile.twitter.com/jack/statuses/20/photo/1')).toEqual({ tweetId: '20', username: 'jack' });
+    expect(parseTweetReference('https://twitter.com/i/web/status/20')).toEqual({ tweetId: '20', username: null });
+    expect(parseTweetReference('20')).toEqual({ tweetId: '20', username: null });
+    expect(parseTweetReference('https://example.com/jack/status/20')).toBeNull();
+    expect(parseTweetReference('https://x.com/jack')).toBeNull();
+  });
+
+  test('validates composer input and maps it to X API fields', () => {
+    const { target } = normalizeTweetTarget({ type: 'quote', url: 'https://twitter.com/jack/status/20' });
+    expect(target).toEqual(expect.objectContaining({ type: 'quote', tweet_id: '20', url: 'https://x.com/jack/status/20' }));
+    expect(buildTweetTargetFields(target)).toEqual({ quote_tweet_id: '20' });
+    expect(buildTweetTargetFields({ type: 'reply', tweet_id: '20' })).toEqual({ reply: { in_reply_to_tweet_id: '20' } });
+    expect(normalizeTweetTarget({ type: 'reply', url: 'not a link' }).error).toMatch(/valid X post link/);
+
+    expect(normalizeFollowUp({ content: ' Link: https://a.io ', delayHours: 3 }).followUp).toEqual({
+      content: 'Link: https://a.io',
+      delay_hours: 3,
+      status: 'waiting',
+    });
+    expect(normalizeFollowUp({ content: 'hi', delayHours: 500 }).error).toMatch(/between 1 and 168 hours/);
+  });
+});
+
+describe('processSingleScheduledTweet with a target', () => {
+  const baseRow = {
+    id: 'st-1',
+    user_id: 'user-1',
+    team_id: null,
+    content: 'Great point',
+    thread_tweets: [],
+    access_token: 'token',
+    twitter_username: 'brand',
+  };
+
+  beforeEach(() => {
+    mockPool.query.mockReset();
+    mockSingleTweet.mockReset();
+    mockTweet.mockReset();
+    mockNotifyTweetFailed.mockClear();
+    mockEmitWebhookEvent.mockClear();
+    mockPool.query.mockImplementation((sql) => {
+      if (sql.includes('information_schema.columns')) return Promise.resolve({ rows: [{}] });
+      if (sql.includes('INSERT INTO scheduled_tweets')) return Promise.resolve({ rows: [{ id: 'st-2' }] });
+      if (sql.includes('INSERT INTO tweets')) return Promise.resolve({ rows: [{ id: 'tw-1' }] });
+      return Promise.resolve({ rows: [], rowCount: 1 });
+    });
+  });
+
+  test('fails without posting when the target was deleted', async () => {
+    mockSingleTweet.mockResolvedValue({ errors: [{ title: 'Not Found Error', detail: 'Could not find tweet' }] });
+
+    const result = await scheduledTweetService.processSingleScheduledTweet({
+      ...baseRow,
+      metadata: { tweet_target: { type: 'reply', tweet_id: '20', source: 'manual' } },
+    });
+
+    expect(result).toEqual({ outcome: 'failed', reason: 'target_tweet_missing', scheduledTweetId: 'st-1' });
+    expect(mockTweet).not.toHaveBeenCalled();
+    const update = mockPool.query.mock.calls.find(([sql, params]) => sql.includes('UPDATE scheduled_tweets') && params[0] === 'failed');
+    expect(update[1][1]).toBe('The post to reply to was deleted or is no longer visible.');
+    expect(mockNotifyTweetFailed).toHaveBeenCalled();
+    expect(mockEmitWebhookEvent).toHaveBeenCalledWith('tweet.failed', expect.anything());
+  });
+
+  test('quotes the target and queues the follow-up reply under the new post', async () => {
+    mockSingleTweet.mockResolvedValue({ data: { id: '20', text: 'original' } });
+    mockTweet.mockResolvedValue({ data: { id: '99' } });
+
+    const result = await scheduledTweetService.processSingleScheduledTweet({
+      ...baseRow,
+      metadata: {
+        tweet_target: { type: 'quote', tweet_id: '20', source: 'manual' },
+        follow_up: { content: 'Full write-up: https://a.io', delay_hours: 2, status: 'waiting' },
+      },
+    });
+
+    expect(result.outcome).toBe('succeeded');
+    expect(mockTweet).toHaveBeenCalledWith({ text: 'Great point', quote_tweet_id: '20' });
+
+    const insert = mockPool.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO scheduled_tweets'));
+    expect(insert[1][0]).toBe('st-1');
+    expect(insert[1][1]).toBe('Full write-up: https://a.io');
+    expect(JSON.parse(insert[1][2]).tweet_target).toEqual({
+      type: 'reply',
+      tweet_id: '99',
+      url: 'https://x.com/brand/status/99',
+      source: 'follow_up',
+      parent_scheduled_tweet_id: 'st-1',
+    });
+
+    const completed = mockPool.query.mock.calls.find(([sql, params]) => sql.includes('posted_at') && params[0] === 'completed');
+    expect(JSON.parse(completed[1][2]).follow_up).toEqual(
+      expect.objectContaining({ status: 'queued', scheduled_tweet_id: 'st-2' })
+    );
+  });
+});
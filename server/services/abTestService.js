@@ -0,0 +1,469 @@
+// A/B Hook Testing Service
+// Handles: generating hook variants for a post, scheduling each variant on its
+// own queue slot or team account, and reading test results. Winners are picked
+// by feedbackLoopService once synced metrics are in.
+import moment from 'moment-timezone';
+import pool from '../config/database.js';
+import { aiService } from './aiService.js';
+import { deductBudgetedCredits, refundBudgetedCredits } from './creditBudgetService.js';
+import { scheduledTweetService } from './scheduledTweetService.js';
+import { getNextFreeSlot } from './postingSlotService.js';
+import { getTwitterPostingPreferences } from '../utils/twitterPostingPreferences.js';
+
+// ─── Constants ──────────────────────────────────────────────────────────────
+const AB_VARIANT_CREDIT_COST = 1.2;
+const AB_VARIANT_SPACING_HOURS = Number.parseInt(process.env.AB_TEST_VARIANT_SPACING_HOURS || '24', 10);
+const MAX_SCHEDULING_WINDOW_DAYS = 15;
+const MIN_VARIANTS = 2;
+const MAX_VARIANTS = 3;
+const VARIANT_LABELS = ['A', 'B', 'C'];
+const HOOK_STYLES = [
+  'a direct question the reader wants answered',
+  'a bold, slightly contrarian statement',
+  'a concrete number, result or short story',
+];
+
+// Minimum evidence before a winner is declared.
+export const MIN_IMPRESSIONS_PER_VARIANT = 100;
+export const MIN_ENGAGEMENT_FOR_RAW_COMPARISON = 5;
+export const MIN_RELATIVE_LIFT = 0.1;
+
+const clampVariantCount = (value) => {
+  const parsed = Number.parseInt(value, 10);
+  if (!Number.isFinite(parsed)) return MIN_VARIANTS;
+  return Math.min(MAX_VARIANTS, Math.max(MIN_VARIANTS, parsed));
+};
+
+// Problems with the request itself; routes answer these with 400.
+const invalidTestError = (message) => {
+  const err = new Error(message);
+  err.code = 'AB_TEST_INVALID';
+  return err;
+};
+
+const normalizeContent = (value) =>
+  String(value || '')
+    .toLowerCase()
+    .replace(/https?:\/\/\S+/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+const engagementRate = (variation) => {
+  const impressions = Number(variation.impressions) || 0;
+  const engagement = Number(variation.engagement) || 0;
+  return impressions > 0 ? (engagement / impressions) * 100 : 0;
+};
+
+/**
+ * Decide a winner from posted variants.
+ * Compares engagement rate when every variant has enough impressions, otherwise
+ * falls back to raw engagement (the X API often reports 0 impressions on lower tiers).
+ * @param {Array<{id, impressions, engagement}>} variations
+ * @returns {{winner: Object|null, reason: string}}
+ */
+export function pickWinner(variations) {
+  const posted = (variations || []).filter((variation) => variation && variation.posted_tweet_id);
+  if (posted.length < MIN_VARIANTS) {
+    return { winner: null, reason: 'Fewer than two variants were posted' };
+  }
+
+  const haveImpressions = posted.every(
+    (variation) => (Number(variation.impressions) || 0) >= MIN_IMPRESSIONS_PER_VARIANT
+  );
+  const score = haveImpressions
+    ? engagementRate
+    : (variation) => Number(variation.engagement) || 0;
+
+  if (!haveImpressions) {
+    const totalEngagement = posted.reduce((sum, variation) => sum + (Number(variation.engagement) || 0), 0);
+    if (totalEngagement < MIN_ENGAGEMENT_FOR_RAW_COMPARISON) {
+      return { winner: null, reason: 'Not enough engagement yet' };
+    }
+  }
+
+  const ranked = [...posted].sort((a, b) => score(b) - score(a));
+  const [best, runnerUp] = ranked;
+  const bestScore = score(best);
+  const runnerUpScore = score(runnerUp);
+
+  if (bestScore <= 0 || bestScore < runnerUpScore * (1 + MIN_RELATIVE_LIFT)) {
+    return { winner: null, reason: 'No variant led by a clear margin' };
+  }
+
+  const metricLabel = haveImpressions ? 'engagement rate' : 'engagements';
+  const format = (value) => (haveImpressions ? `${value.toFixed(2)}%` : String(value));
+  return {
+    winner: best,
+    reason: `Variant ${best.variant_label} won on ${metricLabel} (${format(bestScore)} vs ${format(runnerUpScore)})`,
+  };
+}
+
+class AbTestService {
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // Variant generation
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Rewrite the opening hook of a post, keeping the body and message intact.
+   */
+  async rewriteHook(content, { userId, hookStyle, charLimit = 280 }) {
+    const prompt = `Rewrite the opening hook of the following tweet using ${hookStyle}. Keep the same core message, value, links and @mentions. Only the first line should change meaningfully.
+
+Rules:
+- Maximum ${charLimit} characters
+- Output only the rewritten tweet, no explanations or quotes
+
+Original tweet:
+${content}`;
+
+    const result = await aiService.generateContent(prompt, 'casual', 2, null, userId);
+    const rewritten = String(result?.content || '').trim();
+
+    if (!rewritten) {
+      throw new Error('AI returned an empty hook variant');
+    }
+    if (rewritten.length > charLimit) {
+      throw new Error(`Hook variant exceeds ${charLimit} characters`);
+    }
+    return rewritten;
+  }
+
+  /**
+   * Original content plus (variantCount - 1) distinct hook rewrites.
+   * Charges AB_VARIANT_CREDIT_COST per generated variant and refunds on failure.
+   * @returns {Promise<string[]>}
+   */
+  async generateHookVariants(content, { userId, teamId = null, strategyId = null, variantCount, charLimit }) {
+    const extraCount = clampVariantCount(variantCount) - 1;
+    const creditCost = AB_VARIANT_CREDIT_COST * extraCount;
+    const spend = { userId, teamId, strategyId, amount: creditCost };
+
+    const creditCheck = await deductBudgetedCredits({ ...spend, operation: 'ab_test_variants' });
+    if (!creditCheck.success) {
+      const err = new Error('INSUFFICIENT_CREDITS');
+      err.code = 'INSUFFICIENT_CREDITS';
+      err.creditCheck = creditCheck;
+      err.available = creditCheck.available;
+      err.required = creditCost;
+      throw err;
+    }
+
+    try {
+      const variants = [content];
+      for (let i = 0; i < extraCount; i++) {
+        const rewritten = await this.rewriteHook(content, {
+          userId,
+          hookStyle: HOOK_STYLES[i % HOOK_STYLES.length],
+          charLimit,
+        });
+        if (variants.some((existing) => normalizeContent(existing) === normalizeContent(rewritten))) {
+          throw new Error('AI returned a duplicate hook variant');
+        }
+        variants.push(rewritten);
+      }
+      return variants;
+    } catch (error) {
+      try {
+        await refundBudgetedCredits({ ...spend, reason: 'ab_test_variants_failed' });
+      } catch (refundErr) {
+        console.error('[ABTest] Failed to refund credits:', refundErr.message);
+      }
+      throw error;
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // Test creation
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Pick a publish time per variant. Variant A keeps `scheduledFor`; the rest
+   * take the account's next free queue slots, or fall back to fixed spacing.
+   * @returns {Promise<Date[]>}
+   */
+  async planSlotTimes(scope, { scheduledFor, count }) {
+    const times = [new Date(scheduledFor)];
+    const spacingMs = AB_VARIANT_SPACING_HOURS * 60 * 60 * 1000;
+    const maxTime = moment().add(MAX_SCHEDULING_WINDOW_DAYS, 'days').toDate();
+
+    while (times.length < count) {
+      const previous = times[times.length - 1];
+      const earliest = new Date(previous.getTime() + spacingMs);
+      const slot = await getNextFreeSlot(scope, { after: earliest, extraTakenTimes: times });
+      const next = slot || earliest;
+      if (next > maxTime) {
+        throw invalidTestError(`Not enough room for ${count} variants within ${MAX_SCHEDULING_WINDOW_DAYS} days. Pick an earlier time.`);
+      }
+      times.push(next);
+    }
+    return times;
+  }
+
+  /**
+   * Create an A/B test and schedule each variant.
+   * @param {Object} params
+   * @param {Object} params.scope - Account scope from buildAccountScope (variant A's account)
+   * @param {string} params.content - Original post (variant A)
+   * @param {number} [params.variantCount] - 2 or 3
+   * @param {'slots'|'accounts'} [params.distribution]
+   * @param {Object[]} [params.targetScopes] - One scope per variant for 'accounts' distribution
+   * @param {Date|string} params.scheduledFor - Variant A publish time
+   * @param {string} [params.existingScheduledTweetId] - Reuse an already scheduled post as variant A
+   */
+  async createTest({
+    scope,
+    content,
+    variantCount = MIN_VARIANTS,
+    distribution = 'slots',
+    targetScopes = [],
+    scheduledFor,
+    timezone = 'UTC',
+    source = 'composer',
+    strategyId = null,
+    approvalStatus = null,
+    approvedBy = null,
+    existingScheduledTweetId = null,
+  }) {
+    const count = clampVariantCount(variantCount);
+    const baseContent = String(content || '').trim();
+    if (!baseContent) {
+      throw invalidTestError('Content is required for an A/B test');
+    }
+    if (distribution === 'accounts' && targetScopes.length < count) {
+      throw invalidTestError(`Select ${count} accounts to split ${count} variants across`);
+    }
+
+    const preferences = await getTwitterPostingPreferences({
+      userId: scope.userId,
+      accountId: scope.accountId,
+      isTeamAccount: scope.mode === 'team',
+    });
+    const charLimit = preferences?.x_char_limit || 280;
+    if (baseContent.length > charLimit) {
+      throw invalidTestError(`Content exceeds ${charLimit} characters`);
+    }
+
+    const variants = await this.generateHookVariants(baseContent, {
+      userId: scope.userId,
+      teamId: scope.teamId || null,
+      strategyId,
+      variantCount: count,
+      charLimit,
+    });
+
+    const times = distribution === 'accounts'
+      ? variants.map(() => new Date(scheduledFor))
+      : await this.planSlotTimes(scope, { scheduledFor, count });
+
+    const { rows: [test] } = await pool.query(
+      `INSERT INTO ab_tests
+         (user_id, team_id, account_id, author_id, strategy_id, source, distribution, base_content, timezone)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING *`,
+      [
+        scope.userId,
+        scope.teamId || null,
+        scope.mode === 'team' ? String(scope.accountId) : null,
+        scope.authorId ? String(scope.authorId) : null,
+        strategyId,
+        source,
+        distribution,
+        baseContent,
+        timezone,
+      ]
+    );
+
+    const variations = [];
+    try {
+      for (let i = 0; i < variants.length; i++) {
+        const variantScope = distribution === 'accounts' ? targetScopes[i] : scope;
+        const { rows: [variation] } = await pool.query(
+          `INSERT INTO content_variations
+             (test_id, variation_type, content, variant_label, test_weight, account_id, author_id, scheduled_for)
+           VALUES ($1, 'hook_variation', $2, $3, $4, $5, $6, $7)
+           RETURNING *`,
+          [
+            test.id,
+            variants[i],
+            VARIANT_LABELS[i],
+            Number((1 / variants.length).toFixed(2)),
+            variantScope.mode === 'team' ? String(variantScope.accountId) : null,
+            variantScope.authorId ? String(variantScope.authorId) : null,
+            times[i],
+          ]
+        );
+
+        let scheduledTweetId = i === 0 ? existingScheduledTweetId : null;
+        if (!scheduledTweetId) {
+          const scheduled = await scheduledTweetService.scheduleTweets({
+            userId: scope.userId,
+            tweets: [variants[i]],
+            options: {
+              scheduledFor: times[i],
+              timezone,
+              teamId: variantScope.teamId || null,
+              accountId: variantScope.mode === 'team' ? variantScope.accountId : null,
+              authorId: variantScope.authorId || null,
+              source: source === 'autopilot' ? 'autopilot' : 'ab_test',
+              autopilotStrategyId: source === 'autopilot' ? strategyId : null,
+              approvalStatus,
+              approvedBy,
+              metadata: {
+                ab_test: { test_id: test.id, variation_id: variation.id, label: VARIANT_LABELS[i] },
+              },
+            },
+          });
+          scheduledTweetId = scheduled.scheduledId;
+        } else {
+          await pool.query(
+            `UPDATE scheduled_tweets
+             SET metadata = COALESCE(metadata, '{}'::jsonb) || $1::jsonb, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $2`,
+            [JSON.stringify({ ab_test: { test_id: test.id, variation_id: variation.id, label: VARIANT_LABELS[i] } }), scheduledTweetId]
+          );
+        }
+
+        await pool.query(
+          'UPDATE content_variations SET scheduled_tweet_id = $1 WHERE id = $2',
+          [scheduledTweetId, variation.id]
+        );
+        variations.push({ ...variation, scheduled_tweet_id: scheduledTweetId });
+      }
+    } catch (error) {
+      // Roll back whatever was scheduled so a half-created test never posts.
+      const scheduledIds = variations
+        .map((variation) => variation.scheduled_tweet_id)
+        .filter((id) => id && id !== existingScheduledTweetId);
+      if (scheduledIds.length > 0) {
+        await pool.query(
+          `UPDATE scheduled_tweets SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+           WHERE id = ANY($1::uuid[]) AND status = 'pending'`,
+          [scheduledIds]
+        );
+      }
+      await pool.query('DELETE FROM ab_tests WHERE id = $1', [test.id]);
+      throw error;
+    }
+
+    console.log(`[ABTest] Created test=${test.id} with ${variations.length} variants (${distribution}) for user=${scope.userId}`);
+    return { ...test, variations };
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // Listing & results
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Tests visible to the account scope, newest first, with their variants.
+   */
+  async listTests(scope, { status = null, limit = 20 } = {}) {
+    const params = [];
+    let clause;
+    if (scope.mode === 'team') {
+      params.push(String(scope.accountId));
+      clause = 'account_id = $1';
+    } else {
+      params.push(scope.userId);
+      clause = 'account_id IS NULL AND user_id = $1';
+    }
+    if (status) {
+      params.push(status);
+      clause += ` AND status = $${params.length}`;
+    }
+    const safeLimit = Math.min(100, Math.max(1, Number.parseInt(limit, 10) || 20));
+    params.push(safeLimit);
+
+    const { rows: tests } = await pool.query(
+      `SELECT * FROM ab_tests
+       WHERE ${clause}
+       ORDER BY created_at DESC
+       LIMIT $${params.length}`,
+      params
+    );
+    if (tests.length === 0) return [];
+
+    const variationsByTest = await this.getVariationsForTests(tests.map((test) => test.id));
+    return tests.map((test) => this.formatTest(test, variationsByTest.get(test.id) || []));
+  }
+
+  /**
+   * A single test with variants, or null if it isn't visible to the scope.
+   */
+  async getTest(scope, testId) {
+    const { rows: [test] } = await pool.query('SELECT * FROM ab_tests WHERE id = $1', [testId]);
+    if (!test) return null;
+    const visible = scope.mode === 'team'
+      ? test.account_id === String(scope.accountId)
+      : !test.account_id && test.user_id === scope.userId;
+    if (!visible) return null;
+
+    const variationsByTest = await this.getVariationsForTests([test.id]);
+    return this.formatTest(test, variationsByTest.get(test.id) || []);
+  }
+
+  async getVariationsForTests(testIds) {
+    const { rows } = await pool.query(
+      `SELECT cv.*, st.status AS scheduled_status
+       FROM content_variations cv
+       LEFT JOIN scheduled_tweets st ON st.id = cv.scheduled_tweet_id
+       WHERE cv.test_id = ANY($1::uuid[])
+       ORDER BY cv.variant_label ASC`,
+      [testIds]
+    );
+    const byTest = new Map();
+    for (const row of rows) {
+      if (!byTest.has(row.test_id)) byTest.set(row.test_id, []);
+      byTest.get(row.test_id).push(row);
+    }
+    return byTest;
+  }
+
+  formatTest(test, variations) {
+    return {
+      ...test,
+      variations: variations.map((variation) => ({
+        id: variation.id,
+        label: variation.variant_label,
+        content: variation.content,
+        account_id: variation.account_id,
+        scheduled_tweet_id: variation.scheduled_tweet_id,
+        scheduled_status: variation.scheduled_status || null,
+        scheduled_for: variation.scheduled_for,
+        posted_tweet_id: variation.posted_tweet_id,
+        posted_at: variation.posted_at,
+        impressions: variation.impressions || 0,
+        engagement: variation.engagement || 0,
+        engagement_rate: Number(variation.avg_engagement_rate) || 0,
+        is_winner: Boolean(variation.is_primary),
+      })),
+    };
+  }
+
+  /**
+   * Cancel a running test and any variants that haven't posted yet.
+   */
+  async cancelTest(scope, testId) {
+    const test = await this.getTest(scope, testId);
+    if (!test) return null;
+    if (test.status !== 'running') return test;
+
+    const pendingIds = test.variations
+      .filter((variation) => variation.scheduled_tweet_id && variation.scheduled_status === 'pending')
+      .map((variation) => variation.scheduled_tweet_id);
+    if (pendingIds.length > 0) {
+      await pool.query(
+        `UPDATE scheduled_tweets SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+         WHERE id = ANY($1::uuid[]) AND status = 'pending'`,
+        [pendingIds]
+      );
+    }
+    await pool.query(
+      `UPDATE ab_tests SET status = 'cancelled', decided_at = CURRENT_TIMESTAMP WHERE id = $1`,
+      [testId]
+    );
+    return this.getTest(scope, testId);
+  }
+}
+
+export const abTestService = new AbTestService();
@@ -0,0 +1,552 @@
+// AI Provider Registry
+// Text and vision providers behind one interface so aiService can route by
+// plan, BYOK keys and configuration instead of hard-coded branches.
+//
+// A provider is { name, label, byokKey, plans, getCredentials, generateText,
+// generateOptions, captionImage? }:
+//   - byokKey: provider name in the user's BYOK key list (null = no BYOK)
+//   - plans: plan types allowed to use it (null = every plan); override with
+//     AI_PROVIDER_<NAME>_PLANS=pro,enterprise
+//   - getCredentials({ preference, userKeys }) -> credentials or null when unavailable
+//   - generateText({ prompt, style, requestedCount, credentials }) -> raw text
+//   - generateOptions({ prompt, style, count, credentials }) -> raw text[]
+//   - captionImage({ prompt, imageUrl, systemPrompt, maxTokens, temperature, credentials }) -> raw text
+import crypto from 'crypto';
+import OpenAI from 'openai';
+import axios from 'axios';
+import { assertPublicUrl, publicFetch } from '../utils/publicHost.js';
+
+// Lower temperature = less variance = more reliable instruction following
+// 0.62 is the sweet spot: creative enough to avoid repetition, consistent
+// enough to follow instructions reliably. 0.7 causes too much drift.
+const CONTENT_TEMPERATURE = 0.62;
+
+// Higher token limit = no truncated/incomplete content
+// 1024 is fine for single tweets, 2048 for threads to avoid cut-off
+const CONTENT_MAX_TOKENS = 1024;
+const THREAD_MAX_TOKENS = 2048;
+
+// Stable Gemini model for production
+const GEMINI_MODEL = 'gemini-3-flash-preview';
+
+const DEFAULT_TEXT_ORDER = {
+  byok: ['perplexity', 'google', 'openai', 'custom'],
+  platform: ['google', 'perplexity', 'openai', 'custom'],
+};
+const DEFAULT_IMAGE_ORDER = ['openai', 'google', 'custom'];
+
+const IMAGE_SYSTEM_PROMPT = `You are a Twitter content creator. Generate engaging tweet content.
+
+Keep under 280 characters
+For threads: Only include hashtags in the FINAL tweet
+For single tweets: Include 2-3 relevant hashtags
+Be engaging and descriptive
+Write the full tweet — do not cut off.`;
+
+const parseList = (value) =>
+  String(value || '')
+    .split(',')
+    .map((item) => item.trim().toLowerCase())
+    .filter(Boolean);
+
+const findUserKey = (userKeys, provider) =>
+  (Array.isArray(userKeys) ? userKeys : []).find((key) => key?.provider === provider) || null;
+
+// Platform keys are read at call time so tests and deploys can change them.
+const platformOrByokKey = ({ preference, userKeys }, byokKey, envName) => {
+  const userSupplied = preference === 'byok';
+  const apiKey = userSupplied ? findUserKey(userKeys, byokKey)?.apiKey : process.env[envName];
+  return apiKey ? { apiKey, userSupplied } : null;
+};
+
+// Runs generateText once per option; providers can override with a cheaper call.
+const generateOptionsSequentially = async function generateOptions({ count, ...context }) {
+  const options = [];
+  for (let i = 0; i < count; i++) {
+    options.push(await this.generateText(context));
+  }
+  return options;
+};
+
+const buildContentPrompt = ({ prompt, requestedCount, styleLine }) => {
+  if (requestedCount) {
+    return `You are a Twitter content creator. ${styleLine}
+
+Generate EXACTLY ${requestedCount} tweets separated by "---"
+Keep under 280 characters per tweet
+Include 1-3 relevant hashtags
+Use plain text only
+Write every tweet fully — never cut off mid-sentence.
+
+User request: ${prompt}`;
+  }
+
+  return `You are a Twitter content creator. ${styleLine}
+
+Generate engaging tweet content based on the request.
+- If the content naturally fits in a single tweet (under 260 characters), write ONE complete tweet
+- If the content requires more depth or multiple points, create a thread with 3-5 tweets separated by "---"
+- Keep under 280 characters per tweet
+- Include 1-3 relevant hashtags
+- Write every piece of content completely — no unfinished sentences
+
+User request: ${prompt}`;
+};
+
+const TONE_SENTENCES = {
+  professional: 'Write in a professional, business-appropriate tone.',
+  casual: 'Write in a casual, conversational tone.',
+  witty: 'Write with humor and wit, be clever and engaging.',
+  humorous: 'Write with humor and wit, be clever and engaging.',
+  inspirational: 'Write in an inspirational, motivational tone.',
+  informative: 'Write in an informative, educational tone.',
+};
+
+const TONE_ADJECTIVES = {
+  professional: 'professional and business-appropriate',
+  casual: 'casual and conversational',
+  witty: 'witty, humorous, and clever',
+  humorous: 'witty, humorous, and clever',
+  inspirational: 'inspirational and motivational',
+  informative: 'informative and educational',
+};
+
+// ─── OpenAI-compatible chat completions ──────────────────────────────────────
+
+// Only platform clients are cached. BYOK clients are built per call so user
+// keys don't pile up in memory, and user-chosen base URLs are reached through
+// publicFetch, which re-checks the address on connect and never redirects.
+const openaiClients = new Map();
+const getOpenAIClient = ({ apiKey, baseURL = undefined, userSupplied = false }) => {
+  if (userSupplied) {
+    return new OpenAI({ apiKey, ...(baseURL && { baseURL, fetch: publicFetch }) });
+  }
+  const cacheKey = `${baseURL || 'openai'}::${apiKey}`;
+  if (!openaiClients.has(cacheKey)) {
+    openaiClients.set(cacheKey, new OpenAI({ apiKey, ...(baseURL && { baseURL }) }));
+  }
+  return openaiClients.get(cacheKey);
+};
+
+async function chatCompletion(client, { model, systemPrompt, prompt, imageUrl = null, maxTokens, temperature }) {
+  const messages = [{ role: 'system', content: systemPrompt }];
+  messages.push(
+    imageUrl
+      ? {
+          role: 'user',
+          content: [
+            { type: 'text', text: prompt },
+            { type: 'image_url', image_url: { url: imageUrl } },
+          ],
+        }
+      : { role: 'user', content: prompt }
+  );
+
+  const response = await client.chat.completions.create({
+    model,
+    messages,
+    max_tokens: maxTokens,
+    temperature,
+  });
+  return response.choices[0]?.message?.content?.trim() || '';
+}
+
+// ─── Providers ───────────────────────────────────────────────────────────────
+
+const perplexityProvider = {
+  name: 'perplexity',
+  label: 'Perplexity',
+  byokKey: 'perplexity',
+  plans: null,
+  getCredentials: (context) => platformOrByokKey(context, 'perplexity', 'PERPLEXITY_API_KEY'),
+
+  async generateText({ prompt, style, requestedCount = null, credentials }) {
+    const userPrompt = buildContentPrompt({
+      prompt,
+      requestedCount,
+      styleLine: TONE_SENTENCES[style] || TONE_SENTENCES.casual,
+    });
+
+    try {
+      const response = await axios.post(
+        'https://api.perplexity.ai/chat/completions',
+        {
+          model: 'sonar',
+          messages: [
+            { role: 'system', content: 'You are a creative Twitter content writer. Always complete every sentence fully.' },
+            { role: 'user', content: userPrompt },
+          ],
+          max_tokens: CONTENT_MAX_TOKENS,
+          temperature: CONTENT_TEMPERATURE,
+        },
+        {
+          headers: {
+            Authorization: `Bearer ${credentials.apiKey}`,
+            'Content-Type': 'application/json',
+          },
+          timeout: 30000,
+        }
+      );
+
+      const content = response.data.choices[0]?.message?.content?.trim();
+      if (!content) {
+        throw new Error('No content generated by Perplexity');
+      }
+      return content;
+    } catch (error) {
+      if (error.response?.status === 400) {
+        const errorData = error.response.data;
+        throw new Error(`Perplexity API Error: ${errorData.error?.message || errorData.message || 'Bad Request'}`);
+      }
+      throw error;
+    }
+  },
+
+  generateOptions: generateOptionsSequentially,
+};
+
+// Quota errors carry isQuota / retryAfter so aiService can back off.
+const normalizeGoogleError = (error) => {
+  const gMsg = error.response?.data?.error?.message || error.message || 'Google API error';
+  const normalized = new Error(`Google AI Error: ${gMsg}`);
+  normalized.status = error.response?.status;
+
+  if (/quota exceeded|exceeded your current quota|quota/i.test(gMsg)) {
+    normalized.isQuota = true;
+  }
+
+  const retryMatch =
+    gMsg.match(/Please retry in\s*([0-9]+(?:\.[0-9]+)?)s/i) ||
+    gMsg.match(/retry after\s*([0-9]+)s/i);
+  if (retryMatch) {
+    normalized.retryAfter = parseFloat(retryMatch[1]);
+  }
+
+  const retryHeader = error.response?.headers?.['retry-after'];
+  if (retryHeader) {
+    const parsed = parseFloat(retryHeader);
+    if (!isNaN(parsed)) normalized.retryAfter = parsed;
+  }
+
+  return normalized;
+};
+
+const googleProvider = {
+  name: 'google',
+  label: 'Google Gemini',
+  byokKey: 'gemini',
+  plans: null,
+  getCredentials: (context) => platformOrByokKey(context, 'gemini', 'GOOGLE_AI_API_KEY'),
+
+  async generateText({ prompt, style, requestedCount = null, credentials }) {
+    const systemPrompt = buildContentPrompt({
+      prompt,
+      requestedCount,
+      styleLine: `Be ${TONE_ADJECTIVES[style] || 'casual and conversational'}.`,
+    });
+
+    try {
+      const response = await axios.post(
+        `https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_MODEL}:generateContent?key=${credentials.apiKey}`,
+        {
+          contents: [{ parts: [{ text: systemPrompt }] }],
+          generationConfig: {
+            temperature: CONTENT_TEMPERATURE,
+            topP: 0.95,
+            maxOutputTokens: systemPrompt.includes('thread') || systemPrompt.includes('---') ? THREAD_MAX_TOKENS : CONTENT_MAX_TOKENS,
+          },
+          safetySettings: [
+            { category: 'HARM_CATEGORY_HARASSMENT', threshold: 'BLOCK_MEDIUM_AND_ABOVE' },
+            { category: 'HARM_CATEGORY_HATE_SPEECH', threshold: 'BLOCK_MEDIUM_AND_ABOVE' },
+          ],
+        },
+        {
+          headers: { 'Content-Type': 'application/json' },
+          timeout: 30000,
+        }
+      );
+
+      const content = response.data.candidates[0]?.content?.parts[0]?.text?.trim();
+      if (!content) {
+        throw new Error('No content generated by Google Gemini');
+      }
+      return content;
+    } catch (error) {
+      throw normalizeGoogleError(error);
+    }
+  },
+
+  generateOptions: generateOptionsSequentially,
+
+  async captionImage({ prompt, imageUrl = null, systemPrompt = null, maxTokens = 400, temperature = 0.7, credentials }) {
+    const parts = [{ text: systemPrompt || `${IMAGE_SYSTEM_PROMPT}\n\nGenerate tweet content for: ${prompt}` }];
+    if (systemPrompt) {
+      parts.push({ text: prompt });
+    }
+    if (imageUrl && imageUrl.startsWith('data:image/')) {
+      parts.push({
+        inline_data: {
+          mime_type: imageUrl.split(';')[0].split(':')[1],
+          data: imageUrl.split(',')[1],
+        },
+      });
+    }
+
+    const response = await axios.post(
+      `https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_MODEL}:generateContent?key=${credentials.apiKey}`,
+      {
+        contents: [{ parts }],
+        generationConfig: { temperature, topK: 1, topP: 1, maxOutputTokens: maxTokens },
+      },
+      {
+        headers: { 'Content-Type': 'application/json' },
+        timeout: 30000,
+      }
+    );
+
+    const content = response.data.candidates[0]?.content?.parts[0]?.text?.trim();
+    if (!content) {
+      throw new Error('No content generated by Google Gemini for image');
+    }
+    return content;
+  },
+};
+
+const openaiProvider = {
+  name: 'openai',
+  label: 'OpenAI',
+  byokKey: 'openai',
+  plans: null,
+  getCredentials: (context) => platformOrByokKey(context, 'openai', 'OPENAI_API_KEY'),
+
+  async generateText({ prompt, style, requestedCount = null, credentials }) {
+    const content = await chatCompletion(getOpenAIClient(credentials), {
+      model: 'gpt-4o-mini',
+      systemPrompt: buildContentPrompt({
+        prompt,
+        requestedCount,
+        styleLine: TONE_SENTENCES[style] || TONE_SENTENCES.casual,
+      }),
+      prompt,
+      maxTokens: CONTENT_MAX_TOKENS,
+      temperature: CONTENT_TEMPERATURE,
+    });
+    if (!content) {
+      throw new Error('No content generated by OpenAI');
+    }
+    return content;
+  },
+
+  generateOptions: generateOptionsSequentially,
+
+  async captionImage({ prompt, imageUrl = null, systemPrompt = null, maxTokens = 400, temperature = 0.7, credentials }) {
+    const content = await chatCompletion(getOpenAIClient(credentials), {
+      model: imageUrl ? 'gpt-4o' : 'gpt-4o-mini',
+      systemPrompt: systemPrompt || `${IMAGE_SYSTEM_PROMPT}\n\nGenerate tweet content for: ${prompt}`,
+      prompt,
+      imageUrl,
+      maxTokens,
+      temperature,
+    });
+    if (!content) {
+      throw new Error('No content generated by OpenAI for image');
+    }
+    return content;
+  },
+};
+
+/**
+ * Any server speaking the OpenAI chat completions API (vLLM, Ollama, LM Studio,
+ * OpenRouter...). Platform config: AI_CUSTOM_BASE_URL, AI_CUSTOM_MODEL, and
+ * optionally AI_CUSTOM_API_KEY and AI_CUSTOM_VISION_MODEL. BYOK keys with
+ * provider "custom" carry their own baseUrl and model; since users choose
+ * those, they must be https and resolve to public addresses before each call.
+ */
+const customProvider = {
+  name: 'custom',
+  label: 'Custom (OpenAI-compatible)',
+  byokKey: 'custom',
+  plans: null,
+  getCredentials({ preference, userKeys }) {
+    const source = preference === 'byok'
+      ? findUserKey(userKeys, 'custom')
+      : {
+          baseUrl: process.env.AI_CUSTOM_BASE_URL,
+          apiKey: process.env.AI_CUSTOM_API_KEY,
+          model: process.env.AI_CUSTOM_MODEL,
+          visionModel: process.env.AI_CUSTOM_VISION_MODEL,
+        };
+    const baseURL = String(source?.baseUrl || '').trim();
+    const userSupplied = preference === 'byok';
+    if (!(userSupplied ? /^https:\/\//i : /^https?:\/\//i).test(baseURL)) return null;
+    return {
+      baseURL,
+      userSupplied,
+      // Self-hosted servers often ignore the key, but the client requires one.
+      apiKey: source.apiKey || 'not-needed',
+      model: String(source.model || '').trim() || 'default',
+      visionModel: String(source.visionModel || '').trim() || null,
+    };
+  },
+
+  async generateText({ prompt, style, requestedCount = null, credentials }) {
+    if (credentials.userSupplied) await assertPublicUrl(credentials.baseURL);
+    const content = await chatCompletion(getOpenAIClient(credentials), {
+      model: credentials.model,
+      systemPrompt: buildContentPrompt({
+        prompt,
+        requestedCount,
+        styleLine: TONE_SENTENCES[style] || TONE_SENTENCES.casual,
+      }),
+      prompt,
+      maxTokens: CONTENT_MAX_TOKENS,
+      temperature: CONTENT_TEMPERATURE,
+    });
+    if (!content) {
+      throw new Error('No content generated by the custom provider');
+    }
+    return content;
+  },
+
+  generateOptions: generateOptionsSequentially,
+
+  async captionImage({ prompt, imageUrl = null, systemPrompt = null, maxTokens = 400, temperature = 0.7, credentials }) {
+    if (imageUrl && !credentials.visionModel) {
+      throw new Error('Custom provider has no vision model configured');
+    }
+    if (credentials.userSupplied) await assertPublicUrl(credentials.baseURL);
+    const content = await chatCompletion(getOpenAIClient(credentials), {
+      model: imageUrl ? credentials.visionModel : credentials.model,
+      systemPrompt: systemPrompt || `${IMAGE_SYSTEM_PROMPT}\n\nGenerate tweet content for: ${prompt}`,
+      prompt,
+      imageUrl,
+      maxTokens,
+      temperature,
+    });
+    if (!content) {
+      throw new Error('No content generated by the custom provider for image');
+    }
+    return content;
+  },
+};
+
+const mockDigest = (...parts) => crypto.createHash('sha256').update(parts.join('|')).digest('hex').slice(0, 8);
+
+const mockTopic = (prompt) => {
+  const firstLine = String(prompt || '').replace(/\s+/g, ' ').trim();
+  return firstLine.length > 60 ? `${firstLine.slice(0, 57)}...` : firstLine;
+};
+
+/**
+ * Deterministic offline provider for tests and CI: the same input always gives
+ * the same output, with no network calls. Enabled with AI_MOCK_PROVIDER=true
+ * and placed first in every routing order.
+ */
+const mockProvider = {
+  name: 'mock',
+  label: 'Mock (offline)',
+  byokKey: null,
+  plans: null,
+  getCredentials: () => (process.env.AI_MOCK_PROVIDER === 'true' ? {} : null),
+
+  async generateText({ prompt, style = 'casual', requestedCount = null }) {
+    const topic = mockTopic(prompt);
+    const count = requestedCount || 1;
+    return Array.from({ length: count }, (_, index) =>
+      `Mock ${style} tweet ${index + 1} about ${topic} [${mockDigest(prompt, style, index)}] #mock`
+    ).join('\n---\n');
+  },
+
+  async generateOptions({ prompt, style = 'casual', count = 3 }) {
+    const topic = mockTopic(prompt);
+    return Array.from({ length: count }, (_, index) =>
+      `Mock ${style} option ${index + 1} about ${topic} [${mockDigest(prompt, style, 'option', index)}] #mock`
+    );
+  },
+
+  async captionImage({ prompt, imageUrl = null }) {
+    return `Mock description of an image [${mockDigest(prompt, imageUrl || 'no-image')}]`;
+  },
+};
+
+// ─── Registry ────────────────────────────────────────────────────────────────
+
+const providers = new Map();
+
+export function registerProvider(provider) {
+  if (!provider?.name || typeof provider.getCredentials !== 'function' || typeof provider.generateText !== 'function') {
+    throw new Error('AI providers need a name, getCredentials() and generateText()');
+  }
+  providers.set(provider.name, {
+    generateOptions: generateOptionsSequentially,
+    byokKey: null,
+    plans: null,
+    ...provider,
+  });
+}
+
+export const getProvider = (name) => providers.get(name) || null;
+export const listProviders = () => [...providers.values()];
+
+[perplexityProvider, googleProvider, openaiProvider, customProvider, mockProvider].forEach(registerProvider);
+
+const getAllowedPlans = (provider) => {
+  const override = parseList(process.env[`AI_PROVIDER_${provider.name.toUpperCase()}_PLANS`]);
+  return override.length > 0 ? override : provider.plans;
+};
+
+export const isProviderAllowedForPlan = (provider, planType) => {
+  const plans = getAllowedPlans(provider);
+  return !plans || plans.includes(String(planType || 'free').toLowerCase());
+};
+
+/**
+ * Provider names in routing order. AI_PROVIDER_ORDER (comma separated)
+ * replaces the defaults; the mock provider always goes first when enabled.
+ */
+export function getProviderOrder({ capability = 'text', preference = 'platform' } = {}) {
+  const configured = parseList(process.env.AI_PROVIDER_ORDER);
+  const base = configured.length > 0
+    ? configured
+    : capability === 'image'
+      ? DEFAULT_IMAGE_ORDER
+      : DEFAULT_TEXT_ORDER[preference === 'byok' ? 'byok' : 'platform'];
+  return ['mock', ...base.filter((name) => name !== 'mock')];
+}
+
+/**
+ * Providers usable for this request, in order, each with resolved credentials.
+ *
+ * @param {Object} options
+ * @param {'text'|'image'} [options.capability] - 'image' keeps providers with captionImage()
+ * @param {string} [options.preference] - 'byok' uses the user's keys instead of platform keys
+ * @param {Array<{ provider: string, apiKey: string }>} [options.userKeys]
+ * @param {string} [options.planType]
+ * @returns {Array<{ name: string, keyType: string, provider: Object, credentials: Object }>}
+ */
+export function resolveProviders({ capability = 'text', preference = 'platform', userKeys = [], planType = 'free' } = {}) {
+  const keyType = preference === 'byok' ? 'BYOK' : 'platform';
+
+  return getProviderOrder({ capability, preference })
+    .map((name) => providers.get(name))
+    .filter(Boolean)
+    .filter((provider) => capability !== 'image' || typeof provider.captionImage === 'function')
+    .filter((provider) => isProviderAllowedForPlan(provider, planType))
+    .map((provider) => {
+      const credentials = provider.getCredentials({ preference, userKeys });
+      // Providers without BYOK (the mock) always run on platform configuration.
+      return credentials
+        ? { name: provider.name, keyType: provider.byokKey ? keyType : 'platform', provider, credentials }
+        : null;
+    })
+    .filter(Boolean);
+}
+
+export default {
+  registerProvider,
+  getProvider,
+  listProviders,
+  isProviderAllowedForPlan,
+  getProviderOrder,
+  resolveProviders,
+};
@@ -1,34 +1,17 @@
-import OpenAI from 'openai';
 import axios from 'axios';
 import pool from '../config/database.js';
+import { consumePolicy } from './rateLimitService.js';
+import { isProviderAllowedForPlan, listProviders, resolveProviders } from './aiProviderRegistry.js';
 
-// Simple rate limiter - inline
-const rateLimits = new Map();
-function checkRateLimit(userId) {
+// Hourly generation quota per user, counted in the shared rate-limit store
+async function checkRateLimit(userId, planType) {
   if (!userId) return { allowed: true };
-  
-  const key = userId;
-  const now = Date.now();
-  const limit = { maxRequests: 50, windowMs: 60 * 60 * 1000 }; // 50/hour
-  
-  if (!rateLimits.has(key)) {
-    rateLimits.set(key, { count: 1, resetTime: now + limit.windowMs });
-    return { allowed: true };
-  }
 
-  const userLimit = rateLimits.get(key);
-  if (now >= userLimit.resetTime) {
-    userLimit.count = 1;
-    userLimit.resetTime = now + limit.windowMs;
-    return { allowed: true };
-  }
-  
-  if (userLimit.count >= limit.maxRequests) {
-    const resetIn = Math.ceil((userLimit.resetTime - now) / 1000 / 60);
+  const result = await consumePolicy('ai_hourly', userId, { planType });
+  if (!result.allowed) {
+    const resetIn = Math.max(1, Math.ceil(result.retryAfterSeconds / 60));
     return { allowed: false, error: `Rate limit exceeded. Try again in ${resetIn} minutes.` };
   }
-  
-  userLimit.count++;
   return { allowed: true };
 }
 
@@ -43,6 +26,7 @@ const PAID_PLAN_PRIORITY = new Map([
   ['free', 1],
 ]);
 const PLAN_CACHE_TTL_MS = Number(process.env.AI_PLAN_CACHE_TTL_MS || 30 * 1000);
+const MAX_ALT_TEXT_LENGTH = 1000;
 const planTypeCache = new Map();
 
 const normalizePlanType = (planType) => {
@@ -50,19 +34,6 @@ const normalizePlanType = (planType) => {
   return PLAN_TYPE_ALIASES.get(normalized) || normalized;
 };
 
-const getProviderPriority = ({ preference, planType }) => {
-    if (preference === 'byok') {
-      return ['perplexity', 'google', 'openai'];
-    }
-
-  const normalizedPlan = normalizePlanType(planType);
-    if (normalizedPlan === 'pro' || normalizedPlan === 'enterprise' || normalizedPlan === 'agency') {
-      return ['google', 'perplexity', 'openai'];
-    }
-
-  return ['google', 'perplexity', 'openai'];
-};
-
 async function resolvePlanType(userId, explicitPlanType = null) {
   if (explicitPlanType) {
     return normalizePlanType(explicitPlanType);
@@ -147,36 +118,7 @@ async function getUserPreferenceAndKeys(userToken, maxRetries = 3) {
   }
 }
 
-// ─── Constants ───────────────────────────────────────────────────────────────
-// Lower temperature = less variance = more reliable instruction following
-// 0.62 is the sweet spot: creative enough to avoid repetition, consistent
-// enough to follow instructions reliably. 0.7 causes too much drift.
-const CONTENT_TEMPERATURE = 0.62;
-
-// Higher token limit = no truncated/incomplete content
-// 1024 is fine for single tweets, 2048 for threads to avoid cut-off
-const CONTENT_MAX_TOKENS = 1024;
-const THREAD_MAX_TOKENS = 2048;
-
-// Stable Gemini model for production
-const GEMINI_MODEL = 'gemini-3-flash-preview';
-// ─────────────────────────────────────────────────────────────────────────────
-
 class AIService {
-  constructor() {
-    if (process.env.OPENAI_API_KEY) {
-      this.openai = new OpenAI({
-        apiKey: process.env.OPENAI_API_KEY,
-      });
-    } else {
-      console.warn('⚠️ OpenAI API key not configured');
-      this.openai = null;
-    }
-    
-    this.perplexityApiKey = process.env.PERPLEXITY_API_KEY;
-    this.googleApiKey = process.env.GOOGLE_AI_API_KEY;
-  }
-
   validatePrompt(prompt) {
     if (!prompt || typeof prompt !== 'string') {
       throw new Error('Invalid prompt');
@@ -206,7 +148,7 @@ class AIService {
     const sanitizedPrompt = this.validatePrompt(prompt);
     
     if (userId) {
-      const rateCheck = checkRateLimit(userId);
+      const rateCheck = await checkRateLimit(userId, await resolvePlanType(userId, planType));
       if (!rateCheck.allowed) {
         throw new Error(rateCheck.error);
       }
@@ -219,146 +161,74 @@ class AIService {
       throw new Error('Thread count must be between 1 and 10');
     }
 
-    let preference = 'platform';
-    let userKeys = [];
-    if (userToken) {
-      try {
-        const prefResult = await getUserPreferenceAndKeys(userToken);
-        preference = prefResult.preference;
-        userKeys = prefResult.userKeys;
-        console.log('[BYOK] Fetched keys for providers:', userKeys.map(k => k.provider).join(', '));
-      } catch (err) {
-        console.error('Failed to fetch user BYOK preference/keys:', err.message);
-      }
-    }
-
-    const resolvedPlanType = await resolvePlanType(userId, planType);
-    const providerPriority = getProviderPriority({ preference, planType: resolvedPlanType });
-    const providerCandidates = {};
-    const keyType = preference === 'byok' ? 'BYOK' : 'platform';
-
-    
-
-    const perplexityKey =
-      preference === 'byok'
-        ? userKeys.find((k) => k.provider === 'perplexity')?.apiKey
-        : this.perplexityApiKey;
-    if (perplexityKey) {
-      providerCandidates.perplexity = {
-        name: 'perplexity',
-        keyType,
-        method: (p, s, c) => this.generateWithPerplexity(p, s, c, perplexityKey),
-      };
-    }
-
-    const googleKey =
-      preference === 'byok'
-        ? userKeys.find((k) => k.provider === 'gemini')?.apiKey
-        : this.googleApiKey;
-    if (googleKey) {
-      providerCandidates.google = {
-        name: 'google',
-        keyType,
-        method: (p, s, c) => this.generateWithGoogle(p, s, c, googleKey),
-      };
-    }
-
-    const openaiKey =
-      preference === 'byok'
-        ? userKeys.find((k) => k.provider === 'openai')?.apiKey
-        : process.env.OPENAI_API_KEY;
-    if (openaiKey) {
-      providerCandidates.openai = {
-        name: 'openai',
-        keyType,
-        method: (p, s, c) => this.generateWithOpenAI(p, s, c, openaiKey),
-      };
-    }
-
-    const providers = providerPriority
-      .map((providerName) => providerCandidates[providerName])
-      .filter(Boolean);
-
-    if (providers.length === 0) {
-      throw new Error('No AI providers configured');
-    }
-
-    console.log(
-      `[AI Routing] plan=${resolvedPlanType} preference=${preference} order=${providers
-        .map((p) => p.name)
-        .join(' > ')}`
-    );
-
-    let lastError = null;
-    const authFailures = [];
-
-    for (const provider of providers) {
-      let attempts = 0;
-      const maxProviderAttempts = Math.max(1, maxRetries);
-      while (attempts < maxProviderAttempts) {
-        try {
-          if (userId) {
-            console.log(`[AI Key Usage] userId=${userId} provider=${provider.name} keyType=${provider.keyType}`);
-          }
-          console.log(`Attempting content generation with ${provider.name} (attempt ${attempts + 1}/${maxProviderAttempts})...`);
-          const result = await provider.method(sanitizedPrompt, style, requestedCount);
-          console.log(`✅ Content generated successfully with ${provider.name}`);
-
-          const cleanedContent = this.cleanAIOutput(result);
-
-          return {
-            content: cleanedContent,
-            provider: provider.name,
-            keyType: provider.keyType,
-            success: true
-          };
-        } catch (error) {
-          attempts++;
-          console.error(`❌ ${provider.name} generation failed (attempt ${attempts}):`, error.message);
-          lastError = error;
-
-          if (/unauthoriz|token expired|invalid key/i.test(error.message || '')) {
-            authFailures.push(`${provider.name} (${provider.keyType}): ${error.message}`);
-            break;
-          }
-
-          if (error.isQuota || error.retryAfter) {
-            const waitSec =
-              typeof error.retryAfter === 'number' && error.retryAfter > 0
-                ? error.retryAfter
-                : Math.min(5 * attempts, 30);
-            if (attempts < maxProviderAttempts) {
-              console.log(`${provider.name} suggests retry after ${waitSec}s — waiting...`);
-              await new Promise(r => setTimeout(r, Math.ceil(waitSec * 1000)));
-              continue;
-            }
-          }
-
-          break;
-        }
-      }
-    }
-
-    if (authFailures.length > 0) {
-      throw new Error(`Authorization failures for AI providers: ${authFailures.join(' ; ')}`);
-    }
-
-    throw new Error(`All AI providers failed. Last error: ${lastError?.message || 'Unknown error'}`);
+    const providers = await this.resolveTextProviders({ userToken, userId, planType, label: 'AI Routing' });
+    return this.runWithProviders(providers, {
+      maxAttempts: Math.max(1, maxRetries),
+      quotaWaitSeconds: (attempts) => Math.min(5 * attempts, 30),
+      userId,
+      task: (provider) => provider.provider.generateText({
+        prompt: sanitizedPrompt,
+        style,
+        requestedCount,
+        credentials: provider.credentials,
+      }),
+    });
   }
 
-  
-
   // Strategy Builder specific generation with plan-aware provider routing.
   async generateStrategyContent(prompt, style = 'professional', userToken = null, userId = null, planType = null) {
     const sanitizedPrompt = this.validatePrompt(prompt);
     
     if (userId) {
-      const rateCheck = checkRateLimit(userId);
+      const rateCheck = await checkRateLimit(userId, await resolvePlanType(userId, planType));
       if (!rateCheck.allowed) {
         throw new Error(rateCheck.error);
       }
     }
 
+    const providers = await this.resolveTextProviders({ userToken, userId, planType, label: 'Strategy Builder Routing' });
+    return this.runWithProviders(providers, {
+      maxAttempts: 1, // keep strategy builder conservative
+      quotaWaitSeconds: () => 3,
+      logPrefix: '[Strategy Builder] ',
+      usageLabel: 'AI Key Usage - Strategy',
+      userId,
+      task: (provider) => provider.provider.generateText({
+        prompt: sanitizedPrompt,
+        style,
+        requestedCount: null,
+        credentials: provider.credentials,
+      }),
+    });
+  }
+
+  /**
+   * Registered providers with whether the platform has them configured and
+   * whether the user's plan may use them.
+   */
+  async getProviderStatus(userId = null, planType = null) {
+    const resolvedPlanType = await resolvePlanType(userId, planType);
+    const routed = new Set(resolveProviders({ capability: 'text', planType: resolvedPlanType }).map((p) => p.name));
+
+    return {
+      planType: resolvedPlanType,
+      providers: listProviders().map((provider) => ({
+        name: provider.name,
+        display_name: provider.label || provider.name,
+        configured: Boolean(provider.getCredentials({ preference: 'platform', userKeys: [] })),
+        plan_allowed: isProviderAllowedForPlan(provider, resolvedPlanType),
+        available: routed.has(provider.name),
+        byok: Boolean(provider.byokKey),
+        image: typeof provider.captionImage === 'function',
+      })),
+    };
+  }
+
+  /**
+   * Text providers for this user in routing order: BYOK keys when the user
+   * prefers them, otherwise platform keys, filtered by plan.
+   */
+  async resolveTextProviders({ userToken = null, userId = null, planType = null, label = 'AI Routing' } = {}) {
     let preference = 'platform';
     let userKeys = [];
     if (userToken) {
@@ -373,76 +243,38 @@ class AIService {
     }
 
     const resolvedPlanType = await resolvePlanType(userId, planType);
-    const providerPriority = getProviderPriority({ preference, planType: resolvedPlanType });
-    const providerCandidates = {};
-    const keyType = preference === 'byok' ? 'BYOK' : 'platform';
-
-    
-
-    const perplexityKey =
-      preference === 'byok'
-        ? userKeys.find((k) => k.provider === 'perplexity')?.apiKey
-        : this.perplexityApiKey;
-    if (perplexityKey) {
-      providerCandidates.perplexity = {
-        name: 'perplexity',
-        keyType,
-        method: (p, s, c) => this.generateWithPerplexity(p, s, c, perplexityKey),
-      };
-    }
-
-    const googleKey =
-      preference === 'byok'
-        ? userKeys.find((k) => k.provider === 'gemini')?.apiKey
-        : this.googleApiKey;
-    if (googleKey) {
-      providerCandidates.google = {
-        name: 'google',
-        keyType,
-        method: (p, s, c) => this.generateWithGoogle(p, s, c, googleKey),
-      };
-    }
-
-    const openaiKey =
-      preference === 'byok'
-        ? userKeys.find((k) => k.provider === 'openai')?.apiKey
-        : process.env.OPENAI_API_KEY;
-    if (openaiKey) {
-      providerCandidates.openai = {
-        name: 'openai',
-        keyType,
-        method: (p, s, c) => this.generateWithOpenAI(p, s, c, openaiKey),
-      };
-    }
-
-    const providers = providerPriority
-      .map((providerName) => providerCandidates[providerName])
-      .filter(Boolean);
+    const providers = resolveProviders({ capability: 'text', preference, userKeys, planType: resolvedPlanType });
 
     if (providers.length === 0) {
       throw new Error('No AI providers configured');
     }
 
     console.log(
-      `[Strategy Builder Routing] plan=${resolvedPlanType} preference=${preference} order=${providers
+      `[${label}] plan=${resolvedPlanType} preference=${preference} order=${providers
         .map((p) => p.name)
         .join(' > ')}`
     );
+    return providers;
+  }
 
+  /**
+   * Try each provider in order until one returns content. Quota errors are
+   * retried on the same provider; auth errors move on immediately.
+   */
+  async runWithProviders(providers, { task, maxAttempts, quotaWaitSeconds, logPrefix = '', usageLabel = 'AI Key Usage', userId = null }) {
     let lastError = null;
     const authFailures = [];
 
     for (const provider of providers) {
       let attempts = 0;
-      const maxProviderAttempts = Math.max(1, 1); // keep strategy builder conservative
-      while (attempts < maxProviderAttempts) {
+      while (attempts < maxAttempts) {
         try {
           if (userId) {
-            console.log(`[AI Key Usage - Strategy] userId=${userId} provider=${provider.name} keyType=${provider.keyType}`);
+            console.log(`[${usageLabel}] userId=${userId} provider=${provider.name} keyType=${provider.keyType}`);
           }
-          console.log(`[Strategy Builder] Attempting generation with ${provider.name} (attempt ${attempts + 1}/${maxProviderAttempts})...`);
-          const result = await provider.method(sanitizedPrompt, style, null);
-          console.log(`✅ [Strategy Builder] Content generated successfully with ${provider.name}`);
+          console.log(`${logPrefix}Attempting content generation with ${provider.name} (attempt ${attempts + 1}/${maxAttempts})...`);
+          const result = await task(provider);
+          console.log(`✅ ${logPrefix}Content generated successfully with ${provider.name}`);
 
           const cleanedContent = this.cleanAIOutput(result);
 
@@ -454,7 +286,7 @@ class AIService {
           };
         } catch (error) {
           attempts++;
-          console.error(`❌ [Strategy Builder] ${provider.name} generation failed (attempt ${attempts}):`, error.message);
+          console.error(`❌ ${logPrefix}${provider.name} generation failed (attempt ${attempts}):`, error.message);
           lastError = error;
 
           if (/unauthoriz|token expired|invalid key/i.test(error.message || '')) {
@@ -466,9 +298,9 @@ class AIService {
             const waitSec =
               typeof error.retryAfter === 'number' && error.retryAfter > 0
                 ? error.retryAfter
-                : 3;
-            if (attempts < maxProviderAttempts) {
-              console.log(`[Strategy Builder] ${provider.name} suggests retry after ${waitSec}s — waiting...`);
+                : quotaWaitSeconds(attempts);
+            if (attempts < maxAttempts) {
+              console.log(`${logPrefix}${provider.name} suggests retry after ${waitSec}s — waiting...`);
               await new Promise(r => setTimeout(r, Math.ceil(waitSec * 1000)));
               continue;
             }
@@ -486,260 +318,18 @@ class AIService {
     throw new Error(`All AI providers failed. Last error: ${lastError?.message || 'Unknown error'}`);
   }
 
-  async generateWithPerplexity(prompt, style, requestedCount = null, apiKey = null) {
-    const keyToUse = apiKey || this.perplexityApiKey;
-    if (!keyToUse) {
-      throw new Error('Perplexity API key not configured');
-    }
-
-    const stylePrompts = {
-      professional: 'Write in a professional, business-appropriate tone.',
-      casual: 'Write in a casual, conversational tone.',
-      witty: 'Write with humor and wit, be clever and engaging.',
-      humorous: 'Write with humor and wit, be clever and engaging.',
-      inspirational: 'Write in an inspirational, motivational tone.',
-      informative: 'Write in an informative, educational tone.'
-    };
-
-    let systemPrompt;
-    
-    if (requestedCount) {
-      systemPrompt = `You are a Twitter content creator. ${stylePrompts[style] || stylePrompts.casual}
-
-Generate EXACTLY ${requestedCount} tweets separated by "---"
-Keep each tweet under 280 characters
-Include 1-3 relevant hashtags at the end of each tweet
-Use plain text (no HTML entities like &#x27;)
-Write every tweet completely — do not cut off mid-sentence.
-
-User request: ${prompt}`;
-    } else {
-      systemPrompt = `You are a Twitter content creator. ${stylePrompts[style] || stylePrompts.casual}
-
-Generate engaging tweet content based on the request.
-- If the content naturally fits in a single tweet (under 260 characters), write ONE complete tweet
-- If the content requires more depth or multiple points, create a thread with 3-5 tweets separated by "---"
-- Keep each tweet under 280 characters
-- Include 1-3 relevant hashtags
-- Use plain text only
-- Write every piece of content completely — do not cut off mid-sentence
-
-User request: ${prompt}`;
-    }
-
-    try {
-      const response = await axios.post(
-        'https://api.perplexity.ai/chat/completions',
-        {
-          model: 'sonar',
-          messages: [
-            { role: 'system', content: 'You are a creative Twitter content writer. Always complete every sentence fully.' },
-            { role: 'user', content: systemPrompt }
-          ],
-          max_tokens: CONTENT_MAX_TOKENS,
-          temperature: CONTENT_TEMPERATURE,
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${keyToUse}`,
-            'Content-Type': 'application/json'
-          },
-          timeout: 30000
-        }
-      );
-
-      const content = response.data.choices[0]?.message?.content?.trim();
-      if (!content) {
-        throw new Error('No content generated by Perplexity');
-      }
-
-      return content;
-    } catch (error) {
-      if (error.response?.status === 400) {
-        const errorData = error.response.data;
-        throw new Error(`Perplexity API Error: ${errorData.error?.message || errorData.message || 'Bad Request'}`);
-      }
-      throw error;
-    }
-  }
-
-  async generateWithGoogle(prompt, style, requestedCount = null, apiKey = null) {
-    const keyToUse = apiKey || this.googleApiKey;
-    if (!keyToUse) {
-      throw new Error('Google AI API key not configured');
-    }
-
-    const stylePrompts = {
-      professional: 'professional and business-appropriate',
-      casual: 'casual and conversational',
-      witty: 'witty, humorous, and clever',
-      humorous: 'witty, humorous, and clever',
-      inspirational: 'inspirational and motivational',
-      informative: 'informative and educational'
-    };
-
-    let systemPrompt;
-    
-    if (requestedCount) {
-      systemPrompt = `You are a Twitter content creator. Be ${stylePrompts[style] || 'casual and conversational'}.
-
-Generate EXACTLY ${requestedCount} tweets separated by "---"
-Keep under 280 characters per tweet
-Include 1-3 relevant hashtags
-Use plain text only
-Write every tweet fully — never cut off mid-sentence.
-
-User request: ${prompt}`;
-    } else {
-      systemPrompt = `You are a Twitter content creator. Be ${stylePrompts[style] || 'casual and conversational'}.
-
-Generate engaging tweet content based on the request.
-- If the content naturally fits in a single tweet (under 260 characters), write ONE complete tweet
-- If the content requires more depth or multiple points, create a thread with 3-5 tweets separated by "---"
-- Keep under 280 characters per tweet
-- Include 1-3 relevant hashtags
-- Write every piece of content completely — no unfinished sentences
-
-User request: ${prompt}`;
-    }
-
-    try {
-      const response = await axios.post(
-        `https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_MODEL}:generateContent?key=${keyToUse}`,
-        {
-          contents: [{
-            parts: [{ text: systemPrompt }]
-          }],
-          generationConfig: {
-            temperature: CONTENT_TEMPERATURE,
-            topP: 0.95,
-            maxOutputTokens: systemPrompt.includes('thread') || systemPrompt.includes('---') ? THREAD_MAX_TOKENS : CONTENT_MAX_TOKENS,
-          },
-          safetySettings: [
-            {
-              category: 'HARM_CATEGORY_HARASSMENT',
-              threshold: 'BLOCK_MEDIUM_AND_ABOVE'
-            },
-            {
-              category: 'HARM_CATEGORY_HATE_SPEECH',
-              threshold: 'BLOCK_MEDIUM_AND_ABOVE'
-            }
-          ]
-        },
-        {
-          headers: { 'Content-Type': 'application/json' },
-          timeout: 30000
-        }
-      );
-
-      const content = response.data.candidates[0]?.content?.parts[0]?.text?.trim();
-      if (!content) {
-        throw new Error('No content generated by Google Gemini');
-      }
-
-      return content;
-    } catch (error) {
-      const gMsg = error.response?.data?.error?.message || error.message || 'Google API error';
-      const normalized = new Error(`Google AI Error: ${gMsg}`);
-      normalized.status = error.response?.status;
-
-      if (/quota exceeded|exceeded your current quota|quota/i.test(gMsg)) {
-        normalized.isQuota = true;
-      }
-
-      const retryMatch =
-        gMsg.match(/Please retry in\s*([0-9]+(?:\.[0-9]+)?)s/i) ||
-        gMsg.match(/retry after\s*([0-9]+)s/i);
-      if (retryMatch) {
-        normalized.retryAfter = parseFloat(retryMatch[1]);
-      }
-
-      const retryHeader = error.response?.headers?.['retry-after'];
-      if (retryHeader) {
-        const parsed = parseFloat(retryHeader);
-        if (!isNaN(parsed)) normalized.retryAfter = parsed;
-      }
-
-      throw normalized;
-    }
-  }
-
-  async generateWithOpenAI(prompt, style, requestedCount = null, apiKey = null) {
-    const keyToUse = apiKey || process.env.OPENAI_API_KEY;
-    if (!keyToUse) {
-      throw new Error('OpenAI API key not configured');
-    }
-
-    let openaiClient = this.openai;
-    if (apiKey && apiKey !== process.env.OPENAI_API_KEY) {
-      const OpenAI = (await import('openai')).default;
-      openaiClient = new OpenAI({ apiKey });
-    }
-
-    const stylePrompts = {
-      professional: 'Write in a professional, business-appropriate tone.',
-      casual: 'Write in a casual, conversational tone.',
-      witty: 'Write with humor and wit, be clever and engaging.',
-      humorous: 'Write with humor and wit, be clever and engaging.',
-      inspirational: 'Write in an inspirational, motivational tone.',
-      informative: 'Write in an informative, educational tone.'
-    };
-
-    let systemPrompt;
-    
-    if (requestedCount) {
-      systemPrompt = `You are a Twitter content creator. ${stylePrompts[style] || stylePrompts.casual}
-
-Generate EXACTLY ${requestedCount} tweets separated by "---"
-Keep under 280 characters per tweet
-Include 1-3 relevant hashtags
-Use plain text only
-Write every tweet fully — never trail off or cut mid-sentence.
-
-User request: ${prompt}`;
-    } else {
-      systemPrompt = `You are a Twitter content creator. ${stylePrompts[style] || stylePrompts.casual}
-
-Generate engaging tweet content based on request.
-- If the content naturally fits in a single tweet (under 260 characters), write ONE complete tweet
-- If the content requires more depth or multiple points, create a thread with 3-5 tweets separated by "---"
-- Keep under 280 characters per tweet
-- Include 1-3 relevant hashtags
-- Write every piece of content completely — no unfinished sentences
-
-User request: ${prompt}`;
-    }
-
-    const response = await openaiClient.chat.completions.create({
-      model: 'gpt-4o-mini',
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: prompt }
-      ],
-      max_tokens: CONTENT_MAX_TOKENS,
-      temperature: CONTENT_TEMPERATURE,
-    });
-
-    const content = response.choices[0]?.message?.content?.trim();
-    if (!content) {
-      throw new Error('No content generated by OpenAI');
-    }
-
-    return content;
-  }
-
-  async generateImageContent(prompt, imageUrl = null) {
+  /**
+   * Vision / caption generation on platform keys. options: systemPrompt,
+   * maxTokens, temperature, and userId / planType for plan-gated providers.
+   */
+  async generateImageContent(prompt, imageUrl = null, options = {}) {
     const sanitizedPrompt = this.validatePrompt(prompt);
+    const { userId = null, planType = null, ...captionOptions } = options;
 
-    const providers = [];
-    
-    if (this.openai && process.env.OPENAI_API_KEY) {
-      providers.push({ name: 'openai', method: this.generateImageContentWithOpenAI.bind(this) });
-    }
-    
-    if (this.googleApiKey) {
-      providers.push({ name: 'google', method: this.generateImageContentWithGoogle.bind(this) });
-    }
+    const providers = resolveProviders({
+      capability: 'image',
+      planType: await resolvePlanType(userId, planType),
+    });
 
     if (providers.length === 0) {
       throw new Error('No AI providers configured for image content generation');
@@ -750,7 +340,12 @@ User request: ${prompt}`;
     for (const provider of providers) {
       try {
         console.log(`Attempting image content generation with ${provider.name}...`);
-        const result = await provider.method(sanitizedPrompt, imageUrl);
+        const result = await provider.provider.captionImage({
+          ...captionOptions,
+          prompt: sanitizedPrompt,
+          imageUrl,
+          credentials: provider.credentials,
+        });
         console.log(`✅ Image content generated successfully with ${provider.name}`);
         return {
           content: result,
@@ -767,104 +362,33 @@ User request: ${prompt}`;
     throw new Error(`All AI providers failed for image content generation. Last error: ${lastError?.message || 'Unknown error'}`);
   }
 
-  async generateImageContentWithOpenAI(prompt, imageUrl = null) {
-    if (!this.openai || !process.env.OPENAI_API_KEY) {
-      throw new Error('OpenAI API key not configured');
-    }
-
-    const systemPrompt = `You are a Twitter content creator. Generate engaging tweet content.
-
-Keep under 280 characters
-For threads: Only include hashtags in the FINAL tweet
-For single tweets: Include 2-3 relevant hashtags
-Be engaging and descriptive
-Write the full tweet — do not cut off.
-
-Generate tweet content for: ${prompt}`;
-
-    const messages = [{ role: 'system', content: systemPrompt }];
-
-    if (imageUrl) {
-      messages.push({
-        role: 'user',
-        content: [
-          { type: 'text', text: prompt },
-          { type: 'image_url', image_url: { url: imageUrl } }
-        ]
-      });
-    } else {
-      messages.push({ role: 'user', content: prompt });
-    }
-
-    const response = await this.openai.chat.completions.create({
-      model: imageUrl ? 'gpt-4o' : 'gpt-4o-mini',
-      messages: messages,
-      max_tokens: 400,
-      temperature: 0.7, // Image generation can stay at 0.7 — creative latitude is fine here
+  /**
+   * Alt text for an image (data URL or https URL), capped at X's 1000 characters.
+   */
+  async describeImage(imageUrl, { context = '', userId = null, planType = null } = {}) {
+    const systemPrompt = `You write alt text for images posted on social media, for people using screen readers.
+
+Describe what the image shows in one to three plain sentences
+Include any visible text word for word
+No hashtags, emojis, or phrases like "image of" or "picture of"
+Stay factual — do not guess names or intentions`;
+
+    const prompt = context
+      ? `Write alt text for this image. The post it goes with says: ${context}`
+      : 'Write alt text for this image.';
+
+    const result = await this.generateImageContent(prompt, imageUrl, {
+      systemPrompt,
+      maxTokens: 300,
+      temperature: 0.2,
+      userId,
+      planType,
     });
 
-    const content = response.choices[0]?.message?.content?.trim();
-    if (!content) {
-      throw new Error('No content generated by OpenAI for image');
-    }
-
-    return content;
-  }
-
-  async generateImageContentWithGoogle(prompt, imageUrl = null) {
-    if (!this.googleApiKey) {
-      throw new Error('Google AI API key not configured');
-    }
-
-    const systemPrompt = `You are a Twitter content creator. Generate engaging tweet content.
-
-Keep under 280 characters
-For threads: hashtags in FINAL tweet only
-For single tweets: include 1-2 hashtags
-Be engaging and visual
-Write the full tweet — do not cut off.
-
-Generate tweet content for: ${prompt}`;
-
-    const requestBody = {
-      contents: [{
-        parts: [{ text: systemPrompt }]
-      }],
-      generationConfig: {
-        temperature: 0.7, // Image generation can stay at 0.7
-        topK: 1,
-        topP: 1,
-        maxOutputTokens: 400,
-      }
+    return {
+      altText: result.content.replace(/^["']|["']$/g, '').trim().slice(0, MAX_ALT_TEXT_LENGTH),
+      provider: result.provider,
     };
-
-    if (imageUrl && imageUrl.startsWith('data:image/')) {
-      const base64Data = imageUrl.split(',')[1];
-      const mimeType = imageUrl.split(';')[0].split(':')[1];
-      
-      requestBody.contents[0].parts.push({
-        inline_data: {
-          mime_type: mimeType,
-          data: base64Data
-        }
-      });
-    }
-
-    const response = await axios.post(
-      `https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_MODEL}:generateContent?key=${this.googleApiKey}`,
-      requestBody,
-      {
-        headers: { 'Content-Type': 'application/json' },
-        timeout: 30000
-      }
-    );
-
-    const content = response.data.candidates[0]?.content?.parts[0]?.text?.trim();
-    if (!content) {
-      throw new Error('No content generated by Google Gemini for image');
-    }
-
-    return content;
   }
 
   async generateMultipleOptions(prompt, style = 'casual', count = 3, context = {}) {
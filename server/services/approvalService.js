@@ -0,0 +1,442 @@
+// Approval Service
+// Team approval chains and moving scheduled posts through them: sign-offs,
+// change requests, the review comment thread and content revisions.
+import pool from '../config/database.js';
+import { emitWebhookEvent } from './webhookService.js';
+import {
+  canApproveStep,
+  canSignOffStep,
+  describeApprovalProgress,
+  getCurrentStepIndex,
+  getSignerKey,
+  resolveApprovalSteps,
+  threadComments,
+} from '../utils/approvalChain.js';
+
+export const MAX_COMMENT_LENGTH = 2000;
+
+const toJsonArray = (value) => {
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'string') {
+    try {
+      const parsed = JSON.parse(value);
+      return Array.isArray(parsed) ? parsed : [];
+    } catch {
+      return [];
+    }
+  }
+  return [];
+};
+
+const toIso = (value) => (value ? new Date(value).toISOString() : null);
+
+// ─── Chains ──────────────────────────────────────────────────────────────
+
+/**
+ * The team's chain, or the default owner/admin step when none is saved.
+ * @returns {Promise<{ steps: object[], is_default: boolean, updated_at: string|null }>}
+ */
+export async function getApprovalChain(teamId) {
+  const { rows } = await pool.query(
+    'SELECT steps, updated_at FROM approval_chains WHERE team_id = $1 LIMIT 1',
+    [teamId]
+  );
+  return {
+    steps: resolveApprovalSteps(rows[0]?.steps),
+    is_default: rows.length === 0,
+    updated_at: toIso(rows[0]?.updated_at),
+  };
+}
+
+/** Save already-normalized steps for a team. */
+export async function saveApprovalChain(teamId, steps, updatedBy) {
+  await pool.query(
+    `INSERT INTO approval_chains (team_id, steps, updated_by, created_at, updated_at)
+     VALUES ($1, $2, $3, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+     ON CONFLICT (team_id) DO UPDATE
+       SET steps = EXCLUDED.steps,
+           updated_by = EXCLUDED.updated_by,
+           updated_at = CURRENT_TIMESTAMP`,
+    [teamId, JSON.stringify(steps), updatedBy]
+  );
+  return getApprovalChain(teamId);
+}
+
+/** Back to the default single owner/admin step. */
+export async function resetApprovalChain(teamId) {
+  await pool.query('DELETE FROM approval_chains WHERE team_id = $1', [teamId]);
+  return getApprovalChain(teamId);
+}
+
+const getChainsByTeam = async (teamIds) => {
+  const chains = new Map();
+  if (teamIds.length === 0) return chains;
+  const { rows } = await pool.query(
+    'SELECT team_id, steps FROM approval_chains WHERE team_id = ANY($1)',
+    [teamIds]
+  );
+  rows.forEach((row) => chains.set(String(row.team_id), resolveApprovalSteps(row.steps)));
+  return chains;
+};
+
+// ─── Reviewers ───────────────────────────────────────────────────────────
+
+/**
+ * Who is acting on a team post: their team role, plus the agency role when
+ * the request carries an agency workspace that covers the post's account.
+ * Returns null when they have no access to the post at all.
+ */
+export async function getReviewActor(row, userId, agencyWorkspace = null) {
+  if (!row?.team_id) return null;
+  const { rows } = await pool.query(
+    'SELECT role FROM team_members WHERE team_id = $1 AND user_id = $2 AND status = $3',
+    [row.team_id, userId, 'active']
+  );
+  const teamRole = rows[0]?.role || null;
+
+  const agencyCoversPost = Boolean(
+    agencyWorkspace?.role &&
+      (!agencyWorkspace.userId || String(agencyWorkspace.userId) === String(userId)) &&
+      row.account_id !== null &&
+      row.account_id !== undefined &&
+      agencyWorkspace.allowedAccountIds?.includes(String(row.account_id))
+  );
+  const agencyRole = agencyCoversPost ? String(agencyWorkspace.role).toLowerCase() : null;
+
+  if (!teamRole && !agencyRole) return null;
+  return { userId: String(userId), teamRole, agencyRole };
+}
+
+/** A team's scheduled post by id, or null. */
+export async function getReviewPost(scheduledTweetId) {
+  const { rows } = await pool.query(
+    `SELECT st.*, u.name AS requested_by_name, u.email AS requested_by_email, teams.name AS team_name
+     FROM scheduled_tweets st
+     JOIN users u ON u.id = st.user_id
+     JOIN teams ON teams.id = st.team_id
+     WHERE st.id = $1`,
+    [scheduledTweetId]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Posts waiting on a step the user can sign off, and the user's own posts
+ * that were sent back with requested changes.
+ */
+export async function listReviewQueue(userId, agencyWorkspace = null) {
+  const agencyAccountIds = agencyWorkspace?.role &&
+    (!agencyWorkspace.userId || String(agencyWorkspace.userId) === String(userId))
+    ? agencyWorkspace.allowedAccountIds || []
+    : [];
+
+  const { rows } = await pool.query(
+    `SELECT st.id, st.content, st.thread_tweets, st.scheduled_for, st.approval_requested_at, st.team_id,
+            st.account_id, st.user_id, st.approval_status, st.approval_step,
+            st.compliance_status, st.compliance_violations,
+            u.email AS requested_by_email, u.name AS requested_by_name, teams.name AS team_name,
+            tm.role AS team_role
+     FROM scheduled_tweets st
+     JOIN users u ON u.id = st.user_id
+     JOIN teams ON teams.id = st.team_id
+     LEFT JOIN team_members tm ON tm.team_id = st.team_id AND tm.user_id = $1 AND tm.status = 'active'
+     WHERE st.status = 'pending'
+       AND (
+         (st.approval_status = 'pending_approval'
+           AND (tm.user_id IS NOT NULL OR COALESCE(st.account_id::text, '') = ANY($2::text[])))
+         OR (st.approval_status = 'changes_requested' AND st.user_id = $1)
+       )
+     ORDER BY st.approval_requested_at DESC NULLS LAST`,
+    [userId, agencyAccountIds]
+  );
+
+  const chains = await getChainsByTeam([...new Set(rows.map((row) => String(row.team_id)))]);
+  const pending = [];
+  const changesRequested = [];
+  for (const { team_role: teamRole, ...row } of rows) {
+    const steps = chains.get(String(row.team_id)) || resolveApprovalSteps(null);
+    const agencyRole = agencyAccountIds.includes(String(row.account_id ?? ''))
+      ? String(agencyWorkspace.role).toLowerCase()
+      : null;
+    const actor = { userId: String(userId), teamRole, agencyRole };
+    const approval = describeApprovalProgress(row, steps, actor);
+    if (row.approval_status === 'changes_requested') {
+      changesRequested.push({ ...row, approval });
+    } else if (approval.can_sign_off) {
+      pending.push({ ...row, approval });
+    }
+  }
+  return { pending, changesRequested };
+}
+
+// ─── Review thread ───────────────────────────────────────────────────────
+
+export async function listComments(scheduledTweetId) {
+  const { rows } = await pool.query(
+    `SELECT ac.*, u.name AS user_name, u.email AS user_email
+     FROM approval_comments ac
+     LEFT JOIN users u ON u.id = ac.user_id
+     WHERE ac.scheduled_tweet_id = $1
+     ORDER BY ac.created_at ASC`,
+    [scheduledTweetId]
+  );
+  return threadComments(rows);
+}
+
+/**
+ * Add to a post's review thread. `parentId` must be a comment on the same post.
+ * `reviewLink` ({ id, reviewerName }) marks entries made from a client review link.
+ * @returns {Promise<object|null>} the comment, or null when the parent is not on this post
+ */
+export async function addComment(
+  row,
+  userId,
+  { body, parentId = null, kind = 'comment', stepIndex = null, reviewLink = null }
+) {
+  if (parentId) {
+    const { rows } = await pool.query(
+      'SELECT id FROM approval_comments WHERE id = $1 AND scheduled_tweet_id = $2',
+      [parentId, row.id]
+    );
+    if (rows.length === 0) return null;
+  }
+  const { rows } = await pool.query(
+    `INSERT INTO approval_comments
+       (scheduled_tweet_id, team_id, user_id, parent_id, kind, step_index, body, review_link_id, reviewer_name, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, CURRENT_TIMESTAMP)
+     RETURNING *`,
+    [
+      row.id,
+      row.team_id || null,
+      userId,
+      parentId,
+      kind,
+      stepIndex,
+      String(body || '').slice(0, MAX_COMMENT_LENGTH),
+      reviewLink?.id || null,
+      reviewLink?.reviewerName || null,
+    ]
+  );
+  return rows[0];
+}
+
+// ─── Revisions ───────────────────────────────────────────────────────────
+
+export async function listRevisions(scheduledTweetId) {
+  const { rows } = await pool.query(
+    `SELECT r.*, u.name AS edited_by_name, u.email AS edited_by_email
+     FROM scheduled_tweet_revisions r
+     LEFT JOIN users u ON u.id = r.edited_by
+     WHERE r.scheduled_tweet_id = $1
+     ORDER BY r.revision DESC`,
+    [scheduledTweetId]
+  );
+  return rows;
+}
+
+/**
+ * Record a content edit. The first edit also stores the submitted text as
+ * revision 1, so the history always starts from the original.
+ * @param {object} previous - the row before the edit (content, thread_tweets, user_id)
+ * @param {{ content: string, threadTweets?: Array }} next
+ */
+export async function recordRevision(previous, next, editedBy, note = null) {
+  const nextThread = next.threadTweets !== undefined ? next.threadTweets : toJsonArray(previous.thread_tweets);
+  if (
+    next.content === previous.content &&
+    JSON.stringify(nextThread) === JSON.stringify(toJsonArray(previous.thread_tweets))
+  ) {
+    return null;
+  }
+
+  await pool.query(
+    `INSERT INTO scheduled_tweet_revisions (scheduled_tweet_id, revision, content, thread_tweets, edited_by, created_at)
+     SELECT $1, 1, $2, $3, $4, COALESCE($5, CURRENT_TIMESTAMP)
+     WHERE NOT EXISTS (SELECT 1 FROM scheduled_tweet_revisions WHERE scheduled_tweet_id = $1)`,
+    [
+      previous.id,
+      previous.content || '',
+      JSON.stringify(toJsonArray(previous.thread_tweets)),
+      previous.user_id || null,
+      previous.approval_requested_at || previous.created_at || null,
+    ]
+  );
+  const { rows } = await pool.query(
+    `INSERT INTO scheduled_tweet_revisions (scheduled_tweet_id, revision, content, thread_tweets, edited_by, note, created_at)
+     SELECT $1, COALESCE(MAX(revision), 0) + 1, $2, $3, $4, $5, CURRENT_TIMESTAMP
+     FROM scheduled_tweet_revisions
+     WHERE scheduled_tweet_id = $1
+     RETURNING *`,
+    [previous.id, next.content, JSON.stringify(nextThread), editedBy, note ? String(note).slice(0, MAX_COMMENT_LENGTH) : null]
+  );
+  return rows[0];
+}
+
+// ─── Decisions ───────────────────────────────────────────────────────────
+
+const emitStepRequested = (row, step) => {
+  emitWebhookEvent('approval.requested', {
+    userId: row.user_id,
+    teamId: row.team_id,
+    data: {
+      scheduled_tweet_id: row.id,
+      requested_by: row.user_id,
+      account_id: row.account_id || null,
+      scheduled_for: toIso(row.scheduled_for),
+      content: row.content || '',
+      step: step?.label || null,
+    },
+  }).catch(() => {});
+};
+
+/**
+ * Sign off the step the post is waiting on. The last step approves it for
+ * publishing; earlier ones move it to the next step. Each signer is recorded
+ * so one person (or the author) can't sign off several steps of a round.
+ * @returns {Promise<{ error?: string, status?: number, row?: object, completed?: boolean }>}
+ */
+export async function signOffStep(row, steps, actor, comment = '') {
+  if (row.approval_status !== 'pending_approval') {
+    return { status: 409, error: 'This post is not waiting for approval' };
+  }
+  const index = getCurrentStepIndex(row, steps);
+  if (!canSignOffStep(steps[index], actor)) {
+    return { status: 403, error: `Waiting on "${steps[index].label}", which you cannot sign off` };
+  }
+  if (!canApproveStep(steps[index], actor, row)) {
+    return {
+      status: 403,
+      error: String(actor.userId) === String(row.user_id) && !actor.viaReviewLink
+        ? 'You cannot sign off your own post'
+        : 'You already signed off an earlier step of this post',
+    };
+  }
+
+  const signer = getSignerKey(actor);
+  const completed = index === steps.length - 1;
+  const { rows } = completed
+    ? await pool.query(
+        `UPDATE scheduled_tweets
+         SET approval_status = 'approved',
+             approval_step = $3,
+             approval_signers = array_append(approval_signers, $5),
+             approved_by = $1,
+             retry_count = 0,
+             last_retry_at = NULL,
+             processing_started_at = NULL,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2 AND approval_status = 'pending_approval' AND approval_step = $4
+           AND NOT ($5 = ANY(approval_signers))
+         RETURNING *`,
+        [actor.userId, row.id, index, row.approval_step ?? 0, signer]
+      )
+    : await pool.query(
+        `UPDATE scheduled_tweets
+         SET approval_step = $2,
+             approval_signers = array_append(approval_signers, $4),
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND approval_status = 'pending_approval' AND approval_step = $3
+           AND NOT ($4 = ANY(approval_signers))
+         RETURNING *`,
+        [row.id, index + 1, row.approval_step ?? 0, signer]
+      );
+  if (rows.length === 0) {
+    return { status: 409, error: 'Someone else acted on this post first. Refresh and try again.' };
+  }
+
+  await addComment(row, actor.userId, { body: comment, kind: 'approved', stepIndex: index, reviewLink: actor.reviewLink });
+  if (!completed) emitStepRequested(rows[0], steps[index + 1]);
+  return { row: rows[0], completed };
+}
+
+/** Send the post back to its author with notes; it restarts the chain when resubmitted. */
+export async function requestChanges(row, steps, actor, notes) {
+  if (row.approval_status !== 'pending_approval') {
+    return { status: 409, error: 'This post is not waiting for approval' };
+  }
+  const index = getCurrentStepIndex(row, steps);
+  if (!canSignOffStep(steps[index], actor)) {
+    return { status: 403, error: `Waiting on "${steps[index].label}", which you cannot review` };
+  }
+
+  const { rows } = await pool.query(
+    `UPDATE scheduled_tweets
+     SET approval_status = 'changes_requested',
+         approval_step = 0,
+         approval_signers = '{}',
+         processing_started_at = NULL,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND approval_status = 'pending_approval'
+     RETURNING *`,
+    [row.id]
+  );
+  if (rows.length === 0) {
+    return { status: 409, error: 'Someone else acted on this post first. Refresh and try again.' };
+  }
+  await addComment(row, actor.userId, { body: notes, kind: 'changes_requested', stepIndex: index, reviewLink: actor.reviewLink });
+  return { row: rows[0] };
+}
+
+/** Turn the post down for good. Its content, comments and revisions are kept. */
+export async function rejectPost(row, steps, actor, reason) {
+  if (row.approval_status !== 'pending_approval') {
+    return { status: 409, error: 'This post is not waiting for approval' };
+  }
+  const index = getCurrentStepIndex(row, steps);
+  if (!canSignOffStep(steps[index], actor)) {
+    return { status: 403, error: `Waiting on "${steps[index].label}", which you cannot review` };
+  }
+
+  const { rows } = await pool.query(
+    `UPDATE scheduled_tweets
+     SET approval_status = 'rejected',
+         status = 'cancelled',
+         approved_by = $1,
+         rejection_reason = $2,
+         processing_started_at = NULL,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $3 AND approval_status = 'pending_approval'
+     RETURNING *`,
+    [actor.userId, reason || 'No reason provided', row.id]
+  );
+  if (rows.length === 0) {
+    return { status: 409, error: 'Someone else acted on this post first. Refresh and try again.' };
+  }
+  await addComment(row, actor.userId, { body: reason || '', kind: 'rejected', stepIndex: index, reviewLink: actor.reviewLink });
+  return { row: rows[0] };
+}
+
+/**
+ * Put a post that had changes requested back at the start of the chain,
+ * with edited content when given.
+ * @param {{ content?: string, threadTweets?: Array<{content: string}>, note?: string }} updates
+ */
+export async function resubmitPost(row, steps, userId, { content, threadTweets, note = '' } = {}) {
+  if (row.approval_status !== 'changes_requested') {
+    return { status: 409, error: 'Only posts sent back for changes can be resubmitted' };
+  }
+
+  const nextContent = content !== undefined ? content : row.content;
+  const nextThread = threadTweets !== undefined ? threadTweets : toJsonArray(row.thread_tweets);
+  const { rows } = await pool.query(
+    `UPDATE scheduled_tweets
+     SET approval_status = 'pending_approval',
+         approval_step = 0,
+         approval_signers = '{}',
+         approval_requested_at = CURRENT_TIMESTAMP,
+         content = $2,
+         thread_tweets = $3,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND approval_status = 'changes_requested'
+     RETURNING *`,
+    [row.id, nextContent, JSON.stringify(nextThread)]
+  );
+  if (rows.length === 0) {
+    return { status: 409, error: 'This post was already resubmitted' };
+  }
+
+  await recordRevision(row, { content: nextContent, threadTweets: nextThread }, userId, note || null);
+  await addComment(row, userId, { body: note, kind: 'resubmitted', stepIndex: 0 });
+  emitStepRequested(rows[0], steps[0]);
+  return { row: rows[0] };
+}
@@ -0,0 +1,166 @@
+// Audit Service
+// Append-only record of account-affecting actions (scheduling, edits,
+// deletes, approvals, disconnects, autopilot changes), queryable by team,
+// account, actor and action for the Activity page.
+import pool from '../config/database.js';
+
+export const AUDIT_ACTIONS = [
+  'schedule.created',
+  'schedule.bulk_created',
+  'schedule.imported',
+  'schedule.updated',
+  'schedule.deleted',
+  'schedule.retried',
+  'schedule.series_updated',
+  'schedule.series_stopped',
+  'tweet.posted',
+  'tweet.deleted',
+  'account.disconnected',
+  'account.permissions_updated',
+  'autopilot.config_updated',
+  'autopilot.post_undone',
+  'autopilot.queue_approved',
+  'autopilot.queue_rejected',
+  'autopilot.queue_updated',
+  'autopilot.queue_deleted',
+  'approval.signed_off',
+  'approval.approved',
+  'approval.changes_requested',
+  'approval.rejected',
+  'approval.resubmitted',
+  'approval.chain_updated',
+];
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+const PREVIEW_LENGTH = 120;
+
+const readHeader = (req, name) => {
+  const value = String(req?.headers?.[name] || '').trim();
+  return value || null;
+};
+
+/**
+ * Record an action taken by the request's user. Never throws: a failed audit
+ * write is logged and must not fail the action itself.
+ * `teamId` / `accountId` are the team and account the caller has already
+ * verified the action against (null for personal ones); request headers are
+ * never trusted for them.
+ * @returns {Promise<boolean>}
+ */
+export async function recordAuditEvent(req, { action, teamId = null, accountId = null, targetType = null, targetId = null, metadata = {} }) {
+  try {
+    await pool.query(
+      `INSERT INTO audit_events
+         (team_id, account_id, actor_id, action, target_type, target_id, metadata,
+          ip_address, user_agent, agency_workspace_id, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, CURRENT_TIMESTAMP)`,
+      [
+        teamId || null,
+        accountId === null || accountId === undefined ? null : String(accountId),
+        req?.user?.id || null,
+        action,
+        targetType,
+        targetId === null || targetId === undefined ? null : String(targetId),
+        JSON.stringify(metadata || {}),
+        req?.ip ? String(req.ip).slice(0, 64) : null,
+        readHeader(req, 'user-agent')?.slice(0, 500) || null,
+        req?.agencyWorkspace?.workspaceId || null,
+      ]
+    );
+    return true;
+  } catch (error) {
+    console.error(`[Audit] Failed to record ${action}:`, error.message);
+    return false;
+  }
+}
+
+export const previewContent = (content) => String(content || '').slice(0, PREVIEW_LENGTH);
+
+/** Record an action on a scheduled post, scoped to the post's team and account. */
+export const recordScheduledTweetEvent = (req, action, row, metadata = {}) =>
+  recordAuditEvent(req, {
+    action,
+    teamId: row?.team_id || null,
+    accountId: row?.account_id ?? null,
+    targetType: 'scheduled_tweet',
+    targetId: row?.id,
+    metadata: { content: previewContent(row?.content), ...metadata },
+  });
+
+// A team's events, or the personal (team-less) events of one user.
+const buildScopeClause = ({ teamId, userId }, params) => {
+  if (teamId) {
+    params.push(teamId);
+    return `ae.team_id = $${params.length}`;
+  }
+  params.push(userId);
+  return `ae.team_id IS NULL AND ae.actor_id = $${params.length}`;
+};
+
+/**
+ * Newest first, paged with `before` (the created_at of the last event seen).
+ * @param {{ teamId?: string|null, userId: string }} scope
+ * @param {{ accountId?: string, actorId?: string, action?: string, before?: string, limit?: number }} filters
+ */
+export async function listAuditEvents(scope, filters = {}) {
+  const params = [];
+  const conditions = [buildScopeClause(scope, params)];
+  if (filters.accountId) {
+    params.push(String(filters.accountId));
+    conditions.push(`ae.account_id = $${params.length}`);
+  }
+  if (filters.actorId) {
+    params.push(filters.actorId);
+    conditions.push(`ae.actor_id = $${params.length}`);
+  }
+  if (filters.action) {
+    // 'schedule' matches every schedule.* action
+    params.push(filters.action.includes('.') ? filters.action : `${filters.action}.%`);
+    conditions.push(`ae.action ${filters.action.includes('.') ? '=' : 'LIKE'} $${params.length}`);
+  }
+  if (filters.before) {
+    params.push(filters.before);
+    conditions.push(`ae.created_at < $${params.length}`);
+  }
+  const limit = Math.min(Math.max(Number.parseInt(filters.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  params.push(limit + 1);
+
+  const { rows } = await pool.query(
+    `SELECT ae.*, u.name AS actor_name, u.email AS actor_email
+     FROM audit_events ae
+     LEFT JOIN users u ON u.id = ae.actor_id
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY ae.created_at DESC
+     LIMIT $${params.length}`,
+    params
+  );
+
+  const events = rows.slice(0, limit);
+  return {
+    events,
+    next_before: rows.length > limit ? events[events.length - 1].created_at : null,
+  };
+}
+
+/** Actors and accounts that appear in the scope's events, for the filters. */
+export async function listAuditFacets(scope) {
+  const actorParams = [];
+  const accountParams = [];
+  const [{ rows: actors }, { rows: accounts }] = await Promise.all([
+    pool.query(
+      `SELECT DISTINCT ae.actor_id AS id, u.name, u.email
+       FROM audit_events ae
+       LEFT JOIN users u ON u.id = ae.actor_id
+       WHERE ${buildScopeClause(scope, actorParams)} AND ae.actor_id IS NOT NULL`,
+      actorParams
+    ),
+    pool.query(
+      `SELECT DISTINCT ae.account_id AS id
+       FROM audit_events ae
+       WHERE ${buildScopeClause(scope, accountParams)} AND ae.account_id IS NOT NULL`,
+      accountParams
+    ),
+  ]);
+  return { actors, accounts: accounts.map((row) => row.id), actions: AUDIT_ACTIONS };
+}
@@ -1,16 +1,85 @@
 // Auto-Pilot Service for Strategy Builder (Phase 4)
 import pool from '../config/database.js';
 import { aiService } from './aiService.js';
-import { creditService } from './creditService.js';
 import { notifyAutopilotPaused, checkAndNotifyLowCredits } from './emailNotificationService.js';
+import { getNextFreeSlot } from './postingSlotService.js';
+import { emitWebhookEvent } from './webhookService.js';
+import { getVoicePromptForUser } from './brandVoiceService.js';
+import { checkPostCompliance } from './complianceService.js';
+import { BUDGET_PAUSE_REASON, deductBudgetedCredits, refundBudgetedCredits } from './creditBudgetService.js';
+import { CREDIT_BUDGET_EXCEEDED_CODE, CREDIT_BUDGET_UNAVAILABLE_CODE } from '../utils/creditBudgets.js';
+import { fetchLatestPersonalTwitterAuth } from '../utils/personalTwitterAuth.js';
 import moment from 'moment-timezone';
 
 // Credit cost per autopilot-generated post (matches compose cost)
 const AUTOPILOT_CREDIT_COST = 1.2;
 
+// Errors thrown before any credits were charged (no refund due), mapped to
+// the paused_reason autopilot stops with when fillQueue hits them.
+const PAUSE_REASONS = {
+  PROMPTS_EXHAUSTED: 'prompts_exhausted',
+  INSUFFICIENT_CREDITS: 'insufficient_credits',
+  [CREDIT_BUDGET_EXCEEDED_CODE]: BUDGET_PAUSE_REASON,
+};
+// Budgets that can't be checked right now are retried on the next run.
+const UNCHARGED_ERROR_CODES = [...Object.keys(PAUSE_REASONS), CREDIT_BUDGET_UNAVAILABLE_CODE];
+
 // Max posts to generate per worker run (spreads AI load across hourly cycles)
 const AUTOPILOT_BATCH_SIZE = 6;
 
+// Queue slots closer than this are skipped so a post isn't due the moment it's generated.
+const AUTOPILOT_MIN_LEAD_MINUTES = 10;
+
+function emitAutopilotPausedWebhook(strategy, strategyId, reason) {
+  emitWebhookEvent('autopilot.paused', {
+    userId: strategy.user_id,
+    teamId: strategy.team_id || null,
+    data: { strategy_id: strategyId, strategy_niche: strategy.niche || null, reason },
+  }).catch(() => {});
+}
+
+/**
+ * The account a strategy posts to, as a posting-slot scope: the configured
+ * team account for team strategies, otherwise the owner's connected personal
+ * account. Null when there's no account to look up a grid for.
+ */
+async function resolveStrategySlotScope(strategy, config) {
+  if (strategy.team_id) {
+    return config.account_id
+      ? { mode: 'team', userId: strategy.user_id, teamId: strategy.team_id, accountId: config.account_id, authorId: null }
+      : null;
+  }
+  const auth = await fetchLatestPersonalTwitterAuth(pool, strategy.user_id, { columns: 'twitter_user_id' });
+  if (!auth?.twitter_user_id) return null;
+  return { mode: 'personal', userId: strategy.user_id, teamId: null, accountId: null, authorId: auth.twitter_user_id };
+}
+
+/**
+ * When hook A/B testing is on, turn an autopilot post that was just scheduled
+ * into variant A of a test and schedule the extra hook variants. Best-effort:
+ * the original post still goes out if variant generation fails.
+ */
+async function startAutopilotAbTest({ abTestHooks, abTestVariants, userId, strategyId, content, isThread, scheduledTweetId, scheduledFor, timezone }) {
+  if (!abTestHooks || isThread) return null;
+  try {
+    const { abTestService } = await import('./abTestService.js');
+    return await abTestService.createTest({
+      scope: { mode: 'personal', userId, teamId: null, accountId: null, authorId: null },
+      content,
+      variantCount: abTestVariants || 2,
+      distribution: 'slots',
+      scheduledFor,
+      timezone,
+      source: 'autopilot',
+      strategyId,
+      existingScheduledTweetId: scheduledTweetId,
+    });
+  } catch (error) {
+    console.warn(`⚠️ Autopilot: A/B variants skipped for scheduled tweet ${scheduledTweetId}:`, error.message);
+    return null;
+  }
+}
+
 /**
  * Get or create autopilot configuration for a strategy
  * @param {string} strategyId - Strategy ID
@@ -85,11 +154,18 @@ export async function updateAutopilotConfig(strategyId, updates) {
  */
 export async function generateContentFromPrompt(prompt, strategy) {
   try {
+    // Hooks that won A/B tests (recorded by feedbackLoopService)
+    const winningHooks = strategy.metadata?.analysis_cache?.winning_hooks || [];
+    const hooksSection = winningHooks.length > 0
+      ? `\nOpening hooks that performed best for this audience (match their style, don't copy them):\n${winningHooks.slice(0, 3).map((h) => `- ${h}`).join('\n')}\n`
+      : '';
+    const voicePrompt = await getVoicePromptForUser(strategy?.user_id);
+    const voiceSection = voicePrompt ? `\n${voicePrompt}\n` : '';
     const fullPrompt = `You are a professional content creator specializing in ${strategy.niche}. 
 Target audience: ${strategy.target_audience}
 Tone: ${strategy.tone_style}
 Goals: ${strategy.content_goals?.join(', ')}
-
+${hooksSection}${voiceSection}
 Task: ${prompt.prompt_text}
 
 Generate engaging tweet content that aligns with the strategy. Keep it concise, valuable, and authentic. Output only the tweet content, no explanations.`;
@@ -124,6 +200,22 @@ export async function getNextOptimalPostingTime(strategyId, config) {
       return baseMoment.clone().startOf('day').hour(hour).minute(0).second(0).millisecond(0).toDate();
     }
 
+    // Account queue times take precedence so autopilot shares one calendar
+    // with manual and bulk scheduling.
+    const { rows: [owner] } = await pool.query(
+      'SELECT user_id, team_id FROM user_strategies WHERE id = $1::uuid',
+      [strategyId]
+    );
+    const slotScope = owner?.user_id ? await resolveStrategySlotScope(owner, config) : null;
+    if (slotScope) {
+      const queueSlot = await getNextFreeSlot(slotScope, {
+        after: new Date(Date.now() + AUTOPILOT_MIN_LEAD_MINUTES * 60 * 1000),
+      });
+      if (queueSlot) {
+        return queueSlot;
+      }
+    }
+
     if (config.use_optimal_times) {
       // Get recommended posting times
       const result = await pool.query(
@@ -352,13 +444,19 @@ export async function generateAndQueueContent(strategyId, options = {}) {
       throw new Error('No prompt available');
     }
 
-    // Check and deduct credits AFTER prompt selection (only charge when we have work to do)
-    const creditCheck = await creditService.checkAndDeductCredits(
-      strategy.user_id, 'autopilot_generation', AUTOPILOT_CREDIT_COST
-    );
+    // Check and deduct credits AFTER prompt selection (only charge when we have work to do).
+    // Monthly budgets of the strategy and its owner are checked with the deduction.
+    const creditCheck = await deductBudgetedCredits({
+      userId: strategy.user_id,
+      teamId: strategy.team_id,
+      strategyId,
+      operation: 'autopilot_generation',
+      amount: AUTOPILOT_CREDIT_COST,
+    });
     if (!creditCheck.success) {
-      const err = new Error('INSUFFICIENT_CREDITS');
-      err.code = 'INSUFFICIENT_CREDITS';
+      const err = new Error(creditCheck.code ? creditCheck.error : 'INSUFFICIENT_CREDITS');
+      err.code = creditCheck.code || 'INSUFFICIENT_CREDITS';
+      err.budget = creditCheck.budget;
       err.available = creditCheck.available;
       err.required = AUTOPILOT_CREDIT_COST;
       throw err;
@@ -375,8 +473,15 @@ export async function generateAndQueueContent(strategyId, options = {}) {
       ? new Date(options.scheduledFor)
       : await getNextOptimalPostingTime(strategyId, config);
     
-    // Determine initial status
-    const initialStatus = config.require_approval ? 'pending' : 'approved';
+    // Determine initial status. Drafts that break the user's compliance rules
+    // are held for review instead of being auto-scheduled.
+    const teamId = strategy.team_id || null;
+    const accountId = teamId ? config.account_id || null : null;
+    const compliance = await checkPostCompliance(
+      { userId: strategy.user_id, teamId },
+      { threadParts: generatedContent.split(/---+/).map(p => p.trim()).filter(Boolean) }
+    );
+    const initialStatus = config.require_approval || !compliance.passed ? 'pending' : 'approved';
 
     // Insert into unified content_review_queue
     const configTz = config.timezone || 'UTC';
@@ -391,7 +496,9 @@ export async function generateAndQueueContent(strategyId, options = {}) {
         generatedContent,
         scheduledFor,
         configTz,
-        `Auto-generated by autopilot (${options.generationMode || 'auto'} mode)`,
+        compliance.passed
+          ? `Auto-generated by autopilot (${options.generationMode || 'auto'} mode)`
+          : `Held for review: ${compliance.violations.map(v => v.message).join('; ')}`.slice(0, 500),
         prompt.category,
         prompt.id,
         initialStatus
@@ -401,7 +508,7 @@ export async function generateAndQueueContent(strategyId, options = {}) {
     const queuedItem = queueResult.rows[0];
     
     // If approval not required, auto-schedule into scheduled_tweets immediately
-    if (!config.require_approval) {
+    if (initialStatus === 'approved') {
       // Ensure scheduled time is in the future
       const schedTime = new Date(scheduledFor) <= new Date()
         ? new Date(Date.now() + 60_000)
@@ -414,10 +521,10 @@ export async function generateAndQueueContent(strategyId, options = {}) {
       const threadTweets = isThread ? JSON.stringify(tParts.slice(1).map(p => ({ content: p }))) : null;
 
       const { rows: [tweet] } = await pool.query(
-        `INSERT INTO scheduled_tweets (user_id, content, thread_tweets, scheduled_for, timezone, status, approval_status, source, autopilot_strategy_id, created_at, updated_at)
-         VALUES ($1, $2, $3, $4, $5, 'pending', 'approved', 'autopilot', $6, NOW(), NOW())
+        `INSERT INTO scheduled_tweets (user_id, team_id, account_id, content, thread_tweets, scheduled_for, timezone, status, approval_status, source, autopilot_strategy_id, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, 'pending', 'approved', 'autopilot', $8, NOW(), NOW())
          RETURNING id`,
-        [strategy.user_id, mainContent, threadTweets, schedTime.toISOString(), configTz, strategyId]
+        [strategy.user_id, teamId, accountId, mainContent, threadTweets, schedTime.toISOString(), configTz, strategyId]
       );
 
       // Mark CRQ item as scheduled
@@ -429,6 +536,18 @@ export async function generateAndQueueContent(strategyId, options = {}) {
 
       queuedItem.status = 'scheduled';
       queuedItem.scheduled_tweet_id = tweet.id;
+
+      await startAutopilotAbTest({
+        abTestHooks: config.ab_test_hooks,
+        abTestVariants: config.ab_test_variants,
+        userId: strategy.user_id,
+        strategyId,
+        content: mainContent,
+        isThread,
+        scheduledTweetId: tweet.id,
+        scheduledFor: schedTime,
+        timezone: configTz,
+      });
     }
 
     // Update prompt usage
@@ -454,12 +573,18 @@ export async function generateAndQueueContent(strategyId, options = {}) {
     console.error('Error generating and queuing content:', error);
     
     // Refund credits if they were already deducted and the error is NOT
-    // a credit/prompt issue (those didn't generate anything)
-    if (error.code !== 'INSUFFICIENT_CREDITS' && error.code !== 'PROMPTS_EXHAUSTED') {
+    // a credit/prompt/budget issue (those didn't generate anything)
+    if (!UNCHARGED_ERROR_CODES.includes(error.code)) {
       try {
-        const strat = (await pool.query('SELECT user_id FROM user_strategies WHERE id = $1', [strategyId])).rows[0];
+        const strat = (await pool.query('SELECT user_id, team_id FROM user_strategies WHERE id = $1', [strategyId])).rows[0];
         if (strat) {
-          await creditService.refundCredits(strat.user_id, 'autopilot_generation_failed', AUTOPILOT_CREDIT_COST);
+          await refundBudgetedCredits({
+            userId: strat.user_id,
+            teamId: strat.team_id,
+            strategyId,
+            reason: 'autopilot_generation_failed',
+            amount: AUTOPILOT_CREDIT_COST,
+          });
           console.log(`💳 Refunded ${AUTOPILOT_CREDIT_COST} credits to user ${strat.user_id} after failed autopilot generation`);
         }
       } catch (refundErr) {
@@ -532,27 +657,20 @@ export async function fillQueue(strategyId) {
         // Delay between generations to avoid overwhelming the AI API
         await new Promise(resolve => setTimeout(resolve, 3000));
       } catch (error) {
-        // Stop generation loop on exhaustion / credit errors and persist reason
-        if (error.code === 'PROMPTS_EXHAUSTED') {
-          console.warn(`⚠️ Autopilot: All prompts exhausted for strategy ${strategyId} — pausing.`);
-          await pool.query(
-            `UPDATE autopilot_config SET paused_reason = 'prompts_exhausted', updated_at = NOW() WHERE strategy_id = $1`,
-            [strategyId]
-          );
-          // Email user about exhaustion
-          const { rows: [strat] } = await pool.query('SELECT user_id, niche FROM user_strategies WHERE id = $1', [strategyId]);
-          if (strat) notifyAutopilotPaused(strat.user_id, { reason: 'prompts_exhausted', strategyNiche: strat.niche }).catch(() => {});
-          break;
-        }
-        if (error.code === 'INSUFFICIENT_CREDITS') {
-          console.warn(`⚠️ Autopilot: Insufficient credits for strategy ${strategyId} — pausing.`);
+        // Stop generation loop on exhaustion / credit / budget errors and persist reason
+        const pausedReason = PAUSE_REASONS[error.code];
+        if (pausedReason) {
+          console.warn(`⚠️ Autopilot: ${pausedReason} for strategy ${strategyId} — pausing.`);
           await pool.query(
-            `UPDATE autopilot_config SET paused_reason = 'insufficient_credits', updated_at = NOW() WHERE strategy_id = $1`,
-            [strategyId]
+            `UPDATE autopilot_config SET paused_reason = $2, updated_at = NOW() WHERE strategy_id = $1`,
+            [strategyId, pausedReason]
           );
-          // Email user about credit shortage
-          const { rows: [strat2] } = await pool.query('SELECT user_id, niche FROM user_strategies WHERE id = $1', [strategyId]);
-          if (strat2) notifyAutopilotPaused(strat2.user_id, { reason: 'insufficient_credits', strategyNiche: strat2.niche }).catch(() => {});
+          // Email user about the pause
+          const { rows: [strat] } = await pool.query('SELECT user_id, team_id, niche FROM user_strategies WHERE id = $1', [strategyId]);
+          if (strat) {
+            notifyAutopilotPaused(strat.user_id, { reason: pausedReason, strategyNiche: strat.niche }).catch(() => {});
+            emitAutopilotPausedWebhook(strat, strategyId, pausedReason);
+          }
           break;
         }
         console.error(`Error generating content ${i + 1}/${needToGenerate}:`, error.message);
@@ -710,7 +828,8 @@ export async function processApprovedQueue() {
     // Find all approved autopilot items whose suggested_time is within the next 30 min
     // or already past (should post ASAP)
     const { rows: readyItems } = await pool.query(
-      `SELECT crq.*, us.user_id, ac.timezone as config_timezone
+      `SELECT crq.*, us.user_id, us.team_id, ac.account_id, ac.timezone as config_timezone,
+              ac.ab_test_hooks, ac.ab_test_variants
        FROM content_review_queue crq
        JOIN user_strategies us ON crq.strategy_id = us.id
        JOIN autopilot_config ac ON ac.strategy_id = crq.strategy_id
@@ -734,6 +853,17 @@ export async function processApprovedQueue() {
 
         // Detect threads: split on --- separator
         const tParts = (item.content || '').split(/---+/).map(p => p.trim()).filter(Boolean);
+
+        // Rules may have changed since approval: send rule-breaking items back for review
+        const compliance = await checkPostCompliance({ userId: item.user_id, teamId: item.team_id || null }, { threadParts: tParts });
+        if (!compliance.passed) {
+          await pool.query(
+            `UPDATE content_review_queue SET status = 'pending', reason = $2, updated_at = NOW() WHERE id = $1`,
+            [item.id, `Held for review: ${compliance.violations.map(v => v.message).join('; ')}`.slice(0, 500)]
+          );
+          continue;
+        }
+
         const isThread = tParts.length > 1;
         const mainContent = isThread ? tParts[0] : item.content;
         const threadTweets = isThread ? JSON.stringify(tParts.slice(1).map(p => ({ content: p }))) : null;
@@ -741,10 +871,19 @@ export async function processApprovedQueue() {
         // Insert into scheduled_tweets
         const itemTz = item.config_timezone || 'UTC';
         const { rows: [tweet] } = await pool.query(
-          `INSERT INTO scheduled_tweets (user_id, content, thread_tweets, scheduled_for, timezone, status, approval_status, source, autopilot_strategy_id, created_at, updated_at)
-           VALUES ($1, $2, $3, $4, $5, 'pending', 'approved', 'autopilot', $6, NOW(), NOW())
+          `INSERT INTO scheduled_tweets (user_id, team_id, account_id, content, thread_tweets, scheduled_for, timezone, status, approval_status, source, autopilot_strategy_id, created_at, updated_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, 'pending', 'approved', 'autopilot', $8, NOW(), NOW())
            RETURNING id`,
-          [item.user_id, mainContent, threadTweets, scheduledFor.toISOString(), itemTz, item.strategy_id]
+          [
+            item.user_id,
+            item.team_id || null,
+            item.team_id ? item.account_id || null : null,
+            mainContent,
+            threadTweets,
+            scheduledFor.toISOString(),
+            itemTz,
+            item.strategy_id,
+          ]
         );
 
         // Mark CRQ item as scheduled
@@ -754,6 +893,18 @@ export async function processApprovedQueue() {
           [tweet.id, item.id]
         );
 
+        await startAutopilotAbTest({
+          abTestHooks: item.ab_test_hooks,
+          abTestVariants: item.ab_test_variants,
+          userId: item.user_id,
+          strategyId: item.strategy_id,
+          content: mainContent,
+          isThread,
+          scheduledTweetId: tweet.id,
+          scheduledFor,
+          timezone: itemTz,
+        });
+
         // Log history
         await pool.query(
           `INSERT INTO autopilot_history
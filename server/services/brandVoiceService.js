@@ -0,0 +1,183 @@
+// Brand Voice Service
+// Per-account voice profiles learned from posted tweets, plus the user-owned
+// parts (banned words, pinned examples, notes) that every generator respects.
+import pool from '../config/database.js';
+import { fetchLatestPersonalTwitterAuth } from '../utils/personalTwitterAuth.js';
+import {
+  MAX_BANNED_WORDS,
+  MAX_VOICE_EXAMPLES,
+  MIN_TWEETS_FOR_VOICE,
+  analyseVoice,
+  buildVoicePrompt,
+  normalizeWordList,
+} from '../utils/brandVoice.js';
+
+const LEARN_TWEET_LIMIT = 200;
+const MAX_NOTES_LENGTH = 500;
+
+const buildProfileScopeClause = (scope, startIndex = 1) => {
+  if (scope.mode === 'team') {
+    return {
+      clause: `account_id = $${startIndex}`,
+      params: [String(scope.accountId)],
+    };
+  }
+  return {
+    clause: `account_id IS NULL AND user_id = $${startIndex} AND author_id = $${startIndex + 1}`,
+    params: [scope.userId, String(scope.authorId || '')],
+  };
+};
+
+const buildTweetScopeClause = (scope, startIndex = 1) => {
+  if (scope.mode === 'team') {
+    return {
+      clause: `account_id::text = $${startIndex}`,
+      params: [String(scope.accountId)],
+    };
+  }
+  return {
+    clause: `user_id = $${startIndex}
+         AND author_id::text = $${startIndex + 1}
+         AND (account_id IS NULL OR account_id::text = '0')`,
+    params: [scope.userId, String(scope.authorId || '')],
+  };
+};
+
+export async function getVoiceProfile(scope) {
+  if (!scope) return null;
+  const { clause, params } = buildProfileScopeClause(scope, 1);
+  const { rows } = await pool.query(
+    `SELECT * FROM brand_voice_profiles WHERE ${clause} LIMIT 1`,
+    params
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Voice for generators that only know the user (autopilot, weekly content,
+ * repurpose): the profile of their most recently connected personal account.
+ */
+export async function getVoiceProfileForUser(userId) {
+  const auth = await fetchLatestPersonalTwitterAuth(pool, userId, { columns: 'twitter_user_id' });
+  if (!auth?.twitter_user_id) return null;
+  return getVoiceProfile({
+    mode: 'personal',
+    userId,
+    teamId: null,
+    accountId: null,
+    authorId: String(auth.twitter_user_id),
+  });
+}
+
+/**
+ * Prompt block for the user's personal voice, or '' when there is none.
+ * Never throws — a missing voice must not block generation.
+ */
+export async function getVoicePromptForUser(userId, options = {}) {
+  if (!userId) return '';
+  try {
+    return buildVoicePrompt(await getVoiceProfileForUser(userId), options);
+  } catch (error) {
+    console.warn(`[BrandVoice] Failed to load voice for user ${userId}:`, error.message);
+    return '';
+  }
+}
+
+async function upsertProfile(scope, current, values) {
+  if (current?.id) {
+    const keys = Object.keys(values);
+    const { rows } = await pool.query(
+      `UPDATE brand_voice_profiles
+       SET ${keys.map((key, index) => `${key} = $${index + 1}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $${keys.length + 1}
+       RETURNING *`,
+      [...keys.map((key) => values[key]), current.id]
+    );
+    return rows[0];
+  }
+
+  const row = {
+    user_id: scope.userId,
+    team_id: scope.teamId || null,
+    account_id: scope.mode === 'team' ? String(scope.accountId) : null,
+    author_id: scope.authorId ? String(scope.authorId) : null,
+    ...values,
+  };
+  const keys = Object.keys(row);
+  const { rows } = await pool.query(
+    `INSERT INTO brand_voice_profiles (${keys.join(', ')})
+     VALUES (${keys.map((_, index) => `$${index + 1}`).join(', ')})
+     RETURNING *`,
+    keys.map((key) => row[key])
+  );
+  return rows[0];
+}
+
+/**
+ * Recompute the learned part of the profile. Uses the given tweets (e.g. from
+ * profile analysis) or the account's posted tweets in the database.
+ * @returns {Promise<{ profile: Object|null, tweetsAnalysed: number }>} profile is null
+ *   when there are too few tweets to learn from
+ */
+export async function learnVoiceProfile(scope, { tweets = null } = {}) {
+  let source = tweets;
+  if (!Array.isArray(source)) {
+    const { clause, params } = buildTweetScopeClause(scope, 1);
+    const { rows } = await pool.query(
+      `SELECT content, likes, retweets, replies
+       FROM tweets
+       WHERE status = 'posted'
+         AND content IS NOT NULL
+         AND ${clause}
+       ORDER BY COALESCE(posted_at, created_at) DESC
+       LIMIT $${params.length + 1}`,
+      [...params, LEARN_TWEET_LIMIT]
+    );
+    source = rows;
+  }
+
+  const learned = analyseVoice(source);
+  if (learned.tweetsAnalysed < MIN_TWEETS_FOR_VOICE) {
+    return { profile: null, tweetsAnalysed: learned.tweetsAnalysed };
+  }
+
+  const current = await getVoiceProfile(scope);
+  const profile = await upsertProfile(scope, current, {
+    learned_stats: JSON.stringify(learned.stats),
+    learned_vocabulary: learned.vocabulary,
+    learned_examples: learned.examples,
+    tweets_analysed: learned.tweetsAnalysed,
+    learned_at: new Date(),
+  });
+  return { profile, tweetsAnalysed: learned.tweetsAnalysed };
+}
+
+/**
+ * Update the user-owned fields: is_enabled, banned_words, pinned_examples, notes.
+ */
+export async function updateVoiceProfile(scope, updates = {}) {
+  const values = {};
+  if (updates.is_enabled !== undefined) values.is_enabled = Boolean(updates.is_enabled);
+  if (updates.banned_words !== undefined) values.banned_words = normalizeWordList(updates.banned_words, MAX_BANNED_WORDS);
+  if (updates.pinned_examples !== undefined) {
+    values.pinned_examples = (Array.isArray(updates.pinned_examples) ? updates.pinned_examples : [])
+      .filter((example) => typeof example === 'string' && example.trim())
+      .map((example) => example.trim().slice(0, 280))
+      .slice(0, MAX_VOICE_EXAMPLES);
+  }
+  if (updates.notes !== undefined) {
+    values.notes = updates.notes ? String(updates.notes).trim().slice(0, MAX_NOTES_LENGTH) : null;
+  }
+
+  const current = await getVoiceProfile(scope);
+  if (Object.keys(values).length === 0) return current;
+  return upsertProfile(scope, current, values);
+}
+
+export default {
+  getVoiceProfile,
+  getVoiceProfileForUser,
+  getVoicePromptForUser,
+  learnVoiceProfile,
+  updateVoiceProfile,
+};
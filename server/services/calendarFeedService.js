@@ -0,0 +1,345 @@
+// Calendar Feed Service
+// Tokenized, read-only iCalendar (.ics) feed of an account's scheduled posts,
+// including autopilot posts and content-review items waiting for a slot.
+import crypto from 'crypto';
+import pool from '../config/database.js';
+import { hasAccountPermission, loadTeamAccountPermissions } from '../utils/teamAccountPermissions.js';
+
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:5174';
+const FEED_PAST_DAYS = 30;
+const FEED_FUTURE_DAYS = 60;
+const FEED_EVENT_LIMIT = 500;
+const EVENT_DURATION = 'PT15M';
+const SUMMARY_PREVIEW_LENGTH = 60;
+const FEED_STATUSES = ['pending', 'processing', 'completed', 'partially_completed', 'failed'];
+
+const STATUS_LABELS = {
+  pending: 'Scheduled',
+  processing: 'Posting',
+  completed: 'Posted',
+  partially_completed: 'Partially posted',
+  failed: 'Failed',
+  pending_approval: 'Awaiting approval',
+  review_pending: 'In review',
+  review_approved: 'Approved, not yet scheduled',
+};
+
+export const generateFeedToken = () => crypto.randomBytes(24).toString('hex');
+
+export const hashFeedToken = (token) =>
+  crypto.createHash('sha256').update(String(token || '')).digest('hex');
+
+// Calendar apps fetch the feed straight from this server, so the URL must be
+// the public API origin rather than CLIENT_URL.
+const resolvePublicApiBaseUrl = () => {
+  const configuredUrl = String(process.env.TWEET_GENIE_URL || '').trim();
+  if (configuredUrl) return configuredUrl.replace(/\/+$/, '');
+  const vercelUrl = String(process.env.VERCEL_URL || '').trim();
+  if (vercelUrl) return `https://${vercelUrl}`;
+  return `http://localhost:${process.env.PORT || 3002}`;
+};
+
+export const buildFeedUrl = (token) =>
+  `${resolvePublicApiBaseUrl()}/api/calendar-feeds/${token}.ics`;
+
+// ─── ICS formatting ──────────────────────────────────────────────────────────
+
+/**
+ * Escape a TEXT value per RFC 5545 §3.3.11.
+ */
+export function escapeIcsText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r\n|\r|\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to 75 octets, continuing with CRLF + space.
+ */
+export function foldIcsLine(line) {
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char, 'utf8');
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+const formatIcsDate = (value) =>
+  new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Render events into a VCALENDAR document.
+ * @param {Object} params
+ * @param {string} params.name - Calendar display name
+ * @param {Array<{uid, start, summary, description, url, status}>} params.events
+ * @returns {string}
+ */
+export function buildIcsCalendar({ name, events, now = new Date() }) {
+  const stamp = formatIcsDate(now);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//SuiteGenie//Tweet Genie//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcsText(name)}`,
+    'X-PUBLISHED-TTL:PT15M',
+  ];
+
+  for (const event of events) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${formatIcsDate(event.start)}`,
+      `DURATION:${EVENT_DURATION}`,
+      `SUMMARY:${escapeIcsText(event.summary)}`,
+      `DESCRIPTION:${escapeIcsText(event.description)}`,
+      `STATUS:${event.status || 'CONFIRMED'}`
+    );
+    if (event.url) lines.push(`URL:${event.url}`);
+    lines.push('END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldIcsLine).join('\r\n')}\r\n`;
+}
+
+const previewText = (content) => {
+  const singleLine = String(content || '').replace(/\s+/g, ' ').trim();
+  return singleLine.length > SUMMARY_PREVIEW_LENGTH
+    ? `${singleLine.slice(0, SUMMARY_PREVIEW_LENGTH - 1)}…`
+    : singleLine;
+};
+
+const toScheduledEvent = (row) => {
+  const statusKey = row.approval_status === 'pending_approval' && row.status === 'pending'
+    ? 'pending_approval'
+    : row.status;
+  const label = STATUS_LABELS[statusKey] || row.status;
+  const threadCount = Array.isArray(row.thread_tweets) ? row.thread_tweets.length : 0;
+  const link = `${CLIENT_URL}/scheduling?item=sched_${row.id}`;
+  const descriptionLines = [
+    row.content || '',
+    threadCount > 0 ? `(+${threadCount} more in thread)` : null,
+    '',
+    `Status: ${label}`,
+    row.source ? `Source: ${row.source}` : null,
+    `Open in Tweet Genie: ${link}`,
+  ].filter((line) => line !== null);
+
+  return {
+    uid: `sched-${row.id}@tweet-genie`,
+    start: row.scheduled_for,
+    summary: `[${label}] ${previewText(row.content)}`,
+    description: descriptionLines.join('\n'),
+    url: link,
+    status: statusKey === 'pending_approval' ? 'TENTATIVE' : 'CONFIRMED',
+  };
+};
+
+const toReviewEvent = (row) => {
+  const statusKey = row.status === 'approved' ? 'review_approved' : 'review_pending';
+  const label = STATUS_LABELS[statusKey];
+  const link = `${CLIENT_URL}/scheduling?item=review_${row.id}`;
+  return {
+    uid: `review-${row.id}@tweet-genie`,
+    start: row.suggested_time,
+    summary: `[${label}] ${previewText(row.content)}`,
+    description: [row.content || '', '', `Status: ${label}`, `Source: ${row.source || 'content review'}`, `Open in Tweet Genie: ${link}`].join('\n'),
+    url: link,
+    status: 'TENTATIVE',
+  };
+};
+
+// ─── Feed tokens ─────────────────────────────────────────────────────────────
+
+const buildFeedScopeClause = (scope) => {
+  if (scope.mode === 'team') {
+    return { clause: 'user_id = $1 AND account_id = $2', params: [scope.userId, String(scope.accountId)] };
+  }
+  return {
+    clause: 'user_id = $1 AND account_id IS NULL AND COALESCE(author_id, \'\') = $2',
+    params: [scope.userId, scope.authorId ? String(scope.authorId) : ''],
+  };
+};
+
+/**
+ * Active feed for the current user + account, or null.
+ */
+export async function getFeed(scope) {
+  const { clause, params } = buildFeedScopeClause(scope);
+  const { rows } = await pool.query(
+    `SELECT id, token_hint, created_at, last_accessed_at
+     FROM calendar_feed_tokens
+     WHERE ${clause} AND revoked_at IS NULL
+     LIMIT 1`,
+    params
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Revoke the active feed for the scope.
+ * @returns {Promise<boolean>} true if a feed was revoked
+ */
+export async function revokeFeed(scope) {
+  const { clause, params } = buildFeedScopeClause(scope);
+  const { rowCount } = await pool.query(
+    `UPDATE calendar_feed_tokens
+     SET revoked_at = CURRENT_TIMESTAMP
+     WHERE ${clause} AND revoked_at IS NULL`,
+    params
+  );
+  return rowCount > 0;
+}
+
+/**
+ * Issue a new feed token, revoking any previous one for the scope.
+ * The plaintext token is only returned here.
+ * @returns {Promise<{feed: Object, token: string, url: string}>}
+ */
+export async function rotateFeed(scope) {
+  await revokeFeed(scope);
+  const token = generateFeedToken();
+  const { rows } = await pool.query(
+    `INSERT INTO calendar_feed_tokens (user_id, team_id, account_id, author_id, token_hash, token_hint)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING id, token_hint, created_at, last_accessed_at`,
+    [
+      scope.userId,
+      scope.teamId || null,
+      scope.mode === 'team' ? String(scope.accountId) : null,
+      scope.authorId ? String(scope.authorId) : null,
+      hashFeedToken(token),
+      token.slice(-6),
+    ]
+  );
+  return { feed: rows[0], token, url: buildFeedUrl(token) };
+}
+
+/**
+ * Whether the feed's owner can still schedule for its team account. Tokens
+ * outlive team membership, so this is checked on every fetch.
+ */
+async function canStillReadFeed(feed) {
+  if (feed.account_id) {
+    const access = await loadTeamAccountPermissions(pool, {
+      userId: feed.user_id,
+      accountId: feed.account_id,
+      teamId: feed.team_id,
+    });
+    return hasAccountPermission(access?.permissions, 'schedule');
+  }
+  if (feed.team_id) {
+    const { rows } = await pool.query(
+      `SELECT 1 FROM team_members WHERE team_id = $1 AND user_id = $2 AND status = 'active' LIMIT 1`,
+      [feed.team_id, feed.user_id]
+    );
+    return rows.length > 0;
+  }
+  return true;
+}
+
+/**
+ * Look up an active feed by its plaintext token. Team feeds are only returned
+ * while their owner is an active member with schedule access to the account.
+ */
+export async function findFeedByToken(token) {
+  if (!/^[a-f0-9]{48}$/.test(String(token || ''))) return null;
+  const { rows } = await pool.query(
+    `SELECT * FROM calendar_feed_tokens
+     WHERE token_hash = $1 AND revoked_at IS NULL`,
+    [hashFeedToken(token)]
+  );
+  const feed = rows[0];
+  if (!feed || !(await canStillReadFeed(feed))) return null;
+
+  await pool.query(
+    'UPDATE calendar_feed_tokens SET last_accessed_at = CURRENT_TIMESTAMP WHERE id = $1',
+    [feed.id]
+  );
+  return feed;
+}
+
+// ─── Feed content ────────────────────────────────────────────────────────────
+
+/**
+ * Render the .ics document for a feed row.
+ * @returns {Promise<string>}
+ */
+export async function renderFeed(feed, { now = new Date() } = {}) {
+  const from = new Date(now.getTime() - FEED_PAST_DAYS * 24 * 60 * 60 * 1000);
+  const until = new Date(now.getTime() + FEED_FUTURE_DAYS * 24 * 60 * 60 * 1000);
+
+  const scheduledQuery = feed.account_id
+    ? {
+        sql: `SELECT id, content, thread_tweets, scheduled_for, status, approval_status, source
+              FROM scheduled_tweets
+              WHERE account_id::text = $1
+                AND status = ANY($2::text[])
+                AND scheduled_for BETWEEN $3 AND $4
+              ORDER BY scheduled_for ASC
+              LIMIT $5`,
+        params: [feed.account_id, FEED_STATUSES, from, until, FEED_EVENT_LIMIT],
+      }
+    : {
+        sql: `SELECT id, content, thread_tweets, scheduled_for, status, approval_status, source
+              FROM scheduled_tweets
+              WHERE user_id = $1
+                AND (account_id IS NULL OR account_id::text = '0')
+                AND ($2::text IS NULL OR author_id IS NULL OR author_id::text = $2::text)
+                AND status = ANY($3::text[])
+                AND scheduled_for BETWEEN $4 AND $5
+              ORDER BY scheduled_for ASC
+              LIMIT $6`,
+        params: [feed.user_id, feed.author_id || null, FEED_STATUSES, from, until, FEED_EVENT_LIMIT],
+      };
+
+  const { rows: scheduledRows } = await pool.query(scheduledQuery.sql, scheduledQuery.params);
+  const events = scheduledRows.map(toScheduledEvent);
+
+  // Review-queue items (autopilot and weekly content) are personal-only.
+  if (!feed.account_id) {
+    const { rows: reviewRows } = await pool.query(
+      `SELECT id, content, suggested_time, status, source
+       FROM content_review_queue
+       WHERE user_id = $1
+         AND status IN ('pending', 'approved')
+         AND suggested_time BETWEEN $2 AND $3
+       ORDER BY suggested_time ASC
+       LIMIT $4`,
+      [feed.user_id, now, until, FEED_EVENT_LIMIT]
+    );
+    events.push(...reviewRows.map(toReviewEvent));
+  }
+
+  return buildIcsCalendar({ name: 'Tweet Genie scheduled posts', events, now });
+}
+
+export default {
+  generateFeedToken,
+  hashFeedToken,
+  buildFeedUrl,
+  escapeIcsText,
+  foldIcsLine,
+  buildIcsCalendar,
+  getFeed,
+  revokeFeed,
+  rotateFeed,
+  findFeedByToken,
+  renderFeed,
+};
@@ -0,0 +1,177 @@
+// Compliance Service
+// Per-team (or personal) publishing rules, and the checks that keep posts
+// breaking them from going out: at creation time and right before publishing.
+import pool from '../config/database.js';
+import { notifyTweetFailed } from './emailNotificationService.js';
+import { emitWebhookEvent } from './webhookService.js';
+import { checkCompliance, hasActiveRules, normalizeRules, summarizeViolations } from '../utils/complianceRules.js';
+import { getScheduledThreadParts } from '../utils/schedulePlatforms.js';
+
+const RULE_FIELDS = ['is_enabled', 'banned_phrases', 'required_disclosures', 'allowed_link_domains', 'max_hashtags', 'enforcement'];
+
+// Team rules are shared by the team; personal rules belong to the user.
+const scopeCondition = ({ userId, teamId }, startIndex = 1) => (
+  teamId
+    ? { clause: `team_id = $${startIndex}`, params: [teamId] }
+    : { clause: `user_id = $${startIndex} AND team_id IS NULL`, params: [userId] }
+);
+
+// Personal posts have nobody to approve them, so their violations always block.
+const applyScopeLimits = (rules, scope) =>
+  scope.teamId ? rules : { ...rules, enforcement: 'block' };
+
+/**
+ * Stored rule set for a scope, or null when none has been saved.
+ * @param {{ userId: string, teamId: string|null }} scope
+ */
+export async function getRules(scope) {
+  const { clause, params } = scopeCondition(scope);
+  const { rows } = await pool.query(`SELECT * FROM compliance_rules WHERE ${clause} LIMIT 1`, params);
+  return rows[0] ? applyScopeLimits(rows[0], scope) : null;
+}
+
+/**
+ * Create or replace the scope's rule set. Fields left out keep their value.
+ */
+export async function saveRules(scope, updates = {}, updatedBy = null) {
+  const current = await getRules(scope);
+  const merged = {};
+  RULE_FIELDS.forEach((field) => {
+    merged[field] = updates[field] !== undefined ? updates[field] : current?.[field];
+  });
+  const rules = applyScopeLimits(normalizeRules(merged), scope);
+  const values = [
+    rules.is_enabled,
+    rules.banned_phrases,
+    rules.required_disclosures,
+    rules.allowed_link_domains,
+    rules.max_hashtags,
+    rules.enforcement,
+    updatedBy,
+  ];
+
+  if (current?.id) {
+    const { rows } = await pool.query(
+      `UPDATE compliance_rules
+       SET is_enabled = $1, banned_phrases = $2, required_disclosures = $3, allowed_link_domains = $4,
+           max_hashtags = $5, enforcement = $6, updated_by = $7, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $8
+       RETURNING *`,
+      [...values, current.id]
+    );
+    return rows[0];
+  }
+
+  const { rows } = await pool.query(
+    `INSERT INTO compliance_rules
+       (is_enabled, banned_phrases, required_disclosures, allowed_link_domains, max_hashtags, enforcement, updated_by, user_id, team_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING *`,
+    [...values, scope.userId, scope.teamId || null]
+  );
+  return rows[0];
+}
+
+/** Active, normalized rules for a scope, or null when nothing applies. */
+export async function getActiveRules(scope) {
+  const stored = await getRules(scope);
+  if (!stored) return null;
+  const rules = applyScopeLimits(normalizeRules(stored), scope);
+  return hasActiveRules(rules) ? rules : null;
+}
+
+/**
+ * Check a post against the scope's rules.
+ * @param {{ userId: string, teamId: string|null }} scope
+ * @param {{ content?: string, threadParts?: string[] }} post
+ */
+export async function checkPostCompliance(scope, post) {
+  return checkCompliance(post, await getActiveRules(scope));
+}
+
+/**
+ * Last check before the scheduler publishes a claimed row. A blocked post is
+ * marked failed; a post needing approval goes back to pending and into the
+ * team's approval queue. Posts an owner/admin approved after being flagged go
+ * out as approved.
+ * @returns {Promise<{ outcome: 'blocked'|'needs_approval', violations: Object[] }|null>}
+ *   null when the post may be published
+ */
+export async function enforceBeforePublish(scheduledTweetId) {
+  const { rows } = await pool.query('SELECT * FROM scheduled_tweets WHERE id = $1', [scheduledTweetId]);
+  const row = rows[0];
+  if (!row) return null;
+  if (row.compliance_status === 'needs_approval' && row.approval_status === 'approved') return null;
+
+  const scope = { userId: row.user_id, teamId: row.team_id || null };
+  const result = await checkPostCompliance(scope, { threadParts: getScheduledThreadParts(row) });
+  if (result.passed) return null;
+
+  if (result.action === 'require_approval') {
+    await pool.query(
+      `UPDATE scheduled_tweets
+       SET status = 'pending',
+           approval_status = 'pending_approval',
+           approval_step = 0,
+           approval_signers = '{}',
+           approved_by = NULL,
+           approval_requested_at = CURRENT_TIMESTAMP,
+           compliance_status = 'needs_approval',
+           compliance_violations = $2,
+           processing_started_at = NULL,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [row.id, JSON.stringify(result.violations)]
+    );
+    emitWebhookEvent('approval.requested', {
+      userId: row.user_id,
+      teamId: scope.teamId,
+      data: {
+        scheduled_tweet_id: row.id,
+        requested_by: row.user_id,
+        account_id: row.account_id || null,
+        content: row.content || '',
+        compliance_violations: result.violations,
+      },
+    }).catch(() => {});
+    return { outcome: 'needs_approval', violations: result.violations };
+  }
+
+  const errorMessage = `Blocked by compliance rules: ${summarizeViolations(result.violations)}`.slice(0, 900);
+  await pool.query(
+    `UPDATE scheduled_tweets
+     SET status = 'failed',
+         error_message = $2,
+         compliance_status = 'blocked',
+         compliance_violations = $3,
+         processing_started_at = NULL,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1`,
+    [row.id, errorMessage, JSON.stringify(result.violations)]
+  );
+  notifyTweetFailed(row.user_id, {
+    tweetId: row.id,
+    content: row.content,
+    errorMessage,
+    isPartial: false,
+  }).catch(() => {});
+  emitWebhookEvent('tweet.failed', {
+    userId: row.user_id,
+    teamId: scope.teamId,
+    data: {
+      scheduled_tweet_id: row.id,
+      account_id: row.account_id || null,
+      content: row.content || '',
+      error: errorMessage,
+    },
+  }).catch(() => {});
+  return { outcome: 'blocked', violations: result.violations };
+}
+
+export default {
+  getRules,
+  saveRules,
+  getActiveRules,
+  checkPostCompliance,
+  enforceBeforePublish,
+};
@@ -0,0 +1,142 @@
+// Content Review Service
+// Approving and scheduling content-review queue items. Shared by the Content
+// Queue routes and client review links so both take the same path.
+import pool from '../config/database.js';
+import { weeklyContentService } from './weeklyContentService.js';
+import { checkPostCompliance } from './complianceService.js';
+
+// ─── Scheduling ──────────────────────────────────────────────────────────
+const MAX_SCHEDULED_PER_USER = parseInt(process.env.MAX_SCHEDULED_TWEETS_PER_USER || '100');
+const MAX_SCHEDULING_WINDOW_DAYS = 15;
+
+export const splitThreadParts = (content = '') => content.split(/---+/).map(p => p.trim()).filter(Boolean);
+
+/**
+ * Team and team account an item publishes under: its strategy's team and the
+ * account autopilot was set up on. Items without a team strategy are personal.
+ */
+export async function getItemScope(item) {
+  if (!item?.strategy_id) return { teamId: null, accountId: null };
+  const { rows: [row] } = await pool.query(
+    `SELECT us.team_id, ac.account_id
+     FROM user_strategies us
+     LEFT JOIN autopilot_config ac ON ac.strategy_id = us.id
+     WHERE us.id = $1`,
+    [item.strategy_id]
+  );
+  const teamId = row?.team_id || null;
+  return { teamId, accountId: teamId ? row.account_id || null : null };
+}
+
+// Queue items are checked against their team's rules (or the user's own);
+// compliance violations always block them.
+export async function checkItemCompliance(userId, item) {
+  const { teamId } = await getItemScope(item);
+  return checkPostCompliance({ userId, teamId }, { threadParts: splitThreadParts(item.content || '') });
+}
+
+export async function scheduleContentItem(userId, item, overrideTime, overrideTz) {
+  const scheduleTime = overrideTime || item.suggested_time;
+  const tz = overrideTz || item.timezone || 'UTC';
+
+  if (!scheduleTime) {
+    return { ok: false, error: 'No schedule time available. Please provide scheduled_for.' };
+  }
+
+  // Validate time is in the future
+  const scheduledDate = new Date(scheduleTime);
+  if (isNaN(scheduledDate.getTime())) {
+    return { ok: false, error: 'Invalid schedule time format' };
+  }
+  if (scheduledDate <= new Date()) {
+    return { ok: false, error: 'Scheduled time must be in the future' };
+  }
+
+  // Validate within scheduling window
+  const maxDate = new Date(Date.now() + MAX_SCHEDULING_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  if (scheduledDate > maxDate) {
+    return { ok: false, error: `Scheduling is limited to ${MAX_SCHEDULING_WINDOW_DAYS} days ahead.` };
+  }
+
+  // Check scheduling limits
+  const { rows: [{ count }] } = await pool.query(
+    `SELECT COUNT(*) FROM scheduled_tweets WHERE user_id = $1 AND status = 'pending'`,
+    [userId]
+  );
+  if (parseInt(count) >= MAX_SCHEDULED_PER_USER) {
+    return { ok: false, error: `Maximum ${MAX_SCHEDULED_PER_USER} scheduled tweets allowed` };
+  }
+
+  const { teamId, accountId } = await getItemScope(item);
+  const compliance = await checkPostCompliance({ userId, teamId }, { threadParts: splitThreadParts(item.content || '') });
+  if (!compliance.passed) {
+    return { ok: false, error: 'This post breaks your compliance rules.', violations: compliance.violations };
+  }
+
+  // Detect threads: split on --- separator
+  const rawContent = item.content || '';
+  const threadParts = splitThreadParts(rawContent);
+  const isThread = threadParts.length > 1;
+  const mainContent = isThread ? threadParts[0] : rawContent;
+  const threadTweets = isThread ? threadParts.slice(1).map(p => ({ content: p })) : null;
+
+  // Determine source from the queue item (preserves 'autopilot' origin)
+  const source = item.source || 'manual';
+  const strategyId = item.strategy_id || null;
+
+  // Insert into scheduled_tweets with proper columns
+  const { rows: [scheduledTweet] } = await pool.query(
+    `INSERT INTO scheduled_tweets (user_id, team_id, account_id, content, thread_tweets, scheduled_for, timezone, status, approval_status, source, autopilot_strategy_id, created_at, updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, 'pending', 'approved', $8, $9, NOW(), NOW())
+     RETURNING id`,
+    [userId, teamId, accountId, mainContent, isThread ? JSON.stringify(threadTweets) : null, scheduledDate.toISOString(), tz, source, source === 'autopilot' ? strategyId : null]
+  );
+
+  // Mark queue item as scheduled
+  await weeklyContentService.markScheduled(item.id, userId, scheduledTweet.id);
+
+  return { ok: true, scheduledTweetId: scheduledTweet.id, scheduledFor: scheduledDate.toISOString() };
+}
+
+// ─── Approve ─────────────────────────────────────────────────────────────
+
+/**
+ * Approve a pending queue item and auto-schedule it when it has a suggested time.
+ * @returns {Promise<{ item?: object, scheduled?: object|null, status?: number, error?: string, code?: string, violations?: object[] }>}
+ */
+export async function approveQueueItem(itemId, userId) {
+  const { rows: [pendingItem] } = await pool.query(
+    `SELECT content, strategy_id FROM content_review_queue WHERE id = $1 AND user_id = $2`,
+    [itemId, userId]
+  );
+  if (pendingItem) {
+    const compliance = await checkItemCompliance(userId, pendingItem);
+    if (!compliance.passed) {
+      return {
+        status: 422,
+        error: 'This post breaks your compliance rules. Edit it before approving.',
+        code: 'COMPLIANCE_BLOCKED',
+        violations: compliance.violations,
+      };
+    }
+  }
+
+  const item = await weeklyContentService.approveItem(itemId, userId);
+  if (!item) {
+    return { status: 404, error: 'Item not found or already processed' };
+  }
+
+  // Auto-schedule if suggested_time exists
+  let scheduled = null;
+  if (item.suggested_time) {
+    const result = await scheduleContentItem(userId, item);
+    if (result.ok) {
+      scheduled = { scheduledTweetId: result.scheduledTweetId, scheduledFor: result.scheduledFor };
+      console.log(`[ContentReview] Auto-scheduled approved item ${itemId} → tweet ${result.scheduledTweetId}`);
+    } else {
+      console.warn(`[ContentReview] Approved item ${itemId} but auto-schedule failed: ${result.error}`);
+    }
+  }
+
+  return { item, scheduled };
+}
@@ -0,0 +1,493 @@
+// Credit Budget Service
+// Monthly credit budgets per team member and per strategy, on top of the
+// shared credit pool: every deduction is attributed in credit_usage, checked
+// against the budgets that cover it, and announced when it crosses a warning
+// threshold. Hard-stop budgets refuse the spend; autopilot pauses on them.
+import pool from '../config/database.js';
+import { creditService } from './creditService.js';
+import { notifyCreditBudgetWarning } from './emailNotificationService.js';
+import { emitWebhookEvent } from './webhookService.js';
+import {
+  CREDIT_BUDGET_EXCEEDED_CODE,
+  CREDIT_BUDGET_UNAVAILABLE_CODE,
+  crossedThresholds,
+  findExceededBudget,
+  isUuid,
+  monthRange,
+  percentUsed,
+  summarizeUsage,
+} from '../utils/creditBudgets.js';
+
+export const BUDGET_PAUSE_REASON = 'credit_budget_exceeded';
+
+const round = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+// Budgets with a display label and their spend between $1 and $2.
+const BUDGET_SELECT_SQL = `
+  SELECT b.*,
+         COALESCE(u.name, u.email, us.niche) AS scope_label,
+         COALESCE((
+           SELECT SUM(cu.amount)
+           FROM credit_usage cu
+           WHERE cu.created_at >= $1 AND cu.created_at < $2
+             AND CASE WHEN b.scope_type = 'member'
+                   THEN cu.user_id = b.scope_id AND cu.team_id = b.team_id
+                   ELSE cu.strategy_id = b.scope_id
+                 END
+         ), 0) AS spent
+  FROM credit_budgets b
+  LEFT JOIN users u ON b.scope_type = 'member' AND u.id = b.scope_id
+  LEFT JOIN user_strategies us ON b.scope_type = 'strategy' AND us.id = b.scope_id`;
+
+// Team budgets and usage are shared by the team; personal ones belong to the user.
+const scopeCondition = ({ userId, teamId }, alias, startIndex) => (
+  teamId
+    ? { clause: `${alias}.team_id = $${startIndex}`, params: [teamId] }
+    : { clause: `${alias}.user_id = $${startIndex} AND ${alias}.team_id IS NULL`, params: [userId] }
+);
+
+const formatBudget = (row) => ({
+  id: row.id,
+  team_id: row.team_id || null,
+  scope_type: row.scope_type,
+  scope_id: row.scope_id,
+  scope_label: row.scope_label || null,
+  monthly_limit: Number(row.monthly_limit),
+  warn_thresholds: row.warn_thresholds || [],
+  hard_stop: row.hard_stop === true,
+  spent: round(row.spent),
+  remaining: round(Math.max(0, Number(row.monthly_limit) - Number(row.spent || 0))),
+  percent_used: percentUsed(row),
+  updated_at: row.updated_at || null,
+});
+
+const describeExceeded = (budget) =>
+  `Monthly credit budget reached for ${budget.scope_type === 'member' ? 'this member' : 'this strategy'}` +
+  ` (${round(budget.spent)} of ${Number(budget.monthly_limit)} credits used).`;
+
+// ─── Budgets that apply to a spend ──────────────────────────────────────────
+
+// Postgres code for a missing relation: budgets were never migrated here.
+const UNDEFINED_TABLE = '42P01';
+
+async function loadApplicableBudgets({ userId, teamId = null, strategyId = null }, range = monthRange(), db = pool) {
+  if (!strategyId && !teamId) return [];
+  const { rows } = await db.query(
+    `${BUDGET_SELECT_SQL}
+     WHERE (b.scope_type = 'strategy' AND b.scope_id = $3::uuid)
+        OR (b.scope_type = 'member' AND b.scope_id = $4::uuid AND b.team_id = $5::uuid)`,
+    [range.start, range.end, strategyId || null, userId, teamId || null]
+  );
+  return rows;
+}
+
+/**
+ * A client-supplied strategy id, if the strategy belongs to the caller's
+ * scope; otherwise null, so nobody can charge another scope's budget.
+ */
+export async function resolveBudgetStrategyId({ strategyId, userId, teamId = null }) {
+  if (!isUuid(strategyId)) return null;
+  try {
+    const { rows } = await pool.query(
+      teamId
+        ? 'SELECT id FROM user_strategies WHERE id = $1 AND team_id = $2'
+        : 'SELECT id FROM user_strategies WHERE id = $1 AND user_id = $2 AND team_id IS NULL',
+      [strategyId, teamId || userId]
+    );
+    return rows[0]?.id || null;
+  } catch (error) {
+    console.error('[CreditBudget] Strategy lookup failed:', error.message);
+    return null;
+  }
+}
+
+// ─── Usage ledger ───────────────────────────────────────────────────────────
+
+// Notify about the thresholds not yet announced this month, once each.
+async function announceBudget(budget, thresholds, range) {
+  const periodStart = range.start.toISOString().slice(0, 10);
+  const announced = [];
+  for (const threshold of thresholds) {
+    const { rows } = await pool.query(
+      `INSERT INTO credit_budget_alerts (budget_id, period_start, threshold)
+       VALUES ($1, $2, $3)
+       ON CONFLICT DO NOTHING
+       RETURNING threshold`,
+      [budget.id, periodStart, threshold]
+    );
+    if (rows.length > 0) announced.push(threshold);
+  }
+  if (announced.length === 0) return;
+
+  const details = { ...formatBudget(budget), threshold: Math.max(...announced) };
+  const recipients = new Set([budget.user_id, budget.scope_type === 'member' ? budget.scope_id : null].filter(Boolean));
+  for (const recipient of recipients) {
+    notifyCreditBudgetWarning(recipient, details).catch(() => {});
+  }
+  emitWebhookEvent('credits.budget_threshold', {
+    userId: budget.user_id,
+    teamId: budget.team_id || null,
+    data: details,
+  }).catch(() => {});
+}
+
+const insertUsage = (db, { userId, teamId, strategyId, operation }, credits) =>
+  db.query(
+    `INSERT INTO credit_usage (user_id, team_id, strategy_id, agency_workspace_id, operation, amount)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING id`,
+    [
+      userId,
+      teamId || null,
+      strategyId || null,
+      creditService.getAgencyCreditContext?.()?.agencyWorkspaceId || null,
+      String(operation || 'usage').slice(0, 64),
+      credits,
+    ]
+  );
+
+async function announceCrossedThresholds(scope) {
+  const range = monthRange();
+  for (const budget of await loadApplicableBudgets(scope, range)) {
+    await announceBudget(budget, crossedThresholds(budget), range);
+  }
+}
+
+/**
+ * Attribute a refund (a negative amount) or an already-made deduction to a
+ * member, strategy and agency client, then send any budget warnings it
+ * triggers. Never throws: a missing ledger row must not fail the operation.
+ * Spends go through spendCredits, which checks and records them together.
+ */
+export async function recordCreditUsage({ userId, teamId = null, strategyId = null, operation, amount }) {
+  const credits = round(amount);
+  if (!userId || credits === 0) return;
+  try {
+    await insertUsage(pool, { userId, teamId, strategyId, operation }, credits);
+    if (credits > 0) await announceCrossedThresholds({ userId, teamId, strategyId });
+  } catch (error) {
+    console.error('[CreditBudget] Record usage failed:', error.message);
+  }
+}
+
+/**
+ * Check `amount` against the member's and strategy's budgets and record it
+ * in credit_usage in one transaction. The budget rows are locked first, so
+ * concurrent spends under the same budget are checked one after another,
+ * each seeing the usage the previous one recorded.
+ *
+ * Fails closed when hard-stop budgets (or whether there are any) can't be
+ * read; only a database without the budget tables lets the spend through.
+ * @returns {Promise<{ allowed: boolean, usageId?: string|null, code?: string, error?: string, budget?: object }>}
+ */
+export async function reserveCreditUsage({ userId, teamId = null, strategyId = null, operation, amount }) {
+  const credits = round(amount);
+  const scope = { userId, teamId, strategyId };
+  const range = monthRange();
+  let client;
+  let hardStop = null;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+    if (strategyId || teamId) {
+      await client.query(
+        `SELECT id FROM credit_budgets
+         WHERE (scope_type = 'strategy' AND scope_id = $1::uuid)
+            OR (scope_type = 'member' AND scope_id = $2::uuid AND team_id = $3::uuid)
+         FOR UPDATE`,
+        [strategyId || null, userId, teamId || null]
+      );
+    }
+    const budgets = await loadApplicableBudgets(scope, range, client);
+    hardStop = budgets.some((budget) => budget.hard_stop);
+
+    const exceeded = findExceededBudget(budgets, credits);
+    if (exceeded) {
+      await client.query('ROLLBACK');
+      // A hard stop usually refuses the spend before the limit is hit exactly
+      await announceBudget(exceeded, [100], range).catch(() => {});
+      return {
+        allowed: false,
+        code: CREDIT_BUDGET_EXCEEDED_CODE,
+        error: describeExceeded(exceeded),
+        budget: formatBudget(exceeded),
+      };
+    }
+
+    const { rows } = await insertUsage(client, { ...scope, operation }, credits);
+    await client.query('COMMIT');
+    return { allowed: true, usageId: rows[0]?.id || null };
+  } catch (error) {
+    await client?.query('ROLLBACK').catch(() => {});
+    console.error('[CreditBudget] Reserve failed:', error.message);
+    if (error.code === UNDEFINED_TABLE || hardStop === false) return { allowed: true, usageId: null };
+    return {
+      allowed: false,
+      code: CREDIT_BUDGET_UNAVAILABLE_CODE,
+      error: 'Credit budgets could not be checked right now. Please try again shortly.',
+    };
+  } finally {
+    client?.release();
+  }
+}
+
+/** Drop a reserved credit_usage row whose deduction did not go through. */
+export async function releaseCreditUsage(usageId) {
+  if (!usageId) return;
+  try {
+    await pool.query('DELETE FROM credit_usage WHERE id = $1', [usageId]);
+  } catch (error) {
+    console.error('[CreditBudget] Release usage failed:', error.message);
+  }
+}
+
+/**
+ * The one way credits are spent: reserve the spend against the budgets,
+ * then run `deduct` against whichever credit pool pays. The reservation is
+ * released when the deduction fails or throws.
+ * @param {{ userId: string, teamId?: string|null, strategyId?: string|null, operation: string, amount: number }} spend
+ * @param {() => Promise<{ success: boolean }>} deduct
+ */
+export async function spendCredits({ userId, teamId = null, strategyId = null, operation, amount }, deduct) {
+  if (!userId || !(round(amount) > 0)) return deduct();
+
+  const reservation = await reserveCreditUsage({ userId, teamId, strategyId, operation, amount });
+  if (!reservation.allowed) {
+    return {
+      success: false,
+      error: reservation.error,
+      code: reservation.code,
+      budget: reservation.budget,
+      remainingCredits: 0,
+      source: 'budget',
+    };
+  }
+
+  let result;
+  try {
+    result = await deduct();
+  } catch (error) {
+    await releaseCreditUsage(reservation.usageId);
+    throw error;
+  }
+  if (!result?.success) {
+    await releaseCreditUsage(reservation.usageId);
+    return result;
+  }
+  await announceCrossedThresholds({ userId, teamId, strategyId }).catch((error) => {
+    console.error('[CreditBudget] Threshold warnings failed:', error.message);
+  });
+  return result;
+}
+
+/**
+ * spendCredits paid from the caller's own (or agency) credit balance, for
+ * the AI features that don't draw on team credits.
+ */
+export const deductBudgetedCredits = ({ userId, teamId = null, strategyId = null, operation, amount, token = null }) =>
+  spendCredits({ userId, teamId, strategyId, operation, amount }, () =>
+    creditService.checkAndDeductCredits(userId, operation, amount, token)
+  );
+
+/** Give back a deductBudgetedCredits spend and take it off the budgets. */
+export async function refundBudgetedCredits({ userId, teamId = null, strategyId = null, reason, amount, token = null }) {
+  await creditService.refundCredits(userId, reason, amount, token);
+  await recordCreditUsage({ userId, teamId, strategyId, operation: reason, amount: -amount });
+}
+
+// ─── Autopilot pauses ───────────────────────────────────────────────────────
+
+/** Let autopilots paused by a budget retry; they pause again if still over. */
+async function resumeAutopilotsForBudget(budget) {
+  const target = budget.scope_type === 'strategy'
+    ? { clause: 'us.id = $2', params: [budget.scope_id] }
+    : { clause: 'us.user_id = $2 AND us.team_id = $3', params: [budget.scope_id, budget.team_id] };
+  await pool.query(
+    `UPDATE autopilot_config ac
+     SET paused_reason = NULL, updated_at = NOW()
+     FROM user_strategies us
+     WHERE us.id = ac.strategy_id AND ac.paused_reason = $1 AND ${target.clause}`,
+    [BUDGET_PAUSE_REASON, ...target.params]
+  );
+}
+
+/** Budgets reset each month: resume autopilots paused by a budget before it began. */
+export async function resumeAutopilotsPausedLastMonth() {
+  const { rowCount } = await pool.query(
+    `UPDATE autopilot_config
+     SET paused_reason = NULL, updated_at = NOW()
+     WHERE paused_reason = $1 AND updated_at < $2`,
+    [BUDGET_PAUSE_REASON, monthRange().start]
+  );
+  return rowCount || 0;
+}
+
+// ─── Budget management ──────────────────────────────────────────────────────
+
+/**
+ * Budgets of a scope with their spend this month.
+ * @param {{ userId: string, teamId: string|null }} scope
+ */
+export async function listBudgets(scope, range = monthRange()) {
+  const { clause, params } = scopeCondition(scope, 'b', 3);
+  const { rows } = await pool.query(
+    `${BUDGET_SELECT_SQL}
+     WHERE ${clause}
+     ORDER BY b.scope_type, scope_label NULLS LAST, b.created_at`,
+    [range.start, range.end, ...params]
+  );
+  return rows.map(formatBudget);
+}
+
+/** Members (teams only) and strategies of the scope a budget can cover. */
+export async function listBudgetTargets({ userId, teamId }) {
+  const [members, strategies] = await Promise.all([
+    teamId
+      ? pool.query(
+          `SELECT tm.user_id, tm.role, u.name, u.email
+           FROM team_members tm
+           LEFT JOIN users u ON u.id = tm.user_id
+           WHERE tm.team_id = $1 AND tm.status = 'active'
+           ORDER BY u.name NULLS LAST, u.email`,
+          [teamId]
+        )
+      : { rows: [] },
+    pool.query(
+      `SELECT id, niche FROM user_strategies
+       WHERE ${teamId ? 'team_id = $1' : 'user_id = $1 AND team_id IS NULL'}
+         AND COALESCE(metadata->>'product', 'tweet-genie') = 'tweet-genie'
+       ORDER BY created_at DESC`,
+      [teamId || userId]
+    ),
+  ]);
+  return { members: members.rows, strategies: strategies.rows };
+}
+
+// Members must be active in the team; strategies must belong to the scope.
+async function validateBudgetTarget({ userId, teamId }, { scope_type: scopeType, scope_id: scopeId }) {
+  if (scopeType === 'member') {
+    if (!teamId) return 'Member budgets are only available for teams';
+    const { rows } = await pool.query(
+      'SELECT 1 FROM team_members WHERE team_id = $1 AND user_id = $2 AND status = $3',
+      [teamId, scopeId, 'active']
+    );
+    return rows.length > 0 ? null : 'Member not found in this team';
+  }
+  const { rows } = await pool.query(
+    teamId
+      ? 'SELECT 1 FROM user_strategies WHERE id = $1 AND team_id = $2'
+      : 'SELECT 1 FROM user_strategies WHERE id = $1 AND user_id = $2 AND team_id IS NULL',
+    [scopeId, teamId || userId]
+  );
+  return rows.length > 0 ? null : 'Strategy not found';
+}
+
+/**
+ * Create or replace the budget for a member or strategy of the scope.
+ * @param {object} values output of normalizeBudgetInput
+ * @returns {Promise<{ budget?: object, status?: number, error?: string }>}
+ */
+export async function saveBudget(scope, values, updatedBy = null) {
+  const targetError = await validateBudgetTarget(scope, values);
+  if (targetError) return { status: 404, error: targetError };
+
+  const teamId = scope.teamId || null;
+  const { rows: existing } = await pool.query(
+    `SELECT id FROM credit_budgets
+     WHERE scope_type = $1 AND scope_id = $2 AND team_id IS NOT DISTINCT FROM $3::uuid`,
+    [values.scope_type, values.scope_id, teamId]
+  );
+  const settings = [values.monthly_limit, values.warn_thresholds, values.hard_stop, updatedBy];
+
+  let budgetId;
+  if (existing.length > 0) {
+    budgetId = existing[0].id;
+    await pool.query(
+      `UPDATE credit_budgets
+       SET monthly_limit = $1, warn_thresholds = $2, hard_stop = $3, updated_by = $4, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $5`,
+      [...settings, budgetId]
+    );
+  } else {
+    const { rows } = await pool.query(
+      `INSERT INTO credit_budgets (monthly_limit, warn_thresholds, hard_stop, updated_by, user_id, team_id, scope_type, scope_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING id`,
+      [...settings, scope.userId, teamId, values.scope_type, values.scope_id]
+    );
+    budgetId = rows[0].id;
+  }
+
+  await resumeAutopilotsForBudget({ ...values, team_id: teamId });
+  const budgets = await listBudgets(scope);
+  return { budget: budgets.find((budget) => budget.id === budgetId) || null };
+}
+
+/** Remove a budget of the scope. Returns false when there was none. */
+export async function deleteBudget(scope, budgetId) {
+  const { clause, params } = scopeCondition(scope, 'credit_budgets', 2);
+  const { rows } = await pool.query(
+    `DELETE FROM credit_budgets WHERE id = $1 AND ${clause} RETURNING *`,
+    [budgetId, ...params]
+  );
+  if (rows.length === 0) return false;
+  await resumeAutopilotsForBudget(rows[0]);
+  return true;
+}
+
+// ─── Reporting ──────────────────────────────────────────────────────────────
+
+/**
+ * A month's spend of the scope by member, strategy, agency client and
+ * operation, the budgets with their spend, and the requesting user's credit
+ * transactions from getUsageHistory to reconcile against.
+ * @returns {Promise<object|null>} null for a malformed month
+ */
+export async function getSpendReport(scope, { month = null } = {}) {
+  const range = monthRange(month);
+  if (!range) return null;
+
+  const { clause, params } = scopeCondition(scope, 'cu', 3);
+  const [{ rows }, budgets, history] = await Promise.all([
+    pool.query(
+      `SELECT cu.user_id, cu.strategy_id, cu.agency_workspace_id, cu.operation,
+              SUM(cu.amount) AS credits,
+              COUNT(*) FILTER (WHERE cu.amount > 0) AS operations,
+              u.name AS user_name, u.email AS user_email, us.niche AS strategy_niche
+       FROM credit_usage cu
+       LEFT JOIN users u ON u.id = cu.user_id
+       LEFT JOIN user_strategies us ON us.id = cu.strategy_id
+       WHERE cu.created_at >= $1 AND cu.created_at < $2 AND ${clause}
+       GROUP BY cu.user_id, cu.strategy_id, cu.agency_workspace_id, cu.operation, u.name, u.email, us.niche`,
+      [range.start, range.end, ...params]
+    ),
+    listBudgets(scope, range),
+    creditService.getUsageHistory(scope.userId, { page: 1, limit: 50 }).catch((error) => {
+      console.error('[CreditBudget] Usage history failed:', error.message);
+      return { transactions: [] };
+    }),
+  ]);
+
+  return {
+    month: range.month,
+    scope: scope.teamId ? 'team' : 'personal',
+    ...summarizeUsage(rows),
+    budgets,
+    transactions: history?.transactions || [],
+  };
+}
+
+export default {
+  recordCreditUsage,
+  reserveCreditUsage,
+  releaseCreditUsage,
+  spendCredits,
+  deductBudgetedCredits,
+  refundBudgetedCredits,
+  resumeAutopilotsPausedLastMonth,
+  listBudgets,
+  listBudgetTargets,
+  saveBudget,
+  deleteBudget,
+  getSpendReport,
+};
@@ -82,6 +82,8 @@ class CreditService {
     }
   }
 
+  // Features spend through creditBudgetService (deductBudgetedCredits or
+  // spendCredits), which checks budgets and records usage around this call.
   async checkAndDeductCredits(userId, operation, amount, userToken = null) {
     try {
       this.debugLog(`Credit deduction request: ${operation} - ${amount} credits for user ${userId}`);
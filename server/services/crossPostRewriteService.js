@@ -0,0 +1,95 @@
+// Cross-post Rewrite Service
+// Asks AI for platform-native versions of an X post (LinkedIn long-form,
+// Threads posts), in the user's brand voice. The result is run back through
+// the cross-post optimizer so platform limits still hold.
+import { aiService } from './aiService.js';
+import { getVoicePromptForUser } from './brandVoiceService.js';
+import { buildCrossPostPayloads } from '../utils/crossPostOptimizer.js';
+import { NATIVE_PLATFORM_LIMITS } from '../utils/schedulePlatforms.js';
+
+export const CROSS_POST_REWRITE_PLATFORMS = ['linkedin', 'threads'];
+
+const SECTION_RE = /^=+\s*(LINKEDIN|THREADS)\s*=+\s*$/gim;
+
+const PLATFORM_GUIDES = {
+  linkedin: `LINKEDIN: one post of at most ${NATIVE_PLATFORM_LIMITS.linkedin.maxChars} characters. Open with a one-line hook, use short paragraphs, write @handles as plain names, use at most 3 hashtags at the end, and close with a question or call to action.`,
+  threads: `THREADS: conversational posts of at most ${NATIVE_PLATFORM_LIMITS.threads.maxChars} characters each, at most ${NATIVE_PLATFORM_LIMITS.threads.maxParts} posts, separated by a line containing only ---. Keep @handles, use at most one hashtag per post, no thread numbering like 1/5.`,
+};
+
+export const buildRewritePrompt = ({ parts, platforms, voicePrompt = '' }) => {
+  const source = parts.length > 1
+    ? parts.map((part, index) => `Post ${index + 1}:\n${part}`).join('\n\n')
+    : parts[0];
+  return `Rewrite this X ${parts.length > 1 ? 'thread' : 'post'} so it reads as if it was written natively for each platform below. Keep the message, facts, numbers and links; change structure and wording to suit the platform.
+
+${platforms.map((platform) => PLATFORM_GUIDES[platform]).join('\n')}
+${voicePrompt ? `\n${voicePrompt}\n` : ''}
+Answer with one section per platform, each starting with a header line exactly like "=== LINKEDIN ===" or "=== THREADS ===". Output nothing else.
+
+Original:
+${source}`;
+};
+
+/** { linkedin: string, threads: string[] } from the model's sectioned answer. */
+export const parseRewriteResponse = (text = '') => {
+  const sections = {};
+  const matches = [...String(text || '').matchAll(SECTION_RE)];
+  matches.forEach((match, index) => {
+    const start = match.index + match[0].length;
+    const end = index + 1 < matches.length ? matches[index + 1].index : text.length;
+    sections[match[1].toLowerCase()] = text.slice(start, end).trim();
+  });
+
+  const result = {};
+  if (sections.linkedin) result.linkedin = sections.linkedin;
+  if (sections.threads) {
+    const parts = sections.threads.split(/\n\s*---+\s*\n/).map((part) => part.trim()).filter(Boolean);
+    if (parts.length > 0) result.threads = parts;
+  }
+  return result;
+};
+
+/**
+ * Platform-native rewrites of a post or thread.
+ * @param {Object} input
+ * @param {string[]} input.parts - the post, or every part of the thread
+ * @param {string[]} [input.platforms] - subset of CROSS_POST_REWRITE_PLATFORMS
+ * @param {string} input.userId
+ * @returns {Promise<{ overrides: Object, payloads: Object, provider: string|null }>}
+ *   overrides can be sent back with the post as crossPostOverrides
+ */
+export async function rewriteForPlatforms({ parts, platforms = CROSS_POST_REWRITE_PLATFORMS, userId }) {
+  const cleanParts = (Array.isArray(parts) ? parts : []).map((part) => String(part || '').trim()).filter(Boolean);
+  if (cleanParts.length === 0) throw new Error('Nothing to rewrite');
+  const targets = platforms.filter((platform) => CROSS_POST_REWRITE_PLATFORMS.includes(platform));
+  if (targets.length === 0) throw new Error('Choose LinkedIn or Threads');
+
+  const voicePrompt = await getVoicePromptForUser(userId, { maxChars: 800 });
+  const result = await aiService.generateContent(
+    buildRewritePrompt({ parts: cleanParts, platforms: targets, voicePrompt }),
+    'professional',
+    2,
+    null,
+    userId
+  );
+  const rewritten = parseRewriteResponse(result?.content || '');
+
+  const overrides = {};
+  if (targets.includes('linkedin') && rewritten.linkedin) overrides.linkedin = { content: rewritten.linkedin };
+  if (targets.includes('threads') && rewritten.threads) {
+    overrides.threads = { content: rewritten.threads.join('\n\n'), threadParts: rewritten.threads };
+  }
+  if (Object.keys(overrides).length === 0) throw new Error('AI returned no usable rewrite');
+
+  return {
+    overrides,
+    payloads: buildCrossPostPayloads({ content: cleanParts[0], thread: cleanParts, overrides }),
+    provider: result?.provider || null,
+  };
+}
+
+export default {
+  rewriteForPlatforms,
+  buildRewritePrompt,
+  parseRewriteResponse,
+};
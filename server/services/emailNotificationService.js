@@ -1,18 +1,21 @@
 /**
  * Email Notification Service for SuiteGenie Tweet-Genie
  * 
- * Sends non-spammy, consolidated email notifications for:
+ * Sends non-spammy, consolidated notifications for:
  * - Tweet posting failures / partial thread posts
  * - Autopilot paused (prompts exhausted / insufficient credits)
  * - Low credit balance warnings
  * - Weekly digest summary
  * 
- * Uses Resend for email delivery.
- * Respects user notification preferences stored in `email_notification_prefs`.
+ * Uses Resend for email delivery. The same events can also go to a Slack or
+ * Discord incoming webhook (see notificationChannels.js); each channel has its
+ * own per-event switches in `email_notification_prefs` and its own cooldown.
  */
 
 import { Resend } from 'resend';
 import pool from '../config/database.js';
+import { emitWebhookEvent } from './webhookService.js';
+import { sendChatMessage } from './notificationChannels.js';
 
 // ── Configuration ──────────────────────────────────────────────────────────
 const RESEND_API_KEY = process.env.RESEND_API_KEY;
@@ -78,6 +81,8 @@ async function getNotificationPrefs(userId) {
       notify_autopilot_paused: true,
       notify_low_credits: true,
       notify_weekly_digest: true,
+      chat_provider: null,
+      chat_webhook_url: null,
     };
   }
 }
@@ -86,7 +91,18 @@ async function getNotificationPrefs(userId) {
  * Update notification preferences
  */
 export async function updateNotificationPrefs(userId, updates) {
-  const allowed = ['notify_tweet_failures', 'notify_autopilot_paused', 'notify_low_credits', 'notify_weekly_digest'];
+  const allowed = [
+    'notify_tweet_failures',
+    'notify_autopilot_paused',
+    'notify_low_credits',
+    'notify_weekly_digest',
+    'chat_provider',
+    'chat_webhook_url',
+    'chat_notify_tweet_failures',
+    'chat_notify_autopilot_paused',
+    'chat_notify_low_credits',
+    'chat_notify_weekly_digest',
+  ];
   const fields = [];
   const values = [];
   let i = 1;
@@ -99,6 +115,8 @@ export async function updateNotificationPrefs(userId, updates) {
   }
   if (fields.length === 0) return null;
 
+  // Make sure the row exists before updating it
+  await getNotificationPrefs(userId);
   values.push(userId);
   const result = await pool.query(
     `UPDATE email_notification_prefs SET ${fields.join(', ')}, updated_at = NOW() WHERE user_id = $${i} RETURNING *`,
@@ -117,17 +135,18 @@ export async function getNotificationPrefsForUser(userId) {
 // ── Cooldown Check ─────────────────────────────────────────────────────────
 
 /**
- * Check if we recently sent this type of email to this user (cooldown)
+ * Check if we recently sent this type of notification to this user on the
+ * given channel (cooldown)
  */
-async function isOnCooldown(userId, notificationType) {
+async function isOnCooldown(userId, notificationType, channel = 'email') {
   try {
     const cooldownHours = COOLDOWN_HOURS[notificationType] || 1;
     const result = await pool.query(
       `SELECT id FROM email_notification_log
-       WHERE user_id = $1 AND notification_type = $2
+       WHERE user_id = $1 AND notification_type = $2 AND channel = $4
          AND sent_at > NOW() - ($3 || ' hours')::INTERVAL
        LIMIT 1`,
-      [userId, notificationType, cooldownHours.toString()]
+      [userId, notificationType, cooldownHours.toString(), channel]
     );
     return result.rows.length > 0;
   } catch {
@@ -136,17 +155,17 @@ async function isOnCooldown(userId, notificationType) {
 }
 
 /**
- * Log that we sent an email
+ * Log that we sent a notification on a channel
  */
-async function logEmailSent(userId, notificationType, metadata = {}) {
+async function logNotificationSent(userId, notificationType, metadata = {}, channel = 'email') {
   try {
     await pool.query(
-      `INSERT INTO email_notification_log (user_id, notification_type, metadata)
-       VALUES ($1, $2, $3)`,
-      [userId, notificationType, JSON.stringify(metadata)]
+      `INSERT INTO email_notification_log (user_id, notification_type, metadata, channel)
+       VALUES ($1, $2, $3, $4)`,
+      [userId, notificationType, JSON.stringify(metadata), channel]
     );
   } catch (error) {
-    console.error('[EmailNotif] Error logging email:', error.message);
+    console.error('[EmailNotif] Error logging notification:', error.message);
   }
 }
 
@@ -189,6 +208,84 @@ async function getUserEmail(userId) {
   }
 }
 
+// ── Channels ───────────────────────────────────────────────────────────────
+
+// Notification type → preference suffix (`notify_<route>` / `chat_notify_<route>`)
+const EVENT_ROUTES = {
+  tweet_failed: 'tweet_failures',
+  tweet_partial: 'tweet_failures',
+  prompts_exhausted: 'autopilot_paused',
+  insufficient_credits: 'autopilot_paused',
+  credit_budget_exceeded: 'autopilot_paused',
+  credit_budget_warning: 'low_credits',
+  credit_budget_reached: 'low_credits',
+  low_credits: 'low_credits',
+  weekly_digest: 'weekly_digest',
+};
+
+/**
+ * Each channel decides from the prefs whether it wants an event and delivers
+ * its part of the notification ({ email, chat }). deliver() returns whether
+ * the notification counts as sent for cooldown purposes.
+ */
+const CHANNELS = {
+  email: {
+    isEnabled: (prefs, route) => prefs[`notify_${route}`] !== false,
+    deliver: async (userId, prefs, { email }) => {
+      const address = await getUserEmail(userId);
+      if (!address) return false;
+      await sendEmail(address, email.subject, email.html, email.text);
+      return true;
+    },
+  },
+  chat: {
+    isEnabled: (prefs, route) =>
+      Boolean(prefs.chat_provider && prefs.chat_webhook_url) && prefs[`chat_notify_${route}`] === true,
+    deliver: (userId, prefs, { chat }) =>
+      sendChatMessage({ provider: prefs.chat_provider, webhookUrl: prefs.chat_webhook_url, message: chat }),
+  },
+};
+
+const enabledChannels = (prefs, notificationType) => {
+  const route = EVENT_ROUTES[notificationType];
+  return Object.keys(CHANNELS).filter((channel) => CHANNELS[channel].isEnabled(prefs, route));
+};
+
+/**
+ * Send a notification on every channel the user routed this event to,
+ * honouring each channel's cooldown and logging each delivery.
+ */
+async function dispatchNotification(userId, prefs, notificationType, content, metadata = {}) {
+  for (const channel of enabledChannels(prefs, notificationType)) {
+    try {
+      if (await isOnCooldown(userId, notificationType, channel)) continue;
+      const sent = await CHANNELS[channel].deliver(userId, prefs, content);
+      if (sent) await logNotificationSent(userId, notificationType, metadata, channel);
+    } catch (error) {
+      console.error(`[EmailNotif] ${channel} delivery failed for ${notificationType}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Send a test message to the user's configured chat webhook.
+ * @returns {Promise<boolean>}
+ */
+export async function sendChatTestNotification(userId) {
+  const prefs = await getNotificationPrefs(userId);
+  if (!prefs.chat_provider || !prefs.chat_webhook_url) return false;
+  return sendChatMessage({
+    provider: prefs.chat_provider,
+    webhookUrl: prefs.chat_webhook_url,
+    message: {
+      title: `${PLATFORM_NAME} notifications connected`,
+      text: 'Tweet failures, autopilot pauses, low-credit warnings and weekly digests will be posted here.',
+      url: `${CLIENT_URL}/settings`,
+      level: 'info',
+    },
+  });
+}
+
 // ── Notification Functions ─────────────────────────────────────────────────
 
 /**
@@ -197,13 +294,8 @@ async function getUserEmail(userId) {
 export async function notifyTweetFailed(userId, { tweetId, content, errorMessage, isPartial = false }) {
   try {
     const prefs = await getNotificationPrefs(userId);
-    if (!prefs.notify_tweet_failures) return;
-
     const type = isPartial ? 'tweet_partial' : 'tweet_failed';
-    if (await isOnCooldown(userId, type)) return;
-
-    const email = await getUserEmail(userId);
-    if (!email) return;
+    if (enabledChannels(prefs, type).length === 0) return;
 
     const preview = (content || '').slice(0, 100) + ((content || '').length > 100 ? '...' : '');
     const subject = isPartial
@@ -234,8 +326,15 @@ export async function notifyTweetFailed(userId, { tweetId, content, errorMessage
 
     const text = `${isPartial ? 'Thread Partially Posted' : 'Tweet Failed to Post'}\n\nContent: ${preview}\n${errorMessage ? `Error: ${errorMessage}\n` : ''}\nCheck your calendar at ${CLIENT_URL}/calendar`;
 
-    await sendEmail(email, subject, html, text);
-    await logEmailSent(userId, type, { tweetId, errorMessage });
+    const chat = {
+      title: isPartial ? 'Thread partially posted' : 'Scheduled tweet failed to post',
+      text: preview,
+      fields: errorMessage ? [{ label: 'Error', value: errorMessage }] : [],
+      url: `${CLIENT_URL}/calendar`,
+      level: isPartial ? 'warning' : 'error',
+    };
+
+    await dispatchNotification(userId, prefs, type, { email: { subject, html, text }, chat }, { tweetId, errorMessage });
   } catch (error) {
     console.error('[EmailNotif] Error in notifyTweetFailed:', error.message);
   }
@@ -244,20 +343,44 @@ export async function notifyTweetFailed(userId, { tweetId, content, errorMessage
 /**
  * Send autopilot paused notification (prompts exhausted or credits)
  */
+// Why autopilot paused, and what gets it going again.
+const AUTOPILOT_PAUSE_COPY = {
+  prompts_exhausted: {
+    subject: 'all prompts used',
+    reason: 'All prompts have been used. Generate more prompts in Strategy Builder to continue.',
+    reasonText: 'All prompts used',
+    fixHtml: '<li>Go to <a href="' + CLIENT_URL + '/strategy" style="color: #2563eb;">Strategy Builder</a> and generate more prompts</li>',
+    fixText: 'Generate more prompts in Strategy Builder',
+    chat: 'All prompts have been used. Generate more prompts in Strategy Builder, then toggle Autopilot back on.',
+    path: 'strategy',
+  },
+  insufficient_credits: {
+    subject: 'insufficient credits',
+    reason: 'Insufficient credits to generate content. Purchase more credits to resume.',
+    reasonText: 'Insufficient credits',
+    fixHtml: '<li>Purchase more credits from your <a href="' + CLIENT_URL + '/settings" style="color: #2563eb;">account settings</a></li>',
+    fixText: 'Purchase more credits',
+    chat: 'Insufficient credits to generate content. Purchase more credits, then toggle Autopilot back on.',
+    path: 'settings',
+  },
+  credit_budget_exceeded: {
+    subject: 'monthly credit budget reached',
+    reason: 'The monthly credit budget for this strategy or its owner has been used up. Autopilot resumes on its own next month.',
+    reasonText: 'Monthly credit budget reached',
+    fixHtml: '<li>Raise the budget in <a href="' + CLIENT_URL + '/settings" style="color: #2563eb;">Settings → Credit Budgets</a>, or wait for next month</li>',
+    fixText: 'Raise the budget in Settings → Credit Budgets, or wait for next month',
+    chat: 'The monthly credit budget has been used up. Autopilot resumes next month, or raise the budget in Settings.',
+    path: 'settings',
+  },
+};
+
 export async function notifyAutopilotPaused(userId, { reason, strategyNiche }) {
   try {
     const prefs = await getNotificationPrefs(userId);
-    if (!prefs.notify_autopilot_paused) return;
-
-    if (await isOnCooldown(userId, reason)) return;
+    if (enabledChannels(prefs, reason).length === 0) return;
 
-    const email = await getUserEmail(userId);
-    if (!email) return;
-
-    const isPrompts = reason === 'prompts_exhausted';
-    const subject = isPrompts
-      ? `⏸️ Autopilot paused — all prompts used — ${PLATFORM_NAME}`
-      : `⏸️ Autopilot paused — insufficient credits — ${PLATFORM_NAME}`;
+    const copy = AUTOPILOT_PAUSE_COPY[reason] || AUTOPILOT_PAUSE_COPY.insufficient_credits;
+    const subject = `⏸️ Autopilot paused — ${copy.subject} — ${PLATFORM_NAME}`;
 
     const html = wrapHtmlTemplate(`
       <h2 style="color: #d97706; margin: 0 0 16px 0;">
@@ -268,26 +391,28 @@ export async function notifyAutopilotPaused(userId, { reason, strategyNiche }) {
       </p>
       <div style="background: #fffbeb; border: 1px solid #fde68a; border-radius: 8px; padding: 16px; margin: 16px 0;">
         <p style="color: #92400e; font-size: 14px; margin: 0;">
-          <strong>Reason:</strong> ${isPrompts
-            ? 'All prompts have been used. Generate more prompts in Strategy Builder to continue.'
-            : 'Insufficient credits to generate content. Purchase more credits to resume.'}
+          <strong>Reason:</strong> ${copy.reason}
         </p>
       </div>
       <p style="color: #374151; font-size: 14px; line-height: 1.6;">
         <strong>To resume:</strong>
       </p>
       <ol style="color: #374151; font-size: 14px; line-height: 1.8; padding-left: 20px;">
-        ${isPrompts
-          ? '<li>Go to <a href="' + CLIENT_URL + '/strategy" style="color: #2563eb;">Strategy Builder</a> and generate more prompts</li>'
-          : '<li>Purchase more credits from your <a href="' + CLIENT_URL + '/settings" style="color: #2563eb;">account settings</a></li>'}
+        ${copy.fixHtml}
         <li>Toggle Autopilot off and back on in <a href="${CLIENT_URL}/settings" style="color: #2563eb;">Settings</a></li>
       </ol>
     `);
 
-    const text = `Autopilot Paused\n\nYour autopilot for "${strategyNiche || 'strategy'}" has been paused.\nReason: ${isPrompts ? 'All prompts used' : 'Insufficient credits'}\n\nTo resume:\n${isPrompts ? '1. Generate more prompts in Strategy Builder\n' : '1. Purchase more credits\n'}2. Toggle Autopilot off and back on in Settings\n\n${CLIENT_URL}/settings`;
+    const text = `Autopilot Paused\n\nYour autopilot for "${strategyNiche || 'strategy'}" has been paused.\nReason: ${copy.reasonText}\n\nTo resume:\n1. ${copy.fixText}\n2. Toggle Autopilot off and back on in Settings\n\n${CLIENT_URL}/settings`;
 
-    await sendEmail(email, subject, html, text);
-    await logEmailSent(userId, reason, { strategyNiche });
+    const chat = {
+      title: `Autopilot paused for ${strategyNiche || 'your strategy'}`,
+      text: copy.chat,
+      url: `${CLIENT_URL}/${copy.path}`,
+      level: 'warning',
+    };
+
+    await dispatchNotification(userId, prefs, reason, { email: { subject, html, text }, chat }, { strategyNiche });
   } catch (error) {
     console.error('[EmailNotif] Error in notifyAutopilotPaused:', error.message);
   }
@@ -299,12 +424,7 @@ export async function notifyAutopilotPaused(userId, { reason, strategyNiche }) {
 export async function notifyLowCredits(userId, { creditsRemaining, threshold = 5 }) {
   try {
     const prefs = await getNotificationPrefs(userId);
-    if (!prefs.notify_low_credits) return;
-
-    if (await isOnCooldown(userId, 'low_credits')) return;
-
-    const email = await getUserEmail(userId);
-    if (!email) return;
+    if (enabledChannels(prefs, 'low_credits').length === 0) return;
 
     const subject = `⚠️ Low credit balance (${creditsRemaining} remaining) — ${PLATFORM_NAME}`;
 
@@ -332,25 +452,76 @@ export async function notifyLowCredits(userId, { creditsRemaining, threshold = 5
 
     const text = `Low Credit Balance\n\nYou have ${creditsRemaining} credits remaining.\nEach autopilot generation uses 1.2 credits.\nYou can generate approximately ${Math.floor(creditsRemaining / 1.2)} more posts.\n\n${CLIENT_URL}/settings`;
 
-    await sendEmail(email, subject, html, text);
-    await logEmailSent(userId, 'low_credits', { creditsRemaining });
+    const chat = {
+      title: `Low credit balance: ${creditsRemaining} remaining`,
+      text: `About ${Math.floor(creditsRemaining / 1.2)} more autopilot posts before credits run out and autopilot pauses.`,
+      url: `${CLIENT_URL}/settings`,
+      level: 'warning',
+    };
+
+    await dispatchNotification(userId, prefs, 'low_credits', { email: { subject, html, text }, chat }, { creditsRemaining });
   } catch (error) {
     console.error('[EmailNotif] Error in notifyLowCredits:', error.message);
   }
 }
 
 /**
- * Send weekly digest email
+ * Send a credit budget warning: a threshold of a member's or strategy's
+ * monthly budget was crossed (threshold 100 = the budget is used up).
  */
-export async function sendWeeklyDigest(userId) {
+export async function notifyCreditBudgetWarning(userId, { scope_type: scopeType, scope_label: scopeLabel, spent, monthly_limit: limit, hard_stop: hardStop, threshold }) {
   try {
+    // Separate types so a "used up" notice isn't swallowed by the cooldown of an earlier warning.
+    const reached = threshold >= 100;
+    const notificationType = reached ? 'credit_budget_reached' : 'credit_budget_warning';
     const prefs = await getNotificationPrefs(userId);
-    if (!prefs.notify_weekly_digest) return;
+    if (enabledChannels(prefs, notificationType).length === 0) return;
+
+    const target = `${scopeType === 'member' ? 'member' : 'strategy'} ${scopeLabel || ''}`.trim();
+    const headline = reached ? 'Credit budget used up' : `Credit budget ${threshold}% used`;
+    const consequence = reached
+      ? (hardStop
+        ? 'Further AI usage against this budget is blocked until next month.'
+        : 'This budget has no hard stop, so usage continues above the limit.')
+      : `Once the budget is used up, ${hardStop ? 'AI usage against it stops until next month' : 'usage continues above the limit'}.`;
+
+    const subject = `⚠️ ${headline} for ${target} — ${PLATFORM_NAME}`;
+
+    const html = wrapHtmlTemplate(`
+      <h2 style="color: #d97706; margin: 0 0 16px 0;">
+        ⚠️ ${headline}
+      </h2>
+      <p style="color: #374151; font-size: 15px; line-height: 1.6;">
+        The monthly credit budget for <strong>${escapeHtml(target)}</strong> has used
+        <strong>${spent}</strong> of <strong>${limit}</strong> credits.
+      </p>
+      <p style="color: #6b7280; font-size: 13px; margin-top: 16px;">
+        ${consequence} Adjust budgets in <a href="${CLIENT_URL}/settings" style="color: #2563eb;">Settings</a>.
+      </p>
+    `);
 
-    if (await isOnCooldown(userId, 'weekly_digest')) return;
+    const text = `${headline}\n\nThe monthly credit budget for ${target} has used ${spent} of ${limit} credits.\n${consequence}\n\n${CLIENT_URL}/settings`;
 
-    const email = await getUserEmail(userId);
-    if (!email) return;
+    const chat = {
+      title: `${headline} for ${target}`,
+      text: `${spent} of ${limit} credits used this month. ${consequence}`,
+      url: `${CLIENT_URL}/settings`,
+      level: 'warning',
+    };
+
+    await dispatchNotification(userId, prefs, notificationType, { email: { subject, html, text }, chat }, { scopeType, spent, limit, threshold });
+  } catch (error) {
+    console.error('[EmailNotif] Error in notifyCreditBudgetWarning:', error.message);
+  }
+}
+
+/**
+ * Send weekly digest email
+ */
+export async function sendWeeklyDigest(userId) {
+  try {
+    const prefs = await getNotificationPrefs(userId);
+    if (enabledChannels(prefs, 'weekly_digest').length === 0) return;
 
     // Gather stats for the past 7 days
     const [postsResult, failedResult, generatedResult, creditsResult] = await Promise.all([
@@ -423,8 +594,26 @@ export async function sendWeeklyDigest(userId) {
 
     const text = `Weekly Summary\n\nPosted: ${posted}\nFailed: ${failed}\nGenerated by Autopilot: ${generated}\nCredits remaining: ${credits}\n\n${CLIENT_URL}/calendar`;
 
-    await sendEmail(email, subject, html, text);
-    await logEmailSent(userId, 'weekly_digest', { posted, failed, generated, credits });
+    const chat = {
+      title: 'Weekly summary',
+      text: failed > 0 ? `${failed} tweet(s) failed or partially posted this week.` : 'Here is how your tweets did this past week.',
+      fields: [
+        { label: 'Posted', value: posted },
+        { label: 'Failed', value: failed },
+        { label: 'Generated', value: generated },
+        { label: 'Credits remaining', value: credits },
+      ],
+      url: `${CLIENT_URL}/calendar`,
+      level: 'info',
+    };
+
+    await dispatchNotification(
+      userId,
+      prefs,
+      'weekly_digest',
+      { email: { subject, html, text }, chat },
+      { posted, failed, generated, credits }
+    );
   } catch (error) {
     console.error('[EmailNotif] Error in sendWeeklyDigest:', error.message);
   }
@@ -488,6 +677,10 @@ export async function checkAndNotifyLowCredits(userId) {
     const credits = parseFloat(result.rows[0]?.credits_remaining || 0);
     if (credits > 0 && credits <= LOW_CREDIT_THRESHOLD) {
       await notifyLowCredits(userId, { creditsRemaining: credits });
+      await emitWebhookEvent('credits.low', {
+        userId,
+        data: { credits_remaining: credits, threshold: LOW_CREDIT_THRESHOLD },
+      });
     }
   } catch (error) {
     console.error('[EmailNotif] Error checking low credits:', error.message);
@@ -537,9 +730,11 @@ export default {
   notifyTweetFailed,
   notifyAutopilotPaused,
   notifyLowCredits,
+  notifyCreditBudgetWarning,
   checkAndNotifyLowCredits,
   sendWeeklyDigest,
   sendAllWeeklyDigests,
   updateNotificationPrefs,
   getNotificationPrefsForUser,
+  sendChatTestNotification,
 };
@@ -0,0 +1,453 @@
+// Evergreen Recycling Service
+// Handles: marking posted tweets as evergreen, per-account recycling cadence,
+// and re-queueing AI-reworded variants into scheduled_tweets.
+import moment from 'moment-timezone';
+import pool from '../config/database.js';
+import { aiService } from './aiService.js';
+import { deductBudgetedCredits, refundBudgetedCredits } from './creditBudgetService.js';
+import { scheduledTweetService } from './scheduledTweetService.js';
+import { getTwitterPostingPreferences } from '../utils/twitterPostingPreferences.js';
+
+// ─── Constants ──────────────────────────────────────────────────────────────
+const EVERGREEN_REWORD_CREDIT_COST = 1.2;
+const EVERGREEN_QUEUE_AHEAD_HOURS = Number.parseInt(process.env.EVERGREEN_QUEUE_AHEAD_HOURS || '12', 10);
+const EVERGREEN_TICK_LIMIT = Number.parseInt(process.env.EVERGREEN_TICK_LIMIT || '10', 10);
+const EVERGREEN_MIN_LEAD_MINUTES = 10;
+const MIN_CADENCE_DAYS = 1;
+const MAX_CADENCE_DAYS = 90;
+const MIN_GAP_DAYS = 7;
+const MAX_GAP_DAYS = 365;
+const MAX_ERROR_LENGTH = 500;
+
+const clampInt = (value, min, max, fallback) => {
+  const parsed = Number.parseInt(value, 10);
+  if (!Number.isFinite(parsed)) return fallback;
+  return Math.min(max, Math.max(min, parsed));
+};
+
+const normalizeContent = (value) =>
+  String(value || '')
+    .toLowerCase()
+    .replace(/https?:\/\/\S+/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+/**
+ * Compute the next recycle slot: `cadenceDays` after `fromDate`, snapped to
+ * `postHour` in the account timezone, and never in the past.
+ * @returns {Date}
+ */
+export function computeNextEvergreenRunAt({ fromDate = new Date(), cadenceDays = 0, postHour = 10, timezone = 'UTC', now = new Date() }) {
+  const tz = timezone && moment.tz.zone(timezone) ? timezone : 'UTC';
+  const hour = clampInt(postHour, 0, 23, 10);
+  let candidate = moment(fromDate).tz(tz).add(Math.max(0, cadenceDays), 'days')
+    .hour(hour).minute(0).second(0).millisecond(0);
+
+  const nowMoment = moment(now).tz(tz);
+  while (candidate.isBefore(nowMoment)) {
+    candidate = candidate.add(1, 'day');
+  }
+  return candidate.toDate();
+}
+
+const buildTweetScopeClause = (scope, startIndex = 1) => {
+  if (scope.mode === 'team') {
+    return {
+      clause: `t.account_id::text = $${startIndex}`,
+      params: [String(scope.accountId)],
+    };
+  }
+  return {
+    clause: `t.user_id = $${startIndex}
+         AND t.author_id::text = $${startIndex + 1}
+         AND (t.account_id IS NULL OR t.account_id::text = '0')`,
+    params: [scope.userId, String(scope.authorId || '')],
+  };
+};
+
+const buildSettingsScopeClause = (scope, startIndex = 1) => {
+  if (scope.mode === 'team') {
+    return {
+      clause: `account_id = $${startIndex}`,
+      params: [String(scope.accountId)],
+    };
+  }
+  return {
+    clause: `account_id IS NULL AND user_id = $${startIndex} AND author_id = $${startIndex + 1}`,
+    params: [scope.userId, String(scope.authorId || '')],
+  };
+};
+
+class EvergreenService {
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // Evergreen flags
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Mark or unmark a posted tweet as evergreen. The tweet must belong to the scope.
+   * @returns {Promise<Object|null>} Updated tweet row or null when not found
+   */
+  async setEvergreen(scope, tweetId, isEvergreen) {
+    const { clause, params } = buildTweetScopeClause(scope, 3);
+    const { rows } = await pool.query(
+      `UPDATE tweets t
+       SET is_evergreen = $1,
+           evergreen_marked_at = CASE WHEN $1 THEN COALESCE(t.evergreen_marked_at, CURRENT_TIMESTAMP) ELSE NULL END,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE t.id::text = $2
+         AND t.status = 'posted'
+         AND ${clause}
+       RETURNING t.id, t.content, t.is_evergreen, t.evergreen_marked_at, t.last_recycled_at, t.recycle_count`,
+      [Boolean(isEvergreen), String(tweetId), ...params]
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * List evergreen tweets for the scope, oldest-recycled first.
+   */
+  async listEvergreen(scope) {
+    const { clause, params } = buildTweetScopeClause(scope, 1);
+    const { rows } = await pool.query(
+      `SELECT t.id, t.tweet_id, t.content, t.impressions, t.likes, t.retweets, t.replies,
+              t.performance_score, t.performance_ratio, t.evergreen_marked_at,
+              t.last_recycled_at, COALESCE(t.recycle_count, 0) AS recycle_count, t.created_at
+       FROM tweets t
+       WHERE t.is_evergreen = true
+         AND t.status = 'posted'
+         AND ${clause}
+       ORDER BY t.last_recycled_at ASC NULLS FIRST, t.performance_ratio DESC NULLS LAST`,
+      params
+    );
+    return rows;
+  }
+
+  /**
+   * Suggest top-performing posted tweets that are not yet evergreen.
+   */
+  async getCandidates(scope, limit = 10) {
+    const { clause, params } = buildTweetScopeClause(scope, 1);
+    const safeLimit = clampInt(limit, 1, 50, 10);
+    const { rows } = await pool.query(
+      `SELECT t.id, t.tweet_id, t.content, t.impressions, t.likes, t.retweets, t.replies,
+              t.performance_score, t.performance_ratio, t.created_at,
+              (COALESCE(t.likes, 0) + COALESCE(t.retweets, 0) + COALESCE(t.replies, 0)
+                + COALESCE(t.quote_count, 0) + COALESCE(t.bookmark_count, 0)) AS engagement
+       FROM tweets t
+       WHERE COALESCE(t.is_evergreen, false) = false
+         AND t.status = 'posted'
+         AND COALESCE(t.is_thread, false) = false
+         AND ${clause}
+         AND (t.performance_score = 'above_average' OR COALESCE(t.impressions, 0) > 0)
+       ORDER BY t.performance_ratio DESC NULLS LAST, engagement DESC
+       LIMIT $${params.length + 1}`,
+      [...params, safeLimit]
+    );
+    return rows;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // Per-account cadence settings
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  async getSettings(scope) {
+    const { clause, params } = buildSettingsScopeClause(scope, 1);
+    const { rows } = await pool.query(
+      `SELECT * FROM evergreen_settings WHERE ${clause} LIMIT 1`,
+      params
+    );
+    if (rows[0]) return rows[0];
+
+    return {
+      id: null,
+      is_enabled: false,
+      cadence_days: 7,
+      min_gap_days: 30,
+      post_hour: 10,
+      timezone: 'UTC',
+      last_queued_at: null,
+      next_run_at: null,
+      last_error: null,
+    };
+  }
+
+  /**
+   * Create or update the cadence for the scope. Enabling (or changing the
+   * cadence) recomputes next_run_at from the last queued post.
+   */
+  async updateSettings(scope, updates = {}) {
+    const current = await this.getSettings(scope);
+    const timezone = updates.timezone && moment.tz.zone(updates.timezone)
+      ? updates.timezone
+      : (current.timezone || 'UTC');
+    const next = {
+      is_enabled: updates.is_enabled === undefined ? Boolean(current.is_enabled) : Boolean(updates.is_enabled),
+      cadence_days: clampInt(updates.cadence_days ?? current.cadence_days, MIN_CADENCE_DAYS, MAX_CADENCE_DAYS, 7),
+      min_gap_days: clampInt(updates.min_gap_days ?? current.min_gap_days, MIN_GAP_DAYS, MAX_GAP_DAYS, 30),
+      post_hour: clampInt(updates.post_hour ?? current.post_hour, 0, 23, 10),
+      timezone,
+    };
+
+    const nextRunAt = next.is_enabled
+      ? computeNextEvergreenRunAt({
+          fromDate: current.last_queued_at || new Date(),
+          cadenceDays: current.last_queued_at ? next.cadence_days : 0,
+          postHour: next.post_hour,
+          timezone: next.timezone,
+        })
+      : null;
+
+    if (current.id) {
+      const { rows } = await pool.query(
+        `UPDATE evergreen_settings
+         SET is_enabled = $1, cadence_days = $2, min_gap_days = $3, post_hour = $4,
+             timezone = $5, next_run_at = $6, last_error = NULL, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $7
+         RETURNING *`,
+        [next.is_enabled, next.cadence_days, next.min_gap_days, next.post_hour, next.timezone, nextRunAt, current.id]
+      );
+      return rows[0];
+    }
+
+    const { rows } = await pool.query(
+      `INSERT INTO evergreen_settings
+         (user_id, team_id, account_id, author_id, is_enabled, cadence_days, min_gap_days, post_hour, timezone, next_run_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING *`,
+      [
+        scope.userId,
+        scope.teamId,
+        scope.mode === 'team' ? String(scope.accountId) : null,
+        scope.authorId ? String(scope.authorId) : null,
+        next.is_enabled,
+        next.cadence_days,
+        next.min_gap_days,
+        next.post_hour,
+        next.timezone,
+        nextRunAt,
+      ]
+    );
+    return rows[0];
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // Recycling
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Reword an evergreen tweet so X doesn't reject it as a duplicate.
+   */
+  async rewordTweet(content, { userId, charLimit = 280 }) {
+    const prompt = `Rewrite the following tweet so it keeps the same core message and value, but uses a fresh hook and different wording. It will be reposted, so it must not read as a copy of the original.
+
+Rules:
+- Maximum ${charLimit} characters
+- Keep any links, @mentions and hashtags that matter to the message
+- Output only the rewritten tweet, no explanations or quotes
+
+Original tweet:
+${content}`;
+
+    const result = await aiService.generateContent(prompt, 'casual', 2, null, userId);
+    const reworded = String(result?.content || '').trim();
+
+    if (!reworded) {
+      throw new Error('AI returned an empty rewrite');
+    }
+    if (reworded.length > charLimit) {
+      throw new Error(`Rewrite exceeds ${charLimit} characters`);
+    }
+    if (normalizeContent(reworded) === normalizeContent(content)) {
+      throw new Error('Rewrite is identical to the original tweet');
+    }
+    return reworded;
+  }
+
+  /**
+   * Pick the next evergreen tweet for a settings row: never recycled or the
+   * longest since last recycle, outside the min gap window.
+   */
+  async pickNextTweet(settings) {
+    const scope = this.scopeFromSettings(settings);
+    const { clause, params } = buildTweetScopeClause(scope, 2);
+    const { rows } = await pool.query(
+      `SELECT t.id, t.content, t.media_urls
+       FROM tweets t
+       WHERE t.is_evergreen = true
+         AND t.status = 'posted'
+         AND COALESCE(t.is_thread, false) = false
+         AND (
+           t.last_recycled_at IS NULL
+           OR t.last_recycled_at < (CURRENT_TIMESTAMP AT TIME ZONE 'UTC') - ($1::int * INTERVAL '1 day')
+         )
+         AND ${clause}
+       ORDER BY t.last_recycled_at ASC NULLS FIRST, t.performance_ratio DESC NULLS LAST
+       LIMIT 1`,
+      [settings.min_gap_days || 30, ...params]
+    );
+    return rows[0] || null;
+  }
+
+  scopeFromSettings(settings) {
+    return settings.account_id
+      ? { mode: 'team', userId: settings.user_id, teamId: settings.team_id, accountId: settings.account_id, authorId: settings.author_id }
+      : { mode: 'personal', userId: settings.user_id, teamId: null, accountId: null, authorId: settings.author_id };
+  }
+
+  async hasPendingRecycle(settings) {
+    const scopeClause = settings.account_id
+      ? 'account_id::text = $1'
+      : '(account_id IS NULL AND user_id = $1 AND author_id::text = $2)';
+    const params = settings.account_id
+      ? [String(settings.account_id)]
+      : [settings.user_id, String(settings.author_id || '')];
+    const { rows } = await pool.query(
+      `SELECT 1 FROM scheduled_tweets
+       WHERE source = 'evergreen'
+         AND status IN ('pending', 'processing')
+         AND ${scopeClause}
+       LIMIT 1`,
+      params
+    );
+    return rows.length > 0;
+  }
+
+  /**
+   * Queue one reworded evergreen post for a due settings row.
+   * @returns {Promise<{queued: boolean, reason?: string, scheduledId?: string}>}
+   */
+  async recycleForSettings(settings) {
+    const scheduledFor = new Date(Math.max(
+      new Date(settings.next_run_at || Date.now()).getTime(),
+      Date.now() + EVERGREEN_MIN_LEAD_MINUTES * 60 * 1000
+    ));
+    const advance = async (lastError = null, queued = false) => {
+      const nextRunAt = computeNextEvergreenRunAt({
+        fromDate: scheduledFor,
+        cadenceDays: settings.cadence_days || 7,
+        postHour: settings.post_hour,
+        timezone: settings.timezone,
+      });
+      await pool.query(
+        `UPDATE evergreen_settings
+         SET next_run_at = $1,
+             last_queued_at = CASE WHEN $2 THEN CURRENT_TIMESTAMP ELSE last_queued_at END,
+             last_error = $3,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $4`,
+        [nextRunAt, queued, lastError ? String(lastError).slice(0, MAX_ERROR_LENGTH) : null, settings.id]
+      );
+    };
+
+    if (await this.hasPendingRecycle(settings)) {
+      return { queued: false, reason: 'pending_recycle_exists' };
+    }
+
+    const tweet = await this.pickNextTweet(settings);
+    if (!tweet) {
+      await advance('No evergreen tweets are eligible for recycling yet.');
+      return { queued: false, reason: 'no_eligible_tweets' };
+    }
+
+    const spend = { userId: settings.user_id, teamId: settings.team_id || null, amount: EVERGREEN_REWORD_CREDIT_COST };
+    const creditCheck = await deductBudgetedCredits({ ...spend, operation: 'evergreen_reword' });
+    if (!creditCheck.success) {
+      await advance(creditCheck.code ? creditCheck.error : 'Insufficient credits to reword evergreen tweet.');
+      return { queued: false, reason: 'insufficient_credits' };
+    }
+
+    let scheduled;
+    try {
+      const preferences = await getTwitterPostingPreferences({
+        userId: settings.user_id,
+        accountId: settings.account_id,
+        isTeamAccount: Boolean(settings.account_id),
+      });
+      const reworded = await this.rewordTweet(tweet.content, {
+        userId: settings.user_id,
+        charLimit: preferences.x_char_limit,
+      });
+
+      let mediaUrls = tweet.media_urls;
+      if (typeof mediaUrls === 'string') {
+        try { mediaUrls = JSON.parse(mediaUrls); } catch { mediaUrls = []; }
+      }
+
+      scheduled = await scheduledTweetService.scheduleTweets({
+        userId: settings.user_id,
+        tweets: [reworded],
+        options: {
+          scheduledFor,
+          timezone: settings.timezone || 'UTC',
+          mediaUrls: Array.isArray(mediaUrls) ? mediaUrls.filter(Boolean) : [],
+          teamId: settings.team_id || null,
+          accountId: settings.account_id || null,
+          authorId: settings.author_id || null,
+          source: 'evergreen',
+          metadata: {
+            evergreen: {
+              source_tweet_id: tweet.id,
+              original_content: tweet.content,
+              queued_at: new Date().toISOString(),
+            },
+          },
+        },
+      });
+    } catch (error) {
+      try {
+        await refundBudgetedCredits({ ...spend, reason: 'evergreen_reword_failed' });
+      } catch (refundErr) {
+        console.error('[Evergreen] Failed to refund credits:', refundErr.message);
+      }
+      await advance(error.message);
+      throw error;
+    }
+
+    await pool.query(
+      `UPDATE tweets
+       SET last_recycled_at = CURRENT_TIMESTAMP,
+           recycle_count = COALESCE(recycle_count, 0) + 1
+       WHERE id = $1`,
+      [tweet.id]
+    );
+    await advance(null, true);
+
+    console.log(`[Evergreen] Queued recycle of tweet=${tweet.id} as scheduled=${scheduled.scheduledId} for ${scheduledFor.toISOString()}`);
+    return { queued: true, scheduledId: scheduled.scheduledId, sourceTweetId: tweet.id };
+  }
+
+  /**
+   * Queue recycled posts for every enabled account whose next slot is within
+   * the look-ahead window. Called from the DB scheduler worker.
+   */
+  async runEvergreenTick() {
+    const aheadHours = Number.isFinite(EVERGREEN_QUEUE_AHEAD_HOURS) && EVERGREEN_QUEUE_AHEAD_HOURS >= 0
+      ? EVERGREEN_QUEUE_AHEAD_HOURS
+      : 12;
+    const { rows: due } = await pool.query(
+      `SELECT * FROM evergreen_settings
+       WHERE is_enabled = true
+         AND next_run_at IS NOT NULL
+         AND next_run_at <= (CURRENT_TIMESTAMP AT TIME ZONE 'UTC') + ($1::int * INTERVAL '1 hour')
+       ORDER BY next_run_at ASC
+       LIMIT $2`,
+      [aheadHours, EVERGREEN_TICK_LIMIT]
+    );
+
+    const summary = { due: due.length, queued: 0, skipped: 0, errors: 0 };
+    for (const settings of due) {
+      try {
+        const result = await this.recycleForSettings(settings);
+        if (result.queued) summary.queued++;
+        else summary.skipped++;
+      } catch (error) {
+        summary.errors++;
+        console.error(`[Evergreen] Recycle failed for settings=${settings.id}:`, error.message);
+      }
+    }
+    return summary;
+  }
+}
+
+export const evergreenService = new EvergreenService();
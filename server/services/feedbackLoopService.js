@@ -2,11 +2,15 @@
 // Handles: tweet performance scoring, weekly summaries, strategy auto-updates,
 // deferred analytics sync scheduling, and informed generation data.
 import pool from '../config/database.js';
+import { pickWinner } from './abTestService.js';
 
 // ─── Constants ──────────────────────────────────────────────────────────────
 const MIN_TWEETS_FOR_SCORING = 3;
 const WEEKS_FOR_AUTO_UPDATE = 3;
 const DEFERRED_SYNC_DELAY_HOURS = 24;
+const AB_TEST_MIN_HOURS_AFTER_POST = Number.parseInt(process.env.AB_TEST_MIN_HOURS_AFTER_POST || '24', 10);
+const AB_TEST_MAX_DAYS_AFTER_POST = 7;
+const MAX_WINNING_HOOKS = 5;
 
 class FeedbackLoopService {
 
@@ -406,6 +410,9 @@ class FeedbackLoopService {
       case 'posting_time':
         cache.best_hours = newValue;
         break;
+      case 'winning_hooks':
+        cache.winning_hooks = newValue;
+        break;
     }
 
     metadata.analysis_cache = cache;
@@ -518,6 +525,24 @@ class FeedbackLoopService {
       }
     }
 
+    // A/B hook test winners
+    const { rows: abWinners } = await pool.query(
+      `SELECT cv.content, t.winner_reason
+       FROM ab_tests t
+       JOIN content_variations cv ON cv.id = t.winner_variation_id
+       WHERE t.strategy_id = $1 AND t.status = 'completed'
+       ORDER BY t.decided_at DESC
+       LIMIT 3`,
+      [strategyId]
+    );
+    if (abWinners.length > 0) {
+      lines.push(`\nHOOKS THAT WON A/B TESTS:`);
+      for (const w of abWinners) {
+        const hook = (w.content || '').split('\n')[0].slice(0, 100);
+        lines.push(`- "${hook}" (${w.winner_reason})`);
+      }
+    }
+
     // Strategy adjustments
     if (recentUpdates.length > 0) {
       lines.push(`\nRECENT STRATEGY ADJUSTMENTS:`);
@@ -531,6 +556,146 @@ class FeedbackLoopService {
     return lines.join('\n');
   }
 
+  // ═══════════════════════════════════════════════════════════════════════════
+  // A/B hook tests — pick winners from synced metrics
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Copy the latest synced metrics from tweets onto each posted variant.
+   */
+  async refreshVariationMetrics(testId) {
+    const { rows } = await pool.query(
+      `UPDATE content_variations cv
+       SET impressions = COALESCE(t.impressions, 0),
+           engagement = COALESCE(t.likes, 0) + COALESCE(t.retweets, 0) + COALESCE(t.replies, 0)
+             + COALESCE(t.quote_count, 0) + COALESCE(t.bookmark_count, 0),
+           avg_engagement_rate = CASE
+             WHEN COALESCE(t.impressions, 0) > 0 THEN LEAST(999.99, ROUND(
+               ((COALESCE(t.likes, 0) + COALESCE(t.retweets, 0) + COALESCE(t.replies, 0)
+                 + COALESCE(t.quote_count, 0) + COALESCE(t.bookmark_count, 0))::numeric
+                 / t.impressions) * 100, 2))
+             ELSE 0
+           END,
+           metrics_updated_at = CASE WHEN t.analytics_fetched_at IS NOT NULL THEN NOW() ELSE cv.metrics_updated_at END
+       FROM tweets t
+       WHERE cv.test_id = $1
+         AND cv.posted_tweet_id IS NOT NULL
+         AND t.tweet_id = cv.posted_tweet_id
+       RETURNING cv.*`,
+      [testId]
+    );
+    return rows;
+  }
+
+  /**
+   * Decide a single running test once every variant has posted (or dropped out)
+   * and the last one has been live for AB_TEST_MIN_HOURS_AFTER_POST.
+   */
+  async evaluateAbTest(test) {
+    const { rows: variations } = await pool.query(
+      `SELECT cv.*, st.status AS scheduled_status
+       FROM content_variations cv
+       LEFT JOIN scheduled_tweets st ON st.id = cv.scheduled_tweet_id
+       WHERE cv.test_id = $1`,
+      [test.id]
+    );
+    if (variations.length === 0) return { testId: test.id, status: 'skipped' };
+
+    const stillScheduled = variations.some(
+      (v) => !v.posted_tweet_id && ['pending', 'processing'].includes(v.scheduled_status)
+    );
+    if (stillScheduled) return { testId: test.id, status: 'waiting_for_posts' };
+
+    const postedTimes = variations
+      .filter((v) => v.posted_at)
+      .map((v) => new Date(v.posted_at).getTime());
+    if (postedTimes.length < 2) {
+      await pool.query(
+        `UPDATE ab_tests SET status = 'cancelled', winner_reason = $1, decided_at = NOW() WHERE id = $2`,
+        ['Fewer than two variants were posted', test.id]
+      );
+      return { testId: test.id, status: 'cancelled' };
+    }
+
+    const lastPostedAt = Math.max(...postedTimes);
+    const hoursLive = (Date.now() - lastPostedAt) / (60 * 60 * 1000);
+    if (hoursLive < AB_TEST_MIN_HOURS_AFTER_POST) return { testId: test.id, status: 'waiting_for_metrics' };
+
+    const refreshed = await this.refreshVariationMetrics(test.id);
+    const byId = new Map(refreshed.map((v) => [v.id, v]));
+    const current = variations.map((v) => byId.get(v.id) || v);
+    const { winner, reason } = pickWinner(current);
+
+    if (!winner) {
+      if (hoursLive < AB_TEST_MAX_DAYS_AFTER_POST * 24) {
+        return { testId: test.id, status: 'waiting_for_metrics', reason };
+      }
+      await pool.query(
+        `UPDATE ab_tests SET status = 'inconclusive', winner_reason = $1, decided_at = NOW() WHERE id = $2`,
+        [reason, test.id]
+      );
+      return { testId: test.id, status: 'inconclusive', reason };
+    }
+
+    await pool.query('UPDATE content_variations SET is_primary = (id = $1) WHERE test_id = $2', [winner.id, test.id]);
+    await pool.query(
+      `UPDATE ab_tests
+       SET status = 'completed', winner_variation_id = $1, winner_reason = $2, decided_at = NOW()
+       WHERE id = $3`,
+      [winner.id, reason, test.id]
+    );
+
+    if (test.strategy_id) {
+      await this.recordWinningHook(test.strategy_id, winner, reason);
+    }
+
+    console.log(`[FeedbackLoop] A/B test=${test.id} decided: ${reason}`);
+    return { testId: test.id, status: 'completed', winnerId: winner.id, reason };
+  }
+
+  /**
+   * Keep the most recent winning hooks in the strategy analysis cache so
+   * generation prompts can lean on them.
+   */
+  async recordWinningHook(strategyId, winner, reason) {
+    const { rows: [strategy] } = await pool.query(
+      'SELECT metadata FROM user_strategies WHERE id = $1',
+      [strategyId]
+    );
+    if (!strategy) return;
+
+    const previous = strategy.metadata?.analysis_cache?.winning_hooks || [];
+    const hook = (winner.content || '').split('\n')[0].trim().slice(0, 200);
+    if (!hook) return;
+    const next = [hook, ...previous.filter((h) => h !== hook)].slice(0, MAX_WINNING_HOOKS);
+
+    await this.applyStrategyUpdate(strategyId, 'winning_hooks', previous, next, reason, 0);
+  }
+
+  /**
+   * Evaluate all running A/B tests. Called from the DB scheduler worker.
+   */
+  async evaluateAbTests() {
+    const { rows: running } = await pool.query(
+      `SELECT * FROM ab_tests
+       WHERE status = 'running'
+       ORDER BY created_at ASC
+       LIMIT 50`
+    );
+
+    const summary = { running: running.length, completed: 0, inconclusive: 0, cancelled: 0, errors: 0 };
+    for (const test of running) {
+      try {
+        const result = await this.evaluateAbTest(test);
+        if (summary[result.status] !== undefined) summary[result.status]++;
+      } catch (err) {
+        summary.errors++;
+        console.error(`[FeedbackLoop] A/B evaluation failed for test=${test.id}:`, err.message);
+      }
+    }
+    return summary;
+  }
+
   // ═══════════════════════════════════════════════════════════════════════════
   // Deferred analytics sync
   // ═══════════════════════════════════════════════════════════════════════════
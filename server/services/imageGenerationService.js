@@ -1,34 +1,17 @@
 import { GoogleGenAI } from '@google/genai';
 import { v4 as uuidv4 } from 'uuid';
 import { logger } from '../utils/logger.js';
+import { consumePolicy } from './rateLimitService.js';
 
-// Simple rate limiter
-const rateLimits = new Map();
-function checkImageRateLimit(userId) {
+// Hourly image quota per user, counted in the shared rate-limit store
+async function checkImageRateLimit(userId, planType) {
   if (!userId) return { allowed: true };
-  
-  const key = userId;
-  const now = Date.now();
-  const limit = { maxRequests: 10, windowMs: 60 * 60 * 1000 }; // 10 images/hour
-  
-  if (!rateLimits.has(key)) {
-    rateLimits.set(key, { count: 1, resetTime: now + limit.windowMs });
-    return { allowed: true };
-  }
-  
-  const userLimit = rateLimits.get(key);
-  if (now >= userLimit.resetTime) {
-    userLimit.count = 1;
-    userLimit.resetTime = now + limit.windowMs;
-    return { allowed: true };
-  }
-  
-  if (userLimit.count >= limit.maxRequests) {
-    const resetIn = Math.ceil((userLimit.resetTime - now) / 1000 / 60);
+
+  const result = await consumePolicy('image_hourly', userId, { planType });
+  if (!result.allowed) {
+    const resetIn = Math.max(1, Math.ceil(result.retryAfterSeconds / 60));
     return { allowed: false, error: `Image generation rate limit exceeded. Try again in ${resetIn} minutes.` };
   }
-  
-  userLimit.count++;
   return { allowed: true };
 }
 
@@ -74,10 +57,10 @@ class ImageGenerationService {
     return trimmed;
   }
 
-  async generateImage(prompt, style = 'natural', size = '1024x1024', userId = null) {
+  async generateImage(prompt, style = 'natural', size = '1024x1024', userId = null, planType = null) {
     // Rate limiting
     if (userId) {
-      const rateCheck = checkImageRateLimit(userId);
+      const rateCheck = await checkImageRateLimit(userId, planType);
       if (!rateCheck.allowed) {
         throw new Error(rateCheck.error);
       }
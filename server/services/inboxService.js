@@ -0,0 +1,384 @@
+// Inbox Service
+// Mentions of, and replies to, each connected X account: pulled from X into
+// inbox_items, then read, assigned, handled and answered from the Inbox page.
+import pool from '../config/database.js';
+import { aiService } from './aiService.js';
+import { getVoiceProfile } from './brandVoiceService.js';
+import { buildVoicePrompt } from '../utils/brandVoice.js';
+import { createTwitterReadClient, refreshTwitterOauth2IfNeeded } from '../utils/twitterRuntimeAuth.js';
+
+export const INBOX_STATUSES = ['open', 'handled'];
+export const INBOX_KINDS = ['mention', 'reply'];
+export const MAX_REPLY_LENGTH = 280;
+const MAX_PAGE_SIZE = 100;
+const MENTIONS_PAGE_SIZE = 100;
+const FIRST_SYNC_PAGE_SIZE = 50;
+const SUGGESTION_COUNT = 3;
+
+const ITEM_COLUMNS = `i.id, i.user_id, i.team_id, i.account_id, i.owner_twitter_id, i.tweet_id, i.conversation_id,
+  i.in_reply_to_tweet_id, i.kind, i.author_twitter_id, i.author_username, i.author_name, i.author_avatar_url,
+  i.text, i.tweet_created_at, i.status, i.assigned_to, i.handled_by, i.handled_at, i.reply_tweet_id, i.reply_text,
+  i.replied_by, i.replied_at, i.created_at, i.updated_at`;
+
+// Team accounts are keyed by team_accounts.id, personal ones by user + X user id.
+const scopeCondition = (scope, startIndex = 1, alias = 'i') => (
+  scope.mode === 'team'
+    ? { clause: `${alias}.account_id = $${startIndex}`, params: [String(scope.accountId)] }
+    : {
+        clause: `${alias}.account_id IS NULL AND ${alias}.user_id = $${startIndex} AND ${alias}.owner_twitter_id = $${startIndex + 1}`,
+        params: [scope.userId, String(scope.authorId || '')],
+      }
+);
+
+export const getInboxSyncKey = (scope) =>
+  scope.mode === 'team' ? `team:${scope.accountId}` : `user:${scope.userId}:${scope.authorId}`;
+
+/**
+ * 'reply' when the tweet answers one of the account's own posts, otherwise
+ * 'mention'. Replies to other people that tag the account are mentions.
+ */
+export const classifyMention = (tweet, ownerTwitterId) =>
+  tweet?.in_reply_to_user_id && String(tweet.in_reply_to_user_id) === String(ownerTwitterId) ? 'reply' : 'mention';
+
+/**
+ * inbox_items rows for a page of the X mentions timeline. The account's own
+ * tweets (e.g. its threads tagging itself) are left out.
+ */
+export const toInboxRows = (tweets = [], users = [], ownerTwitterId) => {
+  const usersById = new Map(users.map((user) => [String(user.id), user]));
+  return tweets
+    .filter((tweet) => tweet?.id && String(tweet.author_id) !== String(ownerTwitterId))
+    .map((tweet) => {
+      const author = usersById.get(String(tweet.author_id)) || {};
+      const repliedTo = (tweet.referenced_tweets || []).find((ref) => ref.type === 'replied_to');
+      return {
+        tweet_id: String(tweet.id),
+        conversation_id: tweet.conversation_id ? String(tweet.conversation_id) : null,
+        in_reply_to_tweet_id: repliedTo ? String(repliedTo.id) : null,
+        kind: classifyMention(tweet, ownerTwitterId),
+        author_twitter_id: tweet.author_id ? String(tweet.author_id) : null,
+        author_username: author.username || null,
+        author_name: author.name || null,
+        author_avatar_url: author.profile_image_url || null,
+        text: String(tweet.text || ''),
+        tweet_created_at: tweet.created_at ? new Date(tweet.created_at) : null,
+      };
+    });
+};
+
+// ─── Queries ─────────────────────────────────────────────────────────────────
+
+/**
+ * Inbox of an account, newest first, with open/handled counts.
+ * @param {Object} scope - buildAccountScope() result
+ * @param {Object} [filters] - status, kind, assignedTo ('me' | user id | 'unassigned'), limit, offset
+ */
+export async function listInboxItems(scope, { status = 'open', kind = '', assignedTo = '', limit = 50, offset = 0 } = {}) {
+  const { clause, params } = scopeCondition(scope);
+  const conditions = [clause];
+  const values = [...params];
+
+  if (INBOX_STATUSES.includes(status)) {
+    values.push(status);
+    conditions.push(`i.status = $${values.length}`);
+  }
+  if (INBOX_KINDS.includes(kind)) {
+    values.push(kind);
+    conditions.push(`i.kind = $${values.length}`);
+  }
+  if (assignedTo === 'unassigned') {
+    conditions.push('i.assigned_to IS NULL');
+  } else if (assignedTo) {
+    values.push(assignedTo === 'me' ? scope.userId : assignedTo);
+    conditions.push(`i.assigned_to::text = $${values.length}`);
+  }
+
+  const pageSize = Math.min(Math.max(Number.parseInt(limit, 10) || 50, 1), MAX_PAGE_SIZE);
+  const pageOffset = Math.max(Number.parseInt(offset, 10) || 0, 0);
+
+  const [{ rows: items }, { rows: countRows }] = await Promise.all([
+    pool.query(
+      `SELECT ${ITEM_COLUMNS}, u.name AS assigned_to_name, u.email AS assigned_to_email
+       FROM inbox_items i
+       LEFT JOIN users u ON u.id = i.assigned_to
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY i.tweet_created_at DESC NULLS LAST, i.created_at DESC
+       LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+      [...values, pageSize, pageOffset]
+    ),
+    pool.query(
+      `SELECT i.status, COUNT(*)::int AS count
+       FROM inbox_items i
+       WHERE ${clause}
+       GROUP BY i.status`,
+      params
+    ),
+  ]);
+
+  const counts = { open: 0, handled: 0 };
+  countRows.forEach((row) => {
+    counts[row.status] = row.count;
+  });
+  return { items, counts };
+}
+
+export async function getInboxItem(scope, itemId) {
+  const { clause, params } = scopeCondition(scope, 2);
+  const { rows } = await pool.query(
+    `SELECT ${ITEM_COLUMNS} FROM inbox_items i WHERE i.id = $1 AND ${clause} LIMIT 1`,
+    [itemId, ...params]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * People an item can be assigned to: active members of the account's team,
+ * or just the user for a personal account.
+ */
+export async function listAssignees(scope) {
+  if (scope.mode !== 'team') {
+    const { rows } = await pool.query('SELECT id, name, email FROM users WHERE id = $1', [scope.userId]);
+    return rows;
+  }
+  const { rows } = await pool.query(
+    `SELECT u.id, u.name, u.email, tm.role
+     FROM team_members tm
+     INNER JOIN users u ON u.id = tm.user_id
+     WHERE tm.team_id = $1 AND tm.status = 'active'
+     ORDER BY u.name ASC NULLS LAST, u.email ASC`,
+    [scope.teamId]
+  );
+  return rows;
+}
+
+/**
+ * Mark an item handled or open again, or (re)assign it. assignedTo null
+ * unassigns. Returns null when the item is not in the scope.
+ * @param {Object} updates - { status?, assignedTo? }
+ */
+export async function updateInboxItem(scope, itemId, updates = {}, actorId = null) {
+  const fields = [];
+  const values = [];
+  if (updates.status !== undefined) {
+    values.push(updates.status);
+    fields.push(`status = $${values.length}`);
+    if (updates.status === 'handled') {
+      values.push(actorId);
+      fields.push(`handled_by = $${values.length}`, 'handled_at = CURRENT_TIMESTAMP');
+    } else {
+      fields.push('handled_by = NULL', 'handled_at = NULL');
+    }
+  }
+  if (updates.assignedTo !== undefined) {
+    values.push(updates.assignedTo || null);
+    fields.push(`assigned_to = $${values.length}`);
+  }
+  if (fields.length === 0) return getInboxItem(scope, itemId);
+
+  const { clause, params } = scopeCondition(scope, values.length + 2, 'inbox_items');
+  const { rowCount } = await pool.query(
+    `UPDATE inbox_items
+     SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $${values.length + 1} AND ${clause}`,
+    [...values, itemId, ...params]
+  );
+  return rowCount > 0 ? getInboxItem(scope, itemId) : null;
+}
+
+/** Store the reply sent from the inbox; replying also marks the item handled. */
+export async function recordReply(scope, itemId, { replyTweetId, replyText, userId }) {
+  const { clause, params } = scopeCondition(scope, 5, 'inbox_items');
+  await pool.query(
+    `UPDATE inbox_items
+     SET reply_tweet_id = $1, reply_text = $2, replied_by = $3, replied_at = CURRENT_TIMESTAMP,
+         status = 'handled', handled_by = $3, handled_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $4 AND ${clause}`,
+    [replyTweetId, replyText, userId, itemId, ...params]
+  );
+  return getInboxItem(scope, itemId);
+}
+
+// ─── AI replies ──────────────────────────────────────────────────────────────
+
+export const buildReplyPrompt = (item, { voicePrompt = '', count = SUGGESTION_COUNT } = {}) => {
+  const author = item.author_username ? `@${item.author_username}` : 'someone';
+  const context = item.kind === 'reply' ? `${author} replied to one of our posts` : `${author} mentioned us`;
+  return `${context}:
+"${item.text}"
+
+Write ${count} different replies we could post. Each must be under ${MAX_REPLY_LENGTH} characters, friendly, specific to what they said, and must not start with ${author} (X adds it). No hashtags.
+${voicePrompt ? `\n${voicePrompt}\n` : ''}
+Answer with one reply per line, numbered "1.", "2.", "3.". Output nothing else.`;
+};
+
+/** Replies from a numbered (or bulleted) list in the model's answer. */
+export const parseReplySuggestions = (text = '', count = SUGGESTION_COUNT) =>
+  String(text || '')
+    .split('\n')
+    .map((line) => line.replace(/^\s*(?:\d+[.)]|[-*•])\s*/, '').replace(/^"(.*)"$/, '$1').trim())
+    .filter(Boolean)
+    .map((line) => line.slice(0, MAX_REPLY_LENGTH))
+    .slice(0, count);
+
+/**
+ * AI-suggested replies to an inbox item, in the account's brand voice.
+ * @returns {Promise<{ suggestions: string[], provider: string|null }>}
+ */
+export async function suggestReplies(scope, item) {
+  let voicePrompt = '';
+  try {
+    voicePrompt = buildVoicePrompt(await getVoiceProfile(scope), { maxChars: 600 });
+  } catch (error) {
+    console.warn('[Inbox] Failed to load brand voice:', error.message);
+  }
+
+  const result = await aiService.generateContent(
+    buildReplyPrompt(item, { voicePrompt }),
+    'casual',
+    2,
+    null,
+    scope.userId
+  );
+  const suggestions = parseReplySuggestions(result?.content || '');
+  if (suggestions.length === 0) throw new Error('AI returned no usable replies');
+  return { suggestions, provider: result?.provider || null };
+}
+
+// ─── Sync ────────────────────────────────────────────────────────────────────
+
+async function insertInboxRows(scope, rows) {
+  if (rows.length === 0) return 0;
+  const columns = [
+    'user_id', 'team_id', 'account_id', 'owner_twitter_id', 'tweet_id', 'conversation_id', 'in_reply_to_tweet_id',
+    'kind', 'author_twitter_id', 'author_username', 'author_name', 'author_avatar_url', 'text', 'tweet_created_at',
+  ];
+  const values = [];
+  const tuples = rows.map((row) => {
+    const rowValues = [
+      scope.userId,
+      scope.teamId || null,
+      scope.mode === 'team' ? String(scope.accountId) : null,
+      String(scope.authorId),
+      row.tweet_id,
+      row.conversation_id,
+      row.in_reply_to_tweet_id,
+      row.kind,
+      row.author_twitter_id,
+      row.author_username,
+      row.author_name,
+      row.author_avatar_url,
+      row.text,
+      row.tweet_created_at,
+    ];
+    const placeholders = rowValues.map((value) => {
+      values.push(value);
+      return `$${values.length}`;
+    });
+    return `(${placeholders.join(', ')})`;
+  });
+
+  const { rowCount } = await pool.query(
+    `INSERT INTO inbox_items (${columns.join(', ')})
+     VALUES ${tuples.join(', ')}
+     ON CONFLICT DO NOTHING`,
+    values
+  );
+  return rowCount || 0;
+}
+
+export async function getSyncState(scope) {
+  const { rows } = await pool.query('SELECT * FROM inbox_sync_state WHERE sync_key = $1', [getInboxSyncKey(scope)]);
+  return rows[0] || null;
+}
+
+/**
+ * Record the outcome of a sync. sinceId is only moved forward when given;
+ * nextAllowedAt holds the account back after a rate limit or auth error.
+ */
+export async function saveSyncState(scope, { sinceId, lastResult, lastError = null, nextAllowedAt = null }) {
+  await pool.query(
+    `INSERT INTO inbox_sync_state
+       (sync_key, user_id, team_id, account_id, owner_twitter_id, since_id, last_sync_at, next_allowed_at, last_result, last_error, updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP, $7, $8, $9, CURRENT_TIMESTAMP)
+     ON CONFLICT (sync_key) DO UPDATE
+     SET since_id = COALESCE(EXCLUDED.since_id, inbox_sync_state.since_id),
+         last_sync_at = CURRENT_TIMESTAMP,
+         next_allowed_at = EXCLUDED.next_allowed_at,
+         last_result = EXCLUDED.last_result,
+         last_error = EXCLUDED.last_error,
+         updated_at = CURRENT_TIMESTAMP`,
+    [
+      getInboxSyncKey(scope),
+      scope.userId,
+      scope.teamId || null,
+      scope.mode === 'team' ? String(scope.accountId) : null,
+      String(scope.authorId),
+      sinceId || null,
+      nextAllowedAt ? new Date(nextAllowedAt) : null,
+      lastResult,
+      lastError,
+    ]
+  );
+}
+
+/**
+ * Pull new mentions of an account from X into its inbox. Errors from X are
+ * rethrown after the sync state is saved, so callers can tell a rate limit
+ * (error.code 429) from other failures.
+ * @param {Object} scope - buildAccountScope()-shaped account key
+ * @param {Object} account - twitter_auth or team_accounts row with tokens
+ * @param {{ accountType?: 'personal'|'team' }} [options]
+ * @returns {Promise<{ fetched: number, inserted: number }>}
+ */
+export async function syncAccountInbox(scope, account, { accountType = 'personal' } = {}) {
+  const state = await getSyncState(scope);
+  const refreshed = await refreshTwitterOauth2IfNeeded({
+    dbPool: pool,
+    account,
+    accountType,
+    reason: 'inbox-sync',
+  });
+  const client = createTwitterReadClient(refreshed.account || account);
+  if (!client) {
+    await saveSyncState(scope, { lastResult: 'auth_error', lastError: 'Twitter auth unavailable' });
+    throw new Error('Twitter auth unavailable for inbox sync');
+  }
+
+  let timeline;
+  try {
+    timeline = await client.v2.userMentionTimeline(String(scope.authorId), {
+      ...(state?.since_id ? { since_id: state.since_id } : {}),
+      max_results: state?.since_id ? MENTIONS_PAGE_SIZE : FIRST_SYNC_PAGE_SIZE,
+      expansions: ['author_id', 'referenced_tweets.id'],
+      'tweet.fields': ['created_at', 'conversation_id', 'in_reply_to_user_id', 'referenced_tweets', 'author_id'],
+      'user.fields': ['username', 'name', 'profile_image_url'],
+    });
+  } catch (error) {
+    await saveSyncState(scope, {
+      lastResult: error?.code === 429 ? 'rate_limited' : 'error',
+      lastError: error?.message || String(error),
+      nextAllowedAt: error?.rateLimit?.reset ? Number(error.rateLimit.reset) * 1000 : null,
+    });
+    throw error;
+  }
+
+  const tweets = timeline?.data?.data || [];
+  const users = timeline?.data?.includes?.users || [];
+  const inserted = await insertInboxRows(scope, toInboxRows(tweets, users, scope.authorId));
+  await saveSyncState(scope, {
+    sinceId: timeline?.data?.meta?.newest_id || null,
+    lastResult: tweets.length > 0 ? 'ok' : 'noop',
+  });
+  return { fetched: tweets.length, inserted };
+}
+
+export default {
+  listInboxItems,
+  getInboxItem,
+  listAssignees,
+  updateInboxItem,
+  recordReply,
+  suggestReplies,
+  syncAccountInbox,
+  getSyncState,
+};
@@ -0,0 +1,357 @@
+// Media Library Service
+// Uploaded and AI-generated media kept per user or team so posts can reuse it
+// instead of uploading again. Files are deduped by a SHA-256 of their original
+// bytes; storage copies are removed once an asset is deleted and no pending
+// scheduled post references it.
+import crypto from 'crypto';
+import pool from '../config/database.js';
+import { mediaService } from './mediaService.js';
+import { getMediaKind } from '../utils/mediaProbe.js';
+
+export const MEDIA_LIBRARY_FOLDER = 'library';
+export const MAX_ASSET_TAGS = 10;
+export const MAX_TAG_LENGTH = 30;
+export const ASSET_SOURCES = ['upload', 'ai_generated'];
+const MAX_PAGE_SIZE = 100;
+const PURGE_BATCH_SIZE = 50;
+
+const ASSET_COLUMNS = `id, user_id, team_id, url, mime_type, kind, size_bytes, source, prompt,
+  alt_text, tags, use_count, last_used_at, created_at, updated_at`;
+
+const EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'image/gif': '.gif',
+  'video/mp4': '.mp4',
+  'video/quicktime': '.mov',
+};
+
+export const computeContentHash = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+/**
+ * Lowercased, trimmed, unique tags. Leading '#' is dropped so "#launch" and
+ * "launch" are the same tag.
+ */
+export function normalizeTags(tags) {
+  if (!Array.isArray(tags)) return [];
+  const normalized = tags
+    .map((tag) => String(tag || '').trim().replace(/^#+/, '').toLowerCase().slice(0, MAX_TAG_LENGTH))
+    .filter(Boolean);
+  return [...new Set(normalized)].slice(0, MAX_ASSET_TAGS);
+}
+
+// Team assets are shared by the team; personal ones belong to the user.
+const scopeCondition = ({ userId, teamId }, startIndex = 1) => (
+  teamId
+    ? { clause: `team_id = $${startIndex}`, params: [teamId] }
+    : { clause: `user_id = $${startIndex} AND team_id IS NULL`, params: [userId] }
+);
+
+/**
+ * Personal library by default; with a team id, the team's shared library for
+ * any active member. Returns null when the user is not in the team.
+ */
+export async function resolveLibraryScope(userId, teamId = null) {
+  if (!teamId) return { userId, teamId: null };
+  const { rows } = await pool.query(
+    'SELECT 1 FROM team_members WHERE team_id = $1 AND user_id = $2 AND status = $3',
+    [teamId, userId, 'active']
+  );
+  return rows.length > 0 ? { userId, teamId } : null;
+}
+
+// ─── Queries ─────────────────────────────────────────────────────────────────
+
+/**
+ * @param {{ userId: string, teamId: string|null }} scope
+ * @param {{ q?: string, tag?: string, source?: string, kind?: string, limit?: number, offset?: number }} filters
+ * @returns {Promise<{ assets: Object[], total: number }>}
+ */
+export async function listAssets(scope, { q = '', tag = '', source = '', kind = '', limit = 40, offset = 0 } = {}) {
+  const { clause, params } = scopeCondition(scope);
+  const conditions = [clause, 'deleted_at IS NULL'];
+  const values = [...params];
+
+  const search = String(q || '').trim();
+  if (search) {
+    values.push(`%${search.replace(/[\\%_]/g, '\\$&')}%`);
+    conditions.push(`(alt_text ILIKE $${values.length} OR prompt ILIKE $${values.length}
+      OR EXISTS (SELECT 1 FROM unnest(tags) AS t WHERE t ILIKE $${values.length}))`);
+  }
+  const [normalizedTag] = normalizeTags([tag]);
+  if (normalizedTag) {
+    values.push(normalizedTag);
+    conditions.push(`$${values.length} = ANY(tags)`);
+  }
+  if (ASSET_SOURCES.includes(source)) {
+    values.push(source);
+    conditions.push(`source = $${values.length}`);
+  }
+  if (['image', 'gif', 'video'].includes(kind)) {
+    values.push(kind);
+    conditions.push(`kind = $${values.length}`);
+  }
+
+  const pageSize = Math.min(Math.max(Number.parseInt(limit, 10) || 40, 1), MAX_PAGE_SIZE);
+  const pageOffset = Math.max(Number.parseInt(offset, 10) || 0, 0);
+  const where = conditions.join(' AND ');
+
+  const [{ rows }, { rows: countRows }] = await Promise.all([
+    pool.query(
+      `SELECT ${ASSET_COLUMNS}
+       FROM media_assets
+       WHERE ${where}
+       ORDER BY COALESCE(last_used_at, created_at) DESC
+       LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+      [...values, pageSize, pageOffset]
+    ),
+    pool.query(`SELECT COUNT(*)::int AS count FROM media_assets WHERE ${where}`, values),
+  ]);
+
+  return { assets: rows, total: countRows[0]?.count || 0 };
+}
+
+/** Tags in use in the scope, most used first. */
+export async function listTags(scope) {
+  const { clause, params } = scopeCondition(scope);
+  const { rows } = await pool.query(
+    `SELECT tag, COUNT(*)::int AS count
+     FROM media_assets, unnest(tags) AS tag
+     WHERE ${clause} AND deleted_at IS NULL
+     GROUP BY tag
+     ORDER BY count DESC, tag ASC
+     LIMIT 100`,
+    params
+  );
+  return rows;
+}
+
+export async function getAsset(scope, assetId) {
+  const { clause, params } = scopeCondition(scope, 2);
+  const { rows } = await pool.query(
+    `SELECT ${ASSET_COLUMNS}, storage_path
+     FROM media_assets
+     WHERE id = $1 AND ${clause} AND deleted_at IS NULL`,
+    [assetId, ...params]
+  );
+  return rows[0] || null;
+}
+
+// ─── Writes ──────────────────────────────────────────────────────────────────
+
+/**
+ * Store a file in the library, or return the existing asset when the scope
+ * already has the same bytes (a previously deleted copy is restored). Tags are
+ * merged and a missing alt text / prompt is filled in on duplicates.
+ *
+ * @param {Object} scope - { userId, teamId }
+ * @param {Buffer} buffer - Bytes to store
+ * @param {Object} options
+ * @param {string} options.mimetype
+ * @param {Buffer} [options.sourceBuffer] - Original bytes used for the hash when `buffer` was re-encoded
+ * @param {string} [options.source] - 'upload' | 'ai_generated'
+ * @returns {Promise<{ asset: Object|null, duplicate: boolean }>} asset is null when storage is unavailable
+ */
+export async function saveAsset(scope, buffer, {
+  mimetype,
+  sourceBuffer = null,
+  source = 'upload',
+  prompt = null,
+  altText = null,
+  tags = [],
+} = {}) {
+  const contentHash = computeContentHash(sourceBuffer || buffer);
+  const normalizedTags = normalizeTags(tags);
+  const trimmedAltText = altText ? String(altText).trim().slice(0, 1000) || null : null;
+  const trimmedPrompt = prompt ? String(prompt).trim().slice(0, 1000) || null : null;
+
+  const { clause, params } = scopeCondition(scope, 5);
+  const { rows: existing } = await pool.query(
+    `UPDATE media_assets
+     SET tags = ARRAY(SELECT DISTINCT unnest(tags || $1::text[])),
+         alt_text = COALESCE(alt_text, $2),
+         prompt = COALESCE(prompt, $3),
+         deleted_at = NULL,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE content_hash = $4 AND ${clause}
+     RETURNING ${ASSET_COLUMNS}`,
+    [normalizedTags, trimmedAltText, trimmedPrompt, contentHash, ...params]
+  );
+  if (existing.length > 0) {
+    return { asset: existing[0], duplicate: true };
+  }
+
+  const extension = EXTENSIONS[mimetype] || '';
+  const stored = await mediaService.saveToSupabase(buffer, `asset${extension}`, MEDIA_LIBRARY_FOLDER);
+  if (!stored) {
+    return { asset: null, duplicate: false };
+  }
+
+  const { rows } = await pool.query(
+    `INSERT INTO media_assets
+       (user_id, team_id, content_hash, storage_path, url, mime_type, kind, size_bytes, source, prompt, alt_text, tags)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+     ON CONFLICT DO NOTHING
+     RETURNING ${ASSET_COLUMNS}`,
+    [
+      scope.userId,
+      scope.teamId || null,
+      contentHash,
+      stored.path,
+      stored.url,
+      mimetype,
+      getMediaKind(mimetype) || 'image',
+      buffer.length,
+      ASSET_SOURCES.includes(source) ? source : 'upload',
+      trimmedPrompt,
+      trimmedAltText,
+      normalizedTags,
+    ]
+  );
+
+  if (rows.length === 0) {
+    // A concurrent save of the same file won the insert; drop our copy.
+    await mediaService.deleteFromSupabase(stored.path);
+    const { clause: hashClause, params: hashParams } = scopeCondition(scope, 2);
+    const { rows: winner } = await pool.query(
+      `SELECT ${ASSET_COLUMNS} FROM media_assets WHERE content_hash = $1 AND ${hashClause}`,
+      [contentHash, ...hashParams]
+    );
+    return { asset: winner[0] || null, duplicate: true };
+  }
+
+  return { asset: rows[0], duplicate: false };
+}
+
+export async function updateAsset(scope, assetId, updates = {}) {
+  const fields = [];
+  const values = [assetId];
+  if (updates.tags !== undefined) {
+    values.push(normalizeTags(updates.tags));
+    fields.push(`tags = $${values.length}`);
+  }
+  if (updates.alt_text !== undefined) {
+    values.push(updates.alt_text ? String(updates.alt_text).trim().slice(0, 1000) || null : null);
+    fields.push(`alt_text = $${values.length}`);
+  }
+  if (fields.length === 0) return getAsset(scope, assetId);
+
+  const { clause, params } = scopeCondition(scope, values.length + 1);
+  const { rows } = await pool.query(
+    `UPDATE media_assets
+     SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND ${clause} AND deleted_at IS NULL
+     RETURNING ${ASSET_COLUMNS}`,
+    [...values, ...params]
+  );
+  return rows[0] || null;
+}
+
+/** Bump usage so recently reused assets sort first. */
+export async function markAssetsUsed(assetIds = []) {
+  if (assetIds.length === 0) return;
+  await pool.query(
+    `UPDATE media_assets
+     SET use_count = use_count + 1, last_used_at = CURRENT_TIMESTAMP
+     WHERE id = ANY($1::uuid[])`,
+    [assetIds]
+  );
+}
+
+/**
+ * Read an asset's bytes for posting it again.
+ * @returns {Promise<{ asset: Object, buffer: Buffer }|null>}
+ */
+export async function loadAssetFile(scope, assetId) {
+  const asset = await getAsset(scope, assetId);
+  if (!asset) return null;
+  const buffer = await mediaService.downloadFromSupabase(asset.storage_path);
+  if (!buffer) return null;
+  return { asset, buffer };
+}
+
+// ─── Cleanup ─────────────────────────────────────────────────────────────────
+
+// Pending scheduled posts keep hosted URLs (imports, cross-post media) until
+// they publish, so the file has to outlive the library entry until then.
+async function isReferencedByPendingPosts(url) {
+  const { rows } = await pool.query(
+    `SELECT 1
+     FROM scheduled_tweets
+     WHERE status IN ('pending', 'processing')
+       AND (position($1 in COALESCE(media_urls::text, '')) > 0
+         OR position($1 in COALESCE(metadata::text, '')) > 0)
+     LIMIT 1`,
+    [url]
+  );
+  return rows.length > 0;
+}
+
+async function removeStoredFile(asset) {
+  const deleted = await mediaService.deleteFromSupabase(asset.storage_path);
+  if (!deleted) return false;
+  await pool.query('DELETE FROM media_assets WHERE id = $1', [asset.id]);
+  return true;
+}
+
+/**
+ * Remove an asset from the library. The stored file is deleted right away
+ * unless a pending scheduled post still uses it; then it is hidden and left
+ * for purgeDeletedAssets.
+ * @returns {Promise<{ deleted: boolean, fileRemoved: boolean }>}
+ */
+export async function deleteAsset(scope, assetId) {
+  const { clause, params } = scopeCondition(scope, 2);
+  const { rows } = await pool.query(
+    `UPDATE media_assets
+     SET deleted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND ${clause} AND deleted_at IS NULL
+     RETURNING id, url, storage_path`,
+    [assetId, ...params]
+  );
+  const asset = rows[0];
+  if (!asset) return { deleted: false, fileRemoved: false };
+
+  if (await isReferencedByPendingPosts(asset.url)) {
+    return { deleted: true, fileRemoved: false };
+  }
+  return { deleted: true, fileRemoved: await removeStoredFile(asset) };
+}
+
+/**
+ * Delete stored files for soft-deleted assets nothing references any more.
+ * @returns {Promise<{ purgedCount: number }>}
+ */
+export async function purgeDeletedAssets({ limit = PURGE_BATCH_SIZE } = {}) {
+  const { rows } = await pool.query(
+    `SELECT id, url, storage_path
+     FROM media_assets
+     WHERE deleted_at IS NOT NULL
+     ORDER BY deleted_at ASC
+     LIMIT $1`,
+    [limit]
+  );
+
+  let purgedCount = 0;
+  for (const asset of rows) {
+    if (await isReferencedByPendingPosts(asset.url)) continue;
+    if (await removeStoredFile(asset)) purgedCount += 1;
+  }
+  return { purgedCount };
+}
+
+export default {
+  computeContentHash,
+  normalizeTags,
+  resolveLibraryScope,
+  listAssets,
+  listTags,
+  getAsset,
+  saveAsset,
+  updateAsset,
+  markAssetsUsed,
+  loadAssetFile,
+  deleteAsset,
+  purgeDeletedAssets,
+};
@@ -1,14 +1,35 @@
 import sharp from 'sharp';
+import fs from 'fs/promises';
+import path from 'path';
 import { v4 as uuidv4 } from 'uuid';
 import OAuth from 'oauth-1.0a';
 import crypto from 'crypto';
 import FormData from 'form-data';
 import { createClient } from '@supabase/supabase-js';
+import { getMediaCategory, getMediaKind, readMp4DurationSeconds, readMp4FileDurationSeconds } from '../utils/mediaProbe.js';
+
+const TWITTER_UPLOAD_URL = 'https://upload.twitter.com/1.1/media/upload.json';
+const TWITTER_MEDIA_METADATA_URL = 'https://upload.twitter.com/1.1/media/metadata/create.json';
+const MAX_ALT_TEXT_LENGTH = 1000;
+const MB = 1024 * 1024;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const formatMegabytes = (bytes) => `${(bytes / MB).toFixed(1)}MB`;
 
 class MediaService {
   constructor() {
     this.maxFileSize = parseInt(process.env.MAX_FILE_SIZE || '5242880'); // 5MB (5 * 1024 * 1024)
-    this.allowedTypes = (process.env.ALLOWED_IMAGE_TYPES || 'image/jpeg,image/png,image/gif,image/webp').split(',');
+    this.imageTypes = (process.env.ALLOWED_IMAGE_TYPES || 'image/jpeg,image/png,image/gif,image/webp').split(',');
+    this.videoTypes = (process.env.ALLOWED_VIDEO_TYPES || 'video/mp4,video/quicktime').split(',');
+    this.allowedTypes = [...this.imageTypes, ...this.videoTypes];
+
+    // X limits for chunked uploads: GIFs up to 15MB, videos up to 512MB and 0.5-140s.
+    this.maxGifSize = parseInt(process.env.MAX_GIF_FILE_SIZE || String(15 * MB));
+    this.maxVideoSize = parseInt(process.env.MAX_VIDEO_FILE_SIZE || String(512 * MB));
+    this.minVideoDurationSeconds = 0.5;
+    this.maxVideoDurationSeconds = parseFloat(process.env.MAX_VIDEO_DURATION_SECONDS || '140');
+    this.chunkSize = Math.min(parseInt(process.env.MEDIA_UPLOAD_CHUNK_BYTES || String(4 * MB)), 5 * MB);
+    this.processingTimeoutMs = parseInt(process.env.MEDIA_PROCESSING_TIMEOUT_MS || '300000');
 
     // Initialize Supabase client if credentials are present
     if (process.env.SUPABASE_URL && process.env.SUPABASE_ANON_KEY) {
@@ -23,8 +44,15 @@ class MediaService {
     }
   }
 
-  async uploadMedia(mediaFiles, twitterClient, oauth1Tokens = null) {
+  /**
+   * Upload media for one post. `options.altTexts` is parallel to mediaFiles;
+   * non-empty entries are attached through the media metadata API.
+   * `options.onUploaded` is called with the stored bytes of each file uploaded
+   * from data (not for passthrough media IDs); its failures are only logged.
+   */
+  async uploadMedia(mediaFiles, twitterClient, oauth1Tokens = null, { altTexts = [], onUploaded = null } = {}) {
     const mediaIds = [];
+    const uploadedKinds = [];
     console.log('uploadMedia called with:', {
       mediaFilesLength: mediaFiles?.length,
       mediaFilesType: typeof mediaFiles,
@@ -36,11 +64,12 @@ class MediaService {
       throw new Error('OAuth 1.0a tokens required for media upload');
     }
 
-    for (const mediaFile of mediaFiles) {
+    for (const [index, mediaFile] of mediaFiles.entries()) {
       try {
         // If it's a string and does NOT start with 'data:', treat as Twitter media ID and use directly
         if (typeof mediaFile === 'string' && !mediaFile.startsWith('data:')) {
           console.log('Received Twitter media ID, using directly:', mediaFile);
+          await this.applyAltText(mediaFile, altTexts[index], oauth1Tokens);
           mediaIds.push(mediaFile);
           continue;
         }
@@ -83,37 +112,57 @@ class MediaService {
         }
 
         // Validate file
-        if (!this.validateFileData(buffer, mimetype)) {
-          const sizeInMB = (buffer.length / (1024 * 1024)).toFixed(1);
-          if (buffer.length > this.maxFileSize) {
-            throw new Error(`Image too large: ${sizeInMB}MB. Maximum allowed: 5MB`);
-          } else {
-            throw new Error(`Invalid file type: ${mimetype}. Allowed types: ${this.allowedTypes.join(', ')}`);
-          }
+        const validationError = this.validateMediaData(buffer, mimetype);
+        if (validationError) {
+          throw new Error(validationError);
         }
 
-        // Process image if needed
-        const processedBuffer = await this.processImage(buffer, mimetype);
-        console.log('Image processed:', {
-          originalSize: buffer.length,
-          processedSize: processedBuffer.length,
-          mimetype
-        });
+        // X allows up to 4 images, or a single video or GIF, per post.
+        const kind = getMediaKind(mimetype);
+        uploadedKinds.push(kind);
+        if (uploadedKinds.length > 1 && uploadedKinds.some((k) => k !== 'image')) {
+          throw new Error('A post can have up to 4 images or a single video or GIF');
+        }
+
+        let mediaId;
+        let storedBuffer = buffer;
+        if (kind === 'image') {
+          // Process image if needed
+          storedBuffer = await this.processImage(buffer, mimetype);
+          console.log('Image processed:', {
+            originalSize: buffer.length,
+            processedSize: storedBuffer.length,
+            mimetype
+          });
 
-        // Upload to Twitter using OAuth 1.0a
-        console.log('Uploading to Twitter using OAuth 1.0a...');
-        const mediaId = await this.uploadWithOAuth1(processedBuffer, mimetype, oauth1Tokens);
+          // Upload to Twitter using OAuth 1.0a
+          console.log('Uploading to Twitter using OAuth 1.0a...');
+          mediaId = await this.uploadWithOAuth1(storedBuffer, mimetype, oauth1Tokens);
+        } else {
+          // Videos and GIFs go through INIT/APPEND/FINALIZE so X can transcode them.
+          console.log(`Uploading ${kind} to Twitter in chunks...`, { bufferSize: buffer.length, mimetype });
+          mediaId = await this.uploadChunked(buffer, mimetype, oauth1Tokens);
+        }
         console.log('Twitter upload successful, mediaId:', mediaId);
+        await this.applyAltText(mediaId, altTexts[index], oauth1Tokens);
         mediaIds.push(mediaId);
 
-        // Save to Supabase (primary) and local (backup) if configured
-        if (this.supabase) {
-          const supabaseResult = await this.saveToSupabase(processedBuffer, `uploaded_${Date.now()}.jpg`);
-          if (supabaseResult) {
-            console.log('✅ Saved to Supabase:', supabaseResult.url);
+        // Hand the stored bytes back (e.g. to keep a copy in the media library).
+        // processImage re-encodes to JPEG unless it fell back to the original.
+        if (onUploaded) {
+          try {
+            await onUploaded({
+              index,
+              mediaId,
+              kind,
+              buffer: storedBuffer,
+              sourceBuffer: buffer,
+              mimetype: storedBuffer === buffer ? mimetype : 'image/jpeg',
+              altText: altTexts[index] || null,
+            });
+          } catch (storeError) {
+            console.warn('onUploaded hook failed (media was still uploaded):', storeError.message);
           }
-        } else {
-          console.log('Supabase not configured, skipping cloud upload');
         }
 
       } catch (error) {
@@ -125,104 +174,289 @@ class MediaService {
     return mediaIds;
   }
 
-  async uploadWithOAuth1(buffer, mimetype, oauth1Tokens) {
-    try {
-      // Initialize OAuth 1.0a
-      const oauth = OAuth({
-        consumer: {
-          key: process.env.TWITTER_CONSUMER_KEY,
-          secret: process.env.TWITTER_CONSUMER_SECRET,
-        },
-        signature_method: 'HMAC-SHA1',
-        hash_function(base_string, key) {
-          return crypto.createHmac('sha1', key).update(base_string).digest('base64');
-        },
-      });
-
-      // Prepare OAuth request
-      const requestData = {
-        url: 'https://upload.twitter.com/1.1/media/upload.json',
-        method: 'POST',
-      };
+  createOAuth() {
+    return OAuth({
+      consumer: {
+        key: process.env.TWITTER_CONSUMER_KEY,
+        secret: process.env.TWITTER_CONSUMER_SECRET,
+      },
+      signature_method: 'HMAC-SHA1',
+      hash_function(base_string, key) {
+        return crypto.createHmac('sha1', key).update(base_string).digest('base64');
+      },
+    });
+  }
+
+  buildMultipartBody(buffer, mimetype, filename = 'media') {
+    const boundary = '----formdata-tweetgenie-' + Math.random().toString(36);
+    const head = Buffer.from(
+      `--${boundary}\r\n` +
+      `Content-Disposition: form-data; name="media"; filename="${filename}"\r\n` +
+      `Content-Type: ${mimetype}\r\n\r\n`,
+      'utf8'
+    );
+    const tail = Buffer.from(`\r\n--${boundary}--\r\n`, 'utf8');
+    return { boundary, body: Buffer.concat([head, buffer, tail]) };
+  }
 
-      // Get OAuth headers
-      const oauthHeaders = oauth.toHeader(oauth.authorize(requestData, {
-        key: oauth1Tokens.accessToken,
-        secret: oauth1Tokens.accessTokenSecret,
-      }));
+  /**
+   * Signed request to the v1.1 media upload endpoint. Query params and form
+   * fields are part of the OAuth signature; multipart bodies are not.
+   */
+  async sendUploadRequest(
+    { baseUrl = TWITTER_UPLOAD_URL, method = 'POST', query = null, form = null, json = null, media = null },
+    oauth1Tokens
+  ) {
+    const url = query ? `${baseUrl}?${new URLSearchParams(query).toString()}` : baseUrl;
+    const requestData = { url, method, ...(form && { data: form }) };
+    const oauth = this.createOAuth();
+    const headers = oauth.toHeader(oauth.authorize(requestData, {
+      key: oauth1Tokens.accessToken,
+      secret: oauth1Tokens.accessTokenSecret,
+    }));
+
+    let body;
+    if (form) {
+      body = new URLSearchParams(form).toString();
+      headers['Content-Type'] = 'application/x-www-form-urlencoded';
+    } else if (json) {
+      body = JSON.stringify(json);
+      headers['Content-Type'] = 'application/json';
+    } else if (media) {
+      const multipart = this.buildMultipartBody(media.buffer, media.mimetype, media.filename);
+      body = multipart.body;
+      headers['Content-Type'] = `multipart/form-data; boundary=${multipart.boundary}`;
+      headers['Content-Length'] = multipart.body.length.toString();
+    }
 
-      console.log('Making OAuth 1.0a media upload request...');
+    const response = await fetch(url, { method, headers, body });
+    const responseText = await response.text();
 
-      // Create form data using URLSearchParams approach instead of FormData
-      const boundary = '----formdata-tweetgenie-' + Math.random().toString(36);
-      
-      // Create multipart body manually
-      let body = '';
-      body += `--${boundary}\r\n`;
-      body += `Content-Disposition: form-data; name="media"; filename="image.jpg"\r\n`;
-      body += `Content-Type: ${mimetype}\r\n\r\n`;
-      
-      // Convert buffer to binary string for body
-      const binaryString = buffer.toString('binary');
-      body += binaryString;
-      body += `\r\n--${boundary}--\r\n`;
-      
-      // Convert to buffer
-      const bodyBuffer = Buffer.from(body, 'binary');
-
-      // Make the upload request
-      const response = await fetch('https://upload.twitter.com/1.1/media/upload.json', {
-        method: 'POST',
-        headers: {
-          ...oauthHeaders,
-          'Content-Type': `multipart/form-data; boundary=${boundary}`,
-          'Content-Length': bodyBuffer.length.toString(),
-        },
-        body: bodyBuffer,
-      });
-
-      const responseText = await response.text();
-      
-      if (!response.ok) {
-        console.error('Upload failed:', response.status, responseText);
-        throw new Error(`Upload failed with status ${response.status}: ${responseText}`);
-      }
+    if (!response.ok) {
+      console.error('Upload failed:', response.status, responseText);
+      const error = new Error(`Upload failed with status ${response.status}: ${responseText}`);
+      error.status = response.status;
+      throw error;
+    }
 
-      const result = JSON.parse(responseText);
-      return result.media_id_string;
+    return responseText ? JSON.parse(responseText) : {};
+  }
 
+  async uploadWithOAuth1(buffer, mimetype, oauth1Tokens) {
+    try {
+      console.log('Making OAuth 1.0a media upload request...');
+      const result = await this.sendUploadRequest(
+        { media: { buffer, mimetype, filename: 'image.jpg' } },
+        oauth1Tokens
+      );
+      return result.media_id_string;
     } catch (error) {
       console.error('OAuth 1.0a upload error:', error);
       throw error;
     }
   }
 
-  validateFile(file) {
-    // Check file size
-    if (file.size > this.maxFileSize) {
+  // ─── Alt text ──────────────────────────────────────────────────────────────
+
+  async setAltText(mediaId, altText, oauth1Tokens) {
+    await this.sendUploadRequest({
+      baseUrl: TWITTER_MEDIA_METADATA_URL,
+      json: { media_id: String(mediaId), alt_text: { text: altText } },
+    }, oauth1Tokens);
+  }
+
+  // Alt text is best-effort: a metadata failure is logged and the post still goes out.
+  async applyAltText(mediaId, altText, oauth1Tokens) {
+    const text = typeof altText === 'string' ? altText.trim().slice(0, MAX_ALT_TEXT_LENGTH) : '';
+    if (!text || !mediaId) return false;
+
+    try {
+      await this.setAltText(mediaId, text, oauth1Tokens);
+      return true;
+    } catch (error) {
+      console.warn('Alt text could not be set for media', mediaId, error.message);
       return false;
     }
+  }
 
-    // Check file type
-    if (!this.allowedTypes.includes(file.mimetype)) {
-      return false;
+  /**
+   * Upload downloaded media files (see downloadMediaToFile) for one post, e.g.
+   * hosted media at publish time. Images are read whole; videos and GIFs are
+   * sent from disk chunk by chunk, so large files are never held in memory.
+   * @param {Array<{ filePath: string, mimetype: string, size: number }>} files
+   * @returns {Promise<Array<string>>} Media IDs, in the order of `files`
+   */
+  async uploadMediaFiles(files, oauth1Tokens, { altTexts = [] } = {}) {
+    if (!oauth1Tokens) {
+      throw new Error('OAuth 1.0a tokens required for media upload');
+    }
+
+    const kinds = files.map((file) => getMediaKind(file.mimetype));
+    if (files.length > 1 && kinds.some((kind) => kind !== 'image')) {
+      throw new Error('A post can have up to 4 images or a single video or GIF');
     }
 
-    return true;
+    const mediaIds = [];
+    for (const [index, file] of files.entries()) {
+      const validationError = await this.validateMediaFile(file);
+      if (validationError) {
+        throw new Error(validationError);
+      }
+
+      let mediaId;
+      if (kinds[index] === 'image') {
+        const buffer = await this.processImage(await fs.readFile(file.filePath), file.mimetype);
+        mediaId = await this.uploadWithOAuth1(buffer, file.mimetype, oauth1Tokens);
+      } else {
+        mediaId = await this.uploadChunkedFile(file, oauth1Tokens);
+      }
+      await this.applyAltText(mediaId, altTexts[index], oauth1Tokens);
+      mediaIds.push(mediaId);
+    }
+    return mediaIds;
   }
 
-  validateFileData(buffer, mimetype) {
-    // Check file size
-    if (buffer.length > this.maxFileSize) {
-      return false;
+
+  // ─── Chunked upload (video / GIF) ──────────────────────────────────────────
+
+  async initChunkedUpload({ totalBytes, mimetype }, oauth1Tokens) {
+    const result = await this.sendUploadRequest({
+      form: {
+        command: 'INIT',
+        total_bytes: String(totalBytes),
+        media_type: mimetype,
+        media_category: getMediaCategory(getMediaKind(mimetype)),
+      },
+    }, oauth1Tokens);
+    return result.media_id_string;
+  }
+
+  async appendChunk(mediaId, segmentIndex, chunk, oauth1Tokens) {
+    await this.sendUploadRequest({
+      query: { command: 'APPEND', media_id: mediaId, segment_index: String(segmentIndex) },
+      media: { buffer: chunk, mimetype: 'application/octet-stream', filename: 'blob' },
+    }, oauth1Tokens);
+  }
+
+  async finalizeChunkedUpload(mediaId, oauth1Tokens) {
+    return this.sendUploadRequest({ form: { command: 'FINALIZE', media_id: mediaId } }, oauth1Tokens);
+  }
+
+  async getUploadStatus(mediaId, oauth1Tokens) {
+    return this.sendUploadRequest({
+      method: 'GET',
+      query: { command: 'STATUS', media_id: mediaId },
+    }, oauth1Tokens);
+  }
+
+  /**
+   * Poll STATUS until X finishes transcoding. Resolves when there is nothing to
+   * wait for; throws if processing fails or outlasts processingTimeoutMs.
+   */
+  async waitForProcessing(mediaId, oauth1Tokens, processingInfo = null) {
+    const deadline = Date.now() + this.processingTimeoutMs;
+    let info = processingInfo;
+
+    while (info && info.state !== 'succeeded') {
+      if (info.state === 'failed') {
+        const reason = info.error?.message || info.error?.name || 'unknown error';
+        throw new Error(`X could not process this media: ${reason}`);
+      }
+      if (Date.now() >= deadline) {
+        throw new Error('Timed out waiting for X to process the media');
+      }
+
+      const waitMs = Math.min(Math.max((info.check_after_secs || 1) * 1000, 1000), 30000);
+      await sleep(Math.min(waitMs, Math.max(deadline - Date.now(), 0)));
+      const status = await this.getUploadStatus(mediaId, oauth1Tokens);
+      info = status.processing_info || null;
     }
+  }
 
-    // Check file type
-    if (!this.allowedTypes.includes(mimetype)) {
-      return false;
+  async uploadChunked(buffer, mimetype, oauth1Tokens) {
+    const mediaId = await this.initChunkedUpload({ totalBytes: buffer.length, mimetype }, oauth1Tokens);
+
+    for (let offset = 0, segmentIndex = 0; offset < buffer.length; offset += this.chunkSize, segmentIndex += 1) {
+      await this.appendChunk(mediaId, segmentIndex, buffer.subarray(offset, offset + this.chunkSize), oauth1Tokens);
+    }
+
+    const finalized = await this.finalizeChunkedUpload(mediaId, oauth1Tokens);
+    await this.waitForProcessing(mediaId, oauth1Tokens, finalized.processing_info);
+    return mediaId;
+  }
+
+  async uploadChunkedFile({ filePath, mimetype, size }, oauth1Tokens) {
+    const mediaId = await this.initChunkedUpload({ totalBytes: size, mimetype }, oauth1Tokens);
+
+    const handle = await fs.open(filePath, 'r');
+    try {
+      for (let offset = 0, segmentIndex = 0; offset < size; offset += this.chunkSize, segmentIndex += 1) {
+        const chunk = Buffer.alloc(Math.min(this.chunkSize, size - offset));
+        const { bytesRead } = await handle.read(chunk, 0, chunk.length, offset);
+        await this.appendChunk(mediaId, segmentIndex, chunk.subarray(0, bytesRead), oauth1Tokens);
+      }
+    } finally {
+      await handle.close();
     }
 
-    return true;
+    const finalized = await this.finalizeChunkedUpload(mediaId, oauth1Tokens);
+    await this.waitForProcessing(mediaId, oauth1Tokens, finalized.processing_info);
+    return mediaId;
+  }
+
+  // ─── Validation ────────────────────────────────────────────────────────────
+
+  getSizeLimit(kind) {
+    if (kind === 'video') return this.maxVideoSize;
+    if (kind === 'gif') return this.maxGifSize;
+    return this.maxFileSize;
+  }
+
+  /**
+   * Check type, size and (for videos) duration against X limits. Returns an
+   * error message, or null when the media can be uploaded. Duration is taken
+   * from the buffer when it can be read, otherwise from `durationSeconds`.
+   */
+  validateMedia({ mimetype, size, durationSeconds = null }) {
+    const kind = getMediaKind(mimetype);
+    if (!kind || !this.allowedTypes.includes(mimetype)) {
+      return `Invalid file type: ${mimetype}. Allowed types: ${this.allowedTypes.join(', ')}`;
+    }
+
+    const limit = this.getSizeLimit(kind);
+    if (size > limit) {
+      const label = kind === 'image' ? 'Image' : kind === 'gif' ? 'GIF' : 'Video';
+      return `${label} too large: ${formatMegabytes(size)}. Maximum allowed: ${formatMegabytes(limit)}`;
+    }
+
+    if (kind === 'video' && Number.isFinite(durationSeconds)) {
+      if (durationSeconds < this.minVideoDurationSeconds) {
+        return `Video too short: ${durationSeconds.toFixed(1)}s. Minimum is ${this.minVideoDurationSeconds}s`;
+      }
+      if (durationSeconds > this.maxVideoDurationSeconds) {
+        return `Video too long: ${Math.round(durationSeconds)}s. Maximum is ${this.maxVideoDurationSeconds}s`;
+      }
+    }
+
+    return null;
+  }
+
+  validateMediaData(buffer, mimetype) {
+    const durationSeconds = getMediaKind(mimetype) === 'video' ? readMp4DurationSeconds(buffer) : null;
+    return this.validateMedia({ mimetype, size: buffer.length, durationSeconds });
+  }
+
+  async validateMediaFile({ filePath, mimetype, size }) {
+    const durationSeconds = getMediaKind(mimetype) === 'video' ? await readMp4FileDurationSeconds(filePath) : null;
+    return this.validateMedia({ mimetype, size, durationSeconds });
+  }
+
+  validateFile(file) {
+    return !this.validateMedia({ mimetype: file.mimetype, size: file.size });
+  }
+
+  validateFileData(buffer, mimetype) {
+    return !this.validateMediaData(buffer, mimetype);
   }
 
   async processImage(buffer, mimetype) {
@@ -294,6 +528,49 @@ class MediaService {
     }
   }
 
+  /**
+   * Signed storage URL the browser can PUT a file to, plus the public URL it
+   * will be served from. Used for scheduled videos, which are uploaded to X at
+   * publish time. Returns null when Supabase is not configured.
+   */
+  async createSignedUpload(mimetype, folder = 'scheduled-media') {
+    if (!this.supabase) {
+      return null;
+    }
+
+    const filePath = `${folder}/${uuidv4()}${this.getExtension(mimetype)}`;
+    const bucket = this.supabase.storage.from('uploads');
+    const { data, error } = await bucket.createSignedUploadUrl(filePath);
+    if (error) {
+      throw new Error(error.message || 'Failed to create an upload URL');
+    }
+
+    const { data: urlData } = bucket.getPublicUrl(filePath);
+    return { path: filePath, uploadUrl: data.signedUrl, url: urlData.publicUrl };
+  }
+
+  async downloadFromSupabase(filePath) {
+    if (!this.supabase) {
+      return null;
+    }
+
+    try {
+      const { data, error } = await this.supabase.storage
+        .from('uploads')
+        .download(filePath);
+
+      if (error) {
+        console.error('Supabase download error:', error);
+        return null;
+      }
+
+      return Buffer.from(await data.arrayBuffer());
+    } catch (error) {
+      console.error('Supabase download error:', error);
+      return null;
+    }
+  }
+
   async deleteFromSupabase(filePath) {
     if (!this.supabase) {
       return false;
@@ -330,6 +607,19 @@ class MediaService {
     return mimeTypes[ext.toLowerCase()] || 'application/octet-stream';
   }
 
+  getExtension(mimetype) {
+    const extensions = {
+      'image/jpeg': '.jpg',
+      'image/png': '.png',
+      'image/gif': '.gif',
+      'image/webp': '.webp',
+      'video/mp4': '.mp4',
+      'video/quicktime': '.mov',
+      'video/x-msvideo': '.avi'
+    };
+    return extensions[String(mimetype).toLowerCase()] || '';
+  }
+
   getMediaInfo(buffer, mimetype) {
     return {
       size: buffer.length,
@@ -0,0 +1,130 @@
+// Notification Channels
+// Chat destinations (Slack / Discord incoming webhooks) for the events that
+// emailNotificationService sends. Notifications are built once as a neutral
+// message — { title, text, fields, url, level } — and each provider turns it
+// into its own payload.
+import axios from 'axios';
+
+const CHAT_TIMEOUT_MS = Number.parseInt(process.env.CHAT_NOTIFICATION_TIMEOUT_MS || '8000', 10);
+
+const LEVEL_COLORS = {
+  error: 0xdc2626,
+  warning: 0xd97706,
+  info: 0x2563eb,
+};
+
+const LEVEL_EMOJI = {
+  error: ':x:',
+  warning: ':warning:',
+  info: ':bar_chart:',
+};
+
+const toHexColor = (value) => `#${value.toString(16).padStart(6, '0')}`;
+
+/**
+ * Slack incoming-webhook payload (attachment with a colour bar, so the level
+ * shows at a glance; `text` is the notification fallback).
+ */
+export function formatSlackMessage({ title, text, fields = [], url, level = 'info' }) {
+  const lines = [text, url ? `<${url}|Open in Tweet Genie>` : null].filter(Boolean);
+  return {
+    text: `${LEVEL_EMOJI[level] || ''} ${title}`.trim(),
+    attachments: [
+      {
+        color: toHexColor(LEVEL_COLORS[level] || LEVEL_COLORS.info),
+        title,
+        text: lines.join('\n'),
+        fields: fields.map(({ label, value }) => ({ title: label, value: String(value), short: true })),
+      },
+    ],
+  };
+}
+
+/**
+ * Discord webhook payload with a single embed.
+ */
+export function formatDiscordMessage({ title, text, fields = [], url, level = 'info' }) {
+  return {
+    username: 'Tweet Genie',
+    embeds: [
+      {
+        title: title.slice(0, 256),
+        description: String(text || '').slice(0, 4000),
+        url: url || undefined,
+        color: LEVEL_COLORS[level] || LEVEL_COLORS.info,
+        fields: fields.slice(0, 25).map(({ label, value }) => ({ name: label, value: String(value).slice(0, 1024), inline: true })),
+      },
+    ],
+  };
+}
+
+export const CHAT_PROVIDERS = {
+  slack: {
+    hosts: ['hooks.slack.com'],
+    format: formatSlackMessage,
+  },
+  discord: {
+    hosts: ['discord.com', 'discordapp.com'],
+    pathPrefix: '/api/webhooks/',
+    format: formatDiscordMessage,
+  },
+};
+
+/**
+ * Returns an error message, or null when the URL is an incoming webhook of
+ * the given provider. Only the providers' own hosts are accepted.
+ */
+export function validateChatWebhookUrl(provider, value) {
+  const config = CHAT_PROVIDERS[provider];
+  if (!config) return `Chat provider must be one of: ${Object.keys(CHAT_PROVIDERS).join(', ')}`;
+
+  let url;
+  try {
+    url = new URL(String(value || '').trim());
+  } catch {
+    return 'Webhook URL is not a valid URL';
+  }
+  if (url.protocol !== 'https:' || !config.hosts.includes(url.hostname.toLowerCase())) {
+    return `Enter a ${provider === 'slack' ? 'Slack' : 'Discord'} incoming webhook URL (https://${config.hosts[0]}/...)`;
+  }
+  if (config.pathPrefix && !url.pathname.startsWith(config.pathPrefix)) {
+    return 'Webhook URL is not a Discord webhook';
+  }
+  return null;
+}
+
+/**
+ * POST a message to a chat webhook.
+ * @returns {Promise<boolean>} whether the provider accepted it
+ */
+export async function sendChatMessage({ provider, webhookUrl, message }) {
+  const config = CHAT_PROVIDERS[provider];
+  if (!config || validateChatWebhookUrl(provider, webhookUrl)) {
+    console.warn(`[ChatNotif] Skipping message — invalid ${provider || 'chat'} webhook configuration.`);
+    return false;
+  }
+  try {
+    const response = await axios.post(webhookUrl, config.format(message), {
+      timeout: CHAT_TIMEOUT_MS,
+      maxRedirects: 0,
+      validateStatus: () => true,
+      headers: { 'Content-Type': 'application/json' },
+    });
+    if (response.status < 200 || response.status >= 300) {
+      console.error(`[ChatNotif] ${provider} webhook responded with HTTP ${response.status}`);
+      return false;
+    }
+    return true;
+  } catch (error) {
+    console.error(`[ChatNotif] Failed to post to ${provider}:`, error.message);
+    return false;
+  }
+}
+
+export default {
+  CHAT_PROVIDERS,
+  formatSlackMessage,
+  formatDiscordMessage,
+  validateChatWebhookUrl,
+  sendChatMessage,
+};
@@ -0,0 +1,244 @@
+// Posting Slot Service ("queue times")
+// Each connected account gets a weekly grid of posting slots in its timezone.
+// Manual scheduling, bulk scheduling and autopilot all pick the next free slot
+// from the same grid so posts from different sources don't cluster.
+import moment from 'moment-timezone';
+import pool from '../config/database.js';
+
+export const NEXT_FREE_SLOT = 'next_free_slot';
+
+// A slot counts as taken if anything is scheduled within this many minutes of it.
+const SLOT_CONFLICT_MINUTES = 30;
+const MAX_SLOTS_PER_WEEK = 84;
+const DEFAULT_SEARCH_DAYS = 15;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Validate, dedupe and sort a slot list.
+ * @param {Array<{day: number, time: string}>} slots - day 0-6 (Sunday = 0), time "HH:mm"
+ * @returns {Array<{day: number, time: string}>}
+ */
+export function normalizeSlots(slots) {
+  if (!Array.isArray(slots)) return [];
+
+  const seen = new Set();
+  const normalized = [];
+  for (const slot of slots) {
+    const day = Number.parseInt(slot?.day, 10);
+    const time = String(slot?.time || '').trim();
+    if (!Number.isInteger(day) || day < 0 || day > 6 || !TIME_PATTERN.test(time)) continue;
+
+    const key = `${day}@${time}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    normalized.push({ day, time });
+  }
+
+  return normalized
+    .sort((a, b) => (a.day - b.day) || a.time.localeCompare(b.time))
+    .slice(0, MAX_SLOTS_PER_WEEK);
+}
+
+/**
+ * Expand a weekly slot grid into concrete UTC dates between `from` and `until`.
+ * @returns {Date[]} Ascending slot occurrences
+ */
+export function expandSlotTimes({ slots, timezone = 'UTC', from = new Date(), until }) {
+  const tz = timezone && moment.tz.zone(timezone) ? timezone : 'UTC';
+  const normalizedSlots = normalizeSlots(slots);
+  if (normalizedSlots.length === 0) return [];
+
+  const fromMoment = moment(from);
+  const untilMoment = until ? moment(until) : fromMoment.clone().add(DEFAULT_SEARCH_DAYS, 'days');
+  const occurrences = [];
+
+  for (let day = fromMoment.clone().tz(tz).startOf('day'); !day.isAfter(untilMoment); day.add(1, 'day')) {
+    for (const slot of normalizedSlots) {
+      if (slot.day !== day.day()) continue;
+      const [hour, minute] = slot.time.split(':').map(Number);
+      const occurrence = day.clone().hour(hour).minute(minute).second(0).millisecond(0);
+      if (occurrence.isBefore(fromMoment) || occurrence.isAfter(untilMoment)) continue;
+      occurrences.push(occurrence.toDate());
+    }
+  }
+
+  return occurrences;
+}
+
+/**
+ * Find the first slot occurrence with nothing scheduled within ±SLOT_CONFLICT_MINUTES.
+ * @param {Object} params
+ * @param {Date[]} params.takenTimes - Already scheduled times for the account
+ * @returns {Date|null}
+ */
+export function findNextFreeSlot({ slots, timezone, from = new Date(), until, takenTimes = [], conflictMinutes = SLOT_CONFLICT_MINUTES }) {
+  const windowMs = conflictMinutes * 60 * 1000;
+  const taken = takenTimes
+    .map((value) => new Date(value).getTime())
+    .filter((value) => Number.isFinite(value));
+
+  for (const occurrence of expandSlotTimes({ slots, timezone, from, until })) {
+    const time = occurrence.getTime();
+    if (!taken.some((takenTime) => Math.abs(takenTime - time) < windowMs)) {
+      return occurrence;
+    }
+  }
+  return null;
+}
+
+const buildScheduleScopeClause = (scope, startIndex = 1) => {
+  if (scope.mode === 'team') {
+    return {
+      clause: `account_id = $${startIndex}`,
+      params: [String(scope.accountId)],
+    };
+  }
+  // Without an author_id, fall back to the user's most recent personal grid.
+  if (!scope.authorId) {
+    return {
+      clause: `account_id IS NULL AND user_id = $${startIndex}`,
+      params: [scope.userId],
+    };
+  }
+  return {
+    clause: `account_id IS NULL AND user_id = $${startIndex} AND author_id = $${startIndex + 1}`,
+    params: [scope.userId, String(scope.authorId)],
+  };
+};
+
+/**
+ * Get the slot grid for an account scope ({ mode, userId, teamId, accountId, authorId }).
+ * @returns {Promise<{timezone: string, slots: Array}|null>}
+ */
+export async function getSlotSchedule(scope) {
+  if (!scope?.userId) return null;
+  const { clause, params } = buildScheduleScopeClause(scope, 1);
+  const { rows } = await pool.query(
+    `SELECT * FROM posting_slot_schedules
+     WHERE ${clause}
+     ORDER BY updated_at DESC
+     LIMIT 1`,
+    params
+  );
+  if (!rows[0]) return null;
+  return { ...rows[0], slots: normalizeSlots(rows[0].slots) };
+}
+
+/**
+ * Replace the slot grid for an account scope.
+ */
+export async function saveSlotSchedule(scope, { slots, timezone }) {
+  const normalizedSlots = normalizeSlots(slots);
+  const tz = timezone && moment.tz.zone(timezone) ? timezone : 'UTC';
+  const existing = await getSlotSchedule(scope);
+
+  if (existing) {
+    const { rows } = await pool.query(
+      `UPDATE posting_slot_schedules
+       SET slots = $1, timezone = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3
+       RETURNING *`,
+      [JSON.stringify(normalizedSlots), tz, existing.id]
+    );
+    return { ...rows[0], slots: normalizedSlots };
+  }
+
+  const { rows } = await pool.query(
+    `INSERT INTO posting_slot_schedules (user_id, team_id, account_id, author_id, timezone, slots)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [
+      scope.userId,
+      scope.teamId || null,
+      scope.mode === 'team' ? String(scope.accountId) : null,
+      scope.authorId ? String(scope.authorId) : null,
+      tz,
+      JSON.stringify(normalizedSlots),
+    ]
+  );
+  return { ...rows[0], slots: normalizedSlots };
+}
+
+/**
+ * Everything already occupying the account calendar between `from` and `until`:
+ * pending scheduled tweets plus (for personal accounts) review-queue items
+ * that autopilot has placed but not yet scheduled.
+ * @returns {Promise<Date[]>}
+ */
+export async function getTakenTimes(scope, { from, until }) {
+  const scheduledQuery = scope.mode === 'team'
+    ? {
+        sql: `SELECT scheduled_for FROM scheduled_tweets
+              WHERE account_id::text = $1
+                AND status IN ('pending', 'processing')
+                AND scheduled_for BETWEEN $2 AND $3`,
+        params: [String(scope.accountId), from, until],
+      }
+    : {
+        sql: `SELECT scheduled_for FROM scheduled_tweets
+              WHERE user_id = $1
+                AND (account_id IS NULL OR account_id::text = '0')
+                AND ($2::text IS NULL OR author_id IS NULL OR author_id::text = $2::text)
+                AND status IN ('pending', 'processing')
+                AND scheduled_for BETWEEN $3 AND $4`,
+        params: [scope.userId, scope.authorId ? String(scope.authorId) : null, from, until],
+      };
+
+  const { rows: scheduledRows } = await pool.query(scheduledQuery.sql, scheduledQuery.params);
+  const taken = scheduledRows.map((row) => row.scheduled_for);
+
+  if (scope.mode !== 'team') {
+    const { rows: reviewRows } = await pool.query(
+      `SELECT suggested_time FROM content_review_queue
+       WHERE user_id = $1
+         AND suggested_time BETWEEN $2 AND $3
+         AND status IN ('pending', 'approved')`,
+      [scope.userId, from, until]
+    );
+    taken.push(...reviewRows.map((row) => row.suggested_time));
+  }
+
+  return taken.filter(Boolean).map((value) => new Date(value));
+}
+
+/**
+ * Next free slot for an account, or null when the account has no slot grid
+ * (callers then fall back to their own timing logic).
+ * @param {Object} scope - Account scope
+ * @param {Object} [options]
+ * @param {Date} [options.after] - Earliest acceptable time (defaults to now)
+ * @param {number} [options.searchDays] - How far ahead to search
+ * @param {Date[]} [options.extraTakenTimes] - Times claimed earlier in the same request
+ * @returns {Promise<Date|null>}
+ */
+export async function getNextFreeSlot(scope, { after = new Date(), searchDays = DEFAULT_SEARCH_DAYS, extraTakenTimes = [] } = {}) {
+  const schedule = await getSlotSchedule(scope);
+  if (!schedule || schedule.slots.length === 0) return null;
+
+  const from = new Date(after);
+  const until = moment(from).add(searchDays, 'days').toDate();
+  const windowMs = SLOT_CONFLICT_MINUTES * 60 * 1000;
+  const takenTimes = await getTakenTimes(scope, {
+    from: new Date(from.getTime() - windowMs),
+    until: new Date(until.getTime() + windowMs),
+  });
+
+  return findNextFreeSlot({
+    slots: schedule.slots,
+    timezone: schedule.timezone,
+    from,
+    until,
+    takenTimes: [...takenTimes, ...extraTakenTimes],
+  });
+}
+
+export default {
+  NEXT_FREE_SLOT,
+  normalizeSlots,
+  expandSlotTimes,
+  findNextFreeSlot,
+  getSlotSchedule,
+  saveSlotSchedule,
+  getTakenTimes,
+  getNextFreeSlot,
+};
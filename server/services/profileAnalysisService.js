@@ -1,5 +1,6 @@
 import pool from '../config/database.js';
 import axios from 'axios';
+import { learnVoiceProfile } from './brandVoiceService.js';
 
 // ─── Constants ──────────────────────────────────────────────────────────────
 const GEMINI_MODEL = 'gemini-3-flash-preview';
@@ -650,6 +651,17 @@ Return ONLY valid JSON:
       );
       console.log(`[ProfileAnalysis] Updated analysis record with tweet count and quality`);
 
+      // Refresh the brand voice from the same tweets; generation prompts read it.
+      try {
+        const { tweetsAnalysed, profile: voiceProfile } = await learnVoiceProfile(
+          { mode: 'personal', userId, teamId: null, accountId: null, authorId: String(twitterAuth.twitter_user_id) },
+          { tweets: tweetResult.tweets }
+        );
+        console.log(`[ProfileAnalysis] Brand voice ${voiceProfile ? 'learned' : 'skipped'} from ${tweetsAnalysed} tweets`);
+      } catch (voiceError) {
+        console.warn(`[ProfileAnalysis] Brand voice learning failed: ${voiceError.message}`);
+      }
+
       // Job 3 + Job 4: Run Gemini analysis and trending in parallel
       const trendingInput = profile.bio || profile.displayName || 'general';
       console.log(`[ProfileAnalysis] ── Step 3+4: Gemini analysis + trending (parallel) ──`);
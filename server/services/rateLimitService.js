@@ -0,0 +1,216 @@
+// Rate Limit Service
+// One fixed-window counter shared by the HTTP middleware (middleware/rateLimit.js),
+// the AI routes and the AI/image services. Counters live in a pluggable store:
+// Redis (via config/redis.js) so limits survive deploys and are shared between
+// the API and worker processes, or process memory for tests and local dev.
+// Quotas can be a flat number or a per-plan table resolved through planAccess.
+import { redisClient, connectRedis } from '../config/redis.js';
+import { normalizePlanType } from '../middleware/planAccess.js';
+
+const KEY_PREFIX = process.env.RATE_LIMIT_KEY_PREFIX || 'tg:rl:';
+const REDIS_CONNECT_TIMEOUT_MS = Number.parseInt(process.env.RATE_LIMIT_REDIS_CONNECT_TIMEOUT_MS || '2000', 10);
+const REDIS_RETRY_AFTER_MS = 60 * 1000;
+const KNOWN_PLANS = new Set(['free', 'pro', 'enterprise', 'agency']);
+
+/**
+ * Named quotas. `max` is either a number or a { free, pro, enterprise, agency }
+ * table; plans missing from the table fall back to `free`.
+ */
+export const RATE_LIMIT_POLICIES = {
+  ai_generation: {
+    windowMs: 60 * 1000,
+    max: { free: 10, pro: 20, enterprise: 30, agency: 40 },
+  },
+  // The bulk generator fans out concurrent requests, so it gets its own bucket.
+  ai_generation_bulk: {
+    windowMs: 60 * 1000,
+    max: { free: 60, pro: 60, enterprise: 90, agency: 120 },
+  },
+  ai_image: {
+    windowMs: 60 * 1000,
+    max: { free: 5, pro: 10, enterprise: 15, agency: 20 },
+  },
+  ai_hourly: {
+    windowMs: 60 * 60 * 1000,
+    max: { free: 50, pro: 200, enterprise: 400, agency: 800 },
+  },
+  image_hourly: {
+    windowMs: 60 * 60 * 1000,
+    max: { free: 10, pro: 30, enterprise: 60, agency: 100 },
+  },
+};
+
+// ─── Stores ──────────────────────────────────────────────────────────────
+// A store implements increment(key, windowMs) → { count, resetAt } where
+// resetAt is the epoch ms at which the window (and its count) expires.
+
+export class MemoryRateLimitStore {
+  constructor() {
+    this.buckets = new Map();
+    this.cleanupTimer = null;
+  }
+
+  startCleanup() {
+    if (this.cleanupTimer) return;
+    // Periodic cleanup so the Map doesn't grow forever
+    this.cleanupTimer = setInterval(() => {
+      const now = Date.now();
+      for (const [key, bucket] of this.buckets) {
+        if (bucket.resetAt <= now) this.buckets.delete(key);
+      }
+    }, 60_000);
+    this.cleanupTimer.unref?.();
+  }
+
+  async increment(key, windowMs) {
+    this.startCleanup();
+    const now = Date.now();
+    let bucket = this.buckets.get(key);
+    if (!bucket || bucket.resetAt <= now) {
+      bucket = { count: 0, resetAt: now + windowMs };
+      this.buckets.set(key, bucket);
+    }
+    bucket.count += 1;
+    return { count: bucket.count, resetAt: bucket.resetAt };
+  }
+
+  reset() {
+    this.buckets.clear();
+  }
+}
+
+const withTimeout = (promise, ms) =>
+  Promise.race([promise, new Promise((resolve) => setTimeout(() => resolve(null), ms).unref?.())]);
+
+let redisConnectPromise = null;
+let redisLastFailureAt = 0;
+
+// connectRedis() keeps one client that retries in the background, so a
+// connect that outlasts the timeout is waited on again next window, not leaked.
+async function getSharedRedisClient() {
+  if (redisClient?.isReady) return redisClient;
+  if (Date.now() - redisLastFailureAt < REDIS_RETRY_AFTER_MS) return null;
+
+  if (!redisConnectPromise) {
+    redisConnectPromise = withTimeout(connectRedis(), REDIS_CONNECT_TIMEOUT_MS)
+      .catch(() => null)
+      .finally(() => {
+        redisConnectPromise = null;
+      });
+  }
+  const client = await redisConnectPromise;
+  if (client?.isReady) return client;
+
+  redisLastFailureAt = Date.now();
+  console.warn('[RateLimit] Redis unavailable, counting in process memory for now.');
+  return null;
+}
+
+/**
+ * Redis-backed counters (INCR + PEXPIRE). When Redis is down the store keeps
+ * limiting with a process-local fallback instead of failing requests.
+ */
+export class RedisRateLimitStore {
+  constructor({ getClient = getSharedRedisClient, fallback = new MemoryRateLimitStore() } = {}) {
+    this.getClient = getClient;
+    this.fallback = fallback;
+  }
+
+  async increment(key, windowMs) {
+    const client = await this.getClient();
+    if (!client) return this.fallback.increment(key, windowMs);
+
+    try {
+      const [count, ttl] = await client.multi().incr(key).pTTL(key).exec();
+      let ttlMs = Number(ttl);
+      if (!(ttlMs > 0)) {
+        // First hit of the window (or a key that lost its expiry).
+        await client.pExpire(key, windowMs);
+        ttlMs = windowMs;
+      }
+      return { count: Number(count), resetAt: Date.now() + ttlMs };
+    } catch (error) {
+      console.error('[RateLimit] Redis increment failed:', error.message);
+      return this.fallback.increment(key, windowMs);
+    }
+  }
+}
+
+export function createRateLimitStore(type = process.env.RATE_LIMIT_STORE) {
+  let storeType = String(type || '').trim().toLowerCase();
+  if (storeType !== 'memory' && storeType !== 'redis') {
+    if (process.env.NODE_ENV === 'test') {
+      storeType = 'memory';
+    } else {
+      storeType = process.env.UPSTASH_REDIS_REST_URL || process.env.REDIS_HOST ? 'redis' : 'memory';
+    }
+  }
+  return storeType === 'redis' ? new RedisRateLimitStore() : new MemoryRateLimitStore();
+}
+
+let activeStore = null;
+
+export function getRateLimitStore() {
+  if (!activeStore) activeStore = createRateLimitStore();
+  return activeStore;
+}
+
+/** Swap the store (tests, or a caller that manages its own Redis client). */
+export function setRateLimitStore(store) {
+  activeStore = store;
+}
+
+// ─── Quotas ──────────────────────────────────────────────────────────────
+
+export function resolvePlanLimit(max, planType) {
+  if (typeof max === 'number') return max;
+  const plan = normalizePlanType(planType);
+  return max?.[KNOWN_PLANS.has(plan) ? plan : 'free'] ?? max?.free;
+}
+
+/**
+ * Count one request against `key`.
+ * @returns {Promise<{ allowed: boolean, limit: number, remaining: number, resetAt: number, retryAfterSeconds: number }>}
+ */
+export async function consume(key, { windowMs, max, planType = null } = {}) {
+  const limit = resolvePlanLimit(max, planType);
+  const { count, resetAt } = await getRateLimitStore().increment(`${KEY_PREFIX}${key}`, windowMs);
+  return {
+    allowed: count <= limit,
+    limit,
+    remaining: Math.max(0, limit - count),
+    resetAt,
+    retryAfterSeconds: Math.max(0, Math.ceil((resetAt - Date.now()) / 1000)),
+  };
+}
+
+/**
+ * Count one request from `identifier` (usually a user id) against a named
+ * policy from RATE_LIMIT_POLICIES.
+ */
+export async function consumePolicy(policyName, identifier, { planType = null } = {}) {
+  const policy = RATE_LIMIT_POLICIES[policyName];
+  if (!policy) throw new Error(`Unknown rate limit policy: ${policyName}`);
+  return consume(`${policyName}:${identifier}`, { ...policy, planType });
+}
+
+/** Standard X-RateLimit-* headers, plus Retry-After once the limit is hit. */
+export function setRateLimitHeaders(res, result) {
+  res.set('X-RateLimit-Limit', String(result.limit));
+  res.set('X-RateLimit-Remaining', String(result.remaining));
+  res.set('X-RateLimit-Reset', String(Math.ceil(result.resetAt / 1000)));
+  if (!result.allowed) {
+    res.set('Retry-After', String(result.retryAfterSeconds));
+  }
+}
+
+export default {
+  RATE_LIMIT_POLICIES,
+  consume,
+  consumePolicy,
+  setRateLimitHeaders,
+  resolvePlanLimit,
+  getRateLimitStore,
+  setRateLimitStore,
+  createRateLimitStore,
+};
@@ -0,0 +1,341 @@
+// Recurring Schedule Service
+// Handles: turning a scheduled tweet into a repeating series, materializing the
+// next occurrence after each one is processed, and series-wide edits.
+// A series keeps its template and RRULE in scheduled_tweet_series; only one
+// occurrence is pending at a time, so series occurrences are not bound by the
+// manual scheduling window.
+import moment from 'moment-timezone';
+import pool from '../config/database.js';
+import {
+  describeRecurrenceRule,
+  formatRecurrenceRule,
+  getNextOccurrence,
+  parseRecurrenceRule,
+} from '../utils/recurrenceRule.js';
+
+// ─── Constants ──────────────────────────────────────────────────────────────
+const RECURRING_TICK_LIMIT = Number.parseInt(process.env.RECURRING_TICK_LIMIT || '25', 10);
+// New occurrences are never placed closer than this to "now".
+const RECURRING_MIN_LEAD_MINUTES = 5;
+const SERIES_HISTORY_LIMIT = 20;
+const DB_TIMESTAMP_FORMAT = 'YYYY-MM-DD HH:mm:ss';
+// Occurrence states after which the series may move on. A failed occurrence
+// doesn't stop next week's post; it can still be retried on its own.
+const SETTLED_OCCURRENCE_STATUSES = ['completed', 'partially_completed', 'failed', 'cancelled'];
+
+// scheduled_tweets timestamps are stored as UTC without a zone.
+const toUtcDate = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value;
+  const parsed = moment.utc(String(value), [moment.ISO_8601, DB_TIMESTAMP_FORMAT]);
+  return parsed.isValid() ? parsed.toDate() : null;
+};
+const toDbTimestamp = (date) => moment.utc(date).format(DB_TIMESTAMP_FORMAT);
+
+const toJson = (value, fallback) => {
+  if (value === null || value === undefined || value === '') return JSON.stringify(fallback);
+  if (typeof value === 'string') {
+    try {
+      return JSON.stringify(JSON.parse(value));
+    } catch {
+      return JSON.stringify(fallback);
+    }
+  }
+  return JSON.stringify(value);
+};
+
+const scopeClause = ({ userId, teamId }, alias = 's') =>
+  teamId
+    ? { sql: `${alias}.team_id = $2`, value: teamId }
+    : { sql: `${alias}.user_id = $2 AND ${alias}.team_id IS NULL`, value: userId };
+
+export function serializeSeries(series) {
+  if (!series) return null;
+  const { rule } = parseRecurrenceRule(series.rule);
+  const dtstart = toUtcDate(series.dtstart);
+  return {
+    id: series.id,
+    rule: series.rule,
+    description: rule ? describeRecurrenceRule(rule, { dtstart, timezone: series.timezone }) : series.rule,
+    timezone: series.timezone,
+    dtstart: dtstart ? dtstart.toISOString() : null,
+    time: dtstart ? moment.tz(dtstart, series.timezone || 'UTC').format('HH:mm') : null,
+    content: series.content,
+    thread_tweets: series.thread_tweets || [],
+    occurrences_created: series.occurrences_created,
+    count: rule?.count || null,
+    until: rule?.until ? rule.until.toISOString() : null,
+    status: series.status,
+    ended_at: toUtcDate(series.ended_at)?.toISOString() || null,
+    created_at: toUtcDate(series.created_at)?.toISOString() || null,
+  };
+}
+
+class RecurringScheduleService {
+  /**
+   * Attach a recurrence rule to a freshly inserted scheduled_tweets row, which
+   * becomes occurrence #1 and the series start.
+   * @returns {Promise<object>} the series row
+   */
+  async createSeries(scheduledTweet, ruleInput) {
+    const { rule, error } = parseRecurrenceRule(ruleInput);
+    if (error) throw new Error(error);
+
+    const { rows } = await pool.query(
+      `INSERT INTO scheduled_tweet_series
+         (user_id, team_id, rule, timezone, dtstart, content, media, media_urls, thread_tweets, thread_media, metadata)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+       RETURNING *`,
+      [
+        scheduledTweet.user_id,
+        scheduledTweet.team_id || null,
+        formatRecurrenceRule(rule),
+        scheduledTweet.timezone || 'UTC',
+        toDbTimestamp(toUtcDate(scheduledTweet.scheduled_for)),
+        scheduledTweet.content,
+        toJson(scheduledTweet.media, []),
+        toJson(scheduledTweet.media_urls, []),
+        toJson(scheduledTweet.thread_tweets, []),
+        toJson(scheduledTweet.thread_media, []),
+        toJson(scheduledTweet.metadata, {}),
+      ]
+    );
+
+    await pool.query(
+      `UPDATE scheduled_tweets
+       SET series_id = $1, occurrence_index = 1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2`,
+      [rows[0].id, scheduledTweet.id]
+    );
+    return rows[0];
+  }
+
+  async getSeries(seriesId, scope) {
+    const scopeFilter = scopeClause(scope);
+    const { rows } = await pool.query(
+      `SELECT s.* FROM scheduled_tweet_series s WHERE s.id = $1 AND ${scopeFilter.sql}`,
+      [seriesId, scopeFilter.value]
+    );
+    return rows[0] || null;
+  }
+
+  async listOccurrences(seriesId, limit = SERIES_HISTORY_LIMIT) {
+    const { rows } = await pool.query(
+      `SELECT id, occurrence_index, scheduled_for, status, posted_at, error_message, series_detached, content
+       FROM scheduled_tweets
+       WHERE series_id = $1
+       ORDER BY occurrence_index DESC
+       LIMIT $2`,
+      [seriesId, limit]
+    );
+    return rows.map((row) => ({
+      ...row,
+      scheduled_for: toUtcDate(row.scheduled_for)?.toISOString() || null,
+      posted_at: toUtcDate(row.posted_at)?.toISOString() || null,
+    }));
+  }
+
+  async endSeries(seriesId, status = 'ended') {
+    await pool.query(
+      `UPDATE scheduled_tweet_series
+       SET status = $2, ended_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = 'active'`,
+      [seriesId, status]
+    );
+  }
+
+  nextOccurrenceAfter(series, after) {
+    const { rule } = parseRecurrenceRule(series.rule);
+    if (!rule) return null;
+    const earliest = new Date(Date.now() + RECURRING_MIN_LEAD_MINUTES * 60 * 1000);
+    return getNextOccurrence(rule, {
+      dtstart: toUtcDate(series.dtstart),
+      timezone: series.timezone,
+      after: after && after > earliest ? after : earliest,
+    });
+  }
+
+  /**
+   * Queue the occurrence that follows `scheduledTweetId`. Only the latest
+   * occurrence advances its series, and the insert is guarded on
+   * occurrences_created, so concurrent callers can't queue it twice.
+   * @returns {Promise<{ queued: boolean, ended?: boolean, scheduledTweetId?: string, scheduledFor?: string }|null>}
+   */
+  async materializeNextOccurrence(scheduledTweetId) {
+    const { rows } = await pool.query(
+      `SELECT st.occurrence_index, st.scheduled_for AS occurrence_scheduled_for, s.*
+       FROM scheduled_tweets st
+       JOIN scheduled_tweet_series s ON s.id = st.series_id
+       WHERE st.id = $1`,
+      [scheduledTweetId]
+    );
+    const series = rows[0];
+    if (!series || series.status !== 'active' || series.occurrence_index !== series.occurrences_created) {
+      return null;
+    }
+
+    const { rule } = parseRecurrenceRule(series.rule);
+    if (!rule || (rule.count && series.occurrences_created >= rule.count)) {
+      await this.endSeries(series.id);
+      return { queued: false, ended: true };
+    }
+
+    const nextAt = this.nextOccurrenceAfter(series, toUtcDate(series.occurrence_scheduled_for));
+    if (!nextAt) {
+      await this.endSeries(series.id);
+      return { queued: false, ended: true };
+    }
+
+    const { rows: inserted } = await pool.query(
+      `WITH advanced AS (
+         UPDATE scheduled_tweet_series
+         SET occurrences_created = occurrences_created + 1
+         WHERE id = $1 AND status = 'active' AND occurrences_created = $2
+         RETURNING *
+       )
+       INSERT INTO scheduled_tweets
+         (user_id, team_id, account_id, author_id, content, media, media_urls, thread_tweets, thread_media, media_alt_text,
+          metadata, scheduled_for, timezone, status, approval_status, approved_by, series_id, occurrence_index,
+          created_at, updated_at)
+       SELECT prev.user_id, prev.team_id, prev.account_id, prev.author_id,
+              a.content, a.media, a.media_urls, a.thread_tweets, a.thread_media, prev.media_alt_text, a.metadata,
+              $3, a.timezone, 'pending', prev.approval_status, prev.approved_by, a.id, a.occurrences_created,
+              CURRENT_TIMESTAMP, CURRENT_TIMESTAMP
+       FROM advanced a
+       JOIN scheduled_tweets prev ON prev.id = $4
+       RETURNING id, scheduled_for`,
+      [series.id, series.occurrences_created, toDbTimestamp(nextAt), scheduledTweetId]
+    );
+    if (!inserted.length) return null;
+
+    return { queued: true, scheduledTweetId: inserted[0].id, scheduledFor: nextAt.toISOString() };
+  }
+
+  /**
+   * Series-wide edit. Changes the template and rule, and carries them over to
+   * the pending occurrence unless that occurrence was edited on its own.
+   * @param {object} series - row from getSeries
+   * @param {{ rule?: string, time?: string, content?: string, threadTweets?: string[] }} updates
+   */
+  async updateSeries(series, updates = {}) {
+    const sets = [];
+    const values = [];
+    const push = (column, value) => {
+      values.push(value);
+      sets.push(`${column} = $${values.length}`);
+    };
+
+    let nextRule = series.rule;
+    if (updates.rule !== undefined) {
+      const { rule, error } = parseRecurrenceRule(updates.rule);
+      if (error) throw new Error(error);
+      nextRule = formatRecurrenceRule(rule);
+      push('rule', nextRule);
+    }
+
+    let nextDtstart = toUtcDate(series.dtstart);
+    if (updates.time !== undefined) {
+      const match = String(updates.time).match(/^([01]\d|2[0-3]):([0-5]\d)$/);
+      if (!match) throw new Error('Time must be HH:mm');
+      nextDtstart = moment
+        .tz(nextDtstart, series.timezone || 'UTC')
+        .hour(Number(match[1]))
+        .minute(Number(match[2]))
+        .toDate();
+      push('dtstart', toDbTimestamp(nextDtstart));
+    }
+
+    if (updates.content !== undefined) push('content', updates.content);
+    if (updates.threadTweets !== undefined) {
+      push('thread_tweets', JSON.stringify(updates.threadTweets.map((content) => ({ content }))));
+    }
+    if (!sets.length) return series;
+
+    values.push(series.id);
+    const { rows } = await pool.query(
+      `UPDATE scheduled_tweet_series SET ${sets.join(', ')} WHERE id = $${values.length} RETURNING *`,
+      values
+    );
+    const updated = rows[0];
+
+    const timingChanged = updates.rule !== undefined || updates.time !== undefined;
+    let nextAt = null;
+    if (timingChanged) {
+      nextAt = this.nextOccurrenceAfter(updated, null);
+      if (!nextAt) {
+        await pool.query(
+          `UPDATE scheduled_tweets
+           SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+           WHERE series_id = $1 AND status = 'pending' AND series_detached = false`,
+          [updated.id]
+        );
+        await this.endSeries(updated.id);
+        return { ...updated, status: 'ended' };
+      }
+    }
+
+    await pool.query(
+      `UPDATE scheduled_tweets
+       SET content = $2,
+           thread_tweets = $3,
+           scheduled_for = COALESCE($4, scheduled_for),
+           timezone = $5,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE series_id = $1 AND status = 'pending' AND series_detached = false`,
+      [
+        updated.id,
+        updated.content,
+        toJson(updated.thread_tweets, []),
+        nextAt ? toDbTimestamp(nextAt) : null,
+        updated.timezone,
+      ]
+    );
+    return updated;
+  }
+
+  /** Stop a series and cancel its pending occurrence. */
+  async cancelSeries(seriesId) {
+    await pool.query(
+      `UPDATE scheduled_tweets
+       SET status = 'cancelled', processing_started_at = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE series_id = $1 AND status = 'pending'`,
+      [seriesId]
+    );
+    await this.endSeries(seriesId, 'cancelled');
+  }
+
+  /**
+   * Catch-up pass for the DB scheduler: advance active series whose latest
+   * occurrence settled without the next one being queued (worker restart,
+   * an occurrence cancelled from another client, ...).
+   */
+  async runRecurringTick(limit = RECURRING_TICK_LIMIT) {
+    const { rows } = await pool.query(
+      `SELECT st.id
+       FROM scheduled_tweet_series s
+       JOIN scheduled_tweets st
+         ON st.series_id = s.id AND st.occurrence_index = s.occurrences_created
+       WHERE s.status = 'active'
+         AND st.status = ANY($1::text[])
+       ORDER BY st.scheduled_for ASC
+       LIMIT $2`,
+      [SETTLED_OCCURRENCE_STATUSES, limit]
+    );
+
+    const summary = { checked: rows.length, queued: 0, ended: 0, errors: 0 };
+    for (const row of rows) {
+      try {
+        const result = await this.materializeNextOccurrence(row.id);
+        if (result?.queued) summary.queued += 1;
+        if (result?.ended) summary.ended += 1;
+      } catch (error) {
+        summary.errors += 1;
+        console.error(`[Recurring] Failed to advance series for ${row.id}:`, error.message);
+      }
+    }
+    return summary;
+  }
+}
+
+export const recurringScheduleService = new RecurringScheduleService();
+export default recurringScheduleService;
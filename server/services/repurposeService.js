@@ -6,6 +6,7 @@
 // Output goes to content_review_queue for approval.
 import pool from '../config/database.js';
 import axios from 'axios';
+import { getVoicePromptForUser } from './brandVoiceService.js';
 
 const GEMINI_MODEL = 'gemini-3-flash-preview';
 const REPURPOSE_MAX_TOKENS = 4096;
@@ -49,7 +50,8 @@ class RepurposeService {
       impressions: tweet.impressions || 0,
     };
 
-    const prompt = this.buildRepurposePrompt(content, niche, audience, tone, engagement, formats);
+    const voicePrompt = await getVoicePromptForUser(userId, { maxChars: 1000 });
+    const prompt = this.buildRepurposePrompt(content, niche, audience, tone, engagement, formats, voicePrompt);
 
     const response = await this.callGemini(prompt);
     const parsed = this.parseJSON(response);
@@ -133,7 +135,7 @@ class RepurposeService {
     return { count: inserted.length, items: inserted, original_tweet_id: tweetId };
   }
 
-  buildRepurposePrompt(content, niche, audience, tone, engagement, formats) {
+  buildRepurposePrompt(content, niche, audience, tone, engagement, formats, voicePrompt = '') {
     const engSummary = `${engagement.likes} likes, ${engagement.retweets} RTs, ${engagement.replies} replies, ${engagement.impressions} impressions`;
 
     const formatInstructions = [];
@@ -165,6 +167,7 @@ ORIGINAL TWEET (performed well with ${engSummary}):
 
 AUDIENCE: ${audience}
 TONE: ${tone}
+${voicePrompt ? `\n${voicePrompt}\n(The LinkedIn version may run longer, but keep the same voice and banned words.)\n` : ''}
 
 TASK: Repurpose this high-performing tweet into the following formats. Preserve the core message and insight but adapt the format, length, and angle appropriately.
 
@@ -0,0 +1,378 @@
+// Review Link Service
+// Expiring, signed links that let an external client approve, reject or
+// comment on a batch of pending posts without an account. Decisions go
+// through the same approval and content-queue paths members use.
+import crypto from 'crypto';
+import pool from '../config/database.js';
+import { weeklyContentService } from './weeklyContentService.js';
+import { approveQueueItem } from './contentReviewService.js';
+import {
+  MAX_COMMENT_LENGTH,
+  addComment,
+  getApprovalChain,
+  getReviewActor,
+  getReviewPost,
+  rejectPost,
+  signOffStep,
+} from './approvalService.js';
+import { describeApprovalProgress } from '../utils/approvalChain.js';
+import { hasAccountAccess, loadTeamAccountPermissions } from '../utils/teamAccountPermissions.js';
+
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:5174';
+
+// Agency role a link reviewer counts as, so a chain step open to clients can
+// be signed off from a link. Steps the sharer could sign off are open too.
+export const REVIEW_LINK_ROLE = 'client';
+export const REVIEW_ITEM_TYPES = ['scheduled_tweet', 'content_queue'];
+export const REVIEW_ACTIONS = ['approved', 'rejected', 'commented'];
+export const MAX_LINK_ITEMS = 50;
+export const DEFAULT_LINK_EXPIRY_DAYS = 7;
+export const MAX_LINK_EXPIRY_DAYS = 30;
+const MAX_LABEL_LENGTH = 120;
+
+// ─── Tokens ──────────────────────────────────────────────────────────────
+
+// Read at call time; without a configured secret, links are neither signed
+// nor accepted rather than signed with a guessable default.
+const getReviewLinkSecret = () => {
+  const secret = process.env.REVIEW_LINK_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    const err = new Error('REVIEW_LINK_SECRET or JWT_SECRET must be set to use review links');
+    err.code = 'REVIEW_LINK_SECRET_MISSING';
+    throw err;
+  }
+  return secret;
+};
+
+const signPayload = (payload) =>
+  crypto.createHmac('sha256', getReviewLinkSecret()).update(payload).digest('base64url');
+
+/** `<link id>.<expiry in unix seconds>.<signature>` */
+export function signReviewToken(linkId, expiresAt) {
+  const payload = `${linkId}.${Math.floor(new Date(expiresAt).getTime() / 1000)}`;
+  return `${payload}.${signPayload(payload)}`;
+}
+
+/**
+ * Check a token's signature and expiry.
+ * @returns {{ linkId: string, expiresAt: Date } | null}
+ */
+export function verifyReviewToken(token, now = new Date()) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) return null;
+  const [linkId, expiry, signature] = parts;
+  const expected = Buffer.from(signPayload(`${linkId}.${expiry}`));
+  const given = Buffer.from(signature);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+
+  const expiresAt = new Date(Number(expiry) * 1000);
+  if (!Number.isFinite(expiresAt.getTime()) || expiresAt <= now) return null;
+  return { linkId, expiresAt };
+}
+
+export const buildReviewUrl = (token) => `${CLIENT_URL}/review/${token}`;
+
+// ─── Links ───────────────────────────────────────────────────────────────
+
+const formatLink = (row) => ({
+  id: row.id,
+  label: row.label,
+  team_id: row.team_id,
+  expires_at: row.expires_at,
+  revoked_at: row.revoked_at,
+  last_opened_at: row.last_opened_at,
+  created_at: row.created_at,
+  item_count: Number(row.item_count || 0),
+  event_count: Number(row.event_count || 0),
+  active: !row.revoked_at && new Date(row.expires_at) > new Date(),
+});
+
+export async function isActiveTeamMember(teamId, userId) {
+  const { rows } = await pool.query(
+    `SELECT 1 FROM team_members WHERE team_id = $1 AND user_id = $2 AND status = 'active' LIMIT 1`,
+    [teamId, userId]
+  );
+  return rows.length > 0;
+}
+
+/**
+ * Keep only posts the sharer may put in front of a client: pending team
+ * approvals they can review and their own pending content-queue items.
+ */
+export async function resolveShareableItems(userId, agencyWorkspace, { scheduledTweetIds = [], queueItemIds = [] }) {
+  const items = [];
+
+  for (const id of scheduledTweetIds) {
+    const row = await getReviewPost(id);
+    if (row?.approval_status !== 'pending_approval' || row.status !== 'pending') continue;
+    if (!(await getReviewActor(row, userId, agencyWorkspace))) continue;
+    items.push({ type: 'scheduled_tweet', id: row.id });
+  }
+
+  if (queueItemIds.length > 0) {
+    const { rows } = await pool.query(
+      `SELECT id FROM content_review_queue WHERE id = ANY($1) AND user_id = $2 AND status = 'pending'`,
+      [queueItemIds, userId]
+    );
+    rows.forEach((row) => items.push({ type: 'content_queue', id: row.id }));
+  }
+
+  return items;
+}
+
+/**
+ * @returns {Promise<{ link: object, url: string }>} the URL is only returned here
+ */
+export async function createReviewLink({ userId, teamId = null, agencyWorkspace = null, label = '', expiresInDays, items }) {
+  const days = Math.min(Math.max(Number.parseInt(expiresInDays, 10) || DEFAULT_LINK_EXPIRY_DAYS, 1), MAX_LINK_EXPIRY_DAYS);
+  const expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+  const { rows: [link] } = await pool.query(
+    `INSERT INTO review_links (created_by, team_id, agency_workspace_id, label, expires_at, created_at)
+     VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP)
+     RETURNING *`,
+    [userId, teamId, agencyWorkspace?.workspaceId || null, String(label || '').trim().slice(0, MAX_LABEL_LENGTH), expiresAt]
+  );
+
+  for (const [position, item] of items.entries()) {
+    await pool.query(
+      `INSERT INTO review_link_items (link_id, item_type, item_id, position)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT DO NOTHING`,
+      [link.id, item.type, item.id, position]
+    );
+  }
+
+  return {
+    link: formatLink({ ...link, item_count: items.length }),
+    url: buildReviewUrl(signReviewToken(link.id, link.expires_at)),
+  };
+}
+
+export async function listReviewLinks(userId) {
+  const { rows } = await pool.query(
+    `SELECT rl.*,
+            (SELECT COUNT(*) FROM review_link_items i WHERE i.link_id = rl.id) AS item_count,
+            (SELECT COUNT(*) FROM review_link_events e WHERE e.link_id = rl.id) AS event_count
+     FROM review_links rl
+     WHERE rl.created_by = $1
+     ORDER BY rl.created_at DESC
+     LIMIT 50`,
+    [userId]
+  );
+  return rows.map(formatLink);
+}
+
+export async function revokeReviewLink(userId, linkId) {
+  const { rowCount } = await pool.query(
+    `UPDATE review_links SET revoked_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND created_by = $2 AND revoked_at IS NULL`,
+    [linkId, userId]
+  );
+  return rowCount > 0;
+}
+
+/**
+ * The live link behind a token, or null when it is forged, expired or
+ * revoked, or its team link was shared by someone no longer on the team.
+ */
+export async function findLinkByToken(token) {
+  const verified = verifyReviewToken(token);
+  if (!verified) return null;
+  const { rows } = await pool.query(
+    `SELECT * FROM review_links
+     WHERE id = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP`,
+    [verified.linkId]
+  );
+  const link = rows[0];
+  if (!link) return null;
+  if (link.team_id && !(await isActiveTeamMember(link.team_id, link.created_by))) return null;
+  return link;
+}
+
+export async function markLinkOpened(linkId) {
+  await pool.query('UPDATE review_links SET last_opened_at = CURRENT_TIMESTAMP WHERE id = $1', [linkId]);
+}
+
+// ─── Audit trail ─────────────────────────────────────────────────────────
+
+export async function recordLinkEvent(link, { itemType, itemId, action, reviewer, comment = null, ipAddress = null, userAgent = null }) {
+  const { rows } = await pool.query(
+    `INSERT INTO review_link_events
+       (link_id, item_type, item_id, action, reviewer_name, reviewer_email, comment, ip_address, user_agent, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, CURRENT_TIMESTAMP)
+     RETURNING *`,
+    [
+      link.id,
+      itemType,
+      itemId,
+      action,
+      reviewer.name,
+      reviewer.email || null,
+      comment || null,
+      ipAddress ? String(ipAddress).slice(0, 64) : null,
+      userAgent ? String(userAgent).slice(0, 500) : null,
+    ]
+  );
+  return rows[0];
+}
+
+/** Who did what from one of the user's links; null when the link is not theirs. */
+export async function listLinkEvents(userId, linkId) {
+  const { rows: [link] } = await pool.query(
+    'SELECT id FROM review_links WHERE id = $1 AND created_by = $2',
+    [linkId, userId]
+  );
+  if (!link) return null;
+  const { rows } = await pool.query(
+    `SELECT e.*, COALESCE(st.content, q.content) AS content
+     FROM review_link_events e
+     LEFT JOIN scheduled_tweets st ON e.item_type = 'scheduled_tweet' AND st.id = e.item_id
+     LEFT JOIN content_review_queue q ON e.item_type = 'content_queue' AND q.id = e.item_id
+     WHERE e.link_id = $1
+     ORDER BY e.created_at DESC
+     LIMIT 200`,
+    [linkId]
+  );
+  return rows;
+}
+
+// ─── Portal ──────────────────────────────────────────────────────────────
+
+// Tokens outlive team membership, so the sharer's access to the post's team
+// and account is checked again on every view and decision.
+const sharerCanStillReview = async (link, row) => {
+  if (row.account_id === null || row.account_id === undefined) {
+    return isActiveTeamMember(row.team_id, link.created_by);
+  }
+  const access = await loadTeamAccountPermissions(pool, {
+    userId: link.created_by,
+    accountId: row.account_id,
+    teamId: row.team_id,
+  });
+  return hasAccountAccess(access?.permissions);
+};
+
+// A link signs off only steps open to the client agency role: never with the
+// sharer's team role or as one of a step's named members. Decisions are still
+// recorded under the sharer, with the reviewer's name alongside. Null when the
+// sharer has lost access to the post.
+const getLinkActor = async (link, row, reviewer = null) => {
+  if (!(await sharerCanStillReview(link, row))) return null;
+  return {
+    userId: String(link.created_by),
+    teamRole: null,
+    agencyRole: REVIEW_LINK_ROLE,
+    viaReviewLink: true,
+    reviewLinkId: String(link.id),
+    reviewLink: reviewer ? { id: link.id, reviewerName: reviewer.name } : null,
+  };
+};
+
+const getLinkItemRefs = async (linkId) => {
+  const { rows } = await pool.query(
+    'SELECT item_type, item_id FROM review_link_items WHERE link_id = $1 ORDER BY position',
+    [linkId]
+  );
+  return rows;
+};
+
+// Only what was said through this link; the team's own review thread stays internal.
+const listLinkComments = async (linkId, itemType, itemId) => {
+  const { rows } = itemType === 'scheduled_tweet'
+    ? await pool.query(
+        `SELECT id, reviewer_name, body, created_at
+         FROM approval_comments
+         WHERE scheduled_tweet_id = $1 AND review_link_id = $2 AND body <> ''
+         ORDER BY created_at ASC`,
+        [itemId, linkId]
+      )
+    : await pool.query(
+        `SELECT id, reviewer_name, comment AS body, created_at
+         FROM review_link_events
+         WHERE link_id = $1 AND item_type = 'content_queue' AND item_id = $2 AND COALESCE(comment, '') <> ''
+         ORDER BY created_at ASC`,
+        [linkId, itemId]
+      );
+  return rows;
+};
+
+/** Read-only view of the link's posts, with what the reviewer can still do to each. */
+export async function getPortalItems(link) {
+  const items = [];
+  for (const ref of await getLinkItemRefs(link.id)) {
+    if (ref.item_type === 'scheduled_tweet') {
+      const row = await getReviewPost(ref.item_id);
+      if (!row) continue;
+      const actor = await getLinkActor(link, row);
+      if (!actor) continue;
+      const { steps } = await getApprovalChain(row.team_id);
+      const approval = describeApprovalProgress(row, steps, actor);
+      items.push({
+        type: 'scheduled_tweet',
+        id: row.id,
+        content: row.content,
+        thread_tweets: row.thread_tweets || [],
+        scheduled_for: row.scheduled_for,
+        status: row.status === 'pending' ? row.approval_status : row.status,
+        approval: { steps: approval.steps, current_step: approval.current_step?.label || null },
+        can_decide: approval.can_sign_off,
+        comments: await listLinkComments(link.id, 'scheduled_tweet', row.id),
+      });
+    } else {
+      const { rows: [row] } = await pool.query(
+        'SELECT id, content, suggested_time, status FROM content_review_queue WHERE id = $1 AND user_id = $2',
+        [ref.item_id, link.created_by]
+      );
+      if (!row) continue;
+      items.push({
+        type: 'content_queue',
+        id: row.id,
+        content: row.content,
+        thread_tweets: [],
+        scheduled_for: row.suggested_time,
+        status: row.status,
+        approval: null,
+        can_decide: row.status === 'pending',
+        comments: await listLinkComments(link.id, 'content_queue', row.id),
+      });
+    }
+  }
+  return items;
+}
+
+/**
+ * Approve, reject or comment on one of the link's posts and record it in the
+ * audit trail.
+ * @param {{ name: string, email?: string|null }} reviewer
+ * @returns {Promise<{ status?: number, error?: string, code?: string, violations?: object[], event?: object }>}
+ */
+export async function actOnLinkItem(link, { itemType, itemId, action, reviewer, comment = '', ipAddress, userAgent }) {
+  const refs = await getLinkItemRefs(link.id);
+  if (!refs.some((ref) => ref.item_type === itemType && String(ref.item_id) === String(itemId))) {
+    return { status: 404, error: 'This post is not part of the review link' };
+  }
+  const text = String(comment || '').trim().slice(0, MAX_COMMENT_LENGTH);
+  if (action === 'commented' && !text) return { status: 400, error: 'Write a comment' };
+
+  let result = {};
+  if (itemType === 'scheduled_tweet') {
+    const row = await getReviewPost(itemId);
+    if (!row) return { status: 404, error: 'Post not found' };
+    const actor = await getLinkActor(link, row, reviewer);
+    if (!actor) return { status: 403, error: 'Whoever shared this link no longer has access to this post' };
+    const { steps } = await getApprovalChain(row.team_id);
+    if (action === 'approved') result = await signOffStep(row, steps, actor, text);
+    else if (action === 'rejected') result = await rejectPost(row, steps, actor, text);
+    else await addComment(row, actor.userId, { body: text, reviewLink: actor.reviewLink });
+  } else if (action === 'approved') {
+    result = await approveQueueItem(itemId, link.created_by);
+  } else if (action === 'rejected') {
+    const item = await weeklyContentService.rejectItem(itemId, link.created_by);
+    if (!item) result = { status: 404, error: 'Item not found or already processed' };
+  }
+  if (result.error) return result;
+
+  const event = await recordLinkEvent(link, { itemType, itemId, action, reviewer, comment: text, ipAddress, userAgent });
+  return { event };
+}
@@ -0,0 +1,379 @@
+// Schedule Import Service
+// Parses CSV/TSV spreadsheets into scheduled-post rows and validates them
+// before anything is inserted, so the Scheduling page can show a per-row
+// dry-run report.
+import moment from 'moment-timezone';
+
+export const MAX_IMPORT_ROWS = 100;
+export const MAX_IMPORT_MEDIA_PER_ROW = 4;
+export const IMPORT_CROSS_POST_PLATFORMS = ['linkedin', 'threads'];
+
+const THREAD_SEPARATOR = /\n?\s*---\s*\n?/;
+const LIST_SEPARATOR = /[\s,;|]+/;
+const ISO_OFFSET_SUFFIX = /(Z|[+-]\d{2}:?\d{2})$/i;
+
+const LOCAL_TIME_FORMATS = [
+  'YYYY-MM-DD HH:mm',
+  'YYYY-MM-DD HH:mm:ss',
+  'YYYY-MM-DDTHH:mm',
+  'YYYY-MM-DDTHH:mm:ss',
+  'YYYY-MM-DD h:mm A',
+  'YYYY-MM-DD h:mmA',
+  'MM/DD/YYYY HH:mm',
+  'MM/DD/YYYY h:mm A',
+  'M/D/YYYY H:mm',
+  'M/D/YYYY h:mm A',
+];
+
+// Header name (lower-cased, spaces/dashes → underscores) → field
+const COLUMN_ALIASES = {
+  content: 'content',
+  text: 'content',
+  tweet: 'content',
+  post: 'content',
+  thread: 'thread',
+  thread_parts: 'thread',
+  scheduled_at: 'scheduledAt',
+  scheduled_for: 'scheduledAt',
+  scheduled_time: 'scheduledAt',
+  datetime: 'scheduledAt',
+  date: 'date',
+  time: 'time',
+  timezone: 'timezone',
+  tz: 'timezone',
+  media_url: 'mediaUrls',
+  media_urls: 'mediaUrls',
+  media: 'mediaUrls',
+  image_url: 'mediaUrls',
+  cross_post: 'crossPost',
+  cross_post_targets: 'crossPost',
+  crosspost: 'crossPost',
+  platforms: 'crossPost',
+  account: 'account',
+  account_username: 'account',
+  username: 'account',
+  handle: 'account',
+};
+
+const normalizeHeader = (header) =>
+  String(header || '')
+    .replace(/^\uFEFF/, '')
+    .trim()
+    .toLowerCase()
+    .replace(/[\s-]+/g, '_');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Parsing
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Tabs win if the header line has any; otherwise comma.
+ */
+export function detectDelimiter(text) {
+  const firstLine = String(text || '').split(/\r?\n/, 1)[0] || '';
+  return firstLine.includes('\t') ? '\t' : ',';
+}
+
+/**
+ * RFC 4180-style parser: quoted fields may contain delimiters, newlines
+ * and doubled quotes. Returns an array of records (arrays of strings).
+ */
+export function parseDelimited(text, delimiter = ',') {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i += 1;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && field.length === 0) {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field.length > 0 || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  // Drop blank lines (a single empty field)
+  return records.filter((r) => r.some((value) => value.trim().length > 0));
+}
+
+const splitList = (value) =>
+  String(value || '')
+    .split(LIST_SEPARATOR)
+    .map((part) => part.trim())
+    .filter(Boolean);
+
+const splitThread = (value) =>
+  String(value || '')
+    .split(THREAD_SEPARATOR)
+    .map((part) => part.trim())
+    .filter(Boolean);
+
+/**
+ * Parse a CSV/TSV file into import rows.
+ * Thread parts come from `---` separators in `content`, a `thread` column,
+ * and/or numbered `thread_2`, `thread_3`… columns (in that order).
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {'csv'|'tsv'} [options.format] - Forces the delimiter; detected otherwise
+ * @returns {{ rows: Array, ignoredColumns: string[], error: string|null }}
+ */
+export function parseImportFile(text, { format } = {}) {
+  const delimiter = format === 'tsv' ? '\t' : format === 'csv' ? ',' : detectDelimiter(text);
+  const records = parseDelimited(text, delimiter);
+  if (records.length === 0) {
+    return { rows: [], ignoredColumns: [], error: 'The file is empty' };
+  }
+
+  const headers = records[0].map(normalizeHeader);
+  const fieldByIndex = headers.map((header) => {
+    if (COLUMN_ALIASES[header]) return { field: COLUMN_ALIASES[header] };
+    const numbered = header.match(/^thread_?(\d+)$/);
+    if (numbered) return { field: 'threadPart', order: Number(numbered[1]) };
+    return null;
+  });
+
+  if (!fieldByIndex.some((entry) => entry?.field === 'content')) {
+    return {
+      rows: [],
+      ignoredColumns: [],
+      error: 'Missing a "content" column. The first row must be a header row.',
+    };
+  }
+
+  const ignoredColumns = records[0].filter((_, index) => !fieldByIndex[index]).map((h) => h.trim()).filter(Boolean);
+
+  const rows = records.slice(1).map((record, recordIndex) => {
+    const values = {};
+    const numberedParts = [];
+    fieldByIndex.forEach((entry, index) => {
+      if (!entry) return;
+      const value = String(record[index] ?? '').trim();
+      if (!value) return;
+      if (entry.field === 'threadPart') {
+        numberedParts.push({ order: entry.order, value });
+      } else {
+        values[entry.field] = value;
+      }
+    });
+
+    const threadParts = [
+      ...splitThread(values.content),
+      ...splitThread(values.thread),
+      ...numberedParts.sort((a, b) => a.order - b.order).map((part) => part.value),
+    ];
+
+    const scheduledAt = values.scheduledAt
+      || [values.date, values.time].filter(Boolean).join(' ')
+      || '';
+
+    return {
+      // Spreadsheet row number: header is row 1
+      rowNumber: recordIndex + 2,
+      threadParts,
+      scheduledAt,
+      timezone: values.timezone || null,
+      mediaUrls: splitList(values.mediaUrls),
+      crossPost: splitList(values.crossPost).map((target) => target.toLowerCase()),
+      account: values.account ? values.account.replace(/^@/, '') : null,
+    };
+  });
+
+  return { rows, ignoredColumns, error: null };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Validation
+// ═══════════════════════════════════════════════════════════════════════════
+
+const parseScheduledAt = (value, timezone) => {
+  const raw = String(value || '').trim();
+  if (!raw) return null;
+  const parsed = ISO_OFFSET_SUFFIX.test(raw)
+    ? moment.parseZone(raw, moment.ISO_8601, true)
+    : moment.tz(raw, LOCAL_TIME_FORMATS, true, timezone);
+  return parsed.isValid() ? parsed.clone().utc() : null;
+};
+
+const findAccount = (accounts, reference) => {
+  const needle = String(reference).toLowerCase();
+  return accounts.find((account) =>
+    [account.username, account.id, account.twitter_user_id]
+      .filter((value) => value !== null && value !== undefined)
+      .some((value) => String(value).toLowerCase() === needle)
+  ) || null;
+};
+
+const isHttpsUrl = (value) => {
+  try {
+    return new URL(value).protocol === 'https:';
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Validate parsed rows against the accounts in scope and the scheduling window.
+ * Pure — callers resolve accounts, char limits and the window first.
+ * @param {Array} rows - From parseImportFile
+ * @param {Object} context
+ * @param {Array<{id, username, twitter_user_id, charLimit}>} context.accounts
+ * @param {Object} context.defaultAccount - Used when a row has no account
+ * @param {string} context.defaultTimezone
+ * @param {Date} context.minDate - Earliest allowed time (lead time applied)
+ * @param {Date} context.maxDate - Latest allowed time
+ * @param {Function} [context.resolveTimezone] - Maps a timezone input to an IANA zone or null
+ * @returns {{ rows: Array<{rowNumber, errors, warnings, item}>, validCount, errorCount }}
+ */
+export function validateImportRows(rows, context) {
+  const {
+    accounts,
+    defaultAccount,
+    defaultTimezone,
+    minDate,
+    maxDate,
+    resolveTimezone = (tz) => (moment.tz.zone(tz) ? moment.tz.zone(tz).name : null),
+  } = context;
+  const seenSlots = new Map();
+
+  const results = rows.map((row) => {
+    const errors = [];
+    const warnings = [];
+
+    if (row.threadParts.length === 0) {
+      errors.push('Content is empty');
+    }
+
+    const account = row.account ? findAccount(accounts, row.account) : defaultAccount;
+    if (!account) {
+      errors.push(`Unknown account "${row.account}"`);
+    }
+
+    const charLimit = account?.charLimit || 280;
+    row.threadParts.forEach((part, index) => {
+      if (part.length > charLimit) {
+        const label = row.threadParts.length > 1 ? `Thread part ${index + 1}` : 'Content';
+        errors.push(`${label} is ${part.length} characters (limit ${charLimit})`);
+      }
+    });
+
+    const timezone = row.timezone ? resolveTimezone(row.timezone) : defaultTimezone;
+    if (!timezone) {
+      errors.push(`Unknown timezone "${row.timezone}"`);
+    }
+
+    let scheduledFor = null;
+    if (!row.scheduledAt) {
+      errors.push('Scheduled time is missing');
+    } else if (timezone) {
+      scheduledFor = parseScheduledAt(row.scheduledAt, timezone);
+      if (!scheduledFor) {
+        errors.push(`Could not read scheduled time "${row.scheduledAt}" (use YYYY-MM-DD HH:mm)`);
+      } else if (scheduledFor.toDate() < minDate) {
+        errors.push(`Scheduled time ${scheduledFor.toISOString()} is in the past or too soon`);
+      } else if (scheduledFor.toDate() > maxDate) {
+        errors.push(`Scheduled time ${scheduledFor.toISOString()} is beyond the scheduling window`);
+      }
+    }
+
+    if (row.mediaUrls.length > MAX_IMPORT_MEDIA_PER_ROW) {
+      errors.push(`At most ${MAX_IMPORT_MEDIA_PER_ROW} media URLs per row`);
+    }
+    row.mediaUrls.filter((url) => !isHttpsUrl(url)).forEach((url) => {
+      errors.push(`Media URL must be https: ${url}`);
+    });
+    if (row.mediaUrls.length > 0 && row.threadParts.length > 1) {
+      warnings.push('Media is attached to the first post of the thread only');
+    }
+
+    row.crossPost
+      .filter((target) => !IMPORT_CROSS_POST_PLATFORMS.includes(target))
+      .forEach((target) => {
+        errors.push(`Unknown cross-post target "${target}" (use ${IMPORT_CROSS_POST_PLATFORMS.join(' or ')})`);
+      });
+
+    if (account && scheduledFor) {
+      const slotKey = `${account.id}:${scheduledFor.toISOString()}`;
+      if (seenSlots.has(slotKey)) {
+        warnings.push(`Same account and time as row ${seenSlots.get(slotKey)}`);
+      } else {
+        seenSlots.set(slotKey, row.rowNumber);
+      }
+    }
+
+    return {
+      rowNumber: row.rowNumber,
+      errors,
+      warnings,
+      item: {
+        account,
+        threadParts: row.threadParts,
+        scheduledFor: scheduledFor ? scheduledFor.toDate() : null,
+        timezone,
+        mediaUrls: row.mediaUrls,
+        crossPost: [...new Set(row.crossPost)],
+      },
+    };
+  });
+
+  const errorCount = results.filter((result) => result.errors.length > 0).length;
+  return { rows: results, validCount: results.length - errorCount, errorCount };
+}
+
+/**
+ * Shape a validated row for the API response.
+ */
+export function formatImportRow(result) {
+  const { item } = result;
+  return {
+    row: result.rowNumber,
+    account: item.account ? item.account.username || String(item.account.id) : null,
+    scheduled_for: item.scheduledFor ? item.scheduledFor.toISOString() : null,
+    timezone: item.timezone,
+    content_preview: (item.threadParts[0] || '').slice(0, 120),
+    thread_count: item.threadParts.length,
+    media_count: item.mediaUrls.length,
+    cross_post: item.crossPost,
+    errors: result.errors,
+    warnings: result.warnings,
+  };
+}
+
+export default {
+  MAX_IMPORT_ROWS,
+  detectDelimiter,
+  parseDelimited,
+  parseImportFile,
+  validateImportRows,
+  formatImportRow,
+};
@@ -2,11 +2,16 @@ import { pool } from '../config/database.js';
 import { creditService } from './creditService.js';
 import { mediaService } from './mediaService.js';
 import { notifyTweetFailed } from './emailNotificationService.js';
+import { emitWebhookEvent } from './webhookService.js';
 import { decodeHTMLEntities } from '../utils/decodeHTMLEntities.js';
+import { downloadMediaToFile, removeDownloadedMedia } from '../utils/mediaDownload.js';
+import { getMediaKind } from '../utils/mediaProbe.js';
 import { buildCrossPostPayloads, detectCrossPostMedia } from '../utils/crossPostOptimizer.js';
 import { fetchLatestPersonalTwitterAuth } from '../utils/personalTwitterAuth.js';
 import { clearAnalyticsPrecomputeCache } from '../utils/analyticsPrecomputeCache.js';
 import { saveTwitterHistoryRow } from '../utils/twitterHistoryWriter.js';
+import { describeNativePostStatus, getScheduledThreadParts, normalizeSchedulePlatform } from '../utils/schedulePlatforms.js';
+import { buildTweetTargetFields, buildTweetUrl, isTweetUnavailable } from '../utils/tweetTarget.js';
 import {
   createTwitterPostingClient,
   refreshTwitterOauth2IfNeeded,
@@ -30,6 +35,11 @@ const TWITTER_OAUTH1_APP_SECRET = process.env.TWITTER_API_SECRET || process.env.
 const LINKEDIN_CROSSPOST_TIMEOUT_MS = Number.parseInt(process.env.LINKEDIN_CROSSPOST_TIMEOUT_MS || '10000', 10);
 const THREADS_CROSSPOST_TIMEOUT_MS = Number.parseInt(process.env.THREADS_CROSSPOST_TIMEOUT_MS || '10000', 10);
 const TWITTER_CROSSPOST_TIMEOUT_MS = Number.parseInt(process.env.TWITTER_CROSSPOST_TIMEOUT_MS || '20000', 10);
+const HOSTED_MEDIA_URL_PATTERN = /^https?:\/\//i;
+const HOSTED_MEDIA_FETCH_TIMEOUT_MS = Number.parseInt(process.env.HOSTED_MEDIA_FETCH_TIMEOUT_MS || '120000', 10);
+// Hosted media (imports and scheduled videos) is stored by URL and uploaded at publish time.
+const isHostedMediaList = (items) =>
+  Array.isArray(items) && items.length > 0 && items.every((item) => typeof item === 'string' && HOSTED_MEDIA_URL_PATTERN.test(item));
 const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 let scheduledAccountIdColumnTypeCache = null;
 let scheduledMetadataColumnExistsCache = null;
@@ -40,6 +50,23 @@ function isDateValue(value) {
   return !Number.isNaN(date.getTime());
 }
 
+// Fire-and-forget lifecycle webhook for a scheduled_tweets row.
+function emitScheduledTweetWebhook(eventType, scheduledTweet, data = {}) {
+  emitWebhookEvent(eventType, {
+    userId: scheduledTweet.user_id,
+    teamId: scheduledTweet.team_id || null,
+    data: {
+      scheduled_tweet_id: scheduledTweet.id,
+      account_id: scheduledTweet.account_id || null,
+      scheduled_for: isDateValue(scheduledTweet.scheduled_for)
+        ? new Date(scheduledTweet.scheduled_for).toISOString()
+        : null,
+      content: scheduledTweet.content || '',
+      ...data,
+    },
+  }).catch(() => {});
+}
+
 async function refreshScheduledOAuth2TokenIfNeeded({ scheduledTweet, accountRow, accountType }) {
   if (!scheduledTweet?.access_token) {
     return;
@@ -204,6 +231,13 @@ function normalizeCrossPostMediaArray(value) {
     .slice(0, 4);
 }
 
+// Stored parallel to cross_post.media (already normalized when scheduled)
+function normalizeCrossPostMediaAltText(value) {
+  return parseJsonArrayLoose(value)
+    .map((item) => (typeof item === 'string' ? item.trim().slice(0, 1000) : ''))
+    .slice(0, 4);
+}
+
 function parseScheduledCrossPostConfig(scheduledTweet) {
   const metadata = parseJsonObject(scheduledTweet?.metadata, {});
   const crossPost = metadata?.cross_post;
@@ -241,7 +275,9 @@ function parseScheduledCrossPostConfig(scheduledTweet) {
       threads,
       twitter,
       optimizeCrossPost: crossPost.optimizeCrossPost !== false,
+      overrides: crossPost.overrides || null,
       media: normalizeCrossPostMediaArray(crossPost.media),
+      mediaAltText: normalizeCrossPostMediaAltText(crossPost.media_alt_text),
       routing: {
         linkedinTargetAccountId:
           linkedinRoute?.targetAccountId !== undefined && linkedinRoute?.targetAccountId !== null
@@ -335,6 +371,7 @@ async function crossPostScheduledToLinkedIn({
   postMode = 'single',
   mediaDetected = false,
   media = [],
+  mediaAltText = [],
 }) {
   const linkedinGenieUrl = String(process.env.LINKEDIN_GENIE_URL || '').trim();
   const internalApiKey = String(process.env.INTERNAL_API_KEY || '').trim();
@@ -362,6 +399,7 @@ async function crossPostScheduledToLinkedIn({
         postMode,
         mediaDetected: Boolean(mediaDetected),
         media: Array.isArray(media) ? media : [],
+        mediaAltText: Array.isArray(mediaAltText) ? mediaAltText : [],
         ...(targetLinkedinTeamAccountId ? { targetLinkedinTeamAccountId: String(targetLinkedinTeamAccountId) } : {}),
         ...(targetAccountId ? { targetAccountId: String(targetAccountId) } : {}),
       }),
@@ -403,6 +441,7 @@ async function crossPostScheduledToThreads({
   mediaDetected = false,
   optimizeCrossPost = true,
   media = [],
+  mediaAltText = [],
 }) {
   const socialGenieUrl = String(process.env.SOCIAL_GENIE_URL || '').trim();
   const internalApiKey = String(process.env.INTERNAL_API_KEY || '').trim();
@@ -432,6 +471,7 @@ async function crossPostScheduledToThreads({
         optimizeCrossPost: optimizeCrossPost !== false,
         mediaDetected: Boolean(mediaDetected),
         media: Array.isArray(media) ? media : [],
+        mediaAltText: Array.isArray(mediaAltText) ? mediaAltText : [],
         ...(targetAccountId ? { targetAccountId: String(targetAccountId) } : {}),
       }),
       signal: controller.signal,
@@ -469,6 +509,7 @@ async function crossPostScheduledToTwitterAccount({
   threadParts = [],
   mediaDetected = false,
   media = [],
+  mediaAltText = [],
 }) {
   const tweetGenieUrl = resolveTweetGenieInternalBaseUrl();
   const internalApiKey = String(process.env.INTERNAL_API_KEY || '').trim();
@@ -499,6 +540,7 @@ async function crossPostScheduledToTwitterAccount({
         mediaDetected: Boolean(mediaDetected),
         sourcePlatform: 'x',
         media: Array.isArray(media) ? media : [],
+        mediaAltText: Array.isArray(mediaAltText) ? mediaAltText : [],
         targetAccountId: String(targetAccountId),
       }),
       signal: controller.signal,
@@ -848,48 +890,69 @@ class ScheduledTweetService {
 
 
     // Insert into scheduled_tweets with team_id and account_id
-    const insertQuery = shouldPersistMetadata
-      ? `
-          INSERT INTO scheduled_tweets
-            (user_id, scheduled_for, timezone, status, content, media_urls, thread_tweets, team_id, account_id, author_id, metadata, created_at, updated_at)
-          VALUES
-            ($1, $2, $3, 'pending', $4, $5, $6, $7, $8, $9, $10, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
-          RETURNING id, scheduled_for;
-        `
-      : `
-          INSERT INTO scheduled_tweets
-            (user_id, scheduled_for, timezone, status, content, media_urls, thread_tweets, team_id, account_id, author_id, created_at, updated_at)
-          VALUES
-            ($1, $2, $3, 'pending', $4, $5, $6, $7, $8, $9, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
-          RETURNING id, scheduled_for;
-        `;
-    const values = shouldPersistMetadata
-      ? [
-          userId,
-          scheduledFor,
-          timezone,
-          mainContent,
-          JSON.stringify(mediaUrls),
-          JSON.stringify(threadTweets),
-          teamId,
-          normalizedAccountId,
-          authorId,
-          JSON.stringify(mergedMetadata),
-        ]
-      : [
-          userId,
-          scheduledFor,
-          timezone,
-          mainContent,
-          JSON.stringify(mediaUrls),
-          JSON.stringify(threadTweets),
-          teamId,
-          normalizedAccountId,
-          authorId,
-        ];
+    const source = typeof options.source === 'string' && options.source.trim() ? options.source.trim() : null;
+    const insertColumns = [
+      'user_id',
+      'scheduled_for',
+      'timezone',
+      'content',
+      'media_urls',
+      'thread_tweets',
+      'team_id',
+      'account_id',
+      'author_id',
+    ];
+    const values = [
+      userId,
+      scheduledFor,
+      timezone,
+      mainContent,
+      JSON.stringify(mediaUrls),
+      JSON.stringify(threadTweets),
+      teamId,
+      normalizedAccountId,
+      authorId,
+    ];
+    if (shouldPersistMetadata) {
+      insertColumns.push('metadata');
+      values.push(JSON.stringify(mergedMetadata));
+    }
+    if (source) {
+      insertColumns.push('source');
+      values.push(source);
+    }
+    if (options.autopilotStrategyId) {
+      insertColumns.push('autopilot_strategy_id');
+      values.push(options.autopilotStrategyId);
+    }
+    if (options.approvalStatus) {
+      insertColumns.push('approval_status', 'approved_by', 'approval_requested_at');
+      values.push(
+        options.approvalStatus,
+        options.approvedBy || null,
+        options.approvalStatus === 'pending_approval' ? new Date() : null
+      );
+    }
+    const insertQuery = `
+      INSERT INTO scheduled_tweets
+        (${insertColumns.join(', ')}, status, created_at, updated_at)
+      VALUES
+        (${insertColumns.map((_, index) => `$${index + 1}`).join(', ')}, 'pending', CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+      RETURNING id, scheduled_for;
+    `;
 
 
     const { rows } = await pool.query(insertQuery, values);
+    if (options.approvalStatus === 'pending_approval' && teamId) {
+      emitScheduledTweetWebhook('approval.requested', {
+        id: rows[0].id,
+        user_id: userId,
+        team_id: teamId,
+        account_id: normalizedAccountId,
+        scheduled_for: rows[0].scheduled_for,
+        content: mainContent,
+      }, { requested_by: userId });
+    }
     return {
       scheduledId: rows[0].id,
       scheduledTime: rows[0].scheduled_for
@@ -934,6 +997,10 @@ class ScheduledTweetService {
       return { outcome: 'skipped', reason: 'approval_pending', approvalStatus };
     }
 
+    // Native LinkedIn/Threads posts never touch the X account.
+    if ((normalizeSchedulePlatform(scheduledTweet.platform) || 'x') !== 'x') {
+      return this.processPlatformScheduledPost(scheduledTweet);
+    }
 
     let accountRow = null;
     let accountType = 'personal';
@@ -1029,6 +1096,113 @@ class ScheduledTweetService {
     return this.processSingleScheduledTweet(scheduledTweet);
   }
 
+  /**
+   * Publish a native LinkedIn or Threads post (platform != 'x'). Failures are
+   * not retried automatically: the platform may have posted before timing out.
+   * @param {Object} scheduledTweet - scheduled_tweets row
+   */
+  async processPlatformScheduledPost(scheduledTweet) {
+    const platform = normalizeSchedulePlatform(scheduledTweet.platform);
+    const metadata = parseJsonObject(scheduledTweet.metadata, {});
+    const nativePost = parseJsonObject(metadata.native_post, {});
+    const routing = parseJsonObject(nativePost.routing, {});
+    const targetAccountId = routing.targetAccountId ? String(routing.targetAccountId) : null;
+    const media = normalizeCrossPostMediaArray(nativePost.media);
+    const mediaAltText = normalizeCrossPostMediaAltText(nativePost.media_alt_text);
+    const threadParts = getScheduledThreadParts(scheduledTweet);
+    const teamId = scheduledTweet.team_id || null;
+
+    let result;
+    if (!platform) {
+      result = { status: 'failed' };
+    } else if (!targetAccountId && teamId) {
+      result = { status: 'missing_target_route' };
+    } else if (platform === 'linkedin') {
+      result = await crossPostScheduledToLinkedIn({
+        userId: scheduledTweet.user_id,
+        teamId,
+        targetLinkedinTeamAccountId: teamId ? targetAccountId : null,
+        targetAccountId: teamId ? null : targetAccountId,
+        content: scheduledTweet.content || '',
+        tweetUrl: '',
+        postMode: 'single',
+        mediaDetected: media.length > 0,
+        media,
+        mediaAltText,
+      });
+    } else {
+      result = await crossPostScheduledToThreads({
+        userId: scheduledTweet.user_id,
+        teamId,
+        targetAccountId,
+        content: scheduledTweet.content || '',
+        threadParts,
+        postMode: threadParts.length > 1 ? 'thread' : 'single',
+        tweetUrl: '',
+        mediaDetected: media.length > 0,
+        optimizeCrossPost: false,
+        media,
+        mediaAltText,
+      });
+    }
+
+    const posted = result?.status === 'posted';
+    const errorMessage = posted ? null : describeNativePostStatus(platform, result?.status);
+    const nextMetadata = {
+      ...metadata,
+      native_post: {
+        ...nativePost,
+        last_attempted_at: new Date().toISOString(),
+        last_result: {
+          status: result?.status || 'failed',
+          ...(result?.mediaStatus ? { mediaStatus: result.mediaStatus } : {}),
+          ...(Number.isFinite(result?.mediaCount) ? { mediaCount: result.mediaCount } : {}),
+        },
+      },
+    };
+
+    if (await hasScheduledMetadataColumn()) {
+      await pool.query(
+        `UPDATE scheduled_tweets
+         SET status = $1,
+             posted_at = CASE WHEN $1 = 'completed' THEN CURRENT_TIMESTAMP ELSE posted_at END,
+             error_message = $2,
+             metadata = $3,
+             processing_started_at = NULL,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $4`,
+        [posted ? 'completed' : 'failed', errorMessage, JSON.stringify(nextMetadata), scheduledTweet.id]
+      );
+    } else {
+      await pool.query(
+        `UPDATE scheduled_tweets
+         SET status = $1,
+             posted_at = CASE WHEN $1 = 'completed' THEN CURRENT_TIMESTAMP ELSE posted_at END,
+             error_message = $2,
+             processing_started_at = NULL,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $3`,
+        [posted ? 'completed' : 'failed', errorMessage, scheduledTweet.id]
+      );
+    }
+
+    if (posted) {
+      console.log(`[Scheduled Tweet] Posted native ${platform} post ${scheduledTweet.id}`);
+      emitScheduledTweetWebhook('tweet.posted', scheduledTweet, { platform });
+      return { outcome: 'succeeded', scheduledTweetId: scheduledTweet.id, platform };
+    }
+
+    console.warn(`[Scheduled Tweet] Native ${platform} post ${scheduledTweet.id} failed: ${result?.status}`);
+    notifyTweetFailed(scheduledTweet.user_id, {
+      tweetId: scheduledTweet.id,
+      content: scheduledTweet.content,
+      errorMessage,
+      isPartial: false,
+    }).catch(() => {});
+    emitScheduledTweetWebhook('tweet.failed', scheduledTweet, { platform, error: errorMessage });
+    return { outcome: 'failed', scheduledTweetId: scheduledTweet.id, platform, error: errorMessage };
+  }
+
 
   /**
    * Process all scheduled tweets that are due
@@ -1065,7 +1239,7 @@ class ScheduledTweetService {
            SELECT
              st.*,
              ROW_NUMBER() OVER (
-               PARTITION BY COALESCE(st.account_id::text, 'personal:' || st.user_id::text)
+               PARTITION BY COALESCE(st.platform, 'x'), COALESCE(st.account_id::text, 'personal:' || st.user_id::text)
                ORDER BY st.scheduled_for ASC
              ) AS account_rank
            FROM scheduled_tweets st
@@ -1130,6 +1304,7 @@ class ScheduledTweetService {
         ON ta.user_id = st.user_id
       WHERE st.status = 'pending'
         AND st.team_id IS NULL
+        AND COALESCE(st.platform, 'x') = 'x'
         AND (st.approval_status = 'approved' OR st.approval_status IS NULL)
         AND st.scheduled_for <= (CURRENT_TIMESTAMP AT TIME ZONE 'UTC') + ($1::int * INTERVAL '1 hour')
       ORDER BY ta.user_id, st.scheduled_for ASC
@@ -1214,6 +1389,63 @@ class ScheduledTweetService {
   }
 
 
+  /**
+   * Whether the tweet a reply/quote points at is gone (deleted, suspended or
+   * not visible to the posting account). Lookup errors other than a 404 count
+   * as "still there" so a flaky read does not block the post.
+   */
+  async isTargetTweetMissing(twitterClient, tweetId) {
+    try {
+      const response = await twitterClient.v2.singleTweet(String(tweetId));
+      return isTweetUnavailable(response);
+    } catch (error) {
+      if (isTweetUnavailable(null, error)) return true;
+      console.warn('[Scheduled Tweet] Target tweet lookup failed; posting anyway', {
+        tweetId,
+        error: error?.message || String(error),
+      });
+      return false;
+    }
+  }
+
+
+  /**
+   * Queue a scheduled post's follow-up reply, due `delay_hours` from now and
+   * owned by the same account. It goes through the worker like any other post.
+   * @param {Object} parent - The scheduled tweet that was just posted
+   * @param {{ content: string, delay_hours: number }} followUp
+   * @param {string} replyToTweetId - Posted tweet the follow-up replies to
+   */
+  async queueFollowUpReply(parent, followUp, replyToTweetId) {
+    const scheduledFor = new Date(Date.now() + Number(followUp.delay_hours) * 60 * 60 * 1000);
+    const metadata = {
+      tweet_target: {
+        type: 'reply',
+        tweet_id: replyToTweetId,
+        url: buildTweetUrl(replyToTweetId, parent.twitter_username || null),
+        source: 'follow_up',
+        parent_scheduled_tweet_id: parent.id,
+      },
+    };
+    const { rows } = await pool.query(
+      `INSERT INTO scheduled_tweets
+         (user_id, team_id, account_id, author_id, content, media, media_urls, thread_tweets, thread_media,
+          metadata, scheduled_for, timezone, status, approval_status, approved_by, created_at, updated_at)
+       SELECT parent.user_id, parent.team_id, parent.account_id, parent.author_id, $2, '[]', '[]', '[]', '[]',
+              $3, $4, parent.timezone, 'pending', parent.approval_status, parent.approved_by,
+              CURRENT_TIMESTAMP, CURRENT_TIMESTAMP
+       FROM scheduled_tweets parent
+       WHERE parent.id = $1
+       RETURNING id, scheduled_for`,
+      [parent.id, followUp.content, JSON.stringify(metadata), toUtcDbTimestamp(scheduledFor)]
+    );
+    if (!rows.length) {
+      throw new Error('Scheduled tweet not found');
+    }
+    return rows[0];
+  }
+
+
   /**
    * Process a single scheduled tweet and post it to Twitter
    * @param {Object} scheduledTweet - Scheduled tweet object with credentials attached
@@ -1296,8 +1528,41 @@ class ScheduledTweetService {
       }
 
 
+      // Replies and quotes: make sure the target is still there before
+      // uploading media or posting, and fail with a clear reason if not.
+      const tweetTarget = metadataColumnAvailable
+        ? parseJsonObject(scheduledTweet.metadata, {}).tweet_target || null
+        : null;
+      if (tweetTarget?.tweet_id) {
+        const targetMissing = await this.isTargetTweetMissing(twitterClient, tweetTarget.tweet_id);
+        if (targetMissing) {
+          const errorMessage = tweetTarget.source === 'follow_up'
+            ? 'The original post was deleted, so the follow-up reply was not sent.'
+            : `The post to ${tweetTarget.type === 'quote' ? 'quote' : 'reply to'} was deleted or is no longer visible.`;
+          await pool.query(
+            `UPDATE scheduled_tweets
+             SET status = $1,
+                 error_message = $2,
+                 processing_started_at = NULL,
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE id = $3`,
+            ['failed', errorMessage, scheduledTweet.id]
+          );
+          notifyTweetFailed(scheduledTweet.user_id, {
+            tweetId: scheduledTweet.id,
+            content: scheduledTweet.content,
+            errorMessage,
+            isPartial: false,
+          }).catch(() => {});
+          emitScheduledTweetWebhook('tweet.failed', scheduledTweet, { error: errorMessage });
+          return { outcome: 'failed', reason: 'target_tweet_missing', scheduledTweetId: scheduledTweet.id };
+        }
+      }
+
+
       // Use stored media IDs directly if present
       let mediaIds = [];
+      let hostedMediaUrls = [];
       if (scheduledTweet.media_urls) {
         try {
           let parsed = scheduledTweet.media_urls;
@@ -1311,6 +1576,8 @@ class ScheduledTweetService {
           if (Array.isArray(parsed)) {
             if (parsed.every(x => typeof x === 'string' && /^\d+$/.test(x))) {
               mediaIds = parsed;
+            } else if (isHostedMediaList(parsed)) {
+              hostedMediaUrls = parsed;
             }
           }
         } catch (mediaParseError) {
@@ -1319,6 +1586,18 @@ class ScheduledTweetService {
       }
 
 
+      // Hosted media (imported or scheduled videos) is uploaded now rather than at
+      // scheduling time, because X media IDs expire 24 hours after upload.
+      const mediaAltText = parseJsonObject(scheduledTweet.media_alt_text, {});
+      if (hostedMediaUrls.length > 0) {
+        mediaIds = await this.reuploadMedia(
+          hostedMediaUrls,
+          scheduledTweet,
+          hostedMediaUrls.map((url) => mediaAltText[url] || '')
+        );
+      }
+
+
       // Parse per-tweet media for thread tweets
       let threadMediaArr = [];
       if (scheduledTweet.thread_media) {
@@ -1334,13 +1613,21 @@ class ScheduledTweetService {
       }
 
 
+      // Alt text is sent through the media metadata API right before posting.
+      // Hosted media gets its alt text when it is uploaded.
+      const storedMediaIds = [...(hostedMediaUrls.length > 0 ? [] : mediaIds), ...threadMediaArr.flat()]
+        .filter((id) => typeof id === 'string' && /^\d+$/.test(id));
+      await this.applyScheduledAltText(mediaAltText, storedMediaIds, scheduledTweet);
+
+
       // Post main tweet with media IDs if present, decode HTML entities ONCE
       const cleanContent = stripMarkdown(scheduledTweet.content);
       console.log('[Thread Unicode Debug] Posting main tweet:', cleanContent);
 
       const tweetData = {
         text: decodeHTMLEntities(cleanContent),
-        ...(mediaIds.length > 0 && { media: { media_ids: mediaIds } })
+        ...(mediaIds.length > 0 && { media: { media_ids: mediaIds } }),
+        ...buildTweetTargetFields(tweetTarget)
       };
 
 
@@ -1489,6 +1776,13 @@ class ScheduledTweetService {
             const cleanThreadContent = stripMarkdown(threadTweet.content);
             postedThreadContents.push(cleanThreadContent);
             console.log(`[Thread ${i + 1}/${scheduledTweet.thread_tweets.length}] Posting:`, cleanThreadContent);
+            if (isHostedMediaList(threadMediaIds)) {
+              threadMediaIds = await this.reuploadMedia(
+                threadMediaIds,
+                scheduledTweet,
+                threadMediaIds.map((url) => mediaAltText[url] || '')
+              );
+            }
             const threadTweetData = {
               text: decodeHTMLEntities(cleanThreadContent),
               reply: { in_reply_to_tweet_id: previousTweetId },
@@ -1623,6 +1917,22 @@ class ScheduledTweetService {
         console.log(`Inserted ${threadTweetIds.length} additional thread tweets into history`);
       }
 
+      const abTestVariationId = scheduledMetadata?.ab_test?.variation_id;
+      if (abTestVariationId) {
+        try {
+          await pool.query(
+            `UPDATE content_variations
+             SET posted_tweet_id = $1,
+                 posted_at = CURRENT_TIMESTAMP,
+                 used_count = COALESCE(used_count, 0) + 1
+             WHERE id = $2`,
+            [tweetResponse.data.id, abTestVariationId]
+          );
+        } catch (abTestError) {
+          console.warn('[Scheduled Tweet] Failed to link A/B variation to posted tweet:', abTestError?.message || abTestError);
+        }
+      }
+
       try {
         await clearAnalyticsPrecomputeCache(pool, { userId: scheduledTweet.user_id });
       } catch (cacheError) {
@@ -1653,19 +1963,25 @@ class ScheduledTweetService {
           if (crossPostResult.threads.enabled) crossPostResult.threads.status = 'skipped_source_thread_failed';
           if (crossPostResult.twitter.enabled) crossPostResult.twitter.status = 'skipped_source_thread_failed';
         } else {
+          const hasStoredCrossPostMedia =
+            Array.isArray(scheduledCrossPost?.config?.media) && scheduledCrossPost.config.media.length > 0;
           const scheduledMainSourceMedia =
-            Array.isArray(scheduledCrossPost?.config?.media) && scheduledCrossPost.config.media.length > 0
+            hasStoredCrossPostMedia
               ? scheduledCrossPost.config.media
               : (
                   Array.isArray(threadMediaArr) && threadMediaArr.length > 0
                     ? (Array.isArray(threadMediaArr?.[0]) ? threadMediaArr[0] : [])
                     : parseJsonArrayLoose(scheduledTweet.media)
                 );
+          const scheduledMainSourceMediaAltText = hasStoredCrossPostMedia
+            ? scheduledCrossPost.config.mediaAltText
+            : scheduledMainSourceMedia.map((item) => mediaAltText[item] || '');
           const allThreadParts = [cleanContent, ...postedThreadContents].filter((part) => typeof part === 'string' && part.trim());
           const crossPostPayloads = buildCrossPostPayloads({
             content: cleanContent,
             thread: allThreadParts,
             optimizeCrossPost: scheduledCrossPost.config.optimizeCrossPost,
+            overrides: scheduledCrossPost.config.overrides,
           });
           const tweetUrl = getTweetPermalink({
             username: scheduledTweet.twitter_username,
@@ -1698,6 +2014,7 @@ class ScheduledTweetService {
                     postMode: crossPostPayloads.linkedin.postMode,
                     mediaDetected,
                     media: scheduledMainSourceMedia,
+                    mediaAltText: scheduledMainSourceMediaAltText,
                   });
                   return { target: 'linkedin', result: linkedInCrossPost };
                 } catch (err) {
@@ -1724,6 +2041,7 @@ class ScheduledTweetService {
                     mediaDetected,
                     optimizeCrossPost: scheduledCrossPost.config.optimizeCrossPost,
                     media: scheduledMainSourceMedia,
+                    mediaAltText: scheduledMainSourceMediaAltText,
                   });
                   return { target: 'threads', result: threadsCrossPost };
                 } catch (err) {
@@ -1748,6 +2066,7 @@ class ScheduledTweetService {
                     threadParts: twitterThreadParts,
                     mediaDetected,
                     media: scheduledMainSourceMedia,
+                    mediaAltText: scheduledMainSourceMediaAltText,
                   });
                   if (twitterCrossPost?.status === 'posted') {
                     // Use resolvedAccountId returned by the cross-post endpoint — this is the
@@ -1810,9 +2129,28 @@ class ScheduledTweetService {
       const errorMsg = threadSuccess
         ? null
         : `Main tweet posted. Thread: ${postedThreadParts}/${totalThreadParts} parts posted. Error: ${threadError?.message || 'Unknown error'}`;
+      // Queue the follow-up reply as its own post, under the last part that went out.
+      let followUpMetadata = null;
+      const followUp = metadataColumnAvailable
+        ? parseJsonObject(scheduledTweet.metadata, {}).follow_up || null
+        : null;
+      if (followUp?.status === 'waiting' && tweetResponse?.data?.id) {
+        const replyToTweetId = threadTweetIds.length > 0
+          ? threadTweetIds[threadTweetIds.length - 1].tweetId
+          : tweetResponse.data.id;
+        try {
+          const followUpRow = await this.queueFollowUpReply(scheduledTweet, followUp, String(replyToTweetId));
+          followUpMetadata = { ...followUp, status: 'queued', scheduled_tweet_id: followUpRow.id };
+        } catch (followUpError) {
+          console.error(`[Scheduled Tweet] Failed to queue follow-up reply for ${scheduledTweet.id}:`, followUpError);
+          followUpMetadata = { ...followUp, status: 'failed', error: 'Could not queue the follow-up reply.' };
+        }
+      }
+
       const nextMetadata = metadataColumnAvailable
         ? (() => {
-            const baseMetadata = scheduledCrossPost?.metadata || parseJsonObject(scheduledTweet?.metadata, {});
+            const storedMetadata = scheduledCrossPost?.metadata || parseJsonObject(scheduledTweet?.metadata, {});
+            const baseMetadata = followUpMetadata ? { ...storedMetadata, follow_up: followUpMetadata } : storedMetadata;
             if (!crossPostResult && !scheduledCrossPost.enabled) {
               return baseMetadata;
             }
@@ -1854,6 +2192,11 @@ class ScheduledTweetService {
           [finalStatus, errorMsg, scheduledTweet.id]
         );
       }
+      emitScheduledTweetWebhook(threadSuccess ? 'tweet.posted' : 'tweet.partial', scheduledTweet, {
+        tweet_id: tweetResponse?.data?.id || null,
+        thread_tweet_ids: threadTweetIds.map((part) => part.tweetId),
+        error: errorMsg,
+      });
       if (threadSuccess) {
         console.log(`✅ Successfully posted scheduled tweet and thread: ${scheduledTweet.id}`);
       } else {
@@ -1917,6 +2260,7 @@ class ScheduledTweetService {
           ['failed', errorMessage, scheduledTweet.id]
         );
         console.log(`🛑 Not retrying 403 error (${diagnosis})`);
+        emitScheduledTweetWebhook('tweet.failed', scheduledTweet, { error: errorMessage });
         return { outcome: 'failed', reason: `twitter_403_${diagnosis}`, scheduledTweetId: scheduledTweet.id };
       } else if (isRateLimitedError(error)) {
         const retryDelayMs = getRateLimitWaitMs(error);
@@ -1958,6 +2302,9 @@ class ScheduledTweetService {
           console.warn(
             `[ScheduledRateLimit] Marked scheduled tweet ${scheduledTweet.id} as failed after ${nextRetryCount} retries`
           );
+          emitScheduledTweetWebhook('tweet.failed', scheduledTweet, {
+            error: `Rate limit retry exhausted after ${nextRetryCount} attempts.`,
+          });
           return {
             outcome: 'failed',
             reason: 'rate_limit_retry_exhausted',
@@ -2005,6 +2352,12 @@ class ScheduledTweetService {
         console.warn(
           `[ScheduledRateLimit] Rescheduled scheduled tweet ${scheduledTweet.id} to ${retryAt.toISOString()} (retry ${nextRetryCount}/${SCHEDULED_DB_RETRY_MAX_ATTEMPTS})`
         );
+        emitScheduledTweetWebhook('tweet.retried', scheduledTweet, {
+          trigger: 'rate_limit',
+          retry_count: nextRetryCount,
+          retry_at: retryAt.toISOString(),
+          error: errorMessage,
+        });
         return {
           outcome: 'retry',
           scheduledTweetId: scheduledTweet.id,
@@ -2032,6 +2385,7 @@ class ScheduledTweetService {
         errorMessage,
         isPartial: false,
       }).catch(() => {});
+      emitScheduledTweetWebhook('tweet.failed', scheduledTweet, { error: errorMessage });
       try {
         const { rows: tweetRows } = await pool.query(
           'SELECT user_id, credits_used FROM tweets WHERE id = $1',
@@ -2073,30 +2427,61 @@ class ScheduledTweetService {
 
 
   /**
-   * Re-upload media for scheduled tweets (placeholder implementation)
-   * @param {Array} mediaUrls - Array of media URLs
-   * @param {TwitterApi} twitterClient - Twitter API client
-   * @returns {Array} Array of media IDs
+   * Upload hosted media for a scheduled tweet at publish time. Files are
+   * streamed to disk (public hosts only, capped at X's size limit for their
+   * type) and videos and GIFs are sent in chunks from there, so nothing large
+   * is held in memory.
+   * @param {Array<string>} mediaUrls - Public http(s) media URLs
+   * @param {Object} scheduledTweet - Row with the account's OAuth 1.0a tokens
+   * @returns {Array<string>} Array of media IDs
    */
-  async reuploadMedia(mediaUrls, twitterClient) {
-    // This is a simplified implementation
-    // In production, you'd want to store media files temporarily
-    // and retrieve them here for re-upload
-    const mediaIds = [];
-
+  async reuploadMedia(mediaUrls, scheduledTweet, altTexts = []) {
+    if (!scheduledTweet.oauth1_access_token || !scheduledTweet.oauth1_access_token_secret) {
+      throw new Error('OAuth 1.0a is required to attach media. Reconnect the account in Settings.');
+    }
 
-    for (const mediaUrl of mediaUrls) {
-      try {
-        // For now, skip media re-upload in scheduled tweets
-        // This would need proper media storage implementation
-        console.log(`Skipping media re-upload for scheduled tweet: ${mediaUrl}`);
-      } catch (error) {
-        console.error('Media re-upload error:', error);
+    const files = [];
+    try {
+      for (const mediaUrl of mediaUrls) {
+        files.push(await downloadMediaToFile(mediaUrl, {
+          maxBytes: (mimetype) => mediaService.getSizeLimit(getMediaKind(mimetype)),
+          allowedTypes: mediaService.allowedTypes,
+          timeoutMs: HOSTED_MEDIA_FETCH_TIMEOUT_MS,
+        }));
       }
+
+      return await mediaService.uploadMediaFiles(files, {
+        accessToken: scheduledTweet.oauth1_access_token,
+        accessTokenSecret: scheduledTweet.oauth1_access_token_secret,
+      }, { altTexts });
+    } finally {
+      await removeDownloadedMedia(files);
     }
+  }
 
 
-    return mediaIds;
+  /**
+   * Set stored alt text on already-uploaded media before the post goes out.
+   * @param {Object} mediaAltText - Alt text keyed by media id
+   * @param {Array<string>} mediaIds - Media ids attached to the post and its thread
+   * @param {Object} scheduledTweet - Row with the account's OAuth 1.0a tokens
+   */
+  async applyScheduledAltText(mediaAltText, mediaIds, scheduledTweet) {
+    const pending = [...new Set(mediaIds)].filter((mediaId) => mediaAltText[mediaId]);
+    if (pending.length === 0) return;
+
+    if (!scheduledTweet.oauth1_access_token || !scheduledTweet.oauth1_access_token_secret) {
+      console.warn(`[Scheduled Tweet] Skipping alt text for ${scheduledTweet.id}: OAuth 1.0a tokens missing`);
+      return;
+    }
+
+    const oauth1Tokens = {
+      accessToken: scheduledTweet.oauth1_access_token,
+      accessTokenSecret: scheduledTweet.oauth1_access_token_secret,
+    };
+    for (const mediaId of pending) {
+      await mediaService.applyAltText(mediaId, mediaAltText[mediaId], oauth1Tokens);
+    }
   }
 
 
@@ -2,6 +2,7 @@
 // Service for managing team credits with context-aware deduction for tweet-genie
 import pool from '../config/database.js';
 import { creditService } from './creditService.js';
+import { recordCreditUsage, spendCredits } from './creditBudgetService.js';
 
 const TEAM_CREDITS_ENABLED = process.env.ENABLE_TEAM_CREDITS === 'true';
 
@@ -83,106 +84,117 @@ export const TeamCreditService = {
    * @param {number} amount - Credit amount to deduct
    * @param {string} operation - Operation type
    * @param {string} token - JWT token for user credit operations
+   * @param {Object} [options]
+   * @param {string|null} [options.strategyId] - Strategy the credits are spent for (budget attribution)
    * @returns {Promise<{success: boolean, remainingCredits: number, source: string}>}
    */
-  async deductCredits(userId, teamId, amount, operation, token = null) {
+  async deductCredits(userId, teamId, amount, operation, token = null, { strategyId = null } = {}) {
     try {
       const roundedAmount = Math.round(amount * 100) / 100;
 
-      if (creditService.getContextScope?.() === 'agency') {
-        const result = await creditService.checkAndDeductCredits(
-          userId,
-          operation,
-          roundedAmount,
-          token
-        );
+      // Monthly member/strategy budgets apply whichever pool pays
+      return await spendCredits(
+        { userId, teamId, strategyId, operation, amount: roundedAmount },
+        () => this.deductFromPool(userId, teamId, roundedAmount, operation, token)
+      );
+    } catch (error) {
+      console.error('[TEAM CREDIT] Deduct error:', error);
+      return { success: false, error: error.message, remainingCredits: 0, source: creditService.getContextScope?.() === 'agency' ? 'agency' : (shouldUseTeamCredits(teamId) ? 'team' : 'user') };
+    }
+  },
 
-        return {
-          success: result.success,
-          remainingCredits: result.remainingCredits ?? result.remaining_balance ?? 0,
-          source: result.source || 'agency',
-          error: result.error,
-          available: result.available ?? result.creditsAvailable ?? 0,
-          creditsAvailable: result.creditsAvailable ?? result.available ?? 0,
-          required: result.required ?? result.creditsRequired ?? roundedAmount,
-          creditsRequired: result.creditsRequired ?? result.required ?? roundedAmount,
-        };
+  // The deduction itself, from the agency, team or personal pool.
+  async deductFromPool(userId, teamId, roundedAmount, operation, token) {
+    if (creditService.getContextScope?.() === 'agency') {
+      const result = await creditService.checkAndDeductCredits(
+        userId,
+        operation,
+        roundedAmount,
+        token
+      );
+
+      return {
+        success: result.success,
+        remainingCredits: result.remainingCredits ?? result.remaining_balance ?? 0,
+        source: result.source || 'agency',
+        error: result.error,
+        available: result.available ?? result.creditsAvailable ?? 0,
+        creditsAvailable: result.creditsAvailable ?? result.available ?? 0,
+        required: result.required ?? result.creditsRequired ?? roundedAmount,
+        creditsRequired: result.creditsRequired ?? result.required ?? roundedAmount,
+      };
+    }
+    
+    if (shouldUseTeamCredits(teamId)) {
+      // Team context - deduct from team credits
+      console.log(`[TEAM CREDIT] Deducting ${roundedAmount} from team ${teamId} for user ${userId}`);
+      
+      // Check team balance
+      const teamResult = await pool.query(
+        'SELECT credits_remaining FROM teams WHERE id = $1',
+        [teamId]
+      );
+      
+      if (teamResult.rows.length === 0) {
+        return { success: false, error: 'Team not found', remainingCredits: 0, source: 'team' };
       }
       
-      if (shouldUseTeamCredits(teamId)) {
-        // Team context - deduct from team credits
-        console.log(`[TEAM CREDIT] Deducting ${roundedAmount} from team ${teamId} for user ${userId}`);
-        
-        // Check team balance
-        const teamResult = await pool.query(
-          'SELECT credits_remaining FROM teams WHERE id = $1',
-          [teamId]
-        );
-        
-        if (teamResult.rows.length === 0) {
-          return { success: false, error: 'Team not found', remainingCredits: 0, source: 'team' };
-        }
-        
-        const teamCredits = teamResult.rows[0].credits_remaining;
-        
-        if (teamCredits < roundedAmount) {
-          return { 
-            success: false, 
-            error: `Insufficient team credits. Required: ${roundedAmount}, Available: ${teamCredits}`,
-            remainingCredits: teamCredits,
-            source: 'team'
-          };
-        }
-        
-        // Deduct from team
-        await pool.query(
-          'UPDATE teams SET credits_remaining = credits_remaining - $1 WHERE id = $2',
-          [roundedAmount, teamId]
-        );
-        
-        // Log transaction
-        await pool.query(
-          `INSERT INTO credit_transactions (user_id, type, credits_amount, description, service_name, team_id, created_at)
-           VALUES ($1, 'usage', $2, $3, 'team-workspace', $4, CURRENT_TIMESTAMP)`,
-          [userId, roundedAmount, `[Team] ${operation}`, teamId]
-        );
-        
-        console.log(`[TEAM CREDIT] Successfully deducted ${roundedAmount} from team ${teamId}`);
-        
-        return {
-          success: true,
-          remainingCredits: teamCredits - roundedAmount,
+      const teamCredits = teamResult.rows[0].credits_remaining;
+      
+      if (teamCredits < roundedAmount) {
+        return { 
+          success: false, 
+          error: `Insufficient team credits. Required: ${roundedAmount}, Available: ${teamCredits}`,
+          remainingCredits: teamCredits,
           source: 'team'
         };
-        
-      } else {
-        // Personal context - use existing creditService
-        console.log(`[USER CREDIT] Deducting ${roundedAmount} from user ${userId}`);
-        
-        const result = await creditService.checkAndDeductCredits(
-          userId,
-          operation,
-          roundedAmount,
-          token
-        );
-        
-        const remainingCredits =
-          result.remainingCredits ??
-          result.remaining_balance ??
-          result.available ??
-          0;
-
-        return {
-          success: result.success,
-          remainingCredits,
-          source: 'user',
-          error: result.error,
-          creditsAvailable: result.creditsAvailable ?? result.available ?? remainingCredits,
-        };
       }
-    } catch (error) {
-      console.error('[TEAM CREDIT] Deduct error:', error);
-      return { success: false, error: error.message, remainingCredits: 0, source: creditService.getContextScope?.() === 'agency' ? 'agency' : (shouldUseTeamCredits(teamId) ? 'team' : 'user') };
+      
+      // Deduct from team
+      await pool.query(
+        'UPDATE teams SET credits_remaining = credits_remaining - $1 WHERE id = $2',
+        [roundedAmount, teamId]
+      );
+      
+      // Log transaction
+      await pool.query(
+        `INSERT INTO credit_transactions (user_id, type, credits_amount, description, service_name, team_id, created_at)
+         VALUES ($1, 'usage', $2, $3, 'team-workspace', $4, CURRENT_TIMESTAMP)`,
+        [userId, roundedAmount, `[Team] ${operation}`, teamId]
+      );
+      
+      console.log(`[TEAM CREDIT] Successfully deducted ${roundedAmount} from team ${teamId}`);
+      
+      return {
+        success: true,
+        remainingCredits: teamCredits - roundedAmount,
+        source: 'team'
+      };
+      
+    } else {
+      // Personal context - use existing creditService
+      console.log(`[USER CREDIT] Deducting ${roundedAmount} from user ${userId}`);
+      
+      const result = await creditService.checkAndDeductCredits(
+        userId,
+        operation,
+        roundedAmount,
+        token
+      );
+      
+      const remainingCredits =
+        result.remainingCredits ??
+        result.remaining_balance ??
+        result.available ??
+        0;
+
+      return {
+        success: result.success,
+        remainingCredits,
+        source: 'user',
+        error: result.error,
+        creditsAvailable: result.creditsAvailable ?? result.available ?? remainingCredits,
+      };
     }
   },
 
@@ -192,14 +204,18 @@ export const TeamCreditService = {
    * @param {number|null} teamId - Team ID
    * @param {number} amount - Amount to refund
    * @param {string} reason - Refund reason
+   * @param {Object} [options]
+   * @param {string|null} [options.strategyId] - Strategy the refunded credits were charged to
    */
-  async refundCredits(userId, teamId, amount, reason) {
+  async refundCredits(userId, teamId, amount, reason, { strategyId = null } = {}) {
     try {
       const roundedAmount = Math.round(amount * 100) / 100;
+      const recordRefund = () => recordCreditUsage({ userId, teamId, strategyId, operation: reason, amount: -roundedAmount });
 
       if (creditService.getContextScope?.() === 'agency') {
         await creditService.refundCredits(userId, reason, roundedAmount);
         console.log(`[AGENCY CREDIT] Refunded ${roundedAmount} to agency pool for user ${userId}`);
+        await recordRefund();
         return;
       }
       
@@ -222,6 +238,7 @@ export const TeamCreditService = {
         await creditService.refundCredits(userId, reason, roundedAmount);
         console.log(`[USER CREDIT] Refunded ${roundedAmount} to user ${userId}`);
       }
+      await recordRefund();
     } catch (error) {
       console.error('[TEAM CREDIT] Refund error:', error);
     }
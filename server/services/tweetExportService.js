@@ -0,0 +1,199 @@
+// Tweet Export Service
+// Streams posted tweets with their metrics and strategy attribution as CSV
+// or JSON, page by page, so large date ranges never sit in memory at once.
+import pool from '../config/database.js';
+import { buildTwitterScopeFilter } from '../utils/twitterScopeResolver.js';
+
+const EXPORT_BATCH_SIZE = 500;
+const POSTED_AT_SQL = 'COALESCE(t.external_created_at, t.created_at)';
+
+export const EXPORT_FORMATS = ['csv', 'json'];
+
+export const EXPORT_COLUMNS = [
+  'tweet_id',
+  'posted_at',
+  'account',
+  'content',
+  'content_type',
+  'thread_length',
+  'source',
+  'impressions',
+  'likes',
+  'retweets',
+  'replies',
+  'quotes',
+  'bookmarks',
+  'engagement',
+  'engagement_rate',
+  'performance_score',
+  'strategy_id',
+  'strategy_name',
+  'prompt_id',
+  'prompt_category',
+  'url',
+];
+
+const threadLength = (row) => {
+  const threadTweets = Array.isArray(row.thread_tweets) ? row.thread_tweets.length : 0;
+  if (threadTweets > 0) return threadTweets + 1;
+  return String(row.content || '').split('---').filter((part) => part.trim()).length || 1;
+};
+
+/**
+ * Flatten a tweets row (see buildExportQuery) into the export shape.
+ */
+export function formatExportRow(row) {
+  const impressions = Number(row.impressions) || 0;
+  const likes = Number(row.likes) || 0;
+  const retweets = Number(row.retweets) || 0;
+  const replies = Number(row.replies) || 0;
+  const quotes = Number(row.quote_count) || 0;
+  const bookmarks = Number(row.bookmark_count) || 0;
+  const engagement = likes + retweets + replies + quotes + bookmarks;
+  const length = threadLength(row);
+  const username = row.account_username || null;
+
+  return {
+    tweet_id: row.tweet_id || null,
+    posted_at: row.posted_at ? new Date(row.posted_at).toISOString() : null,
+    account: username,
+    content: row.content || '',
+    content_type: length > 1 ? 'thread' : 'single',
+    thread_length: length,
+    source: row.source || null,
+    impressions,
+    likes,
+    retweets,
+    replies,
+    quotes,
+    bookmarks,
+    engagement,
+    engagement_rate: impressions > 0 ? Number(((engagement / impressions) * 100).toFixed(2)) : 0,
+    performance_score: row.performance_score || null,
+    strategy_id: row.strategy_id || null,
+    strategy_name: row.strategy_name || null,
+    prompt_id: row.prompt_id || null,
+    prompt_category: row.prompt_category || null,
+    url: row.tweet_id
+      ? `https://x.com/${username || 'i/web'}/status/${row.tweet_id}`
+      : null,
+  };
+}
+
+/**
+ * Quote a CSV field when needed. Leading =, +, - and @ are prefixed with a
+ * quote so spreadsheet apps don't evaluate post text as a formula.
+ */
+export function toCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export const toCsvLine = (values) => `${values.map(toCsvValue).join(',')}\r\n`;
+
+/**
+ * Scoped, keyset-paginated query over posted tweets in [from, to).
+ * Team scope drops the user_id restriction so posts by every member of the
+ * team account are included (same as /api/analytics/overview).
+ */
+export function buildExportQuery({ scope, userId, from, to, after = null, limit = EXPORT_BATCH_SIZE }) {
+  const params = [from, to];
+  const conditions = [];
+  if (scope?.mode !== 'team') {
+    params.push(userId);
+    conditions.push(`t.user_id = $${params.length}`);
+  }
+  const { clause, params: scopeParams } = buildTwitterScopeFilter({
+    scope,
+    alias: 't',
+    startIndex: params.length + 1,
+    includeLegacyPersonalFallback: true,
+    includeTeamOrphanFallback: true,
+    orphanUserId: userId,
+  });
+  params.push(...scopeParams);
+
+  let cursorClause = '';
+  if (after) {
+    params.push(after.postedAt, String(after.id));
+    cursorClause = ` AND (${POSTED_AT_SQL}, t.id::text) > ($${params.length - 1}, $${params.length})`;
+  }
+  params.push(limit);
+
+  return {
+    sql: `SELECT t.id, t.tweet_id, t.content, t.thread_tweets, t.source,
+                 ${POSTED_AT_SQL} AS posted_at,
+                 COALESCE(t.impressions, 0) AS impressions,
+                 COALESCE(t.likes, 0) AS likes,
+                 COALESCE(t.retweets, 0) AS retweets,
+                 COALESCE(t.replies, 0) AS replies,
+                 COALESCE(t.quote_count, 0) AS quote_count,
+                 COALESCE(t.bookmark_count, 0) AS bookmark_count,
+                 t.performance_score,
+                 t.strategy_id, s.niche AS strategy_name,
+                 t.prompt_id, sp.category AS prompt_category,
+                 COALESCE(ta.twitter_username, tw.twitter_username) AS account_username
+          FROM tweets t
+          LEFT JOIN user_strategies s ON s.id = t.strategy_id
+          LEFT JOIN strategy_prompts sp ON sp.id = t.prompt_id
+          LEFT JOIN team_accounts ta ON t.account_id::text = ta.id::text
+          LEFT JOIN LATERAL (
+            SELECT twitter_username FROM twitter_auth
+            WHERE twitter_user_id::text = t.author_id::text
+            LIMIT 1
+          ) tw ON true
+          WHERE t.status = 'posted'
+            AND ${POSTED_AT_SQL} >= $1
+            AND ${POSTED_AT_SQL} < $2${conditions.map((condition) => ` AND ${condition}`).join('')}${clause}${cursorClause}
+          ORDER BY ${POSTED_AT_SQL} ASC, t.id::text ASC
+          LIMIT $${params.length}`,
+    params,
+  };
+}
+
+/**
+ * Write the export to a writable (an Express response) batch by batch.
+ * @param {import('stream').Writable} out
+ * @param {Object} options - { scope, userId, from, to, format }
+ * @returns {Promise<number>} rows written
+ */
+export async function streamTweetExport(out, { scope, userId, from, to, format = 'csv' }) {
+  let after = null;
+  let count = 0;
+
+  out.write(format === 'json' ? '[' : toCsvLine(EXPORT_COLUMNS));
+
+  for (;;) {
+    const { sql, params } = buildExportQuery({ scope, userId, from, to, after });
+    const { rows } = await pool.query(sql, params);
+    for (const row of rows) {
+      const formatted = formatExportRow(row);
+      if (format === 'json') {
+        out.write(`${count > 0 ? ',' : ''}\n${JSON.stringify(formatted)}`);
+      } else {
+        out.write(toCsvLine(EXPORT_COLUMNS.map((column) => formatted[column])));
+      }
+      count += 1;
+    }
+    if (rows.length < EXPORT_BATCH_SIZE) break;
+    const last = rows[rows.length - 1];
+    after = { postedAt: last.posted_at, id: last.id };
+  }
+
+  if (format === 'json') out.write('\n]\n');
+  return count;
+}
+
+export default {
+  EXPORT_FORMATS,
+  EXPORT_COLUMNS,
+  formatExportRow,
+  toCsvValue,
+  toCsvLine,
+  buildExportQuery,
+  streamTweetExport,
+};
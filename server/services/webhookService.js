@@ -0,0 +1,499 @@
+// Webhook Service
+// Outgoing, HMAC-signed JSON webhooks for post lifecycle events. Each event is
+// written to webhook_deliveries once per subscribed endpoint and attempted
+// right away; failed attempts are retried with backoff from the scheduler tick.
+import axios from 'axios';
+import crypto from 'crypto';
+import pool from '../config/database.js';
+import { PRIVATE_HOST_CODE, assertPublicUrl, publicHttpAgent, publicHttpsAgent } from '../utils/publicHost.js';
+
+const DELIVERY_TIMEOUT_MS = Number.parseInt(process.env.WEBHOOK_DELIVERY_TIMEOUT_MS || '10000', 10);
+const DELIVERY_BATCH_SIZE = Number.parseInt(process.env.WEBHOOK_DELIVERY_BATCH_SIZE || '25', 10);
+const RESPONSE_BODY_LIMIT = 1000;
+const CLAIM_LEASE_MINUTES = 5;
+
+// Delay before attempt N+1 after attempt N fails. Six attempts over ~8.5 hours.
+export const RETRY_DELAYS_MS = [
+  60 * 1000,
+  5 * 60 * 1000,
+  30 * 60 * 1000,
+  2 * 60 * 60 * 1000,
+  6 * 60 * 60 * 1000,
+];
+export const MAX_DELIVERY_ATTEMPTS = RETRY_DELAYS_MS.length + 1;
+export const MAX_WEBHOOK_ENDPOINTS = 10;
+
+export const WEBHOOK_EVENTS = [
+  'tweet.posted',
+  'tweet.partial',
+  'tweet.failed',
+  'tweet.retried',
+  'approval.requested',
+  'autopilot.paused',
+  'credits.low',
+  'credits.budget_threshold',
+];
+
+// Events that can fire repeatedly for the same condition are sent at most
+// once per endpoint in this window (mirrors the email COOLDOWN_HOURS).
+const EVENT_COOLDOWN_HOURS = {
+  'credits.low': 24,
+};
+
+export const SIGNATURE_HEADER = 'X-TweetGenie-Signature';
+
+export const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+// ─── Signing ─────────────────────────────────────────────────────────────────
+
+/**
+ * HMAC-SHA256 over `${timestamp}.${body}`. Receivers should recompute it with
+ * the raw request body and reject timestamps older than a few minutes.
+ */
+export function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+export function buildSignatureHeader(secret, timestamp, body) {
+  return `t=${timestamp},v1=${signPayload(secret, timestamp, body)}`;
+}
+
+/**
+ * Delay before the next attempt, or null once attempts are exhausted.
+ */
+export function getRetryDelayMs(attempts) {
+  if (attempts >= MAX_DELIVERY_ATTEMPTS) return null;
+  return RETRY_DELAYS_MS[Math.max(0, attempts - 1)] ?? null;
+}
+
+// ─── Endpoint validation ─────────────────────────────────────────────────────
+
+/**
+ * Returns an error message, or null when the URL can be used as an endpoint.
+ * The host must resolve to public addresses only; plain http is accepted
+ * outside production.
+ */
+export async function validateWebhookUrl(value) {
+  let url;
+  try {
+    url = new URL(String(value || '').trim());
+  } catch {
+    return 'Webhook URL is not a valid URL';
+  }
+  const allowHttp = process.env.NODE_ENV !== 'production';
+  if (url.protocol !== 'https:' && !(allowHttp && url.protocol === 'http:')) {
+    return 'Webhook URL must use https';
+  }
+  if (url.username || url.password) {
+    return 'Webhook URL must not contain credentials';
+  }
+  try {
+    await assertPublicUrl(url);
+  } catch (error) {
+    return error.code === PRIVATE_HOST_CODE
+      ? 'Webhook URL must point to a public host'
+      : 'Webhook URL host could not be resolved';
+  }
+  return null;
+}
+
+export function normalizeEvents(events) {
+  if (!Array.isArray(events)) return [];
+  return [...new Set(events.map((event) => String(event).trim()).filter((event) => WEBHOOK_EVENTS.includes(event)))];
+}
+
+// ─── Endpoint management ─────────────────────────────────────────────────────
+
+const ENDPOINT_COLUMNS = `id, user_id, team_id, url, description, events, is_active,
+  RIGHT(secret, 4) AS secret_hint, last_delivery_at, last_delivery_status, created_at, updated_at`;
+
+// Team endpoints are shared by the team; personal ones belong to the user.
+const scopeCondition = ({ userId, teamId }, startIndex = 1, alias = '') => {
+  const prefix = alias ? `${alias}.` : '';
+  return teamId
+    ? { clause: `${prefix}team_id = $${startIndex}`, params: [teamId] }
+    : { clause: `${prefix}user_id = $${startIndex} AND ${prefix}team_id IS NULL`, params: [userId] };
+};
+
+export async function listEndpoints(scope) {
+  const { clause, params } = scopeCondition(scope);
+  const { rows } = await pool.query(
+    `SELECT ${ENDPOINT_COLUMNS}
+     FROM webhook_endpoints
+     WHERE ${clause}
+     ORDER BY created_at ASC`,
+    params
+  );
+  return rows;
+}
+
+export async function getEndpoint(scope, endpointId) {
+  const { clause, params } = scopeCondition(scope, 2);
+  const { rows } = await pool.query(
+    `SELECT ${ENDPOINT_COLUMNS}
+     FROM webhook_endpoints
+     WHERE id = $1 AND ${clause}`,
+    [endpointId, ...params]
+  );
+  return rows[0] || null;
+}
+
+export async function countEndpoints(scope) {
+  const { clause, params } = scopeCondition(scope);
+  const { rows } = await pool.query(
+    `SELECT COUNT(*)::int AS count FROM webhook_endpoints WHERE ${clause}`,
+    params
+  );
+  return rows[0]?.count || 0;
+}
+
+/**
+ * @returns {Promise<{ endpoint: Object, secret: string }>}
+ */
+export async function createEndpoint(scope, { url, events, description = null }) {
+  const secret = generateWebhookSecret();
+  const { rows } = await pool.query(
+    `INSERT INTO webhook_endpoints (user_id, team_id, url, description, secret, events)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING ${ENDPOINT_COLUMNS}`,
+    [scope.userId, scope.teamId || null, String(url).trim(), description, secret, events]
+  );
+  return { endpoint: rows[0], secret };
+}
+
+export async function updateEndpoint(scope, endpointId, updates) {
+  const fields = [];
+  const values = [endpointId];
+  for (const key of ['url', 'description', 'events', 'is_active']) {
+    if (updates[key] !== undefined) {
+      values.push(updates[key]);
+      fields.push(`${key} = $${values.length}`);
+    }
+  }
+  if (fields.length === 0) return getEndpoint(scope, endpointId);
+
+  const { clause, params } = scopeCondition(scope, values.length + 1);
+  const { rows } = await pool.query(
+    `UPDATE webhook_endpoints
+     SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND ${clause}
+     RETURNING ${ENDPOINT_COLUMNS}`,
+    [...values, ...params]
+  );
+  return rows[0] || null;
+}
+
+export async function deleteEndpoint(scope, endpointId) {
+  const { clause, params } = scopeCondition(scope, 2);
+  const { rowCount } = await pool.query(
+    `DELETE FROM webhook_endpoints WHERE id = $1 AND ${clause}`,
+    [endpointId, ...params]
+  );
+  return rowCount > 0;
+}
+
+export async function rotateSecret(scope, endpointId) {
+  const secret = generateWebhookSecret();
+  const { clause, params } = scopeCondition(scope, 3);
+  const { rows } = await pool.query(
+    `UPDATE webhook_endpoints
+     SET secret = $2, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND ${clause}
+     RETURNING ${ENDPOINT_COLUMNS}`,
+    [endpointId, secret, ...params]
+  );
+  return rows[0] ? { endpoint: rows[0], secret } : null;
+}
+
+export async function listDeliveries(endpointId, { limit = 50 } = {}) {
+  const safeLimit = Math.min(Math.max(Number.parseInt(limit, 10) || 50, 1), 200);
+  const { rows } = await pool.query(
+    `SELECT id, event_id, event_type, payload, status, attempts, next_attempt_at, last_attempt_at,
+            response_status, response_body, error_message, duration_ms, delivered_at, created_at
+     FROM webhook_deliveries
+     WHERE endpoint_id = $1
+     ORDER BY created_at DESC
+     LIMIT $2`,
+    [endpointId, safeLimit]
+  );
+  return rows;
+}
+
+// ─── Delivery ────────────────────────────────────────────────────────────────
+
+const truncate = (value, limit = RESPONSE_BODY_LIMIT) => {
+  if (value === null || value === undefined) return null;
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > limit ? `${text.slice(0, limit)}…` : text;
+};
+
+/**
+ * POST one delivery to its endpoint and record the outcome. Non-2xx responses
+ * and network errors are rescheduled until MAX_DELIVERY_ATTEMPTS is reached
+ * (test pings pass retry: false and fail after one attempt).
+ * @param {Object} delivery - webhook_deliveries row joined with url and secret
+ */
+export async function attemptDelivery(delivery, { now = Date.now(), retry = true } = {}) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(now / 1000);
+  const attempts = Number(delivery.attempts || 0) + 1;
+  const startedAt = Date.now();
+
+  let responseStatus = null;
+  let responseBody = null;
+  let errorMessage = null;
+  try {
+    // Checked on every attempt: the host's DNS can change after it was saved
+    await assertPublicUrl(delivery.url);
+    const response = await axios.post(delivery.url, body, {
+      timeout: DELIVERY_TIMEOUT_MS,
+      maxRedirects: 0,
+      proxy: false,
+      httpAgent: publicHttpAgent,
+      httpsAgent: publicHttpsAgent,
+      validateStatus: () => true,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'TweetGenie-Webhooks/1.0',
+        'X-TweetGenie-Event': delivery.event_type,
+        'X-TweetGenie-Delivery': delivery.id,
+        'X-TweetGenie-Timestamp': String(timestamp),
+        [SIGNATURE_HEADER]: buildSignatureHeader(delivery.secret, timestamp, body),
+      },
+    });
+    responseStatus = response.status;
+    responseBody = truncate(response.data);
+    if (response.status < 200 || response.status >= 300) {
+      errorMessage = `Endpoint responded with HTTP ${response.status}`;
+    }
+  } catch (error) {
+    errorMessage = error?.code ? `${error.code}: ${error.message}` : (error?.message || 'Request failed');
+  }
+
+  const durationMs = Date.now() - startedAt;
+  const delivered = errorMessage === null;
+  const retryDelayMs = delivered || !retry ? null : getRetryDelayMs(attempts);
+  const status = delivered ? 'delivered' : retryDelayMs === null ? 'failed' : 'pending';
+
+  await pool.query(
+    `UPDATE webhook_deliveries
+     SET status = $2,
+         attempts = $3,
+         last_attempt_at = CURRENT_TIMESTAMP,
+         next_attempt_at = $4,
+         response_status = $5,
+         response_body = $6,
+         error_message = $7,
+         duration_ms = $8,
+         delivered_at = CASE WHEN $2 = 'delivered' THEN CURRENT_TIMESTAMP ELSE NULL END
+     WHERE id = $1`,
+    [
+      delivery.id,
+      status,
+      attempts,
+      retryDelayMs === null ? null : new Date(now + retryDelayMs),
+      responseStatus,
+      responseBody,
+      errorMessage,
+      durationMs,
+    ]
+  );
+
+  await pool.query(
+    `UPDATE webhook_endpoints
+     SET last_delivery_at = CURRENT_TIMESTAMP, last_delivery_status = $2
+     WHERE id = $1`,
+    [delivery.endpoint_id, delivered ? 'delivered' : `failed:${responseStatus || 'error'}`]
+  ).catch(() => {});
+
+  if (!delivered) {
+    console.warn(`[Webhooks] Delivery ${delivery.id} (${delivery.event_type}) attempt ${attempts} failed: ${errorMessage}`);
+  }
+  return { status, attempts, responseStatus, errorMessage };
+}
+
+async function findSubscribedEndpoints(eventType, { userId, teamId }) {
+  const { clause, params } = scopeCondition({ userId, teamId }, 2);
+  const { rows } = await pool.query(
+    `SELECT id, url, secret
+     FROM webhook_endpoints
+     WHERE is_active = true
+       AND $1 = ANY(events)
+       AND ${clause}`,
+    [eventType, ...params]
+  );
+  return rows;
+}
+
+async function isOnCooldown(endpointId, eventType) {
+  const hours = EVENT_COOLDOWN_HOURS[eventType];
+  if (!hours) return false;
+  const { rows } = await pool.query(
+    `SELECT id FROM webhook_deliveries
+     WHERE endpoint_id = $1 AND event_type = $2
+       AND created_at > NOW() - ($3 || ' hours')::INTERVAL
+     LIMIT 1`,
+    [endpointId, eventType, String(hours)]
+  );
+  return rows.length > 0;
+}
+
+// Rows are written already leased, like a claim by processDueDeliveries, so
+// the retry tick can't send them again while the first attempt is running.
+async function enqueueDelivery(endpoint, payload) {
+  const { rows } = await pool.query(
+    `INSERT INTO webhook_deliveries (endpoint_id, event_id, event_type, payload, next_attempt_at)
+     VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + ($5::int * INTERVAL '1 minute'))
+     RETURNING *`,
+    [endpoint.id, payload.id, payload.type, JSON.stringify(payload), CLAIM_LEASE_MINUTES]
+  );
+  return { ...rows[0], payload, url: endpoint.url, secret: endpoint.secret };
+}
+
+const buildEventPayload = (eventType, { userId, teamId, data }) => ({
+  id: crypto.randomUUID(),
+  type: eventType,
+  created_at: new Date().toISOString(),
+  user_id: userId || null,
+  team_id: teamId || null,
+  data: data || {},
+});
+
+/**
+ * Fan an event out to every active endpoint of the user (or team) subscribed
+ * to it. Never throws — callers fire and forget, like the email notifiers.
+ * Resolves once the deliveries are queued; the first attempts are sent in
+ * the background so callers never wait on a customer endpoint.
+ * @param {string} eventType - one of WEBHOOK_EVENTS
+ * @param {Object} options - { userId, teamId, data }
+ */
+export async function emitWebhookEvent(eventType, { userId, teamId = null, data = {} }) {
+  try {
+    if (!WEBHOOK_EVENTS.includes(eventType)) return 0;
+    const endpoints = await findSubscribedEndpoints(eventType, { userId, teamId });
+    if (endpoints.length === 0) return 0;
+
+    const payload = buildEventPayload(eventType, { userId, teamId, data });
+    const deliveries = [];
+    for (const endpoint of endpoints) {
+      if (await isOnCooldown(endpoint.id, eventType)) continue;
+      deliveries.push(await enqueueDelivery(endpoint, payload));
+    }
+    for (const delivery of deliveries) {
+      attemptDelivery(delivery).catch((error) => {
+        // The row stays pending and is picked up by the retry tick once its lease ends
+        console.error('[Webhooks] Immediate delivery error:', error.message);
+      });
+    }
+    return deliveries.length;
+  } catch (error) {
+    console.error(`[Webhooks] Error emitting ${eventType}:`, error.message);
+    return 0;
+  }
+}
+
+/**
+ * Send a `ping` to one endpoint regardless of its subscriptions.
+ */
+export async function sendTestEvent(scope, endpointId) {
+  const { clause, params } = scopeCondition(scope, 2);
+  const { rows } = await pool.query(
+    `SELECT id, url, secret FROM webhook_endpoints WHERE id = $1 AND ${clause}`,
+    [endpointId, ...params]
+  );
+  if (!rows[0]) return null;
+
+  const payload = buildEventPayload('ping', { ...scope, data: { message: 'Webhook test from Tweet Genie' } });
+  const delivery = await enqueueDelivery(rows[0], payload);
+  const result = await attemptDelivery(delivery, { retry: false });
+  return { deliveryId: delivery.id, ...result };
+}
+
+/**
+ * Queue a past delivery again as a fresh attempt cycle, leased while it is
+ * attempted right away.
+ */
+export async function redeliver(scope, deliveryId) {
+  const { clause, params } = scopeCondition(scope, 3, 'e');
+  const { rows } = await pool.query(
+    `UPDATE webhook_deliveries d
+     SET status = 'pending', attempts = 0, error_message = NULL,
+         next_attempt_at = CURRENT_TIMESTAMP + ($2::int * INTERVAL '1 minute')
+     FROM webhook_endpoints e
+     WHERE d.id = $1 AND d.endpoint_id = e.id AND ${clause}
+     RETURNING d.*, e.url, e.secret`,
+    [deliveryId, CLAIM_LEASE_MINUTES, ...params]
+  );
+  if (!rows[0]) return null;
+  return attemptDelivery(rows[0]);
+}
+
+/**
+ * Claim due pending deliveries (with a short lease so concurrent ticks skip
+ * them) and attempt each. Called from the DB scheduler tick.
+ */
+export async function processDueDeliveries({ limit = DELIVERY_BATCH_SIZE } = {}) {
+  const { rows } = await pool.query(
+    `UPDATE webhook_deliveries d
+     SET next_attempt_at = CURRENT_TIMESTAMP + ($2::int * INTERVAL '1 minute')
+     FROM webhook_endpoints e
+     WHERE d.endpoint_id = e.id
+       AND d.id IN (
+         SELECT id FROM webhook_deliveries
+         WHERE status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP
+         ORDER BY next_attempt_at ASC
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED
+       )
+     RETURNING d.*, e.url, e.secret, e.is_active`,
+    [limit, CLAIM_LEASE_MINUTES]
+  );
+
+  const summary = { claimed: rows.length, delivered: 0, retrying: 0, failed: 0 };
+  for (const delivery of rows) {
+    if (!delivery.is_active) {
+      await pool.query(
+        `UPDATE webhook_deliveries
+         SET status = 'failed', next_attempt_at = NULL, error_message = 'Endpoint disabled'
+         WHERE id = $1`,
+        [delivery.id]
+      );
+      summary.failed += 1;
+      continue;
+    }
+    try {
+      const { status } = await attemptDelivery(delivery);
+      if (status === 'delivered') summary.delivered += 1;
+      else if (status === 'pending') summary.retrying += 1;
+      else summary.failed += 1;
+    } catch (error) {
+      summary.failed += 1;
+      console.error(`[Webhooks] Retry of delivery ${delivery.id} errored:`, error.message);
+    }
+  }
+  return summary;
+}
+
+export default {
+  WEBHOOK_EVENTS,
+  MAX_DELIVERY_ATTEMPTS,
+  MAX_WEBHOOK_ENDPOINTS,
+  signPayload,
+  buildSignatureHeader,
+  getRetryDelayMs,
+  validateWebhookUrl,
+  normalizeEvents,
+  listEndpoints,
+  getEndpoint,
+  countEndpoints,
+  createEndpoint,
+  updateEndpoint,
+  deleteEndpoint,
+  rotateSecret,
+  listDeliveries,
+  attemptDelivery,
+  emitWebhookEvent,
+  sendTestEvent,
+  redeliver,
+  processDueDeliveries,
+};
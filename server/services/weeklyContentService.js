@@ -1,6 +1,7 @@
 import pool from '../config/database.js';
 import axios from 'axios';
 import moment from 'moment-timezone';
+import { getVoicePromptForUser } from './brandVoiceService.js';
 
 // ─── Constants ──────────────────────────────────────────────────────────────
 const GEMINI_MODEL = 'gemini-3-flash-preview';
@@ -89,6 +90,7 @@ Return format:
     const bestHours = cache.best_hours || '9am-11am';
     const extraContext = metadata.extra_context || '';
     const competitorInsights = metadata.competitor_insights || null;
+    const voicePrompt = await getVoicePromptForUser(strategy.user_id, { maxChars: 1200 });
 
     const topicsSection = topics.length > 0
       ? topics.map((t) => `- ${t}`).join('\n')
@@ -147,6 +149,7 @@ ${competitorSection ? `COMPETITOR INTELLIGENCE:\n${competitorSection}\n` : ''}
 ${promptLibrarySection ? `${promptLibrarySection}\n` : ''}
 ${extraContext ? `ADDITIONAL CONTEXT:\n${extraContext}\n` : ''}
 ${performanceContext ? `${performanceContext}\n` : ''}
+${voicePrompt ? `${voicePrompt}\n` : ''}
 
 IMPORTANT RULES:
 1. Each tweet must be COMPLETELY written — ready to copy-paste and post.
@@ -0,0 +1,148 @@
+// Approval chains: the ordered sign-off steps a team's posts go through
+// before they can publish, and who may sign off each step.
+// A step is { label, roles, agency_roles, user_ids }. `roles` are team roles,
+// `agency_roles` are roles from an agency workspace token (so an agency's
+// client can sign off without a team admin role) and `user_ids` name members.
+
+export const TEAM_ROLES = ['owner', 'admin', 'editor', 'viewer'];
+export const MAX_APPROVAL_STEPS = 5;
+const MAX_STEP_MEMBERS = 20;
+const MAX_LABEL_LENGTH = 60;
+
+// Behaviour before chains existed: one step any owner or admin can sign off.
+export const DEFAULT_APPROVAL_STEPS = [
+  { label: 'Owner or admin', roles: ['owner', 'admin'], agency_roles: [], user_ids: [] },
+];
+
+const cleanStrings = (value, { max, maxLength = 64, lowercase = false } = {}) => {
+  const items = Array.isArray(value) ? value : [];
+  const seen = new Set();
+  const result = [];
+  for (const raw of items) {
+    if (raw === null || raw === undefined) continue;
+    let item = String(raw).trim().slice(0, maxLength);
+    if (lowercase) item = item.toLowerCase();
+    if (!item || seen.has(item)) continue;
+    seen.add(item);
+    result.push(item);
+    if (result.length >= max) break;
+  }
+  return result;
+};
+
+/**
+ * Validate submitted steps.
+ * @returns {{ steps: object[]|null, error: string|null }}
+ */
+export function normalizeApprovalSteps(input) {
+  if (!Array.isArray(input) || input.length === 0) {
+    return { steps: null, error: 'Add at least one approval step' };
+  }
+  if (input.length > MAX_APPROVAL_STEPS) {
+    return { steps: null, error: `Approval chains are limited to ${MAX_APPROVAL_STEPS} steps` };
+  }
+
+  const steps = [];
+  for (const [index, raw] of input.entries()) {
+    const roles = cleanStrings(raw?.roles, { max: TEAM_ROLES.length, lowercase: true });
+    const unknownRole = roles.find((role) => !TEAM_ROLES.includes(role));
+    if (unknownRole) {
+      return { steps: null, error: `Step ${index + 1}: unknown role "${unknownRole}"` };
+    }
+    const step = {
+      label: String(raw?.label || '').trim().slice(0, MAX_LABEL_LENGTH) || `Step ${index + 1}`,
+      roles,
+      agency_roles: cleanStrings(raw?.agency_roles, { max: 10, lowercase: true }),
+      user_ids: cleanStrings(raw?.user_ids, { max: MAX_STEP_MEMBERS }),
+    };
+    if (!step.roles.length && !step.agency_roles.length && !step.user_ids.length) {
+      return { steps: null, error: `Step ${index + 1}: choose who can sign it off` };
+    }
+    steps.push(step);
+  }
+  return { steps, error: null };
+}
+
+/** Stored steps, or the default single step when none are usable. */
+export function resolveApprovalSteps(stored) {
+  let steps = stored;
+  if (typeof steps === 'string') {
+    try {
+      steps = JSON.parse(steps);
+    } catch {
+      steps = null;
+    }
+  }
+  const { steps: normalized } = normalizeApprovalSteps(steps);
+  return normalized || DEFAULT_APPROVAL_STEPS;
+}
+
+// Index of the step a post waits on, kept in range if the chain got shorter.
+export const getCurrentStepIndex = (row, steps) =>
+  Math.min(Math.max(Number.parseInt(row?.approval_step, 10) || 0, 0), steps.length - 1);
+
+/**
+ * Whether an actor may sign off a step.
+ * @param {object} step
+ * @param {{ userId: string, teamRole?: string|null, agencyRole?: string|null, viaReviewLink?: boolean }} actor
+ *   review-link actors carry the sharer's userId but never match `user_ids`
+ */
+export function canSignOffStep(step, actor) {
+  if (!step || !actor?.userId) return false;
+  if (!actor.viaReviewLink && step.user_ids.includes(String(actor.userId))) return true;
+  if (actor.teamRole && step.roles.includes(String(actor.teamRole).toLowerCase())) return true;
+  return Boolean(actor.agencyRole && step.agency_roles.includes(String(actor.agencyRole).toLowerCase()));
+}
+
+/**
+ * Who a sign-off is recorded as in a post's approval_signers. Review-link
+ * reviewers act under the sharer's user id, so they count as their link.
+ */
+export const getSignerKey = (actor) =>
+  actor?.viaReviewLink ? `review_link:${actor.reviewLinkId}` : String(actor?.userId);
+
+const toSignerList = (value) => (Array.isArray(value) ? value.map(String) : []);
+
+/**
+ * Whether an actor may sign off the step a post is waiting on: they must be
+ * able to sign off the step, must not be the post's author and must not have
+ * signed off an earlier step of this approval round.
+ */
+export function canApproveStep(step, actor, row) {
+  if (!canSignOffStep(step, actor)) return false;
+  if (!actor.viaReviewLink && String(actor.userId) === String(row?.user_id)) return false;
+  return !toSignerList(row?.approval_signers).includes(getSignerKey(actor));
+}
+
+/** Where a post stands in its chain, for the API. */
+export function describeApprovalProgress(row, steps, actor = null) {
+  const index = getCurrentStepIndex(row, steps);
+  const waiting = row?.approval_status === 'pending_approval';
+  return {
+    status: row?.approval_status || 'approved',
+    step_index: waiting ? index : null,
+    total_steps: steps.length,
+    current_step: waiting ? steps[index] : null,
+    steps: steps.map((step, stepIndex) => ({
+      label: step.label,
+      state: row?.approval_status === 'approved' || (waiting && stepIndex < index)
+        ? 'done'
+        : waiting && stepIndex === index
+          ? 'waiting'
+          : 'upcoming',
+    })),
+    can_sign_off: Boolean(waiting && actor && canApproveStep(steps[index], actor, row)),
+  };
+}
+
+/** Flat comment rows -> top-level comments with nested `replies`. */
+export function threadComments(rows = []) {
+  const byId = new Map(rows.map((row) => [String(row.id), { ...row, replies: [] }]));
+  const roots = [];
+  for (const comment of byId.values()) {
+    const parent = comment.parent_id ? byId.get(String(comment.parent_id)) : null;
+    if (parent) parent.replies.push(comment);
+    else roots.push(comment);
+  }
+  return roots;
+}
@@ -0,0 +1,295 @@
+// Brand voice: learn an account's writing habits from its own tweets, turn them
+// into prompt instructions, and score drafts for how well they match.
+
+export const MAX_BANNED_WORDS = 50;
+export const MAX_VOICE_EXAMPLES = 5;
+export const MAX_VOICE_VOCABULARY = 20;
+export const MIN_TWEETS_FOR_VOICE = 5;
+export const VOICE_MATCH_MIN_SCORE = 60;
+
+const URL_RE = /https?:\/\/\S+/gi;
+const MENTION_RE = /@\w+/g;
+const HASHTAG_RE = /#[\p{L}\p{N}_]+/gu;
+const EMOJI_RE = /\p{Extended_Pictographic}/gu;
+const WORD_RE = /[\p{L}][\p{L}'’-]*/gu;
+
+const STOPWORDS = new Set([
+  'about', 'after', 'again', 'also', 'because', 'been', 'before', 'being', 'could', 'didn',
+  'does', 'doesn', 'doing', 'don', 'each', 'even', 'every', 'from', 'have', 'having', 'here',
+  'into', 'just', 'know', 'like', 'made', 'make', 'many', 'more', 'most', 'much', 'need',
+  'only', 'other', 'over', 'really', 'same', 'should', 'some', 'still', 'such', 'than',
+  'that', 'their', 'them', 'then', 'there', 'these', 'they', 'thing', 'things', 'this',
+  'those', 'through', 'very', 'want', 'were', 'what', 'when', 'where', 'which', 'while',
+  'will', 'with', 'would', 'your', 'you’re', "you're", "it's", 'it’s', "don't", 'don’t',
+]);
+
+const round = (value, digits = 1) => {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+const stripEntities = (text = '') =>
+  String(text || '').replace(URL_RE, ' ').replace(MENTION_RE, ' ').replace(HASHTAG_RE, ' ');
+
+const extractWords = (text = '') =>
+  (stripEntities(text).toLowerCase().match(WORD_RE) || [])
+    .map((word) => word.replace(/['’-]+$/, ''))
+    .filter((word) => word.length >= 4 && !STOPWORDS.has(word));
+
+const splitSentences = (text = '') =>
+  stripEntities(text)
+    .split(/[.!?]+|\n+/)
+    .map((sentence) => sentence.trim())
+    .filter((sentence) => /\p{L}/u.test(sentence));
+
+const topByCount = (counts, limit) =>
+  [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([value]) => value);
+
+const countInto = (counts, values) => {
+  values.forEach((value) => counts.set(value, (counts.get(value) || 0) + 1));
+};
+
+/**
+ * Lowercase, de-duplicated list of words/phrases from an array or a
+ * comma/newline separated string.
+ */
+export const normalizeWordList = (value, maxItems = MAX_BANNED_WORDS) => {
+  const items = Array.isArray(value) ? value : String(value || '').split(/[,\n]/);
+  const seen = new Set();
+  for (const item of items) {
+    if (typeof item !== 'string') continue;
+    const normalized = item.trim().toLowerCase().replace(/\s+/g, ' ').slice(0, 60);
+    if (normalized) seen.add(normalized);
+    if (seen.size >= maxItems) break;
+  }
+  return [...seen];
+};
+
+/**
+ * Learn style metrics from an account's tweets.
+ * @param {Array<{ text?: string, content?: string, likes?: number, retweets?: number, replies?: number }>} tweets
+ * @returns {{ stats: Object, vocabulary: string[], examples: string[], tweetsAnalysed: number }}
+ */
+export const analyseVoice = (tweets = []) => {
+  const texts = (Array.isArray(tweets) ? tweets : [])
+    .map((tweet) => ({
+      text: String(tweet?.text ?? tweet?.content ?? '').trim(),
+      engagement:
+        Number(tweet?.likes || 0) + Number(tweet?.retweets || 0) * 2 + Number(tweet?.replies || 0),
+    }))
+    .filter(({ text }) => text && !/^RT @/i.test(text));
+
+  if (texts.length === 0) {
+    return { stats: {}, vocabulary: [], examples: [], tweetsAnalysed: 0 };
+  }
+
+  const wordDocCounts = new Map();
+  const emojiCounts = new Map();
+  const hashtagCounts = new Map();
+  let totalLength = 0;
+  let totalSentenceWords = 0;
+  let totalSentences = 0;
+  let totalEmojis = 0;
+  let totalHashtags = 0;
+  let questions = 0;
+  let lowercaseStarts = 0;
+
+  for (const { text } of texts) {
+    totalLength += text.length;
+
+    const sentences = splitSentences(text);
+    totalSentences += sentences.length;
+    totalSentenceWords += sentences.reduce((sum, sentence) => sum + sentence.split(/\s+/).length, 0);
+
+    const emojis = text.match(EMOJI_RE) || [];
+    totalEmojis += emojis.length;
+    countInto(emojiCounts, emojis);
+
+    const hashtags = (text.match(HASHTAG_RE) || []).map((tag) => tag.toLowerCase());
+    totalHashtags += hashtags.length;
+    countInto(hashtagCounts, hashtags);
+
+    countInto(wordDocCounts, new Set(extractWords(text)));
+
+    if (text.includes('?')) questions += 1;
+    const firstLetter = stripEntities(text).match(/\p{L}/u)?.[0];
+    if (firstLetter && firstLetter === firstLetter.toLowerCase() && firstLetter !== firstLetter.toUpperCase()) {
+      lowercaseStarts += 1;
+    }
+  }
+
+  const count = texts.length;
+  // Words in at least two tweets say more about the voice than one-off topics.
+  const recurringWords = new Map([...wordDocCounts].filter(([, docs]) => docs >= Math.min(2, count)));
+
+  const examples = [];
+  for (const { text } of [...texts].sort((a, b) => b.engagement - a.engagement)) {
+    if (text.length < 40 || text.startsWith('@') || examples.includes(text)) continue;
+    examples.push(text.slice(0, 280));
+    if (examples.length >= MAX_VOICE_EXAMPLES) break;
+  }
+
+  return {
+    stats: {
+      avg_tweet_length: Math.round(totalLength / count),
+      avg_sentence_words: totalSentences > 0 ? round(totalSentenceWords / totalSentences) : 0,
+      emoji_per_tweet: round(totalEmojis / count, 2),
+      hashtags_per_tweet: round(totalHashtags / count, 2),
+      question_ratio: round(questions / count, 2),
+      lowercase_start_ratio: round(lowercaseStarts / count, 2),
+      top_emojis: topByCount(emojiCounts, 5),
+      top_hashtags: topByCount(hashtagCounts, 5),
+    },
+    vocabulary: topByCount(recurringWords, MAX_VOICE_VOCABULARY),
+    examples,
+    tweetsAnalysed: count,
+  };
+};
+
+const describeRate = (perTweet, noun) => {
+  if (perTweet < 0.1) return `Almost never uses ${noun}.`;
+  if (perTweet < 0.6) return `Uses ${noun} occasionally (about one every ${Math.max(2, Math.round(1 / perTweet))} tweets).`;
+  return `Uses about ${Math.max(1, Math.round(perTweet))} ${noun} per tweet.`;
+};
+
+/**
+ * Prompt block describing the voice, or '' when the profile is disabled or
+ * has nothing to say. Examples are dropped first when over maxChars.
+ */
+export const buildVoicePrompt = (profile, { maxChars = 900 } = {}) => {
+  if (!profile || profile.is_enabled === false) return '';
+
+  const stats = profile.learned_stats || {};
+  const vocabulary = Array.isArray(profile.learned_vocabulary) ? profile.learned_vocabulary : [];
+  const bannedWords = Array.isArray(profile.banned_words) ? profile.banned_words : [];
+  const examples = [
+    ...(Array.isArray(profile.pinned_examples) ? profile.pinned_examples : []),
+    ...(Array.isArray(profile.learned_examples) ? profile.learned_examples : []),
+  ];
+
+  const lines = [];
+  if (stats.avg_tweet_length) {
+    lines.push(
+      `- Typical tweet is about ${stats.avg_tweet_length} characters` +
+        (stats.avg_sentence_words ? ` with sentences of about ${Math.round(stats.avg_sentence_words)} words.` : '.')
+    );
+  }
+  if (typeof stats.emoji_per_tweet === 'number') {
+    const favourites = stats.emoji_per_tweet >= 0.1 && stats.top_emojis?.length ? ` Favourites: ${stats.top_emojis.join(' ')}` : '';
+    lines.push(`- ${describeRate(stats.emoji_per_tweet, 'emojis')}${favourites}`);
+  }
+  if (typeof stats.hashtags_per_tweet === 'number') {
+    const usual = stats.hashtags_per_tweet >= 0.1 && stats.top_hashtags?.length ? ` Usual ones: ${stats.top_hashtags.join(' ')}` : '';
+    lines.push(`- ${describeRate(stats.hashtags_per_tweet, 'hashtags')}${usual}`);
+  }
+  if (stats.lowercase_start_ratio >= 0.6) lines.push('- Usually starts tweets in lowercase.');
+  if (stats.question_ratio >= 0.3) lines.push('- Often asks the reader a question.');
+  if (vocabulary.length > 0) lines.push(`- Words they use often: ${vocabulary.slice(0, 12).join(', ')}`);
+  if (bannedWords.length > 0) lines.push(`- NEVER use these words or phrases: ${bannedWords.join(', ')}`);
+  if (profile.notes) lines.push(`- Notes from the account owner: ${String(profile.notes).slice(0, 300)}`);
+
+  if (lines.length === 0 && examples.length === 0) return '';
+
+  let block = ['BRAND VOICE — write the way this account already writes:', ...lines].join('\n');
+  const exampleHeader = '\nTweets they wrote (match the style, never copy them):';
+  let addedHeader = false;
+  for (const example of examples) {
+    const line = `\n- "${String(example).replace(/\s+/g, ' ').slice(0, 220)}"`;
+    const extra = (addedHeader ? '' : exampleHeader) + line;
+    if (block.length + extra.length > maxChars) break;
+    block += extra;
+    addedHeader = true;
+  }
+
+  return block.slice(0, maxChars);
+};
+
+const containsPhrase = (lowerText, phrase) => {
+  const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`, 'u').test(lowerText);
+};
+
+/**
+ * Score a draft 0-100 for how well it matches the voice profile.
+ * @param {string} content - Full draft (thread parts may be joined with ---)
+ * @param {Object} profile - brand_voice_profiles row
+ * @param {{ parts?: string[] }} [options] - Thread parts, compared per tweet
+ * @returns {{ score: number, issues: string[], bannedWordsUsed: string[] } | null}
+ */
+export const scoreVoiceMatch = (content, profile, { parts = null } = {}) => {
+  if (!profile || profile.is_enabled === false) return null;
+
+  const text = String(content || '').trim();
+  const tweets = Array.isArray(parts) && parts.length > 0 ? parts : [text];
+  const stats = profile.learned_stats || {};
+  const lowerText = text.toLowerCase();
+  const issues = [];
+  let score = 100;
+
+  const bannedWordsUsed = (profile.banned_words || []).filter((word) => containsPhrase(lowerText, word));
+  if (bannedWordsUsed.length > 0) {
+    score -= Math.min(60, 30 * bannedWordsUsed.length);
+    issues.push(`Uses banned word(s) for this account: ${bannedWordsUsed.join(', ')}`);
+  }
+
+  if (stats.avg_tweet_length) {
+    const avgLength = tweets.reduce((sum, tweet) => sum + tweet.length, 0) / tweets.length;
+    const ratio = avgLength / stats.avg_tweet_length;
+    if (ratio > 2) {
+      score -= 15;
+      issues.push(`Tweets are much longer than this account usually writes (~${stats.avg_tweet_length} characters)`);
+    } else if (ratio < 0.4) {
+      score -= 10;
+      issues.push(`Tweets are much shorter than this account usually writes (~${stats.avg_tweet_length} characters)`);
+    }
+  }
+
+  if (stats.avg_sentence_words) {
+    const sentences = splitSentences(text);
+    if (sentences.length > 0) {
+      const avgWords = sentences.reduce((sum, sentence) => sum + sentence.split(/\s+/).length, 0) / sentences.length;
+      if (Math.abs(avgWords - stats.avg_sentence_words) / stats.avg_sentence_words > 0.75) {
+        score -= 10;
+        issues.push(
+          avgWords > stats.avg_sentence_words
+            ? 'Sentences are much longer than this account writes — use shorter sentences'
+            : 'Sentences are much choppier than this account writes'
+        );
+      }
+    }
+  }
+
+  const emojiPerTweet = (text.match(EMOJI_RE) || []).length / tweets.length;
+  if (typeof stats.emoji_per_tweet === 'number') {
+    if (stats.emoji_per_tweet < 0.1 && emojiPerTweet > 0) {
+      score -= 10;
+      issues.push('Uses emojis, which this account almost never does');
+    } else if (emojiPerTweet > Math.max(1, stats.emoji_per_tweet * 3)) {
+      score -= 10;
+      issues.push('Uses far more emojis than this account usually does');
+    }
+  }
+
+  const hashtagsPerTweet = (text.match(HASHTAG_RE) || []).length / tweets.length;
+  if (typeof stats.hashtags_per_tweet === 'number') {
+    if (stats.hashtags_per_tweet < 0.1 && hashtagsPerTweet > 0) {
+      score -= 10;
+      issues.push('Uses hashtags, which this account almost never does');
+    } else if (hashtagsPerTweet > Math.max(1, Math.ceil(stats.hashtags_per_tweet * 2))) {
+      score -= 10;
+      issues.push('Uses more hashtags than this account usually does');
+    }
+  }
+
+  // Sharing none of the account's recurring words is a soft signal only.
+  const vocabulary = profile.learned_vocabulary || [];
+  if (vocabulary.length >= 5) {
+    const words = new Set(extractWords(text));
+    if (!vocabulary.some((word) => words.has(word))) score -= 5;
+  }
+
+  return { score: Math.max(0, score), issues, bannedWordsUsed };
+};
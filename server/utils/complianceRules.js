@@ -0,0 +1,142 @@
+// Compliance rules: banned phrases, required disclosures, link domain allowlist
+// and a hashtag cap, checked against a post (and every tweet of a thread)
+// before it is published.
+
+export const MAX_COMPLIANCE_PHRASES = 100;
+export const MAX_ALLOWED_DOMAINS = 50;
+export const COMPLIANCE_ENFORCEMENTS = ['block', 'require_approval'];
+
+const URL_RE = /\b(?:https?:\/\/|www\.)[^\s<>"']+/gi;
+const HASHTAG_RE = /#[\p{L}\p{N}_]+/gu;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole-word/phrase match, so "ad" does not match "add" and "#ad" does not match "#adtech".
+const containsPhrase = (text, phrase) =>
+  new RegExp(`(?<![\\p{L}\\p{N}_#@])${escapeRegExp(phrase)}(?![\\p{L}\\p{N}_])`, 'iu').test(text);
+
+const cleanList = (value, maxItems, mapItem = (item) => item) => {
+  const items = Array.isArray(value) ? value : String(value || '').split(/[,\n]/);
+  const seen = new Set();
+  const result = [];
+  for (const raw of items) {
+    if (typeof raw !== 'string') continue;
+    const item = mapItem(raw.trim().replace(/\s+/g, ' ').slice(0, 120));
+    const key = item.toLowerCase();
+    if (!item || seen.has(key)) continue;
+    seen.add(key);
+    result.push(item);
+    if (result.length >= maxItems) break;
+  }
+  return result;
+};
+
+/** "https://www.Example.com/path" -> "example.com" */
+export const normalizeDomain = (value = '') =>
+  String(value || '')
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .replace(/^www\./, '')
+    .replace(/[/?#:].*$/, '')
+    .replace(/\.+$/, '');
+
+/**
+ * Clean a stored or submitted rule set. Required disclosures may list
+ * alternatives separated by "|" (e.g. "#ad|#sponsored"); any one satisfies it.
+ */
+export const normalizeRules = (rules = {}) => {
+  const maxHashtags = Number.parseInt(rules?.max_hashtags, 10);
+  return {
+    is_enabled: rules?.is_enabled !== false,
+    banned_phrases: cleanList(rules?.banned_phrases, MAX_COMPLIANCE_PHRASES),
+    required_disclosures: cleanList(rules?.required_disclosures, MAX_COMPLIANCE_PHRASES, (item) =>
+      item
+        .split('|')
+        .map((option) => option.trim())
+        .filter(Boolean)
+        .join('|')
+    ),
+    allowed_link_domains: cleanList(rules?.allowed_link_domains, MAX_ALLOWED_DOMAINS, normalizeDomain),
+    max_hashtags: Number.isFinite(maxHashtags) && maxHashtags >= 0 ? Math.min(maxHashtags, 30) : null,
+    enforcement: COMPLIANCE_ENFORCEMENTS.includes(rules?.enforcement) ? rules.enforcement : 'block',
+  };
+};
+
+export const hasActiveRules = (rules) => {
+  if (!rules || rules.is_enabled === false) return false;
+  return (
+    (rules.banned_phrases || []).length > 0 ||
+    (rules.required_disclosures || []).length > 0 ||
+    (rules.allowed_link_domains || []).length > 0 ||
+    (rules.max_hashtags !== null && rules.max_hashtags !== undefined)
+  );
+};
+
+const isAllowedDomain = (host, allowed) =>
+  allowed.some((domain) => host === domain || host.endsWith(`.${domain}`));
+
+/**
+ * Check a post against a rule set.
+ * @param {{ content?: string, threadParts?: string[] }} post - threadParts, when
+ *   given, are all tweets of the thread (first one included)
+ * @returns {{ passed: boolean, action: 'allow'|'block'|'require_approval',
+ *   violations: Array<{ rule: string, message: string, tweetIndex: number|null }> }}
+ */
+export const checkCompliance = ({ content = '', threadParts = null } = {}, rules = null) => {
+  if (!hasActiveRules(rules)) return { passed: true, action: 'allow', violations: [] };
+
+  const parts = (Array.isArray(threadParts) && threadParts.length ? threadParts : [content])
+    .map((part) => String(part || ''));
+  const isThread = parts.length > 1;
+  const where = (index) => (isThread ? ` (tweet ${index + 1})` : '');
+  const violations = [];
+
+  for (const phrase of rules.banned_phrases || []) {
+    const index = parts.findIndex((part) => containsPhrase(part, phrase));
+    if (index !== -1) {
+      violations.push({ rule: 'banned_phrase', message: `Uses banned phrase "${phrase}"${where(index)}`, tweetIndex: index });
+    }
+  }
+
+  for (const disclosure of rules.required_disclosures || []) {
+    const options = disclosure.split('|');
+    if (!options.some((option) => containsPhrase(parts[0], option))) {
+      violations.push({
+        rule: 'required_disclosure',
+        message: `Missing required disclosure ${options.map((option) => `"${option}"`).join(' or ')}${isThread ? ' in the first tweet' : ''}`,
+        tweetIndex: 0,
+      });
+    }
+  }
+
+  const allowedDomains = rules.allowed_link_domains || [];
+  if (allowedDomains.length > 0) {
+    parts.forEach((part, index) => {
+      for (const url of part.match(URL_RE) || []) {
+        const host = normalizeDomain(url);
+        if (host && !isAllowedDomain(host, allowedDomains)) {
+          violations.push({ rule: 'link_domain', message: `Links to ${host}, which is not an allowed domain${where(index)}`, tweetIndex: index });
+        }
+      }
+    });
+  }
+
+  if (rules.max_hashtags !== null && rules.max_hashtags !== undefined) {
+    parts.forEach((part, index) => {
+      const count = (part.match(HASHTAG_RE) || []).length;
+      if (count > rules.max_hashtags) {
+        violations.push({
+          rule: 'max_hashtags',
+          message: `Uses ${count} hashtags, the limit is ${rules.max_hashtags}${where(index)}`,
+          tweetIndex: index,
+        });
+      }
+    });
+  }
+
+  if (violations.length === 0) return { passed: true, action: 'allow', violations };
+  return { passed: false, action: rules.enforcement === 'require_approval' ? 'require_approval' : 'block', violations };
+};
+
+export const summarizeViolations = (violations = []) => violations.map((violation) => violation.message).join('; ');
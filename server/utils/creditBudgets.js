@@ -0,0 +1,147 @@
+// Credit budgets: monthly credit limits for a team member or a strategy,
+// with warning thresholds and an optional hard stop. Spend is summed from the
+// credit_usage ledger over the calendar month (UTC).
+
+export const BUDGET_SCOPES = ['member', 'strategy'];
+export const CREDIT_BUDGET_EXCEEDED_CODE = 'CREDIT_BUDGET_EXCEEDED';
+export const CREDIT_BUDGET_UNAVAILABLE_CODE = 'CREDIT_BUDGET_UNAVAILABLE';
+export const DEFAULT_WARN_THRESHOLDS = [80];
+export const MAX_WARN_THRESHOLDS = 5;
+export const MAX_MONTHLY_LIMIT = 100000;
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MONTH_RE = /^(\d{4})-(0[1-9]|1[0-2])$/;
+
+export const isUuid = (value) => UUID_RE.test(String(value || ''));
+
+const roundCredits = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+/**
+ * Start (inclusive) and end (exclusive) of a calendar month in UTC.
+ * @param {string|null} month "YYYY-MM", or null for the month of `now`
+ * @returns {{ month: string, start: Date, end: Date }|null} null for a malformed month
+ */
+export function monthRange(month = null, now = new Date()) {
+  let year = now.getUTCFullYear();
+  let index = now.getUTCMonth();
+  if (month) {
+    const match = MONTH_RE.exec(String(month));
+    if (!match) return null;
+    year = Number(match[1]);
+    index = Number(match[2]) - 1;
+  }
+  const start = new Date(Date.UTC(year, index, 1));
+  const end = new Date(Date.UTC(year, index + 1, 1));
+  return { month: start.toISOString().slice(0, 7), start, end };
+}
+
+/**
+ * Validate a submitted budget.
+ * @returns {{ values: object|null, error: string|null }}
+ */
+export function normalizeBudgetInput(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { values: null, error: 'Budget must be an object' };
+  }
+  const { scope_type: scopeType, scope_id: scopeId, monthly_limit: monthlyLimit } = input;
+  if (!BUDGET_SCOPES.includes(scopeType)) {
+    return { values: null, error: `scope_type must be one of: ${BUDGET_SCOPES.join(', ')}` };
+  }
+  if (!isUuid(scopeId)) {
+    return { values: null, error: 'scope_id must be a member or strategy id' };
+  }
+  const limit = Number(monthlyLimit);
+  if (!Number.isFinite(limit) || limit <= 0 || limit > MAX_MONTHLY_LIMIT) {
+    return { values: null, error: `monthly_limit must be greater than 0 and at most ${MAX_MONTHLY_LIMIT}` };
+  }
+
+  let thresholds = input.warn_thresholds ?? DEFAULT_WARN_THRESHOLDS;
+  if (!Array.isArray(thresholds)) {
+    return { values: null, error: 'warn_thresholds must be a list of percentages' };
+  }
+  thresholds = [...new Set(thresholds.map(Number))].sort((a, b) => a - b);
+  if (thresholds.some((value) => !Number.isInteger(value) || value < 1 || value > 99)) {
+    return { values: null, error: 'warn_thresholds must be whole percentages between 1 and 99' };
+  }
+  if (thresholds.length > MAX_WARN_THRESHOLDS) {
+    return { values: null, error: `At most ${MAX_WARN_THRESHOLDS} warning thresholds` };
+  }
+  if (input.hard_stop !== undefined && typeof input.hard_stop !== 'boolean') {
+    return { values: null, error: 'hard_stop must be true or false' };
+  }
+
+  return {
+    values: {
+      scope_type: scopeType,
+      scope_id: String(scopeId).toLowerCase(),
+      monthly_limit: roundCredits(limit),
+      warn_thresholds: thresholds,
+      hard_stop: input.hard_stop !== false,
+    },
+    error: null,
+  };
+}
+
+/** Percentage of the limit spent, one decimal. */
+export const percentUsed = (budget) =>
+  Math.round((Number(budget.spent || 0) / Number(budget.monthly_limit)) * 1000) / 10;
+
+/**
+ * The first hard-stop budget that `amount` more credits would take over its
+ * limit, or null when the spend is allowed. Budgets carry their month's `spent`.
+ */
+export const findExceededBudget = (budgets, amount) =>
+  budgets.find(
+    (budget) => budget.hard_stop && roundCredits(Number(budget.spent || 0) + Number(amount || 0)) > Number(budget.monthly_limit)
+  ) || null;
+
+/**
+ * Error fields of a spend a budget refused (or could not check), to spread
+ * over a route's 402 body after its own "Insufficient credits" error.
+ */
+export const budgetRefusalFields = (result) =>
+  result?.source === 'budget' ? { error: result.error, code: result.code, budget: result.budget } : {};
+
+/**
+ * Thresholds (warning percentages, and 100 once the limit is reached) a
+ * budget has crossed with its current spend.
+ */
+export const crossedThresholds = (budget) => {
+  const used = percentUsed(budget);
+  return [...(budget.warn_thresholds || []), 100].filter((threshold) => used >= threshold);
+};
+
+/**
+ * Group credit_usage rows (already summed per user/strategy/workspace/operation)
+ * into the totals of a spend report.
+ */
+export function summarizeUsage(rows = []) {
+  const groups = { by_member: new Map(), by_strategy: new Map(), by_client: new Map(), by_operation: new Map() };
+  let total = 0;
+
+  const add = (map, key, base, credits, operations) => {
+    const entry = map.get(key) || { ...base, credits: 0, operations: 0 };
+    entry.credits = roundCredits(entry.credits + credits);
+    entry.operations += operations;
+    map.set(key, entry);
+  };
+
+  for (const row of rows) {
+    const credits = Number(row.credits || 0);
+    const operations = Number(row.operations || 0);
+    total = roundCredits(total + credits);
+    add(groups.by_member, row.user_id, { user_id: row.user_id, name: row.user_name || null, email: row.user_email || null }, credits, operations);
+    add(groups.by_strategy, row.strategy_id || 'none', { strategy_id: row.strategy_id || null, niche: row.strategy_niche || null }, credits, operations);
+    add(groups.by_client, row.agency_workspace_id || 'direct', { agency_workspace_id: row.agency_workspace_id || null }, credits, operations);
+    add(groups.by_operation, row.operation, { operation: row.operation }, credits, operations);
+  }
+
+  const sorted = (map) => [...map.values()].sort((a, b) => b.credits - a.credits);
+  return {
+    total,
+    by_member: sorted(groups.by_member),
+    by_strategy: sorted(groups.by_strategy),
+    by_client: sorted(groups.by_client),
+    by_operation: sorted(groups.by_operation),
+  };
+}
@@ -1,3 +1,18 @@
+import { NATIVE_PLATFORM_LIMITS } from './schedulePlatforms.js';
+
+const LINKEDIN_MAX_CHARS = NATIVE_PLATFORM_LIMITS.linkedin.maxChars;
+const THREADS_MAX_CHARS = NATIVE_PLATFORM_LIMITS.threads.maxChars;
+const THREADS_MAX_PARTS = NATIVE_PLATFORM_LIMITS.threads.maxParts;
+const LINKEDIN_MAX_HASHTAGS = 5;
+export const DEFAULT_LINKEDIN_CTA = 'What would you add? Share your thoughts in the comments.';
+
+// "1/", "(2/7)", "3/n", "🧵" at the start or end of a thread part.
+const LEADING_THREAD_MARKER = /^\s*(?:\(?\d{1,2}\s*\/\s*(?:\d{1,2}|n)?\)?|🧵)[\s:.)-]*/iu;
+const TRAILING_THREAD_MARKER = /[\s:-]*(?:\(?\d{1,2}\s*\/\s*(?:\d{1,2}|n)\)?|🧵|👇+|⬇️+)\s*$/iu;
+const MENTION_RE = /(^|[^\w@])@(\w{1,15})\b/g;
+const HASHTAG_RE = /(^|[^\p{L}\p{N}_&#])#([\p{L}\p{N}_]+)/gu;
+const HASHTAG_ONLY_LINE = /^(?:#[\p{L}\p{N}_]+\s*)+$/u;
+
 const trimText = (value = '', maxLength = 5000) => String(value || '').trim().slice(0, maxLength);
 
 const collapseExcessBlankLines = (text = '') =>
@@ -11,6 +26,99 @@ const normalizeThreadParts = (thread = []) =>
     .map((part) => trimText(part, 1000))
     .filter(Boolean);
 
+const stripThreadMarkers = (text = '') =>
+  String(text || '').replace(LEADING_THREAD_MARKER, '').replace(TRAILING_THREAD_MARKER, '').trim();
+
+// Thread numbering only means something inside a thread ("24/7 support" is not a marker).
+const stripSingleMarkers = (text = '') => String(text || '').replace(/\s*🧵\s*$/u, '').trim();
+
+const cutAtWord = (text, maxLength) => {
+  if (text.length <= maxLength) return text;
+  const slice = text.slice(0, maxLength - 1);
+  const lastSpace = slice.lastIndexOf(' ');
+  return `${(lastSpace > maxLength * 0.6 ? slice.slice(0, lastSpace) : slice).trimEnd()}…`;
+};
+
+// mentionMap: { handle: { linkedin: 'Display Name', threads: 'threads_handle' } }, handles lower-cased.
+const convertMentions = (text, platform, mentionMap = {}) =>
+  text.replace(MENTION_RE, (match, prefix, handle) => {
+    const mapped = mentionMap?.[handle.toLowerCase()]?.[platform];
+    if (platform === 'linkedin') return `${prefix}${mapped || handle}`;
+    return `${prefix}@${mapped || handle}`;
+  });
+
+// LinkedIn: keep the first few hashtags, turn the rest into plain words.
+const limitLinkedInHashtags = (text) => {
+  let seen = 0;
+  return text.replace(HASHTAG_RE, (match, prefix, tag) => {
+    seen += 1;
+    return seen <= LINKEDIN_MAX_HASHTAGS ? match : `${prefix}${tag}`;
+  });
+};
+
+// Threads takes one topic tag per post: keep the first, drop hashtag-only lines, de-tag the rest.
+const limitThreadsHashtags = (text) => {
+  let kept = false;
+  const lines = text.split('\n').map((line) => {
+    if (HASHTAG_ONLY_LINE.test(line.trim())) {
+      if (kept) return null;
+      kept = true;
+      return line.trim().split(/\s+/)[0];
+    }
+    return line.replace(HASHTAG_RE, (match, prefix, tag) => {
+      if (!kept) {
+        kept = true;
+        return match;
+      }
+      return `${prefix}${tag}`;
+    });
+  });
+  return lines.filter((line) => line !== null).join('\n').trim();
+};
+
+// Split text into chunks of at most maxLength, preferring paragraph, sentence, then word breaks.
+const splitToLimit = (text, maxLength) => {
+  const chunks = [];
+  let remaining = text.trim();
+  while (remaining.length > maxLength) {
+    const window = remaining.slice(0, maxLength + 1);
+    const breakAt = [/\n\n(?![\s\S]*\n\n)/, /[.!?]\s(?![\s\S]*[.!?]\s)/, /\s(?![\s\S]*\s)/]
+      .map((pattern) => {
+        const match = pattern.exec(window);
+        return match && match.index > maxLength * 0.4 ? match.index + match[0].trimEnd().length : -1;
+      })
+      .find((index) => index > 0);
+    const cut = breakAt || maxLength;
+    chunks.push(remaining.slice(0, cut).trim());
+    remaining = remaining.slice(cut).trim();
+  }
+  if (remaining) chunks.push(remaining);
+  return chunks;
+};
+
+/** First sentence of a paragraph, and what follows it. */
+const splitHook = (text) => {
+  const match = /^(.{20,220}?[.!?])\s+([\s\S]+)$/.exec(text);
+  return match ? [match[1], match[2]] : [text, ''];
+};
+
+/**
+ * Accepted per-platform rewrites sent with a post or schedule, e.g. from the
+ * preview's AI rewrite: { linkedin: { content }, threads: { content, threadParts } }.
+ */
+export const normalizeCrossPostOverrides = (value) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return null;
+  const overrides = {};
+  const linkedinContent = trimText(value.linkedin?.content, LINKEDIN_MAX_CHARS * 2);
+  if (linkedinContent) overrides.linkedin = { content: linkedinContent };
+  const threadsParts = normalizeThreadParts(value.threads?.threadParts).slice(0, THREADS_MAX_PARTS);
+  const threadsContent = trimText(value.threads?.content, THREADS_MAX_CHARS * THREADS_MAX_PARTS);
+  if (threadsParts.length > 0 || threadsContent) {
+    overrides.threads = { content: threadsContent || threadsParts.join('\n\n'), threadParts: threadsParts };
+  }
+  return Object.keys(overrides).length > 0 ? overrides : null;
+};
+
 export const detectCrossPostMedia = ({ media = [], threadMedia = [] } = {}) => {
   const hasSingleMedia = Array.isArray(media) && media.length > 0;
   const hasThreadMedia =
@@ -20,30 +128,103 @@ export const detectCrossPostMedia = ({ media = [], threadMedia = [] } = {}) => {
   return hasSingleMedia || hasThreadMedia;
 };
 
+/**
+ * What each platform receives for a post written for X.
+ *
+ * With optimizeCrossPost, LinkedIn gets a long-form post (a thread becomes a
+ * hook, body and call to action; @handles become names; at most 5 hashtags) and
+ * Threads keeps @handles and one topic tag. Threads' 500-character limit is
+ * always enforced by splitting into a thread. Overrides replace the generated
+ * text for their platform but are held to the same limits.
+ *
+ * @param {Object} input
+ * @param {string} [input.content]
+ * @param {string[]} [input.thread] - all parts of a thread, first one included
+ * @param {boolean} [input.optimizeCrossPost=true]
+ * @param {Object} [input.mentionMap] - { handle: { linkedin, threads } }
+ * @param {string} [input.linkedinCta] - closing line for threads expanded on LinkedIn
+ * @param {Object|null} [input.overrides] - see normalizeCrossPostOverrides
+ */
 export const buildCrossPostPayloads = ({
   content = '',
   thread = [],
   optimizeCrossPost = true,
+  mentionMap = {},
+  linkedinCta = DEFAULT_LINKEDIN_CTA,
+  overrides = null,
 } = {}) => {
   const normalizedOptimize = optimizeCrossPost !== false;
   const threadParts = normalizeThreadParts(thread);
   const isThread = threadParts.length > 1;
   const singleContent = trimText(content, 5000);
+  const normalizedOverrides = normalizeCrossPostOverrides(overrides);
 
   const clean = (value) => {
     const raw = trimText(value, 5000);
     return normalizedOptimize ? collapseExcessBlankLines(raw) : raw;
   };
 
-  const flattenLinkedInThread = () => {
-    const joined = threadParts.join('\n\n');
-    return clean(joined);
+  const sourceParts = isThread ? threadParts : [singleContent];
+  const stripMarkers = isThread ? stripThreadMarkers : stripSingleMarkers;
+
+  const buildLinkedIn = () => {
+    const notes = [];
+    if (normalizedOverrides?.linkedin) {
+      notes.push('Using your rewritten version');
+      const text = collapseExcessBlankLines(normalizedOverrides.linkedin.content);
+      if (text.length > LINKEDIN_MAX_CHARS) notes.push(`Shortened to ${LINKEDIN_MAX_CHARS} characters`);
+      return { content: cutAtWord(text, LINKEDIN_MAX_CHARS), postMode: 'single', notes };
+    }
+    if (!normalizedOptimize) {
+      return { content: isThread ? clean(threadParts.join('\n\n')) : clean(singleContent), postMode: 'single', notes };
+    }
+
+    const parts = sourceParts.map((part) => stripMarkers(clean(part))).filter(Boolean);
+    let text;
+    if (isThread && parts.length > 0) {
+      const [hook, rest] = splitHook(parts[0]);
+      const body = [rest, ...parts.slice(1)].filter(Boolean);
+      const endsWithQuestion = /\?\s*$/.test(body[body.length - 1] || hook);
+      const cta = String(linkedinCta || '').trim();
+      text = [hook, ...body, ...(cta && !endsWithQuestion ? [cta] : [])].join('\n\n');
+      notes.push(`Thread of ${threadParts.length} posts expanded into one LinkedIn post`);
+      if (cta && !endsWithQuestion) notes.push('Call to action added');
+    } else {
+      text = parts.join('\n\n');
+    }
+
+    const converted = limitLinkedInHashtags(convertMentions(text, 'linkedin', mentionMap));
+    if (converted !== limitLinkedInHashtags(text)) notes.push('@mentions written as names (X handles do not link on LinkedIn)');
+    if (converted.length > LINKEDIN_MAX_CHARS) notes.push(`Shortened to ${LINKEDIN_MAX_CHARS} characters`);
+    return { content: cutAtWord(collapseExcessBlankLines(converted), LINKEDIN_MAX_CHARS), postMode: 'single', notes };
   };
 
-  const threadsSingleContent = isThread ? clean(threadParts.join('\n\n')) : clean(singleContent);
-  const threadsThreadParts = normalizedOptimize
-    ? threadParts.map((part) => clean(part))
-    : [...threadParts];
+  const buildThreads = () => {
+    const notes = [];
+    let parts;
+    if (normalizedOverrides?.threads) {
+      notes.push('Using your rewritten version');
+      parts = normalizedOverrides.threads.threadParts.length > 0
+        ? normalizedOverrides.threads.threadParts
+        : [normalizedOverrides.threads.content];
+    } else if (normalizedOptimize) {
+      parts = sourceParts
+        .map((part) => limitThreadsHashtags(convertMentions(stripMarkers(clean(part)), 'threads', mentionMap)))
+        .filter(Boolean);
+    } else {
+      parts = isThread ? [...threadParts] : [clean(singleContent)];
+    }
+
+    const limited = parts.flatMap((part) => splitToLimit(part, THREADS_MAX_CHARS));
+    if (limited.length > parts.length) notes.push(`Split to fit Threads' ${THREADS_MAX_CHARS}-character limit`);
+    const finalParts = limited.slice(0, THREADS_MAX_PARTS);
+    if (limited.length > THREADS_MAX_PARTS) notes.push(`Only the first ${THREADS_MAX_PARTS} posts are sent to Threads`);
+
+    if (finalParts.length > 1) {
+      return { postMode: 'thread', content: finalParts.join('\n\n'), threadParts: finalParts, notes };
+    }
+    return { postMode: 'single', content: finalParts[0] || '', threadParts: [], notes };
+  };
 
   return {
     source: {
@@ -51,21 +232,7 @@ export const buildCrossPostPayloads = ({
       content: clean(singleContent),
       threadParts: normalizedOptimize ? threadParts.map((part) => clean(part)) : threadParts,
     },
-    linkedin: {
-      content: isThread ? flattenLinkedInThread() : clean(singleContent),
-      postMode: 'single',
-    },
-    threads: isThread
-      ? {
-          postMode: 'thread',
-          content: threadsSingleContent,
-          threadParts: threadsThreadParts,
-        }
-      : {
-          postMode: 'single',
-          content: threadsSingleContent,
-          threadParts: [],
-        },
+    linkedin: buildLinkedIn(),
+    threads: buildThreads(),
   };
 };
-
@@ -0,0 +1,59 @@
+// Downloads of user-supplied media URLs (imported posts, hosted videos at
+// publish time) to temporary files, through the public-host guard.
+import { randomUUID } from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { requestPublicUrl } from './publicHost.js';
+
+const MEDIA_FETCH_TIMEOUT_MS = 15000;
+
+/**
+ * Stream an imported or hosted media URL into a temporary file, so large
+ * videos are never held in memory. Only public hosts are fetched, and
+ * redirects are followed within the same host. `maxBytes` is a number or a
+ * function of the response's mimetype. The caller removes the file
+ * (removeDownloadedMedia) once it has been uploaded.
+ * @returns {Promise<{ filePath: string, mimetype: string, size: number }>}
+ */
+export async function downloadMediaToFile(url, { maxBytes, allowedTypes, timeoutMs = MEDIA_FETCH_TIMEOUT_MS }) {
+  const response = await requestPublicUrl(url, {
+    method: 'GET',
+    responseType: 'stream',
+    timeout: timeoutMs,
+  });
+  const mimetype = String(response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  const limit = typeof maxBytes === 'function' ? maxBytes(mimetype) : maxBytes;
+  const tooLarge = () => new Error(`Media is larger than the ${Math.floor(limit / (1024 * 1024))}MB limit`);
+  if (!allowedTypes.includes(mimetype)) {
+    response.data.destroy?.();
+    throw new Error(`Unsupported media type ${mimetype || 'unknown'}`);
+  }
+  if (Number(response.headers['content-length']) > limit) {
+    response.data.destroy?.();
+    throw tooLarge();
+  }
+
+  const filePath = path.join(os.tmpdir(), `media-${randomUUID()}`);
+  let size = 0;
+  const byteLimit = new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      callback(size > limit ? tooLarge() : null, chunk);
+    },
+  });
+  try {
+    await pipeline(response.data, byteLimit, fs.createWriteStream(filePath));
+  } catch (error) {
+    await fs.promises.rm(filePath, { force: true });
+    throw error;
+  }
+  return { filePath, mimetype, size };
+}
+
+/** Delete files returned by downloadMediaToFile; missing files are ignored. */
+export async function removeDownloadedMedia(files = []) {
+  await Promise.all(files.map((file) => fs.promises.rm(file.filePath, { force: true }).catch(() => {})));
+}
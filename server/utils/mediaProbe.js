@@ -0,0 +1,138 @@
+/**
+ * Lightweight media inspection without ffprobe: media kind and X upload
+ * category from a mimetype, and video duration read from the MP4/QuickTime
+ * `mvhd` box.
+ */
+
+import fs from 'fs/promises';
+
+const CONTAINER_BOXES = new Set(['moov', 'trak', 'mdia']);
+const MAX_MOOV_BYTES = 16 * 1024 * 1024;
+
+export const getMediaKind = (mimetype = '') => {
+  const normalized = String(mimetype).toLowerCase();
+  if (normalized === 'image/gif') return 'gif';
+  if (normalized.startsWith('video/')) return 'video';
+  if (normalized.startsWith('image/')) return 'image';
+  return null;
+};
+
+// media_category values accepted by the X chunked upload INIT command.
+export const getMediaCategory = (kind) => {
+  if (kind === 'video') return 'tweet_video';
+  if (kind === 'gif') return 'tweet_gif';
+  return 'tweet_image';
+};
+
+const readBoxHeader = (buffer, offset, end) => {
+  if (offset + 8 > end) return null;
+  let size = buffer.readUInt32BE(offset);
+  const type = buffer.toString('latin1', offset + 4, offset + 8);
+  let headerSize = 8;
+
+  if (size === 1) {
+    if (offset + 16 > end) return null;
+    size = Number(buffer.readBigUInt64BE(offset + 8));
+    headerSize = 16;
+  } else if (size === 0) {
+    size = end - offset;
+  }
+
+  if (size < headerSize || offset + size > end) return null;
+  return { type, size, headerSize };
+};
+
+const findMvhd = (buffer, start, end, depth = 0) => {
+  let offset = start;
+  while (offset < end) {
+    const box = readBoxHeader(buffer, offset, end);
+    if (!box) return null;
+    const bodyStart = offset + box.headerSize;
+
+    if (box.type === 'mvhd') return { start: bodyStart, end: offset + box.size };
+    if (depth < 3 && CONTAINER_BOXES.has(box.type)) {
+      const found = findMvhd(buffer, bodyStart, offset + box.size, depth + 1);
+      if (found) return found;
+    }
+    offset += box.size;
+  }
+  return null;
+};
+
+/**
+ * Duration in seconds of an MP4/MOV buffer, or null when the movie header
+ * cannot be found (the upload is then left for X to validate).
+ */
+export const readMp4DurationSeconds = (buffer) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 16) return null;
+
+  try {
+    const mvhd = findMvhd(buffer, 0, buffer.length);
+    if (!mvhd) return null;
+
+    const version = buffer.readUInt8(mvhd.start);
+    let timescale;
+    let duration;
+    if (version === 1) {
+      if (mvhd.start + 32 > mvhd.end) return null;
+      timescale = buffer.readUInt32BE(mvhd.start + 20);
+      duration = Number(buffer.readBigUInt64BE(mvhd.start + 24));
+    } else {
+      if (mvhd.start + 20 > mvhd.end) return null;
+      timescale = buffer.readUInt32BE(mvhd.start + 12);
+      duration = buffer.readUInt32BE(mvhd.start + 16);
+    }
+
+    if (!timescale || !Number.isFinite(duration)) return null;
+    return duration / timescale;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Duration in seconds of an MP4/MOV file on disk, or null when it cannot be
+ * read. Only the top-level box headers and the `moov` box are read, so the
+ * media data never has to be loaded into memory.
+ */
+export const readMp4FileDurationSeconds = async (filePath) => {
+  let handle;
+  try {
+    handle = await fs.open(filePath, 'r');
+    const { size: fileSize } = await handle.stat();
+    const header = Buffer.alloc(16);
+
+    for (let offset = 0; offset + 8 <= fileSize;) {
+      const { bytesRead } = await handle.read(header, 0, header.length, offset);
+      let size = header.readUInt32BE(0);
+      const type = header.toString('latin1', 4, 8);
+      if (size === 1) {
+        if (bytesRead < 16) return null;
+        size = Number(header.readBigUInt64BE(8));
+      } else if (size === 0) {
+        size = fileSize - offset;
+      }
+      if (size < 8 || offset + size > fileSize) return null;
+
+      if (type === 'moov') {
+        if (size > MAX_MOOV_BYTES) return null;
+        const moov = Buffer.alloc(size);
+        await handle.read(moov, 0, size, offset);
+        return readMp4DurationSeconds(moov);
+      }
+      offset += size;
+    }
+    return null;
+  } catch {
+    return null;
+  } finally {
+    await handle?.close();
+  }
+};
+
+export default {
+  getMediaKind,
+  getMediaCategory,
+  readMp4DurationSeconds,
+  readMp4FileDurationSeconds,
+};
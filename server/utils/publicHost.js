@@ -0,0 +1,165 @@
+// Outbound requests to user-supplied URLs (imported media, webhooks, custom AI
+// providers) may only reach public hosts. Resolved addresses are checked up
+// front for a clear error, and again by the agents' lookup when the socket
+// connects, so a DNS answer can't change between the check and the request.
+import axios from 'axios';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import { Readable } from 'stream';
+
+export const PRIVATE_HOST_CODE = 'PRIVATE_HOST';
+
+const PRIVATE_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6'],
+];
+
+const privateRanges = new net.BlockList();
+PRIVATE_RANGES.forEach(([address, prefix, type]) => privateRanges.addSubnet(address, prefix, type));
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+const NULL_BODY_STATUSES = [101, 204, 205, 304];
+
+export class PrivateHostError extends Error {
+  constructor(hostname) {
+    super(`${hostname} is not a public host`);
+    this.name = 'PrivateHostError';
+    this.code = PRIVATE_HOST_CODE;
+    this.hostname = hostname;
+  }
+}
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not
+ * publicly routable. Anything that isn't an IP address counts as private.
+ */
+export function isPrivateAddress(address) {
+  const value = String(address || '').replace(/^\[|\]$/g, '');
+  const family = net.isIP(value);
+  if (family === 4) return privateRanges.check(value, 'ipv4');
+  if (family !== 6) return true;
+  // IPv4-mapped addresses (::ffff:10.0.0.1) are judged by the IPv4 address.
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(value);
+  return mapped ? isPrivateAddress(mapped[1]) : privateRanges.check(value, 'ipv6');
+}
+
+// dns.lookup that fails for private addresses; used when agents connect.
+const publicLookup = (hostname, options, callback) => {
+  const opts = typeof options === 'function' ? {} : options || {};
+  const done = typeof options === 'function' ? options : callback;
+  dns.lookup(hostname, { ...opts, all: true }, (error, addresses) => {
+    if (error) return done(error);
+    if (!addresses.length || addresses.some(({ address }) => isPrivateAddress(address))) {
+      return done(new PrivateHostError(hostname));
+    }
+    return opts.all ? done(null, addresses) : done(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+export const publicHttpAgent = new http.Agent({ lookup: publicLookup });
+export const publicHttpsAgent = new https.Agent({ lookup: publicLookup });
+
+/**
+ * Resolve a URL's host and throw PrivateHostError unless every address is
+ * public. Only http(s) URLs without credentials are accepted.
+ * @param {string|URL} value
+ * @returns {Promise<URL>}
+ */
+export async function assertPublicUrl(value) {
+  const url = value instanceof URL ? value : new URL(String(value || '').trim());
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new Error(`Unsupported URL protocol ${url.protocol}`);
+  }
+  if (url.username || url.password) {
+    throw new Error('URLs with credentials are not supported');
+  }
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(hostname)
+    ? [hostname]
+    : (await dns.promises.lookup(hostname, { all: true })).map(({ address }) => address);
+  if (!addresses.length || addresses.some(isPrivateAddress)) {
+    throw new PrivateHostError(hostname);
+  }
+  return url;
+}
+
+/**
+ * axios request to a public host. Redirects are followed (up to
+ * `maxRedirects`) only within the same host, each hop checked again.
+ * @param {string} url
+ * @param {object} config axios config; url, agents and redirects are set here
+ */
+export async function requestPublicUrl(url, config = {}, { maxRedirects = 3 } = {}) {
+  let current = new URL(url);
+  for (let redirects = 0; ; redirects += 1) {
+    await assertPublicUrl(current);
+    const response = await axios.request({
+      ...config,
+      url: current.toString(),
+      maxRedirects: 0,
+      proxy: false,
+      httpAgent: publicHttpAgent,
+      httpsAgent: publicHttpsAgent,
+      validateStatus: (status) =>
+        REDIRECT_STATUSES.includes(status) || (config.validateStatus ? config.validateStatus(status) : status >= 200 && status < 300),
+    });
+    if (!REDIRECT_STATUSES.includes(response.status)) return response;
+
+    response.data?.destroy?.();
+    if (redirects >= maxRedirects) throw new Error('Too many redirects');
+    const next = new URL(response.headers.location || '', current);
+    if (next.host !== current.host) {
+      throw new Error(`Redirect to another host (${next.host}) was not followed`);
+    }
+    current = next;
+  }
+}
+
+/**
+ * fetch() for clients that accept one (the OpenAI SDK), sent through the
+ * public-only agents. Redirects are handed back to the caller, never followed.
+ * @param {string|URL} input
+ * @param {RequestInit} [init]
+ * @returns {Promise<Response>}
+ */
+export async function publicFetch(input, init = {}) {
+  const method = (init.method || 'GET').toUpperCase();
+  const response = await axios.request({
+    url: String(input),
+    method,
+    headers: Object.fromEntries(new Headers(init.headers)),
+    data: init.body,
+    signal: init.signal,
+    responseType: 'stream',
+    maxRedirects: 0,
+    proxy: false,
+    httpAgent: publicHttpAgent,
+    httpsAgent: publicHttpsAgent,
+    validateStatus: () => true,
+  });
+
+  const headers = new Headers();
+  Object.entries(response.headers || {}).forEach(([name, value]) => {
+    if (value !== undefined && value !== null) headers.set(name, String(value));
+  });
+  const hasBody = method !== 'HEAD' && !NULL_BODY_STATUSES.includes(response.status);
+  if (!hasBody) response.data?.destroy?.();
+  return new Response(hasBody ? Readable.toWeb(response.data) : null, { status: response.status, headers });
+}
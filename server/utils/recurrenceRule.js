@@ -0,0 +1,229 @@
+// Recurrence rules for repeating scheduled posts.
+// A small RFC 5545 RRULE subset, enough for "every Monday", "every weekday",
+// "first weekday of the month" or "last Friday of the month":
+//   FREQ=DAILY|WEEKLY|MONTHLY, INTERVAL, BYDAY (with ordinals for MONTHLY, e.g. 1MO, -1FR),
+//   BYMONTHDAY, BYSETPOS, COUNT, UNTIL
+// The time of day comes from the series start (DTSTART) in the series timezone,
+// so 9am stays 9am across DST changes.
+import moment from 'moment-timezone';
+
+export const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+const WEEKDAY_NAMES = {
+  MO: 'Monday', TU: 'Tuesday', WE: 'Wednesday', TH: 'Thursday', FR: 'Friday', SA: 'Saturday', SU: 'Sunday',
+};
+const ORDINAL_NAMES = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', 5: 'fifth', '-1': 'last', '-2': 'second-to-last' };
+const FREQUENCIES = new Set(['DAILY', 'WEEKLY', 'MONTHLY']);
+const MAX_INTERVAL = 52;
+const MAX_COUNT = 500;
+// Longest gap we search for the next match (e.g. "every 12 months on the 31st").
+const MAX_SCAN_DAYS = 5 * 366;
+
+const parseIntStrict = (value) => (/^[+-]?\d+$/.test(String(value)) ? Number.parseInt(value, 10) : NaN);
+
+function parseUntil(value) {
+  const raw = String(value || '').trim();
+  const compact = raw.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/);
+  const parsed = compact
+    ? moment.utc(
+        `${compact[1]}-${compact[2]}-${compact[3]}T${compact[4] || '23'}:${compact[5] || '59'}:${compact[6] || '59'}Z`
+      )
+    : moment.utc(raw, moment.ISO_8601, true);
+  return parsed.isValid() ? parsed.toDate() : null;
+}
+
+/**
+ * Parse an RRULE string ("FREQ=WEEKLY;BYDAY=MO;COUNT=10", optionally prefixed
+ * with "RRULE:").
+ * @returns {{ rule: object|null, error: string|null }}
+ */
+export function parseRecurrenceRule(input) {
+  const raw = String(input || '').trim().replace(/^RRULE:/i, '');
+  if (!raw) return { rule: null, error: 'Recurrence rule is required' };
+
+  const rule = { freq: null, interval: 1, byDay: [], byMonthDay: [], bySetPos: null, count: null, until: null };
+  for (const part of raw.split(';').filter(Boolean)) {
+    const [key, value = ''] = part.split('=');
+    const name = key.trim().toUpperCase();
+    const text = value.trim().toUpperCase();
+
+    if (name === 'FREQ') {
+      if (!FREQUENCIES.has(text)) return { rule: null, error: 'FREQ must be DAILY, WEEKLY or MONTHLY' };
+      rule.freq = text;
+    } else if (name === 'INTERVAL') {
+      const interval = parseIntStrict(text);
+      if (!(interval >= 1 && interval <= MAX_INTERVAL)) {
+        return { rule: null, error: `INTERVAL must be between 1 and ${MAX_INTERVAL}` };
+      }
+      rule.interval = interval;
+    } else if (name === 'BYDAY') {
+      for (const token of text.split(',')) {
+        const match = token.trim().match(/^([+-]?\d)?(MO|TU|WE|TH|FR|SA|SU)$/);
+        const ordinal = match?.[1] ? parseIntStrict(match[1]) : null;
+        if (!match || ordinal === 0 || (ordinal !== null && Math.abs(ordinal) > 5)) {
+          return { rule: null, error: `Invalid BYDAY value: ${token}` };
+        }
+        rule.byDay.push({ weekday: match[2], ordinal });
+      }
+    } else if (name === 'BYMONTHDAY') {
+      for (const token of text.split(',')) {
+        const day = parseIntStrict(token);
+        if (!(day >= -31 && day <= 31 && day !== 0)) return { rule: null, error: `Invalid BYMONTHDAY value: ${token}` };
+        rule.byMonthDay.push(day);
+      }
+    } else if (name === 'BYSETPOS') {
+      const position = parseIntStrict(text);
+      if (!(position >= -5 && position <= 5 && position !== 0)) return { rule: null, error: 'BYSETPOS must be between -5 and 5' };
+      rule.bySetPos = position;
+    } else if (name === 'COUNT') {
+      const count = parseIntStrict(text);
+      if (!(count >= 1 && count <= MAX_COUNT)) return { rule: null, error: `COUNT must be between 1 and ${MAX_COUNT}` };
+      rule.count = count;
+    } else if (name === 'UNTIL') {
+      rule.until = parseUntil(value);
+      if (!rule.until) return { rule: null, error: 'UNTIL must be a date (YYYYMMDD or ISO 8601)' };
+    } else {
+      return { rule: null, error: `Unsupported recurrence part: ${name}` };
+    }
+  }
+
+  if (!rule.freq) return { rule: null, error: 'FREQ is required' };
+  if (rule.count && rule.until) return { rule: null, error: 'Use either COUNT or UNTIL, not both' };
+  if (rule.freq !== 'MONTHLY' && (rule.byMonthDay.length || rule.bySetPos || rule.byDay.some((d) => d.ordinal))) {
+    return { rule: null, error: 'BYMONTHDAY, BYSETPOS and numbered BYDAY values need FREQ=MONTHLY' };
+  }
+  if (rule.bySetPos && (!rule.byDay.length || rule.byDay.some((d) => d.ordinal))) {
+    return { rule: null, error: 'BYSETPOS needs a plain BYDAY list (e.g. BYDAY=MO,TU,WE,TH,FR;BYSETPOS=1)' };
+  }
+  return { rule, error: null };
+}
+
+/** Serialise a parsed rule back to its canonical RRULE string. */
+export function formatRecurrenceRule(rule) {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay.length) parts.push(`BYDAY=${rule.byDay.map((d) => `${d.ordinal ?? ''}${d.weekday}`).join(',')}`);
+  if (rule.byMonthDay.length) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  if (rule.bySetPos) parts.push(`BYSETPOS=${rule.bySetPos}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) parts.push(`UNTIL=${moment.utc(rule.until).format('YYYYMMDD[T]HHmmss[Z]')}`);
+  return parts.join(';');
+}
+
+// Whole days since the epoch for a local calendar date (DST-safe day arithmetic).
+const dayNumber = (m) => Date.UTC(m.year(), m.month(), m.date()) / 86400000;
+const weekdayOf = (m) => WEEKDAYS[m.isoWeekday() - 1];
+
+function matchesMonthly(rule, day, start) {
+  const months = (day.year() - start.year()) * 12 + (day.month() - start.month());
+  if (months % rule.interval !== 0) return false;
+
+  const date = day.date();
+  const daysInMonth = day.daysInMonth();
+
+  if (rule.byMonthDay.length) {
+    return rule.byMonthDay.some((value) => (value > 0 ? value === date : daysInMonth + value + 1 === date));
+  }
+
+  if (rule.byDay.length && rule.bySetPos) {
+    const weekdays = new Set(rule.byDay.map((d) => d.weekday));
+    const candidates = [];
+    const cursor = day.clone().startOf('month');
+    for (let i = 0; i < daysInMonth; i += 1) {
+      if (weekdays.has(weekdayOf(cursor))) candidates.push(cursor.date());
+      cursor.add(1, 'day');
+    }
+    const index = rule.bySetPos > 0 ? rule.bySetPos - 1 : candidates.length + rule.bySetPos;
+    return candidates[index] === date;
+  }
+
+  if (rule.byDay.length) {
+    const weekday = weekdayOf(day);
+    const nthFromStart = Math.ceil(date / 7);
+    const nthFromEnd = -(Math.floor((daysInMonth - date) / 7) + 1);
+    return rule.byDay.some(
+      (d) => d.weekday === weekday && (d.ordinal === null || d.ordinal === nthFromStart || d.ordinal === nthFromEnd)
+    );
+  }
+
+  // Plain monthly repeats on the start's day of month; shorter months are skipped.
+  return date === start.date();
+}
+
+function matchesDay(rule, day, start) {
+  const weekday = weekdayOf(day);
+  if (rule.freq === 'DAILY') {
+    const days = dayNumber(day) - dayNumber(start);
+    return days % rule.interval === 0 && (!rule.byDay.length || rule.byDay.some((d) => d.weekday === weekday));
+  }
+  if (rule.freq === 'WEEKLY') {
+    const weeks = (dayNumber(day.clone().startOf('isoWeek')) - dayNumber(start.clone().startOf('isoWeek'))) / 7;
+    if (weeks % rule.interval !== 0) return false;
+    return rule.byDay.length ? rule.byDay.some((d) => d.weekday === weekday) : weekday === weekdayOf(start);
+  }
+  return matchesMonthly(rule, day, start);
+}
+
+/**
+ * First occurrence strictly after `after`, or null once UNTIL has passed.
+ * COUNT is enforced by the caller, which knows how many occurrences exist.
+ * @param {object} rule - parsed rule
+ * @param {{ dtstart: Date, timezone?: string, after: Date }} options
+ * @returns {Date|null}
+ */
+export function getNextOccurrence(rule, { dtstart, timezone = 'UTC', after }) {
+  const tz = moment.tz.zone(timezone) ? timezone : 'UTC';
+  const start = moment.tz(dtstart, tz);
+  const afterMoment = moment.tz(after, tz);
+  const day = moment.max(afterMoment, start).clone().startOf('day');
+
+  for (let i = 0; i < MAX_SCAN_DAYS; i += 1) {
+    if (matchesDay(rule, day, start)) {
+      const candidate = day.clone().hour(start.hour()).minute(start.minute()).second(0).millisecond(0);
+      if (candidate.isAfter(afterMoment) && !candidate.isBefore(start)) {
+        if (rule.until && candidate.toDate() > rule.until) return null;
+        return candidate.toDate();
+      }
+    }
+    day.add(1, 'day');
+  }
+  return null;
+}
+
+/** Human-readable summary, e.g. "Every week on Monday at 09:00 (Europe/London), 10 times". */
+export function describeRecurrenceRule(rule, { dtstart, timezone = 'UTC' } = {}) {
+  const start = dtstart ? moment.tz(dtstart, moment.tz.zone(timezone) ? timezone : 'UTC') : null;
+  const unit = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month' }[rule.freq];
+  const every = rule.interval > 1 ? `Every ${rule.interval} ${unit}s` : `Every ${unit}`;
+  const dayNames = (list) => list.map((d) => WEEKDAY_NAMES[d.weekday]).join(', ');
+  const isWeekdays = rule.byDay.length === 5 && ['MO', 'TU', 'WE', 'TH', 'FR'].every((w) => rule.byDay.some((d) => d.weekday === w));
+
+  let text = every;
+  if (rule.freq === 'MONTHLY' && rule.bySetPos) {
+    text += ` on the ${ORDINAL_NAMES[rule.bySetPos] || `#${rule.bySetPos}`} ${isWeekdays ? 'weekday' : `of ${dayNames(rule.byDay)}`}`;
+  } else if (rule.freq === 'MONTHLY' && rule.byDay.length) {
+    text += ` on the ${rule.byDay.map((d) => `${d.ordinal ? `${ORDINAL_NAMES[d.ordinal]} ` : ''}${WEEKDAY_NAMES[d.weekday]}`).join(', ')}`;
+  } else if (rule.byMonthDay.length) {
+    text += ` on day ${rule.byMonthDay.map((d) => (d === -1 ? 'last' : d)).join(', ')}`;
+  } else if (isWeekdays) {
+    text = rule.freq === 'DAILY' || rule.interval === 1 ? 'Every weekday' : `${every} on weekdays`;
+  } else if (rule.byDay.length) {
+    text += ` on ${dayNames(rule.byDay)}`;
+  } else if (rule.freq === 'WEEKLY' && start) {
+    text += ` on ${WEEKDAY_NAMES[weekdayOf(start)]}`;
+  } else if (rule.freq === 'MONTHLY' && start) {
+    text += ` on day ${start.date()}`;
+  }
+
+  if (start) text += ` at ${start.format('HH:mm')} (${start.tz()})`;
+  if (rule.count) text += `, ${rule.count} time${rule.count === 1 ? '' : 's'}`;
+  if (rule.until) text += `, until ${moment.utc(rule.until).format('MMM D, YYYY')}`;
+  return text;
+}
+
+export default {
+  WEEKDAYS,
+  parseRecurrenceRule,
+  formatRecurrenceRule,
+  getNextOccurrence,
+  describeRecurrenceRule,
+};
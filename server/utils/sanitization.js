@@ -1,6 +1,7 @@
 /**
  * Backend input sanitization utilities
  */
+import { checkCompliance } from './complianceRules.js';
 
 // Dangerous patterns to remove
 const DANGEROUS_PATTERNS = [
@@ -184,14 +185,18 @@ export const sanitizeAIPrompt = (prompt) => {
 /**
  * Validate and sanitize tweet content
  * @param {string} content - Tweet content
- * @returns {object} - Validation result
+ * @param {object} [options]
+ * @param {object} [options.complianceRules] - Active compliance rules (see complianceRules.js)
+ * @param {string[]} [options.threadParts] - All tweets of a thread, first one included
+ * @returns {object} - Validation result; `compliance` is set when rules were given
  */
-export const validateTweetContent = (content) => {
+export const validateTweetContent = (content, { complianceRules = null, threadParts = null } = {}) => {
   const result = {
     isValid: true,
     errors: [],
     warnings: [],
-    sanitizedContent: ''
+    sanitizedContent: '',
+    compliance: null
   };
 
   if (!content || typeof content !== 'string') {
@@ -227,6 +232,18 @@ export const validateTweetContent = (content) => {
     result.warnings.push('Content contains many special characters');
   }
 
+  // Compliance rules: blocking violations invalidate the post, the rest need approval
+  if (complianceRules) {
+    result.compliance = checkCompliance({ content: sanitized, threadParts }, complianceRules);
+    const messages = result.compliance.violations.map((violation) => violation.message);
+    if (result.compliance.action === 'block') {
+      result.isValid = false;
+      result.errors.push(...messages);
+    } else if (result.compliance.action === 'require_approval') {
+      result.warnings.push(...messages);
+    }
+  }
+
   result.sanitizedContent = sanitized;
   return result;
 };
@@ -261,45 +278,9 @@ export const sanitizeImagePrompt = (prompt) => {
   return sanitized;
 };
 
-/**
- * Rate limiting check
- * @param {string} identifier - User ID or IP
- * @param {string} action - Action type
- * @param {number} limit - Request limit
- * @param {number} windowMs - Time window in milliseconds
- * @returns {boolean} - Whether request is allowed
- */
-const rateLimitStore = new Map();
-
-export const checkRateLimit = (identifier, action, limit = 10, windowMs = 60000) => {
-  const key = `${identifier}:${action}`;
-  const now = Date.now();
-  
-  if (!rateLimitStore.has(key)) {
-    rateLimitStore.set(key, { count: 1, resetTime: now + windowMs });
-    return true;
-  }
-  
-  const data = rateLimitStore.get(key);
-  
-  if (now > data.resetTime) {
-    // Reset window
-    rateLimitStore.set(key, { count: 1, resetTime: now + windowMs });
-    return true;
-  }
-  
-  if (data.count >= limit) {
-    return false;
-  }
-  
-  data.count++;
-  return true;
-};
-
 export default {
   sanitizeInput,
   sanitizeAIPrompt,
   validateTweetContent,
-  sanitizeImagePrompt,
-  checkRateLimit
+  sanitizeImagePrompt
 };
@@ -0,0 +1,145 @@
+// Platforms a scheduled_tweets row can publish to. 'x' rows post to X and may
+// cross-post on publish; 'linkedin' and 'threads' rows are native posts with
+// their own text and time, published straight to that platform.
+
+export const SCHEDULE_PLATFORMS = ['x', 'linkedin', 'threads'];
+export const NATIVE_SCHEDULE_PLATFORMS = ['linkedin', 'threads'];
+
+export const PLATFORM_LABELS = {
+  x: 'X',
+  linkedin: 'LinkedIn',
+  threads: 'Threads',
+};
+
+// Per-post limits for native posts; Threads accepts a short chain of posts.
+export const NATIVE_PLATFORM_LIMITS = {
+  linkedin: { maxChars: 3000, maxParts: 1 },
+  threads: { maxChars: 500, maxParts: 10 },
+};
+
+const ROW_STATUS_TO_PLATFORM_STATUS = {
+  pending: 'scheduled',
+  processing: 'publishing',
+  completed: 'posted',
+  partially_completed: 'partial',
+  failed: 'failed',
+  cancelled: 'cancelled',
+};
+
+export const normalizeSchedulePlatform = (value) => {
+  const platform = String(value || 'x').trim().toLowerCase();
+  if (platform === 'twitter') return 'x';
+  return SCHEDULE_PLATFORMS.includes(platform) ? platform : null;
+};
+
+/**
+ * Check a native post against its platform's limits.
+ * @param {{ platform: string, parts: string[] }} post - parts: the post, then any follow-ups
+ * @returns {string|null} error message, or null when the post fits
+ */
+export const validateNativePlatformPost = ({ platform, parts = [] }) => {
+  const limits = NATIVE_PLATFORM_LIMITS[platform];
+  if (!limits) return 'Choose LinkedIn or Threads';
+  const label = PLATFORM_LABELS[platform];
+  if (parts.length === 0 || !parts[0].trim()) return 'Please enter some content';
+  if (parts.length > limits.maxParts) {
+    return limits.maxParts === 1
+      ? `${label} posts cannot be threads`
+      : `${label} threads are limited to ${limits.maxParts} posts`;
+  }
+  const tooLong = parts.findIndex((part) => part.length > limits.maxChars);
+  if (tooLong !== -1) {
+    const where = parts.length > 1 ? ` (post ${tooLong + 1})` : '';
+    return `${label} posts are limited to ${limits.maxChars} characters${where}`;
+  }
+  return null;
+};
+
+/** Error message stored on a native post the platform did not publish. */
+export const describeNativePostStatus = (platform, status) => {
+  const label = PLATFORM_LABELS[platform] || platform;
+  switch (status) {
+    case 'posted':
+      return null;
+    case 'not_connected':
+      return `${label} account is not connected. Reconnect it, then retry.`;
+    case 'target_not_found':
+      return `The selected ${label} account was not found.`;
+    case 'permission_revoked':
+      return `You no longer have permission to post to this ${label} account.`;
+    case 'missing_target_route':
+      return `No ${label} account was selected for this post.`;
+    case 'skipped_not_configured':
+      return `${label} publishing is not configured on this server.`;
+    case 'unsupported_thread_mode':
+      return `${label} did not accept this post as a thread.`;
+    case 'timeout':
+      return `${label} did not respond in time. Check the account before retrying so it is not posted twice.`;
+    default:
+      return `${label} post failed.`;
+  }
+};
+
+const parseMetadata = (value) => {
+  if (value && typeof value === 'object' && !Array.isArray(value)) return value;
+  if (typeof value === 'string') {
+    try {
+      const parsed = JSON.parse(value);
+      return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+    } catch {
+      return {};
+    }
+  }
+  return {};
+};
+
+/**
+ * Status per platform for a scheduled row: the row's own platform, plus any
+ * cross-post targets of an X post (scheduled until the X post goes out).
+ * @returns {Object<string, string>} e.g. { x: 'posted', linkedin: 'not_connected' }
+ */
+export const getPlatformStatuses = (row) => {
+  const platform = normalizeSchedulePlatform(row?.platform) || 'x';
+  const rowStatus = String(row?.status || '').toLowerCase();
+  const metadata = parseMetadata(row?.metadata);
+  const statuses = {};
+
+  if (platform !== 'x') {
+    const lastStatus = metadata?.native_post?.last_result?.status;
+    statuses[platform] = rowStatus === 'failed' && lastStatus
+      ? lastStatus
+      : ROW_STATUS_TO_PLATFORM_STATUS[rowStatus] || rowStatus || 'scheduled';
+    return statuses;
+  }
+
+  statuses.x = ROW_STATUS_TO_PLATFORM_STATUS[rowStatus] || rowStatus || 'scheduled';
+  const crossPost = metadata?.cross_post;
+  const targets = crossPost?.targets || {};
+  const lastResult = crossPost?.last_result || {};
+  for (const target of ['linkedin', 'threads', 'twitter']) {
+    if (!targets[target]) continue;
+    const key = target === 'twitter' ? 'x_copy' : target;
+    if (lastResult[target]?.status) {
+      statuses[key] = lastResult[target].status;
+    } else {
+      statuses[key] = ['failed', 'cancelled'].includes(rowStatus) ? 'skipped' : 'scheduled';
+    }
+  }
+  return statuses;
+};
+
+/** All tweets of a scheduled_tweets row, first one included. */
+export const getScheduledThreadParts = (row) => {
+  let threadTweets = row?.thread_tweets || [];
+  if (typeof threadTweets === 'string') {
+    try {
+      threadTweets = JSON.parse(threadTweets);
+    } catch {
+      threadTweets = [];
+    }
+  }
+  const rest = (Array.isArray(threadTweets) ? threadTweets : [])
+    .map((tweet) => (typeof tweet === 'string' ? tweet : tweet?.content || ''))
+    .filter((tweet) => tweet.trim());
+  return [row?.content || '', ...rest];
+};
@@ -1,3 +1,5 @@
+import { VOICE_MATCH_MIN_SCORE, buildVoicePrompt, scoreVoiceMatch } from './brandVoice.js';
+
 const normalizeText = (value, maxLength = 500) =>
   String(value || '')
     .replace(/\r\n/g, '\n')
@@ -67,6 +69,7 @@ export const buildStrategyGenerationPrompt = ({
   isThread = false,
   style = 'casual',
   retryContext = null,
+  voiceProfile = null,
 }) => {
   const sp = normalizeStrategyPromptPayload(strategyPrompt);
   if (!sp) return null;
@@ -137,6 +140,10 @@ export const buildStrategyGenerationPrompt = ({
   if (compactGoal) lines.push(`Primary goal: ${compactGoal}`);
   if (compactHashtagsHint) lines.push(`Hashtag hint: ${compactHashtagsHint}`);
 
+  // --- Brand voice (learned from the account's own tweets) ---
+  const voiceBlock = buildVoicePrompt(voiceProfile, { maxChars: 700 });
+  if (voiceBlock) lines.push('', voiceBlock);
+
   // --- Retry context with surgical guidance ---
   if (retryContext && Array.isArray(retryContext.issues) && retryContext.issues.length > 0) {
     lines.push(
@@ -384,10 +391,25 @@ const checkInstructionCompliance = (raw, instruction) => {
   return issues;
 };
 
+/**
+ * Voice match for the draft. Low scores and banned words become issues so the
+ * strategy retry can fix them; the score itself is always returned.
+ */
+const evaluateVoice = (raw, voiceProfile, parts = null) => {
+  const voiceMatch = scoreVoiceMatch(raw, voiceProfile, { parts });
+  if (!voiceMatch) return { voiceMatch: null, issues: [] };
+  const failing = voiceMatch.score < VOICE_MATCH_MIN_SCORE || voiceMatch.bannedWordsUsed.length > 0;
+  return {
+    voiceMatch: { score: voiceMatch.score, issues: voiceMatch.issues },
+    issues: failing ? voiceMatch.issues : [],
+  };
+};
+
 export const evaluateStrategyGeneratedContent = ({
   content = '',
   isThread = false,
   instruction = '',
+  voiceProfile = null,
 }) => {
   const raw = String(content || '').trim();
   const issues = [];
@@ -399,6 +421,7 @@ export const evaluateStrategyGeneratedContent = ({
       issues: ['Empty output'],
       normalizedContent: '',
       threadParts: [],
+      voiceMatch: null,
     };
   }
 
@@ -433,12 +456,17 @@ export const evaluateStrategyGeneratedContent = ({
     // 6. Single tweet: unfinished check
     if (UNFINISHED_END_RE.test(raw)) issues.push('Single tweet appears unfinished or cut off');
 
+    // 7. Brand voice match
+    const voice = evaluateVoice(raw, voiceProfile);
+    issues.push(...voice.issues);
+
     return {
       passed: issues.length === 0,
       critical: raw.length < 10,
       issues,
       normalizedContent: raw,
       threadParts: [],
+      voiceMatch: voice.voiceMatch,
     };
   }
 
@@ -469,11 +497,15 @@ export const evaluateStrategyGeneratedContent = ({
     issues.push(`${tooShortParts.length} thread tweet(s) are too short (under 20 chars)`);
   }
 
+  const voice = evaluateVoice(raw, voiceProfile, threadResult.threadParts);
+  issues.push(...voice.issues);
+
   return {
     passed: issues.length === 0,
     critical: threadResult.critical,
     issues: Array.from(new Set(issues)),
     normalizedContent: threadResult.normalizedContent || raw,
     threadParts: threadResult.threadParts,
+    voiceMatch: voice.voiceMatch,
   };
 };
\ No newline at end of file
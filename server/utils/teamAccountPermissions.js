@@ -0,0 +1,156 @@
+// Team account permissions: what a team member may do with one connected X
+// account. Members without an override get their role's defaults; owners
+// always get everything so a team can never lock itself out.
+// Overrides live in team_account_permissions (one row per account + member).
+
+export const ACCOUNT_PERMISSIONS = ['post', 'schedule', 'autopilot', 'analytics', 'disconnect'];
+export const ACCOUNT_PERMISSION_DENIED_CODE = 'TEAM_ACCOUNT_PERMISSION_DENIED';
+export const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const PERMISSION_COLUMNS = {
+  post: 'can_post',
+  schedule: 'can_schedule',
+  autopilot: 'can_autopilot',
+  analytics: 'can_view_analytics',
+  disconnect: 'can_disconnect',
+};
+
+const PERMISSION_ACTIONS = {
+  post: 'post from',
+  schedule: 'schedule posts for',
+  autopilot: 'run autopilot on',
+  analytics: 'view analytics for',
+  disconnect: 'disconnect',
+};
+
+// Matches what each role could do before per-account permissions existed.
+const ROLE_DEFAULTS = {
+  owner: ACCOUNT_PERMISSIONS,
+  admin: ACCOUNT_PERMISSIONS,
+  editor: ['post', 'schedule', 'autopilot', 'analytics'],
+  viewer: ['analytics'],
+};
+
+// For queries over team_accounts `ta` joined to the member's team_members `tm` row.
+export const ACCOUNT_PERMISSIONS_JOIN_SQL =
+  'LEFT JOIN team_account_permissions tap ON tap.account_id = ta.id AND tap.user_id = tm.user_id';
+export const ACCOUNT_PERMISSIONS_SELECT_SQL = [
+  'tm.role AS member_role',
+  'tap.account_id IS NOT NULL AS has_custom_permissions',
+  ...Object.values(PERMISSION_COLUMNS).map((column) => `tap.${column}`),
+].join(', ');
+
+export const roleDefaultPermissions = (role) => {
+  const allowed = ROLE_DEFAULTS[role] || [];
+  return Object.fromEntries(ACCOUNT_PERMISSIONS.map((permission) => [permission, allowed.includes(permission)]));
+};
+
+/**
+ * Effective permissions for a member on one account.
+ * @param {string|null} role team role
+ * @param {object|null} override team_account_permissions row (can_* columns), or null for role defaults
+ */
+export function resolveAccountPermissions(role, override = null) {
+  if (role === 'owner' || !override) return roleDefaultPermissions(role);
+  return Object.fromEntries(
+    ACCOUNT_PERMISSIONS.map((permission) => [permission, override[PERMISSION_COLUMNS[permission]] === true])
+  );
+}
+
+/** Permissions from a row selected with ACCOUNT_PERMISSIONS_SELECT_SQL. */
+export const permissionsFromRow = (row) =>
+  resolveAccountPermissions(row?.member_role || null, row?.has_custom_permissions ? row : null);
+
+/** Replace the ACCOUNT_PERMISSIONS_SELECT_SQL columns of a row with `permissions`. */
+export const withAccountPermissions = (row) => {
+  const account = { ...row };
+  for (const column of ['member_role', 'has_custom_permissions', ...Object.values(PERMISSION_COLUMNS)]) {
+    delete account[column];
+  }
+  return { ...account, permissions: permissionsFromRow(row) };
+};
+
+/** A member with no permission at all on an account doesn't see it. */
+export const hasAccountAccess = (permissions) =>
+  ACCOUNT_PERMISSIONS.some((permission) => permissions?.[permission] === true);
+
+/**
+ * Whether `permissions` grant `permission`: one name, a list of which any
+ * will do, or null for plain access to the account.
+ */
+export const hasAccountPermission = (permissions, permission = null) => {
+  if (!hasAccountAccess(permissions)) return false;
+  if (!permission) return true;
+  return [].concat(permission).some((name) => permissions[name] === true);
+};
+
+/** `permission` for writes, plain access (null) for reads. */
+export const permissionForWrites = (req, permission) => (READ_METHODS.includes(req.method) ? null : permission);
+
+/**
+ * Validate a submitted { post, schedule, ... } object into can_* column values.
+ * @returns {{ columns: object|null, error: string|null }}
+ */
+export function normalizePermissionInput(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { columns: null, error: 'permissions must be an object' };
+  }
+  const unknown = Object.keys(input).filter((key) => !ACCOUNT_PERMISSIONS.includes(key));
+  if (unknown.length > 0) {
+    return { columns: null, error: `Unknown permission: ${unknown[0]}` };
+  }
+  const columns = {};
+  for (const permission of ACCOUNT_PERMISSIONS) {
+    const value = input[permission];
+    if (value !== undefined && typeof value !== 'boolean') {
+      return { columns: null, error: `${permission} must be true or false` };
+    }
+    columns[PERMISSION_COLUMNS[permission]] = value === true;
+  }
+  return { columns, error: null };
+}
+
+export const buildPermissionDeniedPayload = (permission) => {
+  const first = [].concat(permission || [])[0] || null;
+  return {
+    error: `You don't have permission to ${PERMISSION_ACTIONS[first] || 'use'} this account.`,
+    code: ACCOUNT_PERMISSION_DENIED_CODE,
+    permission: first,
+  };
+};
+
+/**
+ * The member's role and effective permissions on a team account, or null
+ * when the account isn't an active account of a team they belong to.
+ */
+export async function loadTeamAccountPermissions(dbPool, { userId, accountId, teamId = null }) {
+  if (!userId || !accountId) return null;
+  const params = [String(accountId), userId];
+  let teamClause = '';
+  if (teamId) {
+    params.push(String(teamId));
+    teamClause = 'AND ta.team_id::text = $3::text';
+  }
+  const { rows } = await dbPool.query(
+    `SELECT ta.id, ta.team_id, ${ACCOUNT_PERMISSIONS_SELECT_SQL}
+     FROM team_accounts ta
+     INNER JOIN team_members tm
+       ON tm.team_id = ta.team_id
+      AND tm.user_id = $2
+      AND tm.status = 'active'
+     ${ACCOUNT_PERMISSIONS_JOIN_SQL}
+     WHERE ta.id::text = $1::text
+       AND ta.active = true
+       ${teamClause}
+     LIMIT 1`,
+    params
+  );
+  if (rows.length === 0) return null;
+  return {
+    accountId: String(rows[0].id),
+    teamId: String(rows[0].team_id),
+    role: rows[0].member_role,
+    custom: rows[0].has_custom_permissions === true,
+    permissions: permissionsFromRow(rows[0]),
+  };
+}
@@ -1,15 +1,26 @@
-export const resolveTeamAccountScope = async (pool, userId, selectedAccountId) => {
+import {
+  ACCOUNT_PERMISSIONS_JOIN_SQL,
+  ACCOUNT_PERMISSIONS_SELECT_SQL,
+  hasAccountPermission,
+  permissionsFromRow,
+} from './teamAccountPermissions.js';
+
+// Returns null when the account isn't usable by this member, and
+// { denied: true, permission } when it is theirs to see but the member lacks
+// access to it (or the required `permission`).
+export const resolveTeamAccountScope = async (pool, userId, selectedAccountId, { permission = null } = {}) => {
   if (!userId || !selectedAccountId) {
     return null;
   }
 
   const { rows: selectedRows } = await pool.query(
-    `SELECT ta.id, ta.team_id, ta.twitter_user_id
+    `SELECT ta.id, ta.team_id, ta.twitter_user_id, ${ACCOUNT_PERMISSIONS_SELECT_SQL}
      FROM team_accounts ta
      INNER JOIN team_members tm
        ON tm.team_id = ta.team_id
       AND tm.user_id = $2
       AND tm.status = 'active'
+     ${ACCOUNT_PERMISSIONS_JOIN_SQL}
      WHERE ta.id::TEXT = $1::TEXT
        AND ta.active = true
       LIMIT 1`,
@@ -21,6 +32,15 @@ export const resolveTeamAccountScope = async (pool, userId, selectedAccountId) =
   }
 
   const selected = selectedRows[0];
+  const permissions = permissionsFromRow(selected);
+  if (!hasAccountPermission(permissions, permission)) {
+    return {
+      denied: true,
+      permission: [].concat(permission || [])[0] || null,
+      selectedAccountId: String(selected.id),
+      teamId: String(selected.team_id),
+    };
+  }
 
   const [relatedIdsResult, activeCountResult] = await Promise.all([
     pool.query(
@@ -66,6 +86,8 @@ export const resolveTeamAccountScope = async (pool, userId, selectedAccountId) =
     relatedAccountIds,
     allowOrphanFallback: activeAccountCount <= 1,
     activeAccountCount,
+    role: selected.member_role || null,
+    permissions,
   };
 };
 
@@ -0,0 +1,112 @@
+// Replies, quotes and follow-up replies for scheduled posts.
+// The target lives in scheduled_tweets.metadata:
+//   tweet_target: { type: 'reply'|'quote', tweet_id, url, username, source: 'manual'|'follow_up', parent_scheduled_tweet_id? }
+//   follow_up:    { content, delay_hours, status: 'waiting'|'queued'|'failed', scheduled_tweet_id?, error? }
+// A follow-up is queued as its own scheduled post once the parent is live,
+// replying to the last tweet the parent posted.
+
+export const TWEET_TARGET_TYPES = ['reply', 'quote'];
+export const MIN_FOLLOW_UP_DELAY_HOURS = 1;
+export const MAX_FOLLOW_UP_DELAY_HOURS = 168;
+
+const TWEET_ID_PATTERN = /^\d{1,20}$/;
+const TWEET_HOSTS = new Set(['x.com', 'twitter.com', 'mobile.twitter.com', 'mobile.x.com', 'www.x.com', 'www.twitter.com']);
+
+/**
+ * Read a tweet id from a status URL (x.com, twitter.com, mobile links) or a bare id.
+ * @returns {{ tweetId: string, username: string|null }|null}
+ */
+export function parseTweetReference(input) {
+  const raw = String(input || '').trim();
+  if (!raw) return null;
+  if (TWEET_ID_PATTERN.test(raw)) return { tweetId: raw, username: null };
+
+  let url;
+  try {
+    url = new URL(/^https?:\/\//i.test(raw) ? raw : `https://${raw}`);
+  } catch {
+    return null;
+  }
+  if (!TWEET_HOSTS.has(url.hostname.toLowerCase())) return null;
+
+  // /<username>/status/<id>, plus the /i/web/status/<id> form used in shares.
+  const match = url.pathname.match(/^\/(?:([A-Za-z0-9_]{1,15})|i\/web)\/status(?:es)?\/(\d{1,20})(?:\/|$)/);
+  if (!match) return null;
+  return { tweetId: match[2], username: match[1] || null };
+}
+
+export const buildTweetUrl = (tweetId, username = null) =>
+  `https://x.com/${username || 'i/web'}/status/${tweetId}`;
+
+/**
+ * Validate the composer's `targetTweet` ({ type, url }).
+ * @returns {{ target: object|null, error: string|null }}
+ */
+export function normalizeTweetTarget(input) {
+  if (!input) return { target: null, error: null };
+  const type = String(input.type || '').trim().toLowerCase();
+  if (!TWEET_TARGET_TYPES.includes(type)) {
+    return { target: null, error: 'Choose whether to reply to or quote the tweet' };
+  }
+  const reference = parseTweetReference(input.url);
+  if (!reference) {
+    return { target: null, error: 'Enter a valid X post link, e.g. https://x.com/user/status/123' };
+  }
+  return {
+    target: {
+      type,
+      tweet_id: reference.tweetId,
+      username: reference.username,
+      url: buildTweetUrl(reference.tweetId, reference.username),
+      source: 'manual',
+    },
+    error: null,
+  };
+}
+
+/**
+ * Validate the composer's `followUp` ({ content, delayHours }).
+ * @returns {{ followUp: object|null, error: string|null }}
+ */
+export function normalizeFollowUp(input, { maxLength = 280 } = {}) {
+  if (!input) return { followUp: null, error: null };
+  const content = typeof input.content === 'string' ? input.content.trim() : '';
+  if (!content) return { followUp: null, error: 'Write the follow-up reply' };
+  if (content.length > maxLength) {
+    return { followUp: null, error: `Follow-up replies are limited to ${maxLength} characters` };
+  }
+  const delayHours = Number(input.delayHours);
+  if (
+    !Number.isInteger(delayHours) ||
+    delayHours < MIN_FOLLOW_UP_DELAY_HOURS ||
+    delayHours > MAX_FOLLOW_UP_DELAY_HOURS
+  ) {
+    return {
+      followUp: null,
+      error: `Follow-up delay must be between ${MIN_FOLLOW_UP_DELAY_HOURS} and ${MAX_FOLLOW_UP_DELAY_HOURS} hours`,
+    };
+  }
+  return { followUp: { content, delay_hours: delayHours, status: 'waiting' }, error: null };
+}
+
+// The X API v2 fields that attach a post to its target.
+export function buildTweetTargetFields(target) {
+  if (!target?.tweet_id) return {};
+  return target.type === 'quote'
+    ? { quote_tweet_id: String(target.tweet_id) }
+    : { reply: { in_reply_to_tweet_id: String(target.tweet_id) } };
+}
+
+// Deleted, suspended or protected targets come back as a 200 with only
+// `errors`, or as a 404 from the client.
+export function isTweetUnavailable(response, error = null) {
+  if (error) {
+    const status = error?.code || error?.status || error?.response?.status;
+    return status === 404 || status === '404';
+  }
+  if (response?.data?.id) return false;
+  const problems = Array.isArray(response?.errors) ? response.errors : [];
+  return problems.some((problem) =>
+    /not found|authorization|forbidden/i.test(`${problem?.title || ''} ${problem?.type || ''}`)
+  );
+}
@@ -12,7 +12,10 @@ export const buildReconnectRequiredPayload = (extra = {}) => ({
 
 const qualify = (alias, column) => (alias ? `${alias}.${column}` : column);
 
-export const resolveTwitterScope = async (dbPool, { userId, selectedAccountId, teamId = null }) => {
+// `permission` (see teamAccountPermissions.js) is required of team accounts;
+// without it, or without any access to the account, the scope comes back
+// disconnected with `permissionDenied` set and matches no rows.
+export const resolveTwitterScope = async (dbPool, { userId, selectedAccountId, teamId = null, permission = null }) => {
   const normalizedSelectedAccountId =
     selectedAccountId === undefined || selectedAccountId === null || String(selectedAccountId).trim() === ''
       ? null
@@ -24,9 +27,23 @@ export const resolveTwitterScope = async (dbPool, { userId, selectedAccountId, t
 
   // Team scope is opt-in by request context (x-team-id), never by local selected account alone.
   const teamScope = normalizedSelectedAccountId && normalizedTeamId
-    ? await resolveTeamAccountScope(dbPool, userId, normalizedSelectedAccountId)
+    ? await resolveTeamAccountScope(dbPool, userId, normalizedSelectedAccountId, { permission })
     : null;
 
+  if (teamScope?.denied) {
+    return {
+      mode: 'team',
+      connected: false,
+      userId,
+      selectedAccountId: normalizedSelectedAccountId,
+      effectiveAccountId: null,
+      twitterUserId: null,
+      teamScope: null,
+      permissionDenied: teamScope.permission || 'access',
+      ignoredSelectedAccountId: false,
+    };
+  }
+
   if (teamScope) {
     return {
       mode: 'team',
@@ -36,6 +53,7 @@ export const resolveTwitterScope = async (dbPool, { userId, selectedAccountId, t
       effectiveAccountId: teamScope.selectedAccountId || null,
       twitterUserId: teamScope.twitterUserId || null,
       teamScope,
+      permissions: teamScope.permissions,
       ignoredSelectedAccountId: false,
     };
   }
@@ -83,6 +101,28 @@ export const resolveTwitterScope = async (dbPool, { userId, selectedAccountId, t
   };
 };
 
+// Flatten a resolveTwitterScope() result into the account key used by per-account
+// settings tables (evergreen_settings, posting_slot_schedules, ...).
+export const buildAccountScope = (twitterScope) => {
+  if (!twitterScope?.connected) return null;
+  if (twitterScope.mode === 'team' && twitterScope.teamScope) {
+    return {
+      mode: 'team',
+      userId: twitterScope.userId,
+      teamId: twitterScope.teamScope.teamId,
+      accountId: twitterScope.teamScope.selectedAccountId,
+      authorId: twitterScope.twitterUserId || null,
+    };
+  }
+  return {
+    mode: 'personal',
+    userId: twitterScope.userId,
+    teamId: null,
+    accountId: null,
+    authorId: twitterScope.twitterUserId || null,
+  };
+};
+
 export const buildTwitterScopeFilter = ({
   scope,
   alias = '',
@@ -3,6 +3,7 @@ import pool from '../config/database.js';
 import * as autopilotService from '../services/autopilotService.js';
 import { calculateOptimalPostingTimes } from '../services/analyticsService.js';
 import { sendAllWeeklyDigests } from '../services/emailNotificationService.js';
+import { resumeAutopilotsPausedLastMonth } from '../services/creditBudgetService.js';
 
 const AUTOPILOT_WORKER_INTERVAL_MS = Number(process.env.AUTOPILOT_WORKER_INTERVAL_MS || 60 * 60 * 1000); // 1 hour
 const AUTOPILOT_DEBUG = process.env.AUTOPILOT_DEBUG === 'true';
@@ -30,6 +31,13 @@ async function processAutopilotStrategies() {
   
   try {
     autopilotLog('🤖 Starting autopilot worker cycle...');
+
+    // Credit budgets reset monthly: strategies paused by last month's budget run again
+    const resumed = await resumeAutopilotsPausedLastMonth().catch((error) => {
+      console.error('❌ Failed to resume budget-paused autopilots:', error.message);
+      return 0;
+    });
+    if (resumed > 0) autopilotLog(`▶️  Resumed ${resumed} autopilot(s) paused by last month's credit budget`);
     
     // Get all enabled autopilot configs
     const result = await pool.query(`
@@ -1,6 +1,11 @@
 import dotenv from 'dotenv';
 import pool from '../config/database.js';
 import { scheduledTweetService } from '../services/scheduledTweetService.js';
+import { evergreenService } from '../services/evergreenService.js';
+import { recurringScheduleService } from '../services/recurringScheduleService.js';
+import { feedbackLoopService } from '../services/feedbackLoopService.js';
+import { processDueDeliveries as processDueWebhookDeliveries } from '../services/webhookService.js';
+import { enforceBeforePublish } from '../services/complianceService.js';
 
 dotenv.config();
 
@@ -25,6 +30,26 @@ const TOKEN_PREFLIGHT_LIMIT = Number.parseInt(
   process.env.DB_SCHEDULED_TOKEN_PREFLIGHT_LIMIT || '50',
   10
 );
+const EVERGREEN_ENABLED = process.env.EVERGREEN_RECYCLING_ENABLED !== 'false';
+const EVERGREEN_INTERVAL_MS = Number.parseInt(
+  process.env.DB_SCHEDULED_EVERGREEN_INTERVAL_MS || '900000',
+  10
+);
+const AB_TEST_EVALUATION_ENABLED = process.env.AB_TEST_EVALUATION_ENABLED !== 'false';
+const AB_TEST_INTERVAL_MS = Number.parseInt(
+  process.env.DB_SCHEDULED_AB_TEST_INTERVAL_MS || '3600000',
+  10
+);
+const WEBHOOK_RETRY_ENABLED = process.env.WEBHOOK_RETRY_ENABLED !== 'false';
+const WEBHOOK_RETRY_INTERVAL_MS = Number.parseInt(
+  process.env.DB_SCHEDULED_WEBHOOK_RETRY_INTERVAL_MS || '60000',
+  10
+);
+const RECURRING_ENABLED = process.env.RECURRING_SCHEDULES_ENABLED !== 'false';
+const RECURRING_INTERVAL_MS = Number.parseInt(
+  process.env.DB_SCHEDULED_RECURRING_INTERVAL_MS || '300000',
+  10
+);
 const MAX_ERROR_LENGTH = 900;
 
 let tickInProgress = false;
@@ -34,6 +59,8 @@ let workerStartedAt = null;
 let lastTickFinishedAt = null;
 let lastRecoveryRunAt = null;
 let lastTokenPreflightRunAt = null;
+// Last start time of each runPeriodic() job, keyed by job name.
+const lastPeriodicRunAt = {};
 
 const workerStats = {
   ticks: 0,
@@ -48,6 +75,18 @@ const workerStats = {
   tokenPreflightRuns: 0,
   tokenPreflightRefreshed: 0,
   tokenPreflightErrors: 0,
+  evergreenRuns: 0,
+  evergreenQueued: 0,
+  evergreenErrors: 0,
+  abTestRuns: 0,
+  abTestDecided: 0,
+  abTestErrors: 0,
+  webhookRetryRuns: 0,
+  webhookDelivered: 0,
+  webhookRetryErrors: 0,
+  recurringRuns: 0,
+  recurringQueued: 0,
+  recurringErrors: 0,
 };
 
 const lastTickSummary = {
@@ -62,6 +101,11 @@ const lastTickSummary = {
   skipped: 0,
   failed: 0,
   tokenPreflight: null,
+  evergreen: null,
+  abTest: null,
+  webhookRetry: null,
+  recurring: null,
+  recurringQueued: 0,
   status: 'idle',
   error: null,
 };
@@ -119,6 +163,82 @@ async function claimDueScheduledTweets(limit) {
   return rows;
 }
 
+/**
+ * Run `fn` when `intervalMs` has passed since its last run. The returned
+ * summary is kept on the last tick; a thrown error is logged, counted in
+ * `<name>Errors` and the job waits for its next interval.
+ */
+async function runPeriodic(name, intervalMs, fn) {
+  const nowMs = Date.now();
+  const lastRunAt = lastPeriodicRunAt[name];
+  if (lastRunAt && Number.isFinite(intervalMs) && intervalMs > 0 && nowMs - lastRunAt < intervalMs) {
+    return;
+  }
+
+  lastPeriodicRunAt[name] = nowMs;
+  workerStats[`${name}Runs`] += 1;
+  try {
+    lastTickSummary[name] = await fn();
+  } catch (error) {
+    workerStats[`${name}Errors`] += 1;
+    lastTickSummary[name] = { error: safeErrorMessage(error) };
+    console.warn(`[DBScheduledTweetWorker] ${name} job failed:`, safeErrorMessage(error));
+  }
+}
+
+// Background jobs make AI calls and third-party requests, so they run after
+// the due batch has been published rather than ahead of it.
+async function runPeriodicJobs() {
+  if (EVERGREEN_ENABLED) {
+    await runPeriodic('evergreen', EVERGREEN_INTERVAL_MS, async () => {
+      const summary = await evergreenService.runEvergreenTick();
+      workerStats.evergreenQueued += Number(summary?.queued || 0);
+      workerStats.evergreenErrors += Number(summary?.errors || 0);
+      if (Number(summary?.queued || 0) > 0 || Number(summary?.errors || 0) > 0) {
+        console.log('[DBScheduledTweetWorker] Evergreen recycling summary', summary);
+      }
+      return summary;
+    });
+  }
+
+  if (AB_TEST_EVALUATION_ENABLED) {
+    await runPeriodic('abTest', AB_TEST_INTERVAL_MS, async () => {
+      const summary = await feedbackLoopService.evaluateAbTests();
+      const decided = Number(summary?.completed || 0) + Number(summary?.inconclusive || 0);
+      workerStats.abTestDecided += decided;
+      workerStats.abTestErrors += Number(summary?.errors || 0);
+      if (decided > 0 || Number(summary?.errors || 0) > 0) {
+        console.log('[DBScheduledTweetWorker] A/B test evaluation summary', summary);
+      }
+      return summary;
+    });
+  }
+
+  if (WEBHOOK_RETRY_ENABLED) {
+    await runPeriodic('webhookRetry', WEBHOOK_RETRY_INTERVAL_MS, async () => {
+      const summary = await processDueWebhookDeliveries();
+      workerStats.webhookDelivered += Number(summary?.delivered || 0);
+      workerStats.webhookRetryErrors += Number(summary?.failed || 0);
+      if (Number(summary?.claimed || 0) > 0) {
+        console.log('[DBScheduledTweetWorker] Webhook retry summary', summary);
+      }
+      return summary;
+    });
+  }
+
+  if (RECURRING_ENABLED) {
+    await runPeriodic('recurring', RECURRING_INTERVAL_MS, async () => {
+      const summary = await recurringScheduleService.runRecurringTick();
+      workerStats.recurringQueued += Number(summary?.queued || 0);
+      workerStats.recurringErrors += Number(summary?.errors || 0);
+      if (Number(summary?.queued || 0) > 0 || Number(summary?.errors || 0) > 0) {
+        console.log('[DBScheduledTweetWorker] Recurring series summary', summary);
+      }
+      return summary;
+    });
+  }
+}
+
 export async function runSchedulerTick() {
   return schedulerTick();
 }
@@ -129,6 +249,15 @@ async function schedulerTick() {
   }
 
   tickInProgress = true;
+  try {
+    await publishDueScheduledTweets();
+    await runPeriodicJobs();
+  } finally {
+    tickInProgress = false;
+  }
+}
+
+async function publishDueScheduledTweets() {
   const tickId = `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
   const startedAt = Date.now();
   workerStats.ticks += 1;
@@ -144,6 +273,11 @@ async function schedulerTick() {
   lastTickSummary.skipped = 0;
   lastTickSummary.failed = 0;
   lastTickSummary.tokenPreflight = null;
+  lastTickSummary.evergreen = null;
+  lastTickSummary.abTest = null;
+  lastTickSummary.webhookRetry = null;
+  lastTickSummary.recurring = null;
+  lastTickSummary.recurringQueued = 0;
 
   try {
     const nowMs = Date.now();
@@ -203,10 +337,16 @@ async function schedulerTick() {
     workerStats.processedRows += dueRows.length;
     lastTickSummary.claimed = dueRows.length;
 
-    // Process all due tweets in parallel — independent jobs, no reason to serialize
+    // Process all due tweets in parallel — independent jobs, no reason to serialize.
+    // Compliance rules are checked first: blocked posts fail, flagged ones go to approval.
     const batchResults = await Promise.allSettled(
       dueRows.map((row) =>
-        scheduledTweetService.processSingleScheduledTweetById(row.id)
+        enforceBeforePublish(row.id)
+          .then((compliance) => (
+            compliance
+              ? { outcome: compliance.outcome === 'blocked' ? 'failed' : 'skipped', reason: `compliance_${compliance.outcome}` }
+              : scheduledTweetService.processSingleScheduledTweetById(row.id)
+          ))
           .then((result) => ({ rowId: row.id, result }))
           .catch((error) => {
             // Return error shape so we can handle it below without stopping other rows
@@ -262,6 +402,20 @@ async function schedulerTick() {
         workerStats.succeededRows += 1;
         lastTickSummary.succeeded += 1;
       }
+
+      // Recurring series: queue the next occurrence once this one is settled.
+      if (RECURRING_ENABLED && outcome !== 'retry' && outcome !== 'skipped') {
+        try {
+          const next = await recurringScheduleService.materializeNextOccurrence(rowId);
+          if (next?.queued) {
+            workerStats.recurringQueued += 1;
+            lastTickSummary.recurringQueued += 1;
+          }
+        } catch (recurringError) {
+          workerStats.recurringErrors += 1;
+          console.warn('[DBScheduledTweetWorker] Failed to queue next recurring occurrence:', safeErrorMessage(recurringError));
+        }
+      }
     }
 
     lastTickSummary.status = 'ok';
@@ -270,7 +424,6 @@ async function schedulerTick() {
     lastTickSummary.error = safeErrorMessage(error);
     console.error('[DBScheduledTweetWorker] Tick failed:', lastTickSummary.error);
   } finally {
-    tickInProgress = false;
     lastTickFinishedAt = Date.now();
     lastTickSummary.finishedAt = lastTickFinishedAt;
     lastTickSummary.durationMs = lastTickFinishedAt - startedAt;
@@ -295,6 +448,14 @@ export function getDbScheduledTweetWorkerStatus() {
     recoveryIntervalMs: STUCK_RECOVERY_INTERVAL_MS,
     lastRecoveryRunAt: toIso(lastRecoveryRunAt),
     lastTokenPreflightRunAt: toIso(lastTokenPreflightRunAt),
+    evergreenIntervalMs: EVERGREEN_INTERVAL_MS,
+    lastEvergreenRunAt: toIso(lastPeriodicRunAt.evergreen),
+    abTestIntervalMs: AB_TEST_INTERVAL_MS,
+    lastAbTestRunAt: toIso(lastPeriodicRunAt.abTest),
+    webhookRetryIntervalMs: WEBHOOK_RETRY_INTERVAL_MS,
+    lastWebhookRetryRunAt: toIso(lastPeriodicRunAt.webhookRetry),
+    recurringIntervalMs: RECURRING_INTERVAL_MS,
+    lastRecurringRunAt: toIso(lastPeriodicRunAt.recurring),
     stats: { ...workerStats },
     lastTick: {
       tickId: lastTickSummary.tickId,
@@ -310,6 +471,11 @@ export function getDbScheduledTweetWorkerStatus() {
       skipped: lastTickSummary.skipped,
       failed: lastTickSummary.failed,
       tokenPreflight: lastTickSummary.tokenPreflight,
+      evergreen: lastTickSummary.evergreen,
+      abTest: lastTickSummary.abTest,
+      webhookRetry: lastTickSummary.webhookRetry,
+      recurring: lastTickSummary.recurring,
+      recurringQueued: lastTickSummary.recurringQueued,
     },
     nextRunAt,
     nextRunInMs: nextRunAt ? Math.max(0, new Date(nextRunAt).getTime() - now) : null,
@@ -3,6 +3,7 @@ import {
   ensureTweetDeletionRetentionSchema,
   purgeExpiredDeletedTweets,
 } from '../services/tweetRetentionService.js';
+import { purgeDeletedAssets } from '../services/mediaLibraryService.js';
 
 const WORKER_ENABLED = process.env.DELETED_TWEET_RETENTION_WORKER_ENABLED !== 'false';
 const WORKER_INTERVAL_MS = Number.parseInt(
@@ -23,6 +24,7 @@ let workerLastRun = {
   startedAt: null,
   finishedAt: null,
   deletedCount: 0,
+  purgedMediaCount: 0,
   error: null,
 };
 
@@ -46,6 +48,7 @@ async function runRetentionCleanupTick() {
     startedAt,
     finishedAt: null,
     deletedCount: 0,
+    purgedMediaCount: 0,
     error: null,
   };
 
@@ -53,7 +56,13 @@ async function runRetentionCleanupTick() {
     await ensureTweetDeletionRetentionSchema();
     const result = await purgeExpiredDeletedTweets();
     workerLastRun.deletedCount = result.deletedCount || 0;
-    workerLog('Cleanup tick completed', { deletedCount: workerLastRun.deletedCount });
+    // Media library files deleted while a pending post still used them.
+    const mediaResult = await purgeDeletedAssets();
+    workerLastRun.purgedMediaCount = mediaResult.purgedCount || 0;
+    workerLog('Cleanup tick completed', {
+      deletedCount: workerLastRun.deletedCount,
+      purgedMediaCount: workerLastRun.purgedMediaCount,
+    });
   } catch (error) {
     workerLastRun.error = error?.message || String(error);
     console.error('[DeletedTweetRetentionWorker] Tick failed:', workerLastRun.error);
@@ -130,6 +139,7 @@ export function getDeletedTweetRetentionWorkerStatus() {
       startedAt: toIso(workerLastRun.startedAt),
       finishedAt: toIso(workerLastRun.finishedAt),
       deletedCount: workerLastRun.deletedCount,
+      purgedMediaCount: workerLastRun.purgedMediaCount,
       error: workerLastRun.error,
     },
   };
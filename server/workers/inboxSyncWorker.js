@@ -0,0 +1,236 @@
+import pool from '../config/database.js';
+import { syncAccountInbox } from '../services/inboxService.js';
+
+const WORKER_ENABLED = process.env.INBOX_SYNC_ENABLED !== 'false';
+const WORKER_INTERVAL_MS = Number.parseInt(process.env.INBOX_SYNC_INTERVAL_MS || String(10 * 60 * 1000), 10);
+const WORKER_INITIAL_DELAY_MS = Number.parseInt(process.env.INBOX_SYNC_INITIAL_DELAY_MS || '60000', 10);
+const WORKER_ACCOUNT_BATCH = Number.parseInt(process.env.INBOX_SYNC_ACCOUNT_BATCH || '20', 10);
+// Per-account minimum gap between syncs, so a short interval does not re-poll the same accounts.
+const ACCOUNT_COOLDOWN_MINUTES = Number.parseInt(process.env.INBOX_SYNC_ACCOUNT_COOLDOWN_MINUTES || '10', 10);
+const WORKER_DEBUG = process.env.INBOX_SYNC_DEBUG === 'true';
+
+let workerInterval = null;
+let workerBootTimer = null;
+let workerInFlight = false;
+let workerStartedAt = null;
+let workerLastRun = {
+  startedAt: null,
+  finishedAt: null,
+  accountsScanned: 0,
+  accountsSynced: 0,
+  itemsInserted: 0,
+  rateLimited: false,
+  error: null,
+};
+
+const workerLog = (...args) => {
+  if (WORKER_DEBUG) {
+    console.log('[InboxSyncWorker]', ...args);
+  }
+};
+
+const toIso = (value) => {
+  if (!value) return null;
+  return new Date(value).toISOString();
+};
+
+const isRateLimitError = (error) => {
+  const status = error?.code || error?.status || error?.response?.status;
+  if (status === 429 || status === '429') return true;
+  return String(error?.message || '').toLowerCase().includes('rate limit');
+};
+
+// Latest personal connection per user, plus every active team account, that
+// is not cooling down. Least recently synced first.
+const getAccountsDue = async (limit) => {
+  const { rows: personal } = await pool.query(
+    `WITH ranked_auth AS (
+       SELECT ta.*,
+              ROW_NUMBER() OVER (
+                PARTITION BY ta.user_id
+                ORDER BY ta.updated_at DESC NULLS LAST, ta.created_at DESC NULLS LAST, ta.id DESC
+              ) AS rn
+       FROM twitter_auth ta
+       WHERE ta.access_token IS NOT NULL
+         AND ta.twitter_user_id IS NOT NULL
+     )
+     SELECT ra.*
+     FROM ranked_auth ra
+     LEFT JOIN inbox_sync_state iss
+       ON iss.sync_key = 'user:' || ra.user_id::text || ':' || ra.twitter_user_id::text
+     WHERE ra.rn = 1
+       AND (iss.next_allowed_at IS NULL OR iss.next_allowed_at <= CURRENT_TIMESTAMP)
+       AND (iss.last_sync_at IS NULL OR iss.last_sync_at <= NOW() - ($1::int * INTERVAL '1 minute'))
+     ORDER BY iss.last_sync_at ASC NULLS FIRST
+     LIMIT $2`,
+    [ACCOUNT_COOLDOWN_MINUTES, limit]
+  );
+
+  const { rows: team } = await pool.query(
+    `SELECT ta.*
+     FROM team_accounts ta
+     LEFT JOIN inbox_sync_state iss
+       ON iss.sync_key = 'team:' || ta.id::text
+     WHERE ta.access_token IS NOT NULL
+       AND ta.twitter_user_id IS NOT NULL
+       AND ta.active = true
+       AND (iss.next_allowed_at IS NULL OR iss.next_allowed_at <= CURRENT_TIMESTAMP)
+       AND (iss.last_sync_at IS NULL OR iss.last_sync_at <= NOW() - ($1::int * INTERVAL '1 minute'))
+     ORDER BY iss.last_sync_at ASC NULLS FIRST
+     LIMIT $2`,
+    [ACCOUNT_COOLDOWN_MINUTES, limit]
+  );
+
+  return [
+    ...personal.map((account) => ({
+      account,
+      accountType: 'personal',
+      scope: {
+        mode: 'personal',
+        userId: account.user_id,
+        teamId: null,
+        accountId: null,
+        authorId: String(account.twitter_user_id),
+      },
+    })),
+    ...team.map((account) => ({
+      account,
+      accountType: 'team',
+      scope: {
+        mode: 'team',
+        userId: account.user_id,
+        teamId: account.team_id,
+        accountId: String(account.id),
+        authorId: String(account.twitter_user_id),
+      },
+    })),
+  ];
+};
+
+async function runInboxSyncTick() {
+  if (workerInFlight) return;
+  workerInFlight = true;
+
+  const startedAt = Date.now();
+  workerLastRun = {
+    startedAt,
+    finishedAt: null,
+    accountsScanned: 0,
+    accountsSynced: 0,
+    itemsInserted: 0,
+    rateLimited: false,
+    error: null,
+  };
+
+  try {
+    const batch = Number.isFinite(WORKER_ACCOUNT_BATCH) && WORKER_ACCOUNT_BATCH > 0 ? WORKER_ACCOUNT_BATCH : 20;
+    const accounts = await getAccountsDue(batch);
+    workerLastRun.accountsScanned = accounts.length;
+
+    for (const { account, accountType, scope } of accounts) {
+      try {
+        const result = await syncAccountInbox(scope, account, { accountType });
+        workerLastRun.accountsSynced += 1;
+        workerLastRun.itemsInserted += result.inserted;
+        workerLog('Account synced', { accountType, authorId: scope.authorId, ...result });
+      } catch (error) {
+        if (isRateLimitError(error)) {
+          // The app-wide mentions limit is shared; stop and let the next tick continue.
+          workerLastRun.rateLimited = true;
+          break;
+        }
+        console.error('[InboxSyncWorker] Account sync failed:', {
+          accountType,
+          authorId: scope.authorId,
+          error: error?.message || String(error),
+        });
+      }
+    }
+  } catch (error) {
+    workerLastRun.error = error?.message || String(error);
+    console.error('[InboxSyncWorker] Tick failed:', workerLastRun.error);
+  } finally {
+    workerLastRun.finishedAt = Date.now();
+    workerInFlight = false;
+  }
+}
+
+// Exported for the cron endpoint, where interval timers do not survive between requests.
+export async function triggerInboxSyncTick() {
+  await runInboxSyncTick();
+  return getInboxSyncWorkerStatus().lastRun;
+}
+
+export function startInboxSyncWorker(options = {}) {
+  if (workerInterval || workerBootTimer) {
+    return { started: true };
+  }
+
+  const enabled = options.enabled !== undefined ? Boolean(options.enabled) : WORKER_ENABLED;
+  if (!enabled) {
+    console.log('[InboxSyncWorker] Disabled by configuration.');
+    return { started: false };
+  }
+
+  const intervalMs = Number.isFinite(WORKER_INTERVAL_MS) && WORKER_INTERVAL_MS >= 60000 ? WORKER_INTERVAL_MS : 600000;
+  workerStartedAt = Date.now();
+  console.log('[InboxSyncWorker] Started', {
+    intervalMs,
+    initialDelayMs: WORKER_INITIAL_DELAY_MS,
+  });
+
+  workerBootTimer = setTimeout(() => {
+    workerBootTimer = null;
+    runInboxSyncTick().catch((error) => {
+      console.error('[InboxSyncWorker] Initial tick error:', error?.message || error);
+    });
+
+    workerInterval = setInterval(() => {
+      runInboxSyncTick().catch((error) => {
+        console.error('[InboxSyncWorker] Interval tick error:', error?.message || error);
+      });
+    }, intervalMs);
+
+    if (typeof workerInterval.unref === 'function') {
+      workerInterval.unref();
+    }
+  }, Math.max(0, WORKER_INITIAL_DELAY_MS));
+
+  if (typeof workerBootTimer.unref === 'function') {
+    workerBootTimer.unref();
+  }
+
+  return { started: true };
+}
+
+export function stopInboxSyncWorker() {
+  if (workerBootTimer) {
+    clearTimeout(workerBootTimer);
+    workerBootTimer = null;
+  }
+
+  if (workerInterval) {
+    clearInterval(workerInterval);
+    workerInterval = null;
+  }
+}
+
+export function getInboxSyncWorkerStatus() {
+  return {
+    enabled: WORKER_ENABLED,
+    running: Boolean(workerBootTimer || workerInterval),
+    inFlight: workerInFlight,
+    intervalMs: WORKER_INTERVAL_MS,
+    initialDelayMs: WORKER_INITIAL_DELAY_MS,
+    startedAt: toIso(workerStartedAt),
+    lastRun: {
+      startedAt: toIso(workerLastRun.startedAt),
+      finishedAt: toIso(workerLastRun.finishedAt),
+      accountsScanned: workerLastRun.accountsScanned,
+      accountsSynced: workerLastRun.accountsSynced,
+      itemsInserted: workerLastRun.itemsInserted,
+      rateLimited: workerLastRun.rateLimited,
+      error: workerLastRun.error,
+    },
+  };
+}